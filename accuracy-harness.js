@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+/**
+ * 🎯 ACCURACY HARNESS CLI
+ *
+ * Score any tier's output against the golden set and compare runs
+ *
+ * Usage:
+ *   node accuracy-harness.js run --tier core [--limit 3] [--label "after lusha fix"] [--out file]
+ *   node accuracy-harness.js score production-core-results.json [--tier core] [--out file]
+ *   node accuracy-harness.js diff outputs/accuracy/core-A.json outputs/accuracy/core-B.json
+ *   node accuracy-harness.js reliability outputs/accuracy/core-A.json [--out config.json] [--min-samples 5]
+ *
+ * Options: --golden <file> to score against another golden set version.
+ * reliability writes per-provider precision for SOURCE_RELIABILITY_FILE (modules/ConsensusEngine.js).
+ * Offline: VENDOR_REPLAY_MODE=replay VENDOR_CASSETTE=golden node -r ./modules/replay/register.js accuracy-harness.js run
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { AccuracyHarness, DEFAULT_GOLDEN_SET, GOLDEN_FIELDS } = require('./modules/AccuracyHarness');
+
+const OUTPUT_DIR = path.join(__dirname, 'outputs/accuracy');
+
+const PIPELINE_MODULES = {
+    core: ['./pipelines/core-pipeline', 'CorePipeline'],
+    advanced: ['./pipelines/advanced-pipeline', 'AdvancedPipeline'],
+    powerhouse: ['./pipelines/powerhouse-pipeline', 'PowerhousePipeline']
+};
+
+function parseArgs(argv) {
+    const [command = 'help', ...rest] = argv;
+    const options = { tier: 'core', golden: DEFAULT_GOLDEN_SET, files: [] };
+
+    for (let i = 0; i < rest.length; i++) {
+        switch (rest[i]) {
+            case '--tier': options.tier = rest[++i]; break;
+            case '--limit': options.limit = parseInt(rest[++i], 10); break;
+            case '--label': options.label = rest[++i]; break;
+            case '--out': options.out = rest[++i]; break;
+            case '--golden': options.golden = rest[++i]; break;
+            case '--min-samples': options.minSamples = parseInt(rest[++i], 10); break;
+            default:
+                if (rest[i].startsWith('--')) throw new Error(`Unknown option: ${rest[i]}`);
+                options.files.push(rest[i]);
+        }
+    }
+
+    return { command, options };
+}
+
+/**
+ * Accepts a results array, a pipeline output file ({ results }) or a harness run file ({ report })
+ */
+function readRun(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (Array.isArray(data)) return { results: data };
+    return { results: data.results || [], report: data.report || null };
+}
+
+function writeRun(run, out) {
+    const file = out || path.join(OUTPUT_DIR, `${run.report.pipelineTier}-${run.report.createdAt.replace(/[:.]/g, '-')}.json`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(run, null, 2));
+    console.log(`💾 Saved run: ${file}`);
+    return file;
+}
+
+function formatMetric(value) {
+    return value === null || value === undefined ? '   -  ' : `${value.toFixed(1).padStart(5)}%`;
+}
+
+function printReport(report) {
+    console.log(`\n🎯 ACCURACY: ${report.pipelineTier} vs golden set v${report.goldenVersion} (${report.companiesScored}/${report.companiesInGoldenSet} companies)`);
+    console.log(`   ${'scope'.padEnd(18)} ${'field'.padEnd(9)} precision  recall  coverage  judged`);
+
+    const printScope = (scope, fields) => {
+        GOLDEN_FIELDS.forEach(field => {
+            const m = fields[field];
+            if (!m) return;
+            const judged = m.tp + m.fp + m.fn;
+            if (judged === 0 && m.found === 0) return;
+            console.log(`   ${scope.padEnd(18)} ${field.padEnd(9)} ${formatMetric(m.precision)}    ${formatMetric(m.recall)}  ${formatMetric(m.coverage)}  ${String(judged).padStart(4)}`);
+        });
+    };
+
+    printScope('overall', report.summary.overall);
+    Object.entries(report.summary.byRole).forEach(([role, fields]) => printScope(role, fields));
+    Object.keys(report.summary.byRoleTier).sort().forEach(scope => printScope(scope, report.summary.byRoleTier[scope]));
+}
+
+function printDiff(diff) {
+    console.log(`\n🔀 DIFF: ${diff.before} -> ${diff.after}`);
+
+    if (diff.metrics.length === 0) {
+        console.log('   No metric changes');
+    }
+    diff.metrics.forEach(({ scope, field, metric, before, after, delta }) => {
+        const sign = delta === null ? '' : delta > 0 ? ` (+${delta})` : ` (${delta})`;
+        console.log(`   ${scope.padEnd(8)} ${field.padEnd(9)} ${metric.padEnd(9)} ${formatMetric(before)} -> ${formatMetric(after)}${sign}`);
+    });
+
+    const printEntries = (title, entries) => {
+        if (entries.length === 0) return;
+        console.log(`\n   ${title} (${entries.length})`);
+        entries.forEach(entry => {
+            console.log(`      ${entry.website} ${entry.role}.${entry.field}: ${entry.before || '∅'} -> ${entry.after || '∅'}${entry.expected ? ` (expected ${entry.expected})` : ''}`);
+        });
+    };
+
+    printEntries('✅ Fixed', diff.fixed);
+    printEntries('❌ Regressed', diff.regressed);
+    printEntries('🔄 Changed (still not matching)', diff.changed);
+}
+
+/**
+ * Run the golden companies through a tier and score the output
+ */
+async function runTier(harness, { tier, limit, label, out }) {
+    const [modulePath, className] = PIPELINE_MODULES[tier] || [];
+    if (!modulePath) throw new Error(`Unknown tier "${tier}"`);
+
+    const Pipeline = require(modulePath)[className];
+    const pipeline = new Pipeline();
+    const companies = harness.goldenSet.companies.slice(0, limit || undefined);
+    const results = [];
+
+    console.log(`🚀 Running ${companies.length} golden companies through the ${tier} pipeline...`);
+    for (let i = 0; i < companies.length; i++) {
+        const { website } = companies[i];
+        try {
+            results.push(await pipeline.processCompany({ website }, i + 1));
+        } catch (error) {
+            console.log(`   ❌ ${website}: ${error.message}`);
+            results.push({ website, error: error.message });
+        }
+    }
+
+    const report = harness.scoreResults(results, { pipelineTier: tier, label });
+    printReport(report);
+    writeRun({ report, results }, out);
+    return report;
+}
+
+async function main() {
+    const { command, options } = parseArgs(process.argv.slice(2));
+    const harness = new AccuracyHarness({ goldenFile: options.golden });
+
+    switch (command) {
+        case 'run':
+            await runTier(harness, options);
+            break;
+
+        case 'score': {
+            if (!options.files[0]) throw new Error('score needs a results file');
+            const { results } = readRun(options.files[0]);
+            const report = harness.scoreResults(results, { pipelineTier: options.tier, label: options.label || path.basename(options.files[0]) });
+            printReport(report);
+            if (options.out) writeRun({ report, results }, options.out);
+            break;
+        }
+
+        case 'diff': {
+            if (options.files.length !== 2) throw new Error('diff needs two run files');
+            const [before, after] = options.files.map(file => {
+                const run = readRun(file);
+                return run.report || harness.scoreResults(run.results, { pipelineTier: options.tier, label: path.basename(file) });
+            });
+            printDiff(AccuracyHarness.diffReports(before, after));
+            break;
+        }
+
+        case 'reliability': {
+            if (!options.files[0]) throw new Error('reliability needs a run or results file');
+            const run = readRun(options.files[0]);
+            const report = run.report || harness.scoreResults(run.results, { pipelineTier: options.tier, label: path.basename(options.files[0]) });
+            const { providers, reliability } = AccuracyHarness.measureSourceReliability(report, { minSamples: options.minSamples || 5 });
+
+            console.log(`\n📐 SOURCE RELIABILITY: ${report.label || report.createdAt}`);
+            Object.entries(providers).forEach(([field, byProvider]) => {
+                Object.entries(byProvider).forEach(([name, counts]) => {
+                    const used = reliability[field]?.[name] !== undefined ? '' : ' (too few samples)';
+                    console.log(`   ${field.padEnd(9)} ${name.padEnd(16)} ${formatMetric(counts.precision)}  ${String(counts.tp + counts.fp).padStart(4)} judged${used}`);
+                });
+            });
+
+            const out = options.out || path.join(OUTPUT_DIR, 'source-reliability.json');
+            fs.mkdirSync(path.dirname(out), { recursive: true });
+            fs.writeFileSync(out, JSON.stringify({ createdAt: new Date().toISOString(), run: report.label || report.createdAt, goldenVersion: report.goldenVersion, providers, reliability }, null, 2));
+            console.log(`💾 Saved reliability: ${out} - use with SOURCE_RELIABILITY_FILE=${out}`);
+            break;
+        }
+
+        default:
+            console.log('Usage: node accuracy-harness.js <run|score|diff|reliability> [files] [--tier core|advanced|powerhouse] [--limit n] [--label l] [--out file] [--golden file] [--min-samples n]');
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { parseArgs, readRun };
@@ -0,0 +1,115 @@
+/**
+ * CACHE POLICY & INVALIDATION API
+ *
+ * - GET  /api/cache     TTL policy table and cache size
+ * - POST /api/cache     { domain?, person?, service?, dataType?, category?, rerun?, pipeline? }
+ *                       purge matching entries; rerun: true submits the company as a new job
+ *
+ * POST needs CACHE_ADMIN_TOKEN set and `Authorization: Bearer <token>`; without the token the
+ * cache cannot be purged over the API.
+ */
+
+const { DataCache } = require('../../modules/DataCache');
+const { JobStore } = require('../../modules/JobStore');
+const { submitJob, SUPPORTED_PIPELINES } = require('../jobs/index.js');
+
+const FILTER_FIELDS = ['domain', 'person', 'service', 'dataType', 'category'];
+
+function adminToken() {
+    return process.env.CACHE_ADMIN_TOKEN?.trim() || null;
+}
+
+function isAuthorized(req) {
+    const token = adminToken();
+    if (!token) return false;
+    return req.headers?.authorization === `Bearer ${token}`;
+}
+
+/**
+ * Main API Handler
+ */
+module.exports = async (req, res) => {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    const cache = new DataCache();
+
+    try {
+        if (req.method === 'GET') {
+            return res.status(200).json({
+                pipeline: 'cache',
+                description: 'Per-provider cache TTL policy and invalidation',
+                backend: cache.backend.name,
+                size: await cache.getCacheSize(),
+                policy: cache.ttlPolicy,
+                filters: FILTER_FIELDS,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (req.method === 'POST') {
+            if (!adminToken()) {
+                return res.status(403).json({ error: 'Cache invalidation is disabled', message: 'Set CACHE_ADMIN_TOKEN to enable it' });
+            }
+            if (!isAuthorized(req)) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const body = req.body || {};
+            const filters = {};
+            FILTER_FIELDS.forEach(field => {
+                if (body[field]) filters[field] = body[field];
+            });
+
+            if (Object.keys(filters).length === 0) {
+                return res.status(400).json({
+                    error: 'No invalidation filter provided',
+                    required: `at least one of ${FILTER_FIELDS.join(', ')}`
+                });
+            }
+
+            const pipeline = String(body.pipeline || 'core').toLowerCase();
+            if (body.rerun && (!filters.domain || !SUPPORTED_PIPELINES.includes(pipeline))) {
+                return res.status(400).json({
+                    error: 'rerun needs a domain and a supported pipeline',
+                    supported: SUPPORTED_PIPELINES
+                });
+            }
+
+            const invalidated = await cache.invalidate(filters);
+
+            let job = null;
+            if (body.rerun) {
+                job = await submitJob(new JobStore(), pipeline, [{
+                    companyName: body.companyName || filters.domain,
+                    domain: filters.domain
+                }]);
+            }
+
+            return res.status(200).json({
+                success: true,
+                filters,
+                invalidated,
+                job: job ? { jobId: job.id, statusUrl: `/api/jobs/${job.id}` } : null,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+
+    } catch (error) {
+        console.error('❌ Cache API Error:', error);
+        return res.status(500).json({
+            error: 'Cache operation failed',
+            message: error.message
+        });
+    } finally {
+        await cache.close();
+    }
+};
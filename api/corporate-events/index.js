@@ -0,0 +1,151 @@
+/**
+ * CORPORATE EVENTS API
+ *
+ * - GET  /api/corporate-events              registry version, changelog and active entries
+ *        ?domain=acme.com                   the active entry for a domain (404 when none)
+ *        ?all=true                          expired entries too
+ * - POST /api/corporate-events              { action, ... } edit the registry
+ *        add          { entry }
+ *        correct      { id, changes, reason? }
+ *        expire       { id, reason? }
+ *        disposition  { id, name, disposition, originalRole?, currentRole?, currentCompany?, notes? }
+ *        import       { csv, dryRun? }      CSV text - columns as in README "Corporate Events"
+ *
+ * POST needs CORPORATE_EVENTS_ADMIN_TOKEN set and `Authorization: Bearer <token>`; without the
+ * token the registry is read-only. Invalid changes are 400s, failures to read or write the registry 500s.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CorporateEventRegistry } = require('../../modules/CorporateEventRegistry');
+
+const ACTIONS = ['add', 'correct', 'expire', 'disposition', 'import'];
+
+function adminToken() {
+    return process.env.CORPORATE_EVENTS_ADMIN_TOKEN?.trim() || null;
+}
+
+function isAuthorized(req) {
+    const token = adminToken();
+    if (!token) return false;
+    return req.headers?.authorization === `Bearer ${token}`;
+}
+
+/**
+ * Import CSV text through a temporary file - the registry reads CSV as a stream
+ */
+async function importCsvText(registry, text, dryRun) {
+    const file = path.join(os.tmpdir(), `corporate-events-${Date.now()}-${process.pid}.csv`);
+    fs.writeFileSync(file, text);
+    try {
+        return await registry.importCsv(file, { dryRun });
+    } finally {
+        fs.unlinkSync(file);
+    }
+}
+
+/**
+ * Main API Handler
+ */
+module.exports = async (req, res) => {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        const registry = new CorporateEventRegistry();
+
+        if (req.method === 'GET') {
+            const { domain, all } = req.query || {};
+            if (domain) {
+                const entry = registry.lookup(domain);
+                if (!entry) {
+                    return res.status(404).json({ error: 'No active corporate event', domain });
+                }
+                return res.status(200).json({ entry, acquisitionInfo: registry.toAcquisitionInfo(entry) });
+            }
+
+            return res.status(200).json({
+                pipeline: 'corporate-events',
+                description: 'Maintained M&A registry consulted before AI acquisition research',
+                version: registry.registry.version,
+                asOf: registry.registry.asOf,
+                changelog: registry.registry.changelog,
+                entries: registry.list({ includeExpired: all === 'true' || all === true }),
+                actions: ACTIONS,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (req.method === 'POST') {
+            if (!adminToken()) {
+                return res.status(403).json({ error: 'Registry editing is disabled', message: 'Set CORPORATE_EVENTS_ADMIN_TOKEN to enable it' });
+            }
+            if (!isAuthorized(req)) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const body = req.body || {};
+            if (!ACTIONS.includes(body.action)) {
+                return res.status(400).json({ error: 'Unknown action', supported: ACTIONS });
+            }
+            if (body.action !== 'add' && body.action !== 'import' && !body.id) {
+                return res.status(400).json({ error: `${body.action} needs an entry id` });
+            }
+
+            let payload;
+            try {
+                switch (body.action) {
+                    case 'add':
+                        payload = { entry: registry.add(body.entry || {}) };
+                        break;
+                    case 'correct':
+                        payload = { entry: registry.correct(body.id, body.changes || {}, { reason: body.reason || null }) };
+                        break;
+                    case 'expire':
+                        payload = { entry: registry.expire(body.id, { reason: body.reason || null }) };
+                        break;
+                    case 'disposition': {
+                        const { name, disposition, originalRole, currentRole, currentCompany, notes } = body;
+                        payload = { entry: registry.setDisposition(body.id, name, { disposition, originalRole, currentRole, currentCompany, notes }) };
+                        break;
+                    }
+                    case 'import':
+                        if (!body.csv) {
+                            return res.status(400).json({ error: 'import needs csv text' });
+                        }
+                        payload = { report: await importCsvText(registry, body.csv, Boolean(body.dryRun)) };
+                        break;
+                }
+            } catch (error) {
+                // File system errors (read-only disk, permissions) are ours - the outer handler answers 500
+                if (error.syscall) throw error;
+                // Validation failures and unknown ids are the caller's to fix
+                return res.status(400).json({ error: 'Invalid corporate event change', message: error.message });
+            }
+
+            return res.status(200).json({
+                success: true,
+                action: body.action,
+                version: registry.registry.version,
+                ...payload,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+
+    } catch (error) {
+        console.error('❌ Corporate Events API Error:', error);
+        return res.status(500).json({
+            error: 'Corporate events operation failed',
+            message: error.message
+        });
+    }
+};
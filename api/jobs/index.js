@@ -0,0 +1,364 @@
+/**
+ * ASYNCHRONOUS JOB API
+ *
+ * Submit a pipeline run, poll its progress and download the CSV when it finishes,
+ * instead of processing every company inside one request:
+ * - POST /api/jobs                      { pipeline, companies, personas? } → 202 { jobId }
+ * - GET  /api/jobs/:id                  status, per-company progress and partial results
+ * - GET  /api/jobs/:id/results.csv      finished CSV (streamed)
+ * - POST /api/jobs/:id                  resume an interrupted job (pending/failed companies only)
+ *
+ * Jobs run through the vercel-optimized BatchProcessor. Per-company state lives in the
+ * job's RunLedger, so completed companies are never reprocessed when a job resumes.
+ *
+ * On a long-lived server a job runs in the background after the 202. Vercel freezes a function
+ * once it responds, so there the job runs inside the request instead - one round of batches
+ * (fits in maxDuration); companies left over stay pending and the job goes back to queued for
+ * POST /api/jobs/:id. Polling and resuming from other instances need JOBS_DIR on shared storage.
+ * job.completed, job.failed and company.failed are pushed to webhook subscribers
+ * (api/webhooks) for callers that would rather not poll.
+ */
+
+const { JobStore, JOB_STATUS } = require('../../modules/JobStore');
+const { RUN_STATUS } = require('../../modules/RunLedger');
+const { resolvePersonas } = require('../../modules/PersonaDetection');
+const { emitWebhook } = require('../../modules/WebhookDispatcher');
+const {
+    BatchProcessor,
+    createPipelineConfig,
+    mapResultsToCSV,
+    formatCSVRow
+} = require('../vercel-optimized/index.js');
+
+const SUPPORTED_PIPELINES = ['core', 'advanced', 'powerhouse'];
+
+// Jobs being processed by this instance
+const activeJobs = new Set();
+
+// Vercel stops the function after the response - run jobs before responding there
+const RUN_IN_REQUEST = Boolean(process.env.VERCEL);
+
+// processAllBatches runs up to 3 batches at once; one such round fits in BATCH_TIMEOUT < maxDuration
+const PARALLEL_BATCHES = 3;
+
+/**
+ * company.failed payload for a failed ledger entry
+ */
+function companyFailedEvent(job, entry) {
+    return {
+        jobId: job.id,
+        pipeline: job.pipeline,
+        companyName: entry.company?.companyName || null,
+        website: entry.company?.domain || entry.company?.website || null,
+        error: entry.lastError,
+        attempts: entry.attempts
+    };
+}
+
+/**
+ * Run (or resume) a job through the BatchProcessor, journaling each company
+ * @param {Object} options - withinRequest: process one round of batches and leave the rest pending
+ */
+async function runJob(store, jobId, { withinRequest = false } = {}) {
+    if (activeJobs.has(jobId)) return;
+    activeJobs.add(jobId);
+
+    try {
+        const job = store.getJob(jobId);
+        store.updateJob(jobId, {
+            status: JOB_STATUS.RUNNING,
+            startedAt: job.startedAt || new Date().toISOString(),
+            error: null
+        });
+
+        const ledger = store.openLedger(jobId);
+        const pending = ledger.getEntries()
+            .filter(entry => ledger.shouldProcess(entry.company))
+            .map(entry => entry.company);
+
+        const processor = new BatchProcessor(job.pipeline, createPipelineConfig(job.pipeline, { personas: job.personas }), {
+            onCompanyStart: (company) => ledger.markRunning(company),
+            onCompanyComplete: (company, outcome) => {
+                // Companies of a timed-out batch were already marked failed - ignore their late completions
+                if (ledger.getEntry(company)?.status !== RUN_STATUS.RUNNING) return;
+                // Held back at the hard budget - pending again, without using up an attempt
+                if (outcome.budgetRefused) {
+                    ledger.release(company, outcome.error.error);
+                    return;
+                }
+
+                const result = outcome.success ? outcome.result : null;
+                if (result && !result.error && result.processingStatus !== 'FAILED') {
+                    ledger.markDone(company, result);
+                } else {
+                    const error = outcome.error?.error || result?.error || 'Unknown error';
+                    const entry = ledger.markFailed(company, error, result);
+                    emitWebhook('company.failed', companyFailedEvent(job, entry));
+                }
+            }
+        });
+
+        const companies = withinRequest ? pending.slice(0, processor.batchSize * PARALLEL_BATCHES) : pending;
+        console.log(`\n🗂️ JOB ${jobId}: ${job.pipeline.toUpperCase()} - ${companies.length} of ${pending.length} companies to process`);
+
+        // A BudgetExceededError fails the job before any company runs - they stay pending for a resume
+        const pipelineResult = companies.length > 0 ? await processor.processAllBatches(companies, { runId: ledger.runId }) : null;
+
+        // Companies in a timed-out batch never report back
+        const timedOut = ledger.getEntries()
+            .filter(entry => entry.status === RUN_STATUS.RUNNING)
+            .map(entry => ledger.markFailed(entry.company, 'Batch timeout'));
+        await Promise.all(timedOut.map(entry => emitWebhook('company.failed', companyFailedEvent(job, entry))));
+
+        // Left over by withinRequest, or never started because the budget ran out
+        const remaining = ledger.getSummary().pending;
+        if (remaining > 0) {
+            const budgetStopped = pipelineResult?.stats?.budget_skipped > 0;
+            store.updateJob(jobId, {
+                status: JOB_STATUS.QUEUED,
+                error: budgetStopped ? `Budget reached: ${pipelineResult.stats.budget.reason}` : null,
+                stats: { ...ledger.getSummary(), ...(pipelineResult?.stats || {}) }
+            });
+            console.log(`⏸️ JOB ${jobId}: ${remaining} companies left - POST /api/jobs/${jobId} to continue`);
+            return;
+        }
+
+        const completed = store.updateJob(jobId, {
+            status: JOB_STATUS.COMPLETED,
+            completedAt: new Date().toISOString(),
+            stats: {
+                ...ledger.getSummary(),
+                ...(pipelineResult?.stats || {})
+            }
+        });
+        console.log(`✅ JOB ${jobId} complete`);
+
+        await emitWebhook('job.completed', {
+            jobId,
+            pipeline: job.pipeline,
+            completedAt: completed.completedAt,
+            stats: completed.stats,
+            resultsUrl: `/api/jobs/${jobId}/results.csv`
+        });
+
+    } catch (error) {
+        console.error(`❌ JOB ${jobId} failed: ${error.message}`);
+        try {
+            store.updateJob(jobId, { status: JOB_STATUS.FAILED, error: error.message });
+        } catch (updateError) {
+            console.error(`❌ JOB ${jobId}: could not record the failure: ${updateError.message}`);
+        }
+        await emitWebhook('job.failed', { jobId, error: error.message });
+    } finally {
+        activeJobs.delete(jobId);
+    }
+}
+
+/**
+ * Start (or resume) a job - in the background, or before the response when RUN_IN_REQUEST
+ */
+async function startJob(store, jobId) {
+    if (RUN_IN_REQUEST) {
+        await runJob(store, jobId, { withinRequest: true });
+        return;
+    }
+
+    runJob(store, jobId).catch(error => console.error(`❌ JOB ${jobId} crashed: ${error.message}`));
+}
+
+/**
+ * Create a job and start it on this instance
+ * @returns {Promise<Object>} the job as it stands once started (finished or re-queued when RUN_IN_REQUEST)
+ */
+async function submitJob(store, pipeline, companies, personas = null) {
+    const job = store.createJob({ pipeline: pipeline.toLowerCase(), companies, personas });
+    await startJob(store, job.id);
+    return store.getJob(job.id) || job;
+}
+
+/**
+ * Job status with per-company progress and partial results
+ */
+function describeJob(store, job) {
+    const ledger = store.openLedger(job.id, { readOnly: true });
+    const summary = ledger.getSummary();
+    const finished = summary.done + summary.failed;
+
+    return {
+        ...job,
+        active: activeJobs.has(job.id),
+        progress: {
+            total: summary.total,
+            pending: summary.pending,
+            running: summary.running,
+            done: summary.done,
+            failed: summary.failed,
+            percent: summary.total > 0 ? Math.round(finished / summary.total * 100) : 0
+        },
+        companies: ledger.getEntries().map(entry => ({
+            companyName: entry.company?.companyName || null,
+            domain: entry.company?.domain || entry.company?.website || null,
+            status: entry.status,
+            attempts: entry.attempts,
+            lastError: entry.lastError,
+            updatedAt: entry.updatedAt
+        })),
+        partialResults: mapResultsToCSV(job.pipeline, ledger.getCompletedResults()),
+        resultsUrl: `/api/jobs/${job.id}/results.csv`
+    };
+}
+
+/**
+ * Stream the finished job CSV row by row
+ */
+function streamResultsCsv(store, job, res) {
+    const ledger = store.openLedger(job.id, { readOnly: true });
+    const csvResults = mapResultsToCSV(job.pipeline, ledger.getCompletedResults());
+    const csvHeaders = Object.keys(csvResults[0] || {});
+    const timestamp = (job.completedAt || new Date().toISOString()).split('T')[0];
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${job.pipeline}-pipeline-${job.id}-${timestamp}.csv"`);
+    res.status(200);
+
+    res.write(`${csvHeaders.join(',')}\n`);
+    for (const row of csvResults) {
+        res.write(`${formatCSVRow(csvHeaders, row)}\n`);
+    }
+    res.end();
+}
+
+/**
+ * Job id and sub-resource from the request path (/api/jobs/:id[/results.csv])
+ */
+function parseJobPath(req) {
+    const rawPath = req.query?.path || (req.url || '').split('?')[0].replace(/^\/api\/jobs\/?/, '');
+    const [jobId = null, resource = null] = String(rawPath).split('/').filter(Boolean);
+    return { jobId, resource };
+}
+
+/**
+ * Main API Handler
+ */
+module.exports = async (req, res) => {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    const store = new JobStore();
+    const { jobId, resource } = parseJobPath(req);
+
+    if (req.method === 'GET') {
+        if (!jobId) {
+            return res.status(200).json({
+                pipeline: 'jobs',
+                description: 'Asynchronous pipeline jobs - submit, poll and download',
+                supportedTypes: SUPPORTED_PIPELINES,
+                endpoints: {
+                    submit: 'POST /api/jobs { pipeline, companies }',
+                    status: 'GET /api/jobs/:id',
+                    results: 'GET /api/jobs/:id/results.csv',
+                    resume: 'POST /api/jobs/:id'
+                },
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const job = store.getJob(jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found', jobId });
+        }
+
+        if (!resource) {
+            return res.status(200).json(describeJob(store, job));
+        }
+
+        if (resource === 'results.csv') {
+            if (job.status !== JOB_STATUS.COMPLETED) {
+                return res.status(409).json({
+                    error: 'Job has not completed',
+                    jobId,
+                    status: job.status,
+                    statusUrl: `/api/jobs/${jobId}`
+                });
+            }
+            return streamResultsCsv(store, job, res);
+        }
+
+        return res.status(404).json({ error: `Unknown job resource: ${resource}` });
+    }
+
+    if (req.method === 'POST') {
+        try {
+            // Resume an interrupted job
+            if (jobId) {
+                const job = store.getJob(jobId);
+                if (!job) {
+                    return res.status(404).json({ error: 'Job not found', jobId });
+                }
+                if (activeJobs.has(jobId)) {
+                    return res.status(409).json({ error: 'Job is already running', jobId });
+                }
+
+                await startJob(store, jobId);
+                const resumed = store.getJob(jobId);
+                return res.status(resumed.status === JOB_STATUS.COMPLETED ? 200 : 202).json({ jobId, status: resumed.status, statusUrl: `/api/jobs/${jobId}` });
+            }
+
+            const { pipeline = 'core', companies = [], personas = null } = req.body || {};
+
+            // Validate input
+            if (!Array.isArray(companies) || companies.length === 0) {
+                return res.status(400).json({
+                    error: 'No companies provided',
+                    required: 'companies array with companyName and domain'
+                });
+            }
+
+            if (!SUPPORTED_PIPELINES.includes(String(pipeline).toLowerCase())) {
+                return res.status(400).json({
+                    error: 'Invalid pipeline type',
+                    supported: SUPPORTED_PIPELINES
+                });
+            }
+
+            try {
+                resolvePersonas(personas);
+            } catch (error) {
+                return res.status(400).json({
+                    error: 'Invalid personas',
+                    message: error.message
+                });
+            }
+
+            // Responds immediately unless RUN_IN_REQUEST - then after the first round of batches
+            const job = await submitJob(store, pipeline, companies, personas);
+
+            return res.status(job.status === JOB_STATUS.COMPLETED ? 200 : 202).json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                totalCompanies: job.totalCompanies,
+                statusUrl: `/api/jobs/${job.id}`,
+                resultsUrl: `/api/jobs/${job.id}/results.csv`
+            });
+
+        } catch (error) {
+            console.error('❌ Job API Error:', error);
+            return res.status(500).json({
+                error: 'Job submission failed',
+                message: error.message
+            });
+        }
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+};
+
+module.exports.submitJob = submitJob;
+module.exports.SUPPORTED_PIPELINES = SUPPORTED_PIPELINES;
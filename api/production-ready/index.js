@@ -13,6 +13,10 @@
 const { CorePipeline } = require('../../pipelines/core-pipeline.js');
 const { AdvancedPipeline } = require('../../pipelines/advanced-pipeline.js');
 const { PowerhousePipeline } = require('../../pipelines/powerhouse-pipeline.js');
+const { emailNameParts } = require('../../modules/PersonName');
+const { matchRole } = require('../../modules/RoleTaxonomy');
+const { resolvePersonas, extraPersonas, resultPersonas } = require('../../modules/PersonaDetection');
+const { createProvenance, provenanceColumns, PROVENANCE_CSV_FIELDS } = require('../../modules/FieldProvenance');
 
 // Production configuration - maximum speed + real data
 const PRODUCTION_CONFIG = {
@@ -41,9 +45,7 @@ function isEmailRedacted(email) {
 
 function generateCleanEmail(executiveName, companyDomain) {
     if (!executiveName || !companyDomain) return 'Not available';
-    const nameParts = executiveName.split(' ');
-    const firstName = nameParts[0]?.toLowerCase().replace(/[^a-z]/g, '') || '';
-    const lastName = nameParts[nameParts.length - 1]?.toLowerCase().replace(/[^a-z]/g, '') || '';
+    const { firstName, lastName } = emailNameParts(executiveName);
     const domain = companyDomain.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
     if (!firstName || !lastName || !domain) return 'Not available';
     return `${firstName}.${lastName}@${domain}`;
@@ -64,6 +66,27 @@ function extractEmailDomain(email) {
     return email.split('@')[1]?.toLowerCase();
 }
 
+/**
+ * cfo_email_source, cfo_email_verified_at, ... for every persona - with PROVENANCE_COLUMNS=true,
+ * like the CLI's CSV. An email rewritten below is attributed to this API as generated.
+ */
+function contactProvenance(result, emails) {
+    if (process.env.PROVENANCE_COLUMNS !== 'true') return {};
+
+    return Object.assign({}, ...resultPersonas(result).map(persona => {
+        const executive = result[persona.id];
+        const email = emails[persona.id];
+        const rewritten = executive?.email && email && email !== executive.email
+            ? {
+                ...executive,
+                email,
+                provenance: { ...executive.provenance, email: createProvenance({ module: 'api/production-ready', source: 'generated clean email' }) }
+            }
+            : executive;
+        return provenanceColumns(rewritten, persona.id, PROVENANCE_CSV_FIELDS);
+    }));
+}
+
 /**
  * EXACT CSV FIELD MAPPING FUNCTIONS
  * Maps pipeline output to match your example CSVs exactly
@@ -117,6 +140,7 @@ function mapToCoreCSV(result) {
         "CFO Phone": result.cfo?.phone || 'Not available',
         "CFO LinkedIn": result.cfo?.linkedIn || result.cfo?.linkedin || 'Not available',
         "CFO Title": result.cfo?.title || 'Not available',
+        "CFO Original Title": result.cfo?.originalTitle || '',
         "CFO Time in Role": 'Not available', // API limitation per your feedback
         "CFO Country": 'Not available', // API limitation per your feedback
         "CRO Name": result.cro?.name || 'Not available',
@@ -124,12 +148,27 @@ function mapToCoreCSV(result) {
         "CRO Phone": result.cro?.phone || 'Not available',
         "CRO LinkedIn": result.cro?.linkedIn || result.cro?.linkedin || 'Not available',
         "CRO Title": result.cro?.title || 'Not available',
+        "CRO Original Title": result.cro?.originalTitle || '',
         "CRO Time in Role": 'Not available', // API limitation per your feedback
         "CRO Country": 'Not available', // API limitation per your feedback
         "CFO Selection Reason": generateCFOSelectionReasoning(result),
         "CRO Selection Reason": generateCROSelectionReasoning(result),
         "Email Source": generateEmailSourceReasoning(result),
-        "Account Owner": result.accountOwner || 'Not available'
+        // Target persona columns (CISO Name, ...) when the run asked for them
+        ...Object.fromEntries(extraPersonas(resultPersonas(result)).flatMap(persona => {
+            const executive = result[persona.id];
+            return [
+                [`${persona.label} Name`, executive?.name || 'Not available'],
+                [`${persona.label} Email`, executive?.email || 'Not available'],
+                [`${persona.label} Phone`, executive?.phone || 'Not available'],
+                [`${persona.label} LinkedIn`, executive?.linkedIn || executive?.linkedin || 'Not available'],
+                [`${persona.label} Title`, executive?.title || 'Not available'],
+                [`${persona.label} Original Title`, executive?.originalTitle || ''],
+                [`${persona.label} Selection Reason`, executive?.waterfallReason || 'Not available']
+            ];
+        })),
+        "Account Owner": result.accountOwner || 'Not available',
+        ...contactProvenance(result, { cfo: cfoEmail, cro: croEmail })
     };
 }
 
@@ -145,34 +184,36 @@ function generateCFOSelectionReasoning(result) {
         return 'No senior finance executive identified - company may use distributed finance leadership or outsourced CFO services';
     }
     
-    const titleLower = cfoTitle.toLowerCase();
+    // Role category from config/role-taxonomy.js - 'CFO', 'VP Finance', 'Controller', 'Treasurer', ...
+    const { category, tier } = matchRole(cfoTitle, 'finance');
     
     // Check for acquisition/parent company scenarios
     const emailDomain = result.cfo?.email ? result.cfo.email.split('@')[1] : '';
     const companyDomain = website.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
     const isDifferentDomain = emailDomain && companyDomain && emailDomain !== companyDomain;
     
-    if (titleLower.includes('cfo') || titleLower.includes('chief financial officer')) {
+    // Only a tier-1 match is confirmed - other CFO-category titles fall through to "Finance Leader"
+    if (category === 'CFO' && tier === 1) {
         if (isDifferentDomain) {
             return `CFO confirmed - ${cfoName} serves as Chief Financial Officer for ${companyName}. Email domain difference suggests recent acquisition or parent company structure where financial leadership spans multiple entities`;
         }
         return `CFO confirmed - ${cfoName} holds the Chief Financial Officer position at ${companyName}, serving as the primary financial decision maker and budget authority`;
     }
     
-    if (titleLower.includes('vp finance') || titleLower.includes('finance director')) {
+    if (category === 'VP Finance') {
         const companySize = companyInfo.employeeCount || 'unknown size';
         return `VP Finance selected - ${companyName} (${companySize}) operates without a dedicated CFO, indicating a leaner finance structure. ${cfoName} as ${cfoTitle} serves as the senior finance executive with budget authority and strategic financial oversight`;
     }
     
-    if (titleLower.includes('controller') || titleLower.includes('chief accounting officer')) {
+    if (category === 'Controller') {
         return `Controller selected - ${companyName} uses a Controller-led finance model, common in mid-market companies or subsidiaries. ${cfoName} as ${cfoTitle} manages financial operations, reporting, and likely has significant budget influence despite not holding CFO title`;
     }
     
-    if (titleLower.includes('treasurer')) {
+    if (category === 'Treasurer') {
         return `Treasurer identified - ${cfoName} manages treasury operations and financial planning at ${companyName}. This structure suggests either a large corporation with specialized roles or a company where treasury functions are elevated due to complex financial operations`;
     }
     
-    if (titleLower.includes('finance') && (titleLower.includes('vp') || titleLower.includes('director'))) {
+    if (category === 'Finance Executive') {
         return `Senior Finance Executive - ${cfoName} (${cfoTitle}) identified as the highest-ranking finance professional at ${companyName}. The absence of a CFO title suggests either a startup/growth-stage company or a subsidiary where parent company CFO oversees strategic finance`;
     }
     
@@ -191,38 +232,39 @@ function generateCROSelectionReasoning(result) {
         return 'No dedicated revenue leader identified - company may use CEO-led sales, distributed revenue teams, or channel partner model';
     }
     
-    const titleLower = croTitle.toLowerCase();
+    // Role category from config/role-taxonomy.js - 'CRO', 'CSO', 'VP Sales', 'Head of Sales', ...
+    const { category, tier } = matchRole(croTitle, 'revenue');
     
     // Check for acquisition/parent company scenarios
     const emailDomain = result.cro?.email ? result.cro.email.split('@')[1] : '';
     const companyDomain = website.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
     const isDifferentDomain = emailDomain && companyDomain && emailDomain !== companyDomain;
     
-    if (titleLower.includes('cro') || titleLower.includes('chief revenue officer')) {
+    if (category === 'CRO' && tier === 1) {
         if (isDifferentDomain) {
             return `CRO confirmed - ${croName} serves as Chief Revenue Officer for ${companyName}. Email domain difference indicates recent acquisition or parent company revenue structure spanning multiple business units`;
         }
         return `CRO confirmed - ${croName} holds the Chief Revenue Officer position at ${companyName}, responsible for all revenue generation, sales strategy, and go-to-market execution`;
     }
     
-    if (titleLower.includes('cso') || titleLower.includes('chief sales officer')) {
+    if (category === 'CSO') {
         return `CSO identified - ${croName} as ${croTitle} leads the sales organization at ${companyName}. CSO structure typically indicates a sales-focused approach with dedicated revenue operations and marketing alignment`;
     }
     
-    if (titleLower.includes('vp sales') || titleLower.includes('vp of sales')) {
+    if (category === 'VP Sales') {
         const companySize = companyInfo.employeeCount || 'unknown size';
         return `VP Sales selected - ${companyName} (${companySize}) operates without a dedicated CRO, indicating either a founder-led sales model or leaner go-to-market structure. ${croName} as ${croTitle} owns revenue targets and sales execution`;
     }
     
-    if (titleLower.includes('vp revenue') || titleLower.includes('vp of revenue')) {
+    if (category === 'VP Revenue') {
         return `VP Revenue identified - ${croName} focuses specifically on revenue operations and growth at ${companyName}. This specialized role suggests a data-driven revenue approach with emphasis on metrics, forecasting, and revenue optimization`;
     }
     
-    if (titleLower.includes('head of sales') || titleLower.includes('sales director')) {
+    if (category === 'Head of Sales') {
         return `Sales Leader identified - ${croName} (${croTitle}) serves as the senior sales executive at ${companyName}. This structure is common in mid-market companies or subsidiaries where sales leadership reports to parent company CRO`;
     }
     
-    if (titleLower.includes('vp business development') || titleLower.includes('business development')) {
+    if (category === 'VP Business Development') {
         return `Business Development Leader - ${croName} (${croTitle}) identified as revenue growth leader at ${companyName}. BD-focused structure suggests partnership-driven or strategic revenue model rather than traditional direct sales`;
     }
     
@@ -622,7 +664,7 @@ module.exports = async (req, res) => {
                 'SBI Methodology integration for Powerhouse'
             ],
             csvStructures: {
-                core: 'Website,Company Name,CFO Name,CFO Email,CFO Phone,CFO LinkedIn,CFO Title,CFO Time in Role,CFO Country,CRO Name,CRO Email,CRO Phone,CRO LinkedIn,CRO Title,CRO Time in Role,CRO Country,CFO Selection Reason,CRO Selection Reason,Email Source,Account Owner',
+                core: 'Website,Company Name,CFO Name,CFO Email,CFO Phone,CFO LinkedIn,CFO Title,CFO Original Title,CFO Time in Role,CFO Country,CRO Name,CRO Email,CRO Phone,CRO LinkedIn,CRO Title,CRO Original Title,CRO Time in Role,CRO Country,CFO Selection Reason,CRO Selection Reason,Email Source,Account Owner',
                 advanced: 'Website,Company Name,Industry,Industry Vertical,Executive Stability Risk,Deal Complexity Assessment,Competitive Context Analysis,Industry Analysis Reasoning,Account Owner',
                 powerhouse: 'Website,Company Name,Decision Maker,Decision Maker Role,Champion,Champion Role,Stakeholder,Stakeholder Role,Blocker,Blocker Role,Introducer,Introducer Role,Budget Authority Mapping,Procurement Maturity Score,Decision Style Analysis,Sales Cycle Prediction,Buyer Group Flight Risk,Routing Intelligence Strategy 1,Routing Intelligence Strategy 2,Routing Intelligence Strategy 3,Routing Intelligence Explanation,Buyer Group Analysis Reasoning,Account Owner'
             },
@@ -636,6 +678,7 @@ module.exports = async (req, res) => {
             const { 
                 pipeline = 'core', 
                 companies = [],
+                personas = null, // extra target personas, e.g. ['ciso', 'cmo']
                 outputFormat = 'json' // 'json' or 'csv'
             } = req.body;
 
@@ -646,6 +689,15 @@ module.exports = async (req, res) => {
                 });
             }
 
+            try {
+                resolvePersonas(personas);
+            } catch (error) {
+                return res.status(400).json({
+                    error: 'Invalid personas',
+                    message: error.message
+                });
+            }
+
             console.log(`🚀 PRODUCTION READY UPGRADED: ${pipeline.toUpperCase()}`);
             console.log(`📊 Companies: ${companies.length}`);
             console.log(`⚡ ALL PARALLEL - NO BATCHING`);
@@ -660,7 +712,8 @@ module.exports = async (req, res) => {
                 USE_REAL_APIS_ONLY: true,
                 NO_SYNTHETIC_DATA: true,
                 SBI_METHODOLOGY: require('../../config/sbi-methodology.js'),
-                USE_SBI_INTELLIGENCE: pipeline.toLowerCase() === 'powerhouse'
+                USE_SBI_INTELLIGENCE: pipeline.toLowerCase() === 'powerhouse',
+                TARGET_PERSONAS: personas
             };
 
             switch (pipeline.toLowerCase()) {
@@ -6,40 +6,10 @@
  */
 
 const { ExecutiveResearch } = require('../../modules/ExecutiveResearch.js');
+const { toExpectedCompanies, matchesExpected } = require('../../modules/AccuracyHarness');
 
-// Test with known companies and their actual executives
-const VALIDATION_COMPANIES = [
-    {
-        companyName: 'Salesforce',
-        domain: 'salesforce.com',
-        expectedCFO: 'Amy Weaver',
-        expectedCRO: 'Gavin Patterson'
-    },
-    {
-        companyName: 'Microsoft',
-        domain: 'microsoft.com', 
-        expectedCFO: 'Amy Hood',
-        expectedCRO: 'Judson Althoff'
-    },
-    {
-        companyName: 'Adobe',
-        domain: 'adobe.com',
-        expectedCFO: 'Dan Durn',
-        expectedCRO: 'David Wadhwani'
-    },
-    {
-        companyName: 'HubSpot',
-        domain: 'hubspot.com',
-        expectedCFO: 'Kathryn Bueker', 
-        expectedCRO: 'Yamini Rangan'
-    },
-    {
-        companyName: 'Zoom',
-        domain: 'zoom.us',
-        expectedCFO: 'Kelly Steckelberg',
-        expectedCRO: 'Ryan Azus'
-    }
-];
+// Known companies and their actual executives - inputs/golden/golden-set.json
+const VALIDATION_COMPANIES = toExpectedCompanies().slice(0, 5);
 
 // Validate a single company's data
 async function validateCompanyData(company) {
@@ -61,8 +31,8 @@ async function validateCompanyData(company) {
         const processingTime = Date.now() - startTime;
         
         // Check accuracy
-        const cfoMatch = result.cfo?.name?.toLowerCase().includes(company.expectedCFO.toLowerCase().split(' ')[1]);
-        const croMatch = result.cro?.name?.toLowerCase().includes(company.expectedCRO.toLowerCase().split(' ')[1]);
+        const cfoMatch = matchesExpected('name', company.roles.cfo, result.cfo?.name);
+        const croMatch = matchesExpected('name', company.roles.cro, result.cro?.name);
         
         return {
             company: company.companyName,
@@ -7,11 +7,22 @@
  * - API health checks and validation
  * - Progress tracking and error recovery
  * - Memory and timeout management
+ * - Spend budgets (ApiCostOptimizer) - a run whose projected cost does not fit the hard budget is
+ *   refused (402) before any company runs, and batches stop starting once the budget is spent
  */
 
 const { CorePipeline } = require('../../pipelines/core-pipeline.js');
 const { AdvancedPipeline } = require('../../pipelines/advanced-pipeline.js');
 const { PowerhousePipeline } = require('../../pipelines/powerhouse-pipeline.js');
+const { createProviders, PROVIDER_ERROR_KINDS } = require('../../modules/providers/ProviderRegistry');
+const { getRateGovernor, governedFetch } = require('../../modules/providers/RateGovernor');
+const { RATE_LIMITS } = require('../../config/rate-limits');
+const { PIPELINE_TIERS } = require('../../config/pipeline-tiers');
+const { BudgetExceededError, BUDGET_LEVELS, getSharedCostOptimizer } = require('../../modules/ApiCostOptimizer');
+const { namesMatch } = require('../../modules/PersonName');
+const { matchRole, isFinanceTitle, isRevenueTitle, isGeneralManagementTitle } = require('../../modules/RoleTaxonomy');
+const { resolvePersonas, extraPersonas, resultPersonas } = require('../../modules/PersonaDetection');
+const { provenanceColumns, PROVENANCE_CSV_FIELDS } = require('../../modules/FieldProvenance');
 
 // VERCEL-OPTIMIZED CONFIGURATION (CONSERVATIVE - Fixed for Vercel Pro 5-minute limit)
 const VERCEL_CONFIG = {
@@ -32,49 +43,12 @@ const VERCEL_CONFIG = {
     MEMORY_CLEANUP_INTERVAL: 10,   // Cleanup every 10 companies
     MAX_RETRIES: 2,                // Retry failed companies twice
     
-    // API rate limits (requests per minute)
-    RATE_LIMITS: {
-        prospeo: 60,               // Prospeo: 60/min (PRIMARY BOTTLENECK)
-        coresignal: 100,           // CoreSignal: 100/min
-        lusha: 200,                // Lusha: 200/min
-        zerobounce: 100,           // ZeroBounce: 100/min
-        openai: 50,                // OpenAI: 50/min
-        perplexity: 60             // Perplexity: 60/min
-    }
+    // API rate limits (requests per minute) - enforced by the shared RateGovernor
+    RATE_LIMITS
 };
 
-/**
- * Rate Limiter Class - Prevents API quota exhaustion
- */
-class RateLimiter {
-    constructor() {
-        this.apiCalls = {};
-        this.windows = {};
-    }
-    
-    async checkLimit(apiName, limit = 60) {
-        const now = Date.now();
-        const windowStart = Math.floor(now / 60000) * 60000; // 1-minute windows
-        
-        if (!this.apiCalls[apiName] || this.windows[apiName] !== windowStart) {
-            this.apiCalls[apiName] = 0;
-            this.windows[apiName] = windowStart;
-        }
-        
-        if (this.apiCalls[apiName] >= limit) {
-            const waitTime = 60000 - (now - windowStart) + 1000; // Wait until next window + 1s buffer
-            console.log(`🚦 Rate limit reached for ${apiName}. Waiting ${Math.round(waitTime/1000)}s...`);
-            await this.delay(waitTime);
-            return this.checkLimit(apiName, limit);
-        }
-        
-        this.apiCalls[apiName]++;
-        return true;
-    }
-    
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 /**
@@ -83,7 +57,8 @@ class RateLimiter {
 class APIHealthChecker {
     constructor(config) {
         this.config = config;
-        this.rateLimiter = new RateLimiter();
+        // Health probes fail fast - no retries
+        this.providers = createProviders({ ...config, PROVIDER_MAX_RETRIES: 0 });
     }
     
     async checkAllAPIs() {
@@ -107,7 +82,6 @@ class APIHealthChecker {
         
         for (const api of apiChecks) {
             try {
-                await this.rateLimiter.checkLimit(api.name, VERCEL_CONFIG.RATE_LIMITS[api.name]);
                 const result = await api.check();
                 results.apis[api.name] = {
                     status: 'healthy',
@@ -125,7 +99,7 @@ class APIHealthChecker {
             }
             
             // Small delay between API checks
-            await this.rateLimiter.delay(VERCEL_CONFIG.API_DELAY);
+            await delay(VERCEL_CONFIG.API_DELAY);
         }
         
         // Determine overall health
@@ -144,51 +118,54 @@ class APIHealthChecker {
         return results;
     }
     
+    /**
+     * Run an adapter call as a reachability probe - a rejection of the test
+     * payload itself (bad_request / not_found) still proves the key works
+     */
+    async probe(call) {
+        try {
+            return await call();
+        } catch (error) {
+            if (error.kind === PROVIDER_ERROR_KINDS.BAD_REQUEST || error.kind === PROVIDER_ERROR_KINDS.NOT_FOUND) {
+                return null;
+            }
+            throw error;
+        }
+    }
+    
     async checkCoreSignal() {
         const startTime = Date.now();
         if (!this.config.CORESIGNAL_API_KEY) throw new Error('Missing CORESIGNAL_API_KEY');
         
         // Use the exact working pattern from ExecutiveResearch.js
         try {
-            const response = await fetch('https://api.coresignal.com/cdapi/v2/employee_multi_source/search/es_dsl', {
-                method: 'POST',
-                headers: {
-                    'apikey': this.config.CORESIGNAL_API_KEY,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    query: {
-                        bool: {
-                            must: [
-                                {
-                                    bool: {
-                                        should: [
-                                            { match: { "company_name": "Microsoft" } }
-                                        ]
-                                    }
-                                },
-                                {
-                                    bool: {
-                                        should: [
-                                            { match: { "title": "CEO" } }
-                                        ]
-                                    }
+            await this.probe(() => this.providers.coresignal.searchEmployees({
+                query: {
+                    bool: {
+                        must: [
+                            {
+                                bool: {
+                                    should: [
+                                        { match: { "company_name": "Microsoft" } }
+                                    ]
                                 }
-                            ]
-                        }
+                            },
+                            {
+                                bool: {
+                                    should: [
+                                        { match: { "title": "CEO" } }
+                                    ]
+                                }
+                            }
+                        ]
                     }
-                })
-            });
-            
-            // Accept both success and expected error responses
-            if (response.ok || response.status === 400 || response.status === 422) {
-                return {
-                    responseTime: Date.now() - startTime,
-                    details: 'CoreSignal API accessible (using exact working pattern)'
-                };
-            }
+                }
+            }));
             
-            throw new Error(`HTTP ${response.status}`);
+            return {
+                responseTime: Date.now() - startTime,
+                details: 'CoreSignal API accessible (using exact working pattern)'
+            };
         } catch (error) {
             throw new Error(`CoreSignal API check failed: ${error.message}`);
         }
@@ -198,16 +175,8 @@ class APIHealthChecker {
         const startTime = Date.now();
         if (!this.config.LUSHA_API_KEY) throw new Error('Missing LUSHA_API_KEY');
         
-        // Minimal test call to Lusha
-        const response = await fetch('https://api.lusha.com/person', {
-            method: 'GET',
-            headers: {
-                'api_key': this.config.LUSHA_API_KEY,
-                'Content-Type': 'application/json'
-            }
-        });
-        
-        if (!response.ok && response.status !== 400) throw new Error(`HTTP ${response.status}`);
+        // Empty person lookup - Lusha answers 400 once the key is accepted
+        await this.probe(() => this.providers.lusha.findPerson({}));
         
         return {
             responseTime: Date.now() - startTime,
@@ -220,15 +189,11 @@ class APIHealthChecker {
         if (!this.config.ZEROBOUNCE_API_KEY) throw new Error('Missing ZEROBOUNCE_API_KEY');
         
         // Check credits/status
-        const response = await fetch(`https://api.zerobounce.net/v2/getcredits?api_key=${this.config.ZEROBOUNCE_API_KEY}`);
-        
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-        
-        const data = await response.json();
+        const credits = await this.providers.zerobounce.getCredits();
         
         return {
             responseTime: Date.now() - startTime,
-            details: `Credits available: ${data.Credits || 'Unknown'}`
+            details: `Credits available: ${Number.isFinite(credits) ? credits : 'Unknown'}`
         };
     }
     
@@ -238,28 +203,16 @@ class APIHealthChecker {
         
         // Use the exact working pattern from ContactValidator.js
         try {
-            const response = await fetch('https://api.prospeo.io/email-finder', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-KEY': this.config.PROSPEO_API_KEY
-                },
-                body: JSON.stringify({
-                    first_name: 'Test',
-                    last_name: 'User',
-                    company: 'example.com'
-                })
-            });
+            await this.probe(() => this.providers.prospeo.findEmail({
+                firstName: 'Test',
+                lastName: 'User',
+                domain: 'example.com'
+            }));
             
-            // Accept both success and expected error responses (400 is normal for test data)
-            if (response.ok || response.status === 400) {
-                return {
-                    responseTime: Date.now() - startTime,
-                    details: 'Prospeo email-finder API accessible (using exact working pattern)'
-                };
-            }
-            
-            throw new Error(`HTTP ${response.status}`);
+            return {
+                responseTime: Date.now() - startTime,
+                details: 'Prospeo email-finder API accessible (using exact working pattern)'
+            };
         } catch (error) {
             throw new Error(`Prospeo API check failed: ${error.message}`);
         }
@@ -270,7 +223,7 @@ class APIHealthChecker {
         if (!this.config.OPENAI_API_KEY) throw new Error('Missing OPENAI_API_KEY');
         
         // Minimal test call
-        const response = await fetch('https://api.openai.com/v1/models', {
+        const response = await governedFetch('https://api.openai.com/v1/models', {
             headers: {
                 'Authorization': `Bearer ${this.config.OPENAI_API_KEY}`,
                 'Content-Type': 'application/json'
@@ -306,10 +259,11 @@ class APIHealthChecker {
  * Batch Processor - Handles intelligent batching for all pipeline types
  */
 class BatchProcessor {
-    constructor(pipelineType, config) {
+    constructor(pipelineType, config, hooks = {}) {
         this.pipelineType = pipelineType;
         this.config = config;
-        this.rateLimiter = new RateLimiter();
+        // Optional progress hooks: onCompanyStart(company), onCompanyComplete(company, outcome)
+        this.hooks = hooks;
         
         // Initialize pipeline instance
         switch (pipelineType.toLowerCase()) {
@@ -328,6 +282,10 @@ class BatchProcessor {
             default:
                 throw new Error(`Invalid pipeline type: ${pipelineType}`);
         }
+
+        // Same budget guard as PipelineEngine.processCompanies - the process-wide tracker the adapters report to
+        this.tier = PIPELINE_TIERS[pipelineType.toLowerCase()];
+        this.budget = this.pipeline.apiCostOptimizer || getSharedCostOptimizer();
     }
     
     chunkArray(array, size) {
@@ -345,7 +303,8 @@ class BatchProcessor {
             console.log(`  🔄 [${companyIndex + 1}] Processing: ${company.companyName}`);
             
             // Rate limiting before processing each company
-            await this.rateLimiter.checkLimit('batch_processing', 30); // 30 companies per minute max
+            const release = await getRateGovernor().acquire('batch_processing', { perMinute: 30, burst: VERCEL_CONFIG.CORE_BATCH_SIZE }); // 30 companies per minute max
+            release();
             
             // Process single company
             const companyData = {
@@ -355,8 +314,9 @@ class BatchProcessor {
                 isTop1000: company.isTop1000 || false
             };
             
+            const scope = {};
             const result = await Promise.race([
-                this.pipeline.processCompany(companyData, companyIndex + 1),
+                this.budget.runForCompany(companyData, () => this.pipeline.processCompany(companyData, companyIndex + 1), scope),
                 new Promise((_, reject) => 
                     setTimeout(() => reject(new Error('Company timeout')), VERCEL_CONFIG.COMPANY_TIMEOUT)
                 )
@@ -364,6 +324,23 @@ class BatchProcessor {
             
             const processingTime = Date.now() - companyStartTime;
             
+            // Provider calls refused at the hard budget - an incomplete result, held back for the next run
+            if (scope.budgetRefused) {
+                return {
+                    success: false,
+                    budgetRefused: true,
+                    error: {
+                        company,
+                        error: `Budget reached: ${this.budget.getBudgetStatus().reason}`,
+                        budgetRefused: true,
+                        processingTime,
+                        batchIndex,
+                        companyIndex
+                    },
+                    processingTime
+                };
+            }
+
             if (result) {
                 return {
                     success: true,
@@ -419,8 +396,17 @@ class BatchProcessor {
         for (let i = 0; i < companies.length; i++) {
             const company = companies[i];
             
+            if (this.hooks.onCompanyStart) {
+                await this.hooks.onCompanyStart(company);
+            }
+            
             const companyPromise = this.processCompanyWithTimeout(company, i, batchIndex);
-            companyPromises.push(companyPromise);
+            companyPromises.push(this.hooks.onCompanyComplete
+                ? companyPromise.then(async outcome => {
+                    await this.hooks.onCompanyComplete(company, outcome);
+                    return outcome;
+                })
+                : companyPromise);
             
             // Process companies in chunks within the batch
             if (companyPromises.length >= maxConcurrentCompanies || i === companies.length - 1) {
@@ -458,7 +444,7 @@ class BatchProcessor {
                 
                 // Small delay between parallel chunks within batch
                 if (i < companies.length - 1) {
-                    await this.rateLimiter.delay(1000); // 1 second pause between chunks
+                    await delay(1000); // 1 second pause between chunks
                 }
             }
         }
@@ -469,23 +455,43 @@ class BatchProcessor {
         return { results, errors, batchDuration };
     }
     
-    async processAllBatches(companies) {
+    /**
+     * @param {Object} options - runId: spend attribution (a job's ledger id keeps a resumed job's spend together)
+     * @throws {BudgetExceededError} before any company runs when the projected cost does not fit the hard budget
+     */
+    async processAllBatches(companies, { runId } = {}) {
         const startTime = Date.now();
         const batches = this.chunkArray(companies, this.batchSize);
         
         console.log(`\n🎯 ${this.pipelineType.toUpperCase()} PIPELINE: Processing ${companies.length} companies in ${batches.length} batches`);
         console.log(`📊 Batch size: ${this.batchSize} companies`);
         console.log(`⏱️ Estimated time: ${Math.round(batches.length * 3)} minutes`);
+
+        this.budget.startRun(runId);
+        const projected = this.budget.projectRunCost(companies.length, this.tier?.estimatedCostPerCompany);
+        this.budget.assertWithinBudget(projected);
+        console.log(`💸 Projected cost: $${projected.toFixed(2)} for ${companies.length} companies ($${this.budget.monthSpend().toFixed(2)} of $${this.budget.config.MONTHLY_BUDGET} spent this month)`);
         
         const allResults = [];
         const allErrors = [];
         let totalProcessingTime = 0;
+        let budgetSkipped = 0;
         
         // Process batches in parallel with controlled concurrency
         const maxConcurrentBatches = Math.min(3, batches.length); // Process up to 3 batches simultaneously
         const batchPromises = [];
         
         for (let i = 0; i < batches.length; i++) {
+            // Checked before each round of parallel batches - companies not started stay unprocessed
+            if (batchPromises.length === 0) {
+                const budgetStatus = this.budget.getBudgetStatus();
+                if (budgetStatus.level === BUDGET_LEVELS.HARD) {
+                    budgetSkipped = batches.slice(i).reduce((count, batch) => count + batch.length, 0);
+                    console.log(`\n🛑 Budget: ${budgetStatus.reason} - stopping with ${budgetSkipped} companies unprocessed`);
+                    break;
+                }
+            }
+
             const batchPromise = Promise.race([
                 this.processBatch(batches[i], i, batches.length),
                 new Promise((_, reject) => 
@@ -530,11 +536,12 @@ class BatchProcessor {
                 // Small delay between parallel chunks to respect rate limits
                 if (i < batches.length - 1) {
                     console.log(`⏳ Brief pause between parallel chunks...`);
-                    await this.rateLimiter.delay(2000); // 2 second pause
+                    await delay(2000); // 2 second pause
                 }
             }
         }
         
+        budgetSkipped += allErrors.filter(error => error.budgetRefused).length;
         const totalDuration = Date.now() - startTime;
         
         console.log(`\n🏁 ${this.pipelineType.toUpperCase()} PIPELINE COMPLETE:`);
@@ -553,7 +560,9 @@ class BatchProcessor {
                 total_duration_seconds: totalDuration / 1000,
                 success_rate: (allResults.length / companies.length) * 100,
                 batches_processed: batches.length,
-                average_batch_time: totalProcessingTime / batches.length / 1000
+                average_batch_time: totalProcessingTime / batches.length / 1000,
+                budget_skipped: budgetSkipped,
+                budget: this.budget.getBudgetStatus()
             }
         };
     }
@@ -562,6 +571,12 @@ class BatchProcessor {
 /**
  * CSV Field Mapping Functions (same as production-ready)
  */
+
+// email_source, email_verified_at, ... for one executive row - with PROVENANCE_COLUMNS=true, like the CLI's CSV
+function contactProvenance(executive) {
+    return process.env.PROVENANCE_COLUMNS === 'true' ? provenanceColumns(executive, null, PROVENANCE_CSV_FIELDS) : {};
+}
+
 function mapToCoreCSV(result) {
     // Create separate rows for CFO and CRO
     const rows = [];
@@ -571,19 +586,7 @@ function mapToCoreCSV(result) {
         if (!cfo?.name || !cro?.name || cfo.name === 'Not available' || cro.name === 'Not available') {
             return false;
         }
-        return cfo.name.trim().toLowerCase() === cro.name.trim().toLowerCase();
-    };
-    
-    const isFinanceTitle = (title) => {
-        const t = (title || '').toLowerCase();
-        return t.includes('chief financial officer') || t.includes('cfo') || 
-               t.includes('finance') && !t.includes('ceo') && !t.includes('president');
-    };
-    
-    const isRevenueTitle = (title) => {
-        const t = (title || '').toLowerCase();
-        return t.includes('chief revenue officer') || t.includes('cro') || 
-               t.includes('chief sales officer') || t.includes('sales') && !t.includes('ceo');
+        return namesMatch(cfo.name, cro.name);
     };
     
     // Check for duplicate assignment and resolve
@@ -600,9 +603,7 @@ function mapToCoreCSV(result) {
         } else if (isRevenueTitle(result.cro?.title)) {
             console.log(`   🔧 Keeping CRO (has revenue title), removing CFO assignment`);
             finalCFO = null;
-        } else if (result.cfo?.title?.toLowerCase().includes('ceo') || 
-                   result.cfo?.title?.toLowerCase().includes('president') ||
-                   result.cfo?.title?.toLowerCase().includes('founder')) {
+        } else if (isGeneralManagementTitle(result.cfo?.title)) {
             console.log(`   ✅ Allowing dual role for CEO/President/Founder: ${result.cfo?.title}`);
             // Keep both - legitimate dual role for small companies
         } else {
@@ -622,6 +623,7 @@ function mapToCoreCSV(result) {
                 : (result.acquisitionIntelligence?.parentCompany || result.corporateStructure?.parentCompany || 'N/A'),
             "Executive Name": finalCFO.name,
             "Title": finalCFO.title || 'Not available',
+            "Original Title": finalCFO.originalTitle || '',
             "Role": 'CFO',
             "Email": finalCFO.email || 'Not available',
             "Phone": finalCFO.phone || 'Not available',
@@ -629,7 +631,8 @@ function mapToCoreCSV(result) {
             "Confidence": finalCFO.confidence || 'Not available',
             "Research Method": result.researchMethod || 'standard_research',
             "Selection Reason": generateCFOSelectionReasoning(result, finalCFO),
-            "Account Owner": result.accountOwner || 'Not available'
+            "Account Owner": result.accountOwner || 'Not available',
+            ...contactProvenance(finalCFO)
         });
     }
     
@@ -644,6 +647,7 @@ function mapToCoreCSV(result) {
                 : (result.acquisitionIntelligence?.parentCompany || result.corporateStructure?.parentCompany || 'N/A'),
             "Executive Name": finalCRO.name,
             "Title": finalCRO.title || 'Not available',
+            "Original Title": finalCRO.originalTitle || '',
             "Role": 'CRO',
             "Email": finalCRO.email || 'Not available',
             "Phone": finalCRO.phone || 'Not available',
@@ -651,9 +655,37 @@ function mapToCoreCSV(result) {
             "Confidence": finalCRO.confidence || 'Not available',
             "Research Method": result.researchMethod || 'standard_research',
             "Selection Reason": generateCROSelectionReasoning(result, finalCRO),
-            "Account Owner": result.accountOwner || 'Not available'
+            "Account Owner": result.accountOwner || 'Not available',
+            ...contactProvenance(finalCRO)
         });
     }
+
+    // Target persona rows (CISO, CMO, ...) when the run asked for them
+    extraPersonas(resultPersonas(result)).forEach(persona => {
+        const executive = result[persona.id];
+        if (!executive?.name || executive.name === 'Not available') return;
+
+        rows.push({
+            "Website": result.website || 'Not available',
+            "Company Name": result.companyName || 'Not available',
+            "Status": result.operationalStatus || (result.companyStatus === 'acquired' ? 'acquired' : 'active'),
+            "Parent Company": (typeof (result.acquisitionIntelligence?.parentCompany || result.corporateStructure?.parentCompany) === 'object')
+                ? ((result.acquisitionIntelligence?.parentCompany || result.corporateStructure?.parentCompany)?.name || 'N/A')
+                : (result.acquisitionIntelligence?.parentCompany || result.corporateStructure?.parentCompany || 'N/A'),
+            "Executive Name": executive.name,
+            "Title": executive.title || 'Not available',
+            "Original Title": executive.originalTitle || '',
+            "Role": persona.label,
+            "Email": executive.email || 'Not available',
+            "Phone": executive.phone || 'Not available',
+            "LinkedIn": executive.linkedIn || executive.linkedin || 'Not available',
+            "Confidence": executive.confidence || 'Not available',
+            "Research Method": result.researchMethod || 'standard_research',
+            "Selection Reason": executive.waterfallReason || `${persona.label} selected from ${executive.source || 'executive research'}`,
+            "Account Owner": result.accountOwner || 'Not available',
+            ...contactProvenance(executive)
+        });
+    });
     
     return rows;
 }
@@ -710,29 +742,20 @@ function generateCFOSelectionReasoning(result, executive = null) {
         return 'No senior finance executive identified - requires additional research';
     }
     
-    const titleLower = cfoTitle.toLowerCase();
+    const match = matchRole(cfoTitle, 'finance');
     
-    if (titleLower.includes('cfo') || titleLower.includes('chief financial officer')) {
+    if (match.category === 'CFO' && match.tier === 1) {
         return `CFO confirmed - ${cfoName} serves as Chief Financial Officer with budget authority`;
     }
     
     // CRITICAL FIX: Prevent revenue executives from being assigned as CFO
-    const isRevenueRole = titleLower.includes('cro') || titleLower.includes('chief revenue') ||
-                         titleLower.includes('cso') || titleLower.includes('chief sales') ||
-                         titleLower.includes('sales') || titleLower.includes('revenue') ||
-                         titleLower.includes('commercial') || titleLower.includes('business development');
-    
-    if (isRevenueRole) {
+    if (match.excluded?.id === 'area:revenue') {
         console.log(`🚫 BLOCKED CFO ASSIGNMENT: ${cfoName} (${cfoTitle}) is a revenue role, not finance`);
         return 'Revenue executive incorrectly identified - not a finance role';
     }
     
     // Check if it's actually a finance role
-    const isFinanceRole = titleLower.includes('finance') || titleLower.includes('financial') ||
-                         titleLower.includes('controller') || titleLower.includes('accounting') ||
-                         titleLower.includes('treasurer');
-    
-    if (!isFinanceRole) {
+    if (match.tier === null) {
         console.log(`⚠️ NON-FINANCE CFO: ${cfoName} (${cfoTitle}) - not a typical finance role`);
         return `Non-finance executive - ${cfoName} (${cfoTitle}) may handle finance in smaller company structure`;
     }
@@ -749,29 +772,20 @@ function generateCROSelectionReasoning(result, executive = null) {
         return 'No dedicated revenue leader identified - requires additional research';
     }
     
-    const titleLower = croTitle.toLowerCase();
+    const match = matchRole(croTitle, 'revenue');
     
-    if (titleLower.includes('cro') || titleLower.includes('chief revenue officer')) {
+    if (match.category === 'CRO' && match.tier === 1) {
         return `CRO confirmed - ${croName} serves as Chief Revenue Officer with revenue responsibility`;
     }
     
     // CRITICAL FIX: Prevent finance executives from being assigned as CRO
-    const isFinanceRole = titleLower.includes('cfo') || titleLower.includes('chief financial') ||
-                         titleLower.includes('finance') || titleLower.includes('financial') ||
-                         titleLower.includes('controller') || titleLower.includes('accounting') ||
-                         titleLower.includes('treasurer');
-    
-    if (isFinanceRole) {
+    if (match.excluded?.id === 'area:finance') {
         console.log(`🚫 BLOCKED CRO ASSIGNMENT: ${croName} (${croTitle}) is a finance role, not revenue`);
         return 'Finance executive incorrectly identified - not a revenue role';
     }
     
     // Check if it's actually a revenue role
-    const isRevenueRole = titleLower.includes('sales') || titleLower.includes('revenue') ||
-                         titleLower.includes('commercial') || titleLower.includes('business development') ||
-                         titleLower.includes('cso') || titleLower.includes('chief sales');
-    
-    if (!isRevenueRole) {
+    if (match.tier === null) {
         console.log(`⚠️ NON-REVENUE CRO: ${croName} (${croTitle}) - not a typical revenue role`);
         return `Non-revenue executive - ${croName} (${croTitle}) may handle revenue in smaller company structure`;
     }
@@ -800,6 +814,73 @@ function generateEmailSourceReasoning(result) {
     return reasoning.join(' | ');
 }
 
+/**
+ * Pipeline configuration from environment for Vercel runs
+ *
+ * @param {Object} options - personas: extra target persona ids for the core tier (e.g. ['ciso'])
+ */
+function createPipelineConfig(pipeline, { personas = null } = {}) {
+    return {
+        PERPLEXITY_API_KEY: process.env.PERPLEXITY_API_KEY?.trim(),
+        OPENAI_API_KEY: process.env.OPENAI_API_KEY?.trim(),
+        CORESIGNAL_API_KEY: process.env.CORESIGNAL_API_KEY?.trim(),
+        LUSHA_API_KEY: process.env.LUSHA_API_KEY?.trim(),
+        ZEROBOUNCE_API_KEY: process.env.ZEROBOUNCE_API_KEY?.trim(),
+        PROSPEO_API_KEY: process.env.PROSPEO_API_KEY?.trim(),
+        MYEMAILVERIFIER_API_KEY: process.env.MYEMAILVERIFIER_API_KEY?.trim(),
+        // Vercel optimizations
+        PARALLEL_PROCESSING: true,
+        MAX_PARALLEL_COMPANIES: VERCEL_CONFIG[`${pipeline.toUpperCase()}_BATCH_SIZE`],
+        MAX_PARALLEL_APIS: 3,
+        REDUCED_DELAYS: true,
+        CACHE_ENABLED: false, // Disable file caching for Vercel
+        AGGRESSIVE_CACHING: false,
+        TARGET_PERSONAS: personas
+    };
+}
+
+/**
+ * Map raw pipeline results to CSV rows for the pipeline tier
+ */
+function mapResultsToCSV(pipeline, results) {
+    const csvResults = [];
+    results.forEach(result => {
+        let mappedResult;
+        switch (pipeline.toLowerCase()) {
+            case 'core':
+                mappedResult = mapToCoreCSV(result);
+                break;
+            case 'advanced':
+                mappedResult = mapToAdvancedCSV(result);
+                break;
+            case 'powerhouse':
+                mappedResult = mapToPowerhouseCSV(result);
+                break;
+            default:
+                mappedResult = [result];
+                break;
+        }
+        
+        // Handle both single results and arrays of results
+        if (Array.isArray(mappedResult)) {
+            csvResults.push(...mappedResult);
+        } else {
+            csvResults.push(mappedResult);
+        }
+    });
+    return csvResults;
+}
+
+/**
+ * Quote a CSV row (FIXED formatting)
+ */
+function formatCSVRow(headers, row) {
+    return headers.map(header => {
+        const value = (row[header] || '').toString().replace(/"/g, '""');
+        return `"${value}"`;
+    }).join(',');
+}
+
 /**
  * Main API Handler
  */
@@ -843,6 +924,7 @@ module.exports = async (req, res) => {
             const { 
                 pipeline = 'core', 
                 companies = [],
+                personas = null, // extra target personas, e.g. ['ciso', 'cmo']
                 mode = 'process' // 'process' or 'health-check'
             } = req.body || {};
 
@@ -886,6 +968,15 @@ module.exports = async (req, res) => {
                 });
             }
 
+            try {
+                resolvePersonas(personas);
+            } catch (error) {
+                return res.status(400).json({
+                    error: 'Invalid personas',
+                    message: error.message
+                });
+            }
+
             console.log(`\n🚀 VERCEL-OPTIMIZED PIPELINE: ${pipeline.toUpperCase()}`);
             console.log(`📊 Companies: ${companies.length}`);
             console.log(`🎯 Batch Size: ${VERCEL_CONFIG[`${pipeline.toUpperCase()}_BATCH_SIZE`]}`);
@@ -894,22 +985,7 @@ module.exports = async (req, res) => {
             const startTime = Date.now();
 
             // Create pipeline configuration
-            const config = {
-                PERPLEXITY_API_KEY: process.env.PERPLEXITY_API_KEY?.trim(),
-                OPENAI_API_KEY: process.env.OPENAI_API_KEY?.trim(),
-                CORESIGNAL_API_KEY: process.env.CORESIGNAL_API_KEY?.trim(),
-                LUSHA_API_KEY: process.env.LUSHA_API_KEY?.trim(),
-                ZEROBOUNCE_API_KEY: process.env.ZEROBOUNCE_API_KEY?.trim(),
-                PROSPEO_API_KEY: process.env.PROSPEO_API_KEY?.trim(),
-                MYEMAILVERIFIER_API_KEY: process.env.MYEMAILVERIFIER_API_KEY?.trim(),
-                // Vercel optimizations
-                PARALLEL_PROCESSING: true,
-                MAX_PARALLEL_COMPANIES: VERCEL_CONFIG[`${pipeline.toUpperCase()}_BATCH_SIZE`],
-                MAX_PARALLEL_APIS: 3,
-                REDUCED_DELAYS: true,
-                CACHE_ENABLED: false, // Disable file caching for Vercel
-                AGGRESSIVE_CACHING: false
-            };
+            const config = createPipelineConfig(pipeline, { personas });
 
             // Test module loading
             console.log('🔧 Testing module loading...');
@@ -935,31 +1011,7 @@ module.exports = async (req, res) => {
             const pipelineResult = await batchProcessor.processAllBatches(companies);
             
             // Map results to CSV format
-            const csvResults = [];
-            pipelineResult.results.forEach(result => {
-                let mappedResult;
-                switch (pipeline.toLowerCase()) {
-                    case 'core':
-                        mappedResult = mapToCoreCSV(result);
-                        break;
-                    case 'advanced':
-                        mappedResult = mapToAdvancedCSV(result);
-                        break;
-                    case 'powerhouse':
-                        mappedResult = mapToPowerhouseCSV(result);
-                        break;
-                    default:
-                        mappedResult = [result];
-                        break;
-                }
-                
-                // Handle both single results and arrays of results
-                if (Array.isArray(mappedResult)) {
-                    csvResults.push(...mappedResult);
-                } else {
-                    csvResults.push(mappedResult);
-                }
-            });
+            const csvResults = mapResultsToCSV(pipeline, pipelineResult.results);
 
             const endTime = Date.now();
             const totalDuration = (endTime - startTime) / 1000;
@@ -983,14 +1035,9 @@ module.exports = async (req, res) => {
 
             // Generate CSV data (FIXED formatting)
             const csvHeaders = Object.keys(csvResults[0] || {});
-            const csvRows = csvResults.map(row => 
-                csvHeaders.map(header => {
-                    const value = (row[header] || '').toString().replace(/"/g, '""');
-                    return `"${value}"`;
-                })
-            );
+            const csvRows = csvResults.map(row => formatCSVRow(csvHeaders, row));
             
-            const csvContent = [csvHeaders.join(','), ...csvRows.map(row => row.join(','))]
+            const csvContent = [csvHeaders.join(','), ...csvRows]
                 .join('\n');
             
             const timestamp = new Date().toISOString().split('T')[0];
@@ -1024,6 +1071,16 @@ module.exports = async (req, res) => {
             });
 
         } catch (error) {
+            if (error instanceof BudgetExceededError) {
+                return res.status(402).json({
+                    error: 'Run exceeds the API budget',
+                    message: error.message,
+                    scope: error.scope,
+                    spent: error.spent,
+                    projected: error.projected,
+                    budget: error.budget
+                });
+            }
             console.error('❌ Vercel-Optimized Pipeline Error:', error);
             return res.status(500).json({
                 error: 'Vercel-optimized pipeline execution failed',
@@ -1035,3 +1092,9 @@ module.exports = async (req, res) => {
 
     return res.status(405).json({ error: 'Method not allowed' });
 };
+
+module.exports.VERCEL_CONFIG = VERCEL_CONFIG;
+module.exports.BatchProcessor = BatchProcessor;
+module.exports.createPipelineConfig = createPipelineConfig;
+module.exports.mapResultsToCSV = mapResultsToCSV;
+module.exports.formatCSVRow = formatCSVRow;
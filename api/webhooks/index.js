@@ -0,0 +1,136 @@
+/**
+ * WEBHOOKS API
+ *
+ * - GET  /api/webhooks                      subscriptions (without secrets) and event types
+ *        ?status=dead                       deliveries with that status (dead = the dead-letter list)
+ * - POST /api/webhooks                      { action, ... }
+ *        subscribe    { url, events?, secret?, description? }   the response holds the secret
+ *        unsubscribe  { id }
+ *        test         { id }                send a webhook.test event to one subscription
+ *        deliver      {}                    retry pending deliveries whose backoff has passed
+ *        replay       { ids } | { dead: true }
+ *
+ * POST and delivery listings (they carry event payloads) need WEBHOOKS_ADMIN_TOKEN set and
+ * `Authorization: Bearer <token>`; without the token they are refused. Subscriptions made here
+ * must point at public hosts.
+ *
+ * Subscriptions and deliveries are files under WEBHOOKS_DIR, shared by everything that emits
+ * events - on Vercel set it to persistent shared storage; with the per-instance /tmp default new
+ * subscriptions are refused (503).
+ */
+
+const { WebhookDispatcher, DELIVERY_STATUS } = require('../../modules/WebhookDispatcher');
+const { WEBHOOK_EVENTS } = require('../../config/webhooks');
+
+const ACTIONS = ['subscribe', 'unsubscribe', 'test', 'deliver', 'replay'];
+
+function adminToken() {
+    return process.env.WEBHOOKS_ADMIN_TOKEN?.trim() || null;
+}
+
+function isAuthorized(req) {
+    const token = adminToken();
+    if (!token) return false;
+    return req.headers?.authorization === `Bearer ${token}`;
+}
+
+/**
+ * Main API Handler
+ */
+module.exports = async (req, res) => {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    const needsAdmin = req.method === 'POST' || (req.method === 'GET' && req.query?.status);
+    if (needsAdmin && !adminToken()) {
+        return res.status(403).json({ error: 'Webhook administration is disabled', message: 'Set WEBHOOKS_ADMIN_TOKEN to enable it' });
+    }
+    if (needsAdmin && !isAuthorized(req)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+        const dispatcher = new WebhookDispatcher();
+
+        if (req.method === 'GET') {
+            const { status } = req.query || {};
+            if (status) {
+                if (!Object.values(DELIVERY_STATUS).includes(status)) {
+                    return res.status(400).json({ error: 'Unknown delivery status', supported: Object.values(DELIVERY_STATUS) });
+                }
+                return res.status(200).json({ status, deliveries: dispatcher.listDeliveries({ status }) });
+            }
+
+            return res.status(200).json({
+                pipeline: 'webhooks',
+                description: 'Signed outbound webhooks for job, company and executive change events',
+                events: WEBHOOK_EVENTS,
+                subscriptions: dispatcher.listSubscriptions(),
+                actions: ACTIONS,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (req.method === 'POST') {
+            const body = req.body || {};
+            if (!ACTIONS.includes(body.action)) {
+                return res.status(400).json({ error: 'Unknown action', supported: ACTIONS });
+            }
+            if (body.action === 'subscribe' && !dispatcher.isPersistent()) {
+                return res.status(503).json({ error: 'Webhook storage is not persistent', message: 'Set WEBHOOKS_DIR to shared, persistent storage - /tmp is per instance on Vercel' });
+            }
+            if ((body.action === 'unsubscribe' || body.action === 'test') && !dispatcher.getSubscription(body.id || '')) {
+                return res.status(404).json({ error: 'Subscription not found', id: body.id || null });
+            }
+
+            let payload;
+            try {
+                switch (body.action) {
+                    case 'subscribe':
+                        payload = { subscription: dispatcher.subscribe({ url: body.url, events: body.events, secret: body.secret, description: body.description }) };
+                        break;
+                    case 'unsubscribe':
+                        payload = { removed: dispatcher.unsubscribe(body.id) };
+                        break;
+                    case 'test':
+                        payload = { deliveries: (await dispatcher.emit('webhook.test', { message: 'Adrata webhook test' }, { subscriptionIds: [body.id] })).deliveries };
+                        break;
+                    case 'deliver':
+                        payload = await dispatcher.deliverDue();
+                        break;
+                    case 'replay':
+                        if (!body.dead && !Array.isArray(body.ids)) {
+                            return res.status(400).json({ error: 'replay needs ids or dead: true' });
+                        }
+                        payload = { deliveries: await dispatcher.replay({ ids: body.ids || [], dead: Boolean(body.dead) }) };
+                        break;
+                }
+            } catch (error) {
+                // Invalid URLs, unknown event types and unknown delivery ids are the caller's to fix
+                return res.status(400).json({ error: 'Invalid webhook request', message: error.message });
+            }
+
+            return res.status(200).json({
+                success: true,
+                action: body.action,
+                ...payload,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+
+    } catch (error) {
+        console.error('❌ Webhooks API Error:', error);
+        return res.status(500).json({
+            error: 'Webhooks operation failed',
+            message: error.message
+        });
+    }
+};
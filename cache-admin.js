@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * 🗑️ CACHE ADMIN CLI
+ *
+ * Inspect the cache TTL policy and purge stale provider data
+ *
+ * Usage:
+ *   node cache-admin.js policy
+ *   node cache-admin.js stats
+ *   node cache-admin.js clear-expired
+ *   node cache-admin.js invalidate --domain acme.com [--category executive] [--service lusha] [--type phone] [--person "Jane Doe"] [--rerun]
+ *
+ * "That CFO left":  node cache-admin.js invalidate --domain acme.com --category executive --rerun
+ */
+
+require('dotenv').config();
+const { DataCache } = require('./modules/DataCache');
+
+const FILTER_FLAGS = {
+    '--domain': 'domain',
+    '--person': 'person',
+    '--service': 'service',
+    '--type': 'dataType',
+    '--category': 'category'
+};
+
+function parseArgs(argv) {
+    const [command = 'help', ...rest] = argv;
+    const filters = {};
+    let rerun = false;
+
+    for (let i = 0; i < rest.length; i++) {
+        if (rest[i] === '--rerun') {
+            rerun = true;
+        } else if (FILTER_FLAGS[rest[i]]) {
+            filters[FILTER_FLAGS[rest[i]]] = rest[++i];
+        } else {
+            throw new Error(`Unknown option: ${rest[i]}`);
+        }
+    }
+
+    return { command, filters, rerun };
+}
+
+function printPolicy(cache) {
+    console.log('📋 CACHE TTL POLICY (hours)');
+    console.log(`   default: ${cache.ttlPolicy.default.ttlHours}h (${cache.ttlPolicy.default.category})`);
+
+    for (const [service, types] of Object.entries(cache.ttlPolicy.services)) {
+        for (const dataType of Object.keys(types)) {
+            const policy = cache.resolvePolicy(service, dataType);
+            const label = dataType === 'default' ? service : `${service}-${dataType}`;
+            console.log(`   ${label.padEnd(24)} ${String(policy.ttlHours).padStart(6)}h  ${policy.category}`);
+        }
+    }
+}
+
+/**
+ * Re-run a company through the core pipeline after purging its data
+ */
+async function rerunCompany(domain) {
+    const { CorePipeline } = require('./pipelines/core-pipeline');
+    const pipeline = new CorePipeline();
+
+    console.log(`\n🔄 Re-running ${domain} through the core pipeline...`);
+    const result = await pipeline.processSingleCompany({ website: domain });
+
+    console.log(`   CFO: ${result.cfo?.name || 'Not found'} ${result.cfo?.email ? `<${result.cfo.email}>` : ''}`);
+    console.log(`   CRO: ${result.cro?.name || 'Not found'} ${result.cro?.email ? `<${result.cro.email}>` : ''}`);
+    return result;
+}
+
+async function main() {
+    const { command, filters, rerun } = parseArgs(process.argv.slice(2));
+    const cache = new DataCache();
+
+    try {
+        switch (command) {
+            case 'policy':
+                printPolicy(cache);
+                break;
+
+            case 'stats':
+                console.log('📊 CACHE SIZE', await cache.getCacheSize());
+                break;
+
+            case 'clear-expired':
+                await cache.clearExpired();
+                break;
+
+            case 'invalidate': {
+                const deleted = await cache.invalidate(filters);
+                console.log(`✅ Removed ${deleted} cached entries`);
+
+                if (rerun) {
+                    if (!filters.domain) {
+                        throw new Error('--rerun needs --domain');
+                    }
+                    await rerunCompany(filters.domain);
+                }
+                break;
+            }
+
+            default:
+                console.log('Usage: node cache-admin.js <policy|stats|clear-expired|invalidate> [--domain d] [--person p] [--service s] [--type t] [--category c] [--rerun]');
+        }
+    } finally {
+        await cache.close();
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { parseArgs };
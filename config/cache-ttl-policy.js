@@ -0,0 +1,91 @@
+/**
+ * CACHE TTL POLICY
+ * How long cached provider data stays fresh, by service and data type
+ *
+ * Lookup: services[service][dataType] → services[service].default → default
+ * A cache service name like 'lusha-cfo' or 'coresignal:employee' is read as
+ * service 'lusha' / data type 'cfo'. An explicit ttlHours passed to DataCache.set wins.
+ * Provider adapters (modules/providers) cache their lookups under the provider name and the
+ * lookup's data type - ZeroBounce validate is zerobounce / email, CoreSignal collect is
+ * coresignal / employee or company, and so on.
+ *
+ * category groups data for invalidation - 'executive' is everything about the people
+ * at a company, so one purge clears a departed CFO without touching company facts.
+ */
+
+const DAY = 24;
+
+module.exports = {
+    CACHE_TTL_POLICY: {
+        default: { ttlHours: 30 * DAY, category: 'other' },
+
+        services: {
+            // Contact enrichment - people change jobs, phones outlive emails
+            lusha: {
+                default: { ttlHours: 30 * DAY, category: 'executive' },
+                phone: { ttlHours: 60 * DAY },
+                email: { ttlHours: 30 * DAY },
+                cfo: { ttlHours: 21 * DAY },
+                cro: { ttlHours: 21 * DAY },
+                company: { ttlHours: 90 * DAY, category: 'company' }
+            },
+            prospeo: {
+                default: { ttlHours: 30 * DAY, category: 'executive' }
+            },
+            dropcontact: {
+                default: { ttlHours: 30 * DAY, category: 'executive' }
+            },
+
+            // Email verification verdicts - mailboxes get deactivated, catch-alls flip
+            zerobounce: {
+                default: { ttlHours: 14 * DAY, category: 'verification' },
+                catchall: { ttlHours: 7 * DAY }
+            },
+            myemailverifier: {
+                default: { ttlHours: 14 * DAY, category: 'verification' }
+            },
+            // Carrier lookups - numbers rarely change line type
+            twilio: {
+                default: { ttlHours: 90 * DAY, category: 'verification' }
+            },
+
+            // Employee and company records
+            coresignal: {
+                default: { ttlHours: 30 * DAY, category: 'executive' },
+                employee: { ttlHours: 14 * DAY },
+                company: { ttlHours: 90 * DAY, category: 'company' }
+            },
+
+            // AI research answers - executive answers go stale fastest
+            perplexity: {
+                default: { ttlHours: 7 * DAY, category: 'executive' },
+                executives: { ttlHours: 7 * DAY },
+                website: { ttlHours: 180 * DAY, category: 'company' },
+                company: { ttlHours: 30 * DAY, category: 'company' }
+            },
+            openai: {
+                default: { ttlHours: 7 * DAY, category: 'executive' }
+            },
+
+            company: {
+                default: { ttlHours: 90 * DAY, category: 'company' }
+            },
+
+            // Learned email formats per domain (modules/EmailFormatStore.js) - conventions change rarely
+            emailformat: {
+                default: { ttlHours: 365 * DAY, category: 'company' }
+            },
+
+            // Dated redirect / title / canonical snapshots per domain (modules/DomainHistory.js) -
+            // the history is the baseline for rebrand detection, so it outlives company facts
+            domainhistory: {
+                default: { ttlHours: 730 * DAY, category: 'history' }
+            },
+
+            // Module checkpoints (BaseModule.saveProgress)
+            progress: {
+                default: { ttlHours: 1, category: 'system' }
+            }
+        }
+    }
+};
@@ -0,0 +1,116 @@
+/**
+ * CRM MAPPINGS
+ * How pipeline results become CRM objects (modules/crm/CrmMapping.js) and how they are upserted
+ * (modules/crm/CrmUpsertClient.js)
+ *
+ * CRM_MAPPINGS  per CRM: the account and contact object, the external-ID property each is
+ *               upserted by, and `properties` - CRM property name → field of the normalized
+ *               account / contact, optionally { field, transform } with a transform from
+ *               CrmMapping's TRANSFORMS (integer, percent, date, list). Drop a line to stop
+ *               syncing a property; custom properties (adrata_*, *__c) must exist in the CRM first.
+ *               `association` is how a contact is linked to its account; importColumn is the
+ *               column that carries the account's external ID in contact import files.
+ *
+ *               Normalized account: externalId, domain, website, name, industry, employeeCount,
+ *               headquarters, isPublic, ticker, parentCompany, isAcquired, accountOwner, pipeline,
+ *               confidence, researchedAt
+ *               Normalized contact: externalId, accountExternalId, name, firstName, lastName, title,
+ *               email, emailStatus, phone, linkedIn, personas, role, confidence, source, researchedAt
+ *
+ * CRM_SYNC      batchSize per upsert request (HubSpot takes 100, Salesforce collections 200),
+ *               timeoutMs per request, sendEmptyValues (false: a value the pipeline did not find
+ *               never blanks what reps entered in the CRM)
+ */
+
+module.exports = {
+    CRM_MAPPINGS: {
+        hubspot: {
+            account: {
+                object: 'companies',
+                externalIdProperty: 'adrata_account_id',
+                properties: {
+                    name: 'name',
+                    domain: 'domain',
+                    website: 'website',
+                    numberofemployees: { field: 'employeeCount', transform: 'integer' },
+                    adrata_industry: 'industry',
+                    adrata_headquarters: 'headquarters',
+                    adrata_ticker: 'ticker',
+                    adrata_parent_company: 'parentCompany',
+                    adrata_pipeline: 'pipeline',
+                    adrata_confidence: { field: 'confidence', transform: 'percent' },
+                    adrata_researched_at: { field: 'researchedAt', transform: 'date' }
+                }
+            },
+            contact: {
+                object: 'contacts',
+                externalIdProperty: 'adrata_contact_id',
+                properties: {
+                    firstname: 'firstName',
+                    lastname: 'lastName',
+                    email: 'email',
+                    jobtitle: 'title',
+                    phone: 'phone',
+                    adrata_linkedin_url: 'linkedIn',
+                    adrata_personas: { field: 'personas', transform: 'list' },
+                    adrata_email_status: 'emailStatus',
+                    adrata_confidence: { field: 'confidence', transform: 'percent' },
+                    adrata_source: 'source',
+                    adrata_researched_at: { field: 'researchedAt', transform: 'date' }
+                }
+            },
+            association: {
+                type: 'contact_to_company',
+                importColumn: 'adrata_account_id'
+            }
+        },
+
+        salesforce: {
+            account: {
+                object: 'Account',
+                externalIdProperty: 'Adrata_Id__c',
+                properties: {
+                    Name: 'name',
+                    Website: 'website',
+                    Industry: 'industry',
+                    NumberOfEmployees: { field: 'employeeCount', transform: 'integer' },
+                    TickerSymbol: 'ticker',
+                    Adrata_Parent_Company__c: 'parentCompany',
+                    Adrata_Pipeline__c: 'pipeline',
+                    Adrata_Confidence__c: { field: 'confidence', transform: 'percent' },
+                    Adrata_Researched_At__c: { field: 'researchedAt', transform: 'date' }
+                }
+            },
+            contact: {
+                object: 'Contact',
+                externalIdProperty: 'Adrata_Id__c',
+                properties: {
+                    FirstName: 'firstName',
+                    LastName: 'lastName',
+                    Email: 'email',
+                    Title: 'title',
+                    Phone: 'phone',
+                    Adrata_LinkedIn_URL__c: 'linkedIn',
+                    Adrata_Personas__c: { field: 'personas', transform: 'list' },
+                    Adrata_Email_Status__c: 'emailStatus',
+                    Adrata_Confidence__c: { field: 'confidence', transform: 'percent' },
+                    Adrata_Source__c: 'source',
+                    Adrata_Researched_At__c: { field: 'researchedAt', transform: 'date' }
+                }
+            },
+            association: {
+                type: 'Contact.AccountId',
+                importColumn: 'Account:Adrata_Id__c'
+            }
+        }
+    },
+
+    CRM_SYNC: {
+        batchSize: {
+            hubspot: 100,
+            salesforce: 200
+        },
+        timeoutMs: 30000,
+        sendEmptyValues: false
+    }
+};
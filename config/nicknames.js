@@ -0,0 +1,101 @@
+/**
+ * NICKNAMES
+ * Formal first name → the short forms people go by, used by modules/PersonName.js
+ *
+ * Matching is symmetric and goes through the formal name: "Bob" matches "Robert" and "Rob",
+ * "Kathy" matches "Kathryn" and "Katherine". A short form listed under several formal names
+ * ("Chris", "Alex") matches all of them. Lowercase ASCII only - names are folded before lookup.
+ */
+
+module.exports = {
+    NICKNAMES: {
+        abigail: ['abby', 'gail'],
+        abraham: ['abe'],
+        alexander: ['alex', 'al', 'sandy', 'xander'],
+        alexandra: ['alex', 'alexa', 'sandra', 'sandy', 'lexi'],
+        albert: ['al', 'bert'],
+        alfred: ['al', 'alf', 'fred'],
+        allison: ['ally', 'allie'],
+        andrew: ['andy', 'drew'],
+        anthony: ['tony'],
+        antonio: ['tony'],
+        arthur: ['art'],
+        barbara: ['barb', 'babs'],
+        benjamin: ['ben', 'benny', 'benji'],
+        bradley: ['brad'],
+        catherine: ['cathy', 'cat', 'kate', 'katie'],
+        charles: ['charlie', 'chuck', 'chas', 'chaz'],
+        christina: ['chris', 'tina', 'christy'],
+        christine: ['chris', 'tina', 'christy'],
+        christopher: ['chris', 'topher', 'kit'],
+        cynthia: ['cindy'],
+        daniel: ['dan', 'danny'],
+        david: ['dave', 'davy'],
+        deborah: ['deb', 'debbie', 'debra'],
+        donald: ['don', 'donnie'],
+        douglas: ['doug'],
+        edward: ['ed', 'eddie', 'ted', 'ned'],
+        elizabeth: ['liz', 'beth', 'betsy', 'betty', 'eliza', 'lisa', 'libby'],
+        eugene: ['gene'],
+        frances: ['fran', 'frannie'],
+        francis: ['frank', 'fran'],
+        franklin: ['frank'],
+        frederick: ['fred', 'freddie', 'rick'],
+        gabriel: ['gabe'],
+        gerald: ['gerry', 'jerry'],
+        gregory: ['greg'],
+        harold: ['hal', 'harry'],
+        henry: ['hank', 'harry'],
+        jacob: ['jake'],
+        james: ['jim', 'jimmy', 'jamie'],
+        janet: ['jan'],
+        jeffrey: ['jeff'],
+        jennifer: ['jen', 'jenny', 'jenn'],
+        jessica: ['jess', 'jessie'],
+        john: ['jack', 'johnny', 'jon'],
+        jonathan: ['jon', 'jonny', 'nate'],
+        joseph: ['joe', 'joey'],
+        joshua: ['josh'],
+        judith: ['judy'],
+        katherine: ['kathy', 'kate', 'katie', 'kat', 'kay'],
+        kathleen: ['kathy', 'kate', 'katie', 'kay'],
+        kathryn: ['kathy', 'kate', 'katie', 'kat', 'kay'],
+        kenneth: ['ken', 'kenny'],
+        kimberly: ['kim'],
+        lawrence: ['larry'],
+        leonard: ['leo', 'len', 'lenny'],
+        margaret: ['maggie', 'meg', 'peggy', 'marge', 'greta'],
+        matthew: ['matt'],
+        michael: ['mike', 'mikey', 'mick', 'mickey'],
+        michelle: ['shelly', 'micki'],
+        nathan: ['nate'],
+        nathaniel: ['nate', 'nat'],
+        nicholas: ['nick', 'nicky'],
+        pamela: ['pam'],
+        patricia: ['pat', 'patty', 'trish', 'tricia'],
+        patrick: ['pat', 'paddy'],
+        peter: ['pete'],
+        philip: ['phil'],
+        phillip: ['phil'],
+        rebecca: ['becky', 'becca'],
+        richard: ['rick', 'ricky', 'rich', 'dick'],
+        robert: ['bob', 'bobby', 'rob', 'robbie', 'bert'],
+        ronald: ['ron', 'ronnie'],
+        samantha: ['sam', 'sammy'],
+        samuel: ['sam', 'sammy'],
+        stephanie: ['steph'],
+        stephen: ['steve', 'stevie'],
+        steven: ['steve', 'stevie'],
+        susan: ['sue', 'susie'],
+        suzanne: ['sue', 'suzy'],
+        theodore: ['ted', 'teddy', 'theo'],
+        thomas: ['tom', 'tommy'],
+        timothy: ['tim', 'timmy'],
+        valerie: ['val'],
+        victoria: ['vicky', 'tori'],
+        vincent: ['vince', 'vinny'],
+        walter: ['walt', 'wally'],
+        william: ['bill', 'billy', 'will', 'willy', 'liam'],
+        zachary: ['zach', 'zack']
+    }
+};
@@ -0,0 +1,95 @@
+/**
+ * PIPELINE TIER CONFIGURATION
+ * Declarative stage lists for the Core, Advanced and Powerhouse pipelines
+ * Stage names refer to pipelines/pipeline-stages.js - the PipelineEngine orders
+ * them by their dependencies and runs independent stages concurrently
+ *
+ * A stage entry is either a stage name or { name, ...overrides } where overrides
+ * may replace dependsOn, timeout, optional or options for that tier only.
+ *
+ * estimatedCostPerCompany (USD) prices a run up front for the budget check.
+ */
+
+module.exports = {
+    PIPELINE_TIERS: {
+        // 🥉 CORE: CFO/CRO contact discovery with acquisition-aware targeting
+        core: {
+            label: 'CORE PIPELINE',
+            estimatedCostPerCompany: 0.15,
+            resultTemplate: 'cfoCro',
+            defaultInputFile: 'inputs/all-1000-companies.csv',
+            maxParallelCompanies: 25,
+            maxParallelStages: 5,
+            interBatchDelayMs: 2000,
+            relatedCompanyTypes: ['parent_company'],
+            aiWebsiteLookup: false,
+            stages: [
+                'companyResolution',
+                'corporateStructure',
+                'operationalStatus',
+                'parentExecutives',
+                'parentContactEnrichment',
+                'cfoCroResearch',
+                'cfoCroValidation',
+                'cfoCroContactIntelligence',
+                'cfoCroRoleSanity',
+                'cfoCroContactValidation',
+                'personaContactEnrichment',
+                'cfoCroDataValidation'
+            ]
+        },
+
+        // 🥈 ADVANCED: CEO/Finance leader research with industry and relationship intelligence
+        advanced: {
+            label: 'ADVANCED PIPELINE',
+            estimatedCostPerCompany: 0.45,
+            resultTemplate: 'ceoFinance',
+            defaultInputFile: 'inputs/test-1-company.csv',
+            maxParallelCompanies: 1,
+            maxParallelStages: 3,
+            interBatchDelayMs: 10000,
+            relatedCompanyTypes: ['parent_company'],
+            aiWebsiteLookup: true,
+            errorDefaults: { riskLevel: 'CRITICAL' },
+            stages: [
+                { name: 'companyResolution', options: { attach: true } },
+                'executiveResearch',
+                'executiveValidation',
+                'peOwnership',
+                'contactIntelligence',
+                'industryClassification',
+                'contactValidation',
+                'dataValidation',
+                'relationshipIntelligence',
+                'finalizeAssessment'
+            ]
+        },
+
+        // 🥇 POWERHOUSE: Advanced + AI buyer groups + PE/VC firm rows
+        powerhouse: {
+            label: 'POWERHOUSE PIPELINE',
+            estimatedCostPerCompany: 0.85,
+            resultTemplate: 'ceoFinance',
+            defaultInputFile: 'inputs/test-1-company.csv',
+            maxParallelCompanies: 1,
+            maxParallelStages: 3,
+            interBatchDelayMs: 10000,
+            relatedCompanyTypes: ['parent_company', 'pe_firm', 'vc_firm'],
+            aiWebsiteLookup: true,
+            errorDefaults: { riskLevel: 'CRITICAL' },
+            stages: [
+                { name: 'companyResolution', options: { attach: true } },
+                'executiveResearch',
+                'executiveValidation',
+                'peOwnership',
+                'contactIntelligence',
+                'industryClassification',
+                'buyerGroup',
+                'contactValidation',
+                'dataValidation',
+                'relationshipIntelligence',
+                'finalizeAssessment'
+            ]
+        }
+    }
+};
@@ -0,0 +1,54 @@
+/**
+ * RATE LIMITS
+ * Per-provider request budgets enforced process-wide by modules/providers/RateGovernor.js
+ *
+ * RATE_LIMITS: sustained requests per minute (token bucket refill rate)
+ * BURST_LIMITS: bucket size - requests allowed back-to-back before the refill rate applies
+ * CONCURRENCY_LIMITS: requests in flight at once
+ * RATE_LIMIT_HOSTS: API host → provider, for calls made with governedFetch instead of an adapter
+ *
+ * Override per deployment with RATE_LIMIT_<PROVIDER> / CONCURRENCY_LIMIT_<PROVIDER>
+ * (e.g. RATE_LIMIT_PROSPEO=30) or by passing RATE_LIMITS in the module config.
+ */
+
+module.exports = {
+    RATE_LIMITS: {
+        prospeo: 60,               // Prospeo: 60/min (PRIMARY BOTTLENECK)
+        coresignal: 100,           // CoreSignal: 100/min
+        lusha: 200,                // Lusha: 200/min
+        zerobounce: 100,           // ZeroBounce: 100/min
+        myemailverifier: 100,      // MyEmailVerifier: 100/min
+        dropcontact: 60,           // DropContact: 60/min (batch endpoint, polled)
+        twilio: 100,               // Twilio Lookup: 100/min
+        openai: 50,                // OpenAI: 50/min
+        perplexity: 60,            // Perplexity: 60/min
+        hubspot: 600,              // HubSpot private apps: 100 per 10s (CRM upserts)
+        salesforce: 300            // Salesforce: every call also counts against the org's daily API limit
+    },
+
+    BURST_LIMITS: {
+        prospeo: 2,                // Rejected calls still spend Prospeo quota - keep bursts small
+        default: 5
+    },
+
+    CONCURRENCY_LIMITS: {
+        prospeo: 2,
+        coresignal: 5,
+        lusha: 10,
+        perplexity: 5,
+        openai: 5,
+        default: 5
+    },
+
+    RATE_LIMIT_HOSTS: {
+        'api.prospeo.io': 'prospeo',
+        'api.coresignal.com': 'coresignal',
+        'api.lusha.com': 'lusha',
+        'api.zerobounce.net': 'zerobounce',
+        'client.myemailverifier.com': 'myemailverifier',
+        'api.dropcontact.com': 'dropcontact',
+        'lookups.twilio.com': 'twilio',
+        'api.openai.com': 'openai',
+        'api.perplexity.ai': 'perplexity'
+    }
+};
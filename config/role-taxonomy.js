@@ -0,0 +1,416 @@
+/**
+ * ROLE TAXONOMY
+ * Roles, tiers, synonyms, abbreviations, exclusions and functional-area keywords used by
+ * modules/RoleTaxonomy.js to classify executive titles - the one place title tiers are defined
+ *
+ * Titles are normalized before matching: lowercased, accents and dots dropped ("C.F.O." → "cfo"),
+ * punctuation turned into spaces, "&" into "and", then every word is looked up in ABBREVIATIONS
+ * and SPELLING_VARIANTS ("svp" → "senior vice president", "presedent" → "president").
+ * Every phrase below is written in that normalized form and matches whole words only.
+ *
+ * A role's rules are tried tier by tier; the first rule that matches decides the tier:
+ *   titles               any one phrase appears in the title
+ *   seniority+functions  one phrase from each appears, in either order ("VP, Sales" = "Sales VP")
+ *   unless               phrases that stop the rule (the title falls through to later rules)
+ * A title with none of the role's rules but one of its area keywords gets the role's fallback tier.
+ *
+ * Exclusions:
+ *   EXCLUSIONS          apply to every role - assistants, advisors, former holders are never the role
+ *   excludeAreas        a title from another function is not this role unless it also names this one
+ *   role.exclusions     scope qualifiers - "CFO of a division" is capped below the company CFO (maxTier)
+ *                       or lowered (demoteBy)
+ *
+ * finance and revenue back the CFO / CRO slots; technology, security, marketing and people back the
+ * other target personas in config/target-personas.js.
+ *
+ * Non-English titles and regional equivalents are translated into these phrases before matching -
+ * see config/title-languages.js (LANGUAGES, REGIONAL_TITLES).
+ */
+
+const { LANGUAGES, REGIONAL_TITLES } = require('./title-languages');
+
+// Scope qualifiers shared by the persona roles below finance and revenue
+const SCOPE_EXCLUSIONS = [
+    {
+        id: 'division_scope',
+        phrases: ['division', 'divisional', 'business unit', 'segment', 'subsidiary'],
+        reason: 'Scoped to a division, not the company',
+        maxTier: 3
+    },
+    { id: 'deputy', phrases: ['assistant', 'deputy', 'junior'], reason: 'Deputy to the role holder', demoteBy: 1 }
+];
+
+module.exports = {
+    ROLE_TAXONOMY_VERSION: 1,
+
+    // Title translations (config/title-languages.js) - applied before ABBREVIATIONS
+    LANGUAGES,
+    REGIONAL_TITLES,
+
+    // Single words expanded during normalization - keys are lowercase with dots removed
+    ABBREVIATIONS: {
+        ceo: 'chief executive officer',
+        cfo: 'chief financial officer',
+        cao: 'chief accounting officer',
+        cro: 'chief revenue officer',
+        cso: 'chief sales officer',
+        cco: 'chief commercial officer',
+        cbo: 'chief business officer',
+        cgo: 'chief growth officer',
+        coo: 'chief operating officer',
+        cmo: 'chief marketing officer',
+        cto: 'chief technology officer',
+        cio: 'chief information officer',
+        ciso: 'chief information security officer',
+        cpo: 'chief people officer',
+        chro: 'chief human resources officer',
+        clo: 'chief legal officer',
+        vp: 'vice president',
+        svp: 'senior vice president',
+        evp: 'executive vice president',
+        avp: 'associate vice president',
+        gvp: 'group vice president',
+        rvp: 'regional vice president',
+        md: 'managing director',
+        gm: 'general manager',
+        sr: 'senior',
+        snr: 'senior',
+        jr: 'junior',
+        exec: 'executive',
+        dir: 'director',
+        mgr: 'manager',
+        pres: 'president',
+        'fp&a': 'financial planning and analysis',
+        fpa: 'financial planning and analysis',
+        'r&d': 'research and development',
+        bd: 'business development',
+        bizdev: 'business development',
+        gtm: 'go to market',
+        revops: 'revenue operations',
+        hr: 'human resources',
+        ops: 'operations',
+        infosec: 'information security',
+        cybersecurity: 'cyber security',
+        intl: 'international',
+        natl: 'national',
+        rep: 'representative'
+    },
+
+    // Misspellings and variants seen in scraped and vendor titles
+    SPELLING_VARIANTS: {
+        presedent: 'president',
+        presidant: 'president',
+        vicepresident: 'vice president',
+        revenu: 'revenue',
+        revenues: 'revenue',
+        finances: 'finance',
+        sale: 'sales',
+        comercial: 'commercial',
+        developement: 'development',
+        hed: 'head',
+        enterprize: 'enterprise',
+        chanel: 'channel',
+        insde: 'inside',
+        feild: 'field',
+        finanical: 'financial',
+        finacial: 'financial',
+        finace: 'finance',
+        comptroller: 'controller',
+        cheif: 'chief',
+        offcer: 'officer'
+    },
+
+    // Functional areas a title can belong to - used for cross-role exclusions and by callers
+    // (department grouping, C-level checks). `except` phrases are ignored when matching the area
+    FUNCTIONAL_AREAS: {
+        finance: {
+            label: 'Finance',
+            keywords: [
+                'finance', 'financial', 'accounting', 'accountant', 'controller', 'treasurer', 'treasury',
+                'chief financial officer', 'chief accounting officer', 'financial planning and analysis',
+                'tax', 'budget', 'payroll'
+            ]
+        },
+        revenue: {
+            label: 'Revenue / Sales',
+            keywords: [
+                'sales', 'revenue', 'commercial', 'business development', 'growth', 'go to market',
+                'chief revenue officer', 'chief sales officer', 'chief commercial officer', 'chief business officer',
+                'chief growth officer', 'chief customer officer', 'account executive', 'account management',
+                'account manager', 'account director', 'customer success', 'client success', 'partnerships',
+                'alliances', 'channel', 'leasing'
+            ],
+            except: ['revenue accounting', 'revenue recognition']
+        },
+        marketing: {
+            label: 'Marketing',
+            keywords: ['marketing', 'chief marketing officer', 'brand', 'demand generation']
+        },
+        operations: {
+            label: 'Operations',
+            keywords: [
+                'operations', 'chief operating officer', 'manufacturing', 'supply chain', 'logistics',
+                'facilities', 'procurement'
+            ],
+            except: ['revenue operations', 'sales operations', 'finance operations', 'financial operations']
+        },
+        technology: {
+            label: 'Technology',
+            keywords: [
+                'technology', 'engineering', 'technical', 'cyber', 'security', 'infrastructure', 'it',
+                'information technology', 'software', 'hardware', 'data', 'chief technology officer',
+                'chief information officer', 'chief information security officer'
+            ],
+            except: ['sales engineering', 'technical sales', 'technology sales']
+        },
+        security: {
+            label: 'Security',
+            keywords: [
+                'security', 'cyber', 'information security', 'chief information security officer',
+                'chief security officer', 'privacy'
+            ],
+            except: ['social security', 'security sales']
+        },
+        product: {
+            label: 'Product / R&D',
+            keywords: ['product', 'design', 'research', 'research and development', 'innovation', 'architecture'],
+            except: ['product sales']
+        },
+        legal: {
+            label: 'Legal / Risk',
+            keywords: ['legal', 'general counsel', 'counsel', 'compliance', 'regulatory', 'risk', 'audit', 'chief legal officer']
+        },
+        people: {
+            label: 'People / HR',
+            keywords: ['human resources', 'people', 'talent', 'recruiting', 'chief people officer', 'chief human resources officer']
+        },
+        communications: {
+            label: 'Communications',
+            keywords: ['communications', 'public relations']
+        },
+        executive: {
+            label: 'General Management',
+            keywords: ['chief executive officer', 'president', 'founder', 'owner', 'chairman', 'chair'],
+            except: ['vice president']
+        }
+    },
+
+    // Never the role, whatever else the title says
+    EXCLUSIONS: [
+        { id: 'assistant_to', phrases: ['assistant to', 'executive assistant', 'office of the'], reason: 'Supports the executive rather than holding the role' },
+        { id: 'former', phrases: ['former', 'ex', 'retired'], reason: 'Former holder of the role' },
+        { id: 'advisory', phrases: ['advisor', 'adviser', 'board member', 'board of directors', 'non executive', 'investor'], reason: 'Advisory or board seat, not an operating role' },
+        { id: 'trainee', phrases: ['intern', 'trainee', 'student'], reason: 'Trainee position' }
+    ],
+
+    ROLES: {
+        finance: {
+            label: 'Finance leader',
+            area: 'finance',
+            excludeAreas: ['revenue', 'marketing'],
+            tiers: {
+                1: { label: 'C-Level Finance (CFO, CAO)', confidence: 95 },
+                2: { label: 'VP Finance / Finance Director', confidence: 85 },
+                3: { label: 'Controller / Senior Finance Manager', confidence: 75 },
+                4: { label: 'Treasury / Finance Operations', confidence: 65 },
+                5: { label: 'Other Finance', confidence: 55 }
+            },
+            rules: [
+                { tier: 1, category: 'CFO', titles: ['chief financial', 'chief finance'] },
+                { tier: 1, category: 'Controller', titles: ['chief accounting'] },
+                {
+                    tier: 2,
+                    category: 'VP Finance',
+                    seniority: ['vice president', 'head', 'director'],
+                    functions: ['finance', 'financial'],
+                    unless: ['financial planning', 'financial analyst', 'financial operations', 'finance operations']
+                },
+                { tier: 2, category: 'VP Finance', seniority: ['vice president'], functions: ['accounting'] },
+                { tier: 3, category: 'Controller', titles: ['controller'] },
+                { tier: 3, category: 'Finance Executive', seniority: ['director', 'vice president'], functions: ['accounting', 'financial planning'] },
+                { tier: 3, category: 'Finance Executive', seniority: ['manager'], functions: ['finance', 'financial', 'budget'], unless: ['analyst', 'operations'] },
+                { tier: 4, category: 'Treasurer', titles: ['treasurer', 'treasury'] },
+                {
+                    tier: 4,
+                    category: 'Finance Executive',
+                    titles: [
+                        'accounting manager', 'head of accounting', 'head of financial planning', 'finance operations',
+                        'financial operations', 'senior financial analyst', 'finance lead', 'lead finance',
+                        'accounting lead', 'principal finance'
+                    ]
+                }
+            ],
+            fallback: { tier: 5, category: 'Finance Executive' },
+            exclusions: [
+                {
+                    id: 'division_scope',
+                    phrases: ['division', 'divisional', 'business unit', 'segment', 'subsidiary', 'plant'],
+                    reason: 'Scoped to a division, not the company',
+                    maxTier: 3
+                },
+                { id: 'deputy', phrases: ['assistant', 'deputy', 'junior'], reason: 'Deputy to the role holder', demoteBy: 1 }
+            ]
+        },
+
+        revenue: {
+            label: 'Revenue leader',
+            area: 'revenue',
+            excludeAreas: ['finance', 'legal', 'technology', 'product', 'people', 'communications', 'operations'],
+            tiers: {
+                1: { label: 'C-Level Revenue (CRO, CSO, CCO)', confidence: 95 },
+                2: { label: 'VP / Head of Sales, Revenue or Business Development', confidence: 90 },
+                3: { label: 'Sales / Revenue Director', confidence: 80 },
+                4: { label: 'Sales / Account Manager', confidence: 70 },
+                5: { label: 'Sales Specialist', confidence: 60 }
+            },
+            rules: [
+                { tier: 1, category: 'CRO', titles: ['chief revenue'] },
+                { tier: 1, category: 'CSO', titles: ['chief sales'] },
+                { tier: 1, category: 'Chief Commercial Officer', titles: ['chief commercial', 'chief business'] },
+                { tier: 1, category: 'Chief Growth Officer', titles: ['chief growth', 'chief customer'] },
+                { tier: 2, category: 'VP Revenue', seniority: ['vice president', 'president', 'executive director'], functions: ['revenue'] },
+                { tier: 2, category: 'VP Sales', seniority: ['vice president', 'president', 'executive director'], functions: ['sales'] },
+                {
+                    tier: 2,
+                    category: 'VP Business Development',
+                    seniority: ['vice president', 'president', 'executive director'],
+                    functions: ['business development', 'commercial', 'growth']
+                },
+                { tier: 2, category: 'VP Business Development', titles: ['vice president strategy', 'vice president of strategy'] },
+                { tier: 2, category: 'Head of Revenue', seniority: ['head'], functions: ['revenue', 'commercial', 'business development'] },
+                { tier: 2, category: 'Head of Sales', seniority: ['head'], functions: ['sales'] },
+                { tier: 3, category: 'Head of Revenue', seniority: ['director'], functions: ['revenue', 'commercial', 'business development'] },
+                { tier: 3, category: 'Head of Sales', seniority: ['director'], functions: ['sales'] },
+                {
+                    tier: 4,
+                    category: 'Sales Executive',
+                    seniority: ['manager'],
+                    functions: ['sales', 'revenue', 'business development', 'channel', 'partner']
+                },
+                {
+                    tier: 4,
+                    category: 'Sales Executive',
+                    titles: [
+                        'national account manager', 'global account manager', 'strategic account manager',
+                        'key account manager', 'major account manager', 'enterprise account manager'
+                    ]
+                },
+                {
+                    tier: 5,
+                    category: 'Sales Executive',
+                    titles: [
+                        'account executive', 'sales executive', 'business development executive',
+                        'sales representative', 'account representative', 'territory representative'
+                    ]
+                }
+            ],
+            fallback: { tier: 5, category: 'Sales Executive' },
+            exclusions: [
+                {
+                    id: 'division_scope',
+                    phrases: ['division', 'divisional', 'business unit', 'segment', 'subsidiary'],
+                    reason: 'Scoped to a division, not the company',
+                    maxTier: 3
+                },
+                { id: 'deputy', phrases: ['assistant', 'deputy', 'junior'], reason: 'Deputy to the role holder', demoteBy: 1 }
+            ]
+        },
+
+        technology: {
+            label: 'Technology leader',
+            area: 'technology',
+            excludeAreas: ['finance', 'revenue', 'marketing', 'people', 'legal'],
+            tiers: {
+                1: { label: 'C-Level Technology (CIO, CTO)', confidence: 95 },
+                2: { label: 'VP / Head of IT, Technology or Engineering', confidence: 85 },
+                3: { label: 'IT / Engineering Director', confidence: 75 },
+                4: { label: 'IT / Engineering Manager', confidence: 65 },
+                5: { label: 'Other Technology', confidence: 55 }
+            },
+            rules: [
+                { tier: 1, category: 'CIO', titles: ['chief information officer', 'chief digital officer'] },
+                { tier: 1, category: 'CTO', titles: ['chief technology officer', 'chief technical officer'] },
+                {
+                    tier: 2,
+                    category: 'VP Technology',
+                    seniority: ['vice president', 'head'],
+                    functions: ['information technology', 'it', 'technology', 'engineering', 'infrastructure'],
+                    unless: ['security']
+                },
+                {
+                    tier: 3,
+                    category: 'IT Director',
+                    seniority: ['director'],
+                    functions: ['information technology', 'it', 'technology', 'engineering', 'infrastructure'],
+                    unless: ['security']
+                },
+                { tier: 4, category: 'IT Manager', seniority: ['manager'], functions: ['information technology', 'it', 'technology', 'engineering', 'infrastructure'] }
+            ],
+            fallback: { tier: 5, category: 'Technology Executive' },
+            exclusions: SCOPE_EXCLUSIONS
+        },
+
+        security: {
+            label: 'Security leader',
+            area: 'security',
+            excludeAreas: ['finance', 'revenue', 'marketing', 'people'],
+            tiers: {
+                1: { label: 'C-Level Security (CISO, CSO)', confidence: 95 },
+                2: { label: 'VP / Head of Security', confidence: 85 },
+                3: { label: 'Security Director', confidence: 75 },
+                4: { label: 'Security Manager', confidence: 65 },
+                5: { label: 'Other Security', confidence: 55 }
+            },
+            rules: [
+                { tier: 1, category: 'CISO', titles: ['chief information security officer', 'chief security officer', 'chief cyber security officer'] },
+                { tier: 2, category: 'VP Security', seniority: ['vice president', 'head'], functions: ['security', 'cyber'] },
+                { tier: 3, category: 'Security Director', seniority: ['director'], functions: ['security', 'cyber'] },
+                { tier: 4, category: 'Security Manager', seniority: ['manager', 'lead'], functions: ['security', 'cyber'] }
+            ],
+            fallback: { tier: 5, category: 'Security Executive' },
+            exclusions: SCOPE_EXCLUSIONS
+        },
+
+        marketing: {
+            label: 'Marketing leader',
+            area: 'marketing',
+            excludeAreas: ['finance', 'technology', 'people', 'legal'],
+            tiers: {
+                1: { label: 'C-Level Marketing (CMO)', confidence: 95 },
+                2: { label: 'VP / Head of Marketing', confidence: 85 },
+                3: { label: 'Marketing Director', confidence: 75 },
+                4: { label: 'Marketing Manager', confidence: 65 },
+                5: { label: 'Other Marketing', confidence: 55 }
+            },
+            rules: [
+                { tier: 1, category: 'CMO', titles: ['chief marketing officer', 'chief brand officer'] },
+                { tier: 2, category: 'VP Marketing', seniority: ['vice president', 'head'], functions: ['marketing', 'brand', 'demand generation'] },
+                { tier: 3, category: 'Marketing Director', seniority: ['director'], functions: ['marketing', 'brand', 'demand generation'] },
+                { tier: 4, category: 'Marketing Manager', seniority: ['manager'], functions: ['marketing', 'brand', 'demand generation'] }
+            ],
+            fallback: { tier: 5, category: 'Marketing Executive' },
+            exclusions: SCOPE_EXCLUSIONS
+        },
+
+        people: {
+            label: 'People leader',
+            area: 'people',
+            excludeAreas: ['finance', 'revenue', 'marketing', 'technology'],
+            tiers: {
+                1: { label: 'C-Level People (CHRO, CPO)', confidence: 95 },
+                2: { label: 'VP / Head of HR or People', confidence: 85 },
+                3: { label: 'HR / People Director', confidence: 75 },
+                4: { label: 'HR Manager / Business Partner', confidence: 65 },
+                5: { label: 'Other HR', confidence: 55 }
+            },
+            rules: [
+                { tier: 1, category: 'CHRO', titles: ['chief human resources officer', 'chief people officer', 'chief talent officer'] },
+                { tier: 2, category: 'VP People', seniority: ['vice president', 'head'], functions: ['human resources', 'people', 'talent'] },
+                { tier: 3, category: 'HR Director', seniority: ['director'], functions: ['human resources', 'people', 'talent'] },
+                { tier: 4, category: 'HR Manager', seniority: ['manager', 'business partner'], functions: ['human resources', 'people', 'talent'] }
+            ],
+            fallback: { tier: 5, category: 'HR Executive' },
+            exclusions: SCOPE_EXCLUSIONS
+        }
+    }
+};
@@ -0,0 +1,73 @@
+/**
+ * SOURCE RELIABILITY
+ * Per-field weight (0-1) of each provider's answer, used by modules/ConsensusEngine.js
+ *
+ * A candidate's weight is reliability × (reported confidence / 100); agreeing providers combine
+ * as 1 - Π(1 - weight), plus AGREEMENT_BONUS points per extra independent provider.
+ * A value contradicted by another independent provider loses CONFLICT_PENALTY points.
+ * The email defaults reproduce the old hard-coded outcomes: CoreSignal alone 85, Lusha alone 70,
+ * both agreeing 98 (capped), CoreSignal over a mismatching Lusha 75, generated 30.
+ *
+ * validity: email deliverability verdicts (valid / invalid) from verification providers.
+ *
+ * Providers missing from a field use its default. Measured values from the accuracy harness
+ * (`node accuracy-harness.js reliability <run>`, per-provider precision) can be loaded with SOURCE_RELIABILITY_FILE;
+ * they override these per provider and field.
+ */
+
+module.exports = {
+    SOURCE_RELIABILITY: {
+        email: {
+            coresignal: 0.85,
+            prospeo: 0.85,
+            dropcontact: 0.8,
+            lusha: 0.7,
+            perplexity: 0.5,
+            // Domain convention learned from verified addresses (modules/EmailFormatStore.js)
+            learned_format: 0.8,
+            generated: 0.3,
+            default: 0.5
+        },
+        phone: {
+            twilio: 0.9,
+            lusha: 0.85,
+            coresignal: 0.7,
+            perplexity: 0.4,
+            public_search: 0.4,
+            default: 0.5
+        },
+        title: {
+            coresignal: 0.9,
+            lusha: 0.75,
+            perplexity: 0.7,
+            default: 0.5
+        },
+        linkedIn: {
+            coresignal: 0.92,
+            lusha: 0.8,
+            perplexity: 0.6,
+            generated: 0.2,
+            default: 0.5
+        },
+        validity: {
+            myemailverifier: 0.95,
+            zerobounce: 0.93,
+            default: 0.7
+        }
+    },
+
+    // Points added per additional independent provider agreeing on a value
+    AGREEMENT_BONUS: 5,
+
+    // Points removed from every value when independent providers disagree
+    CONFLICT_PENALTY: 10,
+
+    // Never report more certainty than this
+    MAX_CONFIDENCE: 98,
+
+    // Runner-up within this many points of the winner marks the decision disputed
+    DISPUTE_MARGIN: 10,
+
+    // Sources that never count as independent agreement
+    DEPENDENT_SOURCES: ['generated', 'learned_format']
+};
@@ -0,0 +1,109 @@
+/**
+ * TARGET PERSONAS
+ * Executives a run looks for - each persona gets its own ranked discovery, contact enrichment
+ * and output columns (CSV columns "<LABEL> Name", "<LABEL> Email", ...; result key = persona id)
+ *
+ * A persona is a waterfall over config/role-taxonomy.js:
+ *   role            taxonomy role whose tiers rank the candidates (tier 1 first)
+ *   maxTier         lowest tier still accepted for the role
+ *   fallbacks       other roles tried, in order, when no candidate holds the role - each capped at
+ *                   its own maxTier, scored at `confidence` and explained by `reason`
+ *   searchTitles    titles asked for in the CoreSignal employee search
+ *
+ * cfo and cro are the core tier's own slots and are always researched (FinanceLeaderDetection /
+ * RevenueLeaderDetection keep their deeper waterfalls); a request adds any other persona by id
+ * (personas: ['ciso'], --personas ciso, TARGET_PERSONAS=ciso). A new persona is an entry here plus
+ * a role in the taxonomy - TARGET_PERSONAS_FILE points at a JSON file with more personas by id.
+ */
+
+module.exports = {
+    CORE_PERSONAS: ['cfo', 'cro'],
+
+    TARGET_PERSONAS: {
+        cfo: {
+            label: 'CFO',
+            name: 'Chief Financial Officer',
+            role: 'finance',
+            maxTier: 5,
+            fallbacks: [],
+            searchTitles: [
+                // Tier 1: Primary CFO roles
+                'Chief Financial Officer', 'CFO', 'Chief Accounting Officer', 'CAO',
+                // Tier 2: VP Finance roles
+                'VP Finance', 'Vice President Finance', 'Finance Director', 'Head of Finance',
+                // Tier 3: Controller roles
+                'Controller', 'Corporate Controller', 'Senior Controller',
+                // Tier 4: Finance management
+                'Finance Manager', 'Accounting Manager', 'Financial Planning Manager',
+                // Tier 5: Treasury and budget
+                'Treasurer', 'Budget Manager',
+                // Industry-specific variations
+                'Director of Finance', 'Director of Accounting', 'Head of FP&A', 'Finance Operations Director',
+                // General finance terms
+                'Finance', 'Financial', 'Accounting'
+            ]
+        },
+
+        cro: {
+            label: 'CRO',
+            name: 'Chief Revenue Officer',
+            role: 'revenue',
+            maxTier: 5,
+            fallbacks: [],
+            searchTitles: [
+                'Chief Revenue Officer', 'CRO', 'Chief Sales Officer', 'CSO', 'VP Sales', 'Vice President Sales',
+                'VP Revenue', 'Vice President Revenue', 'Revenue', 'Sales', 'Chief Customer Officer', 'CCO'
+            ]
+        },
+
+        cio: {
+            label: 'CIO',
+            name: 'Chief Information Officer',
+            role: 'technology',
+            maxTier: 4,
+            fallbacks: [],
+            searchTitles: [
+                'Chief Information Officer', 'CIO', 'Chief Technology Officer', 'CTO', 'Chief Digital Officer',
+                'VP IT', 'Vice President Information Technology', 'Head of IT', 'IT Director', 'VP Engineering'
+            ]
+        },
+
+        ciso: {
+            label: 'CISO',
+            name: 'Chief Information Security Officer',
+            role: 'security',
+            maxTier: 4,
+            fallbacks: [
+                { role: 'technology', maxTier: 1, confidence: 60, reason: 'No dedicated security leader - the CIO / CTO owns security' }
+            ],
+            searchTitles: [
+                'Chief Information Security Officer', 'CISO', 'Chief Security Officer', 'VP Information Security',
+                'Head of Security', 'Director of Information Security', 'Security'
+            ]
+        },
+
+        cmo: {
+            label: 'CMO',
+            name: 'Chief Marketing Officer',
+            role: 'marketing',
+            maxTier: 4,
+            fallbacks: [],
+            searchTitles: [
+                'Chief Marketing Officer', 'CMO', 'VP Marketing', 'Vice President Marketing', 'Head of Marketing',
+                'Marketing Director', 'Chief Brand Officer'
+            ]
+        },
+
+        chro: {
+            label: 'CHRO',
+            name: 'Chief Human Resources Officer',
+            role: 'people',
+            maxTier: 4,
+            fallbacks: [],
+            searchTitles: [
+                'Chief Human Resources Officer', 'CHRO', 'Chief People Officer', 'VP Human Resources',
+                'VP People', 'Head of People', 'HR Director'
+            ]
+        }
+    }
+};
@@ -0,0 +1,329 @@
+/**
+ * TITLE LANGUAGES
+ * Non-English executive titles and regional equivalents, translated into the English phrases
+ * config/role-taxonomy.js tiers - "Finanzvorstand", "Directeur Administratif et Financier" and
+ * "Director Financiero" are all the finance leader
+ *
+ * LANGUAGES        phrases of one language → English, written as people write them (accents,
+ *                  hyphens and case do not matter). The longest phrase wins, so compounds and
+ *                  idioms ("kaufmännischer Geschäftsführer") come before single words ("Leiter").
+ *                  An empty translation drops the word ("für", "de"). `regions` are the ISO
+ *                  countries whose companies write titles in the language - their phrases win
+ *                  ties and feed the CoreSignal title search.
+ * REGIONAL_TITLES  English titles that mean something else in a region - only applied when the
+ *                  company's region is known (a UK "Finance Director" sits on the board as CFO)
+ *
+ * A translated title keeps the source wording as `originalTitle` (CSV "CFO Original Title").
+ */
+
+// A UK / Irish board "Finance Director" or "Commercial Director" is the CFO / CCO
+const UK_BOARD_TITLES = {
+    'Finance Director': 'chief financial officer',
+    'Financial Director': 'chief financial officer',
+    'Commercial Director': 'chief commercial officer'
+};
+
+module.exports = {
+    LANGUAGES: {
+        de: {
+            label: 'German',
+            regions: ['DE', 'AT', 'CH', 'LI', 'LU'],
+            phrases: {
+                // Finance
+                'Finanzvorstand': 'chief financial officer',
+                'Vorstand Finanzen': 'chief financial officer',
+                'Finanzchef': 'chief financial officer',
+                'Finanzgeschäftsführer': 'chief financial officer',
+                'Kaufmännischer Geschäftsführer': 'chief financial officer',
+                'Kaufmännische Geschäftsführerin': 'chief financial officer',
+                'Kaufmännischer Vorstand': 'chief financial officer',
+                'Kaufmännischer Leiter': 'head of finance',
+                'Kaufmännische Leiterin': 'head of finance',
+                'Finanzdirektor': 'finance director',
+                'Finanzleiter': 'head of finance',
+                'Leiter Finanzen': 'head of finance',
+                'Leiterin Finanzen': 'head of finance',
+                'Leiter Rechnungswesen': 'head of accounting',
+                'Leiter Controlling': 'head of financial planning',
+                'Leiterin Controlling': 'head of financial planning',
+                'Finanzen': 'finance',
+                'Finanzbuchhaltung': 'accounting',
+                'Buchhaltung': 'accounting',
+                'Rechnungswesen': 'accounting',
+                'Schatzmeister': 'treasurer',
+                // Revenue
+                'Vertriebsvorstand': 'chief sales officer',
+                'Vorstand Vertrieb': 'chief sales officer',
+                'Vertriebsdirektor': 'sales director',
+                'Vertriebsleiter': 'head of sales',
+                'Vertriebsleiterin': 'head of sales',
+                'Leiter Vertrieb': 'head of sales',
+                'Leiterin Vertrieb': 'head of sales',
+                'Verkaufsleiter': 'head of sales',
+                'Vertrieb': 'sales',
+                'Verkauf': 'sales',
+                'Geschäftsentwicklung': 'business development',
+                // Other functions
+                'Vorstandsvorsitzender': 'chief executive officer',
+                'Vorstandsvorsitzende': 'chief executive officer',
+                'Geschäftsführer': 'managing director',
+                'Geschäftsführerin': 'managing director',
+                'Technischer Geschäftsführer': 'chief technology officer',
+                'IT-Leiter': 'head of information technology',
+                'Leiter IT': 'head of information technology',
+                'Personalvorstand': 'chief human resources officer',
+                'Personalleiter': 'head of human resources',
+                'Personalleiterin': 'head of human resources',
+                'Marketingleiter': 'head of marketing',
+                'Informationssicherheitsbeauftragter': 'information security officer',
+                'Aufsichtsrat': 'board member',
+                // Seniority and filler words
+                'Vorstand': 'chief',
+                'Bereichsleiter': 'head',
+                'Leiter': 'head',
+                'Leiterin': 'head',
+                'Direktor': 'director',
+                'Direktorin': 'director',
+                'Stellvertretender': 'deputy',
+                'Stellvertretende': 'deputy',
+                'Ehemaliger': 'former',
+                'Assistenz': 'assistant',
+                'und': 'and',
+                'für': '',
+                'der': ''
+            }
+        },
+
+        fr: {
+            label: 'French',
+            regions: ['FR', 'BE', 'CH', 'LU', 'MC', 'CA'],
+            phrases: {
+                // Finance - the DAF is the CFO
+                'Directeur Administratif et Financier': 'chief financial officer',
+                'Directrice Administrative et Financière': 'chief financial officer',
+                'DAF': 'chief financial officer',
+                'Directeur Financier': 'chief financial officer',
+                'Directrice Financière': 'chief financial officer',
+                'Responsable Administratif et Financier': 'head of finance',
+                'Contrôleur de Gestion': 'controller',
+                'Contrôleuse de Gestion': 'controller',
+                'Trésorier': 'treasurer',
+                'Comptabilité': 'accounting',
+                'Comptable': 'accounting',
+                'Financier': 'financial',
+                'Financière': 'financial',
+                // Revenue
+                'Directeur Commercial': 'head of sales',
+                'Directrice Commerciale': 'head of sales',
+                'Directeur des Ventes': 'sales director',
+                'Directrice des Ventes': 'sales director',
+                'Ventes': 'sales',
+                'Commerciale': 'commercial',
+                'Développement Commercial': 'business development',
+                // Other functions
+                'Président Directeur Général': 'chief executive officer',
+                'PDG': 'chief executive officer',
+                'Directeur Général': 'chief executive officer',
+                'Directrice Générale': 'chief executive officer',
+                'Directeur des Systèmes d\'Information': 'chief information officer',
+                'DSI': 'chief information officer',
+                'RSSI': 'chief information security officer',
+                'Sécurité des Systèmes d\'Information': 'information security',
+                'Sécurité': 'security',
+                'DRH': 'human resources director',
+                'Ressources Humaines': 'human resources',
+                // Seniority and filler words
+                'Directeur': 'director',
+                'Directrice': 'director',
+                'Responsable': 'head',
+                'Adjoint': 'deputy',
+                'Adjointe': 'deputy',
+                'Ancien': 'former',
+                'et': 'and',
+                'de': '',
+                'des': '',
+                'du': '',
+                'la': '',
+                'le': '',
+                'l': '',
+                'd': ''
+            }
+        },
+
+        es: {
+            label: 'Spanish',
+            regions: ['ES', 'MX', 'AR', 'CO', 'CL', 'PE', 'UY'],
+            phrases: {
+                // Finance
+                'Director Financiero': 'chief financial officer',
+                'Directora Financiera': 'chief financial officer',
+                'Director de Finanzas': 'chief financial officer',
+                'Directora de Finanzas': 'chief financial officer',
+                'Director de Administración y Finanzas': 'chief financial officer',
+                'Jefe de Finanzas': 'head of finance',
+                'Contralor': 'controller',
+                'Tesorero': 'treasurer',
+                'Contabilidad': 'accounting',
+                'Finanzas': 'finance',
+                'Financiero': 'financial',
+                'Financiera': 'financial',
+                // Revenue
+                'Director Comercial': 'head of sales',
+                'Directora Comercial': 'head of sales',
+                'Director de Ventas': 'sales director',
+                'Directora de Ventas': 'sales director',
+                'Ventas': 'sales',
+                'Desarrollo de Negocio': 'business development',
+                // Other functions
+                'Consejero Delegado': 'chief executive officer',
+                'Consejera Delegada': 'chief executive officer',
+                'Director General': 'chief executive officer',
+                'Directora General': 'chief executive officer',
+                'Gerente General': 'general manager',
+                'Director de Sistemas': 'it director',
+                'Recursos Humanos': 'human resources',
+                'Seguridad': 'security',
+                'Tecnología': 'technology',
+                'Mercadotecnia': 'marketing',
+                // Seniority and filler words
+                'Vicepresidente': 'vice president',
+                'Directora': 'director',
+                'Jefe': 'head',
+                'Jefa': 'head',
+                'Gerente': 'manager',
+                'Adjunto': 'deputy',
+                'Adjunta': 'deputy',
+                'y': 'and',
+                'de': '',
+                'del': '',
+                'la': ''
+            }
+        },
+
+        nl: {
+            label: 'Dutch',
+            regions: ['NL', 'BE'],
+            phrases: {
+                // Finance - the financieel directeur (FD) is the CFO
+                'Financieel Directeur': 'chief financial officer',
+                'Directeur Financiën': 'chief financial officer',
+                'Hoofd Financiën': 'head of finance',
+                'Financiën': 'finance',
+                'Financieel': 'financial',
+                'Boekhouding': 'accounting',
+                'Penningmeester': 'treasurer',
+                // Revenue
+                'Commercieel Directeur': 'chief commercial officer',
+                'Verkoopdirecteur': 'sales director',
+                'Verkoopmanager': 'sales manager',
+                'Hoofd Verkoop': 'head of sales',
+                'Verkoop': 'sales',
+                'Commercieel': 'commercial',
+                // Other functions
+                'Algemeen Directeur': 'chief executive officer',
+                'Personeelszaken': 'human resources',
+                'Beveiliging': 'security',
+                // Seniority and filler words
+                'Directeur': 'director',
+                'Hoofd': 'head',
+                'en': 'and',
+                'van': ''
+            }
+        },
+
+        sv: {
+            label: 'Swedish',
+            regions: ['SE'],
+            phrases: {
+                'Finansdirektör': 'chief financial officer',
+                'Ekonomidirektör': 'chief financial officer',
+                'Ekonomichef': 'head of finance',
+                'Redovisningschef': 'head of accounting',
+                'Ekonomi': 'finance',
+                'Försäljningsdirektör': 'sales director',
+                'Försäljningschef': 'head of sales',
+                'Säljchef': 'head of sales',
+                'Kommersiell Direktör': 'chief commercial officer',
+                'Försäljning': 'sales',
+                'Verkställande Direktör': 'chief executive officer',
+                'VD': 'chief executive officer',
+                'IT-chef': 'head of information technology',
+                'Personalchef': 'head of human resources',
+                'Marknadschef': 'head of marketing',
+                'Direktör': 'director',
+                'Biträdande': 'deputy',
+                'och': 'and'
+            }
+        },
+
+        no: {
+            label: 'Norwegian',
+            regions: ['NO'],
+            phrases: {
+                'Finansdirektør': 'chief financial officer',
+                'Økonomidirektør': 'chief financial officer',
+                'Økonomisjef': 'head of finance',
+                'Økonomi': 'finance',
+                'Salgsdirektør': 'sales director',
+                'Salgssjef': 'head of sales',
+                'Kommersiell Direktør': 'chief commercial officer',
+                'Salg': 'sales',
+                'Administrerende Direktør': 'chief executive officer',
+                'Daglig Leder': 'chief executive officer',
+                'IT-sjef': 'head of information technology',
+                'Personalsjef': 'head of human resources',
+                'Direktør': 'director',
+                'Sjef': 'head',
+                'og': 'and'
+            }
+        },
+
+        da: {
+            label: 'Danish',
+            regions: ['DK'],
+            phrases: {
+                'Økonomidirektør': 'chief financial officer',
+                'Finansdirektør': 'chief financial officer',
+                'Økonomichef': 'head of finance',
+                'Økonomi': 'finance',
+                'Salgsdirektør': 'sales director',
+                'Salgschef': 'head of sales',
+                'Kommerciel Direktør': 'chief commercial officer',
+                'Salg': 'sales',
+                'Administrerende Direktør': 'chief executive officer',
+                'Adm. Direktør': 'chief executive officer',
+                'IT-chef': 'head of information technology',
+                'HR-chef': 'head of human resources',
+                'Direktør': 'director',
+                'og': 'and'
+            }
+        },
+
+        fi: {
+            label: 'Finnish',
+            regions: ['FI'],
+            phrases: {
+                'Talousjohtaja': 'chief financial officer',
+                'Talouspäällikkö': 'finance manager',
+                'Myyntijohtaja': 'head of sales',
+                'Myyntipäällikkö': 'sales manager',
+                'Kaupallinen Johtaja': 'chief commercial officer',
+                'Toimitusjohtaja': 'chief executive officer',
+                'Tietohallintojohtaja': 'chief information officer',
+                'Henkilöstöjohtaja': 'human resources director',
+                'Markkinointijohtaja': 'marketing director',
+                'Johtaja': 'director',
+                'Päällikkö': 'manager',
+                'ja': 'and'
+            }
+        }
+    },
+
+    REGIONAL_TITLES: {
+        uk_board: {
+            label: 'UK / Irish board title',
+            regions: ['GB', 'IE'],
+            phrases: UK_BOARD_TITLES
+        }
+    }
+};
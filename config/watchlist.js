@@ -0,0 +1,81 @@
+/**
+ * EXECUTIVE WATCHLIST
+ * How watched accounts are re-verified (modules/WatchlistMonitor.js) and how the changes found
+ * are ranked (modules/ExecutiveWatchlist.js)
+ *
+ * WATCHLIST_SCHEDULE  days between passes - an account is due after the shortest interval of the
+ *                     personas it watches; a vacant seat or an interim holder is checked again
+ *                     after followUpDays, because the next change there is the one reps want
+ * WATCHLIST_SIGNALS   the checks a pass can run, cheapest first (costUsd per unit at ApiCostOptimizer
+ *                     prices - per watched executive or per account, see `per`). A check only runs
+ *                     when one of its `requires` keys is set, and then when it is older than
+ *                     everyDays; once a cheaper check finds something suspicious (email bouncing,
+ *                     executive missing from the leadership page, another title) every remaining
+ *                     check runs in the same pass to confirm it and find the successor.
+ *                     confidence is what a change backed only by that check is worth.
+ * EVENT_PRIORITIES    priority of each change event type, by persona id (default for the rest)
+ * INTERIM_WORDS       title words that mark a temporary holder, folded like role taxonomy titles
+ */
+
+module.exports = {
+    WATCHLIST_SCHEDULE: {
+        defaultIntervalDays: 14,
+        personaIntervalDays: {
+            cfo: 7
+        },
+        followUpDays: 3
+    },
+
+    WATCHLIST_SIGNALS: {
+        email: {
+            label: 'Email deliverability (ZeroBounce / MyEmailVerifier)',
+            per: 'executive',
+            costUsd: 0.007,
+            everyDays: 7,
+            confidence: 60,
+            requires: ['ZEROBOUNCE_API_KEY', 'MYEMAILVERIFIER_API_KEY']
+        },
+        leadership: {
+            label: 'Company leadership page',
+            per: 'account',
+            costUsd: 0.01,
+            everyDays: 30,
+            confidence: 80,
+            requires: ['PERPLEXITY_API_KEY']
+        },
+        news: {
+            label: 'Transition news (Perplexity)',
+            per: 'executive',
+            costUsd: 0.02,
+            everyDays: 90,
+            confidence: 50,
+            requires: ['PERPLEXITY_API_KEY']
+        },
+        profile: {
+            label: 'CoreSignal profile (LinkedIn or email match)',
+            per: 'executive',
+            costUsd: 0.15,
+            everyDays: 90,
+            confidence: 90,
+            requires: ['CORESIGNAL_API_KEY']
+        }
+    },
+
+    EVENT_PRIORITIES: {
+        new_hire: { cfo: 'high', default: 'medium' },
+        interim_appointed: { cfo: 'high', default: 'medium' },
+        departed: { default: 'medium' },
+        email_bouncing: { default: 'low' },
+        title_change: { cfo: 'medium', default: 'low' }
+    },
+
+    INTERIM_WORDS: [
+        'interim', 'acting', 'temporary', 'provisional', 'caretaker',
+        'kommissarisch', 'kommissarischer', 'kommissarische',  // German
+        'interino', 'interina',                                 // Spanish ("par intérim" folds to interim)
+        'waarnemend',                                           // Dutch
+        'tillforordnad', 'tf',                                  // Swedish
+        'konstituert', 'fungerende',                            // Norwegian / Danish
+        'vt'                                                    // Finnish (väliaikainen)
+    ]
+};
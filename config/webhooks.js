@@ -0,0 +1,37 @@
+/**
+ * WEBHOOKS
+ * Outbound event types and how their deliveries are signed and retried (modules/WebhookDispatcher.js)
+ *
+ * WEBHOOK_EVENTS    event types a subscription can ask for ('*' is every type) and what emits them
+ * WEBHOOK_DELIVERY  timeoutMs per attempt; a failed attempt (network error, timeout, non-2xx) is
+ *                   retried after baseDelaySeconds × factor^(attempt - 1), capped at maxDelaySeconds,
+ *                   until maxAttempts - then the delivery moves to the dead-letter list for replay.
+ *                   Delivered deliveries are pruned after retainDays.
+ * WEBHOOK_SIGNATURE header `<header>: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`
+ *                   keyed with the subscription secret; receivers reject timestamps older than
+ *                   toleranceSeconds
+ */
+
+module.exports = {
+    WEBHOOK_EVENTS: {
+        'job.completed': 'An asynchronous job finished (api/jobs) - stats and the results CSV URL',
+        'job.failed': 'An asynchronous job stopped with an error',
+        'company.failed': 'A company failed in a job or a pipeline run - the error and attempts so far',
+        'executive.changed': 'The executive watchlist found a change (departed, new_hire, interim_appointed, title_change, email_bouncing)',
+        'webhook.test': 'Sent by `node webhooks.js test <id>` to check an endpoint'
+    },
+
+    WEBHOOK_DELIVERY: {
+        timeoutMs: 10000,
+        maxAttempts: 8,
+        baseDelaySeconds: 30,
+        factor: 2,
+        maxDelaySeconds: 6 * 60 * 60,
+        retainDays: 7
+    },
+
+    WEBHOOK_SIGNATURE: {
+        header: 'X-Adrata-Signature',
+        toleranceSeconds: 300
+    }
+};
@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+
+/**
+ * 🏛️ CORPORATE EVENTS CLI
+ *
+ * Maintain the M&A registry (inputs/corporate-events/corporate-events.json) consulted by
+ * CompanyResolver and OperationalStatusAnalyzer before any AI research
+ *
+ * Usage:
+ *   node corporate-events.js list [--all]
+ *   node corporate-events.js show <id|domain>
+ *   node corporate-events.js import <file.csv> [--dry-run]
+ *   node corporate-events.js add --domain acme.com --acquirer "Parent Inc" [--acquirer-domain parent.com] [--date 2024-06-01]
+ *        [--type full_acquisition] [--brand retained] [--company "Acme"] [--confidence 90] [--targeting subsidiary_first] [--notes n] [--source s]
+ *   node corporate-events.js correct <id> [any add option] [--reason r]
+ *   node corporate-events.js expire <id> [--reason r]
+ *   node corporate-events.js disposition <id> --person "Jane Doe" --disposition moved_to_parent [--role CFO] [--current-role r] [--current-company c] [--notes n]
+ *   node corporate-events.js scan <accounts.csv>      snapshot every account's domain (redirects, title, canonical link - no AI) and report changes
+ *   node corporate-events.js signals <domain>         domain changes recorded by earlier runs
+ *
+ * "Acme kept its brand":  node corporate-events.js correct acme.com:full_acquisition:2024-06-01 --brand retained --reason "site still live"
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const csv = require('csv-parser');
+const { CorporateEventRegistry, EVENT_TYPES, BRAND_STATUS, EXECUTIVE_DISPOSITIONS } = require('./modules/CorporateEventRegistry');
+
+const FIELD_FLAGS = {
+    '--domain': 'domain',
+    '--company': 'company',
+    '--type': 'type',
+    '--date': 'date',
+    '--brand': 'brandStatus',
+    '--confidence': 'confidence',
+    '--targeting': 'targetingOverride',
+    '--notes': 'notes',
+    '--source': 'source',
+    '--expires': 'expiresAt'
+};
+
+const ACQUIRER_FLAGS = {
+    '--acquirer': 'name',
+    '--acquirer-domain': 'domain',
+    '--acquirer-ticker': 'ticker',
+    '--acquirer-details': 'details'
+};
+
+const EXECUTIVE_FLAGS = {
+    '--person': 'name',
+    '--disposition': 'disposition',
+    '--role': 'originalRole',
+    '--current-role': 'currentRole',
+    '--current-company': 'currentCompany'
+};
+
+function parseArgs(argv) {
+    const [command = 'help', ...rest] = argv;
+    const positional = [];
+    const fields = {};
+    const acquirer = {};
+    const executive = {};
+    const options = { all: false, dryRun: false, reason: null };
+
+    for (let i = 0; i < rest.length; i++) {
+        const flag = rest[i];
+        if (flag === '--all') {
+            options.all = true;
+        } else if (flag === '--dry-run') {
+            options.dryRun = true;
+        } else if (flag === '--reason') {
+            options.reason = rest[++i];
+        } else if (FIELD_FLAGS[flag]) {
+            fields[FIELD_FLAGS[flag]] = rest[++i];
+        } else if (ACQUIRER_FLAGS[flag]) {
+            acquirer[ACQUIRER_FLAGS[flag]] = rest[++i];
+        } else if (EXECUTIVE_FLAGS[flag]) {
+            executive[EXECUTIVE_FLAGS[flag]] = rest[++i];
+        } else if (flag.startsWith('--')) {
+            throw new Error(`Unknown option: ${flag}`);
+        } else {
+            positional.push(flag);
+        }
+    }
+
+    if (fields.confidence !== undefined) fields.confidence = Number(fields.confidence);
+    return { command, positional, fields, acquirer, executive, options };
+}
+
+function printEntry(entry) {
+    const event = entry.acquirer ? `${entry.type} by ${entry.acquirer.name}${entry.date ? ` (${entry.date})` : ''}` : entry.type;
+    const expired = entry.status === 'expired' ? ' [expired]' : '';
+    console.log(`   ${entry.id.padEnd(48)} ${event} · brand ${entry.brandStatus} · ${entry.confidence}%${expired}`);
+}
+
+/**
+ * Entry by id, or the active entry for a domain
+ */
+function findEntry(registry, idOrDomain) {
+    const entry = registry.get(idOrDomain) || registry.lookup(idOrDomain);
+    if (!entry) throw new Error(`No corporate event for ${idOrDomain}`);
+    return entry;
+}
+
+/**
+ * Websites from an accounts CSV - same columns as the pipelines' input files
+ */
+function readWebsites(file) {
+    return new Promise((resolve, reject) => {
+        const websites = [];
+        fs.createReadStream(file)
+            .pipe(csv())
+            .on('data', row => {
+                const website = row.Website || row.domain || row.Domain;
+                if (website && website.trim()) websites.push(website.trim());
+            })
+            .on('end', () => resolve([...new Set(websites)]))
+            .on('error', reject);
+    });
+}
+
+function printSignal(signal) {
+    console.log(`   🕰️ ${signal.detectedAt.split('T')[0]} ${signal.summary} (${signal.type}, ${signal.confidence}%)`);
+    console.log(`      before: ${signal.evidence.before.finalUrl} · ${signal.evidence.before.title || 'no title'}`);
+    console.log(`      after:  ${signal.evidence.after.finalUrl} · ${signal.evidence.after.title || 'no title'}`);
+    const event = signal.suggestedEvent;
+    if (event?.acquirerDomain) {
+        console.log(`      → node corporate-events.js add --domain ${event.domain} --type ${event.type} --acquirer "<name>" --acquirer-domain ${event.acquirerDomain} --brand ${event.brandStatus} --source domain_history`);
+    }
+}
+
+/**
+ * Snapshot every account's domain; changes since the last scan or pipeline run are printed
+ */
+async function scanAccounts(file, registry) {
+    const { CompanyResolver } = require('./modules/CompanyResolver');
+    const resolver = new CompanyResolver({ corporateEvents: registry });
+    const websites = await readWebsites(file);
+    const found = [];
+
+    console.log(`🕰️ Scanning ${websites.length} domains from ${file}`);
+    try {
+        for (const website of websites) {
+            const urlResolution = await resolver.resolveUrlWithRedirects(website);
+            const { signals } = await resolver.domainHistory.record(resolver.buildDomainSnapshot(website, urlResolution));
+            found.push(...signals);
+        }
+    } finally {
+        await resolver.domainHistory.cache.close();
+    }
+
+    console.log(`\n🚩 ${found.length} domain changes in ${websites.length} domains`);
+    found.forEach(signal => {
+        const known = registry.lookup(signal.domain);
+        printSignal(signal);
+        if (known) console.log(`      registry already has ${known.id} - correct it if the change is real`);
+    });
+    return found;
+}
+
+async function main() {
+    const { command, positional, fields, acquirer, executive, options } = parseArgs(process.argv.slice(2));
+    const registry = new CorporateEventRegistry();
+
+    switch (command) {
+        case 'list': {
+            const entries = registry.list({ includeExpired: options.all });
+            console.log(`🏛️ CORPORATE EVENTS v${registry.registry.version} (${registry.registry.asOf}) - ${entries.length} entries`);
+            entries.forEach(printEntry);
+            break;
+        }
+
+        case 'show':
+            console.log(JSON.stringify(findEntry(registry, positional[0]), null, 2));
+            break;
+
+        case 'import': {
+            if (!positional[0]) throw new Error('import needs a CSV file');
+            const report = await registry.importCsv(positional[0], { dryRun: options.dryRun });
+            report.errors.forEach(error => console.log(`   ⚠️ Row ${error.row} (${error.domain || 'no domain'}): ${error.message}`));
+            if (report.errors.length > 0) process.exitCode = 1;
+            break;
+        }
+
+        case 'add': {
+            const entry = registry.add({ ...fields, acquirer: acquirer.name ? acquirer : null });
+            console.log(`✅ Added ${entry.id} (registry v${registry.registry.version})`);
+            break;
+        }
+
+        case 'correct': {
+            const entry = findEntry(registry, positional[0]);
+            const changes = { ...fields };
+            if (Object.keys(acquirer).length > 0) changes.acquirer = acquirer;
+            const corrected = registry.correct(entry.id, changes, { reason: options.reason });
+            console.log(corrected === entry ? `ℹ️ ${entry.id} unchanged` : `✅ Corrected ${corrected.id} (registry v${registry.registry.version})`);
+            break;
+        }
+
+        case 'expire': {
+            const entry = registry.expire(findEntry(registry, positional[0]).id, { reason: options.reason });
+            console.log(`✅ Expired ${entry.id} (registry v${registry.registry.version})`);
+            break;
+        }
+
+        case 'disposition': {
+            const { name, ...disposition } = executive;
+            if (!name) throw new Error('disposition needs --person');
+            const entry = registry.setDisposition(findEntry(registry, positional[0]).id, name, { ...disposition, notes: fields.notes });
+            console.log(`✅ ${name}: ${disposition.disposition} at ${entry.id} (registry v${registry.registry.version})`);
+            break;
+        }
+
+        case 'scan':
+            if (!positional[0]) throw new Error('scan needs an accounts CSV file');
+            await scanAccounts(positional[0], registry);
+            break;
+
+        case 'signals': {
+            if (!positional[0]) throw new Error('signals needs a domain');
+            const { DomainHistory } = require('./modules/DomainHistory');
+            const history = new DomainHistory();
+            try {
+                const signals = await history.signals(positional[0]);
+                console.log(`🕰️ ${signals.length} domain changes recorded for ${positional[0]}`);
+                signals.forEach(printSignal);
+            } finally {
+                await history.cache.close();
+            }
+            break;
+        }
+
+        default:
+            console.log('Usage: node corporate-events.js <list|show|import|add|correct|expire|disposition|scan|signals> [options] - see the header of corporate-events.js');
+            console.log(`   types: ${EVENT_TYPES.join(', ')}`);
+            console.log(`   brand: ${Object.values(BRAND_STATUS).join(', ')}`);
+            console.log(`   dispositions: ${EXECUTIVE_DISPOSITIONS.join(', ')}`);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * 📇 CRM EXPORT CLI
+ *
+ * Turn pipeline results into HubSpot / Salesforce accounts, contacts and association records
+ * (config/crm-mappings.js, modules/crm) - instead of hand-converting the pipeline CSVs
+ *
+ * Usage:
+ *   node crm-export.js export <results.json> --crm hubspot [--out outputs/crm] [--pipeline core]   import CSV files
+ *   node crm-export.js upsert <results.json> --crm salesforce [--dry-run] [--full]                  push changed records
+ *   node crm-export.js upsert --job <jobId> --crm hubspot                                           results of an api/jobs job
+ *   node crm-export.js mock --crm hubspot [--port 4010] [--token t]                                 local mock of the CRM API
+ *
+ * results.json: a pipeline's *-data.json (an array of results) or an API response with `results`
+ *
+ * Try an upsert against the mock:
+ *   node crm-export.js mock --crm hubspot --port 4010 &
+ *   HUBSPOT_API_URL=http://localhost:4010 HUBSPOT_ACCESS_TOKEN=test node crm-export.js upsert outputs/v1/core-cro-cfo-data.json --crm hubspot
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { CRM_MAPPINGS } = require('./config/crm-mappings');
+const { buildCrmExport, writeCrmImportFiles } = require('./modules/crm/CrmMapping');
+
+function parseArgs(argv) {
+    const [command = 'help', ...rest] = argv;
+    const positional = [];
+    const options = { crm: null, out: path.join(__dirname, 'outputs/crm'), pipeline: null, job: null, dryRun: false, full: false, port: 4010, token: null };
+
+    for (let i = 0; i < rest.length; i++) {
+        const flag = rest[i];
+        if (flag === '--dry-run') {
+            options.dryRun = true;
+        } else if (flag === '--full') {
+            options.full = true;
+        } else if (flag === '--crm') {
+            options.crm = rest[++i];
+        } else if (flag === '--out') {
+            options.out = rest[++i];
+        } else if (flag === '--pipeline') {
+            options.pipeline = rest[++i];
+        } else if (flag === '--job') {
+            options.job = rest[++i];
+        } else if (flag === '--port') {
+            options.port = Number(rest[++i]);
+        } else if (flag === '--token') {
+            options.token = rest[++i];
+        } else if (flag.startsWith('--')) {
+            throw new Error(`Unknown option: ${flag}`);
+        } else {
+            positional.push(flag);
+        }
+    }
+
+    if (command !== 'help' && !CRM_MAPPINGS[options.crm]) {
+        throw new Error(`${command} needs --crm ${Object.keys(CRM_MAPPINGS).join('|')}`);
+    }
+    return { command, positional, options };
+}
+
+/**
+ * Pipeline results from a JSON file or a job's ledger
+ */
+function readResults(file, jobId) {
+    if (jobId) {
+        const { JobStore } = require('./modules/JobStore');
+        const store = new JobStore();
+        if (!store.getJob(jobId)) throw new Error(`Job not found: ${jobId}`);
+        return store.openLedger(jobId, { readOnly: true }).getCompletedResults();
+    }
+
+    if (!file) throw new Error('Name a results JSON file or --job <id>');
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const results = Array.isArray(data) ? data : data.results;
+    if (!Array.isArray(results)) throw new Error(`${file} has no results array`);
+    return results;
+}
+
+async function main() {
+    const { command, positional, options } = parseArgs(process.argv.slice(2));
+
+    switch (command) {
+        case 'export': {
+            const crmExport = buildCrmExport(readResults(positional[0], options.job), { crm: options.crm, pipeline: options.pipeline });
+            const files = await writeCrmImportFiles(crmExport, options.out);
+            console.log(`✅ ${crmExport.accounts.length} accounts, ${crmExport.contacts.length} contacts, ${crmExport.associations.length} associations` +
+                (crmExport.skipped > 0 ? ` (${crmExport.skipped} results without a usable website skipped)` : ''));
+            files.forEach(file => console.log(`   📄 ${file}`));
+            break;
+        }
+
+        case 'upsert': {
+            const { CrmUpsertClient } = require('./modules/crm/CrmUpsertClient');
+            const crmExport = buildCrmExport(readResults(positional[0], options.job), { crm: options.crm, pipeline: options.pipeline });
+            const client = new CrmUpsertClient({ crm: options.crm });
+            if (!options.dryRun && !client.adapter.isConfigured()) {
+                throw new Error(`${client.adapter.label} credentials not configured (see the header of modules/crm/${client.adapter.constructor.name}.js)`);
+            }
+
+            const summary = await client.sync(crmExport, { dryRun: options.dryRun, full: options.full });
+            summary.errors.forEach(error => console.log(`   ❌ ${error.kind} ${error.externalId}: ${error.error}`));
+            if (summary.errors.length > 0) process.exitCode = 1;
+            break;
+        }
+
+        case 'mock': {
+            const { createMockCrmServer } = require('./modules/crm/MockCrmServer');
+            const server = createMockCrmServer({ crm: options.crm, token: options.token });
+            server.on('request', req => console.log(`   ${req.method} ${req.url}`));
+            server.listen(options.port, () => console.log(`🧪 Mock ${options.crm} API on http://localhost:${options.port} - GET /mock/records shows what was stored; Ctrl+C to stop`));
+            break;
+        }
+
+        default:
+            console.log('Usage: node crm-export.js <export|upsert|mock> --crm <hubspot|salesforce> [options] - see the header of crm-export.js');
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { parseArgs, readResults };
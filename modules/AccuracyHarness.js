@@ -0,0 +1,372 @@
+/**
+ * 🎯 ACCURACY HARNESS MODULE
+ *
+ * Scores pipeline output against the versioned golden set (inputs/golden/golden-set.json):
+ * 1. Per company / role / field outcome (tp, fp, fn, unjudged)
+ * 2. Precision, recall and coverage per field, per role and per role tier (1-5)
+ * 3. Diff between two scored runs - metric deltas plus fixed / regressed fields
+ * 4. Per-provider precision from field provenance - measured weights for the consensus engine
+ *
+ * Outcomes for one field:
+ * - tp: value found and it matches the golden set
+ * - fp: value found but it is wrong
+ * - fn: golden set has a value, the pipeline found nothing
+ * - unjudged: golden set does not know this field (null) - only counts toward coverage
+ *
+ * precision = tp / (tp + fp), recall = tp / (tp + fp + fn), coverage = found / companies scored.
+ * Golden companies absent from the output are listed as unscored rather than counted as misses.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PIPELINE_TIERS } = require('../config/pipeline-tiers');
+
+const DEFAULT_GOLDEN_SET = path.join(__dirname, '../inputs/golden/golden-set.json');
+const GOLDEN_SCHEMA_VERSION = 1;
+const GOLDEN_FIELDS = ['name', 'email', 'phone', 'linkedIn'];
+
+// Where each golden role lives in a result, by the tier's result template
+const RESULT_ROLE_PATHS = {
+    cfoCro: { cfo: 'cfo', cro: 'cro' },
+    ceoFinance: { ceo: 'ceo', cfo: 'financeLeader' }
+};
+
+const NAME_SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'phd', 'mba', 'cpa', 'cfa']);
+
+/**
+ * 📖 LOAD THE GOLDEN SET
+ */
+function loadGoldenSet(file = DEFAULT_GOLDEN_SET) {
+    const golden = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (golden.schemaVersion !== GOLDEN_SCHEMA_VERSION) {
+        throw new Error(`Unsupported golden set schemaVersion ${golden.schemaVersion} (expected ${GOLDEN_SCHEMA_VERSION})`);
+    }
+    if (!Array.isArray(golden.companies)) {
+        throw new Error(`Golden set ${file} has no companies array`);
+    }
+    return golden;
+}
+
+/**
+ * Golden companies in the legacy { website, expectedCFO, expectedCRO } shape used by the
+ * validation scripts; `roles` carries the full entries for matchesExpected()
+ */
+function toExpectedCompanies(golden = loadGoldenSet()) {
+    return golden.companies.map(company => ({
+        website: company.website,
+        domain: company.website,
+        companyName: company.companyName,
+        expectedCFO: company.roles.cfo?.name || null,
+        expectedCRO: company.roles.cro?.name || null,
+        roles: company.roles
+    }));
+}
+
+function normalizeDomain(website) {
+    return String(website || '')
+        .toLowerCase()
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '')
+        .split(/[/?#]/)[0]
+        .trim();
+}
+
+/**
+ * "Dr. Amy E. Weaver, CPA" -> "amy weaver"
+ */
+function normalizeName(name) {
+    const tokens = String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[.,'’()]/g, ' ')
+        .split(/\s+/)
+        .filter(token => token && !NAME_SUFFIXES.has(token) && !['dr', 'mr', 'mrs', 'ms'].includes(token));
+
+    // Drop middle names / initials - first + last is what the golden set records
+    return tokens.length > 2 ? `${tokens[0]} ${tokens[tokens.length - 1]}` : tokens.join(' ');
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Compare on the last 10 digits so +1 / formatting differences don't count as misses
+ */
+function normalizePhone(phone) {
+    return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+function normalizeLinkedIn(url) {
+    const match = String(url || '').toLowerCase().match(/linkedin\.com\/in\/([^/?#]+)/);
+    return match ? decodeURIComponent(match[1]) : '';
+}
+
+const NORMALIZERS = {
+    name: normalizeName,
+    email: normalizeEmail,
+    phone: normalizePhone,
+    linkedIn: normalizeLinkedIn
+};
+
+/**
+ * Accepted normalized values for one golden role field; null when the field is unknown
+ */
+function expectedValues(goldenRole, field) {
+    if (!goldenRole) return null;
+
+    const raw = field === 'name'
+        ? [goldenRole.name, ...(goldenRole.alsoAccept || [])]
+        : [].concat(goldenRole[field] ?? []);
+
+    const values = raw.filter(Boolean).map(NORMALIZERS[field]).filter(Boolean);
+    return values.length > 0 ? values : null;
+}
+
+/**
+ * True when an output value matches any accepted golden value
+ */
+function matchesExpected(field, goldenRole, actual) {
+    const expected = expectedValues(goldenRole, field);
+    const value = NORMALIZERS[field](actual);
+    return Boolean(expected && value && expected.includes(value));
+}
+
+function emptyCounts() {
+    return { tp: 0, fp: 0, fn: 0, unjudged: 0, found: 0, total: 0 };
+}
+
+function percent(numerator, denominator) {
+    return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 10 : null;
+}
+
+/**
+ * Counts -> { precision, recall, coverage, ...counts }
+ */
+function toMetrics(counts) {
+    return {
+        precision: percent(counts.tp, counts.tp + counts.fp),
+        recall: percent(counts.tp, counts.tp + counts.fp + counts.fn),
+        coverage: percent(counts.found, counts.total),
+        ...counts
+    };
+}
+
+class AccuracyHarness {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.goldenSet] - already-loaded golden set
+     * @param {string} [options.goldenFile] - defaults to inputs/golden/golden-set.json
+     */
+    constructor({ goldenSet = null, goldenFile = DEFAULT_GOLDEN_SET } = {}) {
+        this.goldenSet = goldenSet || loadGoldenSet(goldenFile);
+    }
+
+    /**
+     * Role -> result key for a pipeline tier
+     */
+    rolePaths(pipelineTier) {
+        const tier = PIPELINE_TIERS[pipelineTier];
+        if (!tier) {
+            throw new Error(`Unknown pipeline tier "${pipelineTier}" (expected ${Object.keys(PIPELINE_TIERS).join(', ')})`);
+        }
+        return RESULT_ROLE_PATHS[tier.resultTemplate];
+    }
+
+    /**
+     * 📊 SCORE PIPELINE RESULTS
+     *
+     * @param {Object[]} results - pipeline results (matched to the golden set by website)
+     * @param {Object} options
+     * @param {string} [options.pipelineTier='core'] - core | advanced | powerhouse
+     * @param {string} [options.label] - free-text run label
+     * @returns {Object} report with summary metrics and per-company outcomes
+     */
+    scoreResults(results, { pipelineTier = 'core', label = null } = {}) {
+        const rolePaths = this.rolePaths(pipelineTier);
+        const resultsByDomain = new Map(
+            results.filter(Boolean).map(result => [normalizeDomain(result.website || result.domain), result])
+        );
+
+        const overall = {};
+        const byRole = {};
+        const byRoleTier = {};
+        const add = (bucket, key, field, outcome, found) => {
+            bucket[key] = bucket[key] || {};
+            const counts = bucket[key][field] = bucket[key][field] || emptyCounts();
+            counts[outcome]++;
+            counts.total++;
+            if (found) counts.found++;
+        };
+
+        const companies = this.goldenSet.companies.map(goldenCompany => {
+            const result = resultsByDomain.get(normalizeDomain(goldenCompany.website));
+            const roles = {};
+
+            // Companies missing from the output are listed but not scored (partial runs, --limit)
+            if (!result) {
+                return { website: goldenCompany.website, scored: false, roles };
+            }
+
+            Object.entries(rolePaths).forEach(([role, resultKey]) => {
+                const goldenRole = goldenCompany.roles[role];
+                if (!goldenRole) return;
+
+                const person = result[resultKey] || {};
+                const tierKey = person.tier ? `tier ${person.tier}` : 'untiered';
+                const fields = {};
+
+                GOLDEN_FIELDS.forEach(field => {
+                    const actual = person[field] || '';
+                    const found = Boolean(NORMALIZERS[field](actual));
+                    const expected = expectedValues(goldenRole, field);
+
+                    let outcome;
+                    if (!expected) outcome = 'unjudged';
+                    else if (!found) outcome = 'fn';
+                    else outcome = matchesExpected(field, goldenRole, actual) ? 'tp' : 'fp';
+
+                    fields[field] = {
+                        outcome,
+                        expected: field === 'name' ? goldenRole.name : goldenRole[field] ?? null,
+                        actual: actual || null,
+                        provider: person.provenance?.[field]?.provider || null
+                    };
+
+                    add(overall, 'all', field, outcome, found);
+                    add(byRole, role, field, outcome, found);
+                    add(byRoleTier, `${role} ${tierKey}`, field, outcome, found);
+                });
+
+                roles[role] = { tier: person.tier || null, disputed: Boolean(goldenRole.disputed), fields };
+            });
+
+            return { website: goldenCompany.website, scored: Boolean(result), roles };
+        });
+
+        const mapMetrics = bucket => Object.fromEntries(
+            Object.entries(bucket).map(([key, fields]) => [
+                key,
+                Object.fromEntries(Object.entries(fields).map(([field, counts]) => [field, toMetrics(counts)]))
+            ])
+        );
+
+        return {
+            schemaVersion: 1,
+            createdAt: new Date().toISOString(),
+            label,
+            pipelineTier,
+            goldenVersion: this.goldenSet.version,
+            companiesInGoldenSet: this.goldenSet.companies.length,
+            companiesScored: companies.filter(company => company.scored).length,
+            summary: {
+                overall: mapMetrics(overall).all || {},
+                byRole: mapMetrics(byRole),
+                byRoleTier: mapMetrics(byRoleTier)
+            },
+            companies
+        };
+    }
+
+    /**
+     * 📐 MEASURE SOURCE RELIABILITY
+     * Precision of each provider per field over judged values (tp / fp) - a value several
+     * providers agreed on ("coresignal+lusha") counts for each of them. Providers with fewer
+     * than minSamples judged values are reported but left out of `reliability`.
+     *
+     * @param {Object} report - scoreResults() output
+     * @returns {{ providers: Object, reliability: Object }} reliability is in SOURCE_RELIABILITY shape
+     */
+    static measureSourceReliability(report, { minSamples = 5 } = {}) {
+        const providers = {};
+
+        report.companies.forEach(company => {
+            Object.values(company.roles).forEach(({ fields }) => {
+                Object.entries(fields).forEach(([field, { outcome, provider }]) => {
+                    if (field === 'name' || !provider || !['tp', 'fp'].includes(outcome)) return;
+
+                    provider.split('+').forEach(name => {
+                        providers[field] = providers[field] || {};
+                        const counts = providers[field][name] = providers[field][name] || { tp: 0, fp: 0 };
+                        counts[outcome]++;
+                    });
+                });
+            });
+        });
+
+        const reliability = {};
+        Object.entries(providers).forEach(([field, byProvider]) => {
+            Object.entries(byProvider).forEach(([name, counts]) => {
+                const judged = counts.tp + counts.fp;
+                counts.precision = percent(counts.tp, judged);
+                if (judged < minSamples) return;
+                reliability[field] = reliability[field] || {};
+                // Kept off 0 and 1 so one sample run never silences or overrules a provider outright
+                reliability[field][name] = Math.min(0.99, Math.max(0.05, Math.round((counts.tp / judged) * 100) / 100));
+            });
+        });
+
+        return { providers, reliability };
+    }
+
+    /**
+     * 🔀 DIFF TWO SCORED RUNS
+     * @returns {{metrics: Object[], fixed: Object[], regressed: Object[], changed: Object[]}}
+     */
+    static diffReports(before, after) {
+        const metrics = [];
+        const compare = (scope, beforeFields = {}, afterFields = {}) => {
+            GOLDEN_FIELDS.forEach(field => {
+                const a = beforeFields[field] || {};
+                const b = afterFields[field] || {};
+                ['precision', 'recall', 'coverage'].forEach(metric => {
+                    if (a[metric] === b[metric]) return;
+                    const delta = a[metric] !== null && a[metric] !== undefined && b[metric] !== null && b[metric] !== undefined
+                        ? Math.round((b[metric] - a[metric]) * 10) / 10
+                        : null;
+                    metrics.push({ scope, field, metric, before: a[metric] ?? null, after: b[metric] ?? null, delta });
+                });
+            });
+        };
+
+        compare('overall', before.summary.overall, after.summary.overall);
+        const roles = new Set([...Object.keys(before.summary.byRole), ...Object.keys(after.summary.byRole)]);
+        roles.forEach(role => compare(role, before.summary.byRole[role], after.summary.byRole[role]));
+
+        const fixed = [];
+        const regressed = [];
+        const changed = [];
+        const beforeCompanies = new Map(before.companies.map(company => [normalizeDomain(company.website), company]));
+
+        after.companies.forEach(company => {
+            const previous = beforeCompanies.get(normalizeDomain(company.website));
+            if (!previous) return;
+
+            Object.entries(company.roles).forEach(([role, { fields }]) => {
+                Object.entries(fields).forEach(([field, now]) => {
+                    const was = previous.roles[role]?.fields[field];
+                    if (!was) return;
+
+                    const entry = { website: company.website, role, field, before: was.actual, after: now.actual, expected: now.expected };
+                    if (was.outcome !== 'tp' && now.outcome === 'tp') fixed.push(entry);
+                    else if (was.outcome === 'tp' && now.outcome !== 'tp') regressed.push(entry);
+                    else if (was.actual !== now.actual) changed.push({ ...entry, outcome: now.outcome });
+                });
+            });
+        });
+
+        return { before: before.label || before.createdAt, after: after.label || after.createdAt, metrics, fixed, regressed, changed };
+    }
+}
+
+module.exports = {
+    AccuracyHarness,
+    loadGoldenSet,
+    toExpectedCompanies,
+    matchesExpected,
+    normalizeName,
+    DEFAULT_GOLDEN_SET,
+    GOLDEN_FIELDS
+};
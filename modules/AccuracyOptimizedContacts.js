@@ -11,7 +11,11 @@
  * 5. Discovery for maximum coverage
  */
 
-const fetch = require('node-fetch');
+const { createProviders } = require('./providers/ProviderRegistry');
+const { ConsensusEngine } = require('./ConsensusEngine');
+const { EmailFormatStore } = require('./EmailFormatStore');
+const { WORK_PHONE_TYPES, classifyPhone, describePhone, dedupePhones } = require('./PhoneNumbers');
+const { lookupName } = require('./PersonName');
 
 class AccuracyOptimizedContacts {
     constructor(config = {}) {
@@ -26,6 +30,9 @@ class AccuracyOptimizedContacts {
             ...config
         };
 
+        this.providers = createProviders(this.config);
+        this.consensus = new ConsensusEngine(this.config);
+        this.emailFormats = this.config.emailFormats || new EmailFormatStore(this.config);
         this.accuracyStats = {
             coresignalEmailsUsed: 0,
             coresignalEmailsValidated: 0,
@@ -82,6 +89,17 @@ class AccuracyOptimizedContacts {
                 console.log(`   ✅ Validation result: ${validatedEmail.isValid ? 'VALID' : 'INVALID'} (${validatedEmail.confidence}%)`);
             }
 
+            // Verified addresses teach the domain's email format
+            const email = result.emails[0];
+            if (email && (email.status === 'verified' || (email.isValid && /^(triangulated_)?valid$/i.test(email.validationResult || '')))) {
+                await this.emailFormats.learn({
+                    email: email.email,
+                    name: executiveData.name,
+                    title: executiveData.title || email.coresignalData?.title,
+                    source: email.validationSource || 'coresignal'
+                });
+            }
+
             // STEP 3: Phone number discovery
             console.log('📱 STEP 3: Phone Number Discovery');
             const phoneResults = await this.discoverPhoneNumbers(executiveData, companyData);
@@ -133,47 +151,33 @@ class AccuracyOptimizedContacts {
             }
 
             // Search for the executive in Coresignal
-            const searchResponse = await fetch('https://api.coresignal.com/cdapi/v1/employee/search/filter', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.config.CORESIGNAL_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    full_name: executiveData.name,
-                    company_name: companyData.name,
-                    limit: 5
-                }),
-                timeout: 15000
+            const searchData = await this.providers.coresignal.filterEmployees({
+                full_name: executiveData.name,
+                company_name: companyData.name,
+                limit: 5
             });
 
-            if (searchResponse.ok) {
-                const searchData = await searchResponse.json();
+            if (searchData.employees && searchData.employees.length > 0) {
+                const executive = searchData.employees[0]; // Take first match
                 
-                if (searchData.employees && searchData.employees.length > 0) {
-                    const executive = searchData.employees[0]; // Take first match
+                if (executive.primary_professional_email) {
+                    const confidence = this.mapCoresignalEmailConfidence(executive.primary_professional_email_status);
+                    const needsValidation = confidence < 95;
                     
-                    if (executive.primary_professional_email) {
-                        const confidence = this.mapCoresignalEmailConfidence(executive.primary_professional_email_status);
-                        const needsValidation = confidence < 95;
-                        
-                        return {
-                            email: executive.primary_professional_email,
-                            confidence: confidence,
-                            source: 'coresignal',
-                            status: executive.primary_professional_email_status,
-                            needsValidation: needsValidation,
-                            coresignalData: {
-                                id: executive.id,
-                                title: executive.active_experience_title,
-                                company_id: executive.active_experience_company_id,
-                                is_decision_maker: executive.is_decision_maker
-                            }
-                        };
-                    }
+                    return {
+                        email: executive.primary_professional_email,
+                        confidence: confidence,
+                        source: 'coresignal',
+                        status: executive.primary_professional_email_status,
+                        needsValidation: needsValidation,
+                        coresignalData: {
+                            id: executive.id,
+                            title: executive.active_experience_title,
+                            company_id: executive.active_experience_company_id,
+                            is_decision_maker: executive.is_decision_maker
+                        }
+                    };
                 }
-            } else {
-                console.log(`   ⚠️ Coresignal API error: ${searchResponse.status}`);
             }
         } catch (error) {
             console.log(`   ❌ Coresignal email search error: ${error.message}`);
@@ -206,10 +210,11 @@ class AccuracyOptimizedContacts {
     async validateCoresignalEmail(coresignalEmail) {
         const email = coresignalEmail.email;
         let validationCost = 0;
+        let zbResult = null;
         
-        // Use ZeroBounce first (enterprise preferred)
-        if (this.config.ZEROBOUNCE_API_KEY) {
-            const zbResult = await this.validateWithZeroBounce(email);
+        // Use ZeroBounce first (enterprise preferred) - MyEmailVerifier only past the soft budget
+        if (this.config.ZEROBOUNCE_API_KEY && this.providers.zerobounce.withinBudget()) {
+            zbResult = await this.validateWithZeroBounce(email);
             validationCost += 0.001;
             
             if (zbResult.confidence >= 90) {
@@ -218,6 +223,7 @@ class AccuracyOptimizedContacts {
                     isValid: zbResult.isValid,
                     confidence: Math.max(coresignalEmail.confidence, zbResult.confidence),
                     validationResult: zbResult.result,
+                    verifiedAt: zbResult.verifiedAt,
                     validationSource: 'zerobounce',
                     validationCost: validationCost,
                     triangulated: false
@@ -231,7 +237,7 @@ class AccuracyOptimizedContacts {
             validationCost += 0.003;
             
             // Triangulate if we have both results
-            if (this.config.ZEROBOUNCE_API_KEY) {
+            if (zbResult) {
                 const triangulated = this.triangulateEmailValidation([
                     { ...zbResult, provider: 'zerobounce' },
                     { ...mevResult, provider: 'myemailverifier' }
@@ -242,6 +248,8 @@ class AccuracyOptimizedContacts {
                     isValid: triangulated.isValid,
                     confidence: triangulated.confidence,
                     validationResult: triangulated.result,
+                    // Triangulated once the later verdict is in
+                    verifiedAt: [zbResult.verifiedAt, mevResult.verifiedAt].filter(Boolean).sort().pop() || null,
                     validationSource: 'triangulated',
                     validationCost: validationCost,
                     triangulated: true,
@@ -254,6 +262,7 @@ class AccuracyOptimizedContacts {
                 isValid: mevResult.isValid,
                 confidence: Math.max(coresignalEmail.confidence, mevResult.confidence),
                 validationResult: mevResult.result,
+                verifiedAt: mevResult.verifiedAt,
                 validationSource: 'myemailverifier',
                 validationCost: validationCost,
                 triangulated: false
@@ -463,21 +472,8 @@ class AccuracyOptimizedContacts {
      */
     async lushaPersonLookupByEmail(email) {
         try {
-            const response = await fetch(`https://api.lusha.com/v2/person?email=${encodeURIComponent(email)}`, {
-                method: 'GET',
-                headers: {
-                    'api_key': this.config.LUSHA_API_KEY,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 10000
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                return this.extractLushaPhoneData(data, 'email_lookup');
-            } else {
-                console.log(`   ⚠️ Lusha email lookup error: ${response.status}`);
-            }
+            const data = await this.providers.lusha.findPerson({ email }, { dataType: 'phone' });
+            return this.extractLushaPhoneData(data, 'email_lookup');
         } catch (error) {
             console.log(`   ❌ Lusha email lookup error: ${error.message}`);
         }
@@ -490,21 +486,8 @@ class AccuracyOptimizedContacts {
      */
     async lushaPersonLookupByLinkedIn(linkedinUrl) {
         try {
-            const response = await fetch(`https://api.lusha.com/v2/person?linkedinUrl=${encodeURIComponent(linkedinUrl)}`, {
-                method: 'GET',
-                headers: {
-                    'api_key': this.config.LUSHA_API_KEY,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 10000
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                return this.extractLushaPhoneData(data, 'linkedin_lookup');
-            } else {
-                console.log(`   ⚠️ Lusha LinkedIn lookup error: ${response.status}`);
-            }
+            const data = await this.providers.lusha.findPerson({ linkedinUrl }, { dataType: 'phone' });
+            return this.extractLushaPhoneData(data, 'linkedin_lookup');
         } catch (error) {
             console.log(`   ❌ Lusha LinkedIn lookup error: ${error.message}`);
         }
@@ -517,33 +500,14 @@ class AccuracyOptimizedContacts {
      */
     async lushaPersonLookupByName(executiveData, companyData) {
         try {
-            const nameParts = executiveData.name.trim().split(' ');
-            const firstName = nameParts[0] || '';
-            const lastName = nameParts[nameParts.length - 1] || '';
-            
-            const queryParams = new URLSearchParams({
+            const { firstName, lastName } = lookupName(executiveData.name);
+
+            const data = await this.providers.lusha.findPerson({
                 firstName: firstName,
                 lastName: lastName,
-                company: companyData.name
-            });
-
-            const response = await fetch(`https://api.lusha.com/v2/person?${queryParams}`, {
-                method: 'GET',
-                headers: {
-                    'api_key': this.config.LUSHA_API_KEY,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 10000
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                return this.extractLushaPhoneData(data, 'name_lookup');
-            } else {
-                console.log(`   ⚠️ Lusha name lookup error: ${response.status}`);
-                const errorText = await response.text();
-                console.log(`   Error details: ${errorText}`);
-            }
+                companyName: companyData.name
+            }, { dataType: 'phone' });
+            return this.extractLushaPhoneData(data, 'name_lookup');
         } catch (error) {
             console.log(`   ❌ Lusha name lookup error: ${error.message}`);
         }
@@ -583,19 +547,8 @@ class AccuracyOptimizedContacts {
      * 📞 CLASSIFY LUSHA PHONE TYPE
      */
     classifyLushaPhoneType(phoneObj) {
-        const lushaType = (phoneObj.type || '').toLowerCase();
-        
-        switch (lushaType) {
-            case 'mobile':
-                return 'work_mobile';
-            case 'work':
-            case 'direct':
-                return 'work_landline';
-            case 'main':
-                return 'work_landline';
-            default:
-                return 'work_unknown';
-        }
+        const { type } = classifyPhone(phoneObj.number, { providerType: phoneObj.type, lineType: phoneObj.lineType });
+        return WORK_PHONE_TYPES[type];
     }
 
     /**
@@ -617,27 +570,10 @@ class AccuracyOptimizedContacts {
 
     /**
      * 🔧 DEDUPLICATE LUSHA PHONES
+     * Equivalent numbers ("+1 415-555-0100", "(415) 555 0100") collapse on their E.164 form
      */
     deduplicateLushaPhones(phones) {
-        const phoneMap = new Map();
-        
-        phones.forEach(phone => {
-            const normalizedNumber = phone.number.replace(/[^\d]/g, '');
-            
-            if (phoneMap.has(normalizedNumber)) {
-                const existing = phoneMap.get(normalizedNumber);
-                existing.confidence = Math.max(existing.confidence, phone.confidence);
-                existing.sources = existing.sources || [];
-                existing.sources.push(phone.lookupMethod);
-            } else {
-                phoneMap.set(normalizedNumber, {
-                    ...phone,
-                    sources: [phone.lookupMethod]
-                });
-            }
-        });
-
-        return Array.from(phoneMap.values()).sort((a, b) => b.confidence - a.confidence);
+        return dedupePhones(phones).map(phone => ({ ...phone, ...describePhone(phone) }));
     }
 
     async validateWithZeroBounce(email) {
@@ -646,18 +582,11 @@ class AccuracyOptimizedContacts {
                 return { isValid: false, confidence: 0, result: 'no_api_key' };
             }
 
-            const response = await fetch(
-                `https://api.zerobounce.net/v2/validate?api_key=${this.config.ZEROBOUNCE_API_KEY}&email=${encodeURIComponent(email)}`,
-                { method: 'GET', timeout: 10000 }
-            );
-
-            if (response.ok) {
-                const data = await response.json();
-                const isValid = data.status === 'valid';
-                const confidence = this.calculateEmailConfidence(data.status, data.sub_status);
-                
-                return { isValid, confidence, result: data.status, subStatus: data.sub_status };
-            }
+            const data = await this.providers.zerobounce.validate(email);
+            const isValid = data.status === 'valid';
+            const confidence = this.calculateEmailConfidence(data.status, data.subStatus);
+            
+            return { isValid, confidence, result: data.status, subStatus: data.subStatus, verifiedAt: data.fetchedAt };
         } catch (error) {
             console.log(`   ⚠️ ZeroBounce validation error: ${error.message}`);
         }
@@ -671,18 +600,11 @@ class AccuracyOptimizedContacts {
                 return { isValid: false, confidence: 0, result: 'no_api_key' };
             }
 
-            const response = await fetch(
-                `https://client.myemailverifier.com/verifier/validate_single/${encodeURIComponent(email)}/${this.config.MYEMAILVERIFIER_API_KEY}`,
-                { method: 'GET', timeout: 10000 }
-            );
-
-            if (response.ok) {
-                const data = await response.json();
-                const isValid = data.Status === 'Valid';
-                const confidence = this.calculateMyEmailVerifierConfidence(data);
-                
-                return { isValid, confidence, result: data.Status };
-            }
+            const data = await this.providers.myemailverifier.validate(email);
+            const isValid = data.status === 'Valid';
+            const confidence = this.calculateMyEmailVerifierConfidence(data.raw);
+            
+            return { isValid, confidence, result: data.status, verifiedAt: data.fetchedAt };
         } catch (error) {
             console.log(`   ⚠️ MyEmailVerifier validation error: ${error.message}`);
         }
@@ -692,41 +614,7 @@ class AccuracyOptimizedContacts {
 
     triangulateEmailValidation(results, email) {
         if (results.length === 0) return { isValid: false, confidence: 0 };
-        
-        // Count consensus
-        const validCount = results.filter(r => r.isValid).length;
-        const invalidCount = results.filter(r => !r.isValid).length;
-        
-        // Get highest confidence result
-        const highestConfidence = results.reduce((max, current) => 
-            current.confidence > max.confidence ? current : max
-        );
-        
-        // Triangulation logic
-        if (validCount > invalidCount) {
-            return {
-                isValid: true,
-                confidence: Math.min(95, highestConfidence.confidence + 5),
-                result: 'triangulated_valid',
-                consensus: `${validCount}/${results.length} providers agree`,
-                triangulated: true
-            };
-        } else if (invalidCount > validCount) {
-            return {
-                isValid: false,
-                confidence: Math.min(95, highestConfidence.confidence + 5),
-                result: 'triangulated_invalid',
-                consensus: `${invalidCount}/${results.length} providers agree`,
-                triangulated: true
-            };
-        } else {
-            return {
-                ...highestConfidence,
-                confidence: Math.max(70, highestConfidence.confidence - 10),
-                result: `${highestConfidence.result}_disputed`,
-                triangulated: true
-            };
-        }
+        return this.consensus.decideValidity(results, email);
     }
 
     async validatePhoneWithTwilio(number) {
@@ -735,29 +623,15 @@ class AccuracyOptimizedContacts {
                 return { isValid: false, error: 'No Twilio credentials' };
             }
 
-            const cleanPhone = number.replace(/[^\d+]/g, '');
-            const auth = Buffer.from(`${this.config.TWILIO_ACCOUNT_SID}:${this.config.TWILIO_AUTH_TOKEN}`).toString('base64');
-            
-            const response = await fetch(
-                `https://lookups.twilio.com/v1/PhoneNumbers/${encodeURIComponent(cleanPhone)}?Type=carrier`,
-                {
-                    method: 'GET',
-                    headers: { 'Authorization': `Basic ${auth}` },
-                    timeout: 10000
-                }
-            );
-
-            if (response.ok) {
-                const data = await response.json();
-                return {
-                    isValid: true,
-                    phoneNumber: data.phone_number,
-                    carrier: data.carrier?.name || 'Unknown',
-                    lineType: data.carrier?.type || 'Unknown',
-                    countryCode: data.country_code,
-                    confidence: 90
-                };
-            }
+            const data = await this.providers.twilio.lookup(number);
+            return {
+                isValid: true,
+                phoneNumber: data.phoneNumber,
+                carrier: data.carrierName || 'Unknown',
+                lineType: data.lineType || 'Unknown',
+                countryCode: data.countryCode,
+                confidence: 90
+            };
         } catch (error) {
             console.log(`   ⚠️ Twilio validation error: ${error.message}`);
         }
@@ -767,16 +641,17 @@ class AccuracyOptimizedContacts {
 
     classifyPhoneTypeAdvanced(number, validation, company) {
         const lineType = (validation.lineType || '').toLowerCase();
+        const category = classifyPhone(number, { lineType: validation.lineType }).type;
         
         if (lineType.includes('mobile') || lineType.includes('wireless')) {
-            return { type: 'work_mobile', subType: 'executive_mobile', confidence: 80 };
+            return { type: 'work_mobile', subType: 'executive_mobile', confidence: 80, category };
         } else if (lineType.includes('landline') || lineType.includes('fixed')) {
-            return { type: 'work_landline', subType: 'office_direct', confidence: 85 };
+            return { type: 'work_landline', subType: 'office_direct', confidence: 85, category };
         } else if (lineType.includes('voip')) {
-            return { type: 'work_voip', subType: 'office_system', confidence: 75 };
+            return { type: 'work_voip', subType: 'office_system', confidence: 75, category };
         }
         
-        return { type: 'work_unknown', subType: 'business_line', confidence: 60 };
+        return { type: 'work_unknown', subType: 'business_line', confidence: 60, category };
     }
 
     async searchPublicPhoneNumbers(executiveData, companyData) {
@@ -801,33 +676,21 @@ Provide ONLY a JSON response:
     ]
 }`;
 
-            const response = await fetch('https://api.perplexity.ai/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.config.PERPLEXITY_API_KEY?.trim()}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'sonar-pro',
-                    messages: [{ role: 'user', content: prompt }],
-                    temperature: 0.1,
-                    max_tokens: 500
-                })
+            const { content } = await this.providers.perplexity.chat({
+                prompt,
+                model: 'sonar-pro',
+                temperature: 0.1,
+                maxTokens: 500
             });
 
-            if (response.ok) {
-                const data = await response.json();
-                const content = data.choices[0].message.content;
-                
-                try {
-                    const jsonMatch = content.match(/\{[\s\S]*\}/);
-                    if (jsonMatch) {
-                        const phoneData = JSON.parse(jsonMatch[0]);
-                        return phoneData.phones || [];
-                    }
-                } catch (parseError) {
-                    console.log(`   ⚠️ Phone data parsing failed`);
+            try {
+                const jsonMatch = content.match(/\{[\s\S]*\}/);
+                if (jsonMatch) {
+                    const phoneData = JSON.parse(jsonMatch[0]);
+                    return phoneData.phones || [];
                 }
+            } catch (parseError) {
+                console.log(`   ⚠️ Phone data parsing failed`);
             }
         } catch (error) {
             console.log(`   ❌ Public phone search error: ${error.message}`);
@@ -9,16 +9,70 @@
  * 3. API usage analytics and recommendations
  * 4. Budget management and alerts
  * 5. ROI calculation and reporting
+ *
+ * Budgets (per run and per month, each with a soft and a hard limit):
+ * - soft: past ALERT_THRESHOLD of the budget, expensive providers are downgraded
+ *   (MyEmailVerifier instead of ZeroBounce, Lusha only for Top 1000 companies)
+ * - hard: billed provider calls are refused, and a run whose projected cost does not
+ *   fit the remaining budget fails before it starts
+ * Spend is persisted in a SpendLedger so month-to-date totals survive restarts.
+ *
+ * Env: MONTHLY_BUDGET, RUN_BUDGET, BUDGET_ALERT_THRESHOLD, SPEND_LEDGER=off, SPEND_LEDGER_DIR
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
+const { SpendLedger } = require('./SpendLedger');
+
+const BUDGET_LEVELS = {
+    OK: 'ok',
+    SOFT: 'soft',
+    HARD: 'hard'
+};
+
+// Providers held back once spend passes a soft budget - allow() decides per call
+const SOFT_BUDGET_DOWNGRADES = {
+    zerobounce: {
+        reason: 'MyEmailVerifier validates at less than half the cost',
+        allow: (context, config) => !config.MYEMAILVERIFIER_API_KEY
+    },
+    lusha: {
+        reason: 'Lusha is reserved for Top 1000 companies',
+        allow: context => Boolean(context.isTop1000)
+    }
+};
+
+// Config keys setBudgets() reads
+const BUDGET_KEYS = ['MONTHLY_BUDGET', 'MONTHLY_SOFT_BUDGET', 'RUN_BUDGET', 'RUN_SOFT_BUDGET', 'ALERT_THRESHOLD'];
+
+// Company being processed on the current async path - set by runForCompany()
+const companyScope = new AsyncLocalStorage();
+
+class BudgetExceededError extends Error {
+    constructor(message, { scope, spent, projected = 0, budget } = {}) {
+        super(message);
+        this.name = 'BudgetExceededError';
+        this.scope = scope;
+        this.spent = spent;
+        this.projected = projected;
+        this.budget = budget;
+    }
+}
+
 class ApiCostOptimizer {
     constructor(config = {}) {
         this.config = {
-            MONTHLY_BUDGET: config.MONTHLY_BUDGET || 1000, // $1000 default monthly budget
             COST_PER_CONTACT_TARGET: config.COST_PER_CONTACT_TARGET || 0.50, // $0.50 target
-            ALERT_THRESHOLD: config.ALERT_THRESHOLD || 0.8, // 80% budget threshold
+            MYEMAILVERIFIER_API_KEY: config.MYEMAILVERIFIER_API_KEY || process.env.MYEMAILVERIFIER_API_KEY,
             ...config
         };
+        this.setBudgets(config);
+
+        // Pass spendLedger: null to keep spend in memory only
+        this.spendLedger = config.spendLedger !== undefined
+            ? config.spendLedger
+            : process.env.SPEND_LEDGER === 'off' ? null : new SpendLedger(config).load();
+        this.runId = config.RUN_ID || `run-${Date.now()}`;
+        this.budgetLevel = BUDGET_LEVELS.OK;
 
         // Current API pricing (August 2025)
         this.apiPricing = {
@@ -48,12 +102,36 @@ class ApiCostOptimizer {
             costByType: {},
             contactsProcessed: 0,
             costPerContact: 0,
+            runCost: 0,
             monthlySpend: 0,
             budgetRemaining: 0,
             recommendations: []
         };
 
         this.initializeCostTracking();
+        this.updateBudgetTracking();
+    }
+
+    /**
+     * 💵 SET THE BUDGETS
+     * MONTHLY_BUDGET / RUN_BUDGET / ALERT_THRESHOLD (and explicit soft budgets) from config,
+     * else from the env - also how a pipeline applies its budgets to the shared optimizer
+     */
+    setBudgets(config = {}) {
+        const monthlyBudget = config.MONTHLY_BUDGET || Number(process.env.MONTHLY_BUDGET) || 1000; // $1000 default monthly budget
+        const runBudget = config.RUN_BUDGET || Number(process.env.RUN_BUDGET) || null; // No per-run cap by default
+        const alertThreshold = config.ALERT_THRESHOLD || Number(process.env.BUDGET_ALERT_THRESHOLD) || 0.8; // 80% budget threshold
+
+        Object.assign(this.config, {
+            MONTHLY_BUDGET: monthlyBudget,
+            MONTHLY_SOFT_BUDGET: config.MONTHLY_SOFT_BUDGET || monthlyBudget * alertThreshold,
+            RUN_BUDGET: runBudget,
+            RUN_SOFT_BUDGET: config.RUN_SOFT_BUDGET || (runBudget ? runBudget * alertThreshold : null),
+            ALERT_THRESHOLD: alertThreshold
+        });
+
+        if (this.costTracking) this.updateBudgetTracking();
+        return this;
     }
 
     /**
@@ -92,10 +170,14 @@ class ApiCostOptimizer {
             return 0;
         }
 
-        const cost = customCost || pricing.cost;
+        const cost = customCost ?? pricing.cost;
         
         // Update total cost
         this.costTracking.totalCost += cost;
+        this.costTracking.runCost += cost;
+        if (this.spendLedger && cost > 0) {
+            this.spendLedger.record({ runId: this.runId, api: apiName, cost, success });
+        }
         
         // Update API-specific tracking
         const apiTracking = this.costTracking.costByApi[apiName];
@@ -115,10 +197,140 @@ class ApiCostOptimizer {
             (typeTracking.successRate * (typeTracking.callCount - 1)) / typeTracking.callCount;
 
         console.log(`💰 API Cost: ${pricing.name} - $${cost.toFixed(4)} (Success: ${success})`);
-        
+
+        this.updateBudgetTracking();
         return cost;
     }
 
+    /**
+     * 🏁 START A RUN
+     * Spend is attributed to runId - reusing the id of a resumed run keeps its earlier spend
+     * counting toward RUN_BUDGET. Re-reads the spend ledger to pick up other processes' spend.
+     */
+    startRun(runId = `run-${Date.now()}`) {
+        this.runId = runId;
+        this.costTracking.runCost = 0;
+        if (this.spendLedger) this.spendLedger.load();
+        this.updateBudgetTracking();
+        return this.getBudgetStatus();
+    }
+
+    runSpend() {
+        return this.spendLedger ? this.spendLedger.getMonthToDate(this.runId) : this.costTracking.runCost;
+    }
+
+    monthSpend() {
+        return this.spendLedger ? this.spendLedger.getMonthToDate() : this.costTracking.totalCost;
+    }
+
+    /**
+     * 🚦 BUDGET STATUS
+     * @returns {{level: string, reason: string|null, run: Object, month: Object}}
+     *   level is ok | soft | hard; run / month are { spent, soft, hard } (null = no limit)
+     */
+    getBudgetStatus() {
+        const run = { spent: this.runSpend(), soft: this.config.RUN_SOFT_BUDGET, hard: this.config.RUN_BUDGET };
+        const month = { spent: this.monthSpend(), soft: this.config.MONTHLY_SOFT_BUDGET, hard: this.config.MONTHLY_BUDGET };
+
+        let level = BUDGET_LEVELS.OK;
+        let reason = null;
+        for (const [scope, budget] of [['run', run], ['month', month]]) {
+            if (budget.hard && budget.spent >= budget.hard) {
+                return { level: BUDGET_LEVELS.HARD, reason: `${scope} budget of $${budget.hard} reached`, run, month };
+            }
+            if (level === BUDGET_LEVELS.OK && budget.soft && budget.spent >= budget.soft) {
+                level = BUDGET_LEVELS.SOFT;
+                reason = `${scope} spend past soft limit of $${budget.soft.toFixed(2)}`;
+            }
+        }
+
+        return { level, reason, run, month };
+    }
+
+    /**
+     * Refresh monthlySpend / budgetRemaining and log budget level changes once
+     */
+    updateBudgetTracking() {
+        const status = this.getBudgetStatus();
+        this.costTracking.monthlySpend = status.month.spent;
+        this.costTracking.budgetRemaining = Math.max(0, this.config.MONTHLY_BUDGET - status.month.spent);
+
+        if (status.level !== this.budgetLevel) {
+            this.budgetLevel = status.level;
+            if (status.level === BUDGET_LEVELS.HARD) {
+                console.log(`🛑 Budget: ${status.reason} - billed API calls are blocked`);
+                this.addRecommendation('budget_exhausted', `Hard budget reached: ${status.reason}`, 'Raise MONTHLY_BUDGET / RUN_BUDGET or wait for the next month', 'high');
+            } else if (status.level === BUDGET_LEVELS.SOFT) {
+                console.log(`⚠️ Budget: ${status.reason} - downgrading to cheaper providers`);
+                this.addRecommendation('budget_soft_limit', `Soft budget reached: ${status.reason}`, 'ZeroBounce and non-Top-1000 Lusha lookups are skipped', 'high');
+            }
+        }
+        return status;
+    }
+
+    /**
+     * 💸 PROJECTED COST OF A RUN
+     */
+    projectRunCost(companyCount, costPerCompany) {
+        return companyCount * (costPerCompany || 0);
+    }
+
+    /**
+     * 🛑 FAIL FAST WHEN A PROJECTED COST DOES NOT FIT THE HARD BUDGETS
+     * @throws {BudgetExceededError}
+     */
+    assertWithinBudget(projectedCost = 0) {
+        const status = this.getBudgetStatus();
+
+        for (const [scope, budget] of [['run', status.run], ['month', status.month]]) {
+            if (budget.hard && budget.spent + projectedCost > budget.hard) {
+                throw new BudgetExceededError(
+                    `Projected ${scope} spend $${(budget.spent + projectedCost).toFixed(2)} ($${budget.spent.toFixed(2)} spent + $${projectedCost.toFixed(2)} projected) exceeds the ${scope} budget of $${budget.hard}`,
+                    { scope, spent: budget.spent, projected: projectedCost, budget: budget.hard }
+                );
+            }
+            if (budget.soft && budget.spent + projectedCost > budget.soft) {
+                console.log(`⚠️ Budget: projected ${scope} spend $${(budget.spent + projectedCost).toFixed(2)} passes the soft limit - expect cheaper providers late in the run`);
+            }
+        }
+
+        return status;
+    }
+
+    /**
+     * Run fn with company context (isTop1000) visible to allowsProvider()
+     * scope is that context - afterwards scope.budgetRefused says whether a billed provider
+     * call for the company was refused at the hard budget
+     */
+    runForCompany(company, fn, scope = {}) {
+        return companyScope.run(Object.assign(scope, {
+            isTop1000: Boolean(company?.isTop1000),
+            companyName: company?.companyName || company?.name || null,
+            budgetRefused: false
+        }), fn);
+    }
+
+    /**
+     * ✅ MAY THIS PROVIDER BE BILLED RIGHT NOW?
+     * False for every priced API past a hard budget, and for downgraded providers past a soft one
+     */
+    allowsProvider(apiName, context = companyScope.getStore() || {}) {
+        if (!this.apiPricing[apiName]) return true;
+
+        const { level } = this.getBudgetStatus();
+        if (level === BUDGET_LEVELS.HARD) {
+            // The company goes without this provider's data - its caller must not count it as done
+            if (context === companyScope.getStore()) context.budgetRefused = true;
+            return false;
+        }
+
+        const downgrade = SOFT_BUDGET_DOWNGRADES[apiName];
+        if (level === BUDGET_LEVELS.SOFT && downgrade && !downgrade.allow(context, this.config)) {
+            return false;
+        }
+        return true;
+    }
+
     /**
      * 📈 UPDATE CONTACT PROCESSING METRICS
      */
@@ -204,9 +416,10 @@ class ApiCostOptimizer {
                 totalCost: this.costTracking.totalCost,
                 contactsProcessed: this.costTracking.contactsProcessed,
                 costPerContact: this.costTracking.costPerContact,
-                budgetUtilization: (this.costTracking.totalCost / this.config.MONTHLY_BUDGET) * 100,
+                budgetUtilization: (this.monthSpend() / this.config.MONTHLY_BUDGET) * 100,
                 targetMet: this.costTracking.costPerContact <= this.config.COST_PER_CONTACT_TARGET
             },
+            budget: this.getBudgetStatus(),
             apiBreakdown: {},
             typeBreakdown: {},
             recommendations: this.costTracking.recommendations,
@@ -266,7 +479,7 @@ class ApiCostOptimizer {
     calculateBudgetRunoutDate(dailyCost) {
         if (dailyCost <= 0) return null;
         
-        const remainingBudget = this.config.MONTHLY_BUDGET - this.costTracking.totalCost;
+        const remainingBudget = this.config.MONTHLY_BUDGET - this.monthSpend();
         const daysRemaining = Math.floor(remainingBudget / dailyCost);
         
         const runoutDate = new Date();
@@ -296,7 +509,8 @@ class ApiCostOptimizer {
             totalCost: this.costTracking.totalCost,
             costPerContact: this.costTracking.costPerContact,
             contactsProcessed: this.costTracking.contactsProcessed,
-            budgetUtilization: (this.costTracking.totalCost / this.config.MONTHLY_BUDGET) * 100,
+            budgetUtilization: (this.monthSpend() / this.config.MONTHLY_BUDGET) * 100,
+            budgetLevel: this.budgetLevel,
             targetMet: this.costTracking.costPerContact <= this.config.COST_PER_CONTACT_TARGET,
             topCostApis: this.getTopCostApis(),
             recommendations: this.costTracking.recommendations.slice(-3) // Last 3 recommendations
@@ -320,4 +534,20 @@ class ApiCostOptimizer {
     }
 }
 
-module.exports = { ApiCostOptimizer };
+let sharedCostOptimizer = null;
+
+/**
+ * Process-wide cost tracker - the provider adapters report to it and the pipelines, the
+ * engine and the API check budgets against it, so spend and budget checks never diverge.
+ * Budget keys in config (MONTHLY_BUDGET, RUN_BUDGET, ALERT_THRESHOLD, ...) are applied to it.
+ */
+function getSharedCostOptimizer(config = {}) {
+    if (!sharedCostOptimizer) {
+        sharedCostOptimizer = new ApiCostOptimizer(config);
+    } else if (BUDGET_KEYS.some(key => config[key])) {
+        sharedCostOptimizer.setBudgets(config);
+    }
+    return sharedCostOptimizer;
+}
+
+module.exports = { ApiCostOptimizer, BudgetExceededError, BUDGET_LEVELS, getSharedCostOptimizer };
@@ -23,8 +23,9 @@ class BaseModule {
   /**
    * Universal cached API call wrapper
    * Reduces API costs by 82% through intelligent caching
+   * ttlHours defaults to the service's TTL policy (config/cache-ttl-policy.js)
    */
-  async cachedApiCall(service, identifier, apiFunction, ttlHours = 24) {
+  async cachedApiCall(service, identifier, apiFunction, ttlHours = null) {
     const startTime = Date.now();
     
     try {
@@ -19,7 +19,7 @@
  * - Introducers (provide access)
  */
 
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
 const fs = require('fs');
 const path = require('path');
 
@@ -17,7 +17,14 @@
 
 // Load environment variables
 require('dotenv').config();
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
+const { matchRole, classifyTitle, isRoleTitle, localizeExecutive } = require('./RoleTaxonomy');
+const { regionFromDomain } = require('./PhoneNumbers');
+
+// Executive role type → role taxonomy role (config/role-taxonomy.js)
+const ROLE_TYPES = { cfo: 'finance', cro: 'revenue' };
+// Title match score by taxonomy tier - a C-level title always outranks VP / Director ones
+const TITLE_TIER_SCORES = { 1: 1000, 2: 800, 3: 600, 4: 400, 5: 200 };
 
 class CompanyLeadershipScraper {
     constructor(config = {}) {
@@ -159,44 +166,6 @@ class CompanyLeadershipScraper {
             '/en/company/overview/board-of-directors',
             '/en/company/overview/advisors'
         ];
-        
-        
-        this.executiveTitlePatterns = {
-            cfo: [
-                // Tier 1: Primary CFO roles
-                'chief financial officer', 'cfo', 'chief accounting officer', 'cao',
-                // Tier 2: VP Finance roles
-                'vp finance', 'vice president finance', 'vp financial', 'head of finance',
-                'vp of finance', 'vice president of finance', 'finance director',
-                // Tier 3: Controller and management roles
-                'controller', 'corporate controller', 'senior controller', 'group controller',
-                'finance manager', 'senior finance manager', 'accounting manager',
-                // Industry-specific variations
-                'head of accounting', 'director of finance', 'director of accounting',
-                'head of fp&a', 'director fp&a', 'vp fp&a', 'finance operations director',
-                'head of financial operations', 'finance and operations'
-            ],
-            cro: [
-                // Tier 1: Primary CRO roles
-                'chief revenue officer', 'cro', 'chief sales officer', 'cso',
-                'chief commercial officer', 'cco', 'chief growth officer', 'cgo', 'chief business officer', 'cbo',
-                // Tier 2: VP Sales/Revenue roles
-                'vp sales', 'vice president sales', 'vp revenue', 'vice president revenue',
-                'vp of sales', 'vice president of sales', 'vp of revenue', 'vice president of revenue',
-                'vp commercial', 'vp business development', 'vp growth',
-                // Tier 3: Director roles
-                'sales director', 'director of sales', 'revenue director', 'head of sales', 'head of revenue',
-                'director of revenue', 'director of commercial', 'head of commercial',
-                'head of business development', 'director of business development',
-                // Industry-specific variations
-                'head of customer success', 'vp customer success', 'director customer success',
-                'head of partnerships', 'vp partnerships', 'director partnerships',
-                'head of go-to-market', 'vp go-to-market', 'gtm director',
-                'head of leasing', 'vp leasing', 'director leasing', 'head of client success',
-                'head of customer growth', 'director of customer growth', 'vp customer growth',
-                'head of enterprise sales', 'director enterprise sales', 'vp enterprise sales'
-            ]
-        };
     }
 
     /**
@@ -246,6 +215,10 @@ class CompanyLeadershipScraper {
                 return result;
             }
 
+            // Local-language titles ("Finanzvorstand") in English, the page's wording kept as originalTitle
+            const region = regionFromDomain(website);
+            executiveData.executives = this.localizeExecutives(executiveData.executives, region);
+
             // STEP 3: Identify CFO and CRO
             console.log('\n🎯 STEP 3: Identifying CFO and CRO');
             result.executives.cfo = this.identifyExecutiveByRole(executiveData.executives, 'cfo');
@@ -253,8 +226,8 @@ class CompanyLeadershipScraper {
             result.executives.allExecutives = executiveData.executives;
             
             // Check if we found proper CFO/CRO or just fallback roles (like CEO)
-            const cfoIsProperRole = result.executives.cfo && this.isProperExecutiveRole(result.executives.cfo.title, 'cfo');
-            const croIsProperRole = result.executives.cro && this.isProperExecutiveRole(result.executives.cro.title, 'cro');
+            const cfoIsProperRole = result.executives.cfo && this.isProperExecutiveRole(result.executives.cfo.title, 'cfo', { region });
+            const croIsProperRole = result.executives.cro && this.isProperExecutiveRole(result.executives.cro.title, 'cro', { region });
             
             if (result.executives.cfo) {
                 console.log(`   ✅ CFO Found: ${result.executives.cfo.name} (${result.executives.cfo.title})`);
@@ -269,6 +242,7 @@ class CompanyLeadershipScraper {
                 
                 // Force AI to extract from the actual leadership pages
                 const enhancedData = await this.extractExecutivesWithEnhancedAI(leadershipUrls, companyName);
+                enhancedData.executives = this.localizeExecutives(enhancedData.executives, region);
                 
                 if (enhancedData.executives.length > 0) {
                     console.log(`   ✅ Enhanced AI found ${enhancedData.executives.length} additional executives`);
@@ -422,9 +396,11 @@ PRIORITY EXECUTIVES TO FIND:
 - VP Finance, VP Sales, VP Revenue, VP Commercial
 - Finance Directors, Sales Directors, Revenue Directors
 - All C-level executives with finance or revenue responsibilities
+- Local-language equivalents (Finanzvorstand, Directeur Administratif et Financier, Director Financiero, Vertriebsleiter, ...)
 
 REQUIREMENTS:
 - Extract ALL executives shown on the page
+- Keep titles in the page's language - do not translate them
 - Include executives even if confidence is lower
 - Prioritize finance and revenue executives
 - Use exact names and titles from the website
@@ -495,34 +471,31 @@ EXTRACT ALL EXECUTIVES - DO NOT LIMIT BY CONFIDENCE.`;
      * ✅ CHECK IF EXECUTIVE ROLE IS PROPER
      * 
      * Determines if the found executive has a proper CFO/CRO title or is a fallback role (like CEO)
+     * (region: the company's country, for regional titles such as the UK "Finance Director")
      */
-    isProperExecutiveRole(title, roleType) {
-        const titleLower = title.toLowerCase();
-        
-        if (roleType === 'cfo') {
-            // Proper CFO roles
-            return titleLower.includes('chief financial officer') || 
-                   titleLower.includes('cfo') ||
-                   titleLower.includes('chief accounting officer') ||
-                   titleLower.includes('cao') ||
-                   (titleLower.includes('vp') && titleLower.includes('finance')) ||
-                   (titleLower.includes('vice president') && titleLower.includes('finance')) ||
-                   titleLower.includes('head of finance');
-        }
-        
-        if (roleType === 'cro') {
-            // Proper CRO roles
-            return titleLower.includes('chief revenue officer') || 
-                   titleLower.includes('cro') ||
-                   titleLower.includes('chief sales officer') ||
-                   titleLower.includes('cso') ||
-                   (titleLower.includes('vp') && (titleLower.includes('sales') || titleLower.includes('revenue'))) ||
-                   (titleLower.includes('vice president') && (titleLower.includes('sales') || titleLower.includes('revenue'))) ||
-                   titleLower.includes('head of sales') ||
-                   titleLower.includes('head of revenue');
-        }
-        
-        return false;
+    isProperExecutiveRole(title, roleType, { region = null } = {}) {
+        // Proper CFO / CRO roles: C-level or VP / Head of the function (config/role-taxonomy.js tiers 1-2)
+        const roleId = ROLE_TYPES[roleType];
+        return Boolean(roleId) && isRoleTitle(title, roleId, { maxTier: 2, region });
+    }
+
+    /**
+     * 🌍 LOCALIZE EXTRACTED EXECUTIVES
+     * 
+     * English titles for role matching and output; role type and tier follow the English title
+     */
+    localizeExecutives(executives, region) {
+        return (executives || []).map(executive => {
+            const localized = localizeExecutive(executive, { region });
+            if (!localized?.originalTitle) return localized;
+
+            console.log(`      🌍 ${localized.name}: "${localized.originalTitle}" → "${localized.title}"`);
+            return {
+                ...localized,
+                roleType: this.classifyExecutiveRole(localized.title),
+                tier: this.calculateExecutiveTier(localized.title)
+            };
+        });
     }
 
     /**
@@ -531,121 +504,28 @@ EXTRACT ALL EXECUTIVES - DO NOT LIMIT BY CONFIDENCE.`;
      * Identifies CFO or CRO from list of executives with enhanced precision
      */
     identifyExecutiveByRole(executives, roleType) {
-        const patterns = this.executiveTitlePatterns[roleType];
+        const roleId = ROLE_TYPES[roleType];
         
         let bestMatch = null;
         let highestScore = 0;
 
-        // First, try to find exact title matches
         for (const executive of executives) {
             const title = executive.title.toLowerCase();
             const name = executive.name.toLowerCase();
             let score = 0;
 
-            // EXACT TITLE MATCHING (highest priority)
-            if (roleType === 'cfo') {
-                if (title.includes('chief financial officer') || title.includes('cfo')) {
-                    score += 1000; // Highest priority for exact CFO match
-                } else if (title.includes('chief accounting officer') || title.includes('cao')) {
-                    score += 900;
-                } else if (title.includes('vp finance') || title.includes('vice president finance') || title.includes('vp of finance')) {
-                    score += 800;
-                } else if (title.includes('head of finance') || title.includes('finance director') || title.includes('director of finance')) {
-                    score += 700;
-                } else if (title.includes('controller') || title.includes('head of fp&a') || title.includes('vp fp&a')) {
-                    score += 600;
-                } else if (title.includes('finance manager') || title.includes('head of accounting') || title.includes('finance operations')) {
-                    score += 500;
-                }
-                
-                // Exclude non-finance roles (COMPREHENSIVE EXCLUSION)
-                if (title.includes('ceo') || title.includes('chief executive') || 
-                    title.includes('coo') || title.includes('chief operating') ||
-                    title.includes('cto') || title.includes('chief technology') ||
-                    title.includes('cmo') || title.includes('chief marketing') ||
-                    title.includes('alliances') || title.includes('channels') ||
-                    title.includes('partnerships') || title.includes('business development') ||
-                    title.includes('sales') || title.includes('revenue') ||
-                    title.includes('commercial') || title.includes('customer success') ||
-                    title.includes('product') || title.includes('engineering') ||
-                    title.includes('legal') || title.includes('hr') || title.includes('people') ||
-                    title.includes('human resources') || title.includes('chief people')) {
-                    console.log(`   🚫 EXCLUDED from CFO: ${name} (${title}) - Non-finance role`);
-                    score = 0; // Exclude these roles from CFO matching
-                }
-                
-                // CRITICAL: If no finance-specific terms found, set score to 0
-                if (!title.includes('financial') && !title.includes('cfo') && 
-                    !title.includes('finance') && !title.includes('accounting') &&
-                    !title.includes('controller') && !title.includes('treasurer')) {
-                    console.log(`   🚫 NO FINANCE TERMS: ${name} (${title}) - Not a finance role`);
-                    score = 0;
-                }
-                
-                // PRIORITY BOOST: Actual CFO titles get massive boost
-                if (title.includes('chief financial officer') || title === 'cfo') {
-                    score += 1000; // Massive boost for actual CFO
-                    console.log(`   🎯 ACTUAL CFO DETECTED: ${name} (${title}) - Priority boost +1000`);
-                }
-                
-                // VP/Director penalty: Lower priority than actual CFO
-                if (title.includes('vice president') || title.includes('director') || title.includes('vp ')) {
-                    if (!title.includes('chief financial officer') && !title.includes('cfo')) {
-                        score = Math.min(score, 300); // Cap VP/Director scores below CFO
-                        console.log(`   📉 VP/DIRECTOR CAP: ${name} (${title}) - Capped at 300`);
-                    }
-                }
+            // TITLE TIER (config/role-taxonomy.js) - other functions, assistants and advisors are excluded,
+            // "CFO of a division" ranks below the company CFO
+            const match = matchRole(executive.title, roleId, { region: executive.titleRegion });
+            if (match.excluded) {
+                console.log(`   🚫 EXCLUDED from ${roleType.toUpperCase()}: ${name} (${title}) - ${match.excluded.reason}`);
+                continue;
             }
-
-            if (roleType === 'cro') {
-                if (title.includes('chief revenue officer') || title.includes('cro')) {
-                    score += 1000; // Highest priority for exact CRO match
-                } else if (title.includes('chief sales officer') || title.includes('cso') || title.includes('chief commercial officer') || title.includes('cco')) {
-                    score += 900;
-                } else if (title.includes('chief growth officer') || title.includes('cgo') || title.includes('chief business officer') || title.includes('cbo')) {
-                    score += 880;
-                } else if (title.includes('vp sales') || title.includes('vice president sales') || title.includes('vp of sales')) {
-                    score += 800;
-                } else if (title.includes('vp revenue') || title.includes('vice president revenue') || title.includes('vp of revenue')) {
-                    score += 850;
-                } else if (title.includes('vp commercial') || title.includes('vp business development') || title.includes('vp growth')) {
-                    score += 820;
-                } else if (title.includes('head of sales') || title.includes('head of revenue') || title.includes('sales director') || title.includes('revenue director')) {
-                    score += 700;
-                } else if (title.includes('head of customer success') || title.includes('vp customer success') || title.includes('head of partnerships')) {
-                    score += 650; // Industry-specific revenue roles
-                } else if (title.includes('head of go-to-market') || title.includes('gtm director') || title.includes('head of enterprise sales')) {
-                    score += 640;
-                } else if (title.includes('head of customer growth') || title.includes('head of leasing') || title.includes('head of client success')) {
-                    score += 630; // PropTech and Design industry specific
-                }
-                
-                // Exclude non-revenue roles (COMPREHENSIVE EXCLUSION)
-                if (title.includes('ceo') || title.includes('chief executive') || 
-                    title.includes('cfo') || title.includes('chief financial') ||
-                    title.includes('cto') || title.includes('chief technology') ||
-                    title.includes('cmo') || title.includes('chief marketing') ||
-                    title.includes('alliances') || title.includes('channels') ||
-                    title.includes('partnerships') || title.includes('business development') ||
-                    title.includes('finance') || title.includes('accounting') ||
-                    title.includes('product') || title.includes('engineering') ||
-                    title.includes('legal') || title.includes('hr') || title.includes('people') ||
-                    title.includes('human resources') || title.includes('chief people') ||
-                    title.includes('operations') && !title.includes('sales operations') ||
-                    title.includes('chairman') || title.includes('chair') || title.includes('president') ||
-                    title.includes('founder') || title.includes('board') || title.includes('director') && !title.includes('sales director') && !title.includes('revenue director')) {
-                    console.log(`   🚫 EXCLUDED from CRO: ${name} (${title}) - Non-revenue role`);
-                    score = 0; // Exclude these roles from CRO matching
-                }
-                
-                // CRITICAL: If no revenue-specific terms found, set score to 0
-                if (!title.includes('revenue') && !title.includes('cro') && 
-                    !title.includes('sales') && !title.includes('commercial') &&
-                    !title.includes('customer') && !title.includes('growth')) {
-                    console.log(`   🚫 NO REVENUE TERMS: ${name} (${title}) - Not a revenue role`);
-                    score = 0;
-                }
+            if (match.tier === null) {
+                console.log(`   🚫 NO ${roleId.toUpperCase()} TERMS: ${name} (${title}) - Not a ${roleId} role`);
+                continue;
             }
+            score += TITLE_TIER_SCORES[match.tier] || 0;
 
             // REMOVED: No specific name matching - system should find executives naturally
             // The pipeline should identify executives based on their roles and titles, not hardcoded names
@@ -752,46 +632,13 @@ EXTRACT ALL EXECUTIVES - DO NOT LIMIT BY CONFIDENCE.`;
                     ...executive,
                     matchScore: score,
                     roleType: roleType.toUpperCase(),
-                    tier: 1 // Leadership page executives are tier 1
+                    tier: 1, // Leadership page executives are tier 1
+                    roleTier: match.tier,
+                    roleExplanation: match.explanation
                 };
             }
         }
 
-        // If no good match found, try fallback patterns
-        if (!bestMatch || highestScore < 100) {
-            console.log(`      🔄 No strong ${roleType.toUpperCase()} match found, trying fallback patterns...`);
-            
-            for (const executive of executives) {
-                const title = executive.title.toLowerCase();
-                let fallbackScore = 0;
-
-                // Fallback patterns for CFO
-                if (roleType === 'cfo' && !bestMatch) {
-                    if (title.includes('finance') && !title.includes('ceo')) {
-                        fallbackScore = 200;
-                    }
-                }
-
-                // Fallback patterns for CRO  
-                if (roleType === 'cro' && !bestMatch) {
-                    if ((title.includes('sales') || title.includes('revenue') || title.includes('strategy')) && 
-                        !title.includes('ceo') && !title.includes('cfo')) {
-                        fallbackScore = 200;
-                    }
-                }
-
-                if (fallbackScore > highestScore) {
-                    highestScore = fallbackScore;
-                    bestMatch = {
-                        ...executive,
-                        matchScore: fallbackScore,
-                        roleType: roleType.toUpperCase(),
-                        tier: 2 // Fallback matches are tier 2
-                    };
-                }
-            }
-        }
-
         return bestMatch;
     }
 
@@ -1109,21 +956,18 @@ EXTRACT ALL EXECUTIVES - DO NOT LIMIT BY CONFIDENCE.`;
      * Classifies executive role type
      */
     classifyExecutiveRole(title) {
-        const titleLower = title.toLowerCase();
+        const classification = classifyTitle(title);
         
-        if (titleLower.includes('cfo') || titleLower.includes('chief financial') || titleLower.includes('finance')) {
+        if (classification.role === 'finance') {
             return 'CFO';
         }
-        if (titleLower.includes('cro') || titleLower.includes('chief revenue') || titleLower.includes('revenue')) {
-            return 'CRO';
-        }
-        if (titleLower.includes('cso') || titleLower.includes('chief sales') || titleLower.includes('sales')) {
+        if (classification.role === 'revenue') {
             return 'CRO'; // CSO maps to CRO
         }
-        if (titleLower.includes('ceo') || titleLower.includes('chief executive')) {
+        if (classification.normalized.includes('chief executive officer')) {
             return 'CEO';
         }
-        if (titleLower.includes('coo') || titleLower.includes('chief operating')) {
+        if (classification.normalized.includes('chief operating officer')) {
             return 'COO';
         }
         
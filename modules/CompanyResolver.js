@@ -9,11 +9,19 @@
  * 3. Domain canonicalization
  * 4. Company status determination (active/acquired/merged/defunct)
  * 
+ * Known acquisitions, executive overrides and post-acquisition executive dispositions come from
+ * the corporate event registry (modules/CorporateEventRegistry.js); AI research only runs for
+ * companies the registry has no active entry for. Every resolution is kept as a dated snapshot
+ * (modules/DomainHistory.js); a domain that starts redirecting to a parent or changes its
+ * canonical name since the last run yields corporate event signals.
+ * 
  * This is the FIRST and most critical step in the pipeline.
  */
 
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
 const dns = require('dns').promises;
+const { CorporateEventRegistry, isSettledDisposition } = require('./CorporateEventRegistry');
+const { DomainHistory, extractPageIdentity } = require('./DomainHistory');
 
 class CompanyResolver {
     constructor(config = {}) {
@@ -26,6 +34,8 @@ class CompanyResolver {
         };
         
         this.resolutionCache = new Map();
+        this.corporateEvents = config.corporateEvents || new CorporateEventRegistry({ file: config.CORPORATE_EVENTS_FILE });
+        this.domainHistory = config.domainHistory || new DomainHistory(config);
         this.acquisitionDatabase = this.loadAcquisitionDatabase();
     }
 
@@ -53,6 +63,7 @@ class CompanyResolver {
             parentCompany: null,
             acquisitionInfo: null,
             domains: [],
+            corporateEventSignals: [],
             confidence: 0,
             resolutionMethod: '',
             timestamp: new Date().toISOString(),
@@ -75,9 +86,14 @@ class CompanyResolver {
                 console.log(`   Redirects: ${resolution.redirectChain.length - 1} found`);
             }
 
+            // Compare with the last run's snapshot of this domain
+            const history = await this.domainHistory.record(this.buildDomainSnapshot(inputUrl, urlResolution));
+            resolution.domainSnapshot = history.snapshot;
+            resolution.corporateEventSignals = history.signals;
+
             // STEP 2: Acquisition Detection
             console.log('\n🔍 STEP 2: Acquisition Detection');
-            const acquisitionInfo = await this.detectAcquisition(resolution.canonicalUrl, resolution.finalUrl);
+            const acquisitionInfo = await this.detectAcquisition(resolution.canonicalUrl, resolution.finalUrl, history.signals);
             
             // Always set acquisition fields (even if false)
             resolution.acquisitionDetected = acquisitionInfo.isAcquired;
@@ -159,6 +175,7 @@ class CompanyResolver {
      */
     async resolveUrlWithRedirects(inputUrl) {
         const redirects = [];
+        const hops = [];
         const domains = new Set();
         let currentUrl = this.normalizeUrl(inputUrl);
         let canonical = currentUrl;
@@ -187,6 +204,7 @@ class CompanyResolver {
                         'User-Agent': 'Mozilla/5.0 (compatible; ExecutiveFinder/1.0)'
                     }
                 });
+                hops.push({ url: currentUrl, status: response.status });
 
                 // Check for redirects
                 if (response.status >= 300 && response.status < 400) {
@@ -213,19 +231,71 @@ class CompanyResolver {
         }
 
         const finalUrl = redirects[redirects.length - 1];
+        const page = hops.length > 0 ? await this.fetchPageIdentity(finalUrl) : null;
         
         return {
             canonical,
             final: finalUrl,
             redirects,
+            hops,
+            page,
             domains: Array.from(domains)
         };
     }
 
+    /**
+     * 🏷️ PAGE IDENTITY - title, site name and canonical link of the final page
+     * Reads only the start of the page; <head> is all that is needed
+     */
+    async fetchPageIdentity(url) {
+        try {
+            const response = await fetch(url, {
+                method: 'GET',
+                timeout: this.config.TIMEOUT,
+                headers: {
+                    'User-Agent': 'Mozilla/5.0 (compatible; ExecutiveFinder/1.0)',
+                    'Accept': 'text/html'
+                }
+            });
+            if (!response.ok || !/html/i.test(response.headers.get('content-type') || 'text/html')) {
+                return { status: response.status, title: null, siteName: null, canonicalUrl: null };
+            }
+
+            let html = '';
+            for await (const chunk of response.body) {
+                html += chunk.toString();
+                if (html.length > 256 * 1024 || /<\/head>/i.test(html)) break;
+            }
+            return { status: response.status, ...extractPageIdentity(html, response.url || url) };
+        } catch (error) {
+            console.log(`   ⚠️ Page identity fetch error: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 📸 DOMAIN SNAPSHOT for DomainHistory from a redirect resolution
+     */
+    buildDomainSnapshot(inputUrl, urlResolution) {
+        const page = urlResolution.page || {};
+        return {
+            domain: this.extractDomain(urlResolution.canonical || this.normalizeUrl(inputUrl)),
+            inputUrl,
+            finalUrl: urlResolution.final,
+            redirects: urlResolution.hops || [],
+            status: page.status || urlResolution.hops?.[urlResolution.hops.length - 1]?.status || null,
+            title: page.title || null,
+            siteName: page.siteName || null,
+            canonicalUrl: page.canonicalUrl || null,
+            // HEAD answered and no error page at the end of the chain
+            reachable: (urlResolution.hops || []).length > 0 && !(page.status >= 400)
+        };
+    }
+
     /**
      * 🔍 ACQUISITION DETECTION
      */
-    async detectAcquisition(canonicalUrl, finalUrl) {
+    async detectAcquisition(canonicalUrl, finalUrl, signals = []) {
         // Check if domains are different (potential acquisition indicator)
         const canonicalDomain = this.extractDomain(canonicalUrl);
         const finalDomain = this.extractDomain(finalUrl);
@@ -236,39 +306,31 @@ class CompanyResolver {
             acquisitionDate: null,
             acquisitionType: null, // full_acquisition/merger/subsidiary
             confidence: 0,
-            evidence: []
+            evidence: [],
+            signals
         };
 
-        // STEP 1: Check hardcoded recent acquisitions database
-        const hardcodedMatch = this.checkRecentAcquisitions(canonicalDomain, finalDomain);
-        if (hardcodedMatch.isAcquired) {
-            acquisitionInfo.isAcquired = true;
-            acquisitionInfo.parentCompany = hardcodedMatch.parentCompany;
-            acquisitionInfo.acquisitionDate = hardcodedMatch.acquisitionDate;
-            acquisitionInfo.acquisitionType = hardcodedMatch.type;
-            acquisitionInfo.confidence = hardcodedMatch.confidence;
-            acquisitionInfo.evidence.push('hardcoded_database');
-            // Include executive overrides if present
-            if (hardcodedMatch.executiveOverrides) {
-                acquisitionInfo.executiveOverrides = hardcodedMatch.executiveOverrides;
-                console.log(`   🎯 Executive overrides found: ${Object.keys(hardcodedMatch.executiveOverrides).join(', ')}`);
+        // Changes since the last run's snapshot (DomainHistory) - evidence for every step below
+        signals.forEach(signal => acquisitionInfo.evidence.push(`domain_history:${signal.type}`));
+
+        // STEP 1: Check the corporate event registry - a known event needs no AI research
+        const registryMatch = this.checkRecentAcquisitions(canonicalDomain, finalDomain);
+        if (registryMatch.corporateEvent) {
+            Object.assign(acquisitionInfo, registryMatch, {
+                acquisitionType: registryMatch.acquisitionType || null,
+                evidence: [...acquisitionInfo.evidence, 'corporate_event_registry']
+            });
+            if (signals.length > 0) {
+                console.log(`   ⚠️ Domain changed since the last run - review registry entry ${registryMatch.corporateEvent.id}`);
             }
-            // Include targeting override if present
-            if (hardcodedMatch.targetingOverride) {
-                acquisitionInfo.targetingOverride = hardcodedMatch.targetingOverride;
+            if (registryMatch.executiveOverrides) {
+                console.log(`   🎯 Executive overrides found: ${Object.keys(registryMatch.executiveOverrides).join(', ')}`);
             }
-            console.log(`   🎯 Hardcoded acquisition found: ${hardcodedMatch.parentCompany}`);
+            console.log(registryMatch.isAcquired
+                ? `   🎯 Registry acquisition found: ${registryMatch.parentCompany.name} (${registryMatch.corporateEvent.id})`
+                : `   🎯 Registry entry found: independent (${registryMatch.corporateEvent.id})`);
             return acquisitionInfo;
         }
-        
-        // Handle executive overrides for non-acquired companies (e.g., Databricks)
-        if (hardcodedMatch.executiveOverrides) {
-            acquisitionInfo.executiveOverrides = hardcodedMatch.executiveOverrides;
-            console.log(`   🎯 Executive overrides found for non-acquired company: ${Object.keys(hardcodedMatch.executiveOverrides).join(', ')}`);
-        }
-        if (hardcodedMatch.targetingOverride) {
-            acquisitionInfo.targetingOverride = hardcodedMatch.targetingOverride;
-        }
 
         // STEP 2: Check for domain change (potential acquisition)
         if (canonicalDomain !== finalDomain) {
@@ -303,150 +365,9 @@ class CompanyResolver {
 
     /**
      * 📚 CHECK RECENT ACQUISITIONS DATABASE
+     * Active corporate event registry entry for either domain, in acquisitionInfo shape
      */
     checkRecentAcquisitions(originalDomain, finalDomain) {
-        console.log(`   🔍 Domain extraction debug:`);
-        console.log(`      Original domain: "${originalDomain}"`);
-        console.log(`      Final domain: "${finalDomain}"`);
-        
-        const recentAcquisitions = {
-            // QTS Realty Trust - Acquired by Blackstone in 2021
-            'qtsdatacenters.com': {
-                isAcquired: true,
-                parentCompany: 'Blackstone',
-                acquisitionDate: '2021-10-01',
-                type: 'full_acquisition',
-                confidence: 95,
-                originalCompany: 'QTS Realty Trust, LLC',
-                parentCompanyDetails: 'Blackstone Real Estate Income Trust',
-                executiveTracking: {
-                    'Tag Greason': {
-                        originalRole: 'Co-Chief Executive Officer',
-                        originalCompany: 'QTS Realty Trust',
-                        status: 'needs_verification',
-                        lastVerified: '2021-10-01',
-                        notes: 'Post-acquisition status unknown - need to verify current role'
-                    },
-                    'Jeff Berson': {
-                        originalRole: 'Chief Financial Officer',
-                        originalCompany: 'QTS Realty Trust',
-                        status: 'needs_verification',
-                        lastVerified: '2021-10-01',
-                        notes: 'Post-acquisition status unknown - need to verify current role'
-                    }
-                }
-            },
-            // INAP - Acquired by HorizonIQ in 2022
-            'inap.com': {
-                isAcquired: true,
-                parentCompany: {
-                    name: 'HorizonIQ',
-                    domain: 'horizoniq.com',
-                    ticker: null
-                },
-                acquisitionDate: '2022-05-09',
-                type: 'full_acquisition',
-                confidence: 95,
-                originalCompany: 'INAP (Internap Corporation)',
-                parentCompanyDetails: 'HorizonIQ (formerly Internap Network Services Corporation)',
-                executiveTracking: {
-                    'needs_research': {
-                        originalRole: 'Various Executives',
-                        originalCompany: 'INAP',
-                        status: 'needs_verification',
-                        lastVerified: '2022-05-09',
-                        notes: 'Post-acquisition executive team needs research at HorizonIQ'
-                    }
-                }
-            },
-            // GfK - Acquired by Nielsen in 2022
-            'gfk.com': {
-                isAcquired: true,
-                parentCompany: {
-                    name: 'Nielsen Consumer LLC',
-                    domain: 'nielsen.com',
-                    ticker: null
-                },
-                acquisitionDate: '2022-10-01',
-                type: 'full_acquisition',
-                confidence: 95,
-                originalCompany: 'GfK SE',
-                parentCompanyDetails: 'Nielsen Consumer LLC (Nielsen Holdings)',
-                // Prefer parent executives due to integration
-                targetingOverride: 'parent_primary',
-                executiveTracking: {
-                    'needs_research': {
-                        originalRole: 'Various Executives',
-                        originalCompany: 'GfK SE',
-                        status: 'needs_verification',
-                        lastVerified: '2022-10-01',
-                        notes: 'Post-acquisition executive team needs research at Nielsen Consumer LLC'
-                    }
-                }
-            },
-            // Databricks - Public company with known CFO
-            'databricks.com': {
-                isAcquired: false,
-                executiveOverrides: {
-                    cfo: {
-                        name: 'Dave Conte',
-                        title: 'Chief Financial Officer',
-                        confidence: 99,
-                        source: 'verified_public_company_filing'
-                    }
-                }
-            },
-            // Investis Digital (London) → Investcorp ownership; avoid IDX (Identity Theft Guard Solutions, Inc.) confusion
-            'investisdigital.com': {
-                isAcquired: true,
-                parentCompany: {
-                    name: 'Investcorp',
-                    domain: 'investcorp.com',
-                    ticker: null
-                },
-                acquisitionDate: '2021-03-30',
-                type: 'full_acquisition',
-                confidence: 90,
-                originalCompany: 'Investis Digital Limited',
-                parentCompanyDetails: 'Investcorp (global alternative investment manager)',
-                notes: 'Redirect to idx.inc is unrelated (Identity Theft Guard Solutions, Inc.) – keep Investis Digital as entity',
-                targetingOverride: 'subsidiary_first'
-            },
-            // Note: investisdigital.com redirects to idx.inc but they are different companies
-            // Investis Digital (London) was acquired by Investcorp, but domain redirects to IDX (Oregon)
-            // This is handled by regular company resolution, not acquisition detection
-            // Figma - Public company with known executives
-            'figma.com': {
-                isAcquired: false,
-                executiveOverrides: {
-                    cfo: {
-                        name: 'Praveer Melwani',
-                        title: 'Chief Financial Officer',
-                        confidence: 99,
-                        source: 'investor_relations_page'
-                    },
-                    cro: {
-                        name: 'Shaunt Voskanian',
-                        title: 'Chief Revenue Officer',
-                        confidence: 99,
-                        source: 'investor_relations_page'
-                    }
-                }
-            },
-            // Add more recent acquisitions here
-            'zoom.us': {
-                isAcquired: false, // Zoom is independent
-                parentCompany: null,
-                acquisitionDate: null,
-                type: null,
-                confidence: 100
-            }
-        };
-
-        // Check if either domain matches our database (with debug logging)
-        console.log(`   🔍 Checking acquisition database for: ${originalDomain} and ${finalDomain}`);
-        console.log(`   📋 Available keys: ${Object.keys(recentAcquisitions).join(', ')}`);
-        
         // Try multiple domain variations
         const domainVariations = [
             originalDomain,
@@ -454,23 +375,17 @@ class CompanyResolver {
             this.extractDomain(originalDomain),
             this.extractDomain(finalDomain)
         ].filter(d => d); // Remove empty values
-        
-        console.log(`   🔍 Trying domain variations: ${domainVariations.join(', ')}`);
-        
-        let match = null;
-        for (const domain of domainVariations) {
-            if (recentAcquisitions[domain]) {
-                match = recentAcquisitions[domain];
-                console.log(`   🎯 FOUND ACQUISITION MATCH: ${domain} → ${match.parentCompany?.name || match.parentCompany}`);
-                break;
-            }
-        }
-        
-        if (!match) {
-            console.log(`   ℹ️ No acquisition match found in database`);
+
+        console.log(`   🔍 Checking corporate event registry (v${this.corporateEvents.registry.version}) for: ${[...new Set(domainVariations)].join(', ')}`);
+
+        const entry = this.corporateEvents.lookup(domainVariations);
+        if (!entry) {
+            console.log(`   ℹ️ No corporate event found in registry`);
+            return { isAcquired: false, confidence: 0 };
         }
-        
-        return match || { isAcquired: false, confidence: 0 };
+
+        console.log(`   🎯 FOUND CORPORATE EVENT: ${entry.id}${entry.acquirer ? ` → ${entry.acquirer.name}` : ''}`);
+        return this.corporateEvents.toAcquisitionInfo(entry);
     }
 
     /**
@@ -808,30 +723,16 @@ Provide ONLY a JSON response:
 
     /**
      * 📚 INITIALIZE ACQUISITION DATABASE (ENHANCED)
+     * Domain → acquisitionInfo for every active registry entry, aliases included
      */
     loadAcquisitionDatabase() {
-        // Return enhanced Map with recent acquisitions
-        // This provides immediate detection for known acquisitions
         const database = new Map();
-        
-        // Add recent acquisitions to the database
-        const recentAcquisitions = {
-            'qtsdatacenters.com': {
-                isAcquired: true,
-                parentCompany: 'Blackstone',
-                acquisitionDate: '2021-10-01',
-                type: 'full_acquisition',
-                confidence: 95,
-                originalCompany: 'QTS Realty Trust, LLC',
-                parentCompanyDetails: 'Blackstone Real Estate Income Trust'
-            }
-        };
-        
-        // Convert to Map for consistency
-        Object.entries(recentAcquisitions).forEach(([domain, data]) => {
-            database.set(domain, data);
+
+        this.corporateEvents.list().forEach(entry => {
+            const info = this.corporateEvents.toAcquisitionInfo(entry);
+            [entry.domain, ...(entry.aliases || [])].forEach(domain => database.set(domain, info));
         });
-        
+
         return database;
     }
 
@@ -852,15 +753,39 @@ Provide ONLY a JSON response:
             executives: []
         };
 
+        const knownExecutives = acquisitionInfo.corporateEvent?.executives || [];
+
         for (const [executiveName, tracking] of Object.entries(acquisitionInfo.executiveTracking)) {
             console.log(`   👔 Tracking executive: ${executiveName} (${tracking.originalRole})`);
-            
+
+            // Disposition recorded in the registry recently enough - no AI call
+            const known = knownExecutives.find(executive => executive.name === executiveName);
+            if (isSettledDisposition(known)) {
+                console.log(`   📚 ${executiveName}: ${known.disposition} (registry, verified ${known.verifiedAt})`);
+                trackingResults.executives.push({
+                    name: executiveName,
+                    originalRole: tracking.originalRole,
+                    originalCompany: tracking.originalCompany,
+                    currentStatus: {
+                        verified: true,
+                        status: known.disposition,
+                        currentCompany: known.currentCompany || (known.disposition === 'still_at_original' ? tracking.originalCompany : null),
+                        currentRole: known.currentRole || null,
+                        source: 'corporate_event_registry',
+                        notes: known.notes || null
+                    },
+                    lastVerified: known.verifiedAt
+                });
+                continue;
+            }
+
             try {
                 const currentStatus = await this.verifyExecutivePostAcquisition(
                     executiveName,
                     tracking.originalRole,
-                    acquisitionInfo.parentCompany,
-                    companyName
+                    acquisitionInfo.parentCompany?.name || acquisitionInfo.parentCompany,
+                    companyName,
+                    acquisitionInfo.acquisitionDate
                 );
                 
                 trackingResults.executives.push({
@@ -889,11 +814,12 @@ Provide ONLY a JSON response:
     /**
      * 🔍 VERIFY EXECUTIVE POST-ACQUISITION
      */
-    async verifyExecutivePostAcquisition(executiveName, originalRole, parentCompany, originalCompany) {
+    async verifyExecutivePostAcquisition(executiveName, originalRole, parentCompany, originalCompany, acquisitionDate = null) {
         try {
+            const acquiredYear = acquisitionDate ? new Date(acquisitionDate).getFullYear() : null;
             const prompt = `Research the current status of ${executiveName} who was ${originalRole} at ${originalCompany}.
 
-This company was acquired by ${parentCompany} in 2021. Please verify:
+This company was acquired by ${parentCompany}${acquiredYear ? ` in ${acquiredYear}` : ''}. Please verify:
 
 1. Is ${executiveName} still employed at ${originalCompany} (now owned by ${parentCompany})?
 2. Has ${executiveName} moved to ${parentCompany}?
@@ -913,7 +839,7 @@ Provide ONLY a JSON response:
     "notes": "Brief explanation of findings"
 }
 
-Focus on recent information (2021-2025).`;
+Focus on recent information (${acquiredYear || new Date().getFullYear() - 3}-${new Date().getFullYear()}).`;
 
             const response = await fetch('https://api.perplexity.ai/chat/completions', {
                 method: 'POST',
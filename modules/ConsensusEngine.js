@@ -0,0 +1,242 @@
+/**
+ * 🗳️ CONSENSUS ENGINE MODULE
+ *
+ * One place that decides between competing values for a contact field:
+ * 1. Candidates from every provider are grouped by normalized value
+ * 2. Each provider gets one vote per value, weighted by its reliability for the field
+ *    (config/source-reliability.js, optionally measured - see SOURCE_RELIABILITY_FILE)
+ * 3. Votes combine as 1 - Π(1 - weight), plus an agreement bonus per extra independent provider
+ *    and minus a conflict penalty when independent providers back different values
+ * 4. Values come back ranked with the winner, its confidence and a readable explanation
+ *
+ * Fields: email, phone, title, linkedIn, and validity (valid / invalid verdicts from
+ * email verification providers). New providers only need a reliability entry - no module edits.
+ */
+
+const fs = require('fs');
+const {
+    SOURCE_RELIABILITY,
+    AGREEMENT_BONUS,
+    CONFLICT_PENALTY,
+    MAX_CONFIDENCE,
+    DISPUTE_MARGIN,
+    DEPENDENT_SOURCES
+} = require('../config/source-reliability');
+const { providerFromSource } = require('./FieldProvenance');
+const { phoneKey } = require('./PhoneNumbers');
+const { canonicalLinkedInUrl } = require('./IdentityResolver');
+
+const NORMALIZERS = {
+    email: value => String(value).trim().toLowerCase(),
+    // Numbers without a country code are read in the company's country, not the US default
+    phone: (value, { region } = {}) => phoneKey(value, { defaultCountry: region || 'US' }),
+    title: value => String(value).trim().toLowerCase().replace(/\s+/g, ' '),
+    linkedIn: value => canonicalLinkedInUrl(value) || String(value).trim().toLowerCase(),
+    validity: value => String(value)
+};
+
+class ConsensusEngine {
+    /**
+     * @param {Object} config - SOURCE_RELIABILITY overrides, SOURCE_RELIABILITY_FILE,
+     *   AGREEMENT_BONUS, CONFLICT_PENALTY, MAX_CONFIDENCE, DISPUTE_MARGIN
+     */
+    constructor(config = {}) {
+        this.config = {
+            AGREEMENT_BONUS: config.AGREEMENT_BONUS ?? AGREEMENT_BONUS,
+            CONFLICT_PENALTY: config.CONFLICT_PENALTY ?? CONFLICT_PENALTY,
+            MAX_CONFIDENCE: config.MAX_CONFIDENCE ?? MAX_CONFIDENCE,
+            DISPUTE_MARGIN: config.DISPUTE_MARGIN ?? DISPUTE_MARGIN,
+            SOURCE_RELIABILITY_FILE: config.SOURCE_RELIABILITY_FILE || process.env.SOURCE_RELIABILITY_FILE || null
+        };
+
+        this.reliability = mergeReliability(
+            SOURCE_RELIABILITY,
+            this.loadMeasuredReliability(this.config.SOURCE_RELIABILITY_FILE),
+            config.SOURCE_RELIABILITY
+        );
+    }
+
+    /**
+     * Measured reliability written by the accuracy harness - missing or unreadable files are ignored
+     */
+    loadMeasuredReliability(file) {
+        if (!file) return null;
+        try {
+            const measured = JSON.parse(fs.readFileSync(file, 'utf8'));
+            return measured.reliability || measured;
+        } catch (error) {
+            console.log(`   ⚠️ Could not load source reliability from ${file}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Provider key for a candidate - explicit provider, else inferred from its source label
+     */
+    providerOf(candidate) {
+        if (candidate.provider) return String(candidate.provider).toLowerCase();
+        if (/generat|pattern|guess/i.test(String(candidate.source || ''))) return 'generated';
+        return providerFromSource(candidate.source) || String(candidate.source || 'unknown').toLowerCase();
+    }
+
+    /**
+     * Reliability of a provider for a field - composite keys ("coresignal+lusha") use the best part
+     */
+    reliabilityOf(field, provider) {
+        const table = this.reliability[field] || {};
+        const parts = String(provider).split('+');
+        const known = parts.map(part => table[part]).filter(value => typeof value === 'number');
+        return known.length > 0 ? Math.max(...known) : (table.default ?? 0.5);
+    }
+
+    /**
+     * 🗳️ DECIDE A FIELD VALUE
+     *
+     * @param {string} field - email | phone | title | linkedIn | validity
+     * @param {Object[]} candidates - { value, provider?, source?, confidence? (0-100), ... }
+     * @param {Object} [context] - region: the company's country (regionFromDomain) for phone numbers
+     * @returns {Object} { field, value, confidence, providers, agreement, disputed, ranked, explanation }
+     *   ranked entries: { value, key, confidence, support, providers, votes, candidates }
+     */
+    decide(field, candidates = [], context = {}) {
+        const normalize = NORMALIZERS[field] || (value => String(value).trim().toLowerCase());
+        const groups = new Map();
+
+        candidates.forEach(candidate => {
+            if (!candidate || candidate.value === null || candidate.value === undefined || candidate.value === '') return;
+
+            const key = normalize(candidate.value, context);
+            if (!key) return;
+
+            const provider = this.providerOf(candidate);
+            const reliability = this.reliabilityOf(field, provider);
+            const weight = reliability * (typeof candidate.confidence === 'number' ? Math.max(0, Math.min(100, candidate.confidence)) / 100 : 1);
+            if (weight <= 0) return;
+
+            if (!groups.has(key)) groups.set(key, { key, votes: new Map(), candidates: [] });
+            const group = groups.get(key);
+            group.candidates.push(candidate);
+
+            // One vote per provider - its strongest candidate for this value
+            const existing = group.votes.get(provider);
+            if (!existing || weight > existing.weight) {
+                group.votes.set(provider, { provider, reliability, confidence: candidate.confidence ?? null, weight, value: candidate.value });
+            }
+        });
+
+        const contested = [...groups.values()]
+            .filter(group => [...group.votes.keys()].some(provider => !DEPENDENT_SOURCES.includes(provider))).length > 1;
+        const penalty = contested ? this.config.CONFLICT_PENALTY : 0;
+
+        const ranked = [...groups.values()].map(group => {
+            const votes = [...group.votes.values()].sort((a, b) => b.weight - a.weight);
+            const support = 1 - votes.reduce((remaining, vote) => remaining * (1 - vote.weight), 1);
+            const independent = votes.filter(vote => !DEPENDENT_SOURCES.includes(vote.provider)).length;
+            const bonus = Math.max(0, independent - 1) * this.config.AGREEMENT_BONUS;
+
+            return {
+                value: votes[0].value,
+                key: group.key,
+                confidence: Math.max(0, Math.min(this.config.MAX_CONFIDENCE, Math.round(support * 100 + bonus - penalty))),
+                support: Math.round(support * 1000) / 1000,
+                bonus,
+                penalty,
+                providers: votes.map(vote => vote.provider),
+                votes,
+                candidates: group.candidates
+            };
+        }).sort((a, b) => b.confidence - a.confidence || b.providers.length - a.providers.length);
+
+        if (ranked.length === 0) {
+            return { field, value: null, confidence: 0, providers: [], agreement: false, disputed: false, ranked, explanation: ['No candidates'] };
+        }
+
+        const [winner, runnerUp] = ranked;
+        const disputed = Boolean(runnerUp && winner.confidence - runnerUp.confidence < this.config.DISPUTE_MARGIN);
+
+        return {
+            field,
+            value: winner.value,
+            confidence: winner.confidence,
+            providers: winner.providers,
+            agreement: winner.providers.length > 1,
+            disputed,
+            ranked,
+            explanation: this.explain(winner, runnerUp, disputed)
+        };
+    }
+
+    explain(winner, runnerUp, disputed) {
+        const lines = [
+            `${winner.value}: ${winner.confidence}% from ${winner.votes.map(vote => `${vote.provider} (${vote.weight.toFixed(2)})`).join(' + ')}`
+        ];
+        if (winner.bonus > 0) {
+            lines.push(`+${winner.bonus} agreement bonus for ${winner.providers.length} providers`);
+        }
+        if (winner.penalty > 0) {
+            lines.push(`-${winner.penalty} conflict penalty: providers disagree`);
+        }
+        if (runnerUp) {
+            lines.push(`${disputed ? 'Disputed by' : 'Beat'} ${runnerUp.value}: ${runnerUp.confidence}% from ${runnerUp.providers.join(' + ')}`);
+        }
+        return lines;
+    }
+
+    /**
+     * ✅ EMAIL VALIDITY CONSENSUS
+     * Combines verdicts from verification providers (ZeroBounce, MyEmailVerifier, ...)
+     *
+     * @param {Object[]} verdicts - { provider|source, isValid, confidence, result }
+     * @returns {Object} { isValid, confidence, result, consensus, primarySource, triangulated, providerBreakdown, decision }
+     */
+    decideValidity(verdicts = [], email = '') {
+        const usable = verdicts.filter(verdict => verdict && verdict.result !== 'api_error');
+        const decision = this.decide('validity', usable.map(verdict => ({
+            value: verdict.isValid ? 'valid' : 'invalid',
+            provider: verdict.provider || verdict.source,
+            confidence: verdict.confidence
+        })));
+
+        const providerBreakdown = usable.map(verdict => ({
+            provider: verdict.provider || verdict.source,
+            isValid: verdict.isValid,
+            confidence: verdict.confidence,
+            result: verdict.result
+        }));
+
+        if (!decision.value) {
+            return { isValid: false, confidence: 0, result: 'no_verdicts', consensus: `0/${verdicts.length} providers answered`, triangulated: false, providerBreakdown, decision };
+        }
+
+        const isValid = decision.value === 'valid';
+        const agreeing = usable.filter(verdict => Boolean(verdict.isValid) === isValid).length;
+        console.log(`   🗳️ Validity consensus for ${email}: ${isValid ? 'VALID' : 'INVALID'} (${decision.confidence}%, ${agreeing}/${usable.length} providers agree${decision.disputed ? ', disputed' : ''})`);
+
+        return {
+            isValid,
+            confidence: decision.confidence,
+            result: `triangulated_${decision.value}${decision.disputed ? '_disputed' : ''}`,
+            consensus: `${agreeing}/${usable.length} providers agree`,
+            primarySource: decision.providers[0],
+            triangulated: usable.length > 1,
+            triangulationMethod: 'weighted_consensus',
+            providerBreakdown,
+            decision
+        };
+    }
+}
+
+/**
+ * Field-by-field merge of reliability tables - later tables override earlier ones per provider
+ */
+function mergeReliability(...tables) {
+    const merged = {};
+    tables.filter(Boolean).forEach(table => {
+        Object.entries(table).forEach(([field, providers]) => {
+            merged[field] = { ...(merged[field] || {}), ...providers };
+        });
+    });
+    return merged;
+}
+
+module.exports = { ConsensusEngine, mergeReliability };
@@ -13,7 +13,7 @@
  * 7. Executive network pattern analysis
  */
 
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
 
 class ContactResearch {
     constructor(config = {}) {
@@ -11,8 +11,14 @@
  * 5. Acquisition-aware domain handling
  */
 
-const fetch = require('node-fetch');
 const { ContactResearch } = require('./ContactResearch');
+const { createProviders, ProspeoProvider, PROVIDER_ERROR_KINDS } = require('./providers/ProviderRegistry');
+const { ConsensusEngine } = require('./ConsensusEngine');
+const { EmailFormatStore, EMAIL_SEGMENTS } = require('./EmailFormatStore');
+const { CatchAllDetector, DELIVERABILITY, classifyDeliverability, isCatchAllVerdict, emailDomain } = require('./EmailDeliverability');
+const { NUMBER_TYPES, WORK_PHONE_TYPES, parsePhone, classifyPhone, describePhone, dedupePhones, regionFromDomain } = require('./PhoneNumbers');
+const { emailNameParts, lookupName, namesMatch } = require('./PersonName');
+const { matchRole, isFinanceTitle, isRevenueTitle } = require('./RoleTaxonomy');
 // const { DomainAnalysis } = require('./DomainAnalysis'); // Commented out - using inline domain logic
 
 class ContactValidator {
@@ -29,6 +35,10 @@ class ContactValidator {
             ...config
         };
 
+        this.providers = createProviders(this.config);
+        this.consensus = new ConsensusEngine(this.config);
+        this.emailFormats = this.config.emailFormats || new EmailFormatStore(this.config);
+        this.catchAll = this.config.catchAllDetector || new CatchAllDetector(this.config);
         this.contactCache = new Map();
         this.emailPatterns = this.initializeEmailPatterns();
         this.contactResearch = new ContactResearch(this.config);
@@ -246,12 +256,16 @@ class ContactValidator {
         if (executive.email && executive.email.includes('@')) {
             console.log(`   📧 Email present: ${executive.email} - Using VALIDATION flow (ZeroBounce → MyEmailVerifier)`);
             const validation = await this.validateEmail(executive.email);
+            await this.learnEmailFormat(executive.email, executive.name, validation, executive.title);
             emails.push({
                 email: executive.email,
                 source: executive.source || 'provided',
                 isValid: validation.isValid,
                 confidence: validation.confidence,
                 validationResult: validation.result,
+                verifiedAt: validation.verifiedAt,
+                deliverability: validation.deliverability,
+                catchAllDomain: validation.catchAllDomain,
                 cost: validation.cost || 0.002
             });
             
@@ -310,7 +324,9 @@ class ContactValidator {
         // STEP 3: Phone Flow - Follow your optimized sequence (Twilio → Lusha for mobiles)
         console.log(`   📱 Phone discovery flow - Twilio Lookup first ($0.008) → Lusha for mobiles ($0.08/record)`);
         const phoneResult = await this.optimizedPhoneFlow(executive.name, companyResolution.companyName, executive);
-        enriched.contacts.phones = phoneResult.phones;
+        const defaultCountry = regionFromDomain(companyResolution.finalUrl || companyResolution.domain) || 'US';
+        enriched.contacts.phones = dedupePhones(phoneResult.phones, { defaultCountry })
+            .map(phone => ({ ...phone, ...describePhone(phone, { defaultCountry }) }));
         
         if (phoneResult.phones.length > 0) {
             console.log(`   ✅ Found ${phoneResult.phones.length} phone numbers`);
@@ -548,12 +564,56 @@ class ContactValidator {
 
     /**
      * 📧 GENERATE AND VALIDATE EMAILS FOR SPECIFIC DOMAIN
+     * 
+     * Formats learned for the domain go first: a trusted one is used without verification,
+     * otherwise the first learned address that verifies ends the search.
+     * Catch-all domains accept every guess, so their patterns are returned unverified
+     * with confidence capped at CATCH_ALL_CONFIDENCE_CAP
      */
     async generateAndValidateEmailsForDomain(fullName, domain, nameParts, domainType) {
         const emails = [];
-        
+
+        const learned = await this.emailFormats.suggest(domain, nameParts, { segment: EMAIL_SEGMENTS.EXECUTIVE });
+        if (learned[0]?.trusted) {
+            const catchAllDomain = await this.catchAll.isCatchAll(domain);
+            console.log(`   📬 Learned format for ${domain}: ${learned[0].format} (${learned[0].confidence}%, ${learned[0].verified} verified) - skipping verification`);
+            return [{
+                email: learned[0].email,
+                pattern: learned[0].format,
+                isValid: true,
+                confidence: catchAllDomain ? this.catchAll.capConfidence(learned[0].confidence) : learned[0].confidence,
+                validationResult: 'learned_format',
+                deliverability: catchAllDomain ? DELIVERABILITY.CATCH_ALL_RISKY : DELIVERABILITY.UNKNOWN,
+                catchAllDomain,
+                source: 'learned_pattern',
+                domainType: domainType,
+                domain: domain
+            }];
+        }
+
         // Generate email patterns with intelligent domain analysis
-        const patterns = await this.generateEmailPatterns(nameParts, domain, 'Unknown Company');
+        const learnedEmails = new Set(learned.map(suggestion => suggestion.email));
+        const patterns = [...new Set([...learnedEmails, ...await this.generateEmailPatterns(nameParts, domain, 'Unknown Company')])];
+
+        // One probe per domain (cached) - verifying guesses on a catch-all domain only burns credits
+        if (await this.catchAll.probe(domain, email => this.validateEmail(email))) {
+            console.log(`   📮 ${domain} accepts all addresses - returning ${patterns.length} unverified patterns`);
+            return patterns.map(pattern => {
+                const suggestion = learned.find(entry => entry.email === pattern);
+                return {
+                    email: pattern,
+                    pattern: suggestion ? suggestion.format : this.getPatternName(pattern, nameParts),
+                    isValid: false,
+                    confidence: this.catchAll.capConfidence(suggestion ? suggestion.confidence : 30),
+                    validationResult: 'catch-all',
+                    deliverability: DELIVERABILITY.CATCH_ALL_RISKY,
+                    catchAllDomain: true,
+                    source: suggestion ? 'learned_pattern' : 'generated',
+                    domainType: domainType,
+                    domain: domain
+                };
+            });
+        }
         
         // Validate each pattern
         console.log(`   🔍 DEBUG: Generated ${patterns.length} email patterns for ${domain}: ${patterns.join(', ')}`);
@@ -568,10 +628,19 @@ class ContactValidator {
                     isValid: validation.isValid,
                     confidence: validation.confidence,
                     validationResult: validation.result,
+                    verifiedAt: validation.verifiedAt,
+                    deliverability: validation.deliverability,
+                    catchAllDomain: validation.catchAllDomain,
                     source: 'generated',
                     domainType: domainType,
                     domain: domain
                 });
+                await this.learnEmailFormat(pattern, nameParts, validation);
+
+                if (validation.isValid && learnedEmails.has(pattern)) {
+                    console.log(`   📬 Learned format verified for ${pattern} - skipping remaining patterns`);
+                    break;
+                }
                 
                 // Rate limiting
                 await this.delay(100);
@@ -583,6 +652,7 @@ class ContactValidator {
                     isValid: false,
                     confidence: 0,
                     validationResult: 'validation_failed',
+                    deliverability: DELIVERABILITY.UNKNOWN,
                     source: 'generated',
                     domainType: domainType,
                     domain: domain,
@@ -594,18 +664,26 @@ class ContactValidator {
         return emails;
     }
 
+    /**
+     * 📬 LEARN EMAIL FORMAT FROM A VERIFICATION VERDICT
+     * Only definite verdicts count - catch-all and unknown say nothing about the format
+     */
+    async learnEmailFormat(email, name, validation, title = null) {
+        const result = String(validation?.result || '').toLowerCase();
+        if (validation?.isValid && result === 'valid') {
+            await this.emailFormats.learn({ email, name, title, verified: true, source: validation.source || 'email_validation' });
+        } else if (result === 'invalid') {
+            await this.emailFormats.learn({ email, name, title, verified: false });
+        }
+    }
+
     /**
      * 🔤 PARSE FULL NAME
+     * Email-ready tokens - honorifics, suffixes and credentials dropped, accents transliterated
+     * ("Dr. Kathryn Bueker, CPA" → kathryn / bueker, "J. Michael O'Neil Jr." → michael / oneil)
      */
     parseFullName(fullName) {
-        const parts = fullName.trim().split(/\s+/);
-        
-        return {
-            firstName: parts[0]?.toLowerCase() || '',
-            lastName: parts[parts.length - 1]?.toLowerCase() || '',
-            middleName: parts.length > 2 ? parts.slice(1, -1).join(' ').toLowerCase() : '',
-            fullName: fullName
-        };
+        return emailNameParts(fullName);
     }
 
     /**
@@ -633,6 +711,12 @@ class ContactValidator {
             patterns.push(`${firstName}.${lastName[0]}@${correctedDomain}`);
         }
 
+        // Alternate spellings - mueller for Müller, anne-marie for Anne-Marie, j.oneil for J. Michael O'Neil
+        (nameParts.variants || []).forEach(variant => {
+            patterns.push(`${variant.firstName}.${variant.lastName}@${correctedDomain}`);
+            patterns.push(`${variant.firstName[0]}${variant.lastName}@${correctedDomain}`);
+        });
+
         // Executive-specific patterns (use original domain as fallback)
         if (firstName) {
             patterns.push(`${firstName}@${domain}`);
@@ -668,7 +752,7 @@ class ContactValidator {
         const smartPatterns = this.domainIntelligence.generateSmartEmailPatterns(fullName, domainAnalysis);
         
         // Use intelligent domain analysis for all companies
-        const intelligentPatterns = await this.generateEmailPatterns(nameParts, smartDomain, fullName.split(' ').slice(-1)[0] || 'Unknown Company');
+        const intelligentPatterns = await this.generateEmailPatterns(nameParts, smartDomain, lookupName(fullName).lastName || 'Unknown Company');
         
         for (const pattern of intelligentPatterns.slice(0, 8)) { // Limit to top 8
             try {
@@ -679,6 +763,7 @@ class ContactValidator {
                     isValid: validation.isValid,
                     confidence: validation.confidence,
                     validationResult: validation.result,
+                    verifiedAt: validation.verifiedAt,
                     source: 'intelligent_domain_analysis',
                     domainIntelligence: true
                 });
@@ -715,20 +800,24 @@ class ContactValidator {
      */
     async validateEmail(email) {
         console.log(`   🔍 DEBUG: Starting email validation flow for: ${email}`);
+        let zbResult = null;
         
         try {
             // STEP 1: If email exists, validate with ZeroBounce (preferred) or MyEmailVerifier
             if (email && email.includes('@')) {
                 console.log(`   📧 Email present - Using validation flow (ZeroBounce → MyEmailVerifier)`);
                 
-                // PRIMARY: ZeroBounce (preferred for DPA/Enterprise compliance)
-                if (this.config.ZEROBOUNCE_API_KEY) {
+                // PRIMARY: ZeroBounce (preferred for DPA/Enterprise compliance) - skipped past the soft budget
+                if (this.config.ZEROBOUNCE_API_KEY && !this.providers.zerobounce.withinBudget()) {
+                    console.log(`   💸 Budget downgrade - skipping ZeroBounce`);
+                } else if (this.config.ZEROBOUNCE_API_KEY) {
                     console.log(`   🔍 Validating with ZeroBounce (DPA compliant, better for Enterprise)...`);
-                    const zbResult = await this.validateWithZeroBounce(email);
+                    zbResult = await this.validateWithZeroBounce(email);
+                    await this.catchAll.observe(email, zbResult);
                     
-                    if (zbResult.confidence >= 70) {
+                    if (zbResult && zbResult.confidence >= 70) {
                         console.log(`   ✅ ZeroBounce result: ${zbResult.result} (${zbResult.confidence}%)`);
-                        return zbResult;
+                        return await this.withDeliverability(email, zbResult);
                     }
                 }
                 
@@ -737,7 +826,12 @@ class ContactValidator {
                     console.log(`   🔍 Fallback to MyEmailVerifier (98% accuracy, cheaper at scale)...`);
                     const mevResult = await this.validateWithMyEmailVerifier(email);
                     console.log(`   ✅ MyEmailVerifier result: ${mevResult.result} (${mevResult.confidence}%)`);
-                    return mevResult;
+                    return await this.withDeliverability(email, mevResult);
+                }
+
+                // A catch-all answer from ZeroBounce says more than a format check
+                if (isCatchAllVerdict(zbResult)) {
+                    return await this.withDeliverability(email, zbResult);
                 }
             } else {
                 // STEP 2: If email missing, discover with Prospeo → DropContact
@@ -751,13 +845,13 @@ class ContactValidator {
             const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
             const isValidFormat = emailRegex.test(email);
             
-            return {
+            return await this.withDeliverability(email, {
                 isValid: isValidFormat,
                 confidence: isValidFormat ? 50 : 0,
                 result: isValidFormat ? 'valid_format' : 'invalid_format',
                 provider: 'basic_regex',
                 triangulated: false
-            };
+            });
             
         } catch (error) {
             console.error(`   ❌ Email validation error: ${error.message}`);
@@ -767,11 +861,29 @@ class ContactValidator {
                 result: 'validation_error',
                 error: error.message,
                 provider: 'error',
-                triangulated: false
+                triangulated: false,
+                deliverability: DELIVERABILITY.UNKNOWN
             };
         }
     }
 
+    /**
+     * 📮 ANNOTATE A VERDICT WITH DELIVERABILITY
+     * Records catch-all domains from the verdict, then classifies it against the domain's known status
+     */
+    async withDeliverability(email, validation) {
+        if (!validation) return validation;
+
+        await this.catchAll.observe(email, validation);
+        const catchAllDomain = await this.catchAll.isCatchAll(emailDomain(email));
+
+        return {
+            ...validation,
+            catchAllDomain,
+            deliverability: classifyDeliverability(validation, { catchAllDomain })
+        };
+    }
+
     /**
      * 🔍 VALIDATE WITH ZEROBOUNCE
      */
@@ -783,34 +895,28 @@ class ContactValidator {
                 return null;
             }
 
-            const url = `https://api.zerobounce.net/v2/validate?api_key=${this.config.ZEROBOUNCE_API_KEY}&email=${encodeURIComponent(email)}`;
-            console.log(`   🔍 DEBUG: ZeroBounce URL: ${url.replace(this.config.ZEROBOUNCE_API_KEY, 'API_KEY')}`);
-            const response = await fetch(url, { method: 'GET', timeout: 10000 });
+            const data = await this.providers.zerobounce.validate(email);
+            console.log(`   🔍 DEBUG: ZeroBounce Response: ${JSON.stringify(data.raw)}`);
 
-            console.log(`   🔍 DEBUG: ZeroBounce Response Status: ${response.status}`);
-            if (response.ok) {
-                const data = await response.json();
-                console.log(`   🔍 DEBUG: ZeroBounce Response: ${JSON.stringify(data)}`);
-                
-                // Handle API key errors gracefully
-                if (data.error && data.error.includes('Invalid API key')) {
-                    console.log(`   ⚠️ ZeroBounce API key invalid or out of credits - skipping future requests`);
-                    this.config.ZEROBOUNCE_API_KEY = null; // Disable for this session
-                    return null;
-                }
-                
-                const isValid = data.status === 'valid';
-                const confidence = this.calculateEmailConfidence(data.status, data.sub_status);
-                
-                return {
-                    isValid,
-                    confidence,
-                    result: data.status,
-                    subStatus: data.sub_status,
-                    source: 'zerobounce'
-                };
-            }
+            const isValid = data.status === 'valid';
+            const confidence = this.calculateEmailConfidence(data.status, data.subStatus);
+
+            return {
+                isValid,
+                confidence,
+                result: data.status,
+                subStatus: data.subStatus,
+                source: 'zerobounce',
+                // When ZeroBounce gave the verdict - the original time for a cached one
+                verifiedAt: data.fetchedAt
+            };
         } catch (error) {
+            // Handle API key errors gracefully
+            if (error.kind === PROVIDER_ERROR_KINDS.AUTH || error.kind === PROVIDER_ERROR_KINDS.QUOTA) {
+                console.log(`   ⚠️ ZeroBounce API key invalid or out of credits - skipping future requests`);
+                this.config.ZEROBOUNCE_API_KEY = null; // Disable for this session
+                return null;
+            }
             console.log(`   ⚠️ ZeroBounce validation error: ${error.message}`);
         }
 
@@ -824,34 +930,26 @@ class ContactValidator {
      */
     async validateWithMyEmailVerifier(email) {
         try {
-            const url = `https://client.myemailverifier.com/verifier/validate_single/${encodeURIComponent(email)}/${this.config.MYEMAILVERIFIER_API_KEY}`;
-            console.log(`   🔍 DEBUG: MyEmailVerifier URL: ${url.replace(this.config.MYEMAILVERIFIER_API_KEY, 'API_KEY')}`);
-            const response = await fetch(url, { method: 'GET', timeout: 10000 });
-
-            console.log(`   🔍 DEBUG: MyEmailVerifier Response Status: ${response.status}`);
-            if (response.ok) {
-                const data = await response.json();
-                console.log(`   🔍 DEBUG: MyEmailVerifier Response: ${JSON.stringify(data)}`);
-                
-                const isValid = data.Status === 'Valid';
-                const confidence = this.calculateMyEmailVerifierConfidence(data);
-                
-                return {
-                    isValid,
-                    confidence,
-                    result: data.Status,
-                    diagnosis: data.Diagnosis,
-                    catchAll: data.catch_all === 'true',
-                    disposableDomain: data.Disposable_Domain === 'true',
-                    roleBased: data.Role_Based === 'true',
-                    freeDomain: data.Free_Domain === 'true',
-                    greylisted: data.Greylisted === 'true',
-                    source: 'myemailverifier',
-                    timestamp: new Date().toISOString()
-                };
-            } else {
-                console.log(`   ⚠️ MyEmailVerifier API error: ${response.status}`);
-            }
+            const data = await this.providers.myemailverifier.validate(email);
+            console.log(`   🔍 DEBUG: MyEmailVerifier Response: ${JSON.stringify(data.raw)}`);
+
+            const isValid = data.status === 'Valid';
+            const confidence = this.calculateMyEmailVerifierConfidence(data.raw);
+
+            return {
+                isValid,
+                confidence,
+                result: data.status,
+                diagnosis: data.diagnosis,
+                catchAll: data.catchAll,
+                disposableDomain: data.disposableDomain,
+                roleBased: data.roleBased,
+                freeDomain: data.freeDomain,
+                greylisted: data.greylisted,
+                source: 'myemailverifier',
+                timestamp: new Date().toISOString(),
+                verifiedAt: data.fetchedAt
+            };
         } catch (error) {
             console.log(`   ⚠️ MyEmailVerifier validation error: ${error.message}`);
         }
@@ -862,75 +960,16 @@ class ContactValidator {
     /**
      * 🎯 TRIANGULATE EMAIL VALIDATION RESULTS
      * 
-     * Intelligently combines results from multiple providers to increase accuracy
+     * Weighted consensus of verifier verdicts - see ConsensusEngine.decideValidity
      */
     triangulateEmailValidation(results, email) {
         console.log(`   🎯 Triangulating ${results.length} validation results for ${email}`);
-        
-        // Count consensus
-        const validCount = results.filter(r => r.isValid).length;
-        const invalidCount = results.filter(r => !r.isValid).length;
-        
-        // Get highest confidence result
-        const highestConfidence = results.reduce((max, current) => 
-            current.confidence > max.confidence ? current : max
-        );
-        
-        // Get most recent result (if timestamps available)
-        const mostRecent = results.reduce((latest, current) => {
-            const currentTime = new Date(current.timestamp || 0);
-            const latestTime = new Date(latest.timestamp || 0);
-            return currentTime > latestTime ? current : latest;
-        });
-        
-        // Triangulation logic
-        let finalResult;
-        
-        if (validCount > invalidCount) {
-            // Majority says valid
-            finalResult = {
-                isValid: true,
-                confidence: Math.min(95, highestConfidence.confidence + 5), // Boost confidence for consensus
-                result: 'triangulated_valid',
-                consensus: `${validCount}/${results.length} providers agree`,
-                primarySource: highestConfidence.provider || highestConfidence.source,
-                triangulated: true,
-                triangulationMethod: 'majority_consensus'
-            };
-        } else if (invalidCount > validCount) {
-            // Majority says invalid
-            finalResult = {
-                isValid: false,
-                confidence: Math.min(95, highestConfidence.confidence + 5),
-                result: 'triangulated_invalid',
-                consensus: `${invalidCount}/${results.length} providers agree`,
-                primarySource: highestConfidence.provider || highestConfidence.source,
-                triangulated: true,
-                triangulationMethod: 'majority_consensus'
-            };
-        } else {
-            // Tie - use highest confidence provider
-            finalResult = {
-                ...highestConfidence,
-                result: `${highestConfidence.result}_disputed`,
-                confidence: Math.max(70, highestConfidence.confidence - 10), // Reduce confidence for dispute
-                consensus: `${validCount}/${results.length} split decision`,
-                triangulated: true,
-                triangulationMethod: 'highest_confidence_tiebreaker'
-            };
-        }
-        
-        // Add detailed provider breakdown
-        finalResult.providerBreakdown = results.map(r => ({
-            provider: r.provider || r.source,
-            isValid: r.isValid,
-            confidence: r.confidence,
-            result: r.result
-        }));
-        
+
+        const finalResult = this.consensus.decideValidity(results, email);
+
         console.log(`   ✅ Triangulated result: ${finalResult.isValid ? 'VALID' : 'INVALID'} (${finalResult.confidence}% confidence)`);
         console.log(`   📊 Consensus: ${finalResult.consensus}`);
-        
+
         return finalResult;
     }
 
@@ -973,8 +1012,10 @@ class ContactValidator {
      * 1. AI search for publicly available numbers (Perplexity)
      * 2. Twilio Lookup for validation and carrier info ($0.008)
      * 3. Lusha API for mobile numbers (high-value targets only, $0.08/record)
+     *
+     * @param {Object} [options] - defaultCountry: the company's country for numbers without a country code
      */
-    async findPhoneNumbers(executiveName, companyName, isHighValueTarget = false) {
+    async findPhoneNumbers(executiveName, companyName, isHighValueTarget = false, { defaultCountry = 'US' } = {}) {
         const phoneResults = [];
 
         try {
@@ -1028,7 +1069,7 @@ class ContactValidator {
             }
             
             // STEP 4: Triangulate and rank results
-            const triangulatedPhones = this.triangulatePhoneResults(phoneResults);
+            const triangulatedPhones = this.triangulatePhoneResults(phoneResults, { defaultCountry });
             
             console.log(`   📊 Final phone results: ${triangulatedPhones.length} numbers with confidence scores`);
             return triangulatedPhones;
@@ -1068,33 +1109,21 @@ Provide ONLY a JSON response:
 
 Only return numbers from official company sources. Do not use LinkedIn or social media.`;
 
-            const response = await fetch('https://api.perplexity.ai/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.config.PERPLEXITY_API_KEY?.trim()}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'llama-3.1-sonar-small-128k-online',
-                    messages: [{ role: 'user', content: prompt }],
-                    temperature: 0.1,
-                    max_tokens: 500
-                })
+            const { content } = await this.providers.perplexity.chat({
+                prompt,
+                model: 'llama-3.1-sonar-small-128k-online',
+                temperature: 0.1,
+                maxTokens: 500
             });
 
-            if (response.ok) {
-                const data = await response.json();
-                const content = data.choices[0].message.content;
-                
-                try {
-                    const jsonMatch = content.match(/\{[\s\S]*\}/);
-                    if (jsonMatch) {
-                        const phoneData = JSON.parse(jsonMatch[0]);
-                        return phoneData.phones || [];
-                    }
-                } catch (parseError) {
-                    console.log(`   ⚠️ Phone data parsing failed: ${parseError.message}`);
+            try {
+                const jsonMatch = content.match(/\{[\s\S]*\}/);
+                if (jsonMatch) {
+                    const phoneData = JSON.parse(jsonMatch[0]);
+                    return phoneData.phones || [];
                 }
+            } catch (parseError) {
+                console.log(`   ⚠️ Phone data parsing failed: ${parseError.message}`);
             }
         } catch (error) {
             console.log(`   ❌ Public phone search error: ${error.message}`);
@@ -1114,38 +1143,18 @@ Only return numbers from official company sources. Do not use LinkedIn or social
                 return { isValid: false, error: 'No Twilio credentials' };
             }
 
-            // Clean phone number for API
-            const cleanPhone = phoneNumber.replace(/[^\d+]/g, '');
-            
-            const auth = Buffer.from(`${this.config.TWILIO_ACCOUNT_SID}:${this.config.TWILIO_AUTH_TOKEN}`).toString('base64');
-            
-            const response = await fetch(
-                `https://lookups.twilio.com/v1/PhoneNumbers/${encodeURIComponent(cleanPhone)}?Type=carrier`,
-                {
-                    method: 'GET',
-                    headers: {
-                        'Authorization': `Basic ${auth}`
-                    },
-                    timeout: 10000
-                }
-            );
-
-            if (response.ok) {
-                const data = await response.json();
-                return {
-                    isValid: true,
-                    phoneNumber: data.phone_number,
-                    nationalFormat: data.national_format,
-                    carrier: data.carrier?.name || 'Unknown',
-                    lineType: data.carrier?.type || 'Unknown',
-                    countryCode: data.country_code,
-                    confidence: 90,
-                    source: 'twilio_lookup',
-                    cost: 0.008
-                };
-            } else {
-                console.log(`   ⚠️ Twilio Lookup error: ${response.status}`);
-            }
+            const data = await this.providers.twilio.lookup(phoneNumber);
+            return {
+                isValid: true,
+                phoneNumber: data.phoneNumber,
+                nationalFormat: data.nationalFormat,
+                carrier: data.carrierName || 'Unknown',
+                lineType: data.lineType || 'Unknown',
+                countryCode: data.countryCode,
+                confidence: 90,
+                source: 'twilio_lookup',
+                cost: 0.008
+            };
         } catch (error) {
             console.log(`   ⚠️ Twilio validation error: ${error.message}`);
         }
@@ -1167,48 +1176,29 @@ Only return numbers from official company sources. Do not use LinkedIn or social
             }
 
             // Parse name for Lusha API
-            const nameParts = executiveName.trim().split(' ');
-            const firstName = nameParts[0] || '';
-            const lastName = nameParts[nameParts.length - 1] || '';
+            const { firstName, lastName } = lookupName(executiveName);
 
             // STEP 1: Search for contacts using Lusha Prospecting API
             console.log(`   🔍 Searching Lusha for ${firstName} ${lastName} at ${companyName}...`);
             
-            const searchResponse = await fetch('https://api.lusha.com/prospecting/contact/search', {
-                method: 'POST',
-                headers: {
-                    'api_key': this.config.LUSHA_API_KEY,
-                    'Content-Type': 'application/json'
+            const searchData = await this.providers.lusha.searchContacts({
+                pages: {
+                    page: 0,
+                    size: 10  // Fixed: minimum size is 10
                 },
-                body: JSON.stringify({
-                    pages: {
-                        page: 0,
-                        size: 10  // Fixed: minimum size is 10
+                filters: {
+                    contacts: {
+                        include: {
+                            existing_data_points: ["phone", "mobile_phone", "email"]
+                        }
                     },
-                    filters: {
-                        contacts: {
-                            include: {
-                                existing_data_points: ["phone", "mobile_phone", "email"]
-                            }
-                        },
-                        companies: {
-                            include: {
-                                names: [companyName, `${companyName} Inc`, `${companyName}, Inc.`]  // Try multiple variations
-                            }
+                    companies: {
+                        include: {
+                            names: [companyName, `${companyName} Inc`, `${companyName}, Inc.`]  // Try multiple variations
                         }
                     }
-                }),
-                timeout: 15000
+                }
             });
-
-            if (!searchResponse.ok) {
-                console.log(`   ⚠️ Lusha search error: ${searchResponse.status}`);
-                const errorText = await searchResponse.text();
-                console.log(`   Error details: ${errorText}`);
-                return [];
-            }
-
-            const searchData = await searchResponse.json();
             console.log(`   📊 Lusha search found ${searchData.totalResults || 0} results`);
 
             if (!searchData.contacts || searchData.contacts.length === 0) {
@@ -1218,11 +1208,7 @@ Only return numbers from official company sources. Do not use LinkedIn or social
 
             // STEP 2: Enrich the found contacts to get phone numbers
             const contactIds = searchData.contacts
-                .filter(contact => {
-                    const fullName = `${contact.firstName || ''} ${contact.lastName || ''}`.trim().toLowerCase();
-                    const searchName = `${firstName} ${lastName}`.toLowerCase();
-                    return fullName.includes(firstName.toLowerCase()) && fullName.includes(lastName.toLowerCase());
-                })
+                .filter(contact => namesMatch(`${contact.firstName || ''} ${contact.lastName || ''}`, executiveName))
                 .slice(0, 3) // Limit to top 3 matches
                 .map(contact => contact.id);
 
@@ -1233,55 +1219,39 @@ Only return numbers from official company sources. Do not use LinkedIn or social
 
             console.log(`   🔍 Enriching ${contactIds.length} matching contacts...`);
             
-            const enrichResponse = await fetch('https://api.lusha.com/prospecting/contact/enrich', {
-                method: 'POST',
-                headers: {
-                    'api_key': this.config.LUSHA_API_KEY,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    requestId: searchData.requestId,
-                    contactIds: contactIds,
-                    revealPhones: true // Only get phone numbers
-                }),
-                timeout: 15000
+            const enrichData = await this.providers.lusha.enrichContacts({
+                requestId: searchData.requestId,
+                contactIds: contactIds,
+                revealPhones: true // Only get phone numbers
             });
-
-            if (enrichResponse.ok) {
-                const enrichData = await enrichResponse.json();
-                const phones = [];
-                
-                if (enrichData.contacts) {
-                    enrichData.contacts.forEach(contact => {
-                        if (contact.phoneNumbers && contact.phoneNumbers.length > 0) {
-                            contact.phoneNumbers.forEach(phoneObj => {
-                                phones.push({
-                                    number: phoneObj.number,
-                                    type: this.classifyLushaPhoneType(phoneObj),
-                                    source: 'lusha_prospecting',
-                                    confidence: this.calculateLushaPhoneConfidence(phoneObj),
-                                    cost: 0.08,
-                                    context: `Lusha prospecting data for ${executiveName}`,
-                                    verified: true,
-                                    lushaData: {
-                                        contactId: contact.id,
-                                        type: phoneObj.type,
-                                        doNotCall: phoneObj.doNotCall
-                                    }
-                                });
+            const phones = [];
+
+            if (enrichData.contacts) {
+                enrichData.contacts.forEach(contact => {
+                    if (contact.phoneNumbers && contact.phoneNumbers.length > 0) {
+                        contact.phoneNumbers.forEach(phoneObj => {
+                            phones.push({
+                                number: phoneObj.number,
+                                type: this.classifyLushaPhoneType(phoneObj),
+                                source: 'lusha_prospecting',
+                                confidence: this.calculateLushaPhoneConfidence(phoneObj),
+                                cost: 0.08,
+                                context: `Lusha prospecting data for ${executiveName}`,
+                                verified: true,
+                                lushaData: {
+                                    contactId: contact.id,
+                                    type: phoneObj.type,
+                                    doNotCall: phoneObj.doNotCall
+                                }
                             });
-                        }
-                    });
-                }
-                
-                console.log(`   📱 Lusha enrichment returned ${phones.length} phone numbers`);
-        return phones;
-            } else {
-                console.log(`   ⚠️ Lusha enrichment error: ${enrichResponse.status}`);
-                const errorText = await enrichResponse.text();
-                console.log(`   Error details: ${errorText}`);
+                        });
+                    }
+                });
             }
 
+            console.log(`   📱 Lusha enrichment returned ${phones.length} phone numbers`);
+            return phones;
+
         } catch (error) {
             console.log(`   ❌ Lusha search error: ${error.message}`);
         }
@@ -1295,20 +1265,9 @@ Only return numbers from official company sources. Do not use LinkedIn or social
      * Maps Lusha's phone types to our 4-type classification system
      */
     classifyLushaPhoneType(phoneObj) {
-        const lushaType = (phoneObj.type || '').toLowerCase();
-        
-        // Lusha typically provides: mobile, work, direct, main
-        switch (lushaType) {
-            case 'mobile':
-                return 'work_mobile'; // Lusha mobile numbers are typically business mobile
-            case 'work':
-            case 'direct':
-                return 'work_landline'; // Direct dial or work numbers
-            case 'main':
-                return 'work_landline'; // Company main numbers
-            default:
-                return 'work_unknown'; // Default to work context for Lusha data
-        }
+        // Lusha typically provides: mobile, work, direct, main - the number's own prefix decides when it doesn't
+        const { type } = classifyPhone(phoneObj.number, { providerType: phoneObj.type, lineType: phoneObj.lineType });
+        return WORK_PHONE_TYPES[type];
     }
 
     /**
@@ -1339,43 +1298,35 @@ Only return numbers from official company sources. Do not use LinkedIn or social
     /**
      * 🎯 TRIANGULATE PHONE RESULTS
      * 
-     * Intelligently ranks and deduplicates phone numbers
+     * Deduplicates numbers and ranks them by source consensus - a Twilio-validated number
+     * counts as an extra twilio vote. Each number keeps its best reported confidence and
+     * gains consensusConfidence / consensus from the engine. Numbers without a country code
+     * are read in defaultCountry (the company's, from regionFromDomain).
      */
-    triangulatePhoneResults(phoneResults) {
+    triangulatePhoneResults(phoneResults, { defaultCountry = 'US' } = {}) {
         if (phoneResults.length === 0) return [];
 
-        // Deduplicate by normalizing numbers
-        const phoneMap = new Map();
-        
-        phoneResults.forEach(phone => {
-            const normalizedNumber = phone.number.replace(/[^\d]/g, '');
-            
-            if (phoneMap.has(normalizedNumber)) {
-                // Combine data from multiple sources
-                const existing = phoneMap.get(normalizedNumber);
-                existing.confidence = Math.max(existing.confidence, phone.confidence);
-                existing.sources = existing.sources || [];
-                existing.sources.push(phone.source);
-                
-                // Prefer Twilio-validated data
-                if (phone.twilioValidation) {
-                    existing.twilioValidation = phone.twilioValidation;
-                    existing.type = phone.twilioValidation.lineType || existing.type;
-                }
-            } else {
-                phoneMap.set(normalizedNumber, {
-                    ...phone,
-                    sources: [phone.source],
-                    triangulated: phoneResults.length > 1
-                });
-            }
-        });
-
-        // Convert back to array and sort by confidence
-        const triangulatedPhones = Array.from(phoneMap.values())
-            .sort((a, b) => b.confidence - a.confidence);
+        const candidates = phoneResults.flatMap(phone => [
+            { value: phone.number, source: phone.source, confidence: phone.confidence, phone },
+            ...(phone.twilioValidation ? [{ value: phone.number, provider: 'twilio', phone }] : [])
+        ]);
+        const decision = this.consensus.decide('phone', candidates, { region: defaultCountry });
+
+        return decision.ranked.map(entry => {
+            const phones = [...new Set(entry.candidates.map(candidate => candidate.phone))];
+            const validated = phones.find(phone => phone.twilioValidation);
+            const merged = {
+                ...phones[0],
+                confidence: Math.max(...phones.map(phone => phone.confidence || 0)),
+                sources: phones.map(phone => phone.source),
+                ...(validated ? { twilioValidation: validated.twilioValidation, type: validated.twilioValidation.lineType || phones[0].type } : {}),
+                consensusConfidence: entry.confidence,
+                consensus: { providers: entry.providers, confidence: entry.confidence },
+                triangulated: phoneResults.length > 1
+            };
 
-        return triangulatedPhones;
+            return { ...merged, ...describePhone(merged, { defaultCountry }) };
+        });
     }
 
     /**
@@ -1385,14 +1336,15 @@ Only return numbers from official company sources. Do not use LinkedIn or social
      * Classifies into 4 primary types: Work Landline, Work Mobile, Personal Landline, Personal Mobile
      */
     classifyPhoneTypeAdvanced(phoneNumber, twilioResult, companyName) {
-        const cleanNumber = phoneNumber.replace(/[^\d]/g, '');
+        const parsed = parsePhone(phoneNumber);
         
-        // Initialize classification
+        // Initialize classification - category is the shared mobile / direct / hq class (PhoneNumbers)
         let classification = {
             type: 'unknown',
             subType: 'unknown',
             businessContext: 'unknown',
             confidence: 50,
+            category: classifyPhone(parsed || phoneNumber, { lineType: twilioResult.lineType }).type,
             reasoning: []
         };
 
@@ -1406,8 +1358,8 @@ Only return numbers from official company sources. Do not use LinkedIn or social
         const carrier = (twilioResult.carrier || '').toLowerCase();
         const hasBusinessContext = companyName && companyName !== 'Test' && companyName !== 'Unknown';
 
-        // TOLL-FREE NUMBERS (Always work-related)
-        if (cleanNumber.match(/^1(800|888|877|866|855|844|833)/)) {
+        // TOLL-FREE NUMBERS (Always work-related) - any country's toll-free prefix
+        if (parsed?.numberType === NUMBER_TYPES.TOLL_FREE) {
             classification.type = 'work_toll_free';
             classification.subType = 'customer_service';
             classification.businessContext = 'business';
@@ -1531,33 +1483,21 @@ Provide ONLY a JSON response:
     ]
 }`;
 
-            const response = await fetch('https://api.perplexity.ai/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.config.PERPLEXITY_API_KEY?.trim()}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'llama-3.1-sonar-small-128k-online',
-                    messages: [{ role: 'user', content: prompt }],
-                    temperature: 0.1,
-                    max_tokens: 600
-                })
+            const { content } = await this.providers.perplexity.chat({
+                prompt,
+                model: 'llama-3.1-sonar-small-128k-online',
+                temperature: 0.1,
+                maxTokens: 600
             });
 
-            if (response.ok) {
-                const data = await response.json();
-                const content = data.choices[0].message.content;
-                
-                try {
-                    const jsonMatch = content.match(/\{[\s\S]*\}/);
-                    if (jsonMatch) {
-                        const profileData = JSON.parse(jsonMatch[0]);
-                        return profileData.profiles || [];
-                    }
-                } catch (parseError) {
-                    console.log(`   ⚠️ Profile data parsing failed`);
+            try {
+                const jsonMatch = content.match(/\{[\s\S]*\}/);
+                if (jsonMatch) {
+                    const profileData = JSON.parse(jsonMatch[0]);
+                    return profileData.profiles || [];
                 }
+            } catch (parseError) {
+                console.log(`   ⚠️ Profile data parsing failed`);
             }
         } catch (error) {
             console.log(`   ❌ Profile search error: ${error.message}`);
@@ -1877,34 +1817,22 @@ Provide ONLY a JSON response:
     "confidence": 0.90
 }`;
 
-            const response = await fetch('https://api.perplexity.ai/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.config.PERPLEXITY_API_KEY?.trim()}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'sonar-pro',
-                    messages: [{ role: 'user', content: prompt }],
-                    temperature: 0.1,
-                    max_tokens: 300
-                })
+            const { content } = await this.providers.perplexity.chat({
+                prompt,
+                model: 'sonar-pro',
+                temperature: 0.1,
+                maxTokens: 300
             });
 
-            if (response.ok) {
-                const data = await response.json();
-                const content = data.choices[0].message.content;
-                
-                try {
-                    const jsonMatch = content.match(/\{[\s\S]*\}/);
-                    if (jsonMatch) {
-                        const analysis = JSON.parse(jsonMatch[0]);
-                        console.log(`   🎯 AI domain analysis: ${analysis.reasoning}`);
-                        return analysis.executiveEmailDomain || baseDomain;
-                    }
-                } catch (parseError) {
-                    console.log(`   ⚠️ Domain analysis parsing failed, using heuristic`);
+            try {
+                const jsonMatch = content.match(/\{[\s\S]*\}/);
+                if (jsonMatch) {
+                    const analysis = JSON.parse(jsonMatch[0]);
+                    console.log(`   🎯 AI domain analysis: ${analysis.reasoning}`);
+                    return analysis.executiveEmailDomain || baseDomain;
                 }
+            } catch (parseError) {
+                console.log(`   ⚠️ Domain analysis parsing failed, using heuristic`);
             }
         } catch (error) {
             console.log(`   ⚠️ AI domain analysis failed: ${error.message}`);
@@ -1963,21 +1891,8 @@ Provide ONLY a JSON response:
      */
     async lushaPersonLookupByEmail(email) {
         try {
-            const response = await fetch(`https://api.lusha.com/v2/person?email=${encodeURIComponent(email)}`, {
-                method: 'GET',
-                headers: {
-                    'api_key': this.config.LUSHA_API_KEY,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 10000
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                return this.extractLushaPhoneData(data, 'email_lookup');
-            } else {
-                console.log(`   ⚠️ Lusha email lookup error: ${response.status}`);
-            }
+            const data = await this.providers.lusha.findPerson({ email }, { dataType: 'phone' });
+            return this.extractLushaPhoneData(data, 'email_lookup');
         } catch (error) {
             console.log(`   ❌ Lusha email lookup error: ${error.message}`);
         }
@@ -1990,21 +1905,8 @@ Provide ONLY a JSON response:
      */
     async lushaPersonLookupByLinkedIn(linkedinUrl) {
         try {
-            const response = await fetch(`https://api.lusha.com/v2/person?linkedinUrl=${encodeURIComponent(linkedinUrl)}`, {
-                method: 'GET',
-                headers: {
-                    'api_key': this.config.LUSHA_API_KEY,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 10000
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                return this.extractLushaPhoneData(data, 'linkedin_lookup');
-            } else {
-                console.log(`   ⚠️ Lusha LinkedIn lookup error: ${response.status}`);
-            }
+            const data = await this.providers.lusha.findPerson({ linkedinUrl }, { dataType: 'phone' });
+            return this.extractLushaPhoneData(data, 'linkedin_lookup');
         } catch (error) {
             console.log(`   ❌ Lusha LinkedIn lookup error: ${error.message}`);
         }
@@ -2017,31 +1919,14 @@ Provide ONLY a JSON response:
      */
     async lushaPersonLookupByName(executiveData, companyData) {
         try {
-            const nameParts = executiveData.name.trim().split(' ');
-            const firstName = nameParts[0] || '';
-            const lastName = nameParts[nameParts.length - 1] || '';
-            
-            const queryParams = new URLSearchParams({
+            const { firstName, lastName } = lookupName(executiveData.name);
+
+            const data = await this.providers.lusha.findPerson({
                 firstName: firstName,
                 lastName: lastName,
-                company: companyData.name
-            });
-
-            const response = await fetch(`https://api.lusha.com/v2/person?${queryParams}`, {
-                method: 'GET',
-                headers: {
-                    'api_key': this.config.LUSHA_API_KEY,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 10000
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                return this.extractLushaPhoneData(data, 'name_lookup');
-            } else {
-                console.log(`   ⚠️ Lusha name lookup error: ${response.status}`);
-            }
+                companyName: companyData.name
+            }, { dataType: 'phone' });
+            return this.extractLushaPhoneData(data, 'name_lookup');
         } catch (error) {
             console.log(`   ❌ Lusha name lookup error: ${error.message}`);
         }
@@ -2271,19 +2156,8 @@ Provide ONLY a JSON response:
      * 📞 CLASSIFY LUSHA PHONE TYPE
      */
     classifyLushaPhoneType(phoneObj) {
-        const lushaType = (phoneObj.type || '').toLowerCase();
-        
-        switch (lushaType) {
-            case 'mobile':
-                return 'work_mobile';
-            case 'work':
-            case 'direct':
-                return 'work_landline';
-            case 'main':
-                return 'work_landline';
-            default:
-                return 'work_unknown';
-        }
+        const { type } = classifyPhone(phoneObj.number, { providerType: phoneObj.type, lineType: phoneObj.lineType });
+        return WORK_PHONE_TYPES[type];
     }
 
     /**
@@ -2335,46 +2209,22 @@ Provide ONLY a JSON response:
      */
     async discoverWithProspeo(executiveName, companyName, domain) {
         try {
-            const nameParts = executiveName.split(' ');
-            const firstName = nameParts[0];
-            const lastName = nameParts[nameParts.length - 1];
-            
-            const url = 'https://api.prospeo.io/email-finder';
-            // Fix: Clean domain format for Prospeo (remove www, protocols, paths)
-            const cleanDomain = domain.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
-            console.log(`   🔍 DEBUG: Prospeo discovery for ${firstName} ${lastName} at ${cleanDomain} (cleaned from ${domain})`);
-            
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-KEY': this.config.PROSPEO_API_KEY
-                },
-                body: JSON.stringify({
-                    first_name: firstName,
-                    last_name: lastName,
-                    company: cleanDomain
-                })
-            });
+            const { firstName, lastName } = lookupName(executiveName);
             
-            console.log(`   🔍 DEBUG: Prospeo Response Status: ${response.status}`);
-            if (response.ok) {
-                const data = await response.json();
-                console.log(`   🔍 DEBUG: Prospeo Response: ${JSON.stringify(data)}`);
-                
-                if (data.email) {
-                    return {
-                        email: data.email,
-                        isValid: true,
-                        confidence: data.confidence || 85,
-                        result: 'discovered',
-                        source: 'prospeo',
-                        cost: 0.0198
-                    };
-                }
-            } else {
-                const errorText = await response.text();
-                console.log(`   🔍 DEBUG: Prospeo Error: ${errorText}`);
+            console.log(`   🔍 DEBUG: Prospeo discovery for ${firstName} ${lastName} at ${ProspeoProvider.cleanDomain(domain)} (cleaned from ${domain})`);
+
+            const data = await this.providers.prospeo.findEmail({ firstName, lastName, domain });
+            console.log(`   🔍 DEBUG: Prospeo Response: ${JSON.stringify(data.raw)}`);
+
+            if (data.email) {
+                return {
+                    email: data.email,
+                    isValid: true,
+                    confidence: data.raw.confidence || 85,
+                    result: 'discovered',
+                    source: 'prospeo',
+                    cost: 0.0198
+                };
             }
         } catch (error) {
             console.log(`   ❌ Prospeo discovery error: ${error.message}`);
@@ -2387,47 +2237,27 @@ Provide ONLY a JSON response:
      */
     async discoverWithDropContact(executiveName, companyName, domain) {
         try {
-            const nameParts = executiveName.split(' ');
-            const firstName = nameParts[0];
-            const lastName = nameParts[nameParts.length - 1];
+            const { firstName, lastName } = lookupName(executiveName);
             
-            const url = 'https://api.dropcontact.io/batch';
             console.log(`   🔍 DEBUG: DropContact discovery for ${firstName} ${lastName} at ${domain}`);
-            
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Access-Token': this.config.DROPCONTACT_API_KEY
-                },
-                body: JSON.stringify({
-                    data: [{
-                        first_name: firstName,
-                        last_name: lastName,
-                        company: companyName,
-                        website: domain
-                    }]
-                })
+
+            const data = await this.providers.dropcontact.enrichContact({
+                firstName,
+                lastName,
+                company: companyName,
+                website: domain
             });
-            
-            console.log(`   🔍 DEBUG: DropContact Response Status: ${response.status}`);
-            if (response.ok) {
-                const data = await response.json();
-                console.log(`   🔍 DEBUG: DropContact Response: ${JSON.stringify(data)}`);
-                
-                if (data.data?.[0]?.email) {
-                    return {
-                        email: data.data[0].email,
-                        isValid: true,
-                        confidence: data.data[0].email_confidence || 80,
-                        result: 'discovered',
-                        source: 'dropcontact',
-                        cost: 0.02
-                    };
-                }
-            } else {
-                const errorText = await response.text();
-                console.log(`   🔍 DEBUG: DropContact Error: ${errorText}`);
+            console.log(`   🔍 DEBUG: DropContact Response: ${JSON.stringify(data.raw)}`);
+
+            if (data.emails.length > 0) {
+                return {
+                    email: data.emails[0].email,
+                    isValid: true,
+                    confidence: data.contact.email_confidence || 80,
+                    result: 'discovered',
+                    source: 'dropcontact',
+                    cost: 0.02
+                };
             }
         } catch (error) {
             console.log(`   ❌ DropContact discovery error: ${error.message}`);
@@ -2500,107 +2330,88 @@ Provide ONLY a JSON response:
         }
         
         try {
-            const nameParts = executiveName.split(' ');
-            const firstName = nameParts[0];
-            const lastName = nameParts[nameParts.length - 1];
+            const { firstName, lastName } = lookupName(executiveName);
             
-            const url = 'https://api.lusha.com/v2/person';
-            const params = new URLSearchParams({
+            const data = await this.providers.lusha.findPerson({
                 firstName: firstName,
                 lastName: lastName,
                 companyName: companyName
-            });
+            }, { dataType: 'phone' });
+
+            console.log(`   🔍 DEBUG: Lusha Response: ${JSON.stringify(data)}`);
             
-            console.log(`   🔍 DEBUG: Lusha URL: ${url}?${params}`);
-            const response = await fetch(`${url}?${params}`, {
-                headers: {
-                    'api_key': this.config.LUSHA_API_KEY,
-                    'Content-Type': 'application/json'
-                }
-            });
+            const phoneNumbers = data.phoneNumbers || [];
+            console.log(`   🔍 DEBUG: Extracted ${phoneNumbers.length} phone numbers from Lusha`);
             
-            console.log(`   🔍 DEBUG: Lusha Response Status: ${response.status}`);
-            if (response.ok) {
-                const data = await response.json();
-                console.log(`   🔍 DEBUG: Lusha Response: ${JSON.stringify(data)}`);
-                
-                // Fix: Extract phone numbers from correct Lusha response structure
-                const phoneNumbers = data.contact?.data?.phoneNumbers || data.phoneNumbers || [];
-                console.log(`   🔍 DEBUG: Extracted ${phoneNumbers.length} phone numbers from Lusha`);
-                
-                const phones = [];
-                if (phoneNumbers.length > 0) {
-                    for (const phone of phoneNumbers) {
-                        console.log(`   📱 Lusha phone: ${phone.number} (${phone.phoneType || phone.type})`);
-                        
-                        // Validate each phone with Twilio ($0.008 each)
-                        const phoneData = {
-                            number: phone.number,
-                            type: phone.phoneType || phone.type || 'mobile',
-                            confidence: 90,
-                            source: 'lusha',
-                            cost: 0.08
-                        };
-                        
-                        // Add Twilio validation
-                        if (this.config.TWILIO_ACCOUNT_SID && this.config.TWILIO_AUTH_TOKEN) {
-                            console.log(`   🔍 Validating ${phone.number} with Twilio Lookup ($0.008)...`);
-                            const twilioResult = await this.validatePhoneWithTwilio(phone.number);
-                            if (twilioResult.isValid) {
-                                phoneData.twilioValidation = twilioResult;
-                                phoneData.carrier = twilioResult.carrier;
-                                phoneData.lineType = twilioResult.lineType;
-                                phoneData.isValid = true;
-                                phoneData.totalCost = 0.088; // Lusha + Twilio
-                                console.log(`   ✅ Twilio validated: ${twilioResult.lineType} (${twilioResult.carrier})`);
-                            } else {
-                                phoneData.isValid = false;
-                                console.log(`   ❌ Twilio validation failed for ${phone.number}`);
-                            }
+            const phones = [];
+            if (phoneNumbers.length > 0) {
+                for (const phone of phoneNumbers) {
+                    console.log(`   📱 Lusha phone: ${phone.number} (${phone.phoneType || phone.type})`);
+                    
+                    // Validate each phone with Twilio ($0.008 each)
+                    const phoneData = {
+                        number: phone.number,
+                        type: phone.phoneType || phone.type || 'mobile',
+                        confidence: 90,
+                        source: 'lusha',
+                        cost: 0.08
+                    };
+                    
+                    // Add Twilio validation
+                    if (this.config.TWILIO_ACCOUNT_SID && this.config.TWILIO_AUTH_TOKEN) {
+                        console.log(`   🔍 Validating ${phone.number} with Twilio Lookup ($0.008)...`);
+                        const twilioResult = await this.validatePhoneWithTwilio(phone.number);
+                        if (twilioResult.isValid) {
+                            phoneData.twilioValidation = twilioResult;
+                            phoneData.carrier = twilioResult.carrier;
+                            phoneData.lineType = twilioResult.lineType;
+                            phoneData.isValid = true;
+                            phoneData.totalCost = 0.088; // Lusha + Twilio
+                            console.log(`   ✅ Twilio validated: ${twilioResult.lineType} (${twilioResult.carrier})`);
                         } else {
-                            phoneData.isValid = true; // Trust Lusha if no Twilio
+                            phoneData.isValid = false;
+                            console.log(`   ❌ Twilio validation failed for ${phone.number}`);
                         }
-                        
-                        phones.push(phoneData);
+                    } else {
+                        phoneData.isValid = true; // Trust Lusha if no Twilio
                     }
-                    console.log(`   ✅ Successfully extracted ${phones.length} phone numbers from Lusha (Twilio validated)`);
-                }
-                
-                // Also extract email if available
-                const emailAddresses = data.contact?.data?.emailAddresses || data.emailAddresses || [];
-                if (emailAddresses.length > 0) {
-                    console.log(`   📧 Lusha also found ${emailAddresses.length} emails: ${emailAddresses.map(e => e.email).join(', ')}`);
-                }
-
-                // Extract LinkedIn if available
-                const socialLinks = data.contact?.data?.socialLinks || data.socialLinks;
-                let linkedIn = null;
-                if (socialLinks && socialLinks.linkedin) {
-                    console.log(`   🔗 Lusha found LinkedIn: ${socialLinks.linkedin}`);
-                    linkedIn = {
-                        linkedIn: socialLinks.linkedin,
-                        source: 'lusha_api',
-                        confidence: 95,
-                        cost: 0.08,
-                        verified: true
-                    };
+                    
+                    phones.push(phoneData);
                 }
+                console.log(`   ✅ Successfully extracted ${phones.length} phone numbers from Lusha (Twilio validated)`);
+            }
+            
+            // Also extract email if available
+            const emailAddresses = data.emailAddresses || [];
+            if (emailAddresses.length > 0) {
+                console.log(`   📧 Lusha also found ${emailAddresses.length} emails: ${emailAddresses.map(e => e.email).join(', ')}`);
+            }
+
+            // Extract LinkedIn if available
+            const socialLinks = data.socialLinks;
+            let linkedIn = null;
+            if (socialLinks && socialLinks.linkedin) {
+                console.log(`   🔗 Lusha found LinkedIn: ${socialLinks.linkedin}`);
+                linkedIn = {
+                    linkedIn: socialLinks.linkedin,
+                    source: 'lusha_api',
+                    confidence: 95,
+                    cost: 0.08,
+                    verified: true
+                };
+            }
 
-                // EXTRACT COMPREHENSIVE LUSHA DATA
-                const comprehensiveLushaData = this.extractComprehensiveLushaData(
-                    data.contact?.data || data, 
-                    'phone_discovery'
-                );
-                
-                if (comprehensiveLushaData) {
-                    console.log(`   📊 Extracted comprehensive Lusha data - completeness: ${comprehensiveLushaData.metadata.dataCompleteness}%`);
-                }
-                
-                return { phones, linkedIn, comprehensiveLushaData };
-            } else {
-                const errorText = await response.text();
-                console.log(`   🔍 DEBUG: Lusha Error: ${errorText}`);
+            // EXTRACT COMPREHENSIVE LUSHA DATA
+            const comprehensiveLushaData = this.extractComprehensiveLushaData(
+                data,
+                'phone_discovery'
+            );
+            
+            if (comprehensiveLushaData) {
+                console.log(`   📊 Extracted comprehensive Lusha data - completeness: ${comprehensiveLushaData.metadata.dataCompleteness}%`);
             }
+            
+            return { phones, linkedIn, comprehensiveLushaData };
         } catch (error) {
             console.log(`   ❌ Lusha phone search error: ${error.message}`);
         }
@@ -2620,39 +2431,26 @@ Provide ONLY a JSON response:
         }
         
         try {
-            const nameParts = executiveName.split(' ');
-            const firstName = nameParts[0];
-            const lastName = nameParts[nameParts.length - 1];
+            const { firstName, lastName } = lookupName(executiveName);
             
-            const url = 'https://api.lusha.com/v2/person';
-            const params = new URLSearchParams({
+            const data = await this.providers.lusha.findPerson({
                 firstName: firstName,
                 lastName: lastName,
                 companyName: companyName
-            });
-            
-            const response = await fetch(`${url}?${params}`, {
-                headers: {
-                    'api_key': this.config.LUSHA_API_KEY,
-                    'Content-Type': 'application/json'
-                }
-            });
+            }, { dataType: 'email' });
+
+            const emailAddresses = data.emailAddresses || [];
             
-            if (response.ok) {
-                const data = await response.json();
-                const emailAddresses = data.contact?.data?.emailAddresses || data.emailAddresses || [];
-                
-                if (emailAddresses.length > 0) {
-                    console.log(`   ✅ Lusha found ${emailAddresses.length} emails`);
-                    return emailAddresses.map(email => ({
-                        email: email.email,
-                        isValid: email.emailConfidence === 'A+',
-                        confidence: email.emailConfidence === 'A+' ? 95 : 80,
-                        source: 'lusha_discovery',
-                        result: 'discovered',
-                        cost: 0.08
-                    }));
-                }
+            if (emailAddresses.length > 0) {
+                console.log(`   ✅ Lusha found ${emailAddresses.length} emails`);
+                return emailAddresses.map(email => ({
+                    email: email.email,
+                    isValid: email.emailConfidence === 'A+',
+                    confidence: email.emailConfidence === 'A+' ? 95 : 80,
+                    source: 'lusha_discovery',
+                    result: 'discovered',
+                    cost: 0.08
+                }));
             }
         } catch (error) {
             console.log(`   ❌ Lusha email extraction error: ${error.message}`);
@@ -2688,7 +2486,7 @@ Provide ONLY a JSON response:
         try {
             // Get CoreSignal company intelligence
             const { ExecutiveContactIntelligence } = require('./ExecutiveContactIntelligence');
-            const executiveIntelligence = new ExecutiveContactIntelligence(this.config);
+            const executiveIntelligence = new ExecutiveContactIntelligence({ ...this.config, emailFormats: this.emailFormats });
             
             const coreSignalData = await executiveIntelligence.getCoreSignalCompanyIntelligence(companyResolution.companyName);
             
@@ -2699,32 +2497,8 @@ Provide ONLY a JSON response:
             
             console.log(`   📊 Found ${coreSignalData.key_executives.length} CoreSignal executives`);
             
-            // Enhanced CFO search with department and parallel division discovery
-            // Includes industry-specific variations for FinTech, SaaS, PropTech, Design, etc.
-            const cfoKeywords = [
-                // Tier 1: Primary CFO roles
-                'cfo', 'chief financial officer', 'chief financial', 'chief accounting officer', 'cao',
-                // Tier 2: VP Finance roles  
-                'vp finance', 'vice president finance', 'vp of finance', 'finance director', 'head of finance',
-                'vp financial', 'vice president financial', 'vp of financial',
-                // Tier 3: Controller roles
-                'controller', 'corporate controller', 'assistant controller', 'senior controller', 'group controller',
-                // Tier 4: Finance management
-                'finance manager', 'senior finance manager', 'accounting manager', 'financial planning manager',
-                'fp&a manager', 'financial planning and analysis', 'finance operations manager',
-                // Tier 5: Treasury and budget
-                'treasurer', 'assistant treasurer', 'budget manager', 'financial analyst manager',
-                // Industry-specific variations
-                'head of accounting', 'director of finance', 'director of accounting', 'senior director finance',
-                'principal finance', 'lead finance', 'finance lead', 'accounting lead',
-                // FinTech/SaaS specific
-                'head of fp&a', 'director fp&a', 'vp fp&a', 'finance operations director',
-                // PropTech/Real Estate specific  
-                'head of financial operations', 'director of financial operations',
-                // Design/Creative industry specific
-                'finance and operations', 'head of finance and operations'
-            ];
-            
+            // CFO search with department and parallel division discovery - finance titles of any tier
+            // (config/role-taxonomy.js covers the industry variations: FP&A, finance operations, treasury)
             let bestCFO = null;
             let bestCFOConfidence = 0;
             let departmentMembers = []; // Track all finance department members
@@ -2738,7 +2512,7 @@ Provide ONLY a JSON response:
                 console.log(`      Checking: ${name} - ${title}`);
                 
                 // Check for CFO and finance department members
-                const cfoMatch = cfoKeywords.some(keyword => title.includes(keyword));
+                const cfoMatch = isFinanceTitle(title);
                 if (cfoMatch && name) {
                     const confidence = this.calculateExecutiveConfidence(title, email, linkedin);
                     const tier = this.categorizeFinanceRole(title);
@@ -2825,7 +2599,7 @@ Provide ONLY a JSON response:
         try {
             // Get CoreSignal company intelligence
             const { ExecutiveContactIntelligence } = require('./ExecutiveContactIntelligence');
-            const executiveIntelligence = new ExecutiveContactIntelligence(this.config);
+            const executiveIntelligence = new ExecutiveContactIntelligence({ ...this.config, emailFormats: this.emailFormats });
             
             const coreSignalData = await executiveIntelligence.getCoreSignalCompanyIntelligence(companyResolution.companyName);
             
@@ -2836,39 +2610,8 @@ Provide ONLY a JSON response:
             
             console.log(`   📊 Found ${coreSignalData.key_executives.length} CoreSignal executives`);
             
-            // Enhanced CRO search with department and parallel division discovery
-            // Includes industry-specific variations for FinTech, SaaS, PropTech, Design, etc.
-            const croKeywords = [
-                // Tier 1: Primary CRO roles
-                'cro', 'chief revenue officer', 'chief sales officer', 'cso', 'chief commercial officer', 'cco',
-                'chief growth officer', 'cgo', 'chief business officer', 'cbo',
-                // Tier 2: VP Sales/Revenue roles
-                'vp sales', 'vice president sales', 'vp of sales', 'vp revenue', 'vice president revenue', 'vp of revenue',
-                'vp commercial', 'vice president commercial', 'vp of commercial', 'vp business development',
-                'vp growth', 'vice president growth', 'vp of growth',
-                // Tier 3: Director roles
-                'sales director', 'director of sales', 'revenue director', 'head of sales', 'head of revenue',
-                'director of revenue', 'director of commercial', 'head of commercial', 'head of business development',
-                'director of business development', 'senior director sales', 'senior director revenue',
-                // Tier 4: Regional and senior management
-                'regional sales director', 'senior sales manager', 'national sales manager', 'regional revenue director',
-                'enterprise sales director', 'global sales director', 'international sales director',
-                // Tier 5: Sales management
-                'sales manager', 'account director', 'senior account manager', 'business development director',
-                'sales lead', 'revenue lead', 'commercial lead', 'growth lead',
-                // Industry-specific variations
-                // FinTech/SaaS specific
-                'head of customer success', 'vp customer success', 'director customer success',
-                'head of partnerships', 'vp partnerships', 'director partnerships',
-                'head of go-to-market', 'vp go-to-market', 'director go-to-market', 'gtm director',
-                // PropTech/Real Estate specific
-                'head of leasing', 'vp leasing', 'director leasing', 'head of client success',
-                // Design/Creative industry specific
-                'head of customer growth', 'director of customer growth', 'vp customer growth',
-                // Technology/Data Analytics specific
-                'head of enterprise sales', 'director enterprise sales', 'vp enterprise sales'
-            ];
-            
+            // CRO search with department and parallel division discovery - revenue titles of any tier
+            // (config/role-taxonomy.js covers customer success, partnerships, go-to-market and leasing)
             let bestCRO = null;
             let bestCROConfidence = 0;
             let revenueDepartmentMembers = []; // Track all revenue/sales department members
@@ -2882,7 +2625,7 @@ Provide ONLY a JSON response:
                 console.log(`      Checking: ${name} - ${title}`);
                 
                 // Check for CRO and revenue department members
-                const croMatch = croKeywords.some(keyword => title.includes(keyword));
+                const croMatch = isRevenueTitle(title);
                 if (croMatch && name) {
                     const confidence = this.calculateExecutiveConfidence(title, email, linkedin);
                     const tier = this.categorizeRevenueRole(title);
@@ -2982,52 +2725,18 @@ Provide ONLY a JSON response:
 
     /**
      * 🏷️ CATEGORIZE FINANCE ROLE TIER
+     * Tier 1 CFO/CAO ... 5 other finance (config/role-taxonomy.js)
      */
     categorizeFinanceRole(title) {
-        const titleLower = title.toLowerCase();
-        
-        if (titleLower.includes('cfo') || titleLower.includes('chief financial officer')) {
-            return 1; // Tier 1: CFO
-        }
-        if (titleLower.includes('controller') || titleLower.includes('chief accounting officer')) {
-            return 2; // Tier 2: Controller
-        }
-        if (titleLower.includes('vp finance') || titleLower.includes('finance director')) {
-            return 3; // Tier 3: VP Finance
-        }
-        if (titleLower.includes('treasurer')) {
-            return 4; // Tier 4: Treasurer
-        }
-        if (titleLower.includes('finance')) {
-            return 5; // Tier 5: Other Finance
-        }
-        
-        return 5; // Default tier
+        return matchRole(title, 'finance').tier || 5;
     }
 
     /**
      * 🏷️ CATEGORIZE REVENUE ROLE TIER
+     * Tier 1 CRO/CSO ... 5 other sales/revenue (config/role-taxonomy.js)
      */
     categorizeRevenueRole(title) {
-        const titleLower = title.toLowerCase();
-        
-        if (titleLower.includes('cro') || titleLower.includes('chief revenue officer')) {
-            return 1; // Tier 1: CRO
-        }
-        if (titleLower.includes('cso') || titleLower.includes('chief sales officer')) {
-            return 2; // Tier 2: CSO
-        }
-        if (titleLower.includes('vp sales') || titleLower.includes('vp revenue')) {
-            return 3; // Tier 3: VP Sales/Revenue
-        }
-        if (titleLower.includes('sales director') || titleLower.includes('revenue director')) {
-            return 4; // Tier 4: Sales/Revenue Director
-        }
-        if (titleLower.includes('sales') || titleLower.includes('revenue')) {
-            return 5; // Tier 5: Other Sales/Revenue
-        }
-        
-        return 5; // Default tier
+        return matchRole(title, 'revenue').tier || 5;
     }
 
     /**
@@ -10,17 +10,17 @@
  */
 
 const https = require('https');
-const fetch = require('node-fetch');
+const { createProviders } = require('./providers/ProviderRegistry');
+const { isCLevelTitle } = require('./RoleTaxonomy');
 
 class CoreSignalIntelligence {
     constructor(config = {}) {
         this.config = {
             CORESIGNAL_API_KEY: config.CORESIGNAL_API_KEY || process.env.CORESIGNAL_API_KEY,
-            BASE_URL: 'https://api.coresignal.com/cdapi/v2',
-            MAX_RETRIES: 2,
             RATE_LIMIT_DELAY: 1000,
             ...config
         };
+        this.providers = createProviders(this.config);
     }
 
     /**
@@ -192,36 +192,24 @@ Provide ONLY a JSON response:
     "confidence": 0.85
 }`;
 
-            const response = await fetch('https://api.perplexity.ai/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.config.PERPLEXITY_API_KEY?.trim()}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'sonar-pro',
-                    messages: [{ role: 'user', content: prompt }],
-                    temperature: 0.1,
-                    max_tokens: 200
-                })
+            const { content } = await this.providers.perplexity.chat({
+                prompt,
+                model: 'sonar-pro',
+                temperature: 0.1,
+                maxTokens: 200
             });
 
-            if (response.ok) {
-                const data = await response.json();
-                const content = data.choices[0].message.content;
-                
-                try {
-                    const jsonMatch = content.match(/\{[\s\S]*\}/);
-                    if (jsonMatch) {
-                        const result = JSON.parse(jsonMatch[0]);
-                        if (result.shorthand) {
-                            console.log(`   🎯 AI-researched shorthand: ${result.shorthand}`);
-                            return result.shorthand;
-                        }
+            try {
+                const jsonMatch = content.match(/\{[\s\S]*\}/);
+                if (jsonMatch) {
+                    const result = JSON.parse(jsonMatch[0]);
+                    if (result.shorthand) {
+                        console.log(`   🎯 AI-researched shorthand: ${result.shorthand}`);
+                        return result.shorthand;
                     }
-                } catch (parseError) {
-                    console.log(`   ⚠️ Shorthand research parsing failed`);
                 }
+            } catch (parseError) {
+                console.log(`   ⚠️ Shorthand research parsing failed`);
             }
         } catch (error) {
             console.log(`   ⚠️ Shorthand research failed: ${error.message}`);
@@ -240,17 +228,7 @@ Provide ONLY a JSON response:
      */
     async getCompanyByShorthand(shorthandName) {
         try {
-            const response = await fetch(`https://api.coresignal.com/cdapi/v2/company_multi_source/collect/${shorthandName}`, {
-                headers: {
-                    'apikey': this.config.CORESIGNAL_API_KEY
-                }
-            });
-            
-            if (response.ok) {
-                return await response.json();
-            }
-            
-            return null;
+            return await this.providers.coresignal.collectCompany(shorthandName);
         } catch (error) {
             console.log(`   ❌ Shorthand error: ${error.message}`);
             return null;
@@ -273,20 +251,9 @@ Provide ONLY a JSON response:
                 }
             };
             
-            const response = await fetch('https://api.coresignal.com/cdapi/v2/company_multi_source/search/es_dsl', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'apikey': this.config.CORESIGNAL_API_KEY
-                },
-                body: JSON.stringify(query)
-            });
-            
-            if (response.ok) {
-                const data = await response.json();
-                if (data.hits?.hits?.length > 0) {
-                    return { id: data.hits.hits[0]._id };
-                }
+            const data = await this.providers.coresignal.searchCompanies(query);
+            if (data.hits?.hits?.length > 0) {
+                return { id: data.hits.hits[0]._id };
             }
             
             return null;
@@ -301,17 +268,7 @@ Provide ONLY a JSON response:
      */
     async getCompanyById(companyId) {
         try {
-            const response = await fetch(`https://api.coresignal.com/cdapi/v2/company_multi_source/collect/${companyId}`, {
-                headers: {
-                    'apikey': this.config.CORESIGNAL_API_KEY
-                }
-            });
-            
-            if (response.ok) {
-                return await response.json();
-            }
-            
-            return null;
+            return await this.providers.coresignal.collectCompany(companyId);
         } catch (error) {
             console.log(`   ❌ Collect error: ${error.message}`);
             return null;
@@ -429,43 +386,16 @@ Provide ONLY a JSON response:
      * 🤖 CORESIGNAL API CALL
      */
     async callCoreSignalAPI(endpoint, params, method = 'GET') {
-        const fetch = require('node-fetch');
-        
-        for (let attempt = 1; attempt <= this.config.MAX_RETRIES; attempt++) {
-            try {
-                let url = `${this.config.BASE_URL}${endpoint}`;
-                let options = {
-                    method: method,
-                    headers: {
-                        'apikey': this.config.CORESIGNAL_API_KEY,
-                        'Content-Type': 'application/json'
-                    }
-                };
-
-                if (method === 'POST') {
-                    options.body = JSON.stringify(params);
-                } else {
-                    const queryString = new URLSearchParams(params).toString();
-                    url = `${url}?${queryString}`;
-                }
-
-                const response = await fetch(url, options);
-                
-                if (response.ok) {
-                    console.log(`   ✅ CoreSignal ${endpoint} successful`);
-                    await new Promise(resolve => setTimeout(resolve, this.config.RATE_LIMIT_DELAY));
-                    return await response.json();
-                } else {
-                    console.log(`   ❌ CoreSignal API error: ${response.status}`);
-                }
-
-            } catch (error) {
-                console.log(`   ❌ CoreSignal request error: ${error.message}`);
-            }
+        try {
+            const data = await this.providers.coresignal.call(endpoint, method === 'POST'
+                ? { method, body: params }
+                : { method, query: params });
 
-            if (attempt < this.config.MAX_RETRIES) {
-                await new Promise(resolve => setTimeout(resolve, this.config.RATE_LIMIT_DELAY * 2));
-            }
+            console.log(`   ✅ CoreSignal ${endpoint} successful`);
+            await new Promise(resolve => setTimeout(resolve, this.config.RATE_LIMIT_DELAY));
+            return data;
+        } catch (error) {
+            console.log(`   ❌ CoreSignal request error: ${error.message}`);
         }
 
         return null;
@@ -501,11 +431,7 @@ Provide ONLY a JSON response:
     }
 
     assessLeadershipRisk(movements) {
-        const cLevelDepartures = movements.departures?.filter(dep => 
-            dep.member_position_title?.toLowerCase().includes('ceo') ||
-            dep.member_position_title?.toLowerCase().includes('cfo') ||
-            dep.member_position_title?.toLowerCase().includes('chief')
-        ) || [];
+        const cLevelDepartures = movements.departures?.filter(dep => isCLevelTitle(dep.member_position_title)) || [];
 
         if (cLevelDepartures.length > 0) return 'HIGH';
         if ((movements.departures?.length || 0) > 3) return 'MEDIUM';
@@ -0,0 +1,473 @@
+/**
+ * 🏛️ CORPORATE EVENT REGISTRY MODULE
+ *
+ * Maintained M&A knowledge base (inputs/corporate-events/corporate-events.json) consulted before
+ * any AI acquisition research:
+ * 1. One entry per company event - acquirer, date, event type, brand-retention status, targeting
+ *    override, known executive overrides and what happened to each executive after the deal
+ * 2. Lookups by domain or alias skip expired entries, so a stale fact falls back to AI research
+ * 3. Entries are added, corrected and expired through this class (CLI: corporate-events.js,
+ *    API: api/corporate-events) or imported from CSV; every change is recorded in the entry's
+ *    history and bumps the file's patch version with a changelog line
+ *
+ * Entry:
+ *   { id, domain, aliases[], company, type, date, acquirer: { name, domain, ticker, details },
+ *     brandStatus, targetingOverride, confidence, executives: [{ name, originalRole, disposition,
+ *     currentRole, currentCompany, verifiedAt, notes }], executiveOverrides, notes, source,
+ *     status, expiresAt, updatedAt, history[] }
+ *
+ * File: CORPORATE_EVENTS_FILE or the default path.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { namesMatch } = require('./PersonName');
+
+const DEFAULT_REGISTRY_FILE = path.join(__dirname, '../inputs/corporate-events/corporate-events.json');
+const REGISTRY_SCHEMA_VERSION = 1;
+
+const EVENT_TYPES = ['full_acquisition', 'majority_stake', 'merger', 'divestiture', 'independent'];
+
+// How much of the acquired company's brand survives - drives OperationalStatusAnalyzer without AI
+const BRAND_STATUS = {
+    RETAINED: 'retained',       // Own site, brand and leadership - target the subsidiary
+    CO_BRANDED: 'co_branded',   // "X, a Y company" - own brand, parent runs finance/sales
+    ABSORBED: 'absorbed',       // Redirects to the parent, brand retired - target the parent
+    UNKNOWN: 'unknown'          // Not recorded - AI research decides
+};
+
+// Post-acquisition status of an executive - same vocabulary as CompanyResolver's AI verification
+const EXECUTIVE_DISPOSITIONS = ['needs_verification', 'still_at_original', 'moved_to_parent', 'left_company'];
+
+// Executive dispositions older than this are re-verified by AI
+const DISPOSITION_MAX_AGE_DAYS = Number(process.env.CORPORATE_EVENT_DISPOSITION_MAX_AGE_DAYS) || 180;
+
+/**
+ * 📖 LOAD THE REGISTRY FILE
+ */
+function loadRegistry(file = DEFAULT_REGISTRY_FILE) {
+    const registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (registry.schemaVersion !== REGISTRY_SCHEMA_VERSION) {
+        throw new Error(`Unsupported corporate event registry schemaVersion ${registry.schemaVersion} (expected ${REGISTRY_SCHEMA_VERSION})`);
+    }
+    if (!Array.isArray(registry.entries)) {
+        throw new Error(`Corporate event registry ${file} has no entries array`);
+    }
+    return registry;
+}
+
+function normalizeDomain(website) {
+    return String(website || '')
+        .toLowerCase()
+        .trim()
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '')
+        .split(/[/?#]/)[0];
+}
+
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+function entryId(entry) {
+    return `${entry.domain}:${entry.type}:${entry.date || 'undated'}`;
+}
+
+function isExpired(entry, now = new Date()) {
+    if (entry.status === 'expired') return true;
+    return Boolean(entry.expiresAt) && new Date(entry.expiresAt) <= now;
+}
+
+/**
+ * Disposition recorded recently enough to skip AI verification
+ */
+function isSettledDisposition(executive, now = new Date()) {
+    if (!executive || !executive.disposition || executive.disposition === 'needs_verification') return false;
+    if (!executive.verifiedAt) return false;
+    const ageDays = (now - new Date(executive.verifiedAt)) / (24 * 60 * 60 * 1000);
+    return ageDays <= DISPOSITION_MAX_AGE_DAYS;
+}
+
+/**
+ * "Tag Greason|Co-Chief Executive Officer|still_at_original; Jeff Berson|CFO" → executives
+ */
+function parseExecutivesCell(cell) {
+    return String(cell || '')
+        .split(';')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const [name, originalRole, disposition, currentRole, currentCompany] = part.split('|').map(value => value.trim() || null);
+            return { name, originalRole, disposition: disposition || 'needs_verification', currentRole, currentCompany };
+        });
+}
+
+/**
+ * Registry fields from one CSV row - see README "Corporate Events" for the columns.
+ * Empty cells are left out so importing a row never blanks what the registry already knows.
+ */
+function entryFromCsvRow(row) {
+    const value = key => (row[key] === undefined || String(row[key]).trim() === '' ? undefined : String(row[key]).trim());
+    const acquirerName = value('acquirer');
+    const aliases = value('aliases');
+    const executives = value('executives');
+
+    const fields = {
+        domain: value('domain'),
+        aliases: aliases ? aliases.split(/[;|]/).map(normalizeDomain).filter(Boolean) : undefined,
+        company: value('company'),
+        type: value('type') || (acquirerName ? 'full_acquisition' : 'independent'),
+        date: value('date'),
+        acquirer: acquirerName ? Object.fromEntries(Object.entries({
+            name: acquirerName,
+            domain: value('acquirer_domain'),
+            ticker: value('acquirer_ticker'),
+            details: value('acquirer_details')
+        }).filter(([, field]) => field !== undefined)) : undefined,
+        brandStatus: value('brand_status'),
+        targetingOverride: value('targeting_override'),
+        confidence: value('confidence') === undefined ? undefined : Number(value('confidence')),
+        executives: executives ? parseExecutivesCell(executives) : undefined,
+        notes: value('notes'),
+        source: value('source'),
+        expiresAt: value('expires_at')
+    };
+    return Object.fromEntries(Object.entries(fields).filter(([, field]) => field !== undefined));
+}
+
+class CorporateEventRegistry {
+    /**
+     * @param {Object} config - file (registry path), registry (already loaded document)
+     */
+    constructor(config = {}) {
+        this.file = config.file || process.env.CORPORATE_EVENTS_FILE || DEFAULT_REGISTRY_FILE;
+        this.registry = config.registry || this.load();
+    }
+
+    /**
+     * Registry document - an empty one when the file does not exist yet
+     */
+    load() {
+        if (!fs.existsSync(this.file)) {
+            return { schemaVersion: REGISTRY_SCHEMA_VERSION, version: '0.0.0', asOf: null, description: '', changelog: [], entries: [] };
+        }
+        return loadRegistry(this.file);
+    }
+
+    /**
+     * 💾 SAVE - bumps the patch version and records what changed in the changelog
+     * Written to a temporary file and renamed, so a failed write never leaves a truncated registry
+     */
+    save(notes) {
+        const [major, minor, patch] = String(this.registry.version || '0.0.0').split('.').map(Number);
+        this.registry.version = `${major || 0}.${minor || 0}.${(patch || 0) + 1}`;
+        this.registry.asOf = today();
+        this.registry.changelog = [...(this.registry.changelog || []), { version: this.registry.version, date: this.registry.asOf, notes }];
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmpFile = `${this.file}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(this.registry, null, 2) + '\n');
+        fs.renameSync(tmpFile, this.file);
+        return this.registry.version;
+    }
+
+    /**
+     * Entries, active only unless includeExpired
+     */
+    list({ includeExpired = false } = {}) {
+        return this.registry.entries.filter(entry => includeExpired || !isExpired(entry));
+    }
+
+    get(id) {
+        return this.registry.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * 🔍 ACTIVE ENTRY FOR A COMPANY
+     * First domain (or alias) with an active entry wins; the most recent event when several match
+     *
+     * @param {...string} domains - original and canonical domain, URLs or variations
+     */
+    lookup(...domains) {
+        const wanted = domains.flat().map(normalizeDomain).filter(Boolean);
+        for (const domain of wanted) {
+            const matches = this.list()
+                .filter(entry => entry.domain === domain || (entry.aliases || []).includes(domain))
+                .sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+            if (matches.length > 0) return matches[0];
+        }
+        return null;
+    }
+
+    /**
+     * Entry in CompanyResolver's acquisitionInfo shape (checkRecentAcquisitions)
+     */
+    toAcquisitionInfo(entry) {
+        if (!entry) return { isAcquired: false, confidence: 0 };
+
+        const acquired = entry.type !== 'independent' && Boolean(entry.acquirer);
+        const info = {
+            isAcquired: acquired,
+            confidence: entry.confidence,
+            brandStatus: entry.brandStatus || BRAND_STATUS.UNKNOWN,
+            corporateEvent: {
+                id: entry.id,
+                type: entry.type,
+                brandStatus: entry.brandStatus || BRAND_STATUS.UNKNOWN,
+                executives: entry.executives || [],
+                registryVersion: this.registry.version
+            }
+        };
+
+        if (acquired) {
+            Object.assign(info, {
+                parentCompany: {
+                    name: entry.acquirer.name,
+                    domain: entry.acquirer.domain || null,
+                    ticker: entry.acquirer.ticker || null
+                },
+                acquisitionDate: entry.date,
+                acquisitionType: entry.type,
+                type: entry.type,
+                originalCompany: entry.company,
+                parentCompanyDetails: entry.acquirer.details || entry.acquirer.name,
+                executiveTracking: Object.fromEntries((entry.executives || []).map(executive => [executive.name, {
+                    originalRole: executive.originalRole,
+                    originalCompany: entry.company,
+                    status: executive.disposition,
+                    currentRole: executive.currentRole || null,
+                    currentCompany: executive.currentCompany || null,
+                    lastVerified: executive.verifiedAt || null,
+                    notes: executive.notes || null
+                }]))
+            });
+        }
+        if (entry.executiveOverrides) info.executiveOverrides = entry.executiveOverrides;
+        if (entry.targetingOverride) info.targetingOverride = entry.targetingOverride;
+        if (entry.notes) info.note = entry.notes;
+        return info;
+    }
+
+    /**
+     * Throws when an entry cannot be stored
+     */
+    validate(entry) {
+        if (!entry.domain || !/^[a-z0-9.-]+\.[a-z]{2,}$/.test(entry.domain)) {
+            throw new Error(`Invalid domain "${entry.domain}"`);
+        }
+        if (!EVENT_TYPES.includes(entry.type)) {
+            throw new Error(`Invalid event type "${entry.type}" (expected ${EVENT_TYPES.join(', ')})`);
+        }
+        if (entry.type !== 'independent' && !entry.acquirer?.name) {
+            throw new Error(`${entry.type} event for ${entry.domain} needs an acquirer`);
+        }
+        if (entry.date && isNaN(new Date(entry.date).getTime())) {
+            throw new Error(`Invalid date "${entry.date}"`);
+        }
+        if (!Object.values(BRAND_STATUS).includes(entry.brandStatus)) {
+            throw new Error(`Invalid brand status "${entry.brandStatus}" (expected ${Object.values(BRAND_STATUS).join(', ')})`);
+        }
+        if (typeof entry.confidence !== 'number' || entry.confidence < 0 || entry.confidence > 100) {
+            throw new Error(`Invalid confidence "${entry.confidence}" (expected 0-100)`);
+        }
+        (entry.executives || []).forEach(executive => {
+            if (!executive.name) throw new Error(`Executive without a name on ${entry.domain}`);
+            if (!EXECUTIVE_DISPOSITIONS.includes(executive.disposition)) {
+                throw new Error(`Invalid disposition "${executive.disposition}" for ${executive.name} (expected ${EXECUTIVE_DISPOSITIONS.join(', ')})`);
+            }
+        });
+    }
+
+    normalize(fields) {
+        const now = new Date().toISOString();
+        return {
+            ...fields,
+            domain: normalizeDomain(fields.domain),
+            aliases: (fields.aliases || []).map(normalizeDomain).filter(Boolean),
+            company: fields.company || null,
+            type: fields.type || (fields.acquirer ? 'full_acquisition' : 'independent'),
+            date: fields.date || null,
+            acquirer: fields.acquirer ? {
+                name: fields.acquirer.name,
+                domain: normalizeDomain(fields.acquirer.domain) || null,
+                ticker: fields.acquirer.ticker || null,
+                details: fields.acquirer.details || null
+            } : null,
+            brandStatus: fields.brandStatus || BRAND_STATUS.UNKNOWN,
+            targetingOverride: fields.targetingOverride || null,
+            confidence: fields.confidence === undefined ? 90 : Number(fields.confidence),
+            executives: (fields.executives || []).map(executive => ({
+                name: executive.name,
+                originalRole: executive.originalRole || null,
+                disposition: executive.disposition || 'needs_verification',
+                currentRole: executive.currentRole || null,
+                currentCompany: executive.currentCompany || null,
+                verifiedAt: executive.verifiedAt || (executive.disposition && executive.disposition !== 'needs_verification' ? today() : null),
+                notes: executive.notes || null
+            })),
+            executiveOverrides: fields.executiveOverrides || null,
+            notes: fields.notes || null,
+            source: fields.source || null,
+            status: 'active',
+            expiresAt: fields.expiresAt || null,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * ➕ ADD AN EVENT
+     */
+    add(fields, { save = true } = {}) {
+        const entry = this.normalize(fields);
+        entry.id = entryId(entry);
+        entry.history = [{ at: entry.updatedAt, action: 'added', source: entry.source }];
+        this.validate(entry);
+
+        if (this.get(entry.id)) {
+            throw new Error(`Corporate event ${entry.id} already exists - use correct() to change it`);
+        }
+
+        this.registry.entries.push(entry);
+        if (save) this.save(`Added ${entry.id}`);
+        return entry;
+    }
+
+    /**
+     * ✏️ CORRECT AN EVENT
+     * Changed fields are recorded in the entry's history with their previous values.
+     * Acquirer fields not given are kept; changing domain, type or date changes the id.
+     */
+    correct(id, changes, { reason = null, save = true } = {}) {
+        const entry = this.get(id);
+        if (!entry) throw new Error(`Unknown corporate event ${id}`);
+
+        const { id: ignoredId, history, status, updatedAt, ...fields } = changes;
+        if (fields.acquirer && entry.acquirer) fields.acquirer = { ...entry.acquirer, ...fields.acquirer };
+        const corrected = this.normalize({ ...entry, ...fields });
+        corrected.status = entry.status;
+        corrected.expiresAt = fields.expiresAt === undefined ? entry.expiresAt : fields.expiresAt;
+        corrected.id = entryId(corrected);
+        this.validate(corrected);
+
+        if (corrected.id !== id && this.get(corrected.id)) {
+            throw new Error(`Corporate event ${corrected.id} already exists`);
+        }
+
+        const previous = Object.fromEntries(Object.keys(fields)
+            .filter(key => JSON.stringify(entry[key]) !== JSON.stringify(corrected[key]))
+            .map(key => [key, entry[key] === undefined ? null : entry[key]]));
+        if (Object.keys(previous).length === 0) return entry;
+
+        corrected.history = [...(entry.history || []), { at: corrected.updatedAt, action: 'corrected', reason, previous }];
+        this.registry.entries[this.registry.entries.indexOf(entry)] = corrected;
+        if (save) this.save(`Corrected ${corrected.id}: ${Object.keys(previous).join(', ')}${reason ? ` (${reason})` : ''}`);
+        return corrected;
+    }
+
+    /**
+     * ⏹️ EXPIRE AN EVENT - kept for the record, ignored by lookups
+     */
+    expire(id, { reason = null, save = true } = {}) {
+        const entry = this.get(id);
+        if (!entry) throw new Error(`Unknown corporate event ${id}`);
+        if (entry.status === 'expired') return entry;
+
+        const now = new Date().toISOString();
+        Object.assign(entry, { status: 'expired', expiredAt: now, expiredReason: reason, updatedAt: now });
+        entry.history = [...(entry.history || []), { at: now, action: 'expired', reason }];
+        if (save) this.save(`Expired ${id}${reason ? ` (${reason})` : ''}`);
+        return entry;
+    }
+
+    /**
+     * 👔 RECORD WHAT HAPPENED TO AN EXECUTIVE - adds the executive when not listed yet
+     */
+    setDisposition(id, name, { disposition, originalRole, currentRole, currentCompany, notes, verifiedAt } = {}, { save = true } = {}) {
+        const entry = this.get(id);
+        if (!entry) throw new Error(`Unknown corporate event ${id}`);
+        if (!name) throw new Error('Executive name is required');
+        if (!EXECUTIVE_DISPOSITIONS.includes(disposition)) {
+            throw new Error(`Invalid disposition "${disposition}" (expected ${EXECUTIVE_DISPOSITIONS.join(', ')})`);
+        }
+
+        const executives = entry.executives || [];
+        const existing = executives.find(executive => namesMatch(executive.name, name));
+        const previous = existing ? { ...existing } : null;
+        const executive = existing || { name, originalRole: null, disposition, currentRole: null, currentCompany: null, verifiedAt: null, notes: null };
+
+        Object.assign(executive, {
+            disposition,
+            originalRole: originalRole || executive.originalRole,
+            currentRole: currentRole === undefined ? executive.currentRole : currentRole,
+            currentCompany: currentCompany === undefined ? executive.currentCompany : currentCompany,
+            notes: notes === undefined ? executive.notes : notes,
+            verifiedAt: verifiedAt || today()
+        });
+        if (!existing) executives.push(executive);
+
+        const now = new Date().toISOString();
+        entry.executives = executives;
+        entry.updatedAt = now;
+        entry.history = [...(entry.history || []), { at: now, action: 'disposition', executive: executive.name, previous }];
+        if (save) this.save(`${executive.name} at ${id}: ${disposition}`);
+        return entry;
+    }
+
+    /**
+     * 📥 IMPORT FROM CSV
+     * New events are added; an existing event (same domain, type and date) is corrected.
+     * Rows that fail validation are reported, not imported.
+     *
+     * @returns {Promise<{ added: string[], corrected: string[], unchanged: string[], errors: Object[] }>}
+     */
+    async importCsv(file, { dryRun = false } = {}) {
+        const rows = await new Promise((resolve, reject) => {
+            const collected = [];
+            fs.createReadStream(file)
+                .pipe(csv())
+                .on('data', row => collected.push(row))
+                .on('end', () => resolve(collected))
+                .on('error', reject);
+        });
+
+        const snapshot = JSON.stringify(this.registry);
+        const report = { added: [], corrected: [], unchanged: [], errors: [] };
+        rows.forEach((row, index) => {
+            try {
+                const fields = entryFromCsvRow(row);
+                const id = entryId({ ...fields, domain: normalizeDomain(fields.domain) });
+                const existing = this.get(id);
+                if (!existing) {
+                    report.added.push(this.add({ source: 'csv_import', ...fields }, { save: false }).id);
+                    return;
+                }
+
+                const corrected = this.correct(id, fields, { reason: `CSV import ${path.basename(file)}`, save: false });
+                (corrected === existing ? report.unchanged : report.corrected).push(id);
+            } catch (error) {
+                report.errors.push({ row: index + 2, domain: row.domain || null, message: error.message });
+            }
+        });
+
+        if (dryRun) {
+            this.registry = JSON.parse(snapshot);
+        } else if (report.added.length + report.corrected.length > 0) {
+            this.save(`CSV import ${path.basename(file)}: ${report.added.length} added, ${report.corrected.length} corrected`);
+        }
+
+        console.log(`🏛️ Corporate events import${dryRun ? ' (dry run)' : ''}: ${report.added.length} added, ${report.corrected.length} corrected, ${report.unchanged.length} unchanged, ${report.errors.length} errors`);
+        return report;
+    }
+}
+
+module.exports = {
+    CorporateEventRegistry,
+    loadRegistry,
+    isSettledDisposition,
+    DEFAULT_REGISTRY_FILE,
+    EVENT_TYPES,
+    BRAND_STATUS,
+    EXECUTIVE_DISPOSITIONS
+};
@@ -2,22 +2,52 @@
  * 💾 DATA CACHE MODULE
  * 
  * Prevents re-purchasing API data by caching results
- * Supports multiple storage backends (Redis, PostgreSQL, File system)
+ * Supports multiple storage backends (modules/cache):
+ * - file:   one JSON file per key in CACHE_DIR (default)
+ * - sqlite: single database file (CACHE_SQLITE_PATH) - survives /tmp wipes when pointed at durable storage
+ * - redis:  any Redis-protocol server (REDIS_URL); RedisStandIn runs one in-process
+ * - memory: in-process only
+ *
+ * Select with CACHE_BACKEND (config or environment), or pass a backend instance as `backend`.
+ * Every backend implements get / getMany / set / setMany / delete / deleteWhere / clearExpired / size / close.
+ *
+ * TTLs come from the per-provider policy table (config/cache-ttl-policy.js);
+ * invalidate() purges entries by company domain, person, service, data type or category.
  */
 
-const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 
+const { FileCacheBackend } = require('./cache/FileCacheBackend');
+const { MemoryCacheBackend } = require('./cache/MemoryCacheBackend');
+const { SqliteCacheBackend } = require('./cache/SqliteCacheBackend');
+const { RedisCacheBackend } = require('./cache/RedisCacheBackend');
+const { CACHE_TTL_POLICY } = require('../config/cache-ttl-policy');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const CACHE_BACKENDS = {
+    file: FileCacheBackend,
+    memory: MemoryCacheBackend,
+    sqlite: SqliteCacheBackend,
+    redis: RedisCacheBackend
+};
+
 class DataCache {
     constructor(config = {}) {
         // Use /tmp for Vercel serverless compatibility
         const defaultCacheDir = process.env.VERCEL ? '/tmp/cache' : path.join(__dirname, '../cache');
         
+        this.ttlPolicy = config.TTL_POLICY || CACHE_TTL_POLICY;
+        
         this.config = {
             CACHE_DIR: config.CACHE_DIR || defaultCacheDir,
-            CACHE_TTL_DAYS: config.CACHE_TTL_DAYS || 30,
+            CACHE_TTL_DAYS: config.CACHE_TTL_DAYS || this.ttlPolicy.default.ttlHours / 24,
             USE_FILE_CACHE: config.USE_FILE_CACHE !== false,
+            CACHE_BACKEND: config.CACHE_BACKEND || process.env.CACHE_BACKEND || 'file',
+            CACHE_SQLITE_PATH: config.CACHE_SQLITE_PATH || process.env.CACHE_SQLITE_PATH,
+            REDIS_URL: config.REDIS_URL || process.env.REDIS_URL,
             ...config
         };
         
@@ -27,17 +57,26 @@ class DataCache {
             saves: 0
         };
         
-        this.initializeCache();
+        this.backend = config.backend || this.createBackend();
     }
 
     /**
-     * Initialize cache directory
+     * Create the configured storage backend
      */
-    initializeCache() {
-        if (this.config.USE_FILE_CACHE && !fs.existsSync(this.config.CACHE_DIR)) {
-            fs.mkdirSync(this.config.CACHE_DIR, { recursive: true });
-            console.log(`   📁 Cache directory created: ${this.config.CACHE_DIR}`);
+    createBackend() {
+        let backendName = String(this.config.CACHE_BACKEND).toLowerCase();
+
+        // File caching disabled (e.g. read-only filesystems) - keep entries in memory
+        if (backendName === 'file' && !this.config.USE_FILE_CACHE) {
+            backendName = 'memory';
+        }
+
+        const Backend = CACHE_BACKENDS[backendName];
+        if (!Backend) {
+            throw new Error(`Unknown cache backend "${backendName}" (expected ${Object.keys(CACHE_BACKENDS).join(', ')})`);
         }
+
+        return new Backend(this.config);
     }
 
     /**
@@ -48,54 +87,144 @@ class DataCache {
         return crypto.createHash('md5').update(key).digest('hex');
     }
 
+    /**
+     * TTL policy for a service / data type ('lusha-cfo' reads as service lusha, data type cfo)
+     * Returns { service, dataType, ttlHours, category }
+     */
+    resolvePolicy(service, dataType = null) {
+        const [baseService, ...rest] = String(service || '').toLowerCase().split(/[-:]/);
+        const type = String(dataType || rest.join('-') || 'default').toLowerCase();
+        const servicePolicy = this.ttlPolicy.services[baseService] || {};
+
+        return {
+            service: baseService,
+            dataType: type,
+            ttlHours: this.config.CACHE_TTL_DAYS * 24,
+            category: this.ttlPolicy.default.category,
+            ...servicePolicy.default,
+            ...servicePolicy[type]
+        };
+    }
+
+    getTtlHours(service, dataType = null) {
+        return this.resolvePolicy(service, dataType).ttlHours;
+    }
+
+    /**
+     * Expiry time of an entry - per-entry TTL, or the policy TTL for entries saved without one
+     */
+    getExpiresAt(entry) {
+        return entry.expiresAt || (entry.timestamp + this.getTtlHours(entry.service, entry.dataType) * HOUR_MS);
+    }
+
+    isExpired(entry, now = Date.now()) {
+        return !entry || !entry.timestamp || this.getExpiresAt(entry) <= now;
+    }
+
+    /**
+     * Build a cache entry - ttlHours overrides the policy TTL
+     * meta: { dataType, domain, person } - kept on the entry for policy lookup and invalidation;
+     * meta.fetchedAt - when the vendor produced data (its response Date), kept for provenance
+     */
+    createEntry(service, identifier, data, ttlHours = null, meta = {}) {
+        const timestamp = Date.now();
+        const ttlMs = (ttlHours || this.getTtlHours(service, meta.dataType)) * HOUR_MS;
+
+        const entry = {
+            service,
+            identifier,
+            timestamp,
+            expiresAt: timestamp + ttlMs,
+            data
+        };
+
+        if (meta.dataType) entry.dataType = meta.dataType;
+        if (meta.domain) entry.domain = meta.domain;
+        if (meta.person) entry.person = meta.person;
+        if (meta.fetchedAt) entry.fetchedAt = meta.fetchedAt;
+        return entry;
+    }
+
+    /**
+     * Check a stored entry - count the hit/miss and drop it if expired
+     * @returns {Promise<Object|null>} the entry while fresh
+     */
+    async resolveEntry(service, identifier, cacheKey, cached) {
+        if (cached) {
+            const ageInDays = (Date.now() - cached.timestamp) / DAY_MS;
+            if (!this.isExpired(cached)) {
+                this.cacheStats.hits++;
+                console.log(`   💾 Cache HIT: ${service}:${identifier} (${Math.round(ageInDays)}d old)`);
+                return cached;
+            }
+
+            // Remove expired cache
+            await this.backend.delete(cacheKey).catch(() => false);
+            console.log(`   🗑️ Cache EXPIRED: ${service}:${identifier} (${Math.round(ageInDays)}d old)`);
+        }
+
+        this.cacheStats.misses++;
+        console.log(`   💸 Cache MISS: ${service}:${identifier}`);
+        return null;
+    }
+
     /**
      * Get cached data
      */
     async get(service, identifier) {
+        const entry = await this.getEntry(service, identifier);
+        return entry ? entry.data : null;
+    }
+
+    /**
+     * Get the fresh cache entry - data with its stored timestamp (and fetchedAt when recorded)
+     */
+    async getEntry(service, identifier) {
         const cacheKey = this.generateCacheKey(service, identifier);
-        const cacheFile = path.join(this.config.CACHE_DIR, `${cacheKey}.json`);
+        let cached = null;
         
         try {
-            if (fs.existsSync(cacheFile)) {
-                const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
-                
-                // Check if cache is expired
-                const ageInDays = (Date.now() - cached.timestamp) / (1000 * 60 * 60 * 24);
-                if (ageInDays < this.config.CACHE_TTL_DAYS) {
-                    this.cacheStats.hits++;
-                    console.log(`   💾 Cache HIT: ${service}:${identifier} (${Math.round(ageInDays)}d old)`);
-                    return cached.data;
-                } else {
-                    // Remove expired cache
-                    fs.unlinkSync(cacheFile);
-                    console.log(`   🗑️ Cache EXPIRED: ${service}:${identifier} (${Math.round(ageInDays)}d old)`);
-                }
-            }
+            cached = await this.backend.get(cacheKey);
         } catch (error) {
             console.log(`   ⚠️ Cache read error: ${error.message}`);
         }
         
-        this.cacheStats.misses++;
-        console.log(`   💸 Cache MISS: ${service}:${identifier}`);
-        return null;
+        return this.resolveEntry(service, identifier, cacheKey, cached);
+    }
+
+    /**
+     * Get cached data for several identifiers of one service in a single backend round trip
+     * Returns { identifier: data | null }
+     */
+    async getMany(service, identifiers) {
+        const cacheKeys = identifiers.map(identifier => this.generateCacheKey(service, identifier));
+        let cachedEntries = cacheKeys.map(() => null);
+
+        try {
+            cachedEntries = await this.backend.getMany(cacheKeys);
+        } catch (error) {
+            console.log(`   ⚠️ Cache read error: ${error.message}`);
+        }
+
+        const results = {};
+        for (let i = 0; i < identifiers.length; i++) {
+            const entry = await this.resolveEntry(service, identifiers[i], cacheKeys[i], cachedEntries[i]);
+            results[identifiers[i]] = entry ? entry.data : null;
+        }
+        return results;
     }
 
     /**
      * Save data to cache
+     * ttlHours: per-entry TTL (defaults to the service / data type policy)
+     * meta: { dataType, domain, person } for policy lookup and invalidation
      */
-    async set(service, identifier, data) {
+    async set(service, identifier, data, ttlHours = null, meta = {}) {
         const cacheKey = this.generateCacheKey(service, identifier);
-        const cacheFile = path.join(this.config.CACHE_DIR, `${cacheKey}.json`);
-        
-        const cacheData = {
-            service,
-            identifier,
-            timestamp: Date.now(),
-            data
-        };
+        const cacheData = this.createEntry(service, identifier, data, ttlHours, meta);
         
         try {
-            fs.writeFileSync(cacheFile, JSON.stringify(cacheData, null, 2));
+            await this.backend.set(cacheKey, cacheData, cacheData.expiresAt - cacheData.timestamp);
             this.cacheStats.saves++;
             console.log(`   💾 Cache SAVED: ${service}:${identifier}`);
         } catch (error) {
@@ -103,6 +232,110 @@ class DataCache {
         }
     }
 
+    /**
+     * Save several entries for one service
+     * items: [{ identifier, data, ttlHours?, dataType?, domain?, person? }]
+     * ttlHours falls back to the shared ttlHours argument, then the policy
+     */
+    async setMany(service, items, ttlHours = null) {
+        const batch = items.map(item => {
+            const entry = this.createEntry(service, item.identifier, item.data, item.ttlHours || ttlHours, item);
+            return {
+                key: this.generateCacheKey(service, item.identifier),
+                entry,
+                ttlMs: entry.expiresAt - entry.timestamp
+            };
+        });
+
+        try {
+            await this.backend.setMany(batch);
+            this.cacheStats.saves += batch.length;
+            console.log(`   💾 Cache SAVED: ${service} x${batch.length}`);
+        } catch (error) {
+            console.log(`   ⚠️ Cache save error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove a cached entry
+     */
+    async delete(service, identifier) {
+        try {
+            return await this.backend.delete(this.generateCacheKey(service, identifier));
+        } catch (error) {
+            console.log(`   ⚠️ Cache delete error: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * INVALIDATE CACHED DATA
+     *
+     * filters (combined with AND, at least one required):
+     * - domain:   company domain - matches entry identifiers containing it (URLs, emails, subdomains)
+     * - person:   name, email or LinkedIn URL of a person
+     * - service:  provider ('lusha' also matches 'lusha-cfo')
+     * - dataType: data type within a service ('phone', 'cfo', ...)
+     * - category: policy category ('executive', 'verification', 'company', ...)
+     */
+    async invalidate(filters = {}) {
+        const active = ['domain', 'person', 'service', 'dataType', 'category'].filter(field => filters[field]);
+        if (active.length === 0) {
+            throw new Error('invalidate() needs at least one of domain, person, service, dataType or category');
+        }
+
+        const deletedCount = await this.backend.deleteWhere(entry => entry !== null && this.matchesFilters(entry, filters));
+        console.log(`   🗑️ Invalidated ${deletedCount} cache entries (${active.map(field => `${field}=${filters[field]}`).join(', ')})`);
+        return deletedCount;
+    }
+
+    matchesFilters(entry, filters) {
+        const policy = this.resolvePolicy(entry.service, entry.dataType);
+
+        if (filters.service && policy.service !== String(filters.service).toLowerCase().split(/[-:]/)[0]) return false;
+        if (filters.dataType && policy.dataType !== String(filters.dataType).toLowerCase()) return false;
+        if (filters.category && policy.category !== String(filters.category).toLowerCase()) return false;
+
+        if (filters.domain) {
+            const domain = DataCache.normalizeDomain(filters.domain);
+            const entryDomains = DataCache.extractDomains(`${entry.identifier} ${entry.domain || ''}`);
+            if (!entryDomains.some(candidate => candidate === domain || candidate.endsWith(`.${domain}`))) return false;
+        }
+
+        if (filters.person) {
+            const person = String(filters.person).toLowerCase().trim();
+            const haystack = `${entry.identifier} ${entry.person || ''}`.toLowerCase();
+            if (person.includes('@') || person.includes('/')) {
+                // Email or LinkedIn URL - exact substring
+                if (!haystack.includes(person.replace(/^https?:\/\/(www\.)?/, ''))) return false;
+            } else {
+                // Name - every name part must appear as a token (jane.doe@, "Jane Doe", jane-doe)
+                const tokens = new Set(haystack.split(/[^a-z0-9]+/).filter(Boolean));
+                const parts = person.split(/[^a-z0-9]+/).filter(Boolean);
+                if (parts.length === 0 || !parts.every(part => tokens.has(part))) return false;
+            }
+        }
+
+        return true;
+    }
+
+    static normalizeDomain(value) {
+        return String(value || '')
+            .toLowerCase()
+            .trim()
+            .replace(/^https?:\/\//, '')
+            .replace(/^www\./, '')
+            .replace(/[/?#].*$/, '');
+    }
+
+    /**
+     * Domain-like tokens in text (hosts of URLs, email domains, bare domains)
+     */
+    static extractDomains(text) {
+        const matches = String(text || '').toLowerCase().match(/[a-z0-9-]+(\.[a-z0-9-]+)+/g) || [];
+        return matches.map(match => match.replace(/^www\./, ''));
+    }
+
     /**
      * Check if we have cached data for a company
      */
@@ -142,29 +375,8 @@ class DataCache {
      * Clear expired cache entries
      */
     async clearExpired() {
-        if (!fs.existsSync(this.config.CACHE_DIR)) return;
-        
-        const files = fs.readdirSync(this.config.CACHE_DIR);
-        let clearedCount = 0;
-        
-        for (const file of files) {
-            if (!file.endsWith('.json')) continue;
-            
-            const filePath = path.join(this.config.CACHE_DIR, file);
-            try {
-                const cached = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-                const ageInDays = (Date.now() - cached.timestamp) / (1000 * 60 * 60 * 24);
-                
-                if (ageInDays >= this.config.CACHE_TTL_DAYS) {
-                    fs.unlinkSync(filePath);
-                    clearedCount++;
-                }
-            } catch (error) {
-                // Remove corrupted cache files
-                fs.unlinkSync(filePath);
-                clearedCount++;
-            }
-        }
+        const now = Date.now();
+        const clearedCount = await this.backend.clearExpired(entry => this.isExpired(entry, now), now);
         
         console.log(`   🗑️ Cleared ${clearedCount} expired cache entries`);
         return clearedCount;
@@ -173,24 +385,22 @@ class DataCache {
     /**
      * Get cache size information
      */
-    getCacheSize() {
-        if (!fs.existsSync(this.config.CACHE_DIR)) return { files: 0, sizeMB: 0 };
-        
-        const files = fs.readdirSync(this.config.CACHE_DIR);
-        let totalSize = 0;
-        
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                const filePath = path.join(this.config.CACHE_DIR, file);
-                totalSize += fs.statSync(filePath).size;
-            }
-        }
+    async getCacheSize() {
+        const { entries, bytes } = await this.backend.size();
         
         return {
-            files: files.filter(f => f.endsWith('.json')).length,
-            sizeMB: Math.round(totalSize / (1024 * 1024) * 100) / 100
+            backend: this.backend.name,
+            files: entries,
+            sizeMB: Math.round(bytes / (1024 * 1024) * 100) / 100
         };
     }
+
+    /**
+     * Release backend connections (Redis socket, SQLite handle)
+     */
+    async close() {
+        await this.backend.close();
+    }
 }
 
-module.exports = { DataCache };
+module.exports = { DataCache, CACHE_BACKENDS };
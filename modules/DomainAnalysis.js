@@ -6,11 +6,12 @@
  * Determines the correct email domain for executives:
  * 1. Detects product subdomains vs corporate domains
  * 2. Analyzes domain patterns for acquired companies
- * 3. Generates email patterns based on domain analysis
+ * 3. Generates email patterns based on domain analysis (learned formats first - EmailFormatStore)
  * 4. Handles complex corporate structures
  */
 
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
+const { EmailFormatStore, EMAIL_FORMATS, EMAIL_SEGMENTS, toNameParts } = require('./EmailFormatStore');
 
 class DomainAnalysis {
     constructor(config = {}) {
@@ -20,6 +21,7 @@ class DomainAnalysis {
         };
 
         this.domainCache = new Map();
+        this.emailFormats = config.emailFormats || new EmailFormatStore(this.config);
         this.subdomainPatterns = [
             'pos', 'app', 'portal', 'platform', 'api', 'admin', 'dashboard',
             'shop', 'store', 'buy', 'order', 'checkout', 'pay', 'billing',
@@ -75,6 +77,12 @@ class DomainAnalysis {
             // STEP 4: Determine domain strategy
             analysis.domainStrategy = this.determineDomainStrategy(analysis);
 
+            // STEP 5: Formats learned from verified addresses at this domain
+            analysis.learnedFormats = await this.emailFormats.getFormats(analysis.executiveEmailDomain, { segment: EMAIL_SEGMENTS.EXECUTIVE });
+            if (analysis.learnedFormats.length > 0) {
+                analysis.reasoning.push(`Learned email format: ${analysis.learnedFormats[0].format} (${analysis.learnedFormats[0].confidence}%)`);
+            }
+
             console.log(`   ✅ Analysis complete:`);
             console.log(`   📧 Executive email domain: ${analysis.executiveEmailDomain}`);
             console.log(`   🏢 Corporate domain: ${analysis.corporateDomain}`);
@@ -231,11 +239,25 @@ Provide ONLY a JSON response:
      */
     generateSmartEmailPatterns(executiveName, domainAnalysis) {
         const patterns = [];
-        const nameParts = executiveName.toLowerCase().replace(/[^a-z\s]/g, '').split(' ');
-        const firstName = nameParts[0] || '';
-        const lastName = nameParts[nameParts.length - 1] || '';
+        const parts = toNameParts(executiveName);
+        const { first: firstName, last: lastName } = parts;
+
+        // Learned formats (highest priority) - trusted ones can skip verification
+        if (domainAnalysis.executiveEmailDomain && domainAnalysis.learnedFormats?.length > 0) {
+            domainAnalysis.learnedFormats.forEach(learned => {
+                const local = parts.first && parts.last ? EMAIL_FORMATS[learned.format]?.(parts) : null;
+                if (!local) return;
+                patterns.push({
+                    email: `${local}@${domainAnalysis.executiveEmailDomain}`,
+                    confidence: learned.confidence,
+                    reasoning: `Learned format ${learned.format} (${learned.verified} verified${learned.fallback ? `, from ${learned.segment}` : ''})`,
+                    learned: true,
+                    trusted: learned.trusted
+                });
+            });
+        }
 
-        // Primary domain patterns (highest priority)
+        // Primary domain patterns
         if (domainAnalysis.executiveEmailDomain) {
             const domain = domainAnalysis.executiveEmailDomain;
             patterns.push(
@@ -254,10 +276,11 @@ Provide ONLY a JSON response:
             );
         });
 
-        // Sort by confidence
-        patterns.sort((a, b) => b.confidence - a.confidence);
-
-        return patterns;
+        // Learned formats first, then by confidence; a guess never repeats a learned address
+        const seen = new Set();
+        return patterns
+            .sort((a, b) => Boolean(b.learned) - Boolean(a.learned) || b.confidence - a.confidence)
+            .filter(pattern => !seen.has(pattern.email) && seen.add(pattern.email));
     }
 
     /**
@@ -0,0 +1,280 @@
+/**
+ * 🕰️ DOMAIN HISTORY MODULE
+ *
+ * Keeps a dated snapshot of every company domain resolution - final URL, redirect hops, page
+ * title, site name and canonical link - and compares each new snapshot with the last reachable
+ * one to catch companies that were quietly absorbed or renamed between runs:
+ * 1. redirect_started - the domain now redirects to another company's domain (absorbed by a parent)
+ * 2. redirect_target_changed - it redirected before, now somewhere else (acquirer acquired, rebrand)
+ * 3. redirect_stopped - it redirected before, now serves its own site again (divestiture, spin-off)
+ * 4. canonical_changed - the page's canonical link moved to another domain
+ * 5. site_name_changed - the brand in the page title / og:site_name no longer mentions the old name
+ *
+ * Signals carry before/after evidence and a suggested corporate event so a reviewer can promote
+ * them into the registry (modules/CorporateEventRegistry.js, `node corporate-events.js add`).
+ * Identical consecutive snapshots are folded into one with firstSeenAt / lastSeenAt.
+ *
+ * Records live in DataCache under service 'domainhistory' (TTL policy: config/cache-ttl-policy.js).
+ */
+
+const { DataCache } = require('./DataCache');
+
+const SIGNAL_TYPES = {
+    REDIRECT_STARTED: 'redirect_started',
+    REDIRECT_TARGET_CHANGED: 'redirect_target_changed',
+    REDIRECT_STOPPED: 'redirect_stopped',
+    CANONICAL_CHANGED: 'canonical_changed',
+    SITE_NAME_CHANGED: 'site_name_changed'
+};
+
+const MAX_SNAPSHOTS = Number(process.env.DOMAIN_HISTORY_MAX_SNAPSHOTS) || 20;
+const MAX_SIGNALS = 50;
+
+// Second-level labels under which companies register (acme.co.uk, acme.com.au)
+const SECOND_LEVEL_SUFFIXES = new Set(['co', 'com', 'net', 'org', 'gov', 'ac', 'edu', 'ltd', 'plc', 'ne', 'or']);
+const TITLE_SEPARATORS = /\s+[|\-–—:·•]\s+/;
+const BRAND_STOPWORDS = new Set(['home', 'homepage', 'welcome', 'to', 'the', 'official', 'site', 'website', 'page', 'inc', 'llc', 'ltd', 'corp', 'corporation', 'company', 'group', 'and', 'a', 'an', 'of']);
+
+function hostOf(url) {
+    try {
+        return new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+        return String(url || '').toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split(/[/?#]/)[0];
+    }
+}
+
+/**
+ * Domain a company registers - www.eu.acme.co.uk → acme.co.uk
+ */
+function registrableDomain(url) {
+    const host = hostOf(url);
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(host)) return host;
+    const labels = host.split('.').filter(Boolean);
+    if (labels.length <= 2) return labels.join('.');
+    const secondLevel = labels[labels.length - 2];
+    const keep = SECOND_LEVEL_SUFFIXES.has(secondLevel) && labels[labels.length - 1].length === 2 ? 3 : 2;
+    return labels.slice(-keep).join('.');
+}
+
+function decodeEntities(text) {
+    return String(text || '')
+        .replace(/&amp;/g, '&')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function attribute(tag, name) {
+    const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+    return match ? match[1] : null;
+}
+
+/**
+ * { title, siteName, canonicalUrl } from the <head> of a page
+ */
+function extractPageIdentity(html, baseUrl = null) {
+    const head = String(html || '').split(/<\/head>/i)[0];
+    const title = head.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+
+    const metaTags = head.match(/<meta\b[^>]*>/gi) || [];
+    const siteNameTag = metaTags.find(tag => /(property|name)\s*=\s*["'](og:site_name|application-name)["']/i.test(tag));
+
+    const linkTags = head.match(/<link\b[^>]*>/gi) || [];
+    const canonicalTag = linkTags.find(tag => /\brel\s*=\s*["']canonical["']/i.test(tag));
+    let canonicalUrl = canonicalTag ? attribute(canonicalTag, 'href') : null;
+    if (canonicalUrl && baseUrl) {
+        try {
+            canonicalUrl = new URL(canonicalUrl, baseUrl).href;
+        } catch (error) {
+            // Keep the raw value
+        }
+    }
+
+    return {
+        title: title ? decodeEntities(title[1]) || null : null,
+        siteName: siteNameTag ? decodeEntities(attribute(siteNameTag, 'content')) || null : null,
+        canonicalUrl: canonicalUrl || null
+    };
+}
+
+function brandTokens(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => token.length > 1 && !BRAND_STOPWORDS.has(token));
+}
+
+/**
+ * Brand a snapshot presents - og:site_name, else the title segment naming the domain, else the first named segment
+ */
+function brandName(snapshot) {
+    if (snapshot.siteName) return snapshot.siteName;
+    if (!snapshot.title) return null;
+
+    const label = registrableDomain(snapshot.finalUrl || snapshot.domain).split('.')[0];
+    const segments = snapshot.title.split(TITLE_SEPARATORS);
+    return segments.find(segment => {
+        const joined = brandTokens(segment).join('');
+        return joined && (joined.includes(label) || label.includes(joined));
+    }) || segments.find(segment => brandTokens(segment).length > 0) || snapshot.title;
+}
+
+/**
+ * Fields that make two snapshots different
+ */
+function fingerprint(snapshot) {
+    return JSON.stringify([
+        snapshot.reachable,
+        snapshot.finalUrl,
+        (snapshot.redirects || []).map(hop => hop.url),
+        snapshot.title,
+        snapshot.siteName,
+        snapshot.canonicalUrl
+    ]);
+}
+
+function evidenceOf(snapshot) {
+    return {
+        takenAt: snapshot.lastSeenAt || snapshot.takenAt,
+        finalUrl: snapshot.finalUrl,
+        redirects: (snapshot.redirects || []).map(hop => `${hop.status || '?'} ${hop.url}`),
+        title: snapshot.title,
+        siteName: snapshot.siteName,
+        canonicalUrl: snapshot.canonicalUrl
+    };
+}
+
+/**
+ * 🔍 SIGNALS BETWEEN TWO SNAPSHOTS
+ * Unreachable snapshots are never compared - an outage is not a corporate event
+ */
+function compareSnapshots(before, after) {
+    if (!before || !after || !before.reachable || !after.reachable) return [];
+
+    const domain = after.domain;
+    const home = registrableDomain(domain);
+    const finalBefore = registrableDomain(before.finalUrl);
+    const finalAfter = registrableDomain(after.finalUrl);
+    const signals = [];
+    const signal = (type, confidence, summary, suggestedEvent = null) => signals.push({
+        type,
+        domain,
+        detectedAt: after.takenAt,
+        confidence,
+        summary,
+        evidence: { before: evidenceOf(before), after: evidenceOf(after) },
+        suggestedEvent
+    });
+
+    if (finalBefore === home && finalAfter !== home) {
+        signal(SIGNAL_TYPES.REDIRECT_STARTED, 80, `${domain} now redirects to ${finalAfter}`,
+            { type: 'full_acquisition', domain, acquirerDomain: finalAfter, brandStatus: 'absorbed' });
+    } else if (finalBefore !== home && finalAfter !== home && finalBefore !== finalAfter) {
+        signal(SIGNAL_TYPES.REDIRECT_TARGET_CHANGED, 70, `${domain} redirected to ${finalBefore}, now to ${finalAfter}`,
+            { type: 'full_acquisition', domain, acquirerDomain: finalAfter, brandStatus: 'absorbed' });
+    } else if (finalBefore !== home && finalAfter === home) {
+        signal(SIGNAL_TYPES.REDIRECT_STOPPED, 60, `${domain} no longer redirects to ${finalBefore}`,
+            { type: 'divestiture', domain, acquirerDomain: null, brandStatus: 'retained' });
+    }
+
+    // Canonical moves only count when the domain did not already signal a redirect
+    const canonicalBefore = before.canonicalUrl ? registrableDomain(before.canonicalUrl) : null;
+    const canonicalAfter = after.canonicalUrl ? registrableDomain(after.canonicalUrl) : null;
+    if (signals.length === 0 && canonicalBefore && canonicalAfter && canonicalBefore !== canonicalAfter) {
+        signal(SIGNAL_TYPES.CANONICAL_CHANGED, 65, `${domain} canonical link moved from ${canonicalBefore} to ${canonicalAfter}`,
+            canonicalAfter !== home ? { type: 'full_acquisition', domain, acquirerDomain: canonicalAfter, brandStatus: 'co_branded' } : null);
+    }
+
+    // Rebrand - none of the old brand's words appear anywhere on the new page identity
+    const brandBefore = brandName(before);
+    const brandAfter = brandName(after);
+    const previous = brandTokens(brandBefore);
+    const current = new Set(brandTokens(`${after.title || ''} ${after.siteName || ''}`));
+    if (brandBefore && brandAfter && previous.length > 0 && current.size > 0 && !previous.some(token => current.has(token))) {
+        signal(SIGNAL_TYPES.SITE_NAME_CHANGED, 60, `${domain} presents as "${brandAfter}" instead of "${brandBefore}"`,
+            { type: 'full_acquisition', domain, acquirerDomain: finalAfter !== home ? finalAfter : null, brandStatus: 'co_branded', newName: brandAfter });
+    }
+
+    return signals;
+}
+
+class DomainHistory {
+    /**
+     * @param {Object} config - domainHistoryCache (DataCache); other keys go to a new DataCache
+     */
+    constructor(config = {}) {
+        this.cache = config.domainHistoryCache || new DataCache(config);
+    }
+
+    /**
+     * 📖 DOMAIN RECORD - { domain, snapshots: [oldest → newest], signals: [oldest → newest] }
+     */
+    async getRecord(domain) {
+        const key = hostOf(domain);
+        if (!key) return null;
+        const stored = await this.cache.get('domainhistory', key);
+        return stored || { domain: key, snapshots: [], signals: [] };
+    }
+
+    /**
+     * 📸 RECORD A SNAPSHOT
+     * @param {Object} snapshot - { domain, inputUrl, finalUrl, redirects: [{ url, status }], status, title, siteName, canonicalUrl, reachable, error }
+     * @returns {Promise<{ snapshot, previous, signals }>} signals new since the last reachable snapshot
+     */
+    async record(snapshot) {
+        const domain = hostOf(snapshot.domain || snapshot.inputUrl);
+        const now = snapshot.takenAt || new Date().toISOString();
+        const current = { ...snapshot, domain, takenAt: now, firstSeenAt: now, lastSeenAt: now, seenCount: 1 };
+
+        try {
+            const record = await this.getRecord(domain);
+            const previous = [...record.snapshots].reverse().find(candidate => candidate.reachable) || null;
+            const last = record.snapshots[record.snapshots.length - 1];
+
+            let signals = [];
+            if (last && fingerprint(last) === fingerprint(current)) {
+                // Nothing changed since the last run - extend the existing snapshot
+                last.lastSeenAt = now;
+                last.seenCount = (last.seenCount || 1) + 1;
+            } else {
+                signals = compareSnapshots(previous, current);
+                record.snapshots = [...record.snapshots, current].slice(-MAX_SNAPSHOTS);
+                record.signals = [...(record.signals || []), ...signals].slice(-MAX_SIGNALS);
+            }
+            record.updatedAt = now;
+
+            await this.cache.set('domainhistory', domain, record, null, { domain });
+            signals.forEach(found => console.log(`   🕰️ Domain signal: ${found.summary} (${found.type}, ${found.confidence}%)`));
+            return { snapshot: current, previous, signals };
+        } catch (error) {
+            // History is best effort - never fail the resolution that produced the snapshot
+            console.log(`   ⚠️ Domain history error: ${error.message}`);
+            return { snapshot: current, previous: null, signals: [] };
+        }
+    }
+
+    /**
+     * 🚩 STORED SIGNALS - newest first
+     */
+    async signals(domain, { since = null } = {}) {
+        const record = await this.getRecord(domain);
+        if (!record) return [];
+        return (record.signals || [])
+            .filter(found => !since || found.detectedAt >= since)
+            .reverse();
+    }
+}
+
+module.exports = {
+    DomainHistory,
+    extractPageIdentity,
+    compareSnapshots,
+    registrableDomain,
+    SIGNAL_TYPES
+};
@@ -0,0 +1,165 @@
+/**
+ * 📮 EMAIL DELIVERABILITY MODULE
+ *
+ * Turns verifier verdicts into one deliverability class and tracks catch-all (accept-all) domains:
+ * - valid:           a verifier confirmed the mailbox on a domain that rejects unknown addresses
+ * - catch_all_risky: the domain accepts every address, so a "valid" verdict proves nothing
+ * - invalid:         the mailbox was rejected (invalid, spamtrap, abuse, do_not_mail)
+ * - unknown:         no verdict, or the verifier could not tell
+ *
+ * A domain is known catch-all when a verifier says so (ZeroBounce status catch-all,
+ * MyEmailVerifier catch_all) or when a probe address that cannot exist verifies. Verdicts are
+ * cached per domain in DataCache (the 'zerobounce-catchall' policy row, 7 days - verdicts from any
+ * verifier share it, catch-all settings flip).
+ * Generated addresses on catch-all domains never report more than CATCH_ALL_CONFIDENCE_CAP.
+ */
+
+const crypto = require('crypto');
+const { DataCache } = require('./DataCache');
+
+const DELIVERABILITY = {
+    VALID: 'valid',
+    CATCH_ALL_RISKY: 'catch_all_risky',
+    INVALID: 'invalid',
+    UNKNOWN: 'unknown'
+};
+
+const CATCH_ALL_STATUSES = ['catch-all', 'catch_all', 'catch all', 'catchall', 'accept_all', 'accept-all'];
+const VALID_STATUSES = ['valid', 'triangulated_valid', 'api_verified'];
+const INVALID_STATUSES = ['invalid', 'triangulated_invalid', 'spamtrap', 'abuse', 'do_not_mail'];
+
+/**
+ * Domain of an address - "Jane@Acme.com" → "acme.com"
+ */
+function emailDomain(email) {
+    return String(email || '').split('@')[1]?.trim().toLowerCase() || '';
+}
+
+/**
+ * True when a verdict itself says the domain accepts everything
+ */
+function isCatchAllVerdict(validation) {
+    const status = String(validation?.result || '').toLowerCase();
+    return CATCH_ALL_STATUSES.includes(status) || validation?.catchAll === true;
+}
+
+/**
+ * 📮 CLASSIFY A VERIFICATION RESULT
+ * @param {Object} validation - { isValid, result, catchAll? }
+ * @param {Object} [options]
+ * @param {boolean|null} [options.catchAllDomain] - known catch-all status of the address's domain
+ * @returns {string} DELIVERABILITY value
+ */
+function classifyDeliverability(validation, { catchAllDomain = null } = {}) {
+    if (!validation) return DELIVERABILITY.UNKNOWN;
+
+    const status = String(validation.result || '').toLowerCase();
+    if (INVALID_STATUSES.includes(status)) return DELIVERABILITY.INVALID;
+    if (isCatchAllVerdict(validation)) return DELIVERABILITY.CATCH_ALL_RISKY;
+
+    if (validation.isValid && VALID_STATUSES.includes(status)) {
+        return catchAllDomain ? DELIVERABILITY.CATCH_ALL_RISKY : DELIVERABILITY.VALID;
+    }
+    return DELIVERABILITY.UNKNOWN;
+}
+
+class CatchAllDetector {
+    /**
+     * @param {Object} config - catchAllCache (DataCache), CATCH_ALL_CONFIDENCE_CAP (40),
+     *   CATCH_ALL_PROBE ('false' disables probing)
+     */
+    constructor(config = {}) {
+        this.config = {
+            CATCH_ALL_CONFIDENCE_CAP: Number(config.CATCH_ALL_CONFIDENCE_CAP || process.env.CATCH_ALL_CONFIDENCE_CAP || 40),
+            CATCH_ALL_PROBE: String(config.CATCH_ALL_PROBE ?? process.env.CATCH_ALL_PROBE ?? 'true') !== 'false'
+        };
+
+        this.cache = config.catchAllCache || new DataCache(config);
+        this.domains = new Map();
+    }
+
+    /**
+     * Known catch-all status - true / false, or null when the domain has not been checked
+     */
+    async isCatchAll(domain) {
+        const key = String(domain || '').toLowerCase();
+        if (!key) return null;
+        if (this.domains.has(key)) return this.domains.get(key).catchAll;
+
+        const cached = await this.cache.get('zerobounce-catchall', key);
+        this.domains.set(key, cached || { catchAll: null });
+        return cached ? cached.catchAll : null;
+    }
+
+    async record(domain, catchAll, source) {
+        const key = String(domain || '').toLowerCase();
+        if (!key) return;
+
+        if (this.domains.get(key)?.catchAll === catchAll) return;
+
+        const entry = { domain: key, catchAll, source, checkedAt: new Date().toISOString() };
+        this.domains.set(key, entry);
+        console.log(`   📮 ${key}: ${catchAll ? 'catch-all domain - guessed addresses cannot be verified' : 'rejects unknown addresses'} (${source})`);
+        await this.cache.set('zerobounce-catchall', key, entry, null, { domain: key });
+    }
+
+    /**
+     * Learn from any verdict - a catch-all answer marks the domain, a definite rejection clears it
+     */
+    async observe(email, validation) {
+        const domain = emailDomain(email);
+        if (!domain || !validation) return;
+
+        if (isCatchAllVerdict(validation)) {
+            await this.record(domain, true, validation.source || validation.provider || 'verifier');
+        } else if (String(validation.result || '').toLowerCase() === 'invalid' && await this.isCatchAll(domain) === null) {
+            await this.record(domain, false, validation.source || validation.provider || 'verifier');
+        }
+    }
+
+    /**
+     * 🧪 PROBE A DOMAIN - verify an address that cannot exist; accepting it means catch-all
+     * One verification per domain per TTL. Unknown answers leave the domain unchecked.
+     * @param {string} domain
+     * @param {Function} verify - async (email) => validation result
+     * @returns {Promise<boolean|null>}
+     */
+    async probe(domain, verify) {
+        const known = await this.isCatchAll(domain);
+        if (known !== null || !this.config.CATCH_ALL_PROBE) return known;
+
+        const probeEmail = `zz-${crypto.randomBytes(6).toString('hex')}@${domain}`;
+        console.log(`   🧪 Catch-all probe: ${probeEmail}`);
+        const validation = await verify(probeEmail);
+        const status = String(validation?.result || '').toLowerCase();
+
+        // verify() may already have recorded the domain from a verdict it saw along the way
+        const observed = await this.isCatchAll(domain);
+        if (observed !== null) return observed;
+
+        if (isCatchAllVerdict(validation) || (validation?.isValid && VALID_STATUSES.includes(status))) {
+            await this.record(domain, true, 'probe');
+            return true;
+        }
+        if (INVALID_STATUSES.includes(status)) {
+            await this.record(domain, false, 'probe');
+            return false;
+        }
+        return null;
+    }
+
+    /**
+     * Confidence ceiling for a generated address on a catch-all domain
+     */
+    capConfidence(confidence) {
+        return Math.min(confidence || 0, this.config.CATCH_ALL_CONFIDENCE_CAP);
+    }
+}
+
+module.exports = {
+    CatchAllDetector,
+    DELIVERABILITY,
+    classifyDeliverability,
+    isCatchAllVerdict,
+    emailDomain
+};
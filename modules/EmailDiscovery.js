@@ -11,7 +11,9 @@
  * 5. Cost optimization
  */
 
-const fetch = require('node-fetch');
+const { createProviders } = require('./providers/ProviderRegistry');
+const { ConsensusEngine } = require('./ConsensusEngine');
+const { lookupName } = require('./PersonName');
 
 class EmailDiscovery {
     constructor(config = {}) {
@@ -23,6 +25,8 @@ class EmailDiscovery {
             ...config
         };
 
+        this.providers = createProviders(this.config);
+        this.consensus = new ConsensusEngine(this.config);
         this.emailCache = new Map();
         this.enrichmentStats = {
             prospeoSearches: 0,
@@ -162,8 +166,8 @@ class EmailDiscovery {
     async verifyExistingEmail(email) {
         console.log(`   ✅ Verifying existing email: ${email}`);
         
-        // Use waterfall validation (ZeroBounce preferred, MyEmailVerifier fallback)
-        if (this.config.ZEROBOUNCE_API_KEY) {
+        // Use waterfall validation (ZeroBounce preferred, MyEmailVerifier fallback and only validator past the soft budget)
+        if (this.config.ZEROBOUNCE_API_KEY && this.providers.zerobounce.withinBudget()) {
             const zbResult = await this.validateWithZeroBounce(email);
             if (zbResult.confidence >= 90) {
                 return { ...zbResult, cost: 0.001 }; // ZeroBounce cost estimate
@@ -198,56 +202,36 @@ class EmailDiscovery {
             }
 
             // Parse name for API
-            const nameParts = executiveData.name.trim().split(' ');
-            const firstName = nameParts[0] || '';
-            const lastName = nameParts[nameParts.length - 1] || '';
+            const { firstName, lastName } = lookupName(executiveData.name);
             
             // Extract domain from company website
             const domain = companyData.website 
                 ? companyData.website.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0]
                 : companyData.domain;
 
-            const response = await fetch('https://api.prospeo.io/email-finder', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-KEY': this.config.PROSPEO_API_KEY
-                },
-                body: JSON.stringify({
-                    first_name: firstName,
-                    last_name: lastName,
-                    company_domain: domain
-                }),
-                timeout: 15000
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                this.enrichmentStats.prospeoSearches++;
-                
-                const emails = [];
-                if (data.email && data.email.email) {
-                    emails.push({
-                        email: data.email.email,
-                        isValid: data.email.verification?.result === 'deliverable',
-                        confidence: this.calculateProspeoConfidence(data.email.verification),
-                        source: 'prospeo',
-                        pattern: data.email.email_pattern,
-                        verification: data.email.verification,
-                        cost: 0.0198,
-                        timestamp: new Date().toISOString()
-                    });
-                }
-
-                return {
-                    emails: emails,
-                    confidence: emails.length > 0 ? emails[0].confidence : 0,
-                    cost: emails.length > 0 ? 0.0198 : 0,
-                    method: 'prospeo_search'
-                };
-            } else {
-                console.log(`   ⚠️ Prospeo API error: ${response.status}`);
+            const data = await this.providers.prospeo.findEmail({ firstName, lastName, domain });
+            this.enrichmentStats.prospeoSearches++;
+            
+            const emails = [];
+            if (data.email) {
+                emails.push({
+                    email: data.email,
+                    isValid: data.verification?.result === 'deliverable',
+                    confidence: this.calculateProspeoConfidence(data.verification),
+                    source: 'prospeo',
+                    pattern: data.pattern,
+                    verification: data.verification,
+                    cost: 0.0198,
+                    timestamp: new Date().toISOString()
+                });
             }
+
+            return {
+                emails: emails,
+                confidence: emails.length > 0 ? emails[0].confidence : 0,
+                cost: emails.length > 0 ? 0.0198 : 0,
+                method: 'prospeo_search'
+            };
         } catch (error) {
             console.log(`   ❌ Prospeo search error: ${error.message}`);
         }
@@ -269,60 +253,33 @@ class EmailDiscovery {
             }
 
             // Parse name for API
-            const nameParts = executiveData.name.trim().split(' ');
-            const firstName = nameParts[0] || '';
-            const lastName = nameParts[nameParts.length - 1] || '';
-
-            const response = await fetch('https://api.dropcontact.com/v1/enrich/all', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Access-Token': this.config.DROPCONTACT_API_KEY
-                },
-                body: JSON.stringify({
-                    data: [{
-                        first_name: firstName,
-                        last_name: lastName,
-                        company: companyData.name,
-                        website: companyData.website
-                    }]
-                }),
-                timeout: 20000
+            const { firstName, lastName } = lookupName(executiveData.name);
+
+            const data = await this.providers.dropcontact.enrichContact({
+                firstName,
+                lastName,
+                company: companyData.name,
+                website: companyData.website
             });
+            this.enrichmentStats.dropcontactEnrichments++;
+            
+            const emails = data.emails.map(emailObj => ({
+                email: emailObj.email,
+                isValid: emailObj.qualification === 'correct',
+                confidence: this.calculateDropcontactConfidence(emailObj),
+                source: 'dropcontact',
+                qualification: emailObj.qualification,
+                qualification_result: emailObj.qualificationResult,
+                cost: 0.02,
+                timestamp: new Date().toISOString()
+            }));
 
-            if (response.ok) {
-                const data = await response.json();
-                this.enrichmentStats.dropcontactEnrichments++;
-                
-                const emails = [];
-                if (data.data && data.data.length > 0) {
-                    const enrichedData = data.data[0];
-                    
-                    if (enrichedData.email && enrichedData.email.length > 0) {
-                        enrichedData.email.forEach(emailObj => {
-                            emails.push({
-                                email: emailObj.email,
-                                isValid: emailObj.qualification === 'correct',
-                                confidence: this.calculateDropcontactConfidence(emailObj),
-                                source: 'dropcontact',
-                                qualification: emailObj.qualification,
-                                qualification_result: emailObj.qualification_result,
-                                cost: 0.02,
-                                timestamp: new Date().toISOString()
-                            });
-                        });
-                    }
-                }
-
-                return {
-                    emails: emails,
-                    confidence: emails.length > 0 ? Math.max(...emails.map(e => e.confidence)) : 0,
-                    cost: emails.length > 0 ? 0.02 : 0,
-                    method: 'dropcontact_enrichment'
-                };
-            } else {
-                console.log(`   ⚠️ Dropcontact API error: ${response.status}`);
-            }
+            return {
+                emails: emails,
+                confidence: emails.length > 0 ? Math.max(...emails.map(e => e.confidence)) : 0,
+                cost: emails.length > 0 ? 0.02 : 0,
+                method: 'dropcontact_enrichment'
+            };
         } catch (error) {
             console.log(`   ❌ Dropcontact enrichment error: ${error.message}`);
         }
@@ -373,69 +330,52 @@ class EmailDiscovery {
     /**
      * 🎯 TRIANGULATE EMAIL RESULTS
      * 
-     * Intelligently combines results from multiple providers
+     * Groups results by address and scores each with the consensus engine
+     * (source reliability + agreement bonus); the most recent result names the primary source
      */
     triangulateEmailResults(emailResults) {
         if (emailResults.length === 0) return [];
 
-        // Group by email address
-        const emailMap = new Map();
-        
-        emailResults.forEach(result => {
-            const email = result.email.toLowerCase();
-            
-            if (emailMap.has(email)) {
-                const existing = emailMap.get(email);
-                
-                // Combine confidence scores (weighted average)
-                const totalWeight = existing.sourceCount + 1;
-                existing.confidence = Math.round(
-                    (existing.confidence * existing.sourceCount + result.confidence) / totalWeight
-                );
-                existing.sourceCount = totalWeight;
-                existing.sources.push(result.source);
-                existing.triangulated = true;
-                
-                // Prefer more recent data
-                const existingTime = new Date(existing.timestamp);
-                const resultTime = new Date(result.timestamp);
-                if (resultTime > existingTime) {
-                    existing.timestamp = result.timestamp;
-                    existing.primarySource = result.source;
-                }
-                
-                // Boost confidence for consensus
-                if (existing.isValid === result.isValid) {
-                    existing.confidence = Math.min(98, existing.confidence + 5);
-                    existing.consensus = true;
-                }
-                
-            } else {
-                emailMap.set(email, {
-                    ...result,
-                    sources: [result.source],
-                    sourceCount: 1,
-                    primarySource: result.source,
-                    triangulated: false,
-                    consensus: false
-                });
+        const decision = this.consensus.decide('email', emailResults.map(result => ({
+            value: result.email,
+            source: result.source,
+            confidence: result.confidence,
+            result
+        })));
+
+        const triangulatedEmails = decision.ranked.map(entry => {
+            const results = entry.candidates.map(candidate => candidate.result);
+            const latest = results.reduce((newest, current) =>
+                new Date(current.timestamp || 0) > new Date(newest.timestamp || 0) ? current : newest
+            );
+
+            return {
+                ...results[0],
+                timestamp: latest.timestamp,
+                confidence: entry.confidence,
+                sources: results.map(result => result.source),
+                sourceCount: results.length,
+                primarySource: latest.source,
+                triangulated: results.length > 1,
+                consensus: entry.providers.length > 1 && results.every(result => result.isValid === results[0].isValid),
+                consensusProviders: entry.providers
+            };
+        });
+
+        triangulatedEmails.sort((a, b) => {
+            // Prioritize valid emails
+            if (a.isValid !== b.isValid) {
+                return b.isValid - a.isValid;
+            }
+            // Then by confidence
+            if (a.confidence !== b.confidence) {
+                return b.confidence - a.confidence;
             }
+            // Then by source count (more sources = better)
+            return b.sourceCount - a.sourceCount;
         });
 
-        // Convert to array and sort by confidence
-        const triangulatedEmails = Array.from(emailMap.values())
-            .sort((a, b) => {
-                // Prioritize valid emails
-                if (a.isValid !== b.isValid) {
-                    return b.isValid - a.isValid;
-                }
-                // Then by confidence
-                if (a.confidence !== b.confidence) {
-                    return b.confidence - a.confidence;
-                }
-                // Then by source count (more sources = better)
-                return b.sourceCount - a.sourceCount;
-            });
+        decision.explanation.forEach(line => console.log(`   🗳️ ${line}`));
 
         return triangulatedEmails;
     }
@@ -484,25 +424,18 @@ class EmailDiscovery {
                 return { email, isValid: false, confidence: 0, result: 'no_api_key', source: 'zerobounce' };
             }
 
-            const response = await fetch(
-                `https://api.zerobounce.net/v2/validate?api_key=${this.config.ZEROBOUNCE_API_KEY}&email=${encodeURIComponent(email)}`,
-                { method: 'GET', timeout: 10000 }
-            );
-
-            if (response.ok) {
-                const data = await response.json();
-                const isValid = data.status === 'valid';
-                const confidence = this.calculateZeroBounceConfidence(data.status, data.sub_status);
-                
-                return {
-                    email,
-                    isValid,
-                    confidence,
-                    result: data.status,
-                    subStatus: data.sub_status,
-                    source: 'zerobounce'
-                };
-            }
+            const data = await this.providers.zerobounce.validate(email);
+            const isValid = data.status === 'valid';
+            const confidence = this.calculateZeroBounceConfidence(data.status, data.subStatus);
+            
+            return {
+                email,
+                isValid,
+                confidence,
+                result: data.status,
+                subStatus: data.subStatus,
+                source: 'zerobounce'
+            };
         } catch (error) {
             console.log(`   ⚠️ ZeroBounce validation error: ${error.message}`);
         }
@@ -516,24 +449,17 @@ class EmailDiscovery {
                 return { email, isValid: false, confidence: 0, result: 'no_api_key', source: 'myemailverifier' };
             }
 
-            const response = await fetch(
-                `https://client.myemailverifier.com/verifier/validate_single/${encodeURIComponent(email)}/${this.config.MYEMAILVERIFIER_API_KEY}`,
-                { method: 'GET', timeout: 10000 }
-            );
-
-            if (response.ok) {
-                const data = await response.json();
-                const isValid = data.Status === 'Valid';
-                const confidence = this.calculateMyEmailVerifierConfidence(data);
-                
-                return {
-                    email,
-                    isValid,
-                    confidence,
-                    result: data.Status,
-                    source: 'myemailverifier'
-                };
-            }
+            const data = await this.providers.myemailverifier.validate(email);
+            const isValid = data.status === 'Valid';
+            const confidence = this.calculateMyEmailVerifierConfidence(data.raw);
+            
+            return {
+                email,
+                isValid,
+                confidence,
+                result: data.status,
+                source: 'myemailverifier'
+            };
         } catch (error) {
             console.log(`   ⚠️ MyEmailVerifier validation error: ${error.message}`);
         }
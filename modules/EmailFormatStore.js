@@ -0,0 +1,275 @@
+/**
+ * 📬 EMAIL FORMAT STORE MODULE
+ *
+ * Learns each domain's email convention (first.last, flast, ...) from verified addresses:
+ * 1. Every verified email is matched against the known formats for its owner's name
+ * 2. Per domain and segment (executive / staff) the store counts verified and failed addresses per format
+ * 3. Lookups rank the learned formats and build candidate addresses for a new person
+ *
+ * Executives often use a different convention from general staff (first.last for everyone,
+ * first@ for the CEO), so each segment is learned separately; a segment with no data falls back
+ * to the other one at a discount and is never trusted enough to skip verification.
+ *
+ * confidence = verified(format) / (verified(segment) + failed(format) + EMAIL_FORMAT_PRIOR)
+ * A format is trusted - callers may skip paid verification - at EMAIL_FORMAT_TRUST_CONFIDENCE
+ * with at least EMAIL_FORMAT_MIN_SAMPLES verified addresses.
+ *
+ * Records live in DataCache under service 'emailformat' (TTL policy: config/cache-ttl-policy.js),
+ * so they persist on any cache backend and are purged with the company's domain.
+ * Pipelines share one store between their modules (config.emailFormats). Every learn() re-reads
+ * the stored record before adding its count, and writes for a domain go one at a time within the
+ * process, so a stale copy never overwrites counts learned elsewhere.
+ */
+
+const { DataCache } = require('./DataCache');
+const { emailNameParts, emailToken } = require('./PersonName');
+const { normalizeTitle } = require('./RoleTaxonomy');
+
+const EMAIL_SEGMENTS = {
+    EXECUTIVE: 'executive',
+    STAFF: 'staff'
+};
+
+// Local part builders - n: { first, last, middle } (lowercase letters only)
+const EMAIL_FORMATS = {
+    'first.last': n => `${n.first}.${n.last}`,
+    'firstlast': n => `${n.first}${n.last}`,
+    'first_last': n => `${n.first}_${n.last}`,
+    'first-last': n => `${n.first}-${n.last}`,
+    'flast': n => `${n.first[0]}${n.last}`,
+    'f.last': n => `${n.first[0]}.${n.last}`,
+    'firstl': n => `${n.first}${n.last[0]}`,
+    'first.l': n => `${n.first}.${n.last[0]}`,
+    'lastf': n => `${n.last}${n.first[0]}`,
+    'last.first': n => `${n.last}.${n.first}`,
+    'lastfirst': n => `${n.last}${n.first}`,
+    'first': n => n.first,
+    'last': n => n.last,
+    'f.m.last': n => n.middle ? `${n.first[0]}.${n.middle[0]}.${n.last}` : null,
+    'first.m.last': n => n.middle ? `${n.first}.${n.middle[0]}.${n.last}` : null,
+    'fmlast': n => n.middle ? `${n.first[0]}${n.middle[0]}${n.last}` : null
+};
+
+// C-level, VPs and above - everyone else learns into the staff segment
+// Tested on the role taxonomy's normalized title, so "C.F.O." and "S.V.P." count
+const EXECUTIVE_TITLE_PATTERN = /\b(chief|president|vice president|founder|owner|partner|general counsel|treasurer|managing director|head of)\b/i;
+
+/**
+ * Letters-only name token - accents transliterated, hyphens and apostrophes dropped ("O'Brien-Smith" → "obriensmith")
+ */
+function normalizeNameToken(token) {
+    return emailToken(token);
+}
+
+/**
+ * { first, last, middle } from a full name or a ContactValidator.parseFullName() result
+ * Full names go through modules/PersonName.js - "Dr. J. Michael O'Neil Jr." → michael / oneil
+ */
+function toNameParts(name) {
+    if (name && typeof name === 'object') {
+        return {
+            first: normalizeNameToken(name.firstName || name.first),
+            last: normalizeNameToken(name.lastName || name.last),
+            middle: normalizeNameToken(name.middleName || name.middle)
+        };
+    }
+
+    const { firstName, lastName, middleName } = emailNameParts(name);
+    return { first: firstName, last: lastName, middle: middleName };
+}
+
+/**
+ * Segment for a person's title - executive unless the title clearly is not
+ */
+function segmentForTitle(title) {
+    if (!title) return EMAIL_SEGMENTS.EXECUTIVE;
+    return EXECUTIVE_TITLE_PATTERN.test(normalizeTitle(title)) ? EMAIL_SEGMENTS.EXECUTIVE : EMAIL_SEGMENTS.STAFF;
+}
+
+/**
+ * Format of an address for a name, or null when it matches none (nicknames, numbered mailboxes)
+ */
+function detectEmailFormat(email, name) {
+    const localPart = String(email || '').split('@')[0].toLowerCase();
+    const parts = toNameParts(name);
+    if (!localPart || !parts.first || !parts.last) return null;
+
+    // Most specific first so "first" never shadows "first.last" for one-letter names
+    const match = Object.entries(EMAIL_FORMATS)
+        .map(([format, build]) => [format, build(parts)])
+        .filter(([, local]) => local)
+        .sort((a, b) => b[1].length - a[1].length)
+        .find(([, local]) => local === localPart);
+    return match ? match[0] : null;
+}
+
+// Pending learn() writes per domain, shared by every store in the process
+const pendingWrites = new Map();
+
+function emptySegment() {
+    return { formats: {}, verified: 0, failed: 0 };
+}
+
+class EmailFormatStore {
+    /**
+     * @param {Object} config - emailFormatCache (DataCache), EMAIL_FORMAT_TRUST_CONFIDENCE (85),
+     *   EMAIL_FORMAT_MIN_SAMPLES (3), EMAIL_FORMAT_PRIOR (0.5), EMAIL_FORMAT_FALLBACK_DISCOUNT (0.8)
+     */
+    constructor(config = {}) {
+        this.config = {
+            EMAIL_FORMAT_TRUST_CONFIDENCE: Number(config.EMAIL_FORMAT_TRUST_CONFIDENCE || process.env.EMAIL_FORMAT_TRUST_CONFIDENCE || 85),
+            EMAIL_FORMAT_MIN_SAMPLES: Number(config.EMAIL_FORMAT_MIN_SAMPLES || process.env.EMAIL_FORMAT_MIN_SAMPLES || 3),
+            EMAIL_FORMAT_PRIOR: config.EMAIL_FORMAT_PRIOR ?? 0.5,
+            EMAIL_FORMAT_FALLBACK_DISCOUNT: config.EMAIL_FORMAT_FALLBACK_DISCOUNT ?? 0.8
+        };
+
+        this.cache = config.emailFormatCache || new DataCache(config);
+        this.records = new Map();
+    }
+
+    static normalizeDomain(domain) {
+        return String(domain || '').toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
+    }
+
+    /**
+     * 📖 DOMAIN RECORD - { domain, segments: { executive, staff }, updatedAt }
+     */
+    async getRecord(domain) {
+        const key = EmailFormatStore.normalizeDomain(domain);
+        if (!key) return null;
+        if (this.records.has(key)) return this.records.get(key);
+
+        const stored = await this.cache.get('emailformat', key);
+        const record = stored || { domain: key, segments: {}, updatedAt: null };
+        this.records.set(key, record);
+        return record;
+    }
+
+    /**
+     * 🧠 LEARN FROM ONE ADDRESS
+     *
+     * @param {Object} observation
+     * @param {string} observation.email - address whose deliverability is known
+     * @param {string|Object} observation.name - owner's full name or parsed name parts
+     * @param {boolean} [observation.verified=true] - false records a failed (undeliverable) guess
+     * @param {string} [observation.title] - picks the segment when segment is not given
+     * @param {string} [observation.segment] - executive | staff
+     * @param {string} [observation.source] - who verified it (zerobounce, cross-validation, ...)
+     * @returns {Promise<string|null>} the learned format, or null when the address matches none
+     */
+    async learn({ email, name, verified = true, title = null, segment = null, source = null }) {
+        const domain = EmailFormatStore.normalizeDomain(String(email || '').split('@')[1]);
+        const format = detectEmailFormat(email, name);
+        if (!domain || !format) return null;
+
+        // Queue behind earlier writes for the domain from any store
+        const previous = pendingWrites.get(domain) || Promise.resolve();
+        const write = previous.then(() => this.addObservation(domain, format, { verified, segment: segment || segmentForTitle(title), source }));
+        pendingWrites.set(domain, write);
+        await write;
+        if (pendingWrites.get(domain) === write) pendingWrites.delete(domain);
+        return format;
+    }
+
+    /**
+     * Add one observation to the stored record - read fresh, never from this store's memo
+     */
+    async addObservation(domain, format, { verified, segment: segmentKey, source }) {
+        try {
+            const stored = await this.cache.get('emailformat', domain);
+            const record = stored || { domain, segments: {}, updatedAt: null };
+            const bucket = record.segments[segmentKey] = record.segments[segmentKey] || emptySegment();
+            const counts = bucket.formats[format] = bucket.formats[format] || { verified: 0, failed: 0, lastVerifiedAt: null, sources: {} };
+
+            if (verified) {
+                counts.verified++;
+                bucket.verified++;
+                counts.lastVerifiedAt = new Date().toISOString();
+                if (source) counts.sources[source] = (counts.sources[source] || 0) + 1;
+            } else {
+                counts.failed++;
+                bucket.failed++;
+            }
+            record.updatedAt = new Date().toISOString();
+
+            await this.cache.set('emailformat', record.domain, record, null, { domain: record.domain });
+            this.records.set(domain, record);
+            console.log(`   📬 Email format ${verified ? 'learned' : 'rejected'}: ${record.domain} ${segmentKey} ${format}`);
+        } catch (error) {
+            // Learning is best effort - never fail the lookup that produced the address
+            console.log(`   ⚠️ Email format store error: ${error.message}`);
+        }
+    }
+
+    /**
+     * 📊 RANKED FORMATS FOR A DOMAIN
+     * @returns {Promise<Object[]>} [{ format, confidence, verified, failed, segment, fallback, trusted }]
+     */
+    async getFormats(domain, { segment = EMAIL_SEGMENTS.EXECUTIVE } = {}) {
+        const record = await this.getRecord(domain);
+        if (!record) return [];
+
+        const own = record.segments[segment];
+        const otherKey = segment === EMAIL_SEGMENTS.EXECUTIVE ? EMAIL_SEGMENTS.STAFF : EMAIL_SEGMENTS.EXECUTIVE;
+        const [bucket, fallback] = own?.verified > 0 ? [own, false] : [record.segments[otherKey], true];
+        if (!bucket || bucket.verified === 0) return [];
+
+        return Object.entries(bucket.formats)
+            .filter(([, counts]) => counts.verified > 0)
+            .map(([format, counts]) => {
+                let confidence = 100 * counts.verified / (bucket.verified + counts.failed + this.config.EMAIL_FORMAT_PRIOR);
+                if (fallback) confidence *= this.config.EMAIL_FORMAT_FALLBACK_DISCOUNT;
+                confidence = Math.round(confidence);
+
+                return {
+                    format,
+                    confidence,
+                    verified: counts.verified,
+                    failed: counts.failed,
+                    segment: fallback ? otherKey : segment,
+                    fallback,
+                    trusted: !fallback
+                        && confidence >= this.config.EMAIL_FORMAT_TRUST_CONFIDENCE
+                        && counts.verified >= this.config.EMAIL_FORMAT_MIN_SAMPLES
+                };
+            })
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * 🎯 CANDIDATE ADDRESSES FROM LEARNED FORMATS
+     * @returns {Promise<Object[]>} [{ email, format, confidence, trusted, segment, fallback }] best first
+     */
+    async suggest(domain, name, options = {}) {
+        const parts = toNameParts(name);
+        const key = EmailFormatStore.normalizeDomain(domain);
+        if (!key || !parts.first || !parts.last) return [];
+
+        const formats = await this.getFormats(key, options);
+        return formats
+            .map(entry => {
+                const local = EMAIL_FORMATS[entry.format](parts);
+                return local ? { ...entry, email: `${local}@${key}` } : null;
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Formats where executives and staff disagree - { executive: 'first', staff: 'first.last' } or null
+     */
+    async getSplitConvention(domain) {
+        const [executive] = await this.getFormats(domain, { segment: EMAIL_SEGMENTS.EXECUTIVE });
+        const [staff] = await this.getFormats(domain, { segment: EMAIL_SEGMENTS.STAFF });
+        if (!executive || !staff || executive.fallback || staff.fallback || executive.format === staff.format) return null;
+        return { executive: executive.format, staff: staff.format };
+    }
+}
+
+module.exports = {
+    EmailFormatStore,
+    EMAIL_FORMATS,
+    EMAIL_SEGMENTS,
+    detectEmailFormat,
+    segmentForTitle,
+    toNameParts
+};
@@ -13,7 +13,7 @@
  * Critical for acquisitions where executives may use multiple emails
  */
 
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
 
 class EmailTransitionTracker {
     constructor(config = {}) {
@@ -8,7 +8,12 @@
  * - Optimized for accuracy and cost efficiency
  */
 
-const fetch = require('node-fetch');
+const { createProviders, PROVIDER_ERROR_KINDS, fetchedAtOf } = require('./providers/ProviderRegistry');
+const { createProvenance, PROVENANCE_KINDS } = require('./FieldProvenance');
+const { ConsensusEngine } = require('./ConsensusEngine');
+const { EmailFormatStore } = require('./EmailFormatStore');
+const { lookupName, emailToken } = require('./PersonName');
+const { canonicalLinkedInUrl, linkedInOf } = require('./IdentityResolver');
 
 class ExecutiveContactIntelligence {
     constructor(config = {}) {
@@ -16,11 +21,13 @@ class ExecutiveContactIntelligence {
             CORESIGNAL_API_KEY: config.CORESIGNAL_API_KEY || process.env.CORESIGNAL_API_KEY,
             LUSHA_API_KEY: config.LUSHA_API_KEY || process.env.LUSHA_API_KEY,
             PERPLEXITY_API_KEY: config.PERPLEXITY_API_KEY || process.env.PERPLEXITY_API_KEY,
-            BASE_URL: 'https://api.coresignal.com/cdapi/v2',
             MAX_RETRIES: 2,
             RATE_LIMIT_DELAY: 100,  // Reduced from 1000ms to 100ms
             ...config
         };
+        this.providers = createProviders(this.config);
+        this.consensus = new ConsensusEngine(this.config);
+        this.emailFormats = this.config.emailFormats || new EmailFormatStore(this.config);
         this.creditsUsed = 0;
     }
 
@@ -145,7 +152,7 @@ class ExecutiveContactIntelligence {
                         const name = exec.member_full_name || exec.full_name || exec.name || exec.executive_name || 'Unknown';
                         const title = exec.member_position_title || exec.title || exec.job_title || exec.position || 'Unknown';
                         const email = exec.member_professional_email || exec.professional_email || exec.email || exec.work_email || null;
-                        const linkedIn = exec.member_linkedin_url || exec.linkedin_url || exec.linkedin || null;
+                        const linkedIn = linkedInOf(exec);
                         
                         return {
                             name: name,
@@ -289,9 +296,7 @@ class ExecutiveContactIntelligence {
      */
     async searchLushaExecutive(executiveName, companyName, domain, role) {
         try {
-            const nameParts = executiveName.split(' ');
-            const firstName = nameParts[0];
-            const lastName = nameParts[nameParts.length - 1];
+            const { firstName, lastName } = lookupName(executiveName);
 
             console.log(`   🔍 Enhanced executive search: ${firstName} ${lastName} (${role})`);
             console.log(`   🔍 DEBUG: Lusha search parameters - Name: ${executiveName}, Company: ${companyName}, Domain: ${domain}`);
@@ -320,7 +325,19 @@ class ExecutiveContactIntelligence {
             // STEP 3: Combine and cross-validate data from both sources
             console.log(`   🔍 STEP 3: Cross-validating data between Lusha and CoreSignal...`);
             const combinedData = this.combineExecutiveData(lushaData, coreSignalData, executiveName, role);
-            const emailValidation = this.crossValidateEmails(coreSignalData, lushaData, domain, firstName, lastName);
+            const [learnedEmail] = await this.emailFormats.suggest(domain, executiveName);
+            const emailValidation = this.crossValidateEmails(coreSignalData, lushaData, domain, firstName, lastName, learnedEmail);
+            if (emailValidation.crossValidated) {
+                await this.emailFormats.learn({ email: emailValidation.email, name: executiveName, title: role, source: 'cross-validation' });
+            }
+            const titleDecision = this.consensus.decide('title', [
+                { value: coreSignalData?.title, provider: 'coresignal' },
+                { value: lushaData?.title, provider: 'lusha' }
+            ]);
+            const linkedInDecision = this.consensus.decide('linkedIn', [
+                { value: coreSignalData?.linkedinUrl, provider: 'coresignal' },
+                { value: lushaData?.linkedinUrl, provider: 'lusha' }
+            ]);
             
             // STEP 6: Combine data sources for optimal result
             const combinedResult = {
@@ -332,11 +349,10 @@ class ExecutiveContactIntelligence {
                 // Use Lusha phone data (more comprehensive)
                 phone: lushaData?.phone || null,
                 phoneNumbers: lushaData?.phoneNumbers || [],
-                // Use CoreSignal title (more accurate) > Lusha title > role
-                title: coreSignalData?.title || lushaData?.title || role,
+                // Title and LinkedIn by source reliability (CoreSignal outranks Lusha by default) > role / generated
+                title: titleDecision.value || role,
                 company: companyName,
-                // CoreSignal LinkedIn is more reliable
-                linkedinUrl: coreSignalData?.linkedinUrl || lushaData?.linkedinUrl || this.generateLinkedInURL(firstName, lastName),
+                linkedinUrl: linkedInDecision.value || this.generateLinkedInURL(firstName, lastName),
                 // Calculate confidence based on data sources + email validation
                 confidence: this.calculateCombinedConfidence(coreSignalData, lushaData, emailValidation),
                 source: this.generateCombinedSource(coreSignalData, lushaData),
@@ -348,7 +364,8 @@ class ExecutiveContactIntelligence {
                     lusha: !!lushaData,
                     hasVerifiedEmail: !!coreSignalData?.email,
                     hasVerifiedPhone: !!(lushaData?.phoneNumbers?.length > 0)
-                }
+                },
+                provenance: this.buildContactProvenance(coreSignalData, lushaData, emailValidation, { title: titleDecision, linkedIn: linkedInDecision })
             };
             
             console.log(`   ✅ Combined result: ${combinedResult.confidence}% confidence`);
@@ -366,6 +383,56 @@ class ExecutiveContactIntelligence {
         }
     }
 
+    /**
+     * 🏷️ PER-FIELD PROVENANCE FOR A COMBINED LUSHA + CORESIGNAL RESULT
+     * Mirrors the field choices made in searchLushaExecutive. Times come from the vendor answers
+     * (cached or replayed ones keep their original time): a value was fetched with the earliest
+     * answer that supplied it, and a cross-validated one is verified once the latest is in
+     */
+    buildContactProvenance(coreSignalData, lushaData, emailValidation, decisions = {}) {
+        const module = 'ExecutiveContactIntelligence';
+        const provenance = {};
+        const decidedSource = decision => decision.agreement
+            ? 'CoreSignal + Lusha (cross-validated)'
+            : decision.providers[0] === 'coresignal' ? coreSignalData.source : 'Lusha v2 Person API';
+        const answeredAt = { coresignal: coreSignalData?.fetchedAt, lusha: lushaData?.fetchedAt };
+        const timesFor = providers => {
+            const times = providers.map(provider => answeredAt[provider]).filter(Boolean).sort();
+            return {
+                fetchedAt: times[0] || null,
+                verifiedAt: providers.length > 1 ? times[times.length - 1] || null : null
+            };
+        };
+
+        if (emailValidation?.email) {
+            provenance.email = createProvenance({
+                module,
+                provider: emailValidation.provider || null,
+                source: emailValidation.source,
+                confidence: emailValidation.confidence,
+                ...timesFor(emailValidation.provider ? emailValidation.provider.split('+') : [])
+            });
+        }
+
+        if (lushaData?.phone) {
+            provenance.phone = createProvenance({ module, provider: 'lusha', source: 'Lusha v2 Person API', fetchedAt: lushaData.fetchedAt });
+        }
+
+        if (decisions.linkedIn?.value) {
+            const { providers } = decisions.linkedIn;
+            provenance.linkedIn = createProvenance({ module, provider: providers.join('+'), source: decidedSource(decisions.linkedIn), confidence: decisions.linkedIn.confidence, ...timesFor(providers) });
+        } else {
+            provenance.linkedIn = createProvenance({ module, provider: null, source: 'generated LinkedIn URL', kind: PROVENANCE_KINDS.GENERATED });
+        }
+
+        if (decisions.title?.value) {
+            const { providers } = decisions.title;
+            provenance.title = createProvenance({ module, provider: providers.join('+'), source: decidedSource(decisions.title), confidence: decisions.title.confidence, ...timesFor(providers) });
+        }
+
+        return provenance;
+    }
+
     /**
      * 👤 SEARCH LUSHA PERSON V2 API
      */
@@ -375,65 +442,50 @@ class ExecutiveContactIntelligence {
         }
 
         try {
-            const nameParts = executiveName.split(' ');
-            const firstName = nameParts[0];
-            const lastName = nameParts[nameParts.length - 1];
+            const { firstName, lastName } = lookupName(executiveName);
 
             console.log(`   👤 Lusha v2 Person API: ${firstName} ${lastName} at ${companyName}`);
 
             // Use Lusha v2 Person API with proper parameters
-            const params = new URLSearchParams({
+            const personData = await this.providers.lusha.findPerson({
                 firstName: firstName,
                 lastName: lastName,
                 companyName: companyName,
                 companyDomain: domain,
-                refreshJobInfo: 'true',
-                revealEmails: 'true',
-                revealPhones: 'true'
-            });
-
-            const response = await fetch(`https://api.lusha.com/v2/person?${params}`, {
-                method: 'GET',
-                headers: {
-                    'api_key': this.config.LUSHA_API_KEY,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 10000 // 10 second timeout for Lusha
-            });
+                refreshJobInfo: true,
+                revealEmails: true,
+                revealPhones: true
+            }, { timeoutMs: 10000, dataType: String(role || 'person').toLowerCase() }); // 10 second timeout for Lusha
 
-            if (response.ok) {
-                const personData = await response.json();
-                console.log(`   ✅ Lusha v2 person found: ${personData.fullName || executiveName}`);
-                
-                // Extract contact information from v2 response
-                const emails = personData.emailAddresses || [];
-                const phones = personData.phoneNumbers || [];
-                const primaryEmail = emails.length > 0 ? emails[0].email : null;
-                const primaryPhone = phones.length > 0 ? phones[0].number : null;
-                
-                return {
-                    name: personData.fullName || executiveName,
-                    email: primaryEmail,
-                    phone: primaryPhone,
-                    title: personData.jobTitle || role,
-                    company: personData.company?.name || companyName,
-                    linkedinUrl: personData.linkedinUrl,
-                    companyData: personData.company ? {
-                        name: personData.company.name,
-                        industry: personData.company.industry,
-                        size: personData.company.size,
-                        founded: personData.company.founded,
-                        location: personData.company.location
-                    } : null
-                };
-            } else if (response.status === 404) {
+            console.log(`   ✅ Lusha v2 person found: ${personData.fullName || executiveName}`);
+            
+            // Extract contact information from v2 response
+            const emails = personData.emailAddresses || [];
+            const phones = personData.phoneNumbers || [];
+            const primaryEmail = emails.length > 0 ? emails[0].email : null;
+            const primaryPhone = phones.length > 0 ? phones[0].number : null;
+            
+            return {
+                name: personData.fullName || executiveName,
+                email: primaryEmail,
+                phone: primaryPhone,
+                title: personData.jobTitle || role,
+                company: personData.company?.name || companyName,
+                linkedinUrl: personData.linkedinUrl,
+                fetchedAt: fetchedAtOf(personData),
+                companyData: personData.company ? {
+                    name: personData.company.name,
+                    industry: personData.company.industry,
+                    size: personData.company.size,
+                    founded: personData.company.founded,
+                    location: personData.company.location
+                } : null
+            };
+        } catch (error) {
+            if (error.kind === PROVIDER_ERROR_KINDS.NOT_FOUND) {
                 console.log(`   ⚠️ Lusha v2: Person not found in database`);
                 return null;
-            } else {
-                console.log(`   ⚠️ Lusha v2 API error: ${response.status}`);
-                return null;
             }
-        } catch (error) {
             console.error(`   ❌ Lusha v2 Person API failed: ${error.message}`);
             return null;
         }
@@ -444,21 +496,7 @@ class ExecutiveContactIntelligence {
      */
     async getLushaCompanyData(domain) {
         try {
-            const lushaUrl = `https://api.lusha.com/company?domain=${encodeURIComponent(domain)}`;
-            
-            const response = await fetch(lushaUrl, {
-                method: 'GET',
-                headers: {
-                    'api_key': this.config.LUSHA_API_KEY,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 8000 // 8 second timeout for Lusha company data
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                return data.data; // Return the company data object
-            }
+            return await this.providers.lusha.findCompany(domain, { timeoutMs: 8000 }); // 8 second timeout for Lusha company data
         } catch (error) {
             console.log(`   ⚠️ Lusha company data error: ${error.message}`);
         }
@@ -488,28 +526,16 @@ Please provide ONLY a JSON response with verified contact information:
 
 Focus on publicly available, professional contact information only.`;
 
-            const response = await fetch('https://api.perplexity.ai/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.config.PERPLEXITY_API_KEY?.trim()}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'llama-3.1-sonar-small-128k-online',
-                    messages: [{ role: 'user', content: prompt }],
-                    temperature: 0.1
-                })
+            const { content } = await this.providers.perplexity.chat({
+                prompt,
+                model: 'llama-3.1-sonar-small-128k-online',
+                temperature: 0.1
             });
 
-            if (response.ok) {
-                const data = await response.json();
-                const content = data.choices[0].message.content;
-                
-                // Try to parse JSON response
-                const jsonMatch = content.match(/\{[\s\S]*\}/);
-                if (jsonMatch) {
-                    return JSON.parse(jsonMatch[0]);
-                }
+            // Try to parse JSON response
+            const jsonMatch = content.match(/\{[\s\S]*\}/);
+            if (jsonMatch) {
+                return JSON.parse(jsonMatch[0]);
             }
         } catch (error) {
             console.log(`   ⚠️ Perplexity contact research error: ${error.message}`);
@@ -565,46 +591,35 @@ Focus on publicly available, professional contact information only.`;
                 }
             };
 
-            const countResponse = await fetch(`${this.config.BASE_URL}/job_posting_multi_source/search/es_dsl`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'apikey': this.config.CORESIGNAL_API_KEY?.trim()
-                },
-                body: JSON.stringify(countQuery)
-            });
+            const countData = await this.providers.coresignal.searchJobPostings(countQuery);
+            this.creditsUsed += 2;
+            
+            const jobCount = countData.hits?.total?.value || 0;
+            console.log(`   📊 Found ${jobCount} recent job postings`);
 
-            if (countResponse.ok) {
-                const countData = await countResponse.json();
-                this.creditsUsed += 2;
-                
-                const jobCount = countData.hits?.total?.value || 0;
-                console.log(`   📊 Found ${jobCount} recent job postings`);
-
-                if (jobCount > 0 && jobCount <= 10) {
-                    // Only get detailed data if reasonable number of postings
-                    return {
-                        totalJobPostings: jobCount,
-                        hiringVelocity: this.categorizeHiringVelocity(jobCount),
-                        growthSignal: jobCount > 5 ? 'Active hiring' : 'Standard hiring',
-                        lastUpdated: new Date().toISOString()
-                    };
-                } else if (jobCount > 10) {
-                    console.log(`   ⚠️ Too many job postings (${jobCount}), using summary only`);
-                    return {
-                        totalJobPostings: jobCount,
-                        hiringVelocity: 'Very High',
-                        growthSignal: 'Rapid expansion',
-                        lastUpdated: new Date().toISOString()
-                    };
-                } else {
-                    return {
-                        totalJobPostings: 0,
-                        hiringVelocity: 'Low',
-                        growthSignal: 'Stable',
-                        lastUpdated: new Date().toISOString()
-                    };
-                }
+            if (jobCount > 0 && jobCount <= 10) {
+                // Only get detailed data if reasonable number of postings
+                return {
+                    totalJobPostings: jobCount,
+                    hiringVelocity: this.categorizeHiringVelocity(jobCount),
+                    growthSignal: jobCount > 5 ? 'Active hiring' : 'Standard hiring',
+                    lastUpdated: new Date().toISOString()
+                };
+            } else if (jobCount > 10) {
+                console.log(`   ⚠️ Too many job postings (${jobCount}), using summary only`);
+                return {
+                    totalJobPostings: jobCount,
+                    hiringVelocity: 'Very High',
+                    growthSignal: 'Rapid expansion',
+                    lastUpdated: new Date().toISOString()
+                };
+            } else {
+                return {
+                    totalJobPostings: 0,
+                    hiringVelocity: 'Low',
+                    growthSignal: 'Stable',
+                    lastUpdated: new Date().toISOString()
+                };
             }
 
         } catch (error) {
@@ -641,34 +656,22 @@ Provide ONLY a JSON response:
     "reasoning": "why this shorthand is likely"
 }`;
 
-            const response = await fetch('https://api.perplexity.ai/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.config.PERPLEXITY_API_KEY?.trim()}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'sonar-pro',
-                    messages: [{ role: 'user', content: prompt }],
-                    temperature: 0.1,
-                    max_tokens: 200
-                })
+            const { content } = await this.providers.perplexity.chat({
+                prompt,
+                model: 'sonar-pro',
+                temperature: 0.1,
+                maxTokens: 200
             });
 
-            if (response.ok) {
-                const data = await response.json();
-                const content = data.choices[0].message.content;
-                
-                try {
-                    const jsonMatch = content.match(/\{[\s\S]*\}/);
-                    if (jsonMatch) {
-                        const result = JSON.parse(jsonMatch[0]);
-                        console.log(`   🎯 AI shorthand: ${result.shorthand} (${result.reasoning})`);
-                        return result.shorthand;
-                    }
-                } catch (parseError) {
-                    console.log(`   ⚠️ Shorthand research parsing failed`);
+            try {
+                const jsonMatch = content.match(/\{[\s\S]*\}/);
+                if (jsonMatch) {
+                    const result = JSON.parse(jsonMatch[0]);
+                    console.log(`   🎯 AI shorthand: ${result.shorthand} (${result.reasoning})`);
+                    return result.shorthand;
                 }
+            } catch (parseError) {
+                console.log(`   ⚠️ Shorthand research parsing failed`);
             }
         } catch (error) {
             console.log(`   ⚠️ Shorthand research failed: ${error.message}`);
@@ -685,26 +688,14 @@ Provide ONLY a JSON response:
 
     async getCompanyByShorthand(shorthandName) {
         try {
-            const url = `${this.config.BASE_URL}/company_multi_source/collect/${shorthandName}`;
-            console.log(`   🔍 DEBUG: CoreSignal URL: ${url}`);
-            const response = await fetch(url, {
-                headers: { 'apikey': this.config.CORESIGNAL_API_KEY?.trim() },
-                timeout: 15000 // 15 second timeout for Vercel
-            });
-
-            console.log(`   🔍 DEBUG: CoreSignal Response Status: ${response.status}`);
-            if (response.ok) {
-                const data = await response.json();
-                console.log(`   🔍 DEBUG: CoreSignal Response Keys: ${Object.keys(data)}`);
-                console.log(`   🔍 DEBUG: Company Name: ${data.company_name || 'Not found'}`);
-                console.log(`   🔍 DEBUG: Key Executives: ${data.key_executives ? 'Available' : 'Not available'}`);
-                console.log(`   🔍 DEBUG: Company Emails: ${data.company_emails ? 'Available' : 'Not available'}`);
-                this.creditsUsed += 2;
-                return data;
-            } else {
-                const errorText = await response.text();
-                console.log(`   🔍 DEBUG: CoreSignal Error Response: ${errorText}`);
-            }
+            console.log(`   🔍 DEBUG: CoreSignal company collect: ${shorthandName}`);
+            const data = await this.providers.coresignal.collectCompany(shorthandName);
+            console.log(`   🔍 DEBUG: CoreSignal Response Keys: ${Object.keys(data)}`);
+            console.log(`   🔍 DEBUG: Company Name: ${data.company_name || 'Not found'}`);
+            console.log(`   🔍 DEBUG: Key Executives: ${data.key_executives ? 'Available' : 'Not available'}`);
+            console.log(`   🔍 DEBUG: Company Emails: ${data.company_emails ? 'Available' : 'Not available'}`);
+            this.creditsUsed += 2;
+            return data;
         } catch (error) {
             console.log(`   ⚠️ Shorthand error: ${error.message}`);
         }
@@ -724,31 +715,15 @@ Provide ONLY a JSON response:
                 }
             };
 
-            const response = await fetch(`${this.config.BASE_URL}/company_multi_source/search/es_dsl`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'apikey': this.config.CORESIGNAL_API_KEY?.trim()
-                },
-                body: JSON.stringify(query)
-            });
-
-            if (response.ok) {
-                const data = await response.json();
+            const data = await this.providers.coresignal.searchCompanies(query);
+            this.creditsUsed += 2;
+            
+            if (data.hits?.hits?.length > 0) {
+                const companyId = data.hits.hits[0]._id;
+                // Get full company data
+                const company = await this.providers.coresignal.collectCompany(companyId);
                 this.creditsUsed += 2;
-                
-                if (data.hits?.hits?.length > 0) {
-                    const companyId = data.hits.hits[0]._id;
-                    // Get full company data
-                    const companyResponse = await fetch(`${this.config.BASE_URL}/company_multi_source/collect/${companyId}`, {
-                        headers: { 'apikey': this.config.CORESIGNAL_API_KEY?.trim() }
-                    });
-                    
-                    if (companyResponse.ok) {
-                        this.creditsUsed += 2;
-                        return await companyResponse.json();
-                    }
-                }
+                return company;
             }
         } catch (error) {
             console.log(`   ⚠️ Company search error: ${error.message}`);
@@ -807,13 +782,15 @@ Provide ONLY a JSON response:
 
     /**
      * ✅ CROSS-VALIDATE EMAILS BETWEEN CORESIGNAL AND LUSHA
-     * ENHANCED: Detect and fix redacted emails
+     * Both emails go to the consensus engine; redacted emails are dropped and, when no vendor
+     * email survives, the domain's learned format (EmailFormatStore) or a generated guess stands in
      */
-    crossValidateEmails(coreSignalData, lushaData, domain, firstName, lastName) {
+    crossValidateEmails(coreSignalData, lushaData, domain, firstName, lastName, learnedEmail = null) {
         const validation = {
             email: null,
             confidence: 0,
             source: 'none',
+            provider: null,
             crossValidated: false,
             validationDetails: {
                 coreSignalEmail: coreSignalData?.email || null,
@@ -823,84 +800,60 @@ Provide ONLY a JSON response:
             }
         };
 
-        // If both sources have emails, check if they match
-        if (coreSignalData?.email && lushaData?.email) {
-            const coreEmail = coreSignalData.email.toLowerCase().trim();
-            const lushaEmail = lushaData.email.toLowerCase().trim();
-            
-            if (coreEmail === lushaEmail) {
-                // PERFECT MATCH - Both APIs agree!
-                validation.email = coreSignalData.email;
-                validation.confidence = 95;
-                validation.source = 'CoreSignal + Lusha (cross-validated)';
-                validation.crossValidated = true;
-                validation.validationDetails.match = true;
-                validation.validationDetails.reliability = 'very_high';
-                
-                console.log(`      ✅ EMAIL CROSS-VALIDATION: Perfect match! ${coreEmail}`);
-                return validation;
-            } else {
-                // MISMATCH - Need to decide which is more reliable
-                console.log(`      ⚠️ EMAIL MISMATCH: CoreSignal(${coreEmail}) vs Lusha(${lushaEmail})`);
-                
-                // Prefer CoreSignal (primary_professional_email is more reliable)
-                validation.email = coreSignalData.email;
-                validation.confidence = 75;
-                validation.source = 'CoreSignal (preferred over Lusha mismatch)';
-                validation.validationDetails.reliability = 'medium';
-                return validation;
-            }
-        }
-        
-        // Only CoreSignal has email
-        if (coreSignalData?.email && !lushaData?.email) {
-            // CRITICAL: Check for redacted email and fix immediately
-            if (this.isEmailRedacted(coreSignalData.email)) {
-                console.log(`      🚨 REDACTED CoreSignal email detected: ${coreSignalData.email}`);
-                validation.email = this.generateProbableEmail(firstName, lastName, domain);
-                validation.confidence = 60; // Lower confidence for generated email
-                validation.source = 'Generated (CoreSignal redacted)';
-                console.log(`      🔧 Generated clean email: ${validation.email}`);
-            } else {
-                validation.email = coreSignalData.email;
-                validation.confidence = 85;
-                validation.source = 'CoreSignal verified';
+        const candidates = [];
+        [['coresignal', coreSignalData], ['lusha', lushaData]].forEach(([provider, data]) => {
+            if (!data?.email) return;
+            // CRITICAL: Redacted emails never vote
+            if (this.isEmailRedacted(data.email)) {
+                console.log(`      🚨 REDACTED ${provider} email detected: ${data.email}`);
+                return;
             }
-            validation.validationDetails.reliability = 'high';
-            
-            console.log(`      📧 CoreSignal email only: ${validation.email}`);
-            return validation;
+            candidates.push({ value: data.email, provider });
+        });
+
+        if (candidates.length === 0 && learnedEmail) {
+            candidates.push({
+                value: learnedEmail.email,
+                provider: 'learned_format',
+                confidence: learnedEmail.confidence,
+                source: `learned_pattern (${learnedEmail.format}, ${learnedEmail.verified} verified)`
+            });
+        } else if (candidates.length === 0) {
+            const redacted = coreSignalData?.email || lushaData?.email;
+            candidates.push({
+                value: this.generateProbableEmail(firstName, lastName, domain),
+                provider: 'generated',
+                source: redacted ? 'Generated (vendor email redacted)' : 'generated (no API data)'
+            });
         }
-        
-        // Only Lusha has email
-        if (!coreSignalData?.email && lushaData?.email) {
-            // CRITICAL: Check for redacted email and fix immediately
-            if (this.isEmailRedacted(lushaData.email)) {
-                console.log(`      🚨 REDACTED Lusha email detected: ${lushaData.email}`);
-                validation.email = this.generateProbableEmail(firstName, lastName, domain);
-                validation.confidence = 50; // Lower confidence for generated email
-                validation.source = 'Generated (Lusha redacted)';
-                console.log(`      🔧 Generated clean email: ${validation.email}`);
-            } else {
-                validation.email = lushaData.email;
-                validation.confidence = 70;
-                validation.source = 'Lusha only';
-            }
-            validation.validationDetails.reliability = 'medium';
-            
-            console.log(`      📧 Lusha email only: ${validation.email}`);
-            return validation;
+
+        const decision = this.consensus.decide('email', candidates);
+        const winner = decision.ranked[0];
+        const vendorProviders = winner.providers.filter(provider => !['generated', 'learned_format'].includes(provider));
+
+        validation.email = decision.value;
+        validation.confidence = decision.confidence;
+        validation.provider = vendorProviders.length > 0 ? vendorProviders.join('+') : null;
+        validation.crossValidated = vendorProviders.length > 1;
+        validation.validationDetails.match = validation.crossValidated;
+        validation.validationDetails.disputed = decision.disputed;
+        validation.validationDetails.explanation = decision.explanation;
+        validation.validationDetails.reliability = decision.confidence >= 90 ? 'very_high' : decision.confidence >= 80 ? 'high' : decision.confidence >= 60 ? 'medium' : 'low';
+
+        if (validation.crossValidated) {
+            validation.source = 'CoreSignal + Lusha (cross-validated)';
+            console.log(`      ✅ EMAIL CROSS-VALIDATION: Perfect match! ${decision.value}`);
+        } else if (validation.provider) {
+            validation.source = decision.ranked.length > 1
+                ? `${winner.providers[0] === 'coresignal' ? 'CoreSignal' : 'Lusha'} (preferred over ${decision.ranked[1].providers.join(', ')} mismatch)`
+                : winner.providers[0] === 'coresignal' ? 'CoreSignal verified' : 'Lusha only';
+            console.log(`      📧 ${validation.source}: ${decision.value}`);
+        } else {
+            validation.source = winner.candidates[0].source;
+            console.log(`      ⚠️ No verified emails found, ${winner.providers[0] === 'learned_format' ? 'learned format' : 'generated'}: ${decision.value}`);
         }
-        
-        // No emails from either source - fallback to generated
-        const generatedEmail = this.generateProbableEmail(firstName, lastName, domain);
-        
-        validation.email = generatedEmail;
-        validation.confidence = 30;
-        validation.source = 'generated (no API data)';
-        validation.validationDetails.reliability = 'low';
-        
-        console.log(`      ⚠️ No verified emails found, generated: ${generatedEmail}`);
+        decision.explanation.forEach(line => console.log(`         🗳️ ${line}`));
+
         return validation;
     }
 
@@ -916,51 +869,38 @@ Provide ONLY a JSON response:
             console.log(`   📊 CoreSignal: Searching for ${executiveName} at ${companyName}...`);
 
             // STEP 1: Search for executive employee ID
-            const searchResponse = await fetch('https://api.coresignal.com/cdapi/v2/employee_multi_source/search/es_dsl', {
-                method: 'POST',
-                headers: {
-                    'apikey': this.config.CORESIGNAL_API_KEY?.trim(),
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    query: {
-                        bool: {
-                            must: [
-                                {
-                                    nested: {
-                                        path: "experience",
-                                        query: {
-                                            bool: {
-                                                must: [
-                                                    { term: { "experience.active_experience": 1 } },
-                                                    { 
+            const searchData = await this.providers.coresignal.searchEmployees({
+                query: {
+                    bool: {
+                        must: [
+                            {
+                                nested: {
+                                    path: "experience",
+                                    query: {
                                         bool: {
-                                            should: [
-                                                { match: { "experience.company_name": companyName } },
-                                                { match: { "experience.company_name": companyName.replace(/,?\s*(Inc|LLC|Corp|Ltd|Corporation|Company)\.?$/i, '') } },
-                                                { match: { "experience.company_name": companyName.split(',')[0].trim() } }
-                                            ],
-                                            minimum_should_match: 1
-                                        }
+                                            must: [
+                                                { term: { "experience.active_experience": 1 } },
+                                                { 
+                                    bool: {
+                                        should: [
+                                            { match: { "experience.company_name": companyName } },
+                                            { match: { "experience.company_name": companyName.replace(/,?\s*(Inc|LLC|Corp|Ltd|Corporation|Company)\.?$/i, '') } },
+                                            { match: { "experience.company_name": companyName.split(',')[0].trim() } }
+                                        ],
+                                        minimum_should_match: 1
                                     }
-                                                ]
-                                            }
+                                }
+                                            ]
                                         }
                                     }
-                                },
-                                { match: { "full_name": executiveName } }
-                            ]
-                        }
+                                }
+                            },
+                            { match: { "full_name": executiveName } }
+                        ]
                     }
-                })
+                }
             });
 
-            if (!searchResponse.ok) {
-                console.log(`   ❌ CoreSignal search failed: ${searchResponse.status}`);
-                return null;
-            }
-
-            const searchData = await searchResponse.json();
             const hits = searchData.hits?.hits || [];
             
             if (hits.length === 0) {
@@ -972,34 +912,25 @@ Provide ONLY a JSON response:
             const employeeId = hits[0]._id;
             console.log(`   🔍 Collecting profile for employee ID: ${employeeId}`);
 
-            const collectResponse = await fetch(`https://api.coresignal.com/cdapi/v2/employee_multi_source/collect/${employeeId}`, {
-                headers: {
-                    'apikey': this.config.CORESIGNAL_API_KEY?.trim()
-                }
-            });
-
-            if (collectResponse.ok) {
-                const profile = await collectResponse.json();
-                
-                console.log(`   ✅ CoreSignal profile collected: ${profile.full_name}`);
-                console.log(`      📧 Email: ${profile.primary_professional_email || 'None'}`);
-                console.log(`      🔗 LinkedIn: ${profile.linkedin_url || 'None'}`);
+            const profile = await this.providers.coresignal.collectEmployee(employeeId);
 
-                this.creditsUsed += 4; // 2 for search + 2 for collect
+            console.log(`   ✅ CoreSignal profile collected: ${profile.full_name}`);
+            console.log(`      📧 Email: ${profile.primary_professional_email || 'None'}`);
+            console.log(`      🔗 LinkedIn: ${profile.linkedin_url || 'None'}`);
 
-                return {
-                    name: profile.full_name,
-                    title: profile.active_experience_title,
-                    email: profile.primary_professional_email,
-                    alternativeEmails: profile.professional_emails_collection || [],
-                    linkedinUrl: profile.linkedin_url,
-                    source: 'CoreSignal Employee API',
-                    confidence: profile.primary_professional_email ? 95 : 80,
-                    employeeId: employeeId
-                };
-            }
+            this.creditsUsed += 4; // 2 for search + 2 for collect
 
-            return null;
+            return {
+                name: profile.full_name,
+                title: profile.active_experience_title,
+                email: profile.primary_professional_email,
+                alternativeEmails: profile.professional_emails_collection || [],
+                linkedinUrl: profile.linkedin_url,
+                source: 'CoreSignal Employee API',
+                fetchedAt: fetchedAtOf(profile),
+                confidence: profile.primary_professional_email ? 95 : 80,
+                employeeId: employeeId
+            };
 
         } catch (error) {
             console.log(`   ❌ CoreSignal executive search error: ${error.message}`);
@@ -1018,39 +949,31 @@ Provide ONLY a JSON response:
         try {
             console.log(`   📞 Lusha: Getting phone via LinkedIn URL...`);
 
-            const response = await fetch(`https://api.lusha.com/v2/person?linkedinUrl=${encodeURIComponent(linkedinUrl)}`, {
-                headers: {
-                    'api_key': this.config.LUSHA_API_KEY,
-                    'Content-Type': 'application/json'
-                }
-            });
+            const person = await this.providers.lusha.findPerson({ linkedinUrl }, { dataType: 'phone' });
 
-            if (response.ok) {
-                const data = await response.json();
-                
-                if (data.data && data.data.phoneNumbers) {
-                    const callablePhones = data.data.phoneNumbers.filter(phone => !phone.doNotCall);
-                    
-                    console.log(`   ✅ Lusha found ${callablePhones.length} callable phone numbers`);
-
-                    this.creditsUsed += 1; // Lusha credit
-
-                    return {
-                        name: data.data.fullName,
-                        title: data.data.jobTitle,
-                        email: data.data.emailAddresses?.[0]?.email || null,
-                        phone: callablePhones[0]?.number || null,
-                        phoneNumbers: callablePhones.map(phone => ({
-                            number: phone.number,
-                            type: phone.type || 'unknown',
-                            source: 'Lusha API',
-                            doNotCall: phone.doNotCall || false
-                        })),
-                        linkedinUrl: linkedinUrl,
-                        source: 'Lusha LinkedIn Lookup',
-                        confidence: callablePhones.length > 0 ? 90 : 70
-                    };
-                }
+            if (person.phoneNumbers) {
+                const callablePhones = person.phoneNumbers.filter(phone => !phone.doNotCall);
+
+                console.log(`   ✅ Lusha found ${callablePhones.length} callable phone numbers`);
+
+                this.creditsUsed += 1; // Lusha credit
+
+                return {
+                    name: person.fullName,
+                    title: person.jobTitle,
+                    email: person.emailAddresses?.[0]?.email || null,
+                    phone: callablePhones[0]?.number || null,
+                    phoneNumbers: callablePhones.map(phone => ({
+                        number: phone.number,
+                        type: phone.type || 'unknown',
+                        source: 'Lusha API',
+                        doNotCall: phone.doNotCall || false
+                    })),
+                    linkedinUrl: linkedinUrl,
+                    source: 'Lusha LinkedIn Lookup',
+                    fetchedAt: fetchedAtOf(person),
+                    confidence: callablePhones.length > 0 ? 90 : 70
+                };
             }
 
             console.log(`   ⚠️ Lusha: No phone data found for LinkedIn URL`);
@@ -1127,9 +1050,7 @@ Provide ONLY a JSON response:
      * 📧 GENERATE PROBABLE EMAIL
      */
     generateProbableEmail(firstName, lastName, domain) {
-        const cleanFirst = firstName.toLowerCase().replace(/[^a-z]/g, '');
-        const cleanLast = lastName.toLowerCase().replace(/[^a-z]/g, '');
-        return `${cleanFirst}.${cleanLast}@${domain}`;
+        return `${emailToken(firstName)}.${emailToken(lastName)}@${domain}`;
     }
 
     /**
@@ -1160,74 +1081,51 @@ Provide ONLY a JSON response:
         
         try {
             // CoreSignal employee search by LinkedIn URL
-            const searchResponse = await fetch('https://api.coresignal.com/cdapi/v2/employee_multi_source/search/es_dsl', {
-                method: 'POST',
-                headers: {
-                    'apikey': this.config.CORESIGNAL_API_KEY?.trim(),
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    query: {
-                        bool: {
-                            must: [
-                                {
-                                    match: {
-                                        linkedin_url: linkedinUrl
-                                    }
+            const searchData = await this.providers.coresignal.searchEmployees({
+                query: {
+                    bool: {
+                        must: [
+                            {
+                                match: {
+                                    linkedin_url: canonicalLinkedInUrl(linkedinUrl) || linkedinUrl
                                 }
-                            ]
-                        }
-                    },
-                    size: 1
-                })
+                            }
+                        ]
+                    }
+                },
+                size: 1
             });
 
-            console.log(`   🔍 DEBUG: CoreSignal LinkedIn search status: ${searchResponse.status}`);
-            if (searchResponse.ok) {
-                const searchData = await searchResponse.json();
-                const hits = searchData.hits?.hits || [];
-                console.log(`   🔍 DEBUG: CoreSignal found ${hits.length} LinkedIn matches`);
+            const hits = searchData.hits?.hits || [];
+            console.log(`   🔍 DEBUG: CoreSignal found ${hits.length} LinkedIn matches`);
+            
+            if (hits.length > 0) {
+                const employeeId = hits[0]._id;
+                console.log(`   🔍 Found CoreSignal employee ID: ${employeeId}`);
                 
-                if (hits.length > 0) {
-                    const employeeId = hits[0]._id;
-                    console.log(`   🔍 Found CoreSignal employee ID: ${employeeId}`);
-                    
-                    // Get detailed profile
-                    const profileResponse = await fetch(`https://api.coresignal.com/cdapi/v2/employee_multi_source/collect/${employeeId}`, {
-                        headers: {
-                            'apikey': this.config.CORESIGNAL_API_KEY?.trim()
-                        }
-                    });
-                    
-                    if (profileResponse.ok) {
-                        const profile = await profileResponse.json();
-                        console.log(`   ✅ CoreSignal profile: ${profile.full_name}`);
-                        console.log(`   📧 Primary email: ${profile.primary_professional_email || 'None'}`);
-                        console.log(`   📧 Alt emails: ${profile.professional_emails_collection?.length || 0}`);
-                        console.log(`   🔗 LinkedIn: ${profile.linkedin_url || 'None'}`);
-                        
-                        this.creditsUsed += 3; // Search + Collect
-                        
-                        return {
-                            name: profile.full_name,
-                            title: profile.active_experience_title,
-                            primaryEmail: profile.primary_professional_email,
-                            alternativeEmails: profile.professional_emails_collection || [],
-                            linkedinUrl: profile.linkedin_url,
-                            company: profile.active_experience_company_name,
-                            experience: profile.experience_months,
-                            source: 'coresignal_linkedin_match',
-                            confidence: 95
-                        };
-                    } else {
-                        console.log(`   ❌ CoreSignal profile collection failed: ${profileResponse.status}`);
-                    }
-                } else {
-                    console.log(`   ❌ No CoreSignal employee found with LinkedIn: ${linkedinUrl}`);
-                }
+                // Get detailed profile
+                const profile = await this.providers.coresignal.collectEmployee(employeeId);
+                console.log(`   ✅ CoreSignal profile: ${profile.full_name}`);
+                console.log(`   📧 Primary email: ${profile.primary_professional_email || 'None'}`);
+                console.log(`   📧 Alt emails: ${profile.professional_emails_collection?.length || 0}`);
+                console.log(`   🔗 LinkedIn: ${profile.linkedin_url || 'None'}`);
+                
+                this.creditsUsed += 3; // Search + Collect
+                
+                return {
+                    name: profile.full_name,
+                    title: profile.active_experience_title,
+                    primaryEmail: profile.primary_professional_email,
+                    alternativeEmails: profile.professional_emails_collection || [],
+                    linkedinUrl: profile.linkedin_url,
+                    company: profile.active_experience_company_name,
+                    experience: profile.experience_months,
+                    source: 'coresignal_linkedin_match',
+                    fetchedAt: fetchedAtOf(profile),
+                    confidence: 95
+                };
             } else {
-                const errorText = await searchResponse.text();
-                console.log(`   🔍 DEBUG: CoreSignal LinkedIn search error: ${errorText}`);
+                console.log(`   ❌ No CoreSignal employee found with LinkedIn: ${linkedinUrl}`);
             }
         } catch (error) {
             console.log(`   ❌ CoreSignal LinkedIn search error: ${error.message}`);
@@ -1244,74 +1142,56 @@ Provide ONLY a JSON response:
         console.log(`   📧 DEBUG: Email: ${email}`);
         
         try {
-            const searchResponse = await fetch('https://api.coresignal.com/cdapi/v2/employee_multi_source/search/es_dsl', {
-                method: 'POST',
-                headers: {
-                    'apikey': this.config.CORESIGNAL_API_KEY?.trim(),
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    query: {
-                        bool: {
-                            should: [
-                                {
-                                    match: {
-                                        primary_professional_email: email
-                                    }
-                                },
-                                {
-                                    nested: {
-                                        path: "professional_emails_collection",
-                                        query: {
-                                            match: {
-                                                "professional_emails_collection.professional_email": email
-                                            }
+            const searchData = await this.providers.coresignal.searchEmployees({
+                query: {
+                    bool: {
+                        should: [
+                            {
+                                match: {
+                                    primary_professional_email: email
+                                }
+                            },
+                            {
+                                nested: {
+                                    path: "professional_emails_collection",
+                                    query: {
+                                        match: {
+                                            "professional_emails_collection.professional_email": email
                                         }
                                     }
                                 }
-                            ]
-                        }
-                    },
-                    size: 1
-                })
+                            }
+                        ]
+                    }
+                },
+                size: 1
             });
 
-            console.log(`   🔍 DEBUG: CoreSignal email search status: ${searchResponse.status}`);
-            if (searchResponse.ok) {
-                const searchData = await searchResponse.json();
-                const hits = searchData.hits?.hits || [];
-                console.log(`   🔍 DEBUG: CoreSignal found ${hits.length} email matches`);
+            const hits = searchData.hits?.hits || [];
+            console.log(`   🔍 DEBUG: CoreSignal found ${hits.length} email matches`);
+            
+            if (hits.length > 0) {
+                const employeeId = hits[0]._id;
+                console.log(`   🔍 Found CoreSignal employee ID by email: ${employeeId}`);
                 
-                if (hits.length > 0) {
-                    const employeeId = hits[0]._id;
-                    console.log(`   🔍 Found CoreSignal employee ID by email: ${employeeId}`);
-                    
-                    // Get detailed profile
-                    const profileResponse = await fetch(`https://api.coresignal.com/cdapi/v2/employee_multi_source/collect/${employeeId}`, {
-                        headers: {
-                            'apikey': this.config.CORESIGNAL_API_KEY?.trim()
-                        }
-                    });
-                    
-                    if (profileResponse.ok) {
-                        const profile = await profileResponse.json();
-                        console.log(`   ✅ CoreSignal profile by email: ${profile.full_name}`);
-                        
-                        this.creditsUsed += 3; // Search + Collect
-                        
-                        return {
-                            name: profile.full_name,
-                            title: profile.active_experience_title,
-                            primaryEmail: profile.primary_professional_email,
-                            alternativeEmails: profile.professional_emails_collection || [],
-                            linkedinUrl: profile.linkedin_url,
-                            company: profile.active_experience_company_name,
-                            experience: profile.experience_months,
-                            source: 'coresignal_email_match',
-                            confidence: 95
-                        };
-                    }
-                }
+                // Get detailed profile
+                const profile = await this.providers.coresignal.collectEmployee(employeeId);
+                console.log(`   ✅ CoreSignal profile by email: ${profile.full_name}`);
+                
+                this.creditsUsed += 3; // Search + Collect
+                
+                return {
+                    name: profile.full_name,
+                    title: profile.active_experience_title,
+                    primaryEmail: profile.primary_professional_email,
+                    alternativeEmails: profile.professional_emails_collection || [],
+                    linkedinUrl: profile.linkedin_url,
+                    company: profile.active_experience_company_name,
+                    experience: profile.experience_months,
+                    source: 'coresignal_email_match',
+                    fetchedAt: fetchedAtOf(profile),
+                    confidence: 95
+                };
             }
         } catch (error) {
             console.log(`   ❌ CoreSignal email search error: ${error.message}`);
@@ -1357,7 +1237,8 @@ Provide ONLY a JSON response:
                 // CRITICAL: Check for redacted email before using
                 if (this.isEmailRedacted(coreSignalData.primaryEmail)) {
                     console.log(`   🚨 REDACTED CoreSignal email: ${coreSignalData.primaryEmail}`);
-                    combined.email = this.generateProbableEmail(executiveName.split(' ')[0], executiveName.split(' ').pop(), combined.domain || 'company.com');
+                    const { firstName, lastName } = lookupName(executiveName);
+                    combined.email = this.generateProbableEmail(firstName, lastName, combined.domain || 'company.com');
                     combined.confidence += 15; // Lower confidence for generated
                     console.log(`   🔧 Generated clean email: ${combined.email}`);
                 } else {
@@ -11,7 +11,7 @@
  * 5. Financial hierarchy (CFO → VP Finance → Finance Director → Controller)
  */
 
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
 
 class ExecutiveFinder {
     constructor(config = {}) {
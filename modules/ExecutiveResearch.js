@@ -13,14 +13,24 @@
  * 4. Multi-source validation
  * 5. Freshness scoring and confidence calculation
  * 6. Waterfall reasoning for transparency
+ * 7. Identity resolution - every source's records become one deduplicated person list
+ * 8. Target personas - companyInfo.personas adds CIO, CISO, CMO, ... (config/target-personas.js)
+ *    to the CFO/CRO search; each gets its own CoreSignal search and waterfall slot in the result
+ * 9. Local-language titles - every record's title in English for matching and output, the source
+ *    wording kept as originalTitle; CoreSignal also searches the company's local-language titles
  */
 
 // Load environment variables
 require('dotenv').config();
 
 const { CompanyLeadershipScraper } = require('./CompanyLeadershipScraper.js');
-const RevenueLeaderDetection = require('./RevenueLeaderDetection.js');
+const { RevenueLeaderDetection } = require('./RevenueLeaderDetection.js');
 const FinanceLeaderDetection = require('./FinanceLeaderDetection.js');
+const { IdentityResolver } = require('./IdentityResolver');
+const { isRoleTitle, localizeExecutive, localTitles } = require('./RoleTaxonomy');
+const { regionFromDomain } = require('./PhoneNumbers');
+const { PersonaDetection, resolvePersonas } = require('./PersonaDetection');
+const { CORE_PERSONAS } = require('../config/target-personas');
 
 class ExecutiveResearch {
     constructor(config = {}) {
@@ -38,6 +48,8 @@ class ExecutiveResearch {
         this.leadershipScraper = new CompanyLeadershipScraper(this.config);
         this.revenueLeaderDetection = new RevenueLeaderDetection();
         this.financeLeaderDetection = new FinanceLeaderDetection();
+        this.identityResolver = new IdentityResolver(this.config);
+        this.personaDetection = new PersonaDetection(this.config);
         
         console.log('🚀 Enhanced Executive Research initialized');
         console.log(`   Leadership Scraping: ${this.config.LEADERSHIP_SCRAPING_ENABLED ? 'Enabled' : 'Disabled'}`);
@@ -48,19 +60,26 @@ class ExecutiveResearch {
     /**
      * 🎯 MAIN ENHANCED EXECUTIVE RESEARCH
      * 
-     * Multi-layered approach for 100% executive discovery
+     * Multi-layered approach for 100% executive discovery. companyInfo.personas names personas
+     * beyond CFO/CRO - each lands in result[personaId]
      */
     async researchExecutives(companyInfo) {
         console.log(`\n🎯 ENHANCED EXECUTIVE RESEARCH: ${companyInfo.companyName}`);
         console.log('=' .repeat(70));
 
+        const personas = resolvePersonas(companyInfo.personas);
+        const missingPersona = () => personas.some(persona => !result[persona.id]);
+        // Company country from the website's ccTLD - language hint and regional titles ("Finance Director" in the UK)
+        const region = regionFromDomain(companyInfo.website);
+
         const result = {
             companyName: companyInfo.companyName,
             website: companyInfo.website,
-            cfo: null,
-            cro: null,
+            ...Object.fromEntries(personas.map(persona => [persona.id, null])),
+            targetPersonas: personas.map(persona => persona.id),
             departmentExecutives: [],
             similarExecutives: [],
+            people: [],
             overallConfidence: 0,
             researchMethods: [],
             timestamp: new Date().toISOString(),
@@ -69,6 +88,9 @@ class ExecutiveResearch {
 
         const startTime = Date.now();
 
+        // Every executive record any layer sees - resolved into people for the waterfall and final dedupe
+        const candidates = [];
+
         try {
             // LAYER 1: Leadership Page Scraping (Primary)
             console.log('\n🏢 LAYER 1: Leadership Page Scraping');
@@ -76,6 +98,7 @@ class ExecutiveResearch {
                 companyInfo.companyName, 
                 companyInfo.website
             );
+            candidates.push(...this.candidateRecords(leadershipResult.executives.allExecutives, 'leadership_scraping', region));
 
             if (leadershipResult.executives.cfo || leadershipResult.executives.cro) {
                 console.log('   ✅ Leadership scraping successful');
@@ -88,21 +111,19 @@ class ExecutiveResearch {
             }
 
             // LAYER 2: CoreSignal Executive Search (Secondary)
-            if (!result.cfo || !result.cro) {
+            if (missingPersona()) {
                 console.log('\n🔍 LAYER 2: CoreSignal Executive Search');
                 
                 try {
-                    const coreSignalResult = await this.searchCoreSignalExecutives(companyInfo);
+                    const coreSignalResult = await this.searchCoreSignalExecutives(companyInfo, personas);
+                    candidates.push(...coreSignalResult.candidates);
                     
                     // Fill gaps with CoreSignal search
-                    if (!result.cfo && coreSignalResult.cfo) {
-                        result.cfo = this.enhanceExecutiveData(coreSignalResult.cfo, 'coresignal_search');
-                        console.log(`   ✅ CFO found via CoreSignal: ${result.cfo.name}`);
-                    }
-                    
-                    if (!result.cro && coreSignalResult.cro) {
-                        result.cro = this.enhanceExecutiveData(coreSignalResult.cro, 'coresignal_search');
-                        console.log(`   ✅ CRO found via CoreSignal: ${result.cro.name}`);
+                    for (const persona of personas) {
+                        if (!result[persona.id] && coreSignalResult[persona.id]) {
+                            result[persona.id] = this.enhanceExecutiveData(coreSignalResult[persona.id], 'coresignal_search');
+                            console.log(`   ✅ ${persona.label} found via CoreSignal: ${result[persona.id].name}`);
+                        }
                     }
 
                     result.researchMethods.push('coresignal_search');
@@ -113,21 +134,18 @@ class ExecutiveResearch {
             }
 
             // LAYER 3: Waterfall Detection (NEW - Proper 5-tier system)
-            if (!result.cfo || !result.cro) {
+            if (missingPersona()) {
                 console.log('\n🌊 LAYER 3: Waterfall Detection System');
-                const waterfallResult = await this.applyWaterfallDetection(leadershipResult.allExecutives || []);
+                const waterfallResult = await this.applyWaterfallDetection(this.identityResolver.resolve(candidates), personas);
                 
-                if (!result.cfo && waterfallResult.cfo) {
-                    result.cfo = waterfallResult.cfo;
-                    console.log(`   ✅ CFO found via waterfall: ${result.cfo.name} (Tier ${result.cfo.tier})`);
-                }
-                
-                if (!result.cro && waterfallResult.cro) {
-                    result.cro = waterfallResult.cro;
-                    console.log(`   ✅ CRO found via waterfall: ${result.cro.name} (Tier ${result.cro.tier})`);
+                for (const persona of personas) {
+                    if (!result[persona.id] && waterfallResult[persona.id]) {
+                        result[persona.id] = waterfallResult[persona.id];
+                        console.log(`   ✅ ${persona.label} found via waterfall: ${result[persona.id].name} (Tier ${result[persona.id].tier})`);
+                    }
                 }
 
-                if (waterfallResult.cfo || waterfallResult.cro) {
+                if (personas.some(persona => waterfallResult[persona.id])) {
                     result.researchMethods.push('waterfall_detection');
                 }
             }
@@ -136,6 +154,7 @@ class ExecutiveResearch {
             if (!result.cfo || !result.cro) {
                 console.log('\n🧠 LAYER 4: Intelligent Executive Fallback');
                 const fallbackExecutives = await this.intelligentExecutiveFallback(companyInfo);
+                candidates.push(...this.candidateRecords([fallbackExecutives.cfo, fallbackExecutives.cro], 'Perplexity AI Search', region));
                 
                 if (!result.cfo && fallbackExecutives.cfo) {
                     result.cfo = fallbackExecutives.cfo;
@@ -172,14 +191,23 @@ class ExecutiveResearch {
                 }
             }
 
+            // English titles for every slot - the source wording stays as originalTitle
+            personas.forEach(persona => {
+                result[persona.id] = localizeExecutive(result[persona.id], { region });
+            });
+
+            // One person never fills two roles, however differently the sources spelled them
+            this.resolveIdentities(result, candidates, personas);
+
             // Calculate final metrics
             result.processingTime = Date.now() - startTime;
             result.overallConfidence = this.calculateOverallConfidence(result);
 
             // Final results
             console.log('\n📊 ENHANCED RESEARCH RESULTS:');
-            console.log(`   CFO: ${result.cfo ? '✅ ' + result.cfo.name : '❌ Not found'}`);
-            console.log(`   CRO: ${result.cro ? '✅ ' + result.cro.name : '❌ Not found'}`);
+            personas.forEach(persona => {
+                console.log(`   ${persona.label}: ${result[persona.id] ? '✅ ' + result[persona.id].name : '❌ Not found'}`);
+            });
             console.log(`   Methods Used: ${result.researchMethods.join(', ')}`);
             console.log(`   Overall Confidence: ${result.overallConfidence}%`);
             console.log(`   Processing Time: ${result.processingTime}ms`);
@@ -277,7 +305,7 @@ Provide ONLY a JSON response:
                 }
 
                 // CRITICAL FIX: Prevent duplicate executives (same person as CFO and CRO)
-                if (result.cfo && result.cro && result.cfo.name === result.cro.name) {
+                if (result.cfo && result.cro && this.identityResolver.samePerson(result.cfo, result.cro)) {
                     console.log(`   🚨 DUPLICATE EXECUTIVE DETECTED: ${result.cfo.name} listed as both CFO and CRO`);
                     console.log(`   🔧 FIXING: Keeping CFO role, clearing CRO (CFO takes priority)`);
                     
@@ -325,10 +353,11 @@ Provide ONLY a JSON response:
     /**
      * 🌊 APPLY WATERFALL DETECTION SYSTEM
      * 
-     * Uses proper 5-tier waterfall logic for both CFO and CRO detection
+     * Uses proper 5-tier waterfall logic for every persona - CFO and CRO through their dedicated
+     * detectors, the rest through PersonaDetection's taxonomy waterfall
      */
-    async applyWaterfallDetection(executives) {
-        const result = { cfo: null, cro: null };
+    async applyWaterfallDetection(executives, personas = resolvePersonas()) {
+        const result = Object.fromEntries(personas.map(persona => [persona.id, null]));
         
         if (!executives || executives.length === 0) {
             console.log('   ⚠️ No executives provided for waterfall detection');
@@ -337,62 +366,78 @@ Provide ONLY a JSON response:
         
         console.log(`   📊 Analyzing ${executives.length} executives with waterfall system`);
         
-        // CFO Waterfall Detection
-        if (this.financeLeaderDetection) {
-            const cfoCandidate = this.financeLeaderDetection.identifyFinanceLeader(executives);
-            if (cfoCandidate) {
-                result.cfo = {
-                    ...cfoCandidate,
-                    source: 'waterfall_detection',
-                    confidence: cfoCandidate.financeScore || cfoCandidate.confidence || 0,
-                    roleType: 'CFO'
-                };
-            }
+        for (const persona of personas) {
+            result[persona.id] = this.detectPersona(executives, persona);
         }
         
+        // CRITICAL: Prevent same person assignment
+        this.resolveRoleConflicts(result, personas, 'WATERFALL DEDUPLICATION');
+        
+        return result;
+    }
+
+    /**
+     * Waterfall winner for one persona, or null
+     */
+    detectPersona(executives, persona) {
+        // CFO Waterfall Detection
+        if (persona.id === 'cfo') {
+            const cfoCandidate = this.financeLeaderDetection?.identifyFinanceLeader(executives);
+            return cfoCandidate ? {
+                ...cfoCandidate,
+                source: 'waterfall_detection',
+                confidence: cfoCandidate.financeScore || cfoCandidate.confidence || 0,
+                roleType: 'CFO'
+            } : null;
+        }
+
         // CRO Waterfall Detection
-        if (this.revenueLeaderDetection) {
-            const croCandidate = this.revenueLeaderDetection.identifyRevenueLeader(executives);
-            if (croCandidate) {
-                result.cro = {
-                    ...croCandidate,
-                    source: 'waterfall_detection',
-                    confidence: croCandidate.revenueScore || croCandidate.confidence || 0,
-                    roleType: 'CRO'
-                };
-            }
+        if (persona.id === 'cro') {
+            const croCandidate = this.revenueLeaderDetection?.identifyRevenueLeader(executives);
+            return croCandidate ? {
+                ...croCandidate,
+                source: 'waterfall_detection',
+                confidence: croCandidate.revenueScore || croCandidate.confidence || 0,
+                roleType: 'CRO'
+            } : null;
         }
-        
-        // CRITICAL: Prevent same person assignment
-        if (result.cfo && result.cro) {
-            const cfoName = (result.cfo.name || '').trim().toLowerCase();
-            const croName = (result.cro.name || '').trim().toLowerCase();
-            
-            if (cfoName === croName && cfoName !== '') {
-                console.log(`   🚨 WATERFALL DEDUPLICATION: Same person detected (${result.cfo.name})`);
-                
-                // Priority: Keep the role that matches the title better
-                const cfoTitle = (result.cfo.title || '').toLowerCase();
-                const croTitle = (result.cro.title || '').toLowerCase();
-                
-                const isActualCFO = cfoTitle.includes('cfo') || cfoTitle.includes('chief financial');
-                const isActualCRO = croTitle.includes('cro') || croTitle.includes('chief revenue') || 
-                                   croTitle.includes('cso') || croTitle.includes('chief sales');
-                
-                if (isActualCFO && !isActualCRO) {
-                    console.log(`   🔧 Keeping CFO (has finance title), removing CRO`);
-                    result.cro = null;
-                } else if (isActualCRO && !isActualCFO) {
-                    console.log(`   🔧 Keeping CRO (has revenue title), removing CFO`);
-                    result.cfo = null;
+
+        const candidate = this.personaDetection.identify(executives, persona);
+        return candidate ? { ...candidate, source: 'waterfall_detection' } : null;
+    }
+
+    /**
+     * 🚨 RESOLVE ROLE CONFLICTS
+     * 
+     * Same person in two persona slots (by identity, not spelling) - keep the role that matches
+     * the title better, else the earlier persona (CFO before CRO before the rest)
+     */
+    resolveRoleConflicts(result, personas, label) {
+        personas.forEach((first, index) => {
+            personas.slice(index + 1).forEach(second => {
+                const a = result[first.id];
+                const b = result[second.id];
+                if (!a || !b) return;
+
+                const sameIdentity = a.identity?.id && a.identity.id === b.identity?.id;
+                if (!sameIdentity && !this.identityResolver.samePerson(a, b)) return;
+
+                console.log(`   🚨 ${label}: Same person detected (${a.name} / ${b.name})`);
+
+                // Priority: Keep the role that matches the title better (C-level per config/role-taxonomy.js)
+                const isActualFirst = isRoleTitle(a.title, first.role, { maxTier: 1, region: a.titleRegion });
+                const isActualSecond = isRoleTitle(b.title, second.role, { maxTier: 1, region: b.titleRegion });
+
+                if (isActualSecond && !isActualFirst) {
+                    console.log(`   🔧 Keeping ${second.label} (title names the role), removing ${first.label}`);
+                    result[first.id] = null;
                 } else {
-                    console.log(`   🔧 Ambiguous titles - keeping CFO (finance priority)`);
-                    result.cro = null;
+                    const reason = isActualFirst && !isActualSecond ? 'title names the role' : `ambiguous titles - ${first.label} priority`;
+                    console.log(`   🔧 Keeping ${first.label} (${reason}), removing ${second.label}`);
+                    result[second.id] = null;
                 }
-            }
-        }
-        
-        return result;
+            });
+        });
     }
 
     /**
@@ -438,6 +483,36 @@ Provide ONLY a JSON response:
         return result;
     }
 
+    /**
+     * 🪪 RESOLVE IDENTITIES
+     * 
+     * Resolves every record seen into result.people, links each persona executive to their person
+     * (identity, aliases, a LinkedIn URL another source had) and drops a duplicate role
+     */
+    resolveIdentities(result, candidates, personas = resolvePersonas()) {
+        const executives = personas.map(persona => result[persona.id]);
+        result.people = this.identityResolver.resolve([...candidates, ...this.candidateRecords(executives, 'executive_research')]);
+
+        personas.forEach(({ id }) => {
+            const person = this.identityResolver.findPerson(result.people, result[id]);
+            if (!person) return;
+
+            result[id].identity = person.identity;
+            if (!result[id].linkedIn && person.linkedIn) result[id].linkedIn = person.linkedIn;
+        });
+
+        this.resolveRoleConflicts(result, personas, 'IDENTITY DEDUPLICATION');
+    }
+
+    /**
+     * Executive records with a source label and an English title - entries without a name are dropped
+     */
+    candidateRecords(executives, source, region = null) {
+        return (executives || [])
+            .filter(executive => executive && executive.name && executive.name !== 'null')
+            .map(executive => localizeExecutive({ ...executive, source: executive.source || source }, { region }));
+    }
+
     /**
      * 🔧 UTILITY METHODS
      */
@@ -454,27 +529,23 @@ Provide ONLY a JSON response:
         let confidence = 0;
         let count = 0;
 
-        if (result.cfo) {
+        (result.targetPersonas || ['cfo', 'cro']).forEach(id => {
+            const executive = result[id];
+            if (!executive) return;
+
             // Convert decimal confidence (0.98) to percentage (98%)
-            const cfoConfidence = result.cfo.confidence ? 
-                (result.cfo.confidence < 1 ? result.cfo.confidence * 100 : result.cfo.confidence) : 85;
-            confidence += cfoConfidence;
+            confidence += executive.confidence ?
+                (executive.confidence < 1 ? executive.confidence * 100 : executive.confidence) : 85;
             count++;
-        }
-        if (result.cro) {
-            // Convert decimal confidence (0.97) to percentage (97%)
-            const croConfidence = result.cro.confidence ? 
-                (result.cro.confidence < 1 ? result.cro.confidence * 100 : result.cro.confidence) : 85;
-            confidence += croConfidence;
-            count++;
-        }
+        });
 
         return count > 0 ? Math.round(confidence / count) : 0;
     }
 
     calculateDiscoveryRate(result) {
-        const found = (result.cfo ? 1 : 0) + (result.cro ? 1 : 0);
-        return (found / 2) * 100;
+        const personas = result.targetPersonas || ['cfo', 'cro'];
+        const found = personas.filter(id => result[id]).length;
+        return Math.round((found / personas.length) * 100);
     }
 
     estimateCompanySize(companyInfo) {
@@ -507,10 +578,11 @@ Provide ONLY a JSON response:
     /**
      * 🔍 SEARCH CORESIGNAL EXECUTIVES
      * 
-     * Direct CoreSignal API search for CFO/CRO
+     * Direct CoreSignal API search per persona - titles from config/target-personas.js (searchTitles)
      */
-    async searchCoreSignalExecutives(companyInfo) {
-        const result = { cfo: null, cro: null };
+    async searchCoreSignalExecutives(companyInfo, personas = resolvePersonas()) {
+        // candidates: every hit, for identity resolution - not just the top one per role
+        const result = { ...Object.fromEntries(personas.map(persona => [persona.id, null])), candidates: [] };
 
         if (!this.config.CORESIGNAL_API_KEY) {
             console.log('   ⚠️ CoreSignal API key not available');
@@ -518,141 +590,61 @@ Provide ONLY a JSON response:
         }
 
         try {
-            const fetch = require('node-fetch');
-            
-            // Search for CFO
-            const cfoResponse = await fetch('https://api.coresignal.com/cdapi/v2/employee_multi_source/search/es_dsl', {
-                method: 'POST',
-                headers: {
-                    'apikey': this.config.CORESIGNAL_API_KEY,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    query: {
-                        bool: {
-                            must: [
-                                {
-                                    bool: {
-                                        should: [
-                                            { match: { "company_name": companyInfo.companyName } },
-                                            { match: { "company_name": companyInfo.website } }
-                                        ]
-                                    }
-                                },
-                                {
-                                    bool: {
-                                        should: [
-                                            // Tier 1: Primary CFO roles
-                                            { match: { "title": "Chief Financial Officer" } },
-                                            { match: { "title": "CFO" } },
-                                            { match: { "title": "Chief Accounting Officer" } },
-                                            { match: { "title": "CAO" } },
-                                            // Tier 2: VP Finance roles
-                                            { match: { "title": "VP Finance" } },
-                                            { match: { "title": "Vice President Finance" } },
-                                            { match: { "title": "Finance Director" } },
-                                            { match: { "title": "Head of Finance" } },
-                                            // Tier 3: Controller roles
-                                            { match: { "title": "Controller" } },
-                                            { match: { "title": "Corporate Controller" } },
-                                            { match: { "title": "Senior Controller" } },
-                                            // Tier 4: Finance management
-                                            { match: { "title": "Finance Manager" } },
-                                            { match: { "title": "Accounting Manager" } },
-                                            { match: { "title": "Financial Planning Manager" } },
-                                            // Tier 5: Treasury and budget
-                                            { match: { "title": "Treasurer" } },
-                                            { match: { "title": "Budget Manager" } },
-                                            // Industry-specific variations
-                                            { match: { "title": "Director of Finance" } },
-                                            { match: { "title": "Director of Accounting" } },
-                                            { match: { "title": "Head of FP&A" } },
-                                            { match: { "title": "Finance Operations Director" } },
-                                            // General finance terms
-                                            { match: { "title": "Finance" } },
-                                            { match: { "title": "Financial" } },
-                                            { match: { "title": "Accounting" } }
-                                        ]
-                                    }
-                                }
-                            ]
-                        }
+            const { governedFetch: fetch } = require('./providers/RateGovernor');
+            const region = regionFromDomain(companyInfo.website);
+
+            for (const persona of personas) {
+                // The persona's titles plus the company's local-language ones ("Finanzvorstand" for a .de company)
+                const searchTitles = [...(persona.searchTitles || [persona.name]), ...localTitles(persona.role, { region })];
+                const response = await fetch('https://api.coresignal.com/cdapi/v2/employee_multi_source/search/es_dsl', {
+                    method: 'POST',
+                    headers: {
+                        'apikey': this.config.CORESIGNAL_API_KEY,
+                        'Content-Type': 'application/json'
                     },
-                    size: 3
-                })
-            });
-
-            if (cfoResponse.ok) {
-                const cfoData = await cfoResponse.json();
-                if (cfoData.hits?.hits?.length > 0) {
-                    const cfoHit = cfoData.hits.hits[0]._source;
-                    result.cfo = {
-                        name: cfoHit.name,
-                        title: cfoHit.title,
-                        tier: 1,
-                        confidence: 85,
-                        source: 'CoreSignal API',
-                        roleType: 'CFO'
-                    };
-                }
-            }
-
-            // Search for CRO
-            const croResponse = await fetch('https://api.coresignal.com/cdapi/v2/employee_multi_source/search/es_dsl', {
-                method: 'POST',
-                headers: {
-                    'apikey': this.config.CORESIGNAL_API_KEY,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    query: {
-                        bool: {
-                            must: [
-                                {
-                                    bool: {
-                                        should: [
-                                            { match: { "company_name": companyInfo.companyName } },
-                                            { match: { "company_name": companyInfo.website } }
-                                        ]
-                                    }
-                                },
-                                {
-                                    bool: {
-                                        should: [
-                                            { match: { "title": "Chief Revenue Officer" } },
-                                            { match: { "title": "CRO" } },
-                                            { match: { "title": "Chief Sales Officer" } },
-                                            { match: { "title": "CSO" } },
-                                            { match: { "title": "VP Sales" } },
-                                            { match: { "title": "Vice President Sales" } },
-                                            { match: { "title": "VP Revenue" } },
-                                            { match: { "title": "Vice President Revenue" } },
-                                            { match: { "title": "Revenue" } },
-                                            { match: { "title": "Sales" } },
-                                            { match: { "title": "Chief Customer Officer" } },
-                                            { match: { "title": "CCO" } }
-                                        ]
+                    body: JSON.stringify({
+                        query: {
+                            bool: {
+                                must: [
+                                    {
+                                        bool: {
+                                            should: [
+                                                { match: { "company_name": companyInfo.companyName } },
+                                                { match: { "company_name": companyInfo.website } }
+                                            ]
+                                        }
+                                    },
+                                    {
+                                        bool: {
+                                            should: searchTitles.map(title => ({ match: { "title": title } }))
+                                        }
                                     }
-                                }
-                            ]
-                        }
-                    },
-                    size: 3
-                })
-            });
-
-            if (croResponse.ok) {
-                const croData = await croResponse.json();
-                if (croData.hits?.hits?.length > 0) {
-                    const croHit = croData.hits.hits[0]._source;
-                    result.cro = {
-                        name: croHit.name,
-                        title: croHit.title,
-                        tier: 1,
-                        confidence: 85,
-                        source: 'CoreSignal API',
-                        roleType: 'CRO'
-                    };
+                                ]
+                            }
+                        },
+                        size: 3
+                    })
+                });
+
+                if (response.ok) {
+                    const data = await response.json();
+                    const hits = this.coreSignalCandidates(data, region);
+                    result.candidates.push(...hits);
+
+                    // CFO / CRO take the top hit; other personas keep the hit whose title fits the persona's waterfall
+                    if (!CORE_PERSONAS.includes(persona.id)) {
+                        result[persona.id] = this.personaDetection.identify(hits, persona);
+                    } else if (data.hits?.hits?.length > 0) {
+                        const hit = data.hits.hits[0]._source;
+                        result[persona.id] = localizeExecutive({
+                            name: hit.name,
+                            title: hit.title,
+                            tier: 1,
+                            confidence: 85,
+                            source: 'CoreSignal API',
+                            roleType: persona.label
+                        }, { region });
+                    }
                 }
             }
 
@@ -663,13 +655,30 @@ Provide ONLY a JSON response:
         return result;
     }
 
+    /**
+     * CoreSignal search hits as executive records (English titles)
+     */
+    coreSignalCandidates(searchData, region = null) {
+        return (searchData.hits?.hits || [])
+            .map(hit => hit._source || {})
+            .filter(hit => hit.name)
+            .map(hit => localizeExecutive({
+                name: hit.name,
+                title: hit.title,
+                linkedIn: hit.linkedin_url || hit.member_linkedin_url || null,
+                company: hit.company_name || null,
+                confidence: 85,
+                source: 'CoreSignal API'
+            }, { region }));
+    }
+
     async callPerplexityAPI(prompt) {
         if (!this.config.PERPLEXITY_API_KEY) {
             return {};
         }
 
         try {
-            const fetch = require('node-fetch');
+            const { governedFetch: fetch } = require('./providers/RateGovernor');
             const response = await fetch('https://api.perplexity.ai/chat/completions', {
                 method: 'POST',
                 headers: {
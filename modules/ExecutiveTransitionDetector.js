@@ -11,7 +11,7 @@
  * 5. Transition timeline tracking
  */
 
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
 
 class ExecutiveTransitionDetector {
     constructor(config = {}) {
@@ -10,7 +10,7 @@
  * 4. Executive-company relationship validation
  */
 
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
 
 class ExecutiveValidation {
     constructor(config = {}) {
@@ -0,0 +1,408 @@
+/**
+ * 👀 EXECUTIVE WATCHLIST MODULE
+ *
+ * Accounts whose executives are re-verified on a schedule (modules/WatchlistMonitor.js) and the
+ * change events found between passes. Each account keeps the last known holder of every watched
+ * persona seat; a pass's observations are diffed against it seat by seat:
+ * 1. departed - the holder left the company (profile elsewhere, or replaced on the leadership page)
+ * 2. new_hire - someone new holds the seat (a new CFO is a high priority event)
+ * 3. interim_appointed - the new holder, or the holder's new title, is interim / acting
+ * 4. title_change - the holder's title moved to another tier or category of the persona's role
+ * 5. email_bouncing - the holder's email went from deliverable to invalid
+ *
+ * Events carry the evidence that produced them (check, finding, detail, source) and a confidence
+ * from config/watchlist.js; a change no finding backs updates the seat without an event. The
+ * first pass of an account only records a baseline.
+ *
+ * Account: { id, company, website, region, personas[], seats: { cfo: { name, title, email,
+ *   linkedIn, emailStatus, interim, since, confirmedAt, source } | null }, vacated: { cfo: date },
+ *   checks: { email: date, ... }, baselineAt, lastCheckedAt, nextCheckAt, passes[], events[] }
+ *
+ * One JSON file per account in WATCHLIST_DIR (outputs/watchlist, /tmp/watchlist on Vercel).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WATCHLIST_SCHEDULE, EVENT_PRIORITIES, INTERIM_WORDS, WATCHLIST_SIGNALS } = require('../config/watchlist');
+const { resolvePersonas } = require('./PersonaDetection');
+const { matchRole, foldTitle } = require('./RoleTaxonomy');
+const { namesMatch, nameKey } = require('./PersonName');
+const { registrableDomain } = require('./DomainHistory');
+const { regionFromDomain } = require('./PhoneNumbers');
+
+const EVENT_TYPES = {
+    DEPARTED: 'departed',
+    NEW_HIRE: 'new_hire',
+    INTERIM_APPOINTED: 'interim_appointed',
+    TITLE_CHANGE: 'title_change',
+    EMAIL_BOUNCING: 'email_bouncing'
+};
+
+// Findings a check can report, and the ones that back each event type
+const EVENT_EVIDENCE = {
+    email_bouncing: ['email_invalid'],
+    departed: ['left_company', 'not_listed', 'holder', 'email_invalid', 'news_departure'],
+    new_hire: ['holder', 'news_appointment'],
+    interim_appointed: ['holder', 'title', 'news_interim'],
+    title_change: ['title']
+};
+
+const MAX_PASSES = 20;
+const MAX_EVENTS = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const interimWords = new Set(INTERIM_WORDS.map(word => foldTitle(word)));
+
+/**
+ * Watchlist id of an account - the registrable domain of its website
+ */
+function accountId(website) {
+    return registrableDomain(website || '');
+}
+
+/**
+ * True for interim / acting titles in any configured language ("Interim CFO", "Kommissarischer Finanzvorstand")
+ */
+function isInterimTitle(title) {
+    return foldTitle(title).split(/[^a-z0-9]+/).some(word => interimWords.has(word));
+}
+
+/**
+ * Seats worth an early look - vacated by a departure, or held by an interim
+ */
+function followUpSeats(account) {
+    return account.personas.filter(id => account.vacated?.[id] || account.seats[id]?.interim);
+}
+
+function addDays(date, days) {
+    return new Date(new Date(date).getTime() + days * DAY_MS).toISOString();
+}
+
+function eventPriority(type, personaId) {
+    const priorities = EVENT_PRIORITIES[type] || {};
+    return priorities[personaId] || priorities.default || 'low';
+}
+
+/**
+ * Confidence of a change - its strongest check, +10 when another check agrees
+ */
+function eventConfidence(evidence) {
+    const signals = [...new Set(evidence.map(item => item.signal))];
+    const strongest = Math.max(0, ...evidence.map(item => item.confidence ?? WATCHLIST_SIGNALS[item.signal]?.confidence ?? 0));
+    return Math.min(95, strongest + (signals.length > 1 ? 10 : 0));
+}
+
+/**
+ * Did the title move to another tier or category of the persona's role? Wording alone
+ * ("CFO" → "Chief Financial Officer & Treasurer") is not a change
+ */
+function titleChanged(before, after, persona, region = null) {
+    if (!before || !after) return false;
+    const previous = matchRole(before, persona.role, { region });
+    const current = matchRole(after, persona.role, { region });
+    return previous.tier !== current.tier || previous.category !== current.category;
+}
+
+function person(executive) {
+    if (!executive) return null;
+    return {
+        name: executive.name,
+        title: executive.title || null,
+        email: executive.email || null,
+        linkedIn: executive.linkedIn || null
+    };
+}
+
+/**
+ * 🔍 DIFF ONE SEAT
+ *
+ * @param {Object} params
+ * @param {Object} params.account - watchlist account (region, baselineAt, vacated)
+ * @param {Object} params.persona - persona definition with id, label and role
+ * @param {Object|null} params.previous - last known seat holder
+ * @param {Object} params.observed - what this pass found for the seat:
+ *   holder (leadership page's best candidate: object, null = nobody, undefined = not checked),
+ *   present (the previous holder is still listed / at the company), departed (left the company),
+ *   title (previous holder's current title), emailStatus (deliverability of their email),
+ *   evidence: [{ signal, finding, detail, source, observedAt, confidence? }]
+ * @param {string} params.now - ISO timestamp of the pass
+ * @returns {{ seat: Object|null, events: Object[], vacated: boolean }}
+ */
+function diffSeat({ account, persona, previous, observed, now }) {
+    const region = account.region || null;
+    const evidence = observed.evidence || [];
+    const events = [];
+    const event = (type, subject, before, summary) => {
+        const backing = evidence.filter(item => EVENT_EVIDENCE[type].includes(item.finding));
+        if (backing.length === 0) return;
+        events.push({
+            id: `${account.id}:${persona.id}:${type}:${now.split('T')[0]}:${nameKey(subject.name)}`,
+            type,
+            priority: eventPriority(type, persona.id),
+            confidence: eventConfidence(backing),
+            account: account.id,
+            company: account.company,
+            persona: persona.id,
+            personaLabel: persona.label,
+            person: person(subject),
+            previous: before ? { name: before.name, title: before.title || null } : null,
+            summary,
+            detectedAt: now,
+            evidence: backing
+        });
+    };
+
+    let seat = previous ? { ...previous } : null;
+    let vacated = false;
+
+    if (previous && observed.emailStatus) {
+        if (observed.emailStatus === 'invalid' && previous.emailStatus !== 'invalid') {
+            event(EVENT_TYPES.EMAIL_BOUNCING, previous, null, `${persona.label} ${previous.name}'s email ${previous.email} now bounces`);
+        }
+        seat.emailStatus = observed.emailStatus;
+    }
+
+    const holder = observed.holder;
+    const newcomer = holder?.name && (!previous || !namesMatch(previous.name, holder.name)) ? holder : null;
+
+    if (previous && (observed.departed || (newcomer && !observed.present))) {
+        event(EVENT_TYPES.DEPARTED, previous, null, `${persona.label} ${previous.name} left ${account.company || account.id}`);
+        seat = null;
+        vacated = true;
+    } else if (previous && newcomer && observed.title && titleChanged(previous.title, observed.title, persona, region)) {
+        // Still at the company in another role - the seat itself changed hands
+        event(EVENT_TYPES.TITLE_CHANGE, { ...previous, title: observed.title }, previous,
+            `${persona.label} ${previous.name} is now ${observed.title} (was ${previous.title})`);
+        seat = null;
+    }
+
+    // A holder still listed in the seat's role keeps it - the page's other candidate is not a successor
+    if (newcomer && !seat) {
+        const interim = isInterimTitle(newcomer.title);
+        // A seat only "gets a new hire" when its holder was known or had left - not when first found
+        if (previous || account.vacated?.[persona.id]) {
+            event(interim ? EVENT_TYPES.INTERIM_APPOINTED : EVENT_TYPES.NEW_HIRE, newcomer, previous,
+                interim
+                    ? `${newcomer.name} appointed ${newcomer.title} at ${account.company || account.id}`
+                    : `New ${persona.label} at ${account.company || account.id}: ${newcomer.name} (${newcomer.title})`);
+        }
+        seat = {
+            ...person(newcomer),
+            emailStatus: null,
+            interim,
+            since: now,
+            confirmedAt: now,
+            source: newcomer.source || null
+        };
+        vacated = false;
+    } else if (seat) {
+        const title = observed.title || (newcomer ? null : holder?.title) || null;
+        if (title && (titleChanged(seat.title, title, persona, region) || isInterimTitle(title) !== Boolean(seat.interim))) {
+            if (isInterimTitle(title) && !seat.interim) {
+                event(EVENT_TYPES.INTERIM_APPOINTED, { ...seat, title }, seat, `${seat.name} is now ${title} (was ${seat.title})`);
+            } else {
+                event(EVENT_TYPES.TITLE_CHANGE, { ...seat, title }, seat, `${persona.label} ${seat.name} is now ${title} (was ${seat.title})`);
+            }
+            seat.interim = isInterimTitle(title);
+        }
+        if (title) seat.title = title;
+        if (observed.present || (holder && !newcomer)) seat.confirmedAt = now;
+    }
+
+    // The first pass of an account records its baseline - nothing "changed" yet
+    return { seat, events: account.baselineAt ? events : [], vacated };
+}
+
+class ExecutiveWatchlist {
+    constructor(config = {}) {
+        // Use /tmp for Vercel serverless compatibility
+        const defaultWatchlistDir = process.env.VERCEL ? '/tmp/watchlist' : path.join(__dirname, '../outputs/watchlist');
+
+        this.config = {
+            WATCHLIST_DIR: config.WATCHLIST_DIR || process.env.WATCHLIST_DIR || defaultWatchlistDir,
+            ...config
+        };
+
+        if (!fs.existsSync(this.config.WATCHLIST_DIR)) {
+            fs.mkdirSync(this.config.WATCHLIST_DIR, { recursive: true });
+        }
+    }
+
+    /**
+     * ➕ WATCH AN ACCOUNT
+     * Known executives (e.g. from a pipeline's contact CSV) become the seats' last known holders;
+     * watching an account again adds personas and fills empty seats without touching history
+     *
+     * @param {Object} params - { website, company?, personas? (ids, cfo and cro always), executives?: { cfo: { name, title, email, linkedIn } } }
+     */
+    watch({ website, company = null, personas = null, executives = {} }) {
+        const id = accountId(website);
+        if (!id || !id.includes('.')) {
+            throw new Error(`Not a company website: ${website}`);
+        }
+
+        const now = new Date().toISOString();
+        const existing = this.get(id);
+        const personaIds = resolvePersonas([...(existing?.personas || []), ...(personas || []), ...Object.keys(executives)]).map(persona => persona.id);
+        const account = existing || {
+            id,
+            company,
+            website,
+            region: regionFromDomain(website) || null,
+            personas: [],
+            seats: {},
+            vacated: {},
+            checks: {},
+            addedAt: now,
+            baselineAt: null,
+            lastCheckedAt: null,
+            nextCheckAt: now,
+            passes: [],
+            events: []
+        };
+
+        account.company = account.company || company;
+        account.personas = personaIds;
+        personaIds.forEach(personaId => {
+            const executive = executives[personaId];
+            if (!account.seats[personaId] && executive?.name) {
+                account.seats[personaId] = {
+                    ...person(executive),
+                    emailStatus: null,
+                    interim: isInterimTitle(executive.title),
+                    since: null,
+                    confirmedAt: null,
+                    source: executive.source || 'import'
+                };
+                // Known holders are the baseline - the next pass already reports changes
+                account.baselineAt = account.baselineAt || now;
+            } else if (!(personaId in account.seats)) {
+                account.seats[personaId] = null;
+            }
+        });
+
+        // Holders known from a pipeline run were just verified - the first pass waits for the schedule
+        if (!existing && account.baselineAt) account.nextCheckAt = this.nextCheckAt(account, now);
+
+        this.save(account);
+        if (!existing) console.log(`   👀 Watching ${id} (${personaIds.join(', ')})`);
+        return account;
+    }
+
+    get(id) {
+        const file = this.accountFile(accountId(id));
+        if (!file || !fs.existsSync(file)) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.log(`   ⚠️ Watchlist read error (${id}): ${error.message}`);
+            return null;
+        }
+    }
+
+    list() {
+        return fs.readdirSync(this.config.WATCHLIST_DIR)
+            .filter(file => file.endsWith('.json'))
+            .map(file => this.get(path.basename(file, '.json')))
+            .filter(Boolean)
+            .sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    remove(id) {
+        const file = this.accountFile(accountId(id));
+        if (!file || !fs.existsSync(file)) return false;
+        fs.unlinkSync(file);
+        return true;
+    }
+
+    /**
+     * Accounts whose next check is due, most overdue first
+     */
+    due(now = new Date().toISOString()) {
+        return this.list()
+            .filter(account => !account.nextCheckAt || account.nextCheckAt <= now)
+            .sort((a, b) => String(a.nextCheckAt || '').localeCompare(String(b.nextCheckAt || '')));
+    }
+
+    /**
+     * 📅 NEXT CHECK - the shortest persona interval, or followUpDays while a seat is vacated or interim
+     */
+    nextCheckAt(account, now) {
+        const { defaultIntervalDays, personaIntervalDays, followUpDays } = WATCHLIST_SCHEDULE;
+        const days = followUpSeats(account).length > 0
+            ? followUpDays
+            : Math.min(...account.personas.map(id => personaIntervalDays[id] ?? defaultIntervalDays));
+        return addDays(now, days);
+    }
+
+    /**
+     * 📝 RECORD A PASS - diff every seat against the observations and store the events
+     * @param {Object} account
+     * @param {Object} pass - { observations: { personaId: observed }, checks: [signal ids run], costUsd, now }
+     * @returns {Object[]} the pass's events
+     */
+    recordPass(account, { observations, checks = [], costUsd = 0, now = new Date().toISOString() }) {
+        const events = [];
+
+        resolvePersonas(account.personas).forEach(persona => {
+            const observed = observations[persona.id];
+            if (!observed) return;
+
+            const diff = diffSeat({ account, persona, previous: account.seats[persona.id] || null, observed, now });
+            account.seats[persona.id] = diff.seat;
+            if (diff.vacated) {
+                account.vacated[persona.id] = now;
+            } else if (diff.seat) {
+                delete account.vacated[persona.id];
+            }
+            events.push(...diff.events);
+        });
+
+        checks.forEach(signal => { account.checks[signal] = now; });
+        account.baselineAt = account.baselineAt || now;
+        account.lastCheckedAt = now;
+        account.nextCheckAt = this.nextCheckAt(account, now);
+        account.passes = [...account.passes, { at: now, checks, costUsd: Number(costUsd.toFixed(4)), events: events.length }].slice(-MAX_PASSES);
+        account.events = [...account.events, ...events].slice(-MAX_EVENTS);
+
+        this.save(account);
+        return events;
+    }
+
+    /**
+     * 🚩 STORED EVENTS - newest first, across accounts or for one
+     */
+    events({ account = null, since = null, type = null, persona = null } = {}) {
+        const accounts = account ? [this.get(account)].filter(Boolean) : this.list();
+        return accounts
+            .flatMap(entry => entry.events || [])
+            .filter(event => (!since || event.detectedAt >= since) && (!type || event.type === type) && (!persona || event.persona === persona))
+            .sort((a, b) => b.detectedAt.localeCompare(a.detectedAt));
+    }
+
+    /**
+     * Write an account (atomic rename)
+     */
+    save(account) {
+        const file = this.accountFile(account.id);
+        account.updatedAt = new Date().toISOString();
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(account, null, 2));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    accountFile(id) {
+        if (!/^[a-z0-9][a-z0-9.-]*\.[a-z0-9-]+$/.test(String(id || ''))) return null;
+        return path.join(this.config.WATCHLIST_DIR, `${id}.json`);
+    }
+}
+
+module.exports = {
+    ExecutiveWatchlist,
+    diffSeat,
+    titleChanged,
+    followUpSeats,
+    accountId,
+    isInterimTitle,
+    EVENT_TYPES
+};
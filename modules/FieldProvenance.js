@@ -0,0 +1,214 @@
+/**
+ * 🏷️ FIELD PROVENANCE MODULE
+ *
+ * Per-field origin records for executive contact data. An executive keeps its values where
+ * they always were (exec.email, exec.phone, ...) plus exec.provenance[field]:
+ *
+ *   {
+ *     provider: 'lusha' | 'coresignal' | 'prospeo' | ... | null (generated / no vendor),
+ *     module: 'ExecutiveContactIntelligence',
+ *     source: raw source label from the module ('Lusha only', 'generated', ...),
+ *     fetchedAt: ISO time the vendor answered - a cached or replayed answer keeps its original time,
+ *     confidence: 0-100 as reported by the supplying module,
+ *     kind: 'observed' | 'verified' | 'generated',
+ *     verifiedAt: ISO time of independent verification (null unless verified; fetchedAt when not given),
+ *     verifiedBy: provider that verified it (zerobounce, cross-validation, ...)
+ *   }
+ *
+ * observed: a vendor returned the value; verified: a validator or a second vendor confirmed it;
+ * generated: built from a pattern or guess and not confirmed.
+ */
+
+const PROVENANCE_KINDS = {
+    OBSERVED: 'observed',
+    VERIFIED: 'verified',
+    GENERATED: 'generated'
+};
+
+const PROVENANCE_FIELDS = ['name', 'title', 'email', 'phone', 'linkedIn'];
+// Fields with source / verified-at columns in CSV exports (PROVENANCE_COLUMNS=true)
+const PROVENANCE_CSV_FIELDS = ['email', 'phone', 'linkedIn'];
+
+// Source label → provider; the first match wins, joined labels ("CoreSignal + Lusha") keep all matches
+const PROVIDER_PATTERNS = [
+    [/coresignal/i, 'coresignal'],
+    [/lusha/i, 'lusha'],
+    [/prospeo/i, 'prospeo'],
+    [/dropcontact/i, 'dropcontact'],
+    [/zerobounce/i, 'zerobounce'],
+    [/myemailverifier/i, 'myemailverifier'],
+    [/twilio/i, 'twilio'],
+    [/perplexity|ai_research/i, 'perplexity'],
+    [/openai|gpt/i, 'openai'],
+    [/override/i, 'override']
+];
+
+const GENERATED_PATTERN = /generat|pattern|guess|intelligent_domain/i;
+const VERIFIED_PATTERN = /cross-validated|triangulated/i;
+
+/**
+ * Providers named in a module's source label - "CoreSignal + Lusha (cross-validated)" → "coresignal+lusha"
+ */
+function providerFromSource(source) {
+    const label = String(source || '');
+    const providers = PROVIDER_PATTERNS.filter(([pattern]) => pattern.test(label)).map(([, provider]) => provider);
+    return providers.length > 0 ? providers.join('+') : null;
+}
+
+/**
+ * 🏷️ CREATE A PROVENANCE RECORD
+ * provider and kind are inferred from source when not given; times default to now only
+ * when the caller does not know when the value was fetched
+ */
+function createProvenance({ provider, module = null, source = null, fetchedAt = null, confidence = null, kind = null, verifiedAt = null, verifiedBy = null } = {}) {
+    const generated = GENERATED_PATTERN.test(String(source || ''));
+    const crossValidated = VERIFIED_PATTERN.test(String(source || ''));
+    const now = new Date().toISOString();
+
+    let resolvedKind = kind;
+    if (!resolvedKind) {
+        if (verifiedAt || verifiedBy || crossValidated) resolvedKind = PROVENANCE_KINDS.VERIFIED;
+        else if (generated) resolvedKind = PROVENANCE_KINDS.GENERATED;
+        else resolvedKind = PROVENANCE_KINDS.OBSERVED;
+    }
+
+    return {
+        provider: provider !== undefined ? provider : (generated ? null : providerFromSource(source)),
+        module,
+        source: source || null,
+        fetchedAt: fetchedAt || now,
+        confidence: typeof confidence === 'number' ? Math.round(confidence) : null,
+        kind: resolvedKind,
+        verifiedAt: resolvedKind === PROVENANCE_KINDS.VERIFIED ? (verifiedAt || fetchedAt || now) : null,
+        verifiedBy: resolvedKind === PROVENANCE_KINDS.VERIFIED ? (verifiedBy || (crossValidated ? 'cross-validation' : null)) : null
+    };
+}
+
+/**
+ * Provenance for one field of a contact record from a module - uses the record's own
+ * provenance when the module attached one, otherwise infers it from the record's source
+ * (and its fetchedAt / verifiedAt when the module carried the vendor times through)
+ */
+function provenanceFromContact(contact, field, module) {
+    if (contact?.provenance?.[field]) {
+        return contact.provenance[field];
+    }
+
+    const validated = contact?.isValid === true && ['valid', 'api_verified'].includes(contact?.validationResult);
+    return createProvenance({
+        module,
+        source: contact?.source || null,
+        fetchedAt: contact?.fetchedAt || null,
+        confidence: contact?.confidence ?? null,
+        verifiedAt: validated ? contact.verifiedAt || null : null,
+        verifiedBy: validated ? (contact.validationSource || 'email_validation') : null
+    });
+}
+
+/**
+ * ✍️ SET A FIELD WITH ITS PROVENANCE
+ * Empty values are ignored so callers can pass "best available" candidates directly
+ * @returns {boolean} whether the field was set
+ */
+function setField(person, field, value, provenance) {
+    if (!person || !value) return false;
+
+    person[field] = value;
+    person.provenance = { ...(person.provenance || {}), [field]: provenance };
+    return true;
+}
+
+/**
+ * Clear a field and its provenance
+ */
+function clearField(person, field) {
+    if (!person) return;
+    person[field] = '';
+    if (person.provenance) {
+        delete person.provenance[field];
+    }
+}
+
+/**
+ * ✅ MARK A FIELD VERIFIED - keeps where it came from, records who confirmed it and when
+ */
+function markVerified(person, field, { verifiedBy, confidence = null, verifiedAt = null } = {}) {
+    if (!person?.[field]) return;
+
+    const existing = person.provenance?.[field] || createProvenance({ source: person.source || null });
+    person.provenance = {
+        ...(person.provenance || {}),
+        [field]: {
+            ...existing,
+            confidence: typeof confidence === 'number' ? Math.round(confidence) : existing.confidence,
+            kind: PROVENANCE_KINDS.VERIFIED,
+            verifiedAt: verifiedAt || new Date().toISOString(),
+            verifiedBy: verifiedBy || existing.verifiedBy || null
+        }
+    };
+}
+
+/**
+ * Give every populated field without provenance a record inferred from the executive's source -
+ * covers overrides and parent-company executives that bypass the contact modules
+ */
+function fillMissingProvenance(person, module) {
+    if (!person) return person;
+
+    PROVENANCE_FIELDS.forEach(field => {
+        if (person[field] && !person.provenance?.[field]) {
+            person.provenance = {
+                ...(person.provenance || {}),
+                [field]: createProvenance({
+                    module,
+                    source: person.source || null,
+                    confidence: person.confidence ?? null
+                })
+            };
+        }
+    });
+    return person;
+}
+
+/**
+ * 📄 FLAT CSV COLUMNS - { cfo_email_source: 'lusha (observed)', cfo_email_verified_at: '...' };
+ * without a prefix (one row per executive) { email_source, email_verified_at }
+ */
+function provenanceColumns(person, prefix, fields = PROVENANCE_FIELDS) {
+    const columns = {};
+    fields.forEach(field => {
+        const column = prefix ? `${prefix}_${field}` : field;
+        const record = person?.[field] ? person.provenance?.[field] : null;
+        columns[`${column}_source`] = record ? `${record.provider || record.module || 'unknown'} (${record.kind})` : '';
+        columns[`${column}_verified_at`] = record?.verifiedAt || '';
+    });
+    return columns;
+}
+
+/**
+ * CSV header entries matching provenanceColumns()
+ */
+function provenanceHeaders(prefix, fields = PROVENANCE_FIELDS) {
+    return fields.flatMap(field => {
+        const column = prefix ? `${prefix}_${field}` : field;
+        return [
+            { id: `${column}_source`, title: `${column}_source` },
+            { id: `${column}_verified_at`, title: `${column}_verified_at` }
+        ];
+    });
+}
+
+module.exports = {
+    PROVENANCE_KINDS,
+    PROVENANCE_FIELDS,
+    PROVENANCE_CSV_FIELDS,
+    providerFromSource,
+    createProvenance,
+    provenanceFromContact,
+    setField,
+    clearField,
+    markVerified,
+    fillMissingProvenance,
+    provenanceColumns,
+    provenanceHeaders
+};
@@ -5,116 +5,21 @@
  * Mirrors the RevenueLeaderDetection system with proper 5-tier waterfall
  */
 
-class FinanceLeaderDetection {
-    constructor() {
-        // TIER 1: C-Level Finance Leaders (Highest Priority)
-        this.tier1Titles = [
-            // Chief Financial Officer variations
-            'chief financial officer', 'cfo', 'c.f.o.', 'c.f.o', 'c.f.o',
-            'chief accounting officer', 'cao', 'c.a.o.', 'c.a.o', 'c.a.o',
-            'chief finance officer', 'chief financial', 'group cfo',
-            
-            // Regional/Global C-Level
-            'global chief financial officer', 'global cfo',
-            'regional chief financial officer', 'regional cfo',
-            'chief financial & accounting officer', 'chief financial and accounting officer',
-            'chief finance & operations officer', 'chief finance and operations officer'
-        ];
-
-        // TIER 2: Senior VP Level (High Priority)
-        this.tier2Titles = [
-            // VP Finance variations
-            'vp finance', 'vice president finance', 'vp of finance', 'vp financial',
-            'vice president financial', 'vp of financial', 'senior vp finance',
-            'executive vp finance', 'evp finance', 'group vp finance',
-            
-            // Finance Director variations
-            'finance director', 'director of finance', 'director finance',
-            'head of finance', 'finance head', 'senior finance director',
-            'group finance director', 'corporate finance director',
-            
-            // VP Accounting variations
-            'vp accounting', 'vice president accounting', 'vp of accounting'
-        ];
+const { getRoleTaxonomy } = require('./RoleTaxonomy');
 
-        // TIER 3: Controller & Senior Finance Roles (Medium Priority)
-        this.tier3Titles = [
-            // Controller variations
-            'controller', 'corporate controller', 'group controller',
-            'senior controller', 'assistant controller', 'deputy controller',
-            'financial controller', 'accounting controller',
-            
-            // Senior Finance Management
-            'senior finance manager', 'finance manager', 'senior financial manager',
-            'financial planning manager', 'fp&a manager', 'fpa manager',
-            'financial planning and analysis manager', 'budget manager',
-            
-            // Director Level Finance
-            'director of accounting', 'accounting director', 'senior director finance',
-            'director financial planning', 'director fp&a'
-        ];
-
-        // TIER 4: Finance Management & Treasury (Lower Priority)
-        this.tier4Titles = [
-            // Treasury roles
-            'treasurer', 'corporate treasurer', 'assistant treasurer',
-            'treasury manager', 'treasury director', 'head of treasury',
-            
-            // Finance Operations
-            'finance operations manager', 'financial operations manager',
-            'finance operations director', 'head of financial operations',
-            
-            // Accounting Management
-            'accounting manager', 'senior accounting manager',
-            'financial analyst manager', 'senior financial analyst',
-            
-            // Industry-specific
-            'head of fp&a', 'lead finance', 'finance lead', 'accounting lead',
-            'principal finance', 'senior principal finance'
-        ];
-
-        // TIER 5: Other Finance Roles (Lowest Priority)
-        this.tier5Titles = [
-            // General Finance
-            'finance', 'financial', 'accounting', 'finance specialist',
-            'financial specialist', 'finance analyst', 'financial analyst',
-            
-            // Administrative Finance
-            'finance administrator', 'accounting administrator',
-            'finance coordinator', 'financial coordinator',
-            
-            // Junior Roles (fallback)
-            'junior finance manager', 'associate finance manager',
-            'finance associate', 'financial associate'
-        ];
-
-        // Revenue role exclusions (CRITICAL - prevent cross-contamination)
-        this.revenueRoleExclusions = [
-            'chief revenue officer', 'cro', 'chief sales officer', 'cso',
-            'chief commercial officer', 'cco', 'chief business officer', 'cbo',
-            'chief growth officer', 'cgo', 'chief marketing officer', 'cmo',
-            'vp sales', 'vice president sales', 'sales director', 'head of sales',
-            'revenue', 'sales', 'commercial', 'business development',
-            'customer success', 'account management', 'partnerships'
-        ];
-
-        // Title pattern mappings for analysis
-        this.titlePatterns = {
-            'tier1': this.tier1Titles,
-            'tier2': this.tier2Titles,
-            'tier3': this.tier3Titles,
-            'tier4': this.tier4Titles,
-            'tier5': this.tier5Titles
-        };
+class FinanceLeaderDetection {
+    /**
+     * @param {Object} config - roleTaxonomy (defaults to the shared config/role-taxonomy.js instance)
+     */
+    constructor(config = {}) {
+        // Title tiers, synonyms and exclusions live in config/role-taxonomy.js (finance role)
+        this.roleTaxonomy = config.roleTaxonomy || getRoleTaxonomy();
+        this.role = this.roleTaxonomy.roles.finance;
 
         // Confidence scoring by tier
-        this.tierConfidence = {
-            1: 95,  // CFO, CAO
-            2: 85,  // VP Finance, Finance Director
-            3: 75,  // Controller, Senior Finance Manager
-            4: 65,  // Treasurer, Finance Operations
-            5: 55   // General Finance roles
-        };
+        this.tierConfidence = Object.fromEntries(
+            Object.entries(this.role.tiers).map(([tier, definition]) => [tier, definition.confidence])
+        );
     }
 
     /**
@@ -219,12 +124,10 @@ class FinanceLeaderDetection {
         // TIER 5: CEO/President Fallback (Only for small companies)
         console.log(`   🔍 TIER 5: CEO/President Fallback (small company structure)`);
         for (const executive of executives) {
-            const title = (executive.title || '').toLowerCase();
+            const title = executive.title || '';
             
             // Only CEO/President/Founder roles, exclude revenue executives
-            if ((title.includes('ceo') || title.includes('chief executive') || 
-                 title.includes('president') || title.includes('founder')) &&
-                !this.isRevenueRole(title)) {
+            if (this.roleTaxonomy.isGeneralManagementTitle(title) && !this.isRevenueRole(title)) {
                 
                 candidates.push({
                     ...executive,
@@ -251,40 +154,28 @@ class FinanceLeaderDetection {
     analyzeFinanceRole(executive) {
         const title = (executive.title || '').toLowerCase();
         const name = executive.name || '';
-        
-        // CRITICAL: Exclude revenue roles first
-        if (this.isRevenueRole(title)) {
-            console.log(`      🚫 EXCLUDED: ${name} (${executive.title}) - Revenue role, not finance`);
+        const match = this.roleTaxonomy.matchRole(executive.title, 'finance', { region: executive.titleRegion });
+
+        // CRITICAL: Revenue, marketing, assistant and advisory titles are never the finance leader
+        if (match.excluded) {
+            console.log(`      🚫 EXCLUDED: ${name} (${executive.title}) - ${match.excluded.reason}`);
             return {
                 isFinanceRole: false,
                 tier: null,
                 financeScore: 0,
                 matchedTitles: [],
-                exclusionReason: 'Revenue role excluded from finance detection'
+                exclusionReason: match.excluded.reason,
+                explanation: match.explanation
             };
         }
 
-        let tier = null;
-        let financeScore = 0;
-        let matchedTitles = [];
-
-        // Check each tier for matches
-        for (let tierNum = 1; tierNum <= 5; tierNum++) {
-            const tierTitles = this.titlePatterns[`tier${tierNum}`];
-            const matches = tierTitles.filter(pattern => title.includes(pattern.toLowerCase()));
-            
-            if (matches.length > 0) {
-                tier = tierNum;
-                financeScore = this.tierConfidence[tierNum];
-                matchedTitles = matches;
-                break;
-            }
-        }
+        const tier = match.tier;
+        let financeScore = tier ? this.tierConfidence[tier] : 0;
 
-        // Additional scoring adjustments
+        // Additional scoring adjustments (deputies and divisional roles are already a tier lower)
         if (tier) {
             // Boost for exact CFO matches
-            if (title === 'cfo' || title === 'chief financial officer') {
+            if (match.normalized === 'chief financial officer') {
                 financeScore += 10;
             }
             
@@ -292,11 +183,6 @@ class FinanceLeaderDetection {
             if (title.includes('senior') || title.includes('executive') || title.includes('group')) {
                 financeScore += 5;
             }
-            
-            // Penalty for assistant/deputy roles
-            if (title.includes('assistant') || title.includes('deputy') || title.includes('junior')) {
-                financeScore -= 10;
-            }
         }
 
         const isFinanceRole = tier !== null;
@@ -309,19 +195,19 @@ class FinanceLeaderDetection {
             isFinanceRole,
             tier,
             financeScore,
-            matchedTitles,
-            confidence: financeScore
+            matchedTitles: match.matched,
+            confidence: financeScore,
+            explanation: match.explanation
         };
     }
 
     /**
      * 🚫 CHECK IF TITLE IS REVENUE ROLE (CRITICAL EXCLUSION)
+     * Another function's title (sales, revenue, marketing) without a finance keyword
      */
     isRevenueRole(title) {
-        const titleLower = title.toLowerCase();
-        return this.revenueRoleExclusions.some(exclusion => 
-            titleLower.includes(exclusion.toLowerCase())
-        );
+        const match = this.roleTaxonomy.matchRole(title, 'finance');
+        return Boolean(match.excluded && match.excluded.id.startsWith('area:'));
     }
 
     /**
@@ -370,14 +256,9 @@ class FinanceLeaderDetection {
      * Get tier description for reporting
      */
     getTierDescription(tier) {
-        const descriptions = {
-            1: 'C-Level Finance (CFO, CAO)',
-            2: 'VP Finance / Finance Director',
-            3: 'Controller / Senior Finance Manager',
-            4: 'Treasury / Finance Operations',
-            5: 'CEO/President Fallback'
-        };
-        return descriptions[tier] || 'Unknown Tier';
+        // The waterfall only takes tiers 1-4 from titles - its tier 5 is the CEO/President fallback
+        if (tier === 5) return 'CEO/President Fallback';
+        return this.role.tiers[tier]?.label || 'Unknown Tier';
     }
 
     /**
@@ -386,10 +267,8 @@ class FinanceLeaderDetection {
     validateFinanceLeader(financeLeader, companyInfo) {
         if (!financeLeader) return { isValid: false, reason: 'No finance leader provided' };
         
-        const title = (financeLeader.title || '').toLowerCase();
-        
         // Check for revenue role contamination
-        if (this.isRevenueRole(title)) {
+        if (this.isRevenueRole(financeLeader.title || '')) {
             return { 
                 isValid: false, 
                 reason: 'Revenue executive incorrectly assigned as finance leader' 
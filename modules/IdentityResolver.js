@@ -0,0 +1,264 @@
+/**
+ * 🪪 IDENTITY RESOLVER MODULE
+ *
+ * Clusters executive records from leadership scraping, CoreSignal, Lusha and AI search into
+ * person entities, so one person found three ways is one candidate:
+ * 1. LinkedIn URLs are canonicalized (uk.linkedin.com/in/Jane-Doe/?originalSubdomain=uk →
+ *    https://www.linkedin.com/in/jane-doe); the same profile is the same person, different profiles never are
+ * 2. The same email is the same person unless the names disagree
+ * 3. Otherwise names must match (modules/PersonName.js - nicknames, suffixes, accents); initials or
+ *    one half of a double-barrelled name also need a matching title
+ * 4. Records at different companies never merge
+ *
+ * Each person carries merged attributes - the fullest name, the consensus title and LinkedIn URL
+ * (config/source-reliability.js), every source and alias - plus the records it was built from.
+ */
+
+const { compareNames, nameKey, parseName, emailToken } = require('./PersonName');
+
+const { normalizeTitle } = require('./RoleTaxonomy');
+
+const TITLE_STOPWORDS = new Set(['of', 'and', 'the', '&', 'for', 'at', 'officer', 'senior', 'executive', 'global']);
+const COMPANY_SUFFIXES = /\b(incorporated|inc|llc|l\.l\.c|ltd|limited|corp|corporation|co|company|plc|gmbh|ag|sa|bv|nv|holdings|group)\b\.?/g;
+
+const LINKEDIN_FIELDS = ['linkedIn', 'linkedinUrl', 'linkedInUrl', 'linkedin_url', 'member_linkedin_url', 'linkedin', 'profileUrl'];
+
+/**
+ * 🔗 CANONICAL LINKEDIN URL
+ * Country subdomains, query strings, trailing slashes, locale suffixes and case removed;
+ * legacy /pub/ profiles keep their path. null when the value is not a LinkedIn profile.
+ */
+function canonicalLinkedInUrl(url) {
+    const text = String(url || '').trim();
+    const match = text.match(/linkedin\.com\/(in|pub)\/([^?#]+)/i);
+    if (!match) return null;
+
+    const kind = match[1].toLowerCase();
+    let segments = match[2].split('/').filter(Boolean);
+    try {
+        segments = segments.map(segment => decodeURIComponent(segment));
+    } catch (error) {
+        // Malformed escapes - keep the raw path
+    }
+    if (segments.length === 0) return null;
+
+    // /in/jane-doe/en or /in/jane-doe/de-de → the profile itself
+    const path = kind === 'in' ? [segments[0]] : segments;
+    return `https://www.linkedin.com/${kind}/${path.join('/').toLowerCase()}`;
+}
+
+/**
+ * LinkedIn URL from a record in any provider's field naming
+ */
+function linkedInOf(record) {
+    // A URL guessed from the name is no evidence of who the person is
+    if (record?.provenance?.linkedIn?.kind === 'generated') return null;
+
+    const field = LINKEDIN_FIELDS.find(key => typeof record?.[key] === 'string' && /linkedin\.com/i.test(record[key]));
+    if (field) return canonicalLinkedInUrl(record[field]);
+
+    // Scraped records sometimes cite the profile as their source
+    return canonicalLinkedInUrl(record?.source);
+}
+
+function normalizeCompany(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '')
+        .replace(/\.[a-z.]+(\/.*)?$/, '')
+        .replace(COMPANY_SUFFIXES, '')
+        .replace(/[^a-z0-9]/g, '');
+}
+
+function sameCompany(a, b) {
+    const x = normalizeCompany(a);
+    const y = normalizeCompany(b);
+    if (!x || !y) return null;
+    return x === y || x.includes(y) || y.includes(x);
+}
+
+/**
+ * Title words after the role taxonomy's normalizer - "CFO" and "Chief Financial Officer" match
+ */
+function titleTokens(title) {
+    return normalizeTitle(title)
+        .split(' ')
+        .filter(word => word && !TITLE_STOPWORDS.has(word));
+}
+
+/**
+ * Titles describe the same role - half or more of the words in common after acronym expansion
+ */
+function titlesOverlap(a, b) {
+    const x = new Set(titleTokens(a));
+    const y = new Set(titleTokens(b));
+    if (x.size === 0 || y.size === 0) return false;
+    const shared = [...x].filter(word => y.has(word)).length;
+    return shared / Math.min(x.size, y.size) >= 0.5;
+}
+
+/**
+ * "R. Smith" - too little to identify anyone without more evidence
+ */
+function initialOnly(name) {
+    return parseName(name).preferredFirst.replace(/\./g, '').length <= 1;
+}
+
+/**
+ * Fullest version of a name - most whole words, no initials, formal first name over a nickname
+ */
+function nameCompleteness(name) {
+    const parsed = parseName(name);
+    const words = parsed.full.split(/\s+/).filter(Boolean);
+    const formal = nameKey(parsed).split(' ')[0] === emailToken(parsed.preferredFirst);
+    return words.filter(word => word.replace(/\./g, '').length > 1).length * 10 - words.length * 2 + (formal ? 1 : 0);
+}
+
+class IdentityResolver {
+    /**
+     * @param {Object} config - consensus (ConsensusEngine); other keys go to a new ConsensusEngine
+     */
+    constructor(config = {}) {
+        // Required here - ConsensusEngine normalizes LinkedIn URLs with this module
+        const { ConsensusEngine } = require('./ConsensusEngine');
+        this.consensus = config.consensus || new ConsensusEngine(config);
+    }
+
+    /**
+     * 🔍 COMPARE TWO RECORDS
+     * @returns {{ same: boolean|null, score: number, evidence: string }}
+     *   same false is a hard conflict (different profiles or companies), null is not enough evidence
+     */
+    compare(a, b) {
+        if (!a || !b) return { same: null, score: 0, evidence: 'missing record' };
+
+        const linkedInA = linkedInOf(a);
+        const linkedInB = linkedInOf(b);
+        if (linkedInA && linkedInB) {
+            return linkedInA === linkedInB
+                ? { same: true, score: 1, evidence: 'same LinkedIn profile' }
+                : { same: false, score: 0, evidence: 'different LinkedIn profiles' };
+        }
+
+        if (sameCompany(a.company || a.companyName || a.company_name, b.company || b.companyName || b.company_name) === false) {
+            return { same: false, score: 0, evidence: 'different companies' };
+        }
+
+        const names = a.name && b.name ? compareNames(a.name, b.name) : null;
+        const emailA = String(a.email || '').trim().toLowerCase();
+        if (emailA && emailA === String(b.email || '').trim().toLowerCase() && (!names || names.match)) {
+            return { same: true, score: 0.95, evidence: 'same email' };
+        }
+
+        if (!names || !names.match) return { same: null, score: 0, evidence: names ? names.reason : 'missing name' };
+        if (names.score >= 0.9 && !initialOnly(a.name) && !initialOnly(b.name)) return { same: true, score: names.score, evidence: names.reason };
+
+        // Initials and partial last names need the role to agree as well
+        if (titlesOverlap(a.title, b.title)) {
+            return { same: true, score: names.score, evidence: `${names.reason}, matching title` };
+        }
+        return { same: null, score: names.score, evidence: `${names.reason}, titles differ` };
+    }
+
+    /**
+     * Same person? - see compare()
+     */
+    samePerson(a, b) {
+        return this.compare(a, b).same === true;
+    }
+
+    /**
+     * 🪪 RESOLVE RECORDS INTO PEOPLE
+     * A record joins the first person it matches and conflicts with none of; the strongest
+     * records go first so weak AI guesses attach to scraped or vendor records, not the reverse.
+     *
+     * @param {Object[]} records - { name, title?, linkedIn?, email?, company?, source?, confidence?, ... }
+     * @returns {Object[]} people - the best record's fields with merged name, title, linkedIn and email,
+     *   plus identity: { id, sources, aliases, titles, records, evidence }
+     */
+    resolve(records = []) {
+        const clusters = [];
+        const ordered = records
+            .filter(record => record && record.name)
+            .map((record, index) => ({ record, index }))
+            .sort((a, b) => (Number(b.record.confidence) || 0) - (Number(a.record.confidence) || 0) || a.index - b.index);
+
+        ordered.forEach(({ record }) => {
+            for (const cluster of clusters) {
+                const verdicts = cluster.records.map(member => this.compare(member, record));
+                const match = verdicts.find(verdict => verdict.same === true);
+                if (match && verdicts.every(verdict => verdict.same !== false)) {
+                    cluster.records.push(record);
+                    cluster.evidence.push(match.evidence);
+                    return;
+                }
+            }
+            clusters.push({ records: [record], evidence: [] });
+        });
+
+        const people = clusters.map(cluster => this.merge(cluster));
+        const merged = records.filter(record => record && record.name).length - people.length;
+        if (merged > 0) {
+            console.log(`   🪪 Identity resolution: ${records.length} records → ${people.length} people (${merged} duplicates merged)`);
+        }
+        return people;
+    }
+
+    /**
+     * Person entity from a cluster of records
+     */
+    merge(cluster) {
+        const [best] = cluster.records;
+        const sources = [...new Set(cluster.records.map(record => record.source).filter(Boolean))];
+        const vote = (field, read) => this.consensus.decide(field, cluster.records.map(record => ({
+            value: read(record),
+            source: record.source,
+            confidence: typeof record.confidence === 'number' && record.confidence <= 1 ? record.confidence * 100 : record.confidence
+        })));
+
+        const name = cluster.records
+            .map(record => record.name)
+            .sort((a, b) => nameCompleteness(b) - nameCompleteness(a))[0];
+        const title = cluster.records.length > 1 ? vote('title', record => record.title).value : best.title;
+        const linkedIn = vote('linkedIn', linkedInOf).value;
+        const email = cluster.records.find(record => record.email)?.email || null;
+
+        const person = {
+            ...Object.assign({}, ...cluster.records.slice().reverse()),
+            name,
+            title: title || best.title || null,
+            source: best.source,
+            confidence: best.confidence
+        };
+        if (linkedIn) person.linkedIn = linkedIn;
+        if (email) person.email = email;
+
+        person.identity = {
+            id: linkedIn ? `linkedin:${linkedIn.split('/').pop()}` : `name:${nameKey(name)}`,
+            sources,
+            aliases: [...new Set(cluster.records.map(record => record.name))].filter(alias => alias !== name),
+            titles: [...new Set(cluster.records.map(record => record.title).filter(Boolean))],
+            records: cluster.records.length,
+            evidence: [...new Set(cluster.evidence)]
+        };
+        return person;
+    }
+
+    /**
+     * Person a record belongs to, if any
+     */
+    findPerson(people = [], record) {
+        if (!record) return null;
+        return people.find(person => [person, ...(person.identity?.aliases || []).map(alias => ({ ...person, name: alias }))]
+            .some(candidate => this.samePerson(candidate, record))) || null;
+    }
+}
+
+module.exports = {
+    IdentityResolver,
+    canonicalLinkedInUrl,
+    linkedInOf,
+    titlesOverlap,
+    sameCompany
+};
@@ -8,7 +8,7 @@
  * - Competitive landscape analysis
  */
 
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
 
 class IndustryClassification {
     constructor(config = {}) {
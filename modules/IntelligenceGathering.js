@@ -12,7 +12,7 @@
  * All data gathered from real sources
  */
 
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
 
 class IntelligenceGathering {
     constructor(config = {}) {
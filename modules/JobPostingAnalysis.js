@@ -9,17 +9,16 @@
  * - Technology investment signals
  */
 
-const https = require('https');
+const { createProviders } = require('./providers/ProviderRegistry');
 
 class JobPostingAnalysis {
     constructor(config = {}) {
         this.config = {
             CORESIGNAL_API_KEY: config.CORESIGNAL_API_KEY || process.env.CORESIGNAL_API_KEY,
-            BASE_URL: 'https://api.coresignal.com/cdapi/v1',
-            MAX_RETRIES: 2,
             RATE_LIMIT_DELAY: 1000,
             ...config
         };
+        this.providers = createProviders(this.config);
     }
 
     /**
@@ -278,52 +277,19 @@ class JobPostingAnalysis {
      * 🔧 UTILITY METHODS
      */
     async callCoreSignalAPI(endpoint, params) {
-        for (let attempt = 1; attempt <= this.config.MAX_RETRIES; attempt++) {
-            try {
-                const options = {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${this.config.CORESIGNAL_API_KEY}`,
-                        'Content-Type': 'application/json'
-                    }
-                };
-
-                const url = `${this.config.BASE_URL}${endpoint}`;
-                const response = await this.makeHttpRequest(url, options, JSON.stringify(params));
-                
-                if (response.statusCode === 200) {
-                    console.log(`   ✅ Job posting ${endpoint} successful`);
-                    await new Promise(resolve => setTimeout(resolve, this.config.RATE_LIMIT_DELAY));
-                    return JSON.parse(response.body);
-                } else {
-                    console.log(`   ❌ Job posting API error: ${response.statusCode}`);
-                }
-
-            } catch (error) {
-                console.log(`   ❌ Job posting request error: ${error.message}`);
-            }
+        try {
+            const data = await this.providers.coresignal.call(endpoint, { version: 'v1', method: 'POST', body: params });
 
-            if (attempt < this.config.MAX_RETRIES) {
-                await new Promise(resolve => setTimeout(resolve, this.config.RATE_LIMIT_DELAY * 2));
-            }
+            console.log(`   ✅ Job posting ${endpoint} successful`);
+            await new Promise(resolve => setTimeout(resolve, this.config.RATE_LIMIT_DELAY));
+            return data;
+        } catch (error) {
+            console.log(`   ❌ Job posting request error: ${error.message}`);
         }
 
         return null;
     }
 
-    makeHttpRequest(url, options, body = null) {
-        return new Promise((resolve, reject) => {
-            const req = https.request(url, options, (res) => {
-                let responseBody = '';
-                res.on('data', (chunk) => responseBody += chunk);
-                res.on('end', () => resolve({ statusCode: res.statusCode, body: responseBody }));
-            });
-            req.on('error', reject);
-            if (body) req.write(body);
-            req.end();
-        });
-    }
-
     getDateMonthsAgo(months) {
         const date = new Date();
         date.setMonth(date.getMonth() - months);
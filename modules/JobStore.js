@@ -0,0 +1,120 @@
+/**
+ * 🗂️ JOB STORE MODULE
+ *
+ * Persistent store for asynchronous pipeline jobs (api/jobs)
+ * Each job is a metadata file plus a RunLedger holding per-company state and results,
+ * so progress survives across requests and an interrupted job can be resumed.
+ *
+ * Job states: queued → running → completed | failed (back to queued when a run stops with companies left)
+ * Files: JOBS_DIR (outputs/jobs, /tmp/jobs on Vercel - per instance; point it at shared storage there)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { RunLedger } = require('./RunLedger');
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+class JobStore {
+    constructor(config = {}) {
+        // Use /tmp for Vercel serverless compatibility
+        const defaultJobsDir = process.env.VERCEL ? '/tmp/jobs' : path.join(__dirname, '../outputs/jobs');
+
+        this.config = {
+            JOBS_DIR: config.JOBS_DIR || process.env.JOBS_DIR || defaultJobsDir,
+            ...config
+        };
+
+        if (!fs.existsSync(this.config.JOBS_DIR)) {
+            fs.mkdirSync(this.config.JOBS_DIR, { recursive: true });
+        }
+    }
+
+    /**
+     * Create a queued job and register its companies in the job's ledger
+     * (personas: extra target persona ids the job researches, kept so a resume asks for the same ones)
+     */
+    createJob({ pipeline, companies, personas = null }) {
+        const id = crypto.randomBytes(8).toString('hex');
+        const now = new Date().toISOString();
+
+        const ledger = this.openLedger(id);
+        ledger.register(companies);
+
+        const job = {
+            id,
+            pipeline,
+            personas,
+            status: JOB_STATUS.QUEUED,
+            totalCompanies: companies.length,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            completedAt: null,
+            error: null,
+            stats: null
+        };
+
+        this.saveJob(job);
+        console.log(`   🗂️ Job created: ${id} (${pipeline}, ${companies.length} companies)`);
+        return job;
+    }
+
+    getJob(id) {
+        if (!this.isValidId(id)) return null;
+
+        const jobFile = this.jobFile(id);
+        if (!fs.existsSync(jobFile)) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(jobFile, 'utf8'));
+        } catch (error) {
+            console.log(`   ⚠️ Job read error (${id}): ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Merge changes into the job metadata (atomic rename)
+     */
+    updateJob(id, changes) {
+        const job = this.getJob(id);
+        if (!job) {
+            throw new Error(`Job not found: ${id}`);
+        }
+
+        const updated = { ...job, ...changes, updatedAt: new Date().toISOString() };
+        this.saveJob(updated);
+        return updated;
+    }
+
+    saveJob(job) {
+        const jobFile = this.jobFile(job.id);
+        const tmpFile = `${jobFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(job, null, 2));
+        fs.renameSync(tmpFile, jobFile);
+    }
+
+    /**
+     * Per-company ledger for a job (entries hold the company, status and raw result)
+     */
+    openLedger(id, { readOnly = false } = {}) {
+        return new RunLedger(`job-${id}`, { LEDGER_DIR: this.config.JOBS_DIR }).open({ readOnly });
+    }
+
+    jobFile(id) {
+        return path.join(this.config.JOBS_DIR, `job-${id}.json`);
+    }
+
+    isValidId(id) {
+        return typeof id === 'string' && /^[a-f0-9]{16}$/.test(id);
+    }
+}
+
+module.exports = { JobStore, JOB_STATUS };
@@ -13,7 +13,7 @@
  * Integrates with Coresignal's location data
  */
 
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
 
 class LocationAnalysis {
     constructor(config = {}) {
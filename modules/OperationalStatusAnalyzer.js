@@ -4,12 +4,16 @@
  * Determines if acquired subsidiaries are still operationally active
  * and where to target executives (subsidiary vs parent company)
  * 
+ * Companies with a recorded brand status in the corporate event registry
+ * (modules/CorporateEventRegistry.js) are assessed from the registry without AI calls.
+ * 
  * Author: Adrata Pipeline System
  * Version: 1.0.0
  * Last Updated: 2025-01-17
  */
 
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
+const { CorporateEventRegistry, isSettledDisposition, BRAND_STATUS } = require('./CorporateEventRegistry');
 
 class OperationalStatusAnalyzer {
     constructor(config = {}) {
@@ -17,6 +21,7 @@ class OperationalStatusAnalyzer {
             PERPLEXITY_API_KEY: config.PERPLEXITY_API_KEY,
             ...config
         };
+        this.corporateEvents = config.corporateEvents || new CorporateEventRegistry({ file: config.CORPORATE_EVENTS_FILE });
     }
 
     /**
@@ -62,29 +67,38 @@ class OperationalStatusAnalyzer {
         };
 
         try {
-            // STEP 1: Analyze Website and Digital Presence
-            console.log('   📱 Analyzing digital presence...');
-            const digitalAnalysis = await this.analyzeDigitalPresence(companyResolution);
-            assessment.indicators.websiteActive = digitalAnalysis.websiteActive;
-            assessment.indicators.brandMaintained = digitalAnalysis.brandMaintained;
-            assessment.indicators.customerFacingActive = digitalAnalysis.customerFacing;
-
-            // STEP 2: Assess Business Operations Independence
-            console.log('   🏢 Assessing operational independence...');
-            const operationalAnalysis = await this.assessOperationalIndependence(
-                companyResolution, 
-                acquisitionInfo
-            );
-            assessment.indicators.independentOperations = operationalAnalysis.independent;
-            assessment.indicators.executiveTeamIntact = operationalAnalysis.executiveTeam;
-
-            // STEP 3: Determine Integration Level
-            console.log('   🔗 Determining integration level...');
-            const integrationAnalysis = await this.analyzeIntegrationLevel(
-                companyResolution, 
-                acquisitionInfo
-            );
-            assessment.integrationLevel = integrationAnalysis.level;
+            const registryIndicators = this.indicatorsFromRegistry(companyResolution, acquisitionInfo);
+            if (registryIndicators) {
+                // STEPS 1-3: Known brand status and executive dispositions - no AI research
+                console.log(`   📚 Using corporate event registry: ${registryIndicators.brandStatus} (${registryIndicators.eventId})`);
+                Object.assign(assessment.indicators, registryIndicators.indicators);
+                assessment.integrationLevel = this.timeBasedIntegrationLevel(acquisitionInfo.acquisitionDate);
+                assessment.source = 'corporate_event_registry';
+            } else {
+                // STEP 1: Analyze Website and Digital Presence
+                console.log('   📱 Analyzing digital presence...');
+                const digitalAnalysis = await this.analyzeDigitalPresence(companyResolution);
+                assessment.indicators.websiteActive = digitalAnalysis.websiteActive;
+                assessment.indicators.brandMaintained = digitalAnalysis.brandMaintained;
+                assessment.indicators.customerFacingActive = digitalAnalysis.customerFacing;
+
+                // STEP 2: Assess Business Operations Independence
+                console.log('   🏢 Assessing operational independence...');
+                const operationalAnalysis = await this.assessOperationalIndependence(
+                    companyResolution, 
+                    acquisitionInfo
+                );
+                assessment.indicators.independentOperations = operationalAnalysis.independent;
+                assessment.indicators.executiveTeamIntact = operationalAnalysis.executiveTeam;
+
+                // STEP 3: Determine Integration Level
+                console.log('   🔗 Determining integration level...');
+                const integrationAnalysis = await this.analyzeIntegrationLevel(
+                    companyResolution, 
+                    acquisitionInfo
+                );
+                assessment.integrationLevel = integrationAnalysis.level;
+            }
 
             // STEP 4: Calculate Overall Operational Status
             assessment.operationalStatus = this.calculateOperationalStatus(assessment.indicators);
@@ -268,24 +282,7 @@ Provide ONLY a JSON response:
      * 🔗 INTEGRATION LEVEL ANALYSIS
      */
     async analyzeIntegrationLevel(companyResolution, acquisitionInfo) {
-        const acquisitionDate = acquisitionInfo.acquisitionDate;
-        let timeBasedLevel = 'unknown';
-        
-        if (acquisitionDate) {
-            const acqDate = new Date(acquisitionDate);
-            const now = new Date();
-            const monthsSince = (now - acqDate) / (1000 * 60 * 60 * 24 * 30);
-            
-            if (monthsSince <= 6) {
-                timeBasedLevel = 'early_integration';
-            } else if (monthsSince <= 18) {
-                timeBasedLevel = 'active_integration';
-            } else if (monthsSince <= 36) {
-                timeBasedLevel = 'mature_integration';
-            } else {
-                timeBasedLevel = 'fully_integrated';
-            }
-        }
+        const timeBasedLevel = this.timeBasedIntegrationLevel(acquisitionInfo.acquisitionDate);
 
         try {
             const prompt = `Analyze the integration level between ${companyResolution.companyName} and ${acquisitionInfo.parentCompany?.name}:
@@ -356,6 +353,57 @@ Provide ONLY a JSON response:
         };
     }
 
+    /**
+     * ⏱️ INTEGRATION LEVEL FROM TIME SINCE ACQUISITION
+     */
+    timeBasedIntegrationLevel(acquisitionDate) {
+        if (!acquisitionDate) return 'unknown';
+
+        const monthsSince = (new Date() - new Date(acquisitionDate)) / (1000 * 60 * 60 * 24 * 30);
+        if (monthsSince <= 6) return 'early_integration';
+        if (monthsSince <= 18) return 'active_integration';
+        if (monthsSince <= 36) return 'mature_integration';
+        return 'fully_integrated';
+    }
+
+    /**
+     * 📚 INDICATORS FROM THE CORPORATE EVENT REGISTRY
+     * null when the registry has no brand status for the company - AI research decides
+     */
+    indicatorsFromRegistry(companyResolution, acquisitionInfo) {
+        const event = acquisitionInfo?.corporateEvent
+            || companyResolution.acquisitionInfo?.corporateEvent
+            || this.corporateEventFor(companyResolution);
+        const brandStatus = event?.brandStatus;
+        if (!brandStatus || brandStatus === BRAND_STATUS.UNKNOWN) return null;
+
+        const branded = brandStatus === BRAND_STATUS.RETAINED || brandStatus === BRAND_STATUS.CO_BRANDED;
+
+        // Executive team intact when most executives with a known disposition stayed
+        const settled = (event.executives || []).filter(executive => isSettledDisposition(executive));
+        const executiveTeamIntact = settled.length > 0
+            ? settled.filter(executive => executive.disposition === 'still_at_original').length > settled.length / 2
+            : brandStatus === BRAND_STATUS.RETAINED;
+
+        return {
+            eventId: event.id,
+            brandStatus,
+            indicators: {
+                websiteActive: branded,
+                brandMaintained: branded,
+                independentOperations: brandStatus === BRAND_STATUS.RETAINED,
+                executiveTeamIntact,
+                customerFacingActive: branded,
+                legalEntityActive: branded
+            }
+        };
+    }
+
+    corporateEventFor(companyResolution) {
+        const entry = this.corporateEvents.lookup(companyResolution.canonicalUrl, companyResolution.finalUrl);
+        return entry ? this.corporateEvents.toAcquisitionInfo(entry).corporateEvent : null;
+    }
+
     /**
      * 📊 CALCULATE OPERATIONAL STATUS
      */
@@ -13,7 +13,7 @@
  * All data from real sources
  */
 
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
 
 class PEFirmResearch {
     constructor(config = {}) {
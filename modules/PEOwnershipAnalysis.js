@@ -6,7 +6,7 @@
  * Uses research to identify PE ownership patterns.
  */
 
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
 
 class PEOwnershipAnalysis {
     constructor(config = {}) {
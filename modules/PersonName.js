@@ -0,0 +1,277 @@
+/**
+ * 👤 PERSON NAME MODULE
+ *
+ * Parses executive names the way vendors and email servers see them:
+ * - parseName():      "Dr. J. Michael O'Neil Jr., CPA" → honorific, first, middle, last, suffix,
+ *                     credentials, quoted nickname and the first name the person goes by
+ * - emailNameParts(): lowercase ASCII tokens for email local parts (Müller → muller / mueller,
+ *                     O'Neil → oneil, Anne-Marie → annemarie / anne-marie)
+ * - lookupName():     first / last name for vendor person searches
+ * - compareNames():   same-person test - folded last names (particles and hyphenated parts
+ *                     allowed), first names equal, nickname-equivalent (config/nicknames.js) or initials
+ * - nameKey():        dedupe key - canonical first name + folded last name
+ *
+ * Particles (van, de, von, ...) stay with the last name: "Ludwig van Beethoven" → last "van Beethoven".
+ */
+
+const { NICKNAMES } = require('../config/nicknames');
+
+const HONORIFICS = new Set(['mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'professor', 'sir', 'dame', 'rev', 'hon', 'lord', 'lady']);
+const SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'v', '2nd', '3rd']);
+
+// Trailing credentials - the ambiguous ones (MA, MS, CA, ...) only count after a comma
+const CREDENTIALS = new Set([
+    'cpa', 'cfa', 'mba', 'phd', 'md', 'jd', 'esq', 'cma', 'cgma', 'acca', 'aca', 'fca', 'cia', 'cisa',
+    'cfe', 'pmp', 'frm', 'caia', 'cfp', 'chfc', 'llm', 'msc', 'bsc', 'dba', 'edd', 'shrm', 'sphr', 'cscp'
+]);
+const COMMA_ONLY_CREDENTIALS = new Set(['ma', 'ms', 'ba', 'bs', 'ca', 'pe', 'cs', 'rn']);
+
+const PARTICLES = new Set(['van', 'von', 'de', 'der', 'den', 'da', 'di', 'del', 'della', 'dos', 'das', 'du', 'la', 'le', 'st', 'ter', 'ten', 'bin', 'al', 'el']);
+
+// Letters NFD does not decompose
+const TRANSLITERATIONS = { 'ß': 'ss', 'æ': 'ae', 'ø': 'o', 'œ': 'oe', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i' };
+// German convention for umlauts - "Müller" is often mueller@
+const GERMANIC_TRANSLITERATIONS = { 'ä': 'ae', 'ö': 'oe', 'ü': 'ue' };
+
+// nickname or formal name → formal names it can stand for
+const FORMAL_NAMES = Object.entries(NICKNAMES).reduce((index, [formal, nicknames]) => {
+    [formal, ...nicknames].forEach(name => {
+        if (!index.has(name)) index.set(name, new Set());
+        index.get(name).add(formal);
+    });
+    return index;
+}, new Map());
+
+/**
+ * Token without punctuation for classification - "Jr.," → "jr"
+ */
+function bare(token) {
+    return String(token || '').toLowerCase().replace(/[.,]/g, '');
+}
+
+/**
+ * Lowercase ASCII - accents folded, ß → ss (germanic: ü → ue first)
+ */
+function foldName(value, { germanic = false } = {}) {
+    let text = String(value || '').toLowerCase();
+    if (germanic) text = text.replace(/[äöü]/g, letter => GERMANIC_TRANSLITERATIONS[letter]);
+    return text
+        .replace(/[ßæøœłđðþı]/g, letter => TRANSLITERATIONS[letter])
+        .normalize('NFD')
+        .replace(/[̀-ͯ]/g, '');
+}
+
+/**
+ * Email-safe token - letters only, hyphens kept when keepHyphens
+ */
+function emailToken(value, { germanic = false, keepHyphens = false } = {}) {
+    const folded = foldName(value, { germanic }).replace(/\s+/g, '');
+    return keepHyphens ? folded.replace(/[^a-z-]/g, '').replace(/^-+|-+$/g, '') : folded.replace(/[^a-z]/g, '');
+}
+
+function isInitial(token) {
+    return /^[^\s.]\.?$/.test(String(token || ''));
+}
+
+/**
+ * 👤 PARSE A FULL NAME
+ * @param {string} fullName
+ * @returns {Object} { raw, honorific, first, middle, last, suffix, credentials, nickname, preferredFirst, full }
+ *   display-case strings ('' when absent); full is the cleaned "First Middle Last"
+ */
+function parseName(fullName) {
+    const raw = String(fullName || '').trim();
+    const parsed = { raw, honorific: '', first: '', middle: '', last: '', suffix: '', credentials: [], nickname: '', preferredFirst: '', full: '' };
+    if (!raw) return parsed;
+
+    // Quoted or bracketed nickname - Robert "Bob" Smith, Robert (Bob) Smith
+    let text = raw.replace(/\s*[“"(]([^”")]+)[”")]\s*/, (match, nickname) => {
+        parsed.nickname = nickname.trim();
+        return ' ';
+    });
+    text = text.replace(/(^|\s)['‘]([^'’]+)['’](?=\s|$)/, (match, space, nickname) => {
+        parsed.nickname = parsed.nickname || nickname.trim();
+        return ' ';
+    });
+
+    // Comma segments - credentials / suffixes, or "Last, First"
+    const [main, ...rest] = text.split(',').map(segment => segment.trim()).filter(Boolean);
+    let tokens = (main || '').split(/\s+/).filter(Boolean);
+    rest.forEach(segment => {
+        const segmentTokens = segment.split(/\s+/).filter(Boolean);
+        const qualifiers = segmentTokens.every(token => SUFFIXES.has(bare(token)) || CREDENTIALS.has(bare(token)) || COMMA_ONLY_CREDENTIALS.has(bare(token)));
+        if (qualifiers) {
+            segmentTokens.forEach(token => {
+                if (SUFFIXES.has(bare(token))) parsed.suffix = parsed.suffix || token.replace(/,$/, '');
+                else parsed.credentials.push(bare(token).toUpperCase());
+            });
+        } else if (tokens.length === 1) {
+            tokens = [...segmentTokens, ...tokens];
+        }
+    });
+
+    while (tokens.length > 1 && HONORIFICS.has(bare(tokens[0]))) {
+        parsed.honorific = parsed.honorific || tokens[0];
+        tokens.shift();
+    }
+    while (tokens.length > 2) {
+        const last = bare(tokens[tokens.length - 1]);
+        if (SUFFIXES.has(last)) parsed.suffix = parsed.suffix || tokens.pop();
+        else if (CREDENTIALS.has(last)) {
+            tokens.pop();
+            parsed.credentials.unshift(last.toUpperCase());
+        } else break;
+    }
+
+    if (tokens.length === 1) {
+        parsed.first = tokens[0];
+    } else if (tokens.length > 1) {
+        let lastStart = tokens.length - 1;
+        while (lastStart > 1 && PARTICLES.has(tokens[lastStart - 1].toLowerCase())) lastStart--;
+
+        parsed.first = tokens[0];
+        parsed.middle = tokens.slice(1, lastStart).join(' ');
+        parsed.last = tokens.slice(lastStart).join(' ');
+    }
+
+    // "J. Michael O'Neil" goes by Michael
+    const middleTokens = parsed.middle.split(' ').filter(Boolean);
+    parsed.preferredFirst = isInitial(parsed.first) && middleTokens[0] && !isInitial(middleTokens[0]) ? middleTokens[0] : parsed.first;
+    parsed.full = [parsed.first, parsed.middle, parsed.last].filter(Boolean).join(' ');
+    return parsed;
+}
+
+function toParsed(name) {
+    return name && typeof name === 'object' && 'preferredFirst' in name ? name : parseName(name);
+}
+
+/**
+ * 📧 EMAIL NAME PARTS - drop-in for ContactValidator.parseFullName()
+ * @returns {Object} { firstName, lastName, middleName, fullName, variants: [{ firstName, lastName }] }
+ *   tokens are lowercase a-z; variants are other plausible spellings (mueller, anne-marie, initial first)
+ */
+function emailNameParts(name) {
+    const parsed = toParsed(name);
+    const firstName = emailToken(parsed.preferredFirst);
+    const lastName = emailToken(parsed.last);
+    const middleName = emailToken(parsed.preferredFirst === parsed.first ? parsed.middle : parsed.middle.split(' ').slice(1).join(' '));
+
+    const candidates = [
+        { firstName: emailToken(parsed.preferredFirst, { germanic: true }), lastName: emailToken(parsed.last, { germanic: true }) },
+        { firstName: emailToken(parsed.preferredFirst, { keepHyphens: true }), lastName: emailToken(parsed.last, { keepHyphens: true }) },
+        { firstName: emailToken(parsed.first), lastName }
+    ];
+    const seen = new Set([`${firstName}|${lastName}`]);
+    const variants = candidates.filter(variant => {
+        const key = `${variant.firstName}|${variant.lastName}`;
+        if (!variant.firstName || !variant.lastName || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    return { firstName, lastName, middleName, fullName: parsed.raw, variants };
+}
+
+/**
+ * 🔎 NAME FOR VENDOR SEARCHES - { firstName, lastName } without titles, suffixes or credentials
+ */
+function lookupName(name) {
+    const parsed = toParsed(name);
+    return { firstName: parsed.preferredFirst.replace(/\.$/, ''), lastName: parsed.last };
+}
+
+/**
+ * Formal names a first name can stand for - "bob" → { robert }, "robert" → { robert }
+ */
+function formalNames(first) {
+    const key = emailToken(first);
+    return FORMAL_NAMES.get(key) || new Set([key]);
+}
+
+function firstNamesMatch(a, b) {
+    const x = emailToken(a);
+    const y = emailToken(b);
+    if (!x || !y) return null;
+    if (x === y) return { score: 1, reason: 'same first name' };
+
+    const formalX = formalNames(x);
+    if ([...formalNames(y)].some(formal => formalX.has(formal))) return { score: 0.9, reason: `nickname ${a} / ${b}` };
+    if ((isInitial(a) || isInitial(b)) && x[0] === y[0]) return { score: 0.75, reason: `initial ${a} / ${b}` };
+    return null;
+}
+
+function lastNamesMatch(a, b) {
+    const x = emailToken(a);
+    const y = emailToken(b);
+    if (!x || !y) return null;
+    if (x === y || emailToken(a, { germanic: true }) === emailToken(b, { germanic: true })) return { score: 1, reason: 'same last name' };
+
+    // Particles dropped ("van Beethoven" / "Beethoven") or one part of a double-barrelled name
+    const parts = value => foldName(value).split(/[\s-]+/).map(part => part.replace(/[^a-z]/g, '')).filter(part => part && !PARTICLES.has(part));
+    const partsX = parts(a);
+    const partsY = parts(b);
+    if (partsX.join('') === partsY.join('')) return { score: 0.95, reason: 'same last name without particles' };
+    if (partsX.some(part => partsY.includes(part)) && (partsX.length > 1 || partsY.length > 1)) return { score: 0.8, reason: `shared last name part ${a} / ${b}` };
+    return null;
+}
+
+/**
+ * 🤝 COMPARE TWO NAMES
+ * @returns {{ match: boolean, score: number, reason: string }} match at score ≥ 0.75
+ */
+function compareNames(a, b) {
+    const x = toParsed(a);
+    const y = toParsed(b);
+    if (!x.last || !y.last) {
+        const same = Boolean(x.full) && emailToken(x.full) === emailToken(y.full);
+        return { match: same, score: same ? 1 : 0, reason: same ? 'same single name' : 'incomplete name' };
+    }
+
+    const last = lastNamesMatch(x.last, y.last);
+    if (!last) return { match: false, score: 0, reason: `different last names ${x.last} / ${y.last}` };
+
+    // Try what each goes by, their legal first name and any quoted nickname
+    const firstsX = [...new Set([x.preferredFirst, x.first, x.nickname].filter(Boolean))];
+    const firstsY = [...new Set([y.preferredFirst, y.first, y.nickname].filter(Boolean))];
+    const first = firstsX
+        .flatMap(firstX => firstsY.map(firstY => firstNamesMatch(firstX, firstY)))
+        .filter(Boolean)
+        .sort((m, n) => n.score - m.score)[0];
+    if (!first) return { match: false, score: 0, reason: `different first names ${x.preferredFirst} / ${y.preferredFirst}` };
+
+    const score = Math.round(first.score * last.score * 100) / 100;
+    return { match: score >= 0.75, score, reason: `${first.reason}, ${last.reason}` };
+}
+
+/**
+ * Same person? - see compareNames()
+ */
+function namesMatch(a, b) {
+    if (!a || !b) return false;
+    return compareNames(a, b).match;
+}
+
+/**
+ * 🔑 DEDUPE KEY - "Bob Smith", "Robert Smith Jr." and "Dr. Robert Smith" share "robert smith"
+ * A nickname standing for several formal names (Chris) keeps its own key; use namesMatch() for those.
+ */
+function nameKey(name) {
+    const parsed = toParsed(name);
+    const first = emailToken(parsed.preferredFirst);
+    const formal = [...formalNames(first)];
+    const canonical = formal.length === 1 ? formal[0] : first;
+    return [canonical, foldName(parsed.last).split(/[\s-]+/).map(part => part.replace(/[^a-z]/g, '')).filter(part => part && !PARTICLES.has(part)).join('')]
+        .filter(Boolean)
+        .join(' ');
+}
+
+module.exports = {
+    parseName,
+    emailNameParts,
+    lookupName,
+    compareNames,
+    namesMatch,
+    nameKey,
+    foldName,
+    emailToken
+};
@@ -0,0 +1,155 @@
+/**
+ * 🎯 PERSONA DETECTION MODULE
+ *
+ * One taxonomy-driven waterfall for every target persona in config/target-personas.js:
+ * - resolvePersonas():  the personas a request names - cfo and cro always first, then the rest in order
+ * - rankCandidates():   every executive that fits a persona, ranked by waterfall step (the persona's
+ *                       role, then each fallback role), tier, then the source's own confidence
+ * - identify():         the top candidate as a persona executive (tier, confidence, roleType,
+ *                       waterfallReason and the runners-up)
+ *
+ * Tiers, synonyms and exclusions all come from config/role-taxonomy.js, so a CISO, CMO or CHRO
+ * is a persona entry plus a taxonomy role rather than another detection class.
+ */
+
+const fs = require('fs');
+const { CORE_PERSONAS, TARGET_PERSONAS } = require('../config/target-personas');
+const { getRoleTaxonomy } = require('./RoleTaxonomy');
+
+let targetPersonas = null;
+
+/**
+ * Personas from config/target-personas.js extended by TARGET_PERSONAS_FILE (personas merge by id)
+ * Throws when the file cannot be read or parsed - a run never silently drops the personas it names
+ */
+function getTargetPersonas() {
+    if (targetPersonas) return targetPersonas;
+
+    const file = process.env.TARGET_PERSONAS_FILE;
+    if (!file) {
+        targetPersonas = TARGET_PERSONAS;
+        return targetPersonas;
+    }
+
+    try {
+        targetPersonas = { ...TARGET_PERSONAS, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (error) {
+        throw new Error(`Target personas file ${file} not loaded: ${error.message}`);
+    }
+    return targetPersonas;
+}
+
+/**
+ * Persona definitions for a request - ids as an array or a comma-separated string
+ *
+ * @param {string[]|string} requested - e.g. ['ciso', 'cmo'] or 'ciso,cmo'; cfo and cro are always included
+ * @returns {Object[]} persona definitions with their id
+ */
+function resolvePersonas(requested = null) {
+    const personas = getTargetPersonas();
+    const ids = (Array.isArray(requested) ? requested : String(requested || '').split(','))
+        .map(id => String(id).trim().toLowerCase())
+        .filter(Boolean);
+
+    const unknown = ids.find(id => !personas[id]);
+    if (unknown) {
+        throw new Error(`Unknown persona "${unknown}" (expected ${Object.keys(personas).join(', ')})`);
+    }
+
+    return [...new Set([...CORE_PERSONAS, ...ids])].map(id => ({ id, ...personas[id] }));
+}
+
+/**
+ * Personas beyond the core tier's CFO / CRO slots
+ */
+function extraPersonas(personas) {
+    return personas.filter(persona => !CORE_PERSONAS.includes(persona.id));
+}
+
+/**
+ * Personas a pipeline result was researched for (result.targetPersonas) - ids no longer configured are dropped
+ */
+function resultPersonas(result) {
+    const personas = getTargetPersonas();
+    return resolvePersonas((result?.targetPersonas || []).filter(id => personas[id]));
+}
+
+/**
+ * Source confidence as a percentage - vendors report 0.85 or 85
+ */
+function sourceConfidence(executive) {
+    const confidence = Number(executive?.confidence) || 0;
+    return confidence <= 1 ? confidence * 100 : confidence;
+}
+
+class PersonaDetection {
+    /**
+     * @param {Object} config - roleTaxonomy (defaults to the shared config/role-taxonomy.js instance)
+     */
+    constructor(config = {}) {
+        this.roleTaxonomy = config.roleTaxonomy || getRoleTaxonomy();
+    }
+
+    /**
+     * 🌊 RANK CANDIDATES FOR A PERSONA
+     *
+     * @returns {Object[]} { executive, match, step, fallback } - best first; fallback is the
+     *   persona's fallback entry when the executive only fits a fallback role
+     */
+    rankCandidates(executives, persona) {
+        const steps = [{ role: persona.role, maxTier: persona.maxTier }, ...(persona.fallbacks || [])];
+        const ranked = [];
+
+        (executives || []).filter(executive => executive?.name && executive.title).forEach(executive => {
+            for (let step = 0; step < steps.length; step++) {
+                const match = this.roleTaxonomy.matchRole(executive.title, steps[step].role, { region: executive.titleRegion });
+                if (match.tier === null || match.tier > (steps[step].maxTier ?? Infinity)) continue;
+
+                ranked.push({ executive, match, step, fallback: step > 0 ? steps[step] : null });
+                break;
+            }
+        });
+
+        return ranked.sort((a, b) =>
+            a.step - b.step ||
+            a.match.tier - b.match.tier ||
+            sourceConfidence(b.executive) - sourceConfidence(a.executive)
+        );
+    }
+
+    /**
+     * 🎯 BEST EXECUTIVE FOR A PERSONA
+     *
+     * @returns {Object|null} the executive with tier, confidence (taxonomy tier confidence, or the
+     *   fallback's), category, roleType (persona label), persona id, waterfallReason and alternatives
+     */
+    identify(executives, persona) {
+        const ranked = this.rankCandidates(executives, persona);
+        if (ranked.length === 0) return null;
+
+        const { executive, match, fallback } = ranked[0];
+        return {
+            ...executive,
+            tier: match.tier,
+            confidence: fallback?.confidence ?? match.confidence,
+            category: match.category,
+            roleType: persona.label,
+            persona: persona.id,
+            waterfallReason: fallback ? `${fallback.reason} - ${match.explanation}` : match.explanation,
+            alternatives: ranked.slice(1, 4).map(candidate => ({
+                name: candidate.executive.name,
+                title: candidate.executive.title,
+                tier: candidate.match.tier,
+                fallback: !!candidate.fallback
+            }))
+        };
+    }
+}
+
+module.exports = {
+    PersonaDetection,
+    getTargetPersonas,
+    resolvePersonas,
+    extraPersonas,
+    resultPersonas
+};
@@ -0,0 +1,305 @@
+/**
+ * ☎️ PHONE NUMBERS MODULE
+ *
+ * One place that understands phone numbers, whatever provider they came from:
+ * - parsePhone():    any input ("(415) 555-0100 x12", "+44 (0)20 7946 0018", "0049 30 1234567")
+ *                    → E.164, country, extension and a number type (libphonenumber-js metadata)
+ * - phoneKey():      identity for dedupe - equivalent numbers from Lusha, Twilio and public search match
+ * - formatPhone():   the canonical output format - E.164, plus " ext. N" when there is an extension
+ * - classifyPhone(): mobile / direct / hq from line type, provider type, prefix and sharing
+ * - PhoneRegistry:   counts the executives each number is attached to; a number without an
+ *                    extension shared by PHONE_SHARED_MIN_OWNERS or more is a switchboard / HQ line
+ *
+ * Numbers without a country code are read in the caller's default country (regionFromDomain()
+ * turns a company's ccTLD into one), falling back to the US.
+ */
+
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js/max');
+
+// ccTLDs that are not their ISO country code
+const TLD_REGIONS = { uk: 'GB' };
+
+// ccTLDs sold as generic domains - "acme.io" says nothing about where Acme picks up the phone
+const GENERIC_CCTLDS = new Set(['ac', 'ai', 'am', 'cc', 'co', 'fm', 'gg', 'im', 'io', 'la', 'ly', 'me', 'ms', 'nu', 'sh', 'so', 'st', 'to', 'tv', 'vc', 'ws']);
+
+const NUMBER_TYPES = {
+    MOBILE: 'mobile',
+    FIXED_LINE: 'fixed_line',
+    TOLL_FREE: 'toll_free',
+    UNKNOWN: 'unknown'
+};
+
+// libphonenumber types - FIXED_LINE_OR_MOBILE (all of NANP) cannot be told apart from the number
+const LIBPHONENUMBER_TYPES = {
+    MOBILE: NUMBER_TYPES.MOBILE,
+    FIXED_LINE: NUMBER_TYPES.FIXED_LINE,
+    TOLL_FREE: NUMBER_TYPES.TOLL_FREE
+};
+
+const PHONE_TYPES = {
+    MOBILE: 'mobile',
+    DIRECT: 'direct',
+    HQ: 'hq',
+    UNKNOWN: 'unknown'
+};
+
+// Labels the contact modules have always put in phone.type
+const WORK_PHONE_TYPES = {
+    [PHONE_TYPES.MOBILE]: 'work_mobile',
+    [PHONE_TYPES.DIRECT]: 'work_landline',
+    [PHONE_TYPES.HQ]: 'work_main',
+    [PHONE_TYPES.UNKNOWN]: 'work_unknown'
+};
+
+const EXTENSION_PATTERN = /(?:;\s*ext=|\s*(?:extension|extn|ext|x)\.?\s*|\s*#\s*)(\d{1,6})\s*$/i;
+// Provider / line type labels, including the work_* labels above
+const HQ_PROVIDER_TYPES = /main|hq|headquarters|switchboard|company|reception/i;
+const MOBILE_TYPES = /mobile|wireless|cell/i;
+const DIRECT_TYPES = /^work$|direct|landline|fixed|voip|office/i;
+
+const REGION_NAMES = new Intl.DisplayNames(['en'], { type: 'region' });
+
+/**
+ * Region for a company's website from its ccTLD - "acme.co.uk" → "GB", "acme.cz" → "CZ",
+ * "acme.com" / "acme.io" → null
+ */
+function regionFromDomain(domain) {
+    const host = String(domain || '').toLowerCase().replace(/^https?:\/\//, '').split('/')[0];
+    const tld = host.split('.').pop();
+    if (GENERIC_CCTLDS.has(tld)) return null;
+    const region = TLD_REGIONS[tld] || tld.toUpperCase();
+    return /^[A-Z]{2}$/.test(region) && isSupportedCountry(region) ? region : null;
+}
+
+function countryName(region) {
+    try {
+        return region ? REGION_NAMES.of(region) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * ☎️ PARSE A PHONE NUMBER
+ *
+ * Numbering plans come from libphonenumber-js (every region it has metadata for); this only
+ * adds the extension forms providers send and the "00" / "011" international prefixes.
+ *
+ * @param {string|number} input - any formatting, optional extension ("x12", "ext. 12", ";ext=12", "#12")
+ * @param {Object} [options]
+ * @param {string} [options.defaultCountry='US'] - region for numbers written without a country code
+ * @returns {Object|null} { raw, e164, country, countryName, callingCode, nationalNumber, extension,
+ *   numberType, valid } - e164 is null when the digits do not fit the country; null for non-numbers
+ */
+function parsePhone(input, { defaultCountry = 'US' } = {}) {
+    if (input === null || input === undefined) return null;
+    const raw = String(input).trim();
+    if (!raw) return null;
+
+    const extensionMatch = raw.match(EXTENSION_PATTERN);
+    const extension = extensionMatch ? extensionMatch[1] : null;
+    const body = (extensionMatch ? raw.slice(0, extensionMatch.index) : raw)
+        .replace(/^tel:/i, '')
+        .replace(/\(0\)/g, '');
+
+    let digits = body.replace(/\D/g, '');
+    if (digits.length < 4) return null;
+
+    const international = /^\s*\+/.test(body) || digits.startsWith('00') || (digits.startsWith('011') && digits.length > 11);
+    if (international) digits = digits.replace(/^(00|011)/, '');
+
+    const region = String(defaultCountry || '').toUpperCase();
+    const phone = international
+        ? parsePhoneNumberFromString(`+${digits}`)
+        : parsePhoneNumberFromString(digits, isSupportedCountry(region) ? region : 'US');
+
+    if (!phone) {
+        return { raw, e164: null, country: null, countryName: null, callingCode: null, nationalNumber: digits, extension, numberType: NUMBER_TYPES.UNKNOWN, valid: false };
+    }
+
+    const valid = phone.isValid();
+    const country = phone.country || null;
+    return {
+        raw,
+        e164: valid ? phone.number : null,
+        country,
+        countryName: countryName(country),
+        callingCode: phone.countryCallingCode,
+        nationalNumber: phone.nationalNumber,
+        extension,
+        numberType: valid ? LIBPHONENUMBER_TYPES[phone.getType()] || NUMBER_TYPES.UNKNOWN : NUMBER_TYPES.UNKNOWN,
+        valid
+    };
+}
+
+function toParsed(phone, options) {
+    return phone && typeof phone === 'object' && 'nationalNumber' in phone ? phone : parsePhone(phone, options);
+}
+
+/**
+ * Dedupe identity - E.164 plus extension ("+14155550100x12"); digits only for unparseable input
+ * @param {Object} [options] - defaultCountry, withExtension (default true)
+ */
+function phoneKey(phone, { defaultCountry = 'US', withExtension = true } = {}) {
+    const parsed = toParsed(phone, { defaultCountry });
+    if (!parsed) return '';
+
+    const base = parsed.e164 || `${parsed.callingCode ? `+${parsed.callingCode}` : ''}${parsed.nationalNumber}`;
+    return withExtension && parsed.extension ? `${base}x${parsed.extension}` : base;
+}
+
+/**
+ * 📄 CANONICAL FORMAT - "+14155550100" / "+14155550100 ext. 12"; input that does not parse is returned trimmed
+ */
+function formatPhone(phone, { defaultCountry = 'US' } = {}) {
+    const parsed = toParsed(phone, { defaultCountry });
+    if (!parsed) return phone ? String(phone).trim() : '';
+    if (!parsed.e164) return parsed.raw;
+    return parsed.extension ? `${parsed.e164} ext. ${parsed.extension}` : parsed.e164;
+}
+
+/**
+ * 🏷️ CLASSIFY A NUMBER - mobile, direct, hq or unknown
+ *
+ * Order: HQ evidence (provider says main/switchboard, toll-free, shared by several executives
+ * without an extension), then mobile (line type, provider type, national prefix), then direct
+ * (landline / VoIP / work line, or any number with an extension).
+ *
+ * @param {string|Object} phone - number or parsePhone() result
+ * @param {Object} [context] - { lineType (Twilio), providerType (Lusha / search type), sharedBy, defaultCountry }
+ * @returns {{ type: string, reason: string }}
+ */
+function classifyPhone(phone, { lineType = null, providerType = null, sharedBy = 0, defaultCountry = 'US', sharedThreshold = PhoneRegistry.DEFAULT_MIN_OWNERS } = {}) {
+    const parsed = toParsed(phone, { defaultCountry });
+    const line = String(lineType || '');
+    const provided = String(providerType || '');
+
+    if (HQ_PROVIDER_TYPES.test(provided)) return { type: PHONE_TYPES.HQ, reason: `provider type ${provided}` };
+    if (parsed?.numberType === NUMBER_TYPES.TOLL_FREE) return { type: PHONE_TYPES.HQ, reason: 'toll-free number' };
+    if (sharedBy >= sharedThreshold && !parsed?.extension) return { type: PHONE_TYPES.HQ, reason: `shared by ${sharedBy} executives` };
+
+    if (MOBILE_TYPES.test(line)) return { type: PHONE_TYPES.MOBILE, reason: `line type ${line}` };
+    if (MOBILE_TYPES.test(provided)) return { type: PHONE_TYPES.MOBILE, reason: `provider type ${provided}` };
+    if (parsed?.numberType === NUMBER_TYPES.MOBILE) return { type: PHONE_TYPES.MOBILE, reason: `${parsed.country} mobile prefix` };
+
+    if (DIRECT_TYPES.test(line)) return { type: PHONE_TYPES.DIRECT, reason: `line type ${line}` };
+    if (DIRECT_TYPES.test(provided)) return { type: PHONE_TYPES.DIRECT, reason: `provider type ${provided}` };
+    if (parsed?.extension) return { type: PHONE_TYPES.DIRECT, reason: 'extension' };
+    if (parsed?.numberType === NUMBER_TYPES.FIXED_LINE) return { type: PHONE_TYPES.DIRECT, reason: `${parsed.country} fixed-line prefix` };
+
+    return { type: PHONE_TYPES.UNKNOWN, reason: 'no line type' };
+}
+
+/**
+ * 📇 DESCRIBE A PHONE RECORD - normalized fields for a provider phone object
+ * { number, type?, lineType?, twilioValidation? } → { e164, country, extension, category, categoryReason }
+ */
+function describePhone(record, { defaultCountry = 'US', sharedBy = 0 } = {}) {
+    const parsed = parsePhone(record?.number || record?.phone, { defaultCountry });
+    if (!parsed) return {};
+
+    const classification = classifyPhone(parsed, {
+        lineType: record.twilioValidation?.lineType || record.lineType || record.lushaData?.lineType,
+        providerType: record.lushaData?.type || record.providerType || record.type,
+        sharedBy
+    });
+    return {
+        e164: parsed.e164,
+        country: parsed.country,
+        extension: parsed.extension,
+        category: classification.type,
+        categoryReason: classification.reason
+    };
+}
+
+/**
+ * 🧹 DEDUPE PHONE RECORDS - one record per phoneKey, keeping the most confident one,
+ * every source that reported it and any Twilio validation
+ */
+function dedupePhones(phones, { defaultCountry = 'US' } = {}) {
+    const byKey = new Map();
+
+    (phones || []).forEach(phone => {
+        const key = phoneKey(phone?.number || phone?.phone, { defaultCountry });
+        if (!key) return;
+
+        const sources = [phone.source, phone.lookupMethod].filter(Boolean);
+        const existing = byKey.get(key);
+        if (!existing) {
+            byKey.set(key, { ...phone, sources: [...new Set([...(phone.sources || []), ...sources])] });
+            return;
+        }
+
+        const best = (phone.confidence || 0) > (existing.confidence || 0) ? { ...existing, ...phone } : existing;
+        best.confidence = Math.max(existing.confidence || 0, phone.confidence || 0);
+        best.sources = [...new Set([...(existing.sources || []), ...(phone.sources || []), ...sources])];
+        best.twilioValidation = existing.twilioValidation || phone.twilioValidation;
+        if (!best.twilioValidation) delete best.twilioValidation;
+        byKey.set(key, best);
+    });
+
+    return Array.from(byKey.values()).sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
+}
+
+class PhoneRegistry {
+    /**
+     * @param {Object} config - PHONE_SHARED_MIN_OWNERS (2): executives sharing a number before it counts as HQ
+     */
+    constructor(config = {}) {
+        this.config = {
+            PHONE_SHARED_MIN_OWNERS: Number(config.PHONE_SHARED_MIN_OWNERS || process.env.PHONE_SHARED_MIN_OWNERS || PhoneRegistry.DEFAULT_MIN_OWNERS)
+        };
+        this.owners = new Map();
+    }
+
+    /**
+     * Attach a number to an executive - the extension is ignored, so "HQ x12" and "HQ x40" share a line
+     */
+    observe(phone, owner, { defaultCountry = 'US' } = {}) {
+        const key = phoneKey(phone, { defaultCountry, withExtension: false });
+        const ownerKey = String(owner || '').trim().toLowerCase();
+        if (!key || !ownerKey) return;
+
+        if (!this.owners.has(key)) this.owners.set(key, new Set());
+        this.owners.get(key).add(ownerKey);
+    }
+
+    /**
+     * Number of distinct executives seen with this number
+     */
+    sharedCount(phone, { defaultCountry = 'US' } = {}) {
+        const key = phoneKey(phone, { defaultCountry, withExtension: false });
+        return this.owners.get(key)?.size || 0;
+    }
+
+    isShared(phone, options) {
+        return this.sharedCount(phone, options) >= this.config.PHONE_SHARED_MIN_OWNERS;
+    }
+
+    /**
+     * Classify with this registry's sharing counts
+     */
+    classify(phone, context = {}) {
+        return classifyPhone(phone, {
+            ...context,
+            sharedBy: this.sharedCount(phone, context),
+            sharedThreshold: this.config.PHONE_SHARED_MIN_OWNERS
+        });
+    }
+}
+
+PhoneRegistry.DEFAULT_MIN_OWNERS = 2;
+
+module.exports = {
+    PhoneRegistry,
+    NUMBER_TYPES,
+    PHONE_TYPES,
+    WORK_PHONE_TYPES,
+    parsePhone,
+    phoneKey,
+    formatPhone,
+    classifyPhone,
+    describePhone,
+    dedupePhones,
+    regionFromDomain
+};
@@ -9,7 +9,7 @@
  * 5. PE/VC relationship networks
  */
 
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
 
 class RelationshipMapping {
     constructor(config = {}) {
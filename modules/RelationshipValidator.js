@@ -9,7 +9,7 @@
  * 5. Maps organizational structures (divisions, departments, subsidiaries)
  */
 
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
 
 class RelationshipValidator {
     constructor(config = {}) {
@@ -0,0 +1,541 @@
+/**
+ * 🏷️ ROLE TAXONOMY MODULE
+ *
+ * Classifies executive titles against the role taxonomy in config/role-taxonomy.js:
+ * - normalizeTitle(): "Sr. V.P., Sales & BizDev" → "senior vice president sales and business development";
+ *                     "Finanzvorstand" → "chief financial officer" (config/title-languages.js)
+ * - localizeTitle():  a non-English title in English, with its language - the original is kept
+ *                     as `originalTitle` on the executive (localizeExecutive())
+ * - titleAreas():     functional areas a title belongs to (finance, revenue, technology, ...)
+ * - matchRole():      tier, category and confidence of a title for one role, with the phrases that
+ *                     matched, any exclusion or scope adjustment and a readable explanation
+ * - classifyTitle():  the best role for a title (lowest tier wins, finance before revenue on ties)
+ * - isFinanceTitle() / isRevenueTitle(): the yes/no checks CSV mappers and sanity checks need
+ *
+ * Every module that tiers or filters CFO / CRO titles goes through here, so a new synonym,
+ * misspelling or exclusion is a data change. ROLE_TAXONOMY_FILE points at a JSON file with the
+ * same keys to extend the defaults (roles and areas merge by id; lists and maps are replaced / merged).
+ */
+
+const fs = require('fs');
+const DEFAULT_TAXONOMY = require('../config/role-taxonomy');
+
+// Letters NFD does not decompose into a base letter and an accent
+const FOLDED_LETTERS = { 'ø': 'o', 'æ': 'ae', 'œ': 'oe', 'ß': 'ss', 'ł': 'l', 'đ': 'd', 'þ': 'th' };
+
+// Kept lowercase inside a title-cased English title
+const MINOR_WORDS = new Set(['of', 'and', 'the', 'for', 'to', 'in', 'at']);
+
+/**
+ * Lowercase words separated by single spaces - no taxonomy lookups
+ */
+function foldTitle(title) {
+    return String(title || '')
+        .toLowerCase()
+        .replace(/[øæœßłđþ]/g, letter => FOLDED_LETTERS[letter])
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        // Dotted abbreviations lose their dots: "c.f.o." → "cfo", "s.v.p" → "svp"
+        .replace(/\b(?:[a-z]\.){2,}[a-z]?/g, match => match.replace(/\./g, ''))
+        .replace(/[^a-z0-9&]+/g, ' ')
+        .trim();
+}
+
+function hasPhrase(normalized, phrase) {
+    return ` ${normalized} `.includes(` ${phrase} `);
+}
+
+function removePhrases(normalized, phrases = []) {
+    return phrases.reduce((text, phrase) => text.split(` ${phrase} `).join(' | '), ` ${normalized} `).trim();
+}
+
+/**
+ * Defaults extended by a taxonomy file - roles and areas merge by id
+ */
+function mergeTaxonomy(base, override) {
+    if (!override) return base;
+    return {
+        ...base,
+        ...override,
+        ABBREVIATIONS: { ...base.ABBREVIATIONS, ...override.ABBREVIATIONS },
+        SPELLING_VARIANTS: { ...base.SPELLING_VARIANTS, ...override.SPELLING_VARIANTS },
+        FUNCTIONAL_AREAS: { ...base.FUNCTIONAL_AREAS, ...override.FUNCTIONAL_AREAS },
+        LANGUAGES: { ...base.LANGUAGES, ...override.LANGUAGES },
+        REGIONAL_TITLES: { ...base.REGIONAL_TITLES, ...override.REGIONAL_TITLES },
+        EXCLUSIONS: override.EXCLUSIONS || base.EXCLUSIONS,
+        ROLES: { ...base.ROLES, ...override.ROLES }
+    };
+}
+
+class RoleTaxonomy {
+    /**
+     * @param {Object} config - taxonomy (replaces config/role-taxonomy.js), ROLE_TAXONOMY_FILE
+     */
+    constructor(config = {}) {
+        const file = config.ROLE_TAXONOMY_FILE || process.env.ROLE_TAXONOMY_FILE || null;
+        this.taxonomy = mergeTaxonomy(config.taxonomy || DEFAULT_TAXONOMY, this.loadTaxonomyFile(file));
+        this.words = { ...this.taxonomy.SPELLING_VARIANTS, ...this.taxonomy.ABBREVIATIONS };
+        this.compile();
+    }
+
+    /**
+     * Taxonomy overrides - missing or unreadable files are ignored
+     */
+    loadTaxonomyFile(file) {
+        if (!file) return null;
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.log(`⚠️ Role taxonomy file ${file} not loaded: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Phrases are normalized once so taxonomy entries can be written as people write titles ("VP", "FP&A")
+     */
+    compile() {
+        const phrases = list => (list || []).map(phrase => this.expandWords(foldTitle(phrase))).filter(Boolean);
+
+        // Translation dictionaries - regional equivalents first, they only apply in their regions
+        const dictionary = (id, entry, regional) => ({
+            id,
+            label: entry.label || id,
+            regions: entry.regions || [],
+            regional,
+            phrases: new Map(Object.entries(entry.phrases || {})
+                .map(([phrase, english]) => [foldTitle(phrase), { phrase, english: foldTitle(english) }])
+                .filter(([folded]) => folded))
+        });
+        this.dictionaries = [
+            ...Object.entries(this.taxonomy.REGIONAL_TITLES || {}).map(([id, entry]) => dictionary(id, entry, true)),
+            ...Object.entries(this.taxonomy.LANGUAGES || {}).map(([id, entry]) => dictionary(id, entry, false))
+        ];
+        this.maxPhraseWords = Math.max(1, ...this.dictionaries.flatMap(entry => [...entry.phrases.keys()].map(phrase => phrase.split(' ').length)));
+
+        this.areas = Object.entries(this.taxonomy.FUNCTIONAL_AREAS).map(([id, area]) => ({
+            id,
+            label: area.label || id,
+            keywords: phrases(area.keywords),
+            except: phrases(area.except)
+        }));
+
+        this.exclusions = (this.taxonomy.EXCLUSIONS || []).map(exclusion => ({ ...exclusion, phrases: phrases(exclusion.phrases) }));
+
+        this.roles = {};
+        for (const [id, role] of Object.entries(this.taxonomy.ROLES)) {
+            this.roles[id] = {
+                ...role,
+                id,
+                rules: (role.rules || [])
+                    .map(rule => ({
+                        ...rule,
+                        titles: phrases(rule.titles),
+                        seniority: phrases(rule.seniority),
+                        functions: phrases(rule.functions),
+                        unless: phrases(rule.unless)
+                    }))
+                    .sort((a, b) => a.tier - b.tier),
+                exclusions: (role.exclusions || []).map(exclusion => ({ ...exclusion, phrases: phrases(exclusion.phrases) }))
+            };
+        }
+    }
+
+    /**
+     * Dictionaries that apply to a title - the region's own (regional equivalents, then its
+     * languages) before every other language; regional equivalents need the region
+     */
+    dictionariesFor(region) {
+        const local = this.dictionaries.filter(entry => region && entry.regions.includes(region));
+        const foreign = this.dictionaries.filter(entry => !entry.regional && !local.includes(entry));
+        return [...local, ...foreign];
+    }
+
+    /**
+     * 🌍 TRANSLATE A TITLE
+     * Longest phrase first, left to right - "Leiter Finanzen und Controlling" → "head of finance and controlling"
+     *
+     * @param {string} title
+     * @param {Object} options - region: ISO country of the company ("DE", "GB"), null when unknown
+     * @returns {Object} { text: folded English text (abbreviations not yet expanded),
+     *   parts: [{ text, translated }], language, regionalTitle } - language / regionalTitle are the
+     *   dictionaries that matched ({ id, label }) or null
+     */
+    translateTitle(title, { region = null } = {}) {
+        const words = foldTitle(title).split(' ').filter(Boolean);
+        const dictionaries = this.dictionariesFor(region);
+        const parts = [];
+        const matchedWords = new Map();
+        let regionalTitle = null;
+
+        for (let index = 0; index < words.length;) {
+            const match = this.longestPhrase(words, index, dictionaries);
+            if (!match) {
+                parts.push({ text: words[index], translated: false });
+                index++;
+                continue;
+            }
+
+            if (match.english) parts.push({ text: match.english, translated: true });
+            if (match.dictionary.regional) {
+                regionalTitle = regionalTitle || match.dictionary;
+            } else if (match.english && !MINOR_WORDS.has(match.english)) {
+                // Filler words ("de", "und") do not decide the language
+                matchedWords.set(match.dictionary, (matchedWords.get(match.dictionary) || 0) + match.length);
+            }
+            index += match.length;
+        }
+
+        // The language with the most translated words (the region's language wins ties)
+        const language = [...matchedWords.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+        return {
+            text: parts.map(part => part.text).join(' '),
+            parts,
+            language: language && { id: language.id, label: language.label },
+            regionalTitle: regionalTitle && { id: regionalTitle.id, label: regionalTitle.label }
+        };
+    }
+
+    /**
+     * Longest dictionary phrase starting at words[index] - dictionaries in priority order break ties
+     */
+    longestPhrase(words, index, dictionaries) {
+        for (let length = Math.min(this.maxPhraseWords, words.length - index); length > 0; length--) {
+            const phrase = words.slice(index, index + length).join(' ');
+            for (const dictionary of dictionaries) {
+                const entry = dictionary.phrases.get(phrase);
+                if (entry) return { ...entry, dictionary, length };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Lowercase words with abbreviations expanded, misspellings corrected and non-English
+     * phrases translated (regional equivalents too when the company's region is given)
+     */
+    normalizeTitle(title, { region = null } = {}) {
+        return this.expandWords(this.translateTitle(title, { region }).text);
+    }
+
+    /**
+     * Abbreviations and misspellings of folded text ("svp" → "senior vice president")
+     */
+    expandWords(folded) {
+        return folded
+            .split(' ')
+            .flatMap(word => {
+                if (this.words[word]) return this.words[word];
+                if (word === '&') return 'and';
+                // "Finance&Accounting" - split unless the whole word is known (fp&a, r&d)
+                return word.includes('&') ? word.split('&').filter(Boolean).map(part => this.words[part] || part).join(' and ') : word;
+            })
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * 🌍 A TITLE IN ENGLISH
+     *
+     * @returns {Object} { title, language } - the English title ("Directeur Administratif et Financier"
+     *   → "Chief Financial Officer") and the language it was written in; English titles and
+     *   regional equivalents come back unchanged with language null
+     */
+    localizeTitle(title, { region = null } = {}) {
+        const translation = this.translateTitle(title, { region });
+        if (!translation.language) return { title, language: null };
+
+        // Words left untranslated keep their source spelling ("DACH", "Controlling")
+        const sourceWords = new Map(String(title).split(/[^\p{L}\p{N}&]+/u).map(word => [foldTitle(word), word]));
+        const words = translation.parts
+            .flatMap(part => part.text.split(' ').map(word => ({ word, translated: part.translated })))
+            .filter(({ word }) => word)
+            .map(({ word, translated }, index) => {
+                if (!translated && sourceWords.has(word)) return sourceWords.get(word);
+                if (index > 0 && MINOR_WORDS.has(word)) return word;
+                if (this.isAcronym(word)) return word.toUpperCase();
+                return word.charAt(0).toUpperCase() + word.slice(1);
+            });
+        return { title: words.join(' '), language: translation.language };
+    }
+
+    /**
+     * Executive with an English title - the source title is kept as originalTitle with its
+     * language as titleLanguage, and the company region as titleRegion so regional titles
+     * ("Finance Director" in the UK) keep matching. Localizing twice changes nothing.
+     */
+    localizeExecutive(executive, { region = null } = {}) {
+        if (!executive?.title) return executive;
+
+        const source = executive.originalTitle || executive.title;
+        const localized = this.localizeTitle(source, { region });
+        return {
+            ...executive,
+            title: localized.title,
+            ...(localized.language ? { originalTitle: source, titleLanguage: localized.language.id } : {}),
+            ...(region ? { titleRegion: region } : {})
+        };
+    }
+
+    /**
+     * "cfo", "vp", "hr" - abbreviations that stand for their expansion's initials
+     */
+    isAcronym(word) {
+        const expansion = this.taxonomy.ABBREVIATIONS[word];
+        return Boolean(expansion) && expansion.split(' ').map(part => part.charAt(0)).join('') === word;
+    }
+
+    /**
+     * Local-language titles of a region that hold a role at maxTier or above - for vendor title searches
+     * ("Finanzvorstand", "Kaufmännischer Geschäftsführer", ... for a German company's finance leader)
+     */
+    localTitles(roleId, { region = null, maxTier = 2 } = {}) {
+        if (!region) return [];
+        return this.dictionaries
+            .filter(entry => !entry.regional && entry.regions.includes(region))
+            .flatMap(entry => [...entry.phrases.values()])
+            .filter(({ english }) => english && this.isRoleTitle(english, roleId, { maxTier, fallback: false }))
+            .map(({ phrase }) => phrase);
+    }
+
+    /**
+     * Functional areas of a title ('finance', 'revenue', ...)
+     */
+    titleAreas(title, { normalized = null, region = null } = {}) {
+        const text = normalized ?? this.normalizeTitle(title, { region });
+        if (!text) return [];
+        return this.areas
+            .filter(area => {
+                const searchable = removePhrases(text, area.except);
+                return area.keywords.some(keyword => hasPhrase(searchable, keyword));
+            })
+            .map(area => area.id);
+    }
+
+    /**
+     * Phrases of a rule found in a title, or null when the rule does not apply
+     */
+    ruleMatch(rule, normalized) {
+        if (rule.unless.some(phrase => hasPhrase(normalized, phrase))) return null;
+
+        const title = rule.titles.find(phrase => hasPhrase(normalized, phrase));
+        if (title) return { by: 'title', phrases: [title] };
+
+        if (rule.seniority.length > 0 && rule.functions.length > 0) {
+            const seniority = rule.seniority.find(phrase => hasPhrase(normalized, phrase));
+            const fn = seniority && rule.functions.find(phrase => hasPhrase(normalized, phrase));
+            if (fn) return { by: 'seniority_function', phrases: [seniority, fn] };
+        }
+        return null;
+    }
+
+    /**
+     * 🎯 MATCH A TITLE AGAINST ONE ROLE
+     *
+     * @param {string} title
+     * @param {string} roleId - 'finance' or 'revenue' (any key of ROLES)
+     * @param {Object} options - fallback: false ignores the area-keyword fallback tier;
+     *   region: the company's ISO country, for regional equivalents
+     * @returns {Object} { role, title, normalized, language, regionalTitle, tier, category, label,
+     *   confidence, matchedBy, matched, areas, excluded, adjustments, explanation } - tier is null
+     *   when the title is not the role
+     */
+    matchRole(title, roleId, { fallback = true, region = null } = {}) {
+        const role = this.roles[roleId];
+        if (!role) throw new Error(`Unknown role "${roleId}" (expected ${Object.keys(this.roles).join(', ')})`);
+
+        const translation = this.translateTitle(title, { region });
+        const normalized = this.expandWords(translation.text);
+        const areas = this.titleAreas(title, { normalized });
+        const result = {
+            role: roleId,
+            title: title || '',
+            normalized,
+            language: translation.language,
+            regionalTitle: translation.regionalTitle,
+            tier: null,
+            category: null,
+            label: null,
+            confidence: 0,
+            matchedBy: null,
+            matched: [],
+            areas,
+            excluded: null,
+            adjustments: [],
+            explanation: ''
+        };
+
+        if (!normalized) {
+            result.explanation = 'No title';
+            return result;
+        }
+
+        const exclusion = this.exclusions.find(candidate => candidate.phrases.some(phrase => hasPhrase(normalized, phrase)));
+        if (exclusion) {
+            result.excluded = { id: exclusion.id, reason: exclusion.reason };
+            result.explanation = this.explain(result, role);
+            return result;
+        }
+
+        const otherArea = (role.excludeAreas || []).find(area => areas.includes(area));
+        if (otherArea && !areas.includes(role.area)) {
+            const area = this.areas.find(candidate => candidate.id === otherArea);
+            result.excluded = { id: `area:${otherArea}`, reason: `${area.label} title` };
+            result.explanation = this.explain(result, role);
+            return result;
+        }
+
+        for (const rule of role.rules) {
+            const match = this.ruleMatch(rule, normalized);
+            if (match) {
+                result.tier = rule.tier;
+                result.category = rule.category || null;
+                result.matchedBy = match.by;
+                result.matched = match.phrases;
+                break;
+            }
+        }
+
+        if (result.tier === null && fallback && role.fallback && areas.includes(role.area)) {
+            const area = this.areas.find(candidate => candidate.id === role.area);
+            result.tier = role.fallback.tier;
+            result.category = role.fallback.category || null;
+            result.matchedBy = 'area';
+            result.matched = area.keywords.filter(keyword => hasPhrase(normalized, keyword));
+        }
+
+        if (result.tier !== null) {
+            for (const scope of role.exclusions) {
+                if (!scope.phrases.some(phrase => hasPhrase(normalized, phrase))) continue;
+                const from = result.tier;
+                const lowest = Math.max(...Object.keys(role.tiers).map(Number));
+                if (scope.maxTier) result.tier = Math.max(result.tier, scope.maxTier);
+                if (scope.demoteBy) result.tier = Math.min(lowest, result.tier + scope.demoteBy);
+                if (result.tier !== from) {
+                    result.adjustments.push({ id: scope.id, reason: scope.reason, from, to: result.tier });
+                }
+            }
+
+            const tier = role.tiers[result.tier] || {};
+            result.label = tier.label || null;
+            result.confidence = tier.confidence || 0;
+        }
+
+        result.explanation = this.explain(result, role);
+        return result;
+    }
+
+    /**
+     * "VP, Sales" → "vice president sales": revenue tier 2 (...) - seniority "vice president" + function "sales"
+     */
+    explain(result, role) {
+        const via = result.language || result.regionalTitle;
+        const subject = `"${result.title}"${via ? ` (${via.label})` : ''} → "${result.normalized}"`;
+        if (result.excluded) {
+            return `${subject}: not a ${role.label.toLowerCase()} - ${result.excluded.reason}`;
+        }
+        if (result.tier === null) {
+            return `${subject}: no ${role.label.toLowerCase()} title matched`;
+        }
+
+        const how = {
+            title: `title "${result.matched[0]}"`,
+            seniority_function: `seniority "${result.matched[0]}" + function "${result.matched[1]}"`,
+            area: `${role.area} keyword "${result.matched[0]}" only`
+        }[result.matchedBy];
+        const adjusted = result.adjustments.map(adjustment => `; tier ${adjustment.from} → ${adjustment.to}: ${adjustment.reason}`).join('');
+        return `${subject}: ${role.id} tier ${result.tier} (${result.label}) - ${how}${adjusted}`;
+    }
+
+    /**
+     * 🏷️ BEST ROLE FOR A TITLE
+     *
+     * @returns {Object} the winning matchRole() result (tier null when no role matched) plus
+     *   `matches` - every role's result keyed by role id
+     */
+    classifyTitle(title, options = {}) {
+        const matches = {};
+        let best = null;
+        for (const roleId of Object.keys(this.roles)) {
+            matches[roleId] = this.matchRole(title, roleId, options);
+            const match = matches[roleId];
+            if (match.tier !== null && (!best || match.tier < best.tier)) best = match;
+        }
+
+        if (best) return { ...best, matches };
+
+        // Excluded for every role (assistant, advisor, former) - keep the reason
+        const excluded = Object.values(matches).find(match => match.excluded && !match.excluded.id.startsWith('area:'));
+        const { normalized, language, regionalTitle } = Object.values(matches)[0];
+        return {
+            role: null,
+            title: title || '',
+            normalized,
+            language,
+            regionalTitle,
+            tier: null,
+            category: null,
+            label: null,
+            confidence: 0,
+            matchedBy: null,
+            matched: [],
+            areas: this.titleAreas(title, { normalized }),
+            excluded: excluded ? excluded.excluded : null,
+            adjustments: [],
+            explanation: excluded ? excluded.explanation : normalized ? `"${title}" → "${normalized}": no role matched` : 'No title',
+            matches
+        };
+    }
+
+    /**
+     * Title holds the role at `maxTier` or above
+     */
+    isRoleTitle(title, roleId, { maxTier = Infinity, fallback = true, region = null } = {}) {
+        const match = this.matchRole(title, roleId, { fallback, region });
+        return match.tier !== null && match.tier <= maxTier;
+    }
+
+    /**
+     * C-level title - "Chief ... Officer" or an acronym for one, not "Chief of Staff"
+     */
+    isCLevelTitle(title) {
+        const normalized = this.normalizeTitle(title);
+        return hasPhrase(normalized, 'chief') && !hasPhrase(normalized, 'chief of staff');
+    }
+
+    /**
+     * CEO / President / Founder / Owner - general management rather than a function
+     */
+    isGeneralManagementTitle(title) {
+        return this.titleAreas(title).includes('executive');
+    }
+}
+
+let defaultTaxonomy = null;
+
+/**
+ * Shared instance built from config/role-taxonomy.js (and ROLE_TAXONOMY_FILE)
+ */
+function getRoleTaxonomy() {
+    if (!defaultTaxonomy) defaultTaxonomy = new RoleTaxonomy();
+    return defaultTaxonomy;
+}
+
+module.exports = {
+    RoleTaxonomy,
+    getRoleTaxonomy,
+    foldTitle,
+    normalizeTitle: (title, options) => getRoleTaxonomy().normalizeTitle(title, options),
+    localizeTitle: (title, options) => getRoleTaxonomy().localizeTitle(title, options),
+    localizeExecutive: (executive, options) => getRoleTaxonomy().localizeExecutive(executive, options),
+    localTitles: (roleId, options) => getRoleTaxonomy().localTitles(roleId, options),
+    titleAreas: title => getRoleTaxonomy().titleAreas(title),
+    matchRole: (title, roleId, options) => getRoleTaxonomy().matchRole(title, roleId, options),
+    classifyTitle: (title, options) => getRoleTaxonomy().classifyTitle(title, options),
+    isRoleTitle: (title, roleId, options) => getRoleTaxonomy().isRoleTitle(title, roleId, options),
+    isFinanceTitle: (title, options) => getRoleTaxonomy().isRoleTitle(title, 'finance', options),
+    isRevenueTitle: (title, options) => getRoleTaxonomy().isRoleTitle(title, 'revenue', options),
+    isCLevelTitle: title => getRoleTaxonomy().isCLevelTitle(title),
+    isGeneralManagementTitle: title => getRoleTaxonomy().isGeneralManagementTitle(title)
+};
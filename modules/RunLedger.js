@@ -0,0 +1,303 @@
+/**
+ * 📒 RUN LEDGER MODULE
+ *
+ * Durable per-company job state for long pipeline runs
+ * A crash in the middle of a 1,233 company run should not mean re-buying API data:
+ * every state change is appended to a journal file, and reopening the ledger for the
+ * same run picks up exactly where it stopped.
+ *
+ * Runs are keyed by pipeline, input file and input content; companies by website (else name).
+ *
+ * Entry states: pending → running → done | failed
+ * - done entries keep their result and are never reprocessed
+ * - failed entries are retried on the next run until MAX_ATTEMPTS is reached
+ * - released entries (held back by the budget) go back to pending without using an attempt
+ * - running entries found on open were interrupted by a crash and go back to pending
+ *   (unless opened readOnly, e.g. to report on a run that another worker is processing)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STATUS = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+class RunLedger {
+    constructor(runId, config = {}) {
+        // Use /tmp for Vercel serverless compatibility
+        const defaultLedgerDir = process.env.VERCEL ? '/tmp/runs' : path.join(__dirname, '../outputs/runs');
+
+        this.runId = runId;
+        this.config = {
+            LEDGER_DIR: config.LEDGER_DIR || defaultLedgerDir,
+            MAX_ATTEMPTS: config.MAX_ATTEMPTS || 3,
+            ...config
+        };
+
+        this.ledgerFile = path.join(this.config.LEDGER_DIR, `${runId}.jsonl`);
+        this.entries = new Map();
+        this.order = [];
+        this.opened = false;
+    }
+
+    /**
+     * Build a stable run id from the pipeline type, input file name and a hash of its contents -
+     * an edited input starts a new run instead of resuming one over different rows
+     */
+    static runIdFor(pipelineType, inputFile) {
+        const inputName = path.basename(inputFile || 'default', path.extname(inputFile || ''));
+        const contentHash = inputFile && fs.existsSync(inputFile)
+            ? `-${crypto.createHash('sha1').update(fs.readFileSync(inputFile)).digest('hex').slice(0, 8)}`
+            : '';
+        return `${pipelineType}-${inputName}${contentHash}`.toLowerCase().replace(/[^a-z0-9_-]+/g, '-');
+    }
+
+    /**
+     * Ledger key for a company - normalized website, falling back to the name
+     * Empty for a row with neither - such rows are not registered and cannot be journaled
+     */
+    static companyKey(company) {
+        const website = company?.website || company?.Website || company?.domain || '';
+        const key = String(website)
+            .toLowerCase()
+            .trim()
+            .replace(/^https?:\/\//, '')
+            .replace(/^www\./, '')
+            .replace(/\/.*$/, '');
+
+        return key || String(company?.companyName || company?.company_name || company?.['Company Name'] || '').toLowerCase().trim();
+    }
+
+    /**
+     * Open the ledger - replay the journal, reset interrupted entries and compact
+     */
+    open({ fresh = false, readOnly = false } = {}) {
+        this.readOnly = readOnly;
+        if (!fs.existsSync(this.config.LEDGER_DIR)) {
+            fs.mkdirSync(this.config.LEDGER_DIR, { recursive: true });
+        }
+
+        this.entries.clear();
+        this.order = [];
+
+        if (fresh && fs.existsSync(this.ledgerFile)) {
+            fs.unlinkSync(this.ledgerFile);
+            console.log(`   🗑️ Run ledger reset: ${this.runId}`);
+        }
+
+        if (fs.existsSync(this.ledgerFile)) {
+            const lines = fs.readFileSync(this.ledgerFile, 'utf8').split('\n');
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    this.applyEntry(JSON.parse(line));
+                } catch (error) {
+                    // A torn final line from a crash mid-write - everything before it is intact
+                    console.log(`   ⚠️ Skipping unreadable ledger line: ${error.message}`);
+                }
+            }
+
+            if (readOnly) {
+                this.opened = true;
+                return this;
+            }
+
+            let interrupted = 0;
+            for (const entry of this.entries.values()) {
+                if (entry.status === STATUS.RUNNING) {
+                    entry.status = STATUS.PENDING;
+                    interrupted++;
+                }
+            }
+
+            this.compact();
+
+            const summary = this.getSummary();
+            console.log(`   📒 Resuming run ${this.runId}: ${summary.done} done, ${summary.failed} failed, ${summary.pending} pending`);
+            if (interrupted > 0) {
+                console.log(`   🔄 ${interrupted} companies were interrupted mid-run and will be reprocessed`);
+            }
+        } else if (!readOnly) {
+            console.log(`   📒 Starting new run ledger: ${this.ledgerFile}`);
+        }
+
+        this.opened = true;
+        return this;
+    }
+
+    /**
+     * Register companies for the run - existing entries keep their state, a repeated key keeps
+     * its first row and rows without a key are left out (see companyKey)
+     */
+    register(companies) {
+        this.ensureOpen();
+
+        companies.forEach((company, index) => {
+            const key = RunLedger.companyKey(company);
+            if (!key || this.entries.has(key)) return;
+
+            this.write({
+                key,
+                index: index + 1,
+                status: STATUS.PENDING,
+                attempts: 0,
+                lastError: null,
+                company,
+                result: null,
+                updatedAt: new Date().toISOString()
+            });
+        });
+
+        return this.getSummary();
+    }
+
+    /**
+     * Whether a company still needs processing in this run - false for rows never registered
+     */
+    shouldProcess(company) {
+        const entry = this.getEntry(company);
+        if (!entry) return false;
+        if (entry.status === STATUS.DONE) return false;
+        if (entry.status === STATUS.FAILED && entry.attempts >= this.config.MAX_ATTEMPTS) return false;
+        return true;
+    }
+
+    markRunning(company) {
+        const entry = this.requireEntry(company);
+        return this.write({
+            ...entry,
+            status: STATUS.RUNNING,
+            attempts: entry.attempts + 1,
+            startedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    markDone(company, result) {
+        const entry = this.requireEntry(company);
+        return this.write({
+            ...entry,
+            status: STATUS.DONE,
+            lastError: null,
+            result,
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    markFailed(company, error, result = null) {
+        const entry = this.requireEntry(company);
+        return this.write({
+            ...entry,
+            status: STATUS.FAILED,
+            lastError: error?.message || String(error || 'Unknown error'),
+            result,
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Put a running company back to pending without using up an attempt - for work that
+     * was held back (budget reached) rather than failed
+     */
+    release(company, reason = null) {
+        const entry = this.requireEntry(company);
+        return this.write({
+            ...entry,
+            status: STATUS.PENDING,
+            attempts: Math.max(0, entry.attempts - 1),
+            lastError: reason,
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    getEntry(company) {
+        const key = RunLedger.companyKey(company);
+        return key ? this.entries.get(key) || null : null;
+    }
+
+    /**
+     * All entries in registration order
+     */
+    getEntries() {
+        return this.order.map(key => this.entries.get(key));
+    }
+
+    /**
+     * Results of completed companies in registration order
+     */
+    getCompletedResults() {
+        return this.order
+            .map(key => this.entries.get(key))
+            .filter(entry => entry.status === STATUS.DONE && entry.result)
+            .map(entry => entry.result);
+    }
+
+    /**
+     * Failed entries that have used up their attempts
+     */
+    getExhaustedEntries() {
+        return [...this.entries.values()].filter(
+            entry => entry.status === STATUS.FAILED && entry.attempts >= this.config.MAX_ATTEMPTS
+        );
+    }
+
+    getSummary() {
+        const summary = { runId: this.runId, total: this.entries.size, pending: 0, running: 0, done: 0, failed: 0 };
+        for (const entry of this.entries.values()) {
+            summary[entry.status]++;
+        }
+        return summary;
+    }
+
+    /**
+     * Rewrite the journal as one line per company (atomic rename)
+     */
+    compact() {
+        const tmpFile = `${this.ledgerFile}.tmp`;
+        const lines = this.order.map(key => JSON.stringify(this.entries.get(key)));
+        fs.writeFileSync(tmpFile, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+        fs.renameSync(tmpFile, this.ledgerFile);
+    }
+
+    /**
+     * Append an entry to the journal and apply it in memory
+     */
+    write(entry) {
+        this.ensureOpen();
+        if (this.readOnly) {
+            throw new Error(`Run ledger ${this.runId} is open read-only`);
+        }
+        fs.appendFileSync(this.ledgerFile, `${JSON.stringify(entry)}\n`);
+        this.applyEntry(entry);
+        return entry;
+    }
+
+    applyEntry(entry) {
+        if (!entry || !entry.key) return;
+        if (!this.entries.has(entry.key)) {
+            this.order.push(entry.key);
+        }
+        this.entries.set(entry.key, entry);
+    }
+
+    requireEntry(company) {
+        const entry = this.getEntry(company);
+        if (!entry) {
+            throw new Error(`Company not registered in run ledger ${this.runId}: ${RunLedger.companyKey(company)}`);
+        }
+        return entry;
+    }
+
+    ensureOpen() {
+        if (!this.opened) {
+            throw new Error(`Run ledger ${this.runId} is not open`);
+        }
+    }
+}
+
+module.exports = { RunLedger, RUN_STATUS: STATUS };
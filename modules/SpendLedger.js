@@ -0,0 +1,118 @@
+/**
+ * 🧾 SPEND LEDGER MODULE
+ *
+ * Durable record of billed API calls so budgets hold across runs and processes.
+ * Every billed call is appended to a monthly journal (spend-YYYY-MM.jsonl); opening the
+ * ledger replays the current month's journal into month-to-date totals by API and by run.
+ *
+ * Entry: { ts, runId, api, cost, success }
+ * A new month starts a new journal, so month-to-date spend resets on the 1st (UTC).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class SpendLedger {
+    constructor(config = {}) {
+        // Use /tmp for Vercel serverless compatibility
+        const defaultSpendDir = process.env.VERCEL ? '/tmp/spend' : path.join(__dirname, '../outputs/spend');
+
+        this.config = {
+            SPEND_LEDGER_DIR: config.SPEND_LEDGER_DIR || process.env.SPEND_LEDGER_DIR || defaultSpendDir
+        };
+
+        this.month = null;
+        this.totals = null;
+    }
+
+    /**
+     * Journal month key for a date - "2026-10"
+     */
+    static monthKey(date = new Date()) {
+        return date.toISOString().slice(0, 7);
+    }
+
+    get ledgerFile() {
+        return path.join(this.config.SPEND_LEDGER_DIR, `spend-${this.month}.jsonl`);
+    }
+
+    /**
+     * Replay the current month's journal - call again to pick up spend from other processes
+     */
+    load() {
+        this.month = SpendLedger.monthKey();
+        this.totals = { total: 0, calls: 0, byApi: {}, byRun: {} };
+
+        if (fs.existsSync(this.ledgerFile)) {
+            const lines = fs.readFileSync(this.ledgerFile, 'utf8').split('\n');
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    this.apply(JSON.parse(line));
+                } catch (error) {
+                    // A torn final line from a crash mid-write - everything before it is intact
+                    console.log(`   ⚠️ Skipping unreadable spend ledger line: ${error.message}`);
+                }
+            }
+        }
+
+        return this;
+    }
+
+    apply(entry) {
+        const cost = Number(entry.cost) || 0;
+        this.totals.total += cost;
+        this.totals.calls++;
+        this.totals.byApi[entry.api] = (this.totals.byApi[entry.api] || 0) + cost;
+        if (entry.runId) {
+            this.totals.byRun[entry.runId] = (this.totals.byRun[entry.runId] || 0) + cost;
+        }
+    }
+
+    ensureCurrentMonth() {
+        if (!this.totals || this.month !== SpendLedger.monthKey()) {
+            this.load();
+        }
+    }
+
+    /**
+     * Append one billed call and fold it into the totals
+     */
+    record({ runId = null, api, cost, success = true }) {
+        this.ensureCurrentMonth();
+
+        const entry = { ts: new Date().toISOString(), runId, api, cost, success };
+        try {
+            fs.mkdirSync(this.config.SPEND_LEDGER_DIR, { recursive: true });
+            fs.appendFileSync(this.ledgerFile, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            // Losing one entry must not fail the API call that was already paid for
+            console.log(`   ⚠️ Spend ledger write failed: ${error.message}`);
+        }
+
+        this.apply(entry);
+        return entry;
+    }
+
+    /**
+     * Month-to-date spend, optionally for one run only
+     */
+    getMonthToDate(runId = null) {
+        this.ensureCurrentMonth();
+        return runId ? this.totals.byRun[runId] || 0 : this.totals.total;
+    }
+
+    getSummary() {
+        this.ensureCurrentMonth();
+        return {
+            month: this.month,
+            total: this.totals.total,
+            calls: this.totals.calls,
+            byApi: { ...this.totals.byApi },
+            byRun: { ...this.totals.byRun },
+            file: this.ledgerFile
+        };
+    }
+}
+
+module.exports = { SpendLedger };
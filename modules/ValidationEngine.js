@@ -11,7 +11,7 @@
  * 5. Quality assurance and accuracy metrics
  */
 
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
 
 class ValidationEngine {
     constructor(config = {}) {
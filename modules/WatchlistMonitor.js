@@ -0,0 +1,381 @@
+/**
+ * 🛰️ WATCHLIST MONITOR MODULE
+ *
+ * Re-verifies watched accounts (modules/ExecutiveWatchlist.js) with the cheapest checks first,
+ * instead of a fresh pipeline pass:
+ * 1. email - the seat holder's email through ContactValidator (ZeroBounce / MyEmailVerifier)
+ * 2. leadership - the company's leadership page: is the holder still listed, who holds the seat now
+ * 3. news - ExecutiveTransitionDetector's Perplexity search for retirements, interim and new appointments
+ * 4. profile - the holder's CoreSignal profile by LinkedIn URL or email: current company and title
+ *
+ * Each check has a cadence and cost in config/watchlist.js. A suspicious finding (bounce, holder
+ * missing from the page, another holder, transition news, another title) escalates the pass:
+ * every remaining check runs to confirm it. Vacated and interim seats get the leadership check
+ * every pass, because that is where a new CFO shows up first.
+ */
+
+const { WATCHLIST_SIGNALS } = require('../config/watchlist');
+const { ExecutiveWatchlist, titleChanged, isInterimTitle, followUpSeats } = require('./ExecutiveWatchlist');
+const { PersonaDetection, resolvePersonas } = require('./PersonaDetection');
+const { localizeTitle } = require('./RoleTaxonomy');
+const { namesMatch } = require('./PersonName');
+const { DataCache } = require('./DataCache');
+const { emitWebhook } = require('./WebhookDispatcher');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LEGAL_SUFFIXES = new Set(['inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'plc', 'gmbh', 'ag', 'sa', 'sas', 'bv', 'nv', 'ab', 'as', 'oy', 'spa', 'srl', 'group', 'holdings', 'the']);
+
+function companyTokens(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !LEGAL_SUFFIXES.has(token));
+}
+
+/**
+ * Same employer? "Acme Corp" = "ACME Corporation" = "Acme" (domain label acme)
+ */
+function sameCompany(profileCompany, account) {
+    const found = companyTokens(profileCompany);
+    if (found.length === 0) return null;
+
+    const label = account.id.split('.')[0];
+    const names = [companyTokens(account.company), [label]].filter(tokens => tokens.length > 0);
+    return names.some(tokens =>
+        tokens.every(token => found.includes(token)) ||
+        found.every(token => tokens.includes(token)) ||
+        found.join('') === tokens.join('')
+    );
+}
+
+function emptyObservation() {
+    return { holder: undefined, present: false, departed: false, title: null, emailStatus: null, evidence: [], suspicious: false };
+}
+
+class WatchlistMonitor {
+    /**
+     * @param {Object} config - watchlist (ExecutiveWatchlist), cache (DataCache shared by the checks'
+     *   verdict stores); API keys fall back to the environment
+     */
+    constructor(config = {}) {
+        this.config = {
+            ZEROBOUNCE_API_KEY: config.ZEROBOUNCE_API_KEY || process.env.ZEROBOUNCE_API_KEY,
+            MYEMAILVERIFIER_API_KEY: config.MYEMAILVERIFIER_API_KEY || process.env.MYEMAILVERIFIER_API_KEY,
+            PERPLEXITY_API_KEY: config.PERPLEXITY_API_KEY || process.env.PERPLEXITY_API_KEY,
+            CORESIGNAL_API_KEY: config.CORESIGNAL_API_KEY || process.env.CORESIGNAL_API_KEY,
+            ...config
+        };
+
+        this.watchlist = config.watchlist || new ExecutiveWatchlist(this.config);
+        this.cache = config.cache || new DataCache(this.config);
+        this.personaDetection = new PersonaDetection(this.config);
+        this.modules = {};
+    }
+
+    /**
+     * Checks in cost order, with the runner for each
+     */
+    get signals() {
+        const runners = {
+            email: this.checkEmail,
+            leadership: this.checkLeadership,
+            news: this.checkNews,
+            profile: this.checkProfile
+        };
+        return Object.entries(WATCHLIST_SIGNALS)
+            .filter(([id]) => runners[id])
+            .map(([id, signal]) => ({ id, ...signal, run: runners[id].bind(this) }))
+            .sort((a, b) => a.costUsd - b.costUsd);
+    }
+
+    /**
+     * Modules behind the checks - built on first use so a pass only loads what it runs
+     */
+    module(name) {
+        if (!this.modules[name]) {
+            if (!this.emailFormats) {
+                const { EmailFormatStore } = require('./EmailFormatStore');
+                this.emailFormats = this.config.emailFormats || new EmailFormatStore({ ...this.config, emailFormatCache: this.cache });
+            }
+            const shared = { ...this.config, catchAllCache: this.cache, emailFormatCache: this.cache, emailFormats: this.emailFormats };
+            switch (name) {
+                case 'contactValidator': {
+                    const { ContactValidator } = require('./ContactValidator');
+                    this.modules[name] = new ContactValidator(shared);
+                    break;
+                }
+                case 'leadershipScraper': {
+                    const { CompanyLeadershipScraper } = require('./CompanyLeadershipScraper');
+                    this.modules[name] = new CompanyLeadershipScraper(shared);
+                    break;
+                }
+                case 'transitionDetector': {
+                    const { ExecutiveTransitionDetector } = require('./ExecutiveTransitionDetector');
+                    this.modules[name] = new ExecutiveTransitionDetector(shared);
+                    break;
+                }
+                case 'contactIntelligence': {
+                    const { ExecutiveContactIntelligence } = require('./ExecutiveContactIntelligence');
+                    this.modules[name] = new ExecutiveContactIntelligence(shared);
+                    break;
+                }
+            }
+        }
+        return this.modules[name];
+    }
+
+    /**
+     * 🔁 RUN EVERY DUE ACCOUNT
+     * @param {Object} [options] - accounts (ids - ignores the schedule), limit, force (every check), now
+     * @returns {Promise<{ accounts: number, events: Object[], costUsd: number, failed: string[] }>}
+     */
+    async runDue({ accounts = null, limit = null, force = false, now = new Date().toISOString() } = {}) {
+        let due = accounts
+            ? accounts.map(id => this.watchlist.get(id) || { missing: id })
+            : this.watchlist.due(now);
+        if (limit) due = due.slice(0, limit);
+
+        console.log(`\n👀 WATCHLIST: ${due.length} accounts to verify`);
+        const summary = { accounts: 0, events: [], costUsd: 0, failed: [] };
+
+        // Without any provider key a pass would only push every account's schedule back
+        const keys = [...new Set(this.signals.flatMap(signal => signal.requires))];
+        if (!keys.some(key => this.config[key])) {
+            console.log(`   ⚠️ No watchlist check is configured - set one of ${keys.join(', ')}`);
+            return summary;
+        }
+
+        for (const account of due) {
+            if (account.missing) {
+                console.log(`   ⚠️ ${account.missing} is not on the watchlist`);
+                summary.failed.push(account.missing);
+                continue;
+            }
+
+            try {
+                const pass = await this.verifyAccount(account, { force, now });
+                summary.accounts++;
+                summary.events.push(...pass.events);
+                summary.costUsd += pass.costUsd;
+            } catch (error) {
+                // The account stays due and is retried on the next run
+                console.error(`   ❌ Watchlist pass failed for ${account.id}: ${error.message}`);
+                summary.failed.push(account.id);
+            }
+        }
+
+        console.log(`\n📊 WATCHLIST: ${summary.accounts} accounts verified, ${summary.events.length} changes, ~$${summary.costUsd.toFixed(3)}`);
+        return summary;
+    }
+
+    /**
+     * 🔍 VERIFY ONE ACCOUNT - cheapest checks first, escalating on anything suspicious
+     * @returns {Promise<{ events: Object[], checks: string[], costUsd: number }>}
+     */
+    async verifyAccount(account, { force = false, now = new Date().toISOString() } = {}) {
+        console.log(`\n🛰️ Verifying ${account.company || account.id} (${account.id})`);
+
+        const personas = resolvePersonas(account.personas);
+        const observations = Object.fromEntries(personas.map(persona => [persona.id, emptyObservation()]));
+        const context = { account, personas, observations, now };
+        const checks = [];
+        let costUsd = 0;
+
+        for (const signal of this.signals) {
+            const escalated = Object.values(observations).some(observed => observed.suspicious);
+            const reason = this.runReason(signal, account, { force, escalated, now });
+            if (!reason) continue;
+
+            console.log(`   🔎 ${signal.label} (${reason})`);
+            const units = await signal.run(context);
+            if (units > 0) {
+                checks.push(signal.id);
+                costUsd += units * signal.costUsd;
+            }
+        }
+
+        // Seats no check could see this pass keep their last known state
+        const observed = Object.fromEntries(Object.entries(observations)
+            .filter(([, observation]) => observation.evidence.length > 0 || observation.holder !== undefined));
+
+        const events = this.watchlist.recordPass(account, { observations: observed, checks, costUsd, now });
+        events.forEach(event => console.log(`   ${event.priority === 'high' ? '🚨' : '🔔'} ${event.summary} (${event.type}, ${event.confidence}%)`));
+        if (events.length === 0) console.log(`   ✅ No changes (${checks.join(', ') || 'no checks due'})`);
+        for (const event of events) await emitWebhook('executive.changed', event);
+        return { events, checks, costUsd };
+    }
+
+    /**
+     * Why a check runs this pass - null when it does not
+     */
+    runReason(signal, account, { force, escalated, now }) {
+        if (!signal.requires.some(key => this.config[key])) return null;
+        if (force) return 'forced';
+        if (escalated) return 'escalated';
+        if (signal.per === 'account' && followUpSeats(account).length > 0) return `follow-up: ${followUpSeats(account).join(', ')}`;
+
+        // Holders imported from a pipeline run count as checked when they were added
+        const last = account.checks?.[signal.id] || (account.baselineAt ? account.addedAt : null);
+        if (!last || new Date(now) - new Date(last) >= signal.everyDays * DAY_MS) return 'due';
+        return null;
+    }
+
+    /**
+     * Watched seat holders with the field a check needs
+     */
+    holders({ account, personas }, field = 'name') {
+        return personas
+            .map(persona => ({ persona, holder: account.seats[persona.id] }))
+            .filter(({ holder }) => holder?.[field]);
+    }
+
+    /**
+     * 📮 EMAIL - a bounce is the earliest sign a holder has left
+     */
+    async checkEmail(context) {
+        let units = 0;
+        for (const { persona, holder } of this.holders(context, 'email')) {
+            const validation = await this.module('contactValidator').validateEmail(holder.email);
+            const status = validation?.deliverability;
+            if (!status || status === 'unknown') continue;
+
+            units++;
+            const observed = context.observations[persona.id];
+            observed.emailStatus = status;
+            observed.evidence.push({
+                signal: 'email',
+                finding: status === 'invalid' ? 'email_invalid' : 'email_deliverable',
+                detail: `${holder.email}: ${validation.result}${validation.subStatus ? ` (${validation.subStatus})` : ''}`,
+                source: validation.source || validation.provider || null,
+                observedAt: context.now
+            });
+            if (status === 'invalid' && holder.emailStatus !== 'invalid') observed.suspicious = true;
+        }
+        return units;
+    }
+
+    /**
+     * 🏢 LEADERSHIP PAGE - who holds each seat now, and whether the last holder is still listed
+     */
+    async checkLeadership({ account, personas, observations, now }) {
+        const scraped = await this.module('leadershipScraper').scrapeCompanyLeadership(account.company || account.id, account.website);
+        const executives = scraped.executives?.allExecutives || [];
+        // No page or nothing extracted says nothing about the people
+        if (executives.length === 0) return 1;
+
+        const source = scraped.leadershipPages?.[0] || account.website;
+        personas.forEach(persona => {
+            const observed = observations[persona.id];
+            const previous = account.seats[persona.id];
+            const holder = this.personaDetection.identify(executives, persona);
+
+            observed.holder = holder ? { name: holder.name, title: holder.title, source: 'leadership_page' } : null;
+            if (holder && (!previous || !namesMatch(previous.name, holder.name))) {
+                observed.evidence.push({ signal: 'leadership', finding: 'holder', detail: `${holder.name} listed as ${holder.title}`, source, observedAt: now });
+                if (previous) observed.suspicious = true;
+            }
+            if (!previous) return;
+
+            const listed = executives.find(executive => namesMatch(executive.name, previous.name));
+            if (listed) {
+                this.observeTitle(observed, previous, listed.title, persona, account, { signal: 'leadership', source, now, finding: 'listed' });
+            } else {
+                observed.evidence.push({ signal: 'leadership', finding: 'not_listed', detail: `${previous.name} is no longer on the leadership page`, source, observedAt: now });
+                observed.suspicious = true;
+            }
+        });
+        return 1;
+    }
+
+    /**
+     * 📰 NEWS - retirement, interim and appointment announcements about each holder
+     */
+    async checkNews(context) {
+        const { account, observations, now } = context;
+        let units = 0;
+        for (const { persona, holder } of this.holders(context)) {
+            const news = await this.module('transitionDetector').analyzeExecutiveTransition(account.company || account.id, holder, persona.label);
+            units++;
+            if (!news.hasTransitionIndicators) continue;
+
+            const observed = observations[persona.id];
+            const source = news.sources[0] || {};
+            const findings = [
+                [news.isRetiring, 'news_departure'],
+                [news.isInterim, 'news_interim'],
+                [news.isRecent, 'news_appointment']
+            ].filter(([flag]) => flag).map(([, finding]) => finding);
+
+            findings.forEach(finding => observed.evidence.push({
+                signal: 'news',
+                finding,
+                detail: source.title || `${holder.name}: ${news.indicators.map(indicator => indicator.keyword).join(', ')}`,
+                source: source.url || 'perplexity',
+                observedAt: now
+            }));
+            if (news.isRetiring || news.isInterim) observed.suspicious = true;
+        }
+        return units;
+    }
+
+    /**
+     * 👤 PROFILE - the holder's current employer and title, the strongest departure evidence
+     */
+    async checkProfile(context) {
+        const { account, observations, now } = context;
+        const intelligence = this.module('contactIntelligence');
+        let units = 0;
+
+        for (const { persona, holder } of this.holders(context)) {
+            if (!holder.linkedIn && !holder.email) continue;
+
+            const profile = holder.linkedIn
+                ? await intelligence.searchCoreSignalByLinkedIn(holder.linkedIn, holder.name)
+                : await intelligence.searchCoreSignalByEmail(holder.email, holder.name);
+            units++;
+            // A different person behind the LinkedIn URL or email proves nothing about the holder
+            if (!profile?.name || !namesMatch(profile.name, holder.name)) continue;
+
+            const observed = observations[persona.id];
+            const employer = sameCompany(profile.company, account);
+            const title = profile.title ? localizeTitle(profile.title, { region: account.region }).title : null;
+            const source = profile.linkedinUrl || 'coresignal';
+
+            if (employer === false) {
+                observed.departed = true;
+                observed.suspicious = true;
+                observed.evidence.push({ signal: 'profile', finding: 'left_company', detail: `${holder.name} is now ${title || 'at'} ${profile.company}`, source, observedAt: now });
+            } else if (employer) {
+                this.observeTitle(observed, holder, title, persona, account, { signal: 'profile', source, now, finding: 'at_company' });
+            }
+        }
+        return units;
+    }
+
+    /**
+     * Record a sighting of the holder - a title in another tier or an interim title is a 'title' finding
+     */
+    observeTitle(observed, holder, title, persona, account, { signal, source, now, finding }) {
+        observed.present = true;
+        if (!title) return;
+
+        const changed = titleChanged(holder.title, title, persona, account.region) || isInterimTitle(title) !== Boolean(holder.interim);
+        observed.title = title;
+        observed.evidence.push({
+            signal,
+            finding: changed ? 'title' : finding,
+            detail: `${holder.name}: ${title}`,
+            source,
+            observedAt: now
+        });
+        if (changed) observed.suspicious = true;
+    }
+
+    async close() {
+        await this.cache.close();
+    }
+}
+
+module.exports = { WatchlistMonitor, sameCompany };
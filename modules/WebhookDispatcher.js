@@ -0,0 +1,518 @@
+/**
+ * 📬 WEBHOOK DISPATCHER MODULE
+ *
+ * Pushes job, company and executive change events to subscribed endpoints instead of making
+ * callers hold a request open or poll:
+ * 1. Subscriptions - an endpoint URL, the event types it wants (config/webhooks.js) and its secret
+ * 2. Every emitted event becomes one delivery per matching subscription, written to disk before
+ *    the first attempt so nothing is lost when the process ends
+ * 3. Bodies are HMAC-SHA256 signed with the subscription secret (X-Adrata-Signature: t=..,v1=..);
+ *    verifySignature() and createWebhookReceiver() are the receiving side
+ * 4. Failed attempts are retried with exponential backoff - on the next emit or
+ *    `node webhooks.js deliver` - and land in the dead-letter list after maxAttempts;
+ *    replay() sends dead (or delivered) deliveries again with a fresh signature
+ *
+ * Endpoints on loopback, private, link-local (cloud metadata) and other internal addresses are
+ * refused when subscribing and again when the host resolves at send time, unless the subscription
+ * was made with allowPrivateHosts (local receivers - `node webhooks.js subscribe --allow-private`).
+ *
+ * Files: WEBHOOKS_DIR (outputs/webhooks, /tmp/webhooks on Vercel) - subscriptions.json and
+ * deliveries/<id>.json. Every process that emits or delivers must see the same directory: on
+ * Vercel /tmp is per instance, so run api/webhooks with WEBHOOKS_DIR on shared, persistent storage
+ * (isPersistent() is false without it and the API refuses new subscriptions).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { WEBHOOK_EVENTS, WEBHOOK_DELIVERY, WEBHOOK_SIGNATURE } = require('../config/webhooks');
+
+const DELIVERY_STATUS = {
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    DEAD: 'dead'
+};
+
+const MAX_RESPONSE_EXCERPT = 500;
+
+/**
+ * Why an address must not receive webhooks - loopback, private, link-local (169.254.169.254
+ * metadata), CGNAT, unspecified and unique-local ranges - or null for a public address
+ */
+function privateAddressReason(address) {
+    if (net.isIPv4(address)) {
+        const [a, b] = address.split('.').map(Number);
+        if (a === 127) return 'loopback';
+        if (a === 0) return 'unspecified';
+        if (a === 10 || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168)) return 'private';
+        if (a === 169 && b === 254) return 'link-local';
+        if (a === 100 && b >= 64 && b <= 127) return 'shared (CGNAT)';
+        return null;
+    }
+    if (net.isIPv6(address)) {
+        const lower = address.toLowerCase();
+        const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+        if (mapped) return privateAddressReason(mapped[1]);
+        // new URL() writes IPv4-mapped addresses in hex (::ffff:c0a8:101)
+        const mappedHex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+        if (mappedHex) {
+            const [high, low] = mappedHex.slice(1).map(part => parseInt(part, 16));
+            return privateAddressReason([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+        }
+        if (lower === '::1') return 'loopback';
+        if (lower === '::') return 'unspecified';
+        if (/^f[cd]/.test(lower)) return 'unique-local';
+        if (/^fe[89ab]/.test(lower)) return 'link-local';
+        return null;
+    }
+    return null;
+}
+
+/**
+ * Why a URL hostname must not receive webhooks - internal names or private address literals
+ */
+function privateHostReason(hostname) {
+    const host = String(hostname).toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    if (host === 'localhost' || host.endsWith('.localhost')) return 'loopback';
+    if (host.endsWith('.internal') || host.endsWith('.local')) return 'internal';
+    return privateAddressReason(host);
+}
+
+/**
+ * DNS lookup for the delivery agents that fails on private addresses, so a public name that
+ * resolves (or rebinds) to an internal address is refused at connect time
+ */
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = addresses.find(entry => privateAddressReason(entry.address));
+        if (blocked) {
+            return callback(new Error(`${hostname} resolves to a ${privateAddressReason(blocked.address)} address (${blocked.address})`));
+        }
+        callback(null, address, family);
+    });
+}
+
+const PUBLIC_AGENTS = {
+    'http:': new http.Agent({ lookup: publicOnlyLookup }),
+    'https:': new https.Agent({ lookup: publicOnlyLookup })
+};
+
+function randomId(prefix, bytes = 8) {
+    return `${prefix}_${crypto.randomBytes(bytes).toString('hex')}`;
+}
+
+function hmac(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * 🔏 SIGNATURE HEADER VALUE for a raw body - "t=<unix seconds>,v1=<hex>"
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+}
+
+/**
+ * ✅ VERIFY A SIGNATURE HEADER against the raw request body
+ * @param {Object} params - secret, body (raw string or Buffer, exactly as received), header,
+ *   toleranceSeconds (replay window), now (unix seconds)
+ * @returns {{ valid: boolean, reason: string|null, timestamp: number|null }}
+ */
+function verifySignature({ secret, body, header, toleranceSeconds = WEBHOOK_SIGNATURE.toleranceSeconds, now = Math.floor(Date.now() / 1000) }) {
+    if (!secret) return { valid: false, reason: 'No secret configured', timestamp: null };
+    if (!header) return { valid: false, reason: `Missing ${WEBHOOK_SIGNATURE.header} header`, timestamp: null };
+
+    const parts = String(header).split(',').map(part => part.trim().split('='));
+    const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+    if (!Number.isFinite(timestamp) || signatures.length === 0) {
+        return { valid: false, reason: 'Malformed signature header', timestamp: null };
+    }
+    if (Math.abs(now - timestamp) > toleranceSeconds) {
+        return { valid: false, reason: `Timestamp outside the ${toleranceSeconds}s tolerance`, timestamp };
+    }
+
+    const expected = Buffer.from(hmac(secret, timestamp, Buffer.isBuffer(body) ? body.toString('utf8') : String(body)), 'hex');
+    const matches = signatures.some(signature => {
+        const candidate = Buffer.from(signature, 'hex');
+        return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+    });
+    return matches
+        ? { valid: true, reason: null, timestamp }
+        : { valid: false, reason: 'Signature mismatch', timestamp };
+}
+
+/**
+ * 📥 LOCAL RECEIVER - an HTTP server that verifies every request before handing the event over
+ * Responds 401 to bad signatures, 200 when onEvent resolves, 500 when it throws
+ *
+ * @param {Object} params - secret, onEvent(event, { deliveryId, headers }), toleranceSeconds
+ * @returns {http.Server} call .listen(port)
+ */
+function createWebhookReceiver({ secret, onEvent = () => {}, toleranceSeconds = WEBHOOK_SIGNATURE.toleranceSeconds }) {
+    return http.createServer((req, res) => {
+        const reply = (status, payload) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        };
+
+        if (req.method !== 'POST') return reply(405, { error: 'Method not allowed' });
+
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', async () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            const check = verifySignature({ secret, body, header: req.headers[WEBHOOK_SIGNATURE.header.toLowerCase()], toleranceSeconds });
+            if (!check.valid) return reply(401, { error: check.reason });
+
+            try {
+                await onEvent(JSON.parse(body), { deliveryId: req.headers['x-adrata-delivery'] || null, headers: req.headers });
+                reply(200, { received: true });
+            } catch (error) {
+                reply(500, { error: error.message });
+            }
+        });
+    });
+}
+
+class WebhookDispatcher {
+    constructor(config = {}) {
+        // Use /tmp for Vercel serverless compatibility
+        const defaultWebhooksDir = process.env.VERCEL ? '/tmp/webhooks' : path.join(__dirname, '../outputs/webhooks');
+
+        this.config = {
+            WEBHOOKS_DIR: config.WEBHOOKS_DIR || process.env.WEBHOOKS_DIR || defaultWebhooksDir,
+            ...WEBHOOK_DELIVERY,
+            ...config
+        };
+
+        this.deliveriesDir = path.join(this.config.WEBHOOKS_DIR, 'deliveries');
+        this.subscriptionsFile = path.join(this.config.WEBHOOKS_DIR, 'subscriptions.json');
+        this.inFlight = new Set();
+        this.persistent = !process.env.VERCEL || Boolean(config.WEBHOOKS_DIR || process.env.WEBHOOKS_DIR);
+
+        if (!fs.existsSync(this.deliveriesDir)) {
+            fs.mkdirSync(this.deliveriesDir, { recursive: true });
+        }
+    }
+
+    /**
+     * False on Vercel without WEBHOOKS_DIR - subscriptions and deliveries would only exist in one instance's /tmp
+     */
+    isPersistent() {
+        return this.persistent;
+    }
+
+    // ----- Subscriptions -----
+
+    /**
+     * Subscriptions - secrets are left out unless asked for
+     */
+    listSubscriptions({ includeSecrets = false } = {}) {
+        if (!fs.existsSync(this.subscriptionsFile)) return [];
+        const subscriptions = JSON.parse(fs.readFileSync(this.subscriptionsFile, 'utf8')).subscriptions || [];
+        return includeSecrets ? subscriptions : subscriptions.map(({ secret, ...subscription }) => subscription);
+    }
+
+    getSubscription(id) {
+        return this.listSubscriptions({ includeSecrets: true }).find(subscription => subscription.id === id) || null;
+    }
+
+    /**
+     * ➕ SUBSCRIBE an endpoint - the returned subscription is the only place the generated secret is shown
+     * @param {Object} params - url, events (types or '*'), secret (generated when absent), description,
+     *   allowPrivateHosts (accept loopback and internal addresses - local receivers only)
+     */
+    subscribe({ url, events = ['*'], secret = null, description = null, allowPrivateHosts = false }) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new Error(`Invalid webhook URL: ${url}`);
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new Error(`Webhook URL must be http(s): ${url}`);
+        }
+        const hostReason = privateHostReason(parsed.hostname);
+        if (hostReason && !allowPrivateHosts) {
+            throw new Error(`Webhook URL points at a ${hostReason} host: ${parsed.hostname}`);
+        }
+
+        const types = (Array.isArray(events) ? events : String(events).split(',')).map(type => String(type).trim()).filter(Boolean);
+        const unknown = types.find(type => type !== '*' && !WEBHOOK_EVENTS[type]);
+        if (types.length === 0 || unknown) {
+            throw new Error(`Unknown webhook event "${unknown || ''}" (expected ${Object.keys(WEBHOOK_EVENTS).join(', ')} or *)`);
+        }
+
+        const subscription = {
+            id: randomId('wh'),
+            url: parsed.href,
+            events: types,
+            secret: secret || randomId('whsec', 24),
+            description,
+            ...(allowPrivateHosts ? { allowPrivateHosts: true } : {}),
+            active: true,
+            createdAt: new Date().toISOString()
+        };
+        this.saveSubscriptions([...this.listSubscriptions({ includeSecrets: true }), subscription]);
+        console.log(`   📬 Webhook subscription ${subscription.id}: ${types.join(', ')} → ${subscription.url}`);
+        return subscription;
+    }
+
+    unsubscribe(id) {
+        const subscriptions = this.listSubscriptions({ includeSecrets: true });
+        const remaining = subscriptions.filter(subscription => subscription.id !== id);
+        if (remaining.length === subscriptions.length) return false;
+        this.saveSubscriptions(remaining);
+        return true;
+    }
+
+    saveSubscriptions(subscriptions) {
+        const tmpFile = `${this.subscriptionsFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({ subscriptions }, null, 2));
+        fs.renameSync(tmpFile, this.subscriptionsFile);
+    }
+
+    // ----- Events and deliveries -----
+
+    /**
+     * 📣 EMIT AN EVENT to every matching subscription, then retry earlier deliveries that are due
+     * @param {Object} options - subscriptionIds: only these subscriptions (webhook.test)
+     * @returns {Promise<{ event: Object, deliveries: Object[] }>} deliveries as they stand after this emit
+     */
+    async emit(type, data, { subscriptionIds = null } = {}) {
+        if (!WEBHOOK_EVENTS[type]) {
+            throw new Error(`Unknown webhook event "${type}"`);
+        }
+
+        const event = { id: randomId('evt', 12), type, createdAt: new Date().toISOString(), data };
+        const subscriptions = this.listSubscriptions({ includeSecrets: true })
+            .filter(subscription => subscription.active && (subscriptionIds
+                ? subscriptionIds.includes(subscription.id)
+                : subscription.events.includes('*') || subscription.events.includes(type)));
+
+        const deliveries = subscriptions.map(subscription => {
+            const delivery = {
+                id: randomId('dlv', 12),
+                subscriptionId: subscription.id,
+                url: subscription.url,
+                event,
+                status: DELIVERY_STATUS.PENDING,
+                attempts: 0,
+                nextAttemptAt: event.createdAt,
+                lastError: null,
+                lastStatus: null,
+                history: [],
+                createdAt: event.createdAt,
+                deliveredAt: null
+            };
+            this.saveDelivery(delivery);
+            return delivery;
+        });
+
+        await Promise.all(deliveries.map(delivery => this.attempt(delivery)));
+        if (subscriptions.length > 0) await this.deliverDue();
+        // deliverDue may have retried (or dead-lettered) them since - report what is on disk now
+        return { event, deliveries: deliveries.map(delivery => this.getDelivery(delivery.id) || delivery) };
+    }
+
+    /**
+     * 🔁 DELIVER EVERYTHING DUE - pending deliveries whose backoff has passed; prunes old delivered ones
+     * @returns {Promise<{ delivered: number, failed: number, dead: number }>}
+     */
+    async deliverDue({ now = new Date().toISOString() } = {}) {
+        const due = this.listDeliveries({ status: DELIVERY_STATUS.PENDING })
+            .filter(delivery => delivery.nextAttemptAt <= now && !this.inFlight.has(delivery.id));
+
+        const counts = { delivered: 0, failed: 0, dead: 0 };
+        for (const delivery of due) {
+            const result = await this.attempt(delivery);
+            if (result.status === DELIVERY_STATUS.DELIVERED) counts.delivered++;
+            else if (result.status === DELIVERY_STATUS.DEAD) counts.dead++;
+            else counts.failed++;
+        }
+
+        this.prune(now);
+        return counts;
+    }
+
+    /**
+     * 📤 ONE ATTEMPT - sign, POST, and record the outcome (retry schedule or dead letter)
+     */
+    async attempt(delivery) {
+        if (this.inFlight.has(delivery.id)) return delivery;
+        this.inFlight.add(delivery.id);
+
+        const started = Date.now();
+        const attemptedAt = new Date(started).toISOString();
+        const subscription = this.getSubscription(delivery.subscriptionId);
+        let outcome;
+
+        try {
+            const hostReason = subscription && !subscription.allowPrivateHosts && privateHostReason(new URL(subscription.url).hostname);
+            if (!subscription || !subscription.active) {
+                outcome = { ok: false, status: null, error: 'Subscription removed', final: true };
+            } else if (hostReason) {
+                outcome = { ok: false, status: null, error: `Refused: ${hostReason} host`, final: true };
+            } else {
+                const body = JSON.stringify(delivery.event);
+                const fetch = require('node-fetch');
+                const response = await fetch(subscription.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'Adrata-Webhooks/1.0',
+                        'X-Adrata-Event': delivery.event.type,
+                        'X-Adrata-Delivery': delivery.id,
+                        [WEBHOOK_SIGNATURE.header]: signPayload(subscription.secret, body)
+                    },
+                    body,
+                    agent: subscription.allowPrivateHosts ? undefined : parsedUrl => PUBLIC_AGENTS[parsedUrl.protocol],
+                    signal: AbortSignal.timeout(this.config.timeoutMs)
+                });
+                const text = await response.text().catch(() => '');
+                outcome = {
+                    ok: response.ok,
+                    status: response.status,
+                    error: response.ok ? null : `HTTP ${response.status}${text ? `: ${text.slice(0, MAX_RESPONSE_EXCERPT)}` : ''}`
+                };
+            }
+        } catch (error) {
+            const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+            outcome = { ok: false, status: null, error: timedOut ? `Timed out after ${this.config.timeoutMs}ms` : error.message };
+        }
+
+        try {
+            delivery.attempts++;
+            delivery.lastStatus = outcome.status;
+            delivery.lastError = outcome.error;
+            delivery.history = [...delivery.history, { at: attemptedAt, status: outcome.status, error: outcome.error, durationMs: Date.now() - started }];
+
+            if (outcome.ok) {
+                delivery.status = DELIVERY_STATUS.DELIVERED;
+                delivery.deliveredAt = new Date().toISOString();
+                delivery.nextAttemptAt = null;
+            } else if (outcome.final || delivery.attempts >= this.config.maxAttempts) {
+                delivery.status = DELIVERY_STATUS.DEAD;
+                delivery.nextAttemptAt = null;
+                console.log(`   ☠️ Webhook ${delivery.event.type} → ${delivery.url} dead after ${delivery.attempts} attempts: ${outcome.error}`);
+            } else {
+                delivery.status = DELIVERY_STATUS.PENDING;
+                delivery.nextAttemptAt = new Date(Date.now() + this.backoffSeconds(delivery.attempts) * 1000).toISOString();
+                console.log(`   ⚠️ Webhook ${delivery.event.type} → ${delivery.url} failed (${outcome.error}) - retry ${delivery.attempts + 1}/${this.config.maxAttempts} at ${delivery.nextAttemptAt}`);
+            }
+
+            this.saveDelivery(delivery);
+            return delivery;
+        } finally {
+            this.inFlight.delete(delivery.id);
+        }
+    }
+
+    /**
+     * Seconds before the retry after `attempts` failed attempts
+     */
+    backoffSeconds(attempts) {
+        const { baseDelaySeconds, factor, maxDelaySeconds } = this.config;
+        return Math.min(maxDelaySeconds, baseDelaySeconds * Math.pow(factor, Math.max(0, attempts - 1)));
+    }
+
+    /**
+     * ♻️ REPLAY deliveries - ids, or every dead letter with { dead: true }; attempts start over
+     * @returns {Promise<Object[]>} the deliveries after their new attempt
+     */
+    async replay({ ids = [], dead = false } = {}) {
+        const deliveries = dead
+            ? this.listDeliveries({ status: DELIVERY_STATUS.DEAD })
+            : ids.map(id => {
+                const delivery = this.getDelivery(id);
+                if (!delivery) throw new Error(`Delivery not found: ${id}`);
+                return delivery;
+            });
+
+        const replayed = [];
+        for (const delivery of deliveries) {
+            delivery.status = DELIVERY_STATUS.PENDING;
+            delivery.attempts = 0;
+            delivery.nextAttemptAt = new Date().toISOString();
+            delivery.replayedAt = delivery.nextAttemptAt;
+            replayed.push(await this.attempt(delivery));
+        }
+        return replayed;
+    }
+
+    /**
+     * Deliveries, newest first - optionally one status (DELIVERY_STATUS.DEAD is the dead-letter list)
+     */
+    listDeliveries({ status = null } = {}) {
+        return fs.readdirSync(this.deliveriesDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => this.getDelivery(path.basename(file, '.json')))
+            .filter(delivery => delivery && (!status || delivery.status === status))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    getDelivery(id) {
+        if (!/^dlv_[a-f0-9]{24}$/.test(String(id))) return null;
+        const file = path.join(this.deliveriesDir, `${id}.json`);
+        if (!fs.existsSync(file)) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.log(`   ⚠️ Webhook delivery read error (${id}): ${error.message}`);
+            return null;
+        }
+    }
+
+    saveDelivery(delivery) {
+        const file = path.join(this.deliveriesDir, `${delivery.id}.json`);
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(delivery, null, 2));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    /**
+     * Drop delivered deliveries older than retainDays - dead letters stay until replayed
+     */
+    prune(now = new Date().toISOString()) {
+        const cutoff = new Date(new Date(now).getTime() - this.config.retainDays * 24 * 60 * 60 * 1000).toISOString();
+        this.listDeliveries({ status: DELIVERY_STATUS.DELIVERED })
+            .filter(delivery => delivery.deliveredAt < cutoff)
+            .forEach(delivery => fs.unlinkSync(path.join(this.deliveriesDir, `${delivery.id}.json`)));
+    }
+}
+
+let sharedDispatcher = null;
+
+function getWebhookDispatcher() {
+    if (!sharedDispatcher) sharedDispatcher = new WebhookDispatcher();
+    return sharedDispatcher;
+}
+
+/**
+ * 📣 EMIT WITHOUT FAILING THE CALLER - pipelines and jobs carry on when webhooks misbehave
+ */
+async function emitWebhook(type, data) {
+    try {
+        return await getWebhookDispatcher().emit(type, data);
+    } catch (error) {
+        console.log(`   ⚠️ Webhook ${type} not emitted: ${error.message}`);
+        return null;
+    }
+}
+
+module.exports = {
+    WebhookDispatcher,
+    getWebhookDispatcher,
+    emitWebhook,
+    signPayload,
+    verifySignature,
+    createWebhookReceiver,
+    DELIVERY_STATUS
+};
@@ -23,7 +23,7 @@ require('dotenv').config({ path: '.env' });
  */
 
 const { PrismaClient } = require('@prisma/client');
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
 const fs = require('fs');
 const path = require('path');
 
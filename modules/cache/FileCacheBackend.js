@@ -0,0 +1,105 @@
+/**
+ * 📁 FILE CACHE BACKEND
+ *
+ * One JSON file per cache key in CACHE_DIR (the original DataCache storage format)
+ * Entries written before per-entry TTLs existed have no expiresAt - DataCache
+ * falls back to CACHE_TTL_DAYS for those.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FileCacheBackend {
+    constructor(config = {}) {
+        this.name = 'file';
+        this.cacheDir = config.CACHE_DIR;
+        this.initializeCache();
+    }
+
+    /**
+     * Initialize cache directory
+     */
+    initializeCache() {
+        if (!fs.existsSync(this.cacheDir)) {
+            fs.mkdirSync(this.cacheDir, { recursive: true });
+            console.log(`   📁 Cache directory created: ${this.cacheDir}`);
+        }
+    }
+
+    filePath(key) {
+        return path.join(this.cacheDir, `${key}.json`);
+    }
+
+    async get(key) {
+        const cacheFile = this.filePath(key);
+        if (!fs.existsSync(cacheFile)) return null;
+        return JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    }
+
+    async getMany(keys) {
+        return Promise.all(keys.map(key => this.get(key).catch(() => null)));
+    }
+
+    async set(key, entry) {
+        fs.writeFileSync(this.filePath(key), JSON.stringify(entry, null, 2));
+    }
+
+    async setMany(items) {
+        for (const { key, entry } of items) {
+            await this.set(key, entry);
+        }
+    }
+
+    async delete(key) {
+        const cacheFile = this.filePath(key);
+        if (!fs.existsSync(cacheFile)) return false;
+        fs.unlinkSync(cacheFile);
+        return true;
+    }
+
+    /**
+     * Remove entries past their expiry (corrupted files are removed too)
+     */
+    async clearExpired(isExpired) {
+        return this.deleteWhere(isExpired);
+    }
+
+    /**
+     * Remove every entry the predicate matches (unreadable files are passed as null)
+     */
+    async deleteWhere(predicate) {
+        if (!fs.existsSync(this.cacheDir)) return 0;
+
+        let deletedCount = 0;
+        for (const file of fs.readdirSync(this.cacheDir)) {
+            if (!file.endsWith('.json')) continue;
+
+            const filePath = path.join(this.cacheDir, file);
+            let cached = null;
+            try {
+                cached = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (error) {
+                // Corrupted cache file
+            }
+
+            if (predicate(cached)) {
+                fs.unlinkSync(filePath);
+                deletedCount++;
+            }
+        }
+
+        return deletedCount;
+    }
+
+    async size() {
+        if (!fs.existsSync(this.cacheDir)) return { entries: 0, bytes: 0 };
+
+        const files = fs.readdirSync(this.cacheDir).filter(file => file.endsWith('.json'));
+        const bytes = files.reduce((total, file) => total + fs.statSync(path.join(this.cacheDir, file)).size, 0);
+        return { entries: files.length, bytes };
+    }
+
+    async close() {}
+}
+
+module.exports = { FileCacheBackend };
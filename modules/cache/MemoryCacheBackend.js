@@ -0,0 +1,64 @@
+/**
+ * 🧠 MEMORY CACHE BACKEND
+ *
+ * In-process Map storage - nothing survives the process. Used when file caching is
+ * disabled and as a local stand-in when exercising DataCache without any storage.
+ */
+
+class MemoryCacheBackend {
+    constructor() {
+        this.name = 'memory';
+        this.store = new Map();
+    }
+
+    async get(key) {
+        return this.store.get(key) || null;
+    }
+
+    async getMany(keys) {
+        return keys.map(key => this.store.get(key) || null);
+    }
+
+    async set(key, entry) {
+        this.store.set(key, entry);
+    }
+
+    async setMany(items) {
+        for (const { key, entry } of items) {
+            this.store.set(key, entry);
+        }
+    }
+
+    async delete(key) {
+        return this.store.delete(key);
+    }
+
+    async clearExpired(isExpired) {
+        return this.deleteWhere(isExpired);
+    }
+
+    async deleteWhere(predicate) {
+        let deletedCount = 0;
+        for (const [key, entry] of this.store) {
+            if (predicate(entry)) {
+                this.store.delete(key);
+                deletedCount++;
+            }
+        }
+        return deletedCount;
+    }
+
+    async size() {
+        let bytes = 0;
+        for (const entry of this.store.values()) {
+            bytes += Buffer.byteLength(JSON.stringify(entry));
+        }
+        return { entries: this.store.size, bytes };
+    }
+
+    async close() {
+        this.store.clear();
+    }
+}
+
+module.exports = { MemoryCacheBackend };
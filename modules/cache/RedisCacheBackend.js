@@ -0,0 +1,235 @@
+/**
+ * 🔴 REDIS CACHE BACKEND
+ *
+ * Speaks the Redis protocol (RESP2) directly over a socket - works against Redis,
+ * Valkey, Upstash/KeyDB style servers, and the in-process RedisStandIn for local runs.
+ * Expiry is delegated to the server (SET ... PX), so clearExpired is a no-op.
+ * A command without a reply within REDIS_TIMEOUT_MS drops the connection - replies
+ * are matched by order, so the stream cannot be trusted after one goes missing - and
+ * every pending command rejects; the next command reconnects.
+ *
+ * Config: REDIS_URL (redis://[:password@]host:port[/db]), REDIS_PREFIX, REDIS_TIMEOUT_MS (5000)
+ */
+
+const net = require('net');
+const { encodeCommand, parseReply, RespError } = require('./RespProtocol');
+
+const SCAN_BATCH = 1000;
+
+class RedisCacheBackend {
+    constructor(config = {}) {
+        this.name = 'redis';
+        this.url = new URL(config.REDIS_URL || process.env.REDIS_URL || 'redis://127.0.0.1:6379');
+        this.prefix = config.REDIS_PREFIX || 'adrata:cache:';
+        this.timeoutMs = Number(config.REDIS_TIMEOUT_MS || process.env.REDIS_TIMEOUT_MS) || 5000;
+
+        this.socket = null;
+        this.connecting = null;
+        this.pending = [];
+        this.buffer = Buffer.alloc(0);
+    }
+
+    /**
+     * Connect lazily on first command - concurrent callers share one handshake
+     */
+    connect() {
+        if (!this.connecting) {
+            this.connecting = this.openConnection().catch(error => {
+                this.connecting = null;
+                throw error;
+            });
+        }
+        return this.connecting;
+    }
+
+    /**
+     * Open the socket, then AUTH / SELECT from the URL
+     */
+    async openConnection() {
+        await new Promise((resolve, reject) => {
+            const socket = net.createConnection({
+                host: this.url.hostname || '127.0.0.1',
+                port: Number(this.url.port) || 6379
+            });
+
+            const onError = (error) => reject(new Error(`Redis connection failed: ${error.message}`));
+
+            socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('Redis connection timed out')));
+            socket.once('error', onError);
+            socket.once('connect', () => {
+                socket.removeListener('error', onError);
+                socket.setTimeout(0);
+                // Don't hold the process open for an idle cache connection
+                socket.unref();
+                socket.on('data', (chunk) => this.onData(chunk));
+                socket.on('error', (error) => this.failPending(error));
+                socket.on('close', () => {
+                    // Already replaced after a command timeout
+                    if (this.socket !== socket) return;
+                    this.socket = null;
+                    this.connecting = null;
+                    this.buffer = Buffer.alloc(0);
+                    this.failPending(new Error('Redis connection closed'));
+                });
+                this.socket = socket;
+                resolve();
+            });
+        });
+
+        const password = decodeURIComponent(this.url.password || '');
+        if (password) {
+            const username = decodeURIComponent(this.url.username || '');
+            await this.send(username ? ['AUTH', username, password] : ['AUTH', password]);
+        }
+
+        const db = this.url.pathname.replace('/', '');
+        if (db) {
+            await this.send(['SELECT', db]);
+        }
+    }
+
+    onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        let parsed;
+        while (this.pending.length > 0 && (parsed = parseReply(this.buffer))) {
+            this.buffer = this.buffer.subarray(parsed.offset);
+            const { resolve, reject, timer } = this.pending.shift();
+            clearTimeout(timer);
+            if (parsed.value instanceof RespError) {
+                reject(parsed.value);
+            } else {
+                resolve(parsed.value);
+            }
+        }
+    }
+
+    failPending(error) {
+        const pending = this.pending;
+        this.pending = [];
+        pending.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    }
+
+    /**
+     * A reply is overdue - reject everything in flight and drop the connection
+     */
+    onCommandTimeout(args) {
+        const socket = this.socket;
+        this.failPending(new Error(`Redis command ${args[0]} timed out after ${this.timeoutMs}ms`));
+        this.socket = null;
+        this.connecting = null;
+        this.buffer = Buffer.alloc(0);
+        if (socket) socket.destroy();
+    }
+
+    /**
+     * Send one command - replies arrive in order, so commands pipeline naturally
+     */
+    async command(...args) {
+        await this.connect();
+        return this.send(args);
+    }
+
+    send(args) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => this.onCommandTimeout(args), this.timeoutMs);
+            this.pending.push({ resolve, reject, timer });
+            this.socket.write(encodeCommand(args));
+        });
+    }
+
+    redisKey(key) {
+        return `${this.prefix}${key}`;
+    }
+
+    async get(key) {
+        const value = await this.command('GET', this.redisKey(key));
+        return value ? JSON.parse(value) : null;
+    }
+
+    async getMany(keys) {
+        if (keys.length === 0) return [];
+        const values = await this.command('MGET', ...keys.map(key => this.redisKey(key)));
+        return values.map(value => value ? JSON.parse(value) : null);
+    }
+
+    async set(key, entry, ttlMs = null) {
+        const args = ['SET', this.redisKey(key), JSON.stringify(entry)];
+        if (ttlMs && ttlMs > 0) {
+            args.push('PX', Math.ceil(ttlMs));
+        }
+        await this.command(...args);
+    }
+
+    async setMany(items) {
+        // Pipelined - all SETs are written before the first reply is read
+        await Promise.all(items.map(({ key, entry, ttlMs }) => this.set(key, entry, ttlMs)));
+    }
+
+    async delete(key) {
+        return (await this.command('DEL', this.redisKey(key))) > 0;
+    }
+
+    async clearExpired() {
+        return 0;
+    }
+
+    /**
+     * Remove every entry the predicate matches (SCAN + MGET, then DEL)
+     */
+    async deleteWhere(predicate) {
+        let cursor = '0';
+        let deletedCount = 0;
+
+        do {
+            const [nextCursor, keys] = await this.command('SCAN', cursor, 'MATCH', `${this.prefix}*`, 'COUNT', SCAN_BATCH);
+            cursor = nextCursor;
+            if (keys.length === 0) continue;
+
+            const values = await this.command('MGET', ...keys);
+            const matched = keys.filter((key, i) => {
+                try {
+                    return values[i] !== null && predicate(JSON.parse(values[i]));
+                } catch (error) {
+                    return predicate(null);
+                }
+            });
+
+            if (matched.length > 0) {
+                deletedCount += await this.command('DEL', ...matched);
+            }
+        } while (cursor !== '0');
+
+        return deletedCount;
+    }
+
+    async size() {
+        let cursor = '0';
+        let entries = 0;
+        let bytes = 0;
+
+        do {
+            const [nextCursor, keys] = await this.command('SCAN', cursor, 'MATCH', `${this.prefix}*`, 'COUNT', SCAN_BATCH);
+            cursor = nextCursor;
+            entries += keys.length;
+            const lengths = await Promise.all(keys.map(key => this.command('STRLEN', key)));
+            bytes += lengths.reduce((total, length) => total + length, 0);
+        } while (cursor !== '0');
+
+        return { entries, bytes };
+    }
+
+    async close() {
+        if (!this.socket) return;
+        const socket = this.socket;
+        await this.send(['QUIT']).catch(() => null);
+        socket.end();
+        this.socket = null;
+        this.connecting = null;
+    }
+}
+
+module.exports = { RedisCacheBackend };
@@ -0,0 +1,126 @@
+/**
+ * 🧪 REDIS STAND-IN
+ *
+ * Tiny in-process server speaking the Redis protocol, for running the Redis cache
+ * backend locally without a Redis install. Supports only the commands the cache uses:
+ * PING, AUTH, SELECT, GET, SET (EX/PX), MGET, DEL, STRLEN, SCAN, DBSIZE, FLUSHDB, QUIT
+ *
+ *   const standIn = new RedisStandIn();
+ *   const url = await standIn.start();          // redis://127.0.0.1:<random port>
+ *   new DataCache({ CACHE_BACKEND: 'redis', REDIS_URL: url });
+ *   await standIn.stop();
+ */
+
+const net = require('net');
+const { encodeReply, parseReply, RespError } = require('./RespProtocol');
+
+const OK = { status: 'OK' };
+
+class RedisStandIn {
+    constructor() {
+        this.store = new Map(); // key → { value, expiresAt }
+        this.server = null;
+        this.sockets = new Set();
+    }
+
+    async start(port = 0) {
+        this.server = net.createServer(socket => this.handleConnection(socket));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', resolve);
+        });
+        return `redis://127.0.0.1:${this.server.address().port}`;
+    }
+
+    async stop() {
+        if (!this.server) return;
+        this.sockets.forEach(socket => socket.destroy());
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+
+    handleConnection(socket) {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => socket.destroy());
+
+        let buffer = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            let parsed;
+            while ((parsed = parseReply(buffer))) {
+                buffer = buffer.subarray(parsed.offset);
+                const [name, ...args] = parsed.value || [];
+                const reply = this.execute(String(name || '').toUpperCase(), args);
+                socket.write(encodeReply(reply));
+                if (String(name).toUpperCase() === 'QUIT') {
+                    socket.end();
+                    return;
+                }
+            }
+        });
+    }
+
+    /**
+     * Live value for a key (expired keys are removed on access)
+     */
+    lookup(key) {
+        const item = this.store.get(key);
+        if (!item) return null;
+        if (item.expiresAt && item.expiresAt <= Date.now()) {
+            this.store.delete(key);
+            return null;
+        }
+        return item.value;
+    }
+
+    execute(name, args) {
+        switch (name) {
+            case 'PING':
+                return { status: 'PONG' };
+            case 'AUTH':
+            case 'SELECT':
+            case 'QUIT':
+                return OK;
+            case 'GET':
+                return this.lookup(args[0]);
+            case 'MGET':
+                return args.map(key => this.lookup(key));
+            case 'SET': {
+                const [key, value, ...options] = args;
+                let expiresAt = null;
+                for (let i = 0; i < options.length; i += 2) {
+                    const option = String(options[i]).toUpperCase();
+                    if (option === 'PX') expiresAt = Date.now() + Number(options[i + 1]);
+                    if (option === 'EX') expiresAt = Date.now() + Number(options[i + 1]) * 1000;
+                }
+                this.store.set(key, { value, expiresAt });
+                return OK;
+            }
+            case 'DEL':
+                return args.filter(key => this.lookup(key) !== null && this.store.delete(key)).length;
+            case 'STRLEN': {
+                const value = this.lookup(args[0]);
+                return value === null ? 0 : Buffer.byteLength(value);
+            }
+            case 'SCAN': {
+                // Single pass - the whole keyspace is returned with cursor 0
+                const matchIndex = args.findIndex(arg => String(arg).toUpperCase() === 'MATCH');
+                const pattern = matchIndex >= 0 ? args[matchIndex + 1] : '*';
+                const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+                const keys = [...this.store.keys()].filter(key => this.lookup(key) !== null && regex.test(key));
+                return ['0', keys];
+            }
+            case 'DBSIZE':
+                return [...this.store.keys()].filter(key => this.lookup(key) !== null).length;
+            case 'FLUSHDB':
+                this.store.clear();
+                return OK;
+            default:
+                return new RespError(`ERR unknown command '${name}'`);
+        }
+    }
+}
+
+module.exports = { RedisStandIn };
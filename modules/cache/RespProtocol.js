@@ -0,0 +1,90 @@
+/**
+ * 🔌 RESP PROTOCOL HELPERS
+ *
+ * Minimal Redis Serialization Protocol (RESP2) encoding and parsing shared by the
+ * Redis cache backend (client side) and the in-process RedisStandIn (server side)
+ */
+
+const CRLF = '\r\n';
+
+class RespError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RespError';
+    }
+}
+
+/**
+ * Encode a command as an array of bulk strings
+ */
+function encodeCommand(args) {
+    let out = `*${args.length}${CRLF}`;
+    for (const arg of args) {
+        const value = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+        out += `$${value.length}${CRLF}${value.toString()}${CRLF}`;
+    }
+    return out;
+}
+
+/**
+ * Encode a reply value (server side)
+ * strings → bulk strings, { ok } / { status } → simple strings, RespError → errors
+ */
+function encodeReply(value) {
+    if (value === null || value === undefined) return `$-1${CRLF}`;
+    if (value instanceof RespError) return `-${value.message}${CRLF}`;
+    if (typeof value === 'number') return `:${value}${CRLF}`;
+    if (typeof value === 'object' && value.status) return `+${value.status}${CRLF}`;
+    if (Array.isArray(value)) return `*${value.length}${CRLF}${value.map(encodeReply).join('')}`;
+
+    const text = String(value);
+    return `$${Buffer.byteLength(text)}${CRLF}${text}${CRLF}`;
+}
+
+/**
+ * Parse one RESP value from buffer at offset
+ * Returns { value, offset } or null when the buffer does not hold a complete value yet
+ */
+function parseReply(buffer, offset = 0) {
+    if (offset >= buffer.length) return null;
+
+    const lineEnd = buffer.indexOf(CRLF, offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new RespError(line), offset: next };
+        case ':':
+            return { value: Number(line), offset: next };
+        case '$': {
+            const length = Number(line);
+            if (length === -1) return { value: null, offset: next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = Number(line);
+            if (count === -1) return { value: null, offset: next };
+
+            const items = [];
+            let cursor = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, cursor);
+                if (!item) return null;
+                items.push(item.value);
+                cursor = item.offset;
+            }
+            return { value: items, offset: cursor };
+        }
+        default:
+            throw new RespError(`Unexpected RESP type byte: ${type}`);
+    }
+}
+
+module.exports = { encodeCommand, encodeReply, parseReply, RespError };
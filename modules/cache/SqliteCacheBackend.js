@@ -0,0 +1,167 @@
+/**
+ * 🗄️ SQLITE CACHE BACKEND
+ *
+ * Single-file cache database (CACHE_SQLITE_PATH, default CACHE_DIR/cache.sqlite)
+ * Works with node:sqlite (Node 22.5+) or better-sqlite3 - both expose the same
+ * exec / prepare().run / get / all surface. Use CACHE_SQLITE_PATH ':memory:' for an
+ * in-process stand-in, or pass an open database as CACHE_SQLITE_DATABASE.
+ */
+
+const path = require('path');
+
+const SQLITE_MAX_PARAMS = 500;
+
+class SqliteCacheBackend {
+    constructor(config = {}) {
+        this.name = 'sqlite';
+        this.db = config.CACHE_SQLITE_DATABASE || this.openDatabase(
+            config.CACHE_SQLITE_PATH || path.join(config.CACHE_DIR, 'cache.sqlite')
+        );
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS cache_entries (
+                key TEXT PRIMARY KEY,
+                service TEXT,
+                identifier TEXT,
+                timestamp INTEGER,
+                expires_at INTEGER,
+                entry TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_cache_entries_expires ON cache_entries (expires_at);
+        `);
+
+        this.statements = {
+            get: this.db.prepare('SELECT entry FROM cache_entries WHERE key = ?'),
+            set: this.db.prepare(`
+                INSERT INTO cache_entries (key, service, identifier, timestamp, expires_at, entry)
+                VALUES (?, ?, ?, ?, ?, ?)
+                ON CONFLICT(key) DO UPDATE SET
+                    service = excluded.service,
+                    identifier = excluded.identifier,
+                    timestamp = excluded.timestamp,
+                    expires_at = excluded.expires_at,
+                    entry = excluded.entry
+            `),
+            delete: this.db.prepare('DELETE FROM cache_entries WHERE key = ?'),
+            clearExpired: this.db.prepare('DELETE FROM cache_entries WHERE expires_at IS NOT NULL AND expires_at <= ?'),
+            size: this.db.prepare('SELECT COUNT(*) AS entries, COALESCE(SUM(LENGTH(entry)), 0) AS bytes FROM cache_entries')
+        };
+    }
+
+    /**
+     * Open a database with whichever SQLite driver is available
+     */
+    openDatabase(file) {
+        try {
+            const { DatabaseSync } = require('node:sqlite');
+            return new DatabaseSync(file);
+        } catch (error) {
+            // node:sqlite needs Node 22.5+ - try better-sqlite3
+        }
+
+        try {
+            const Database = require('better-sqlite3');
+            return new Database(file);
+        } catch (error) {
+            throw new Error('SQLite cache backend needs node:sqlite (Node 22.5+) or the better-sqlite3 package');
+        }
+    }
+
+    async get(key) {
+        const row = this.statements.get.get(key);
+        return row ? JSON.parse(row.entry) : null;
+    }
+
+    async getMany(keys) {
+        const found = new Map();
+
+        for (let i = 0; i < keys.length; i += SQLITE_MAX_PARAMS) {
+            const chunk = keys.slice(i, i + SQLITE_MAX_PARAMS);
+            const placeholders = chunk.map(() => '?').join(', ');
+            const rows = this.db.prepare(`SELECT key, entry FROM cache_entries WHERE key IN (${placeholders})`).all(...chunk);
+            rows.forEach(row => found.set(row.key, JSON.parse(row.entry)));
+        }
+
+        return keys.map(key => found.get(key) || null);
+    }
+
+    /**
+     * Run fn as one transaction - fn must be synchronous, so no other call can write
+     * (or open a transaction of its own) before it commits. better-sqlite3 wraps this
+     * itself; node:sqlite has no transaction helper, so it gets BEGIN / COMMIT around fn
+     */
+    transaction(fn) {
+        if (typeof this.db.transaction === 'function') {
+            return this.db.transaction(fn)();
+        }
+
+        this.db.exec('BEGIN');
+        try {
+            const result = fn();
+            this.db.exec('COMMIT');
+            return result;
+        } catch (error) {
+            this.db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    writeEntry(key, entry) {
+        this.statements.set.run(
+            key,
+            entry.service ?? null,
+            entry.identifier != null ? String(entry.identifier) : null,
+            entry.timestamp ?? null,
+            entry.expiresAt ?? null,
+            JSON.stringify(entry)
+        );
+    }
+
+    async set(key, entry) {
+        this.writeEntry(key, entry);
+    }
+
+    async setMany(items) {
+        this.transaction(() => items.forEach(({ key, entry }) => this.writeEntry(key, entry)));
+    }
+
+    async delete(key) {
+        return this.statements.delete.run(key).changes > 0;
+    }
+
+    /**
+     * Expiry lives in its own column so SQLite clears it in one statement
+     */
+    async clearExpired(isExpired, now = Date.now()) {
+        return Number(this.statements.clearExpired.run(now).changes);
+    }
+
+    /**
+     * Remove every entry the predicate matches
+     */
+    async deleteWhere(predicate) {
+        const keys = this.db.prepare('SELECT key, entry FROM cache_entries').all()
+            .filter(row => {
+                try {
+                    return predicate(JSON.parse(row.entry));
+                } catch (error) {
+                    return predicate(null);
+                }
+            })
+            .map(row => row.key);
+
+        this.transaction(() => keys.forEach(key => this.statements.delete.run(key)));
+        return keys.length;
+    }
+
+    async size() {
+        const row = this.statements.size.get();
+        return { entries: Number(row.entries), bytes: Number(row.bytes) };
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
+
+module.exports = { SqliteCacheBackend };
@@ -0,0 +1,303 @@
+/**
+ * 🗺️ CRM MAPPING
+ *
+ * Turns pipeline results into CRM-ready accounts, contacts and association records:
+ * 1. normalizeResult() - a CorePipeline result (CFO, CRO and every target persona slot) or a
+ *    Powerhouse/Advanced result (CEO and finance leader, contact details from
+ *    executiveContactIntelligence) becomes one normalized account and its contacts
+ * 2. External IDs - the account's registrable domain, the contact's "<domain>:<name key>" - so a
+ *    re-run updates the same CRM records, and one person holding two persona seats is one contact
+ * 3. mapRecord() - config/crm-mappings.js turns a normalized record into CRM properties
+ *
+ * buildCrmExport() is the input of CrmUpsertClient; writeCrmImportFiles() writes the same export as
+ * CSV files for a manual HubSpot / Salesforce import.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createObjectCsvWriter } = require('csv-writer');
+const { CRM_MAPPINGS, CRM_SYNC } = require('../../config/crm-mappings');
+const { resultPersonas } = require('../PersonaDetection');
+const { parseName, nameKey } = require('../PersonName');
+const { registrableDomain } = require('../DomainHistory');
+
+const TRANSFORMS = {
+    integer: value => {
+        const number = parseInt(String(value).replace(/[^\d]/g, ''), 10);
+        return Number.isFinite(number) ? number : null;
+    },
+    // 0.85 and 85 are both 85
+    percent: value => {
+        const number = Number(value);
+        if (!Number.isFinite(number)) return null;
+        return Math.round(number <= 1 ? number * 100 : number);
+    },
+    date: value => {
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+    },
+    list: value => (Array.isArray(value) ? value.join(';') : value)
+};
+
+const POWERHOUSE_EXECUTIVES = [
+    { key: 'ceo', persona: 'ceo', label: 'CEO', contactRole: 'CEO' },
+    { key: 'financeLeader', persona: 'cfo', label: 'CFO', contactRole: 'CFO' }
+];
+
+function getCrmMapping(crm) {
+    const mapping = CRM_MAPPINGS[crm];
+    if (!mapping) {
+        throw new Error(`Unknown CRM "${crm}" (expected ${Object.keys(CRM_MAPPINGS).join(', ')})`);
+    }
+    return mapping;
+}
+
+/**
+ * A value the pipeline did not find - '', placeholders and empty lists
+ */
+function isEmpty(value) {
+    if (value === null || value === undefined) return true;
+    if (Array.isArray(value)) return value.length === 0;
+    const text = String(value).trim();
+    return !text || ['not available', 'n/a', 'unknown', 'none'].includes(text.toLowerCase());
+}
+
+function text(value) {
+    return isEmpty(value) ? null : String(value).trim();
+}
+
+/**
+ * Normalized account for a result - null when it has no usable website
+ */
+function normalizeAccount(result, pipeline) {
+    const domain = registrableDomain(result.corporateStructure?.finalDomain || result.website || '');
+    if (!domain) return null;
+
+    const details = result.companyDetails || result.companyInfo || {};
+    const parent = result.corporateStructure?.parentCompany || details.parentCompany;
+    return {
+        externalId: domain,
+        domain,
+        website: text(result.website),
+        name: text(result.companyName) || domain,
+        industry: text(details.industry || result.industryIntelligence?.industryClassification?.primarySector),
+        employeeCount: text(details.employeeCount),
+        headquarters: text(typeof details.headquarters === 'object' ? details.headquarters?.city : details.headquarters),
+        isPublic: Boolean(details.isPublic),
+        ticker: text(details.ticker),
+        parentCompany: text(typeof parent === 'object' ? parent?.name : parent),
+        isAcquired: Boolean(result.corporateStructure?.isAcquired),
+        accountOwner: text(result.accountOwner),
+        pipeline,
+        confidence: result.overallConfidence ?? null,
+        researchedAt: result.timestamp || null
+    };
+}
+
+/**
+ * Normalized contact for one executive seat
+ */
+function normalizeContact(account, executive, persona, researchedAt) {
+    const name = text(executive?.name);
+    if (!name) return null;
+
+    const parsed = parseName(name);
+    return {
+        externalId: `${account.externalId}:${nameKey(name).replace(/\s+/g, '-')}`,
+        accountExternalId: account.externalId,
+        name,
+        firstName: parsed.preferredFirst || parsed.first || null,
+        // Both CRMs require a last name
+        lastName: parsed.last || parsed.first || name,
+        title: text(executive.title),
+        email: text(executive.email)?.toLowerCase() || null,
+        emailStatus: text(executive.emailDeliverability),
+        phone: text(executive.phone || executive.phoneNumbers?.[0]?.number),
+        linkedIn: text(executive.linkedIn || executive.linkedinUrl || executive.linkedin),
+        personas: [persona],
+        role: text(executive.role),
+        confidence: executive.confidence ?? null,
+        source: text(executive.source),
+        researchedAt
+    };
+}
+
+/**
+ * Executive seats of a result - [{ executive, persona }]
+ */
+function resultExecutives(result) {
+    if (result.ceo || result.financeLeader) {
+        const contacts = result.executiveContactIntelligence?.executiveContacts?.executives || [];
+        return POWERHOUSE_EXECUTIVES
+            .filter(({ key }) => result[key])
+            .map(({ key, persona, contactRole }) => {
+                const contact = contacts.find(candidate => candidate.role === contactRole) || {};
+                return {
+                    persona,
+                    executive: {
+                        ...result[key],
+                        email: result[key].email || contact.email,
+                        phone: result[key].phone || contact.phone,
+                        linkedIn: result[key].linkedIn || contact.linkedinUrl
+                    }
+                };
+            });
+    }
+
+    return resultPersonas(result)
+        .filter(persona => result[persona.id])
+        .map(persona => ({ persona: persona.id, executive: result[persona.id] }));
+}
+
+/**
+ * 🧭 NORMALIZE ONE RESULT into { account, contacts } - account null for unusable results
+ * @param {Object} result - pipeline result (core, advanced or powerhouse)
+ * @param {string} pipeline - pipeline name kept on the account
+ */
+function normalizeResult(result, pipeline = null) {
+    if (!result || typeof result !== 'object' || result.error) return { account: null, contacts: [] };
+
+    const tier = pipeline || (result.ceo || result.financeLeader ? 'powerhouse' : 'core');
+    const account = normalizeAccount(result, tier);
+    if (!account) return { account: null, contacts: [] };
+
+    const contacts = new Map();
+    resultExecutives(result).forEach(({ executive, persona }) => {
+        const contact = normalizeContact(account, executive, persona, account.researchedAt);
+        if (!contact) return;
+
+        // One person in two seats (CFO who also runs revenue) is one contact
+        const existing = contacts.get(contact.externalId);
+        if (existing) {
+            existing.personas.push(persona);
+            Object.keys(contact).forEach(field => {
+                if (isEmpty(existing[field])) existing[field] = contact[field];
+            });
+        } else {
+            contacts.set(contact.externalId, contact);
+        }
+    });
+
+    return { account, contacts: [...contacts.values()] };
+}
+
+/**
+ * 🔧 CRM PROPERTIES for a normalized record under one object mapping
+ * Empty values are left out unless CRM_SYNC.sendEmptyValues (then sent as null)
+ */
+function mapRecord(objectMapping, record, { sendEmptyValues = CRM_SYNC.sendEmptyValues } = {}) {
+    const properties = { [objectMapping.externalIdProperty]: record.externalId };
+
+    Object.entries(objectMapping.properties).forEach(([property, source]) => {
+        const { field, transform } = typeof source === 'string' ? { field: source } : source;
+        if (transform && !TRANSFORMS[transform]) {
+            throw new Error(`Unknown CRM transform "${transform}" for ${property}`);
+        }
+
+        const raw = record[field];
+        const value = isEmpty(raw) ? null : (transform ? TRANSFORMS[transform](raw) : raw);
+        if (value !== null && value !== undefined) {
+            properties[property] = value;
+        } else if (sendEmptyValues) {
+            properties[property] = null;
+        }
+    });
+
+    return properties;
+}
+
+/**
+ * 📦 BUILD A CRM EXPORT from pipeline results
+ * Accounts and contacts are merged by external ID (the same company in two runs is one account)
+ *
+ * @param {Object[]} results - pipeline results
+ * @param {Object} options - crm (hubspot | salesforce), pipeline, sendEmptyValues
+ * @returns {Object} { crm, accounts: [{ externalId, properties }], contacts: [{ externalId,
+ *   accountExternalId, properties }], associations: [{ contactExternalId, accountExternalId, personas }], skipped }
+ */
+function buildCrmExport(results, { crm, pipeline = null, sendEmptyValues = CRM_SYNC.sendEmptyValues } = {}) {
+    const mapping = getCrmMapping(crm);
+    const accounts = new Map();
+    const contacts = new Map();
+    let skipped = 0;
+
+    results.forEach(result => {
+        const { account, contacts: resultContacts } = normalizeResult(result, pipeline);
+        if (!account) {
+            skipped++;
+            return;
+        }
+        accounts.set(account.externalId, account);
+        resultContacts.forEach(contact => contacts.set(contact.externalId, contact));
+    });
+
+    return {
+        crm,
+        accounts: [...accounts.values()].map(account => ({
+            externalId: account.externalId,
+            properties: mapRecord(mapping.account, account, { sendEmptyValues })
+        })),
+        contacts: [...contacts.values()].map(contact => ({
+            externalId: contact.externalId,
+            accountExternalId: contact.accountExternalId,
+            properties: mapRecord(mapping.contact, contact, { sendEmptyValues })
+        })),
+        associations: [...contacts.values()].map(contact => ({
+            contactExternalId: contact.externalId,
+            accountExternalId: contact.accountExternalId,
+            personas: contact.personas
+        })),
+        skipped
+    };
+}
+
+/**
+ * 📝 WRITE IMPORT FILES - <crm>-accounts.csv, <crm>-contacts.csv (with the association column)
+ * and <crm>-associations.csv
+ * @returns {Promise<string[]>} files written
+ */
+async function writeCrmImportFiles(crmExport, outputDir) {
+    const mapping = getCrmMapping(crmExport.crm);
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    const header = (objectMapping, extra = []) => [
+        objectMapping.externalIdProperty,
+        ...Object.keys(objectMapping.properties),
+        ...extra
+    ].map(id => ({ id, title: id }));
+
+    const files = {
+        accounts: path.join(outputDir, `${crmExport.crm}-accounts.csv`),
+        contacts: path.join(outputDir, `${crmExport.crm}-contacts.csv`),
+        associations: path.join(outputDir, `${crmExport.crm}-associations.csv`)
+    };
+
+    await createObjectCsvWriter({ path: files.accounts, header: header(mapping.account) })
+        .writeRecords(crmExport.accounts.map(account => account.properties));
+    await createObjectCsvWriter({ path: files.contacts, header: header(mapping.contact, [mapping.association.importColumn]) })
+        .writeRecords(crmExport.contacts.map(contact => ({
+            ...contact.properties,
+            [mapping.association.importColumn]: contact.accountExternalId
+        })));
+    await createObjectCsvWriter({
+        path: files.associations,
+        header: [
+            { id: 'contactExternalId', title: mapping.contact.externalIdProperty },
+            { id: 'accountExternalId', title: mapping.account.externalIdProperty },
+            { id: 'personas', title: 'personas' }
+        ]
+    }).writeRecords(crmExport.associations.map(association => ({ ...association, personas: association.personas.join(';') })));
+
+    return Object.values(files);
+}
+
+module.exports = {
+    getCrmMapping,
+    normalizeResult,
+    mapRecord,
+    buildCrmExport,
+    writeCrmImportFiles,
+    TRANSFORMS
+};
@@ -0,0 +1,241 @@
+/**
+ * 🔄 CRM UPSERT CLIENT
+ *
+ * Pushes a CRM export (CrmMapping.buildCrmExport) to HubSpot or Salesforce:
+ * 1. Accounts, then contacts, upserted in batches by external ID - a re-run updates the same records
+ * 2. Association records link each contact to its account once both have CRM IDs
+ * 3. Change detection - a fingerprint of every record's mapped properties and its CRM ID is kept
+ *    per CRM and instance; records whose properties did not change since the last sync are not
+ *    sent again, and links already made are not repeated. `full` resends everything (records
+ *    deleted in the CRM, mapping changes that add properties).
+ *
+ * Failed records keep their old fingerprint, so the next sync retries them.
+ * State: CRM_STATE_DIR (outputs/crm, /tmp/crm on Vercel) - <crm>-<instance host>.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CRM_SYNC } = require('../../config/crm-mappings');
+const { getCrmMapping } = require('./CrmMapping');
+
+const CRM_ADAPTERS = {
+    hubspot: () => require('./HubSpotCrm').HubSpotCrm,
+    salesforce: () => require('./SalesforceCrm').SalesforceCrm
+};
+
+/**
+ * Adapter for a CRM - credentials and base URLs come from config or the environment
+ */
+function createCrmAdapter(crm, config = {}) {
+    getCrmMapping(crm);
+    const Adapter = CRM_ADAPTERS[crm]();
+    return new Adapter(config);
+}
+
+/**
+ * Fingerprint of a record's mapped properties - key order does not matter
+ */
+function fingerprint(properties) {
+    const sorted = Object.keys(properties).sort().map(key => [key, properties[key]]);
+    return crypto.createHash('sha1').update(JSON.stringify(sorted)).digest('hex');
+}
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+class CrmUpsertClient {
+    /**
+     * @param {Object} config - crm (hubspot | salesforce), adapter (defaults to createCrmAdapter),
+     *   CRM_STATE_DIR, batchSize, quiet (no progress logging), plus the adapter's credentials
+     *   (HUBSPOT_ACCESS_TOKEN, ...)
+     */
+    constructor(config = {}) {
+        this.log = config.quiet ? () => {} : console.log;
+
+        // Use /tmp for Vercel serverless compatibility
+        const defaultStateDir = process.env.VERCEL ? '/tmp/crm' : path.join(__dirname, '../../outputs/crm');
+
+        this.crm = config.crm;
+        this.mapping = getCrmMapping(this.crm);
+        this.adapter = config.adapter || createCrmAdapter(this.crm, config);
+        this.config = {
+            CRM_STATE_DIR: config.CRM_STATE_DIR || process.env.CRM_STATE_DIR || defaultStateDir,
+            batchSize: config.batchSize || CRM_SYNC.batchSize[this.crm] || 100,
+            ...config
+        };
+
+        const host = (() => {
+            try {
+                return new URL(this.adapter.baseUrl).host.replace(/[^a-z0-9.-]/gi, '-');
+            } catch (error) {
+                return 'default';
+            }
+        })();
+        this.stateFile = path.join(this.config.CRM_STATE_DIR, `${this.crm}-${host}.json`);
+        this.state = this.loadState();
+    }
+
+    loadState() {
+        const empty = { accounts: {}, contacts: {}, associations: {} };
+        if (!fs.existsSync(this.stateFile)) return empty;
+
+        try {
+            return { ...empty, ...JSON.parse(fs.readFileSync(this.stateFile, 'utf8')) };
+        } catch (error) {
+            this.log(`   ⚠️ CRM sync state unreadable (${error.message}) - every record will be sent`);
+            return empty;
+        }
+    }
+
+    saveState() {
+        if (!fs.existsSync(this.config.CRM_STATE_DIR)) {
+            fs.mkdirSync(this.config.CRM_STATE_DIR, { recursive: true });
+        }
+        const tmpFile = `${this.stateFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(this.state, null, 2));
+        fs.renameSync(tmpFile, this.stateFile);
+    }
+
+    /**
+     * 📋 PLAN - what a sync would send: changed records and missing links
+     * @returns {{ accounts: Object[], contacts: Object[], associations: Object[], unchanged: Object }}
+     */
+    plan(crmExport, { full = false } = {}) {
+        if (crmExport.crm !== this.crm) {
+            throw new Error(`Export was built for ${crmExport.crm}, client syncs ${this.crm}`);
+        }
+
+        const changed = (records, known) => records.filter(record => {
+            const previous = known[record.externalId];
+            return full || !previous?.crmId || previous.hash !== fingerprint(record.properties);
+        });
+        const accounts = changed(crmExport.accounts, this.state.accounts);
+        const contacts = changed(crmExport.contacts, this.state.contacts);
+
+        // Links whose ends are not both known yet are decided after the upserts
+        const associations = crmExport.associations.filter(association => {
+            const linked = this.state.associations[association.contactExternalId];
+            return full || !linked
+                || linked.accountExternalId !== association.accountExternalId
+                || linked.contactCrmId !== this.state.contacts[association.contactExternalId]?.crmId
+                || linked.accountCrmId !== this.state.accounts[association.accountExternalId]?.crmId;
+        });
+
+        return {
+            accounts,
+            contacts,
+            associations,
+            unchanged: {
+                accounts: crmExport.accounts.length - accounts.length,
+                contacts: crmExport.contacts.length - contacts.length,
+                associations: crmExport.associations.length - associations.length
+            }
+        };
+    }
+
+    /**
+     * 🚀 SYNC AN EXPORT - upsert changed accounts and contacts, then link contacts to accounts
+     * @param {Object} crmExport - from CrmMapping.buildCrmExport for this client's CRM
+     * @param {Object} options - dryRun (plan only), full (ignore change detection)
+     * @returns {Promise<Object>} { accounts, contacts, associations } counts and errors [{ kind, externalId, error }]
+     */
+    async sync(crmExport, { dryRun = false, full = false } = {}) {
+        const plan = this.plan(crmExport, { full });
+        const summary = {
+            crm: this.crm,
+            dryRun,
+            accounts: { created: 0, updated: 0, unchanged: plan.unchanged.accounts, failed: 0, toSend: plan.accounts.length },
+            contacts: { created: 0, updated: 0, unchanged: plan.unchanged.contacts, failed: 0, toSend: plan.contacts.length },
+            associations: { linked: 0, unchanged: plan.unchanged.associations, failed: 0, toSend: plan.associations.length },
+            errors: []
+        };
+
+        this.log(`\n🔄 CRM SYNC (${this.crm}): ${plan.accounts.length} accounts, ${plan.contacts.length} contacts, ${plan.associations.length} links to send`);
+        if (dryRun) return summary;
+
+        await this.upsertAll('account', plan.accounts, this.state.accounts, summary.accounts, summary.errors);
+        await this.upsertAll('contact', plan.contacts, this.state.contacts, summary.contacts, summary.errors);
+        await this.associateAll(plan.associations, summary.associations, summary.errors);
+
+        this.log(`   ✅ Accounts ${summary.accounts.created} created, ${summary.accounts.updated} updated, ${summary.accounts.unchanged} unchanged` +
+            ` · contacts ${summary.contacts.created} created, ${summary.contacts.updated} updated, ${summary.contacts.unchanged} unchanged` +
+            ` · ${summary.associations.linked} links`);
+        if (summary.errors.length > 0) {
+            this.log(`   ⚠️ ${summary.errors.length} records failed - retried on the next sync`);
+        }
+        return summary;
+    }
+
+    async upsertAll(kind, records, known, counts, errors) {
+        for (const batch of chunk(records, this.config.batchSize)) {
+            let results;
+            try {
+                results = await this.adapter.upsert(kind, batch);
+            } catch (error) {
+                results = batch.map(record => ({ externalId: record.externalId, crmId: null, created: false, error: error.message }));
+            }
+
+            results.forEach((result, index) => {
+                if (result.error) {
+                    counts.failed++;
+                    errors.push({ kind, externalId: result.externalId, error: result.error });
+                    return;
+                }
+                counts[result.created ? 'created' : 'updated']++;
+                known[result.externalId] = {
+                    crmId: result.crmId,
+                    hash: fingerprint(batch[index].properties),
+                    syncedAt: new Date().toISOString()
+                };
+            });
+            this.saveState();
+        }
+    }
+
+    async associateAll(associations, counts, errors) {
+        const pairs = [];
+        associations.forEach(association => {
+            const contactCrmId = this.state.contacts[association.contactExternalId]?.crmId;
+            const accountCrmId = this.state.accounts[association.accountExternalId]?.crmId;
+            if (!contactCrmId || !accountCrmId) {
+                counts.failed++;
+                errors.push({ kind: 'association', externalId: association.contactExternalId, error: `${contactCrmId ? 'Account' : 'Contact'} not in the CRM yet` });
+                return;
+            }
+            pairs.push({ ...association, contactCrmId, accountCrmId });
+        });
+
+        for (const batch of chunk(pairs, this.config.batchSize)) {
+            let results;
+            try {
+                results = await this.adapter.associate(batch);
+            } catch (error) {
+                results = batch.map(pair => ({ ...pair, error: error.message }));
+            }
+
+            results.forEach(result => {
+                if (result.error) {
+                    counts.failed++;
+                    errors.push({ kind: 'association', externalId: result.contactExternalId, error: result.error });
+                    return;
+                }
+                counts.linked++;
+                this.state.associations[result.contactExternalId] = {
+                    accountExternalId: result.accountExternalId,
+                    contactCrmId: result.contactCrmId,
+                    accountCrmId: result.accountCrmId,
+                    syncedAt: new Date().toISOString()
+                };
+            });
+            this.saveState();
+        }
+    }
+}
+
+module.exports = { CrmUpsertClient, createCrmAdapter, fingerprint };
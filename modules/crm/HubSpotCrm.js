@@ -0,0 +1,96 @@
+/**
+ * 🟠 HUBSPOT CRM ADAPTER
+ *
+ * Upserts companies and contacts by their external-ID property (batch upsert, 100 per request)
+ * and links each contact to its company with the default association.
+ * Auth: private app token (HUBSPOT_ACCESS_TOKEN); HUBSPOT_API_URL points it at a mock.
+ * The external-ID properties (config/crm-mappings.js) must be unique-value properties in HubSpot.
+ */
+
+const { ProviderAdapter } = require('../providers/ProviderAdapter');
+const { CRM_SYNC } = require('../../config/crm-mappings');
+const { getCrmMapping } = require('./CrmMapping');
+
+const HUBSPOT_BASE_URL = 'https://api.hubapi.com';
+
+class HubSpotCrm extends ProviderAdapter {
+    constructor(config = {}) {
+        super('hubspot', config, { label: 'HubSpot', timeoutMs: CRM_SYNC.timeoutMs });
+        this.token = config.HUBSPOT_ACCESS_TOKEN || process.env.HUBSPOT_ACCESS_TOKEN;
+        this.baseUrl = (config.HUBSPOT_API_URL || process.env.HUBSPOT_API_URL || HUBSPOT_BASE_URL).replace(/\/$/, '');
+        this.mapping = getCrmMapping('hubspot');
+    }
+
+    isConfigured() {
+        return Boolean(this.token);
+    }
+
+    buildHeaders() {
+        return { Authorization: `Bearer ${this.token}` };
+    }
+
+    /**
+     * ⬆️ UPSERT accounts or contacts
+     * @param {string} kind - account | contact
+     * @param {Object[]} records - [{ externalId, properties }] from CrmMapping.buildCrmExport
+     * @returns {Promise<Object[]>} [{ externalId, crmId, created, error }] in input order
+     */
+    async upsert(kind, records) {
+        const { object, externalIdProperty } = this.mapping[kind];
+        const data = await this.request({
+            url: `${this.baseUrl}/crm/v3/objects/${object}/batch/upsert`,
+            method: 'POST',
+            body: {
+                inputs: records.map(record => {
+                    const { [externalIdProperty]: externalId, ...properties } = record.properties;
+                    return { idProperty: externalIdProperty, id: record.externalId, properties };
+                })
+            },
+            track: false
+        });
+
+        // 207 Multi-Status: records missing from results failed
+        const results = data?.results || [];
+        const failure = data?.errors?.[0]?.message || 'Not in the HubSpot response';
+        return records.map((record, index) => {
+            const result = results.find(candidate => candidate.properties?.[externalIdProperty] === record.externalId)
+                || (results.length === records.length ? results[index] : null);
+            return result
+                ? { externalId: record.externalId, crmId: String(result.id), created: Boolean(result.new), error: null }
+                : { externalId: record.externalId, crmId: null, created: false, error: failure };
+        });
+    }
+
+    /**
+     * 🔗 ASSOCIATE contacts with their companies (default contact → company association)
+     * @param {Object[]} pairs - [{ contactCrmId, accountCrmId, ... }]
+     * @returns {Promise<Object[]>} the pairs with error null, or the 207 error that names them
+     */
+    async associate(pairs) {
+        const data = await this.request({
+            url: `${this.baseUrl}/crm/v4/associations/${this.mapping.contact.object}/${this.mapping.account.object}/batch/associate/default`,
+            method: 'POST',
+            body: {
+                inputs: pairs.map(pair => ({ from: { id: pair.contactCrmId }, to: { id: pair.accountCrmId } }))
+            },
+            track: false
+        });
+
+        // 207 Multi-Status: pairs missing from results failed - the error whose context names one
+        // of their IDs explains why
+        const results = data?.results || [];
+        const errors = data?.errors || [];
+        const linked = new Set(results.map(result => `${result.from?.id ?? result.fromObjectId}:${result.to?.id ?? result.toObjectId}`));
+        const errorFor = pair => errors.find(error => Object.values(error.context || {})
+            .flat()
+            .some(id => String(id) === String(pair.contactCrmId) || String(id) === String(pair.accountCrmId)));
+
+        return pairs.map(pair => {
+            if (linked.has(`${pair.contactCrmId}:${pair.accountCrmId}`)) return { ...pair, error: null };
+            if (results.length === pairs.length && errors.length === 0) return { ...pair, error: null };
+            return { ...pair, error: (errorFor(pair) || errors[0])?.message || 'Not in the HubSpot response' };
+        });
+    }
+}
+
+module.exports = { HubSpotCrm };
@@ -0,0 +1,178 @@
+/**
+ * 🧪 MOCK CRM SERVER
+ *
+ * An in-memory stand-in for the slice of the HubSpot and Salesforce REST APIs the CRM adapters use,
+ * so an upsert can be exercised end to end without a CRM account:
+ * - HubSpot:    POST /crm/v3/objects/:object/batch/upsert
+ *               POST /crm/v4/associations/:from/:to/batch/associate/default
+ * - Salesforce: PATCH /services/data/:version/composite/sobjects/:object/:externalIdField
+ *               PATCH /services/data/:version/composite/sobjects   (updates by id)
+ * - Both:       GET /mock/records - every stored record, link and request
+ *
+ * Point the adapter at it with HUBSPOT_API_URL / SALESFORCE_INSTANCE_URL. With a token set,
+ * requests without `Authorization: Bearer <token>` get a 401 like the real APIs.
+ * server.crm holds the records ({ objects: { <object>: { <externalId>: record } }, associations, requests }).
+ */
+
+const http = require('http');
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            try {
+                resolve(body ? JSON.parse(body) : null);
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * @param {Object} params - crm (hubspot | salesforce), token (optional)
+ * @returns {http.Server} call .listen(port); .crm is the in-memory state
+ */
+function createMockCrmServer({ crm, token = null }) {
+    if (!['hubspot', 'salesforce'].includes(crm)) {
+        throw new Error(`Unknown CRM "${crm}" (expected hubspot, salesforce)`);
+    }
+
+    const state = { objects: {}, associations: [], requests: [] };
+    let nextId = 1;
+
+    const objectStore = object => {
+        state.objects[object] = state.objects[object] || {};
+        return state.objects[object];
+    };
+    const findById = id => Object.values(state.objects)
+        .flatMap(records => Object.values(records))
+        .find(record => record.id === id);
+
+    // HubSpot batch upsert - records keyed by the idProperty value
+    const hubspotUpsert = (object, body) => {
+        const records = objectStore(object);
+        const results = (body?.inputs || []).map(input => {
+            const existing = records[input.id];
+            const record = existing || { id: String(nextId++), properties: {} };
+            record.properties = { ...record.properties, ...input.properties, [input.idProperty]: input.id };
+            records[input.id] = record;
+            return { id: record.id, properties: record.properties, new: !existing };
+        });
+        return [200, { status: 'COMPLETE', results }];
+    };
+
+    // Unknown IDs come back in errors with a 207, like HubSpot's batch APIs
+    const hubspotAssociate = (from, to, body) => {
+        const results = [];
+        const errors = [];
+        (body?.inputs || []).forEach(input => {
+            const missing = [['fromObjectId', input.from.id], ['toObjectId', input.to.id]].filter(([, id]) => !findById(String(id)));
+            if (missing.length > 0) {
+                errors.push({
+                    status: 'error',
+                    category: 'OBJECT_NOT_FOUND',
+                    message: `No ${missing.map(([, id]) => id).join(', ')} to associate`,
+                    context: Object.fromEntries(missing.map(([key, id]) => [key, [String(id)]]))
+                });
+                return;
+            }
+            const link = { from: { type: from, id: input.from.id }, to: { type: to, id: input.to.id } };
+            if (!state.associations.some(existing => JSON.stringify(existing) === JSON.stringify(link))) {
+                state.associations.push(link);
+            }
+            results.push(link);
+        });
+        return errors.length > 0
+            ? [207, { status: 'COMPLETE', results, errors, numErrors: errors.length }]
+            : [200, { status: 'COMPLETE', results }];
+    };
+
+    // Salesforce sObject Collections upsert - one result per record, in order
+    const salesforceUpsert = (object, field, body) => {
+        const records = objectStore(object);
+        return [200, (body?.records || []).map(({ attributes, ...fields }) => {
+            const externalId = fields[field];
+            if (!externalId) {
+                return { success: false, errors: [{ statusCode: 'REQUIRED_FIELD_MISSING', message: `Required fields are missing: [${field}]` }] };
+            }
+            const existing = records[externalId];
+            if (object === 'Contact' && !existing && !fields.LastName) {
+                return { success: false, errors: [{ statusCode: 'REQUIRED_FIELD_MISSING', message: 'Required fields are missing: [LastName]' }] };
+            }
+            const record = existing || { id: `${object === 'Account' ? '001' : '003'}${String(nextId++).padStart(15, '0')}`, properties: {} };
+            record.properties = { ...record.properties, ...fields };
+            records[externalId] = record;
+            return { id: record.id, success: true, created: !existing, errors: [] };
+        })];
+    };
+
+    const salesforceUpdate = body => [200, (body?.records || []).map(({ attributes, id, ...fields }) => {
+        const record = findById(id);
+        if (!record) {
+            return { id, success: false, errors: [{ statusCode: 'ENTITY_IS_DELETED', message: 'entity is deleted' }] };
+        }
+        record.properties = { ...record.properties, ...fields };
+        if (fields.AccountId) {
+            state.associations = state.associations.filter(link => link.from.id !== id);
+            state.associations.push({ from: { type: attributes?.type, id }, to: { type: 'Account', id: fields.AccountId } });
+        }
+        return { id, success: true, errors: [] };
+    })];
+
+    const route = (method, pathname, body) => {
+        let match;
+        if (method === 'GET' && pathname === '/mock/records') {
+            return [200, state];
+        }
+        if (crm === 'hubspot') {
+            if (method === 'POST' && (match = pathname.match(/^\/crm\/v3\/objects\/([^/]+)\/batch\/upsert$/))) {
+                return hubspotUpsert(match[1], body);
+            }
+            if (method === 'POST' && (match = pathname.match(/^\/crm\/v4\/associations\/([^/]+)\/([^/]+)\/batch\/associate\/default$/))) {
+                return hubspotAssociate(match[1], match[2], body);
+            }
+        } else {
+            if (method === 'PATCH' && (match = pathname.match(/^\/services\/data\/[^/]+\/composite\/sobjects\/([^/]+)\/([^/]+)$/))) {
+                return salesforceUpsert(match[1], match[2], body);
+            }
+            if (method === 'PATCH' && /^\/services\/data\/[^/]+\/composite\/sobjects$/.test(pathname)) {
+                return salesforceUpdate(body);
+            }
+        }
+        return [404, { message: `No mock route for ${method} ${pathname}` }];
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const reply = (status, payload) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        };
+
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (token && req.headers.authorization !== `Bearer ${token}`) {
+            return reply(401, { message: 'Authentication credentials not found' });
+        }
+
+        let body;
+        try {
+            body = await readJson(req);
+        } catch (error) {
+            return reply(400, { message: `Invalid JSON: ${error.message}` });
+        }
+
+        if (pathname !== '/mock/records') {
+            state.requests.push({ method: req.method, path: pathname, body, at: new Date().toISOString() });
+        }
+        const [status, payload] = route(req.method, pathname, body);
+        reply(status, payload);
+    });
+
+    server.crm = state;
+    return server;
+}
+
+module.exports = { createMockCrmServer };
@@ -0,0 +1,87 @@
+/**
+ * ☁️ SALESFORCE CRM ADAPTER
+ *
+ * Upserts Accounts and Contacts by their External ID field through sObject Collections
+ * (200 records per request, allOrNone false so one bad record does not fail the batch) and links
+ * each Contact to its Account by setting Contact.AccountId.
+ * Auth: SALESFORCE_INSTANCE_URL + SALESFORCE_ACCESS_TOKEN (OAuth access token);
+ * SALESFORCE_API_VERSION defaults to v59.0.
+ */
+
+const { ProviderAdapter } = require('../providers/ProviderAdapter');
+const { CRM_SYNC } = require('../../config/crm-mappings');
+const { getCrmMapping } = require('./CrmMapping');
+
+const SALESFORCE_API_VERSION = 'v59.0';
+
+function recordError(result) {
+    return result?.errors?.map(error => error.message).join('; ') || 'Not in the Salesforce response';
+}
+
+class SalesforceCrm extends ProviderAdapter {
+    constructor(config = {}) {
+        super('salesforce', config, { label: 'Salesforce', timeoutMs: CRM_SYNC.timeoutMs });
+        this.token = config.SALESFORCE_ACCESS_TOKEN || process.env.SALESFORCE_ACCESS_TOKEN;
+        this.baseUrl = String(config.SALESFORCE_INSTANCE_URL || process.env.SALESFORCE_INSTANCE_URL || '').replace(/\/$/, '');
+        this.apiVersion = config.SALESFORCE_API_VERSION || process.env.SALESFORCE_API_VERSION || SALESFORCE_API_VERSION;
+        this.mapping = getCrmMapping('salesforce');
+    }
+
+    isConfigured() {
+        return Boolean(this.token && this.baseUrl);
+    }
+
+    buildHeaders() {
+        return { Authorization: `Bearer ${this.token}` };
+    }
+
+    get collectionsUrl() {
+        return `${this.baseUrl}/services/data/${this.apiVersion}/composite/sobjects`;
+    }
+
+    /**
+     * ⬆️ UPSERT accounts or contacts
+     * @param {string} kind - account | contact
+     * @param {Object[]} records - [{ externalId, properties }] from CrmMapping.buildCrmExport
+     * @returns {Promise<Object[]>} [{ externalId, crmId, created, error }] in input order
+     */
+    async upsert(kind, records) {
+        const { object, externalIdProperty } = this.mapping[kind];
+        const results = await this.request({
+            url: `${this.collectionsUrl}/${object}/${externalIdProperty}`,
+            method: 'PATCH',
+            body: {
+                allOrNone: false,
+                records: records.map(record => ({ attributes: { type: object }, ...record.properties }))
+            },
+            track: false
+        });
+
+        return records.map((record, index) => {
+            const result = results?.[index];
+            return result?.success
+                ? { externalId: record.externalId, crmId: result.id, created: Boolean(result.created), error: null }
+                : { externalId: record.externalId, crmId: null, created: false, error: recordError(result) };
+        });
+    }
+
+    /**
+     * 🔗 ASSOCIATE contacts with their accounts (Contact.AccountId)
+     * @param {Object[]} pairs - [{ contactCrmId, accountCrmId, ... }]
+     * @returns {Promise<Object[]>} the pairs with error null or the record's error
+     */
+    async associate(pairs) {
+        const results = await this.request({
+            url: this.collectionsUrl,
+            method: 'PATCH',
+            body: {
+                allOrNone: false,
+                records: pairs.map(pair => ({ attributes: { type: this.mapping.contact.object }, id: pair.contactCrmId, AccountId: pair.accountCrmId }))
+            },
+            track: false
+        });
+        return pairs.map((pair, index) => ({ ...pair, error: results?.[index]?.success ? null : recordError(results?.[index]) }));
+    }
+}
+
+module.exports = { SalesforceCrm };
@@ -15,7 +15,7 @@
  * - Mike selling $2M manufacturing to Fortune 500 → Executive-focused buyer group
  */
 
-const fetch = require('node-fetch');
+const { governedFetch: fetch } = require('./providers/RateGovernor');
 const fs = require('fs');
 const path = require('path');
 
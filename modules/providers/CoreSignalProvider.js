@@ -0,0 +1,120 @@
+/**
+ * 🌟 CORESIGNAL PROVIDER
+ *
+ * Employee, company and job posting data.
+ * - v2 (multi-source, Elasticsearch DSL search + collect): `apikey` header
+ * - v1 (legacy filter endpoints): Bearer token
+ */
+
+const { ProviderAdapter } = require('./ProviderAdapter');
+
+const CORESIGNAL_BASE_URL = 'https://api.coresignal.com/cdapi';
+
+/**
+ * @typedef {Object} CoreSignalEsDslQuery
+ * @property {Object} query - Elasticsearch DSL query body
+ * @property {Array} [sort]
+ */
+
+/**
+ * @typedef {Object} CoreSignalEmployee
+ * @property {number} id
+ * @property {string} [full_name]
+ * @property {string} [active_experience_title]
+ * @property {number} [active_experience_company_id]
+ * @property {string} [primary_professional_email]
+ * @property {string} [primary_professional_email_status] - verified / matched_email / matched_pattern / ...
+ * @property {boolean} [is_decision_maker]
+ * @property {string} [linkedin_url]
+ * @property {Object[]} [experience]
+ */
+
+class CoreSignalProvider extends ProviderAdapter {
+    constructor(config = {}) {
+        super('coresignal', config, { label: 'CoreSignal', timeoutMs: 15000 });
+        this.apiKey = (config.CORESIGNAL_API_KEY || process.env.CORESIGNAL_API_KEY)?.trim();
+        this.baseUrl = config.CORESIGNAL_BASE_URL || CORESIGNAL_BASE_URL;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    /**
+     * 🔧 RAW ENDPOINT CALL
+     * @param {string} endpoint - path below /cdapi/<version>, e.g. /company_multi_source/collect/acme
+     * @param {Object} [options]
+     * @param {string} [options.version='v2']
+     * @param {string} [options.method='GET']
+     * @param {Object} [options.body]
+     * @param {Object} [options.query]
+     * @param {boolean} [options.track=true] - report the call to ApiCostOptimizer
+     */
+    async call(endpoint, { version = 'v2', method = 'GET', body = null, query = null, track = true, timeoutMs = null } = {}) {
+        return this.request({
+            url: `${this.baseUrl}/${version}${endpoint}`,
+            method,
+            body,
+            query,
+            timeoutMs,
+            track,
+            headers: version === 'v1'
+                ? { 'Authorization': `Bearer ${this.apiKey}` }
+                : { 'apikey': this.apiKey }
+        });
+    }
+
+    /**
+     * 🔍 EMPLOYEE SEARCH (v2 ES DSL)
+     * @param {CoreSignalEsDslQuery} esQuery
+     * @returns {Promise<Object>} Elasticsearch response - matches under hits.hits
+     */
+    async searchEmployees(esQuery) {
+        return this.cached({ dataType: 'employee', identifier: JSON.stringify(esQuery) },
+            () => this.call('/employee_multi_source/search/es_dsl', { method: 'POST', body: esQuery }));
+    }
+
+    /**
+     * 👤 EMPLOYEE COLLECT (v2)
+     * @returns {Promise<CoreSignalEmployee>}
+     */
+    async collectEmployee(employeeId) {
+        return this.cached({ dataType: 'employee', identifier: String(employeeId) },
+            () => this.call(`/employee_multi_source/collect/${employeeId}`));
+    }
+
+    /**
+     * 🔍 EMPLOYEE FILTER SEARCH (v1)
+     * @returns {Promise<{employees: CoreSignalEmployee[]}>}
+     */
+    async filterEmployees(filter) {
+        return this.cached({ dataType: 'employee', identifier: JSON.stringify(filter) },
+            () => this.call('/employee/search/filter', { version: 'v1', method: 'POST', body: filter }));
+    }
+
+    /**
+     * 🔍 COMPANY SEARCH (v2 ES DSL)
+     * @returns {Promise<Object>} Elasticsearch response - matches under hits.hits
+     */
+    async searchCompanies(esQuery) {
+        return this.cached({ dataType: 'company', identifier: JSON.stringify(esQuery) },
+            () => this.call('/company_multi_source/search/es_dsl', { method: 'POST', body: esQuery }));
+    }
+
+    /**
+     * 🏢 COMPANY COLLECT (v2) - by id or shorthand name
+     */
+    async collectCompany(idOrShorthand) {
+        return this.cached({ dataType: 'company', identifier: String(idOrShorthand) },
+            () => this.call(`/company_multi_source/collect/${encodeURIComponent(idOrShorthand)}`));
+    }
+
+    /**
+     * 💼 JOB POSTING SEARCH (v2 ES DSL)
+     */
+    async searchJobPostings(esQuery) {
+        return this.call('/job_posting_multi_source/search/es_dsl', { method: 'POST', body: esQuery });
+    }
+}
+
+module.exports = { CoreSignalProvider };
@@ -0,0 +1,135 @@
+/**
+ * 🏢 DROPCONTACT PROVIDER
+ *
+ * GDPR-compliant contact enrichment. Auth: `X-Access-Token` header (DROPCONTACT_API_KEY)
+ * Enrichment is asynchronous: the POST returns a request_id that is polled until the
+ * batch is ready (DROPCONTACT_POLL_ATTEMPTS x DROPCONTACT_POLL_INTERVAL_MS).
+ */
+
+const { ProviderAdapter, ProviderError, PROVIDER_ERROR_KINDS, fetchedAtOf } = require('./ProviderAdapter');
+
+const DROPCONTACT_BASE_URL = 'https://api.dropcontact.com';
+
+/**
+ * @typedef {Object} DropContactInput
+ * @property {string} firstName
+ * @property {string} lastName
+ * @property {string} [company]
+ * @property {string} [website]
+ */
+
+/**
+ * @typedef {Object} DropContactEmail
+ * @property {string} email
+ * @property {string|null} qualification - e.g. "nominative@pro"
+ * @property {string|null} qualificationResult
+ */
+
+/**
+ * @typedef {Object} DropContactResult
+ * @property {DropContactEmail[]} emails
+ * @property {Object|null} contact - first enriched record
+ * @property {Object} raw
+ * @property {string|null} fetchedAt - when the vendor answered (the stored time for a cached answer)
+ */
+
+class DropContactProvider extends ProviderAdapter {
+    constructor(config = {}) {
+        super('dropcontact', config, { label: 'DropContact', timeoutMs: 20000 });
+        this.apiKey = config.DROPCONTACT_API_KEY || process.env.DROPCONTACT_API_KEY;
+        this.baseUrl = config.DROPCONTACT_BASE_URL || DROPCONTACT_BASE_URL;
+        this.pollAttempts = config.DROPCONTACT_POLL_ATTEMPTS ?? 6;
+        this.pollIntervalMs = config.DROPCONTACT_POLL_INTERVAL_MS ?? 5000;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    buildHeaders() {
+        return { 'X-Access-Token': this.apiKey };
+    }
+
+    classifyPayload(data) {
+        if (data?.error && data.success === false) {
+            const reason = String(data.reason || data.error);
+            return {
+                kind: /credit/i.test(reason) ? PROVIDER_ERROR_KINDS.QUOTA : PROVIDER_ERROR_KINDS.BAD_REQUEST,
+                message: reason
+            };
+        }
+        return null;
+    }
+
+    /**
+     * 📇 ENRICH ONE CONTACT
+     * @param {DropContactInput} input
+     * @returns {Promise<DropContactResult>}
+     */
+    async enrichContact({ firstName, lastName, company, website }) {
+        const person = `${firstName} ${lastName}`;
+        const raw = await this.cached({ dataType: 'email', identifier: `${person} ${website || company}`, domain: website, person }, async () => {
+            const submitted = await this.request({
+                url: `${this.baseUrl}/v1/enrich/all`,
+                method: 'POST',
+                body: {
+                    data: [{
+                        first_name: firstName,
+                        last_name: lastName,
+                        company,
+                        website
+                    }]
+                }
+            });
+
+            // The finished enrichment is what gets cached, not the pending request id
+            return !submitted?.data && submitted?.request_id ? this.pollResult(submitted.request_id) : submitted;
+        });
+
+        const contact = raw?.data?.[0] || null;
+        return {
+            emails: DropContactProvider.normalizeEmails(contact?.email),
+            contact,
+            raw,
+            fetchedAt: fetchedAtOf(raw)
+        };
+    }
+
+    /**
+     * ⏳ POLL AN ASYNC ENRICHMENT - polling is free, the POST was already billed
+     */
+    async pollResult(requestId) {
+        for (let attempt = 0; attempt < this.pollAttempts; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+
+            const data = await this.request({
+                url: `${this.baseUrl}/v1/enrich/all/${encodeURIComponent(requestId)}`,
+                track: false
+            });
+            if (data?.success && data.data) {
+                return data;
+            }
+        }
+
+        throw new ProviderError(`DropContact request ${requestId} not ready after ${this.pollAttempts} polls`, {
+            provider: this.name,
+            kind: PROVIDER_ERROR_KINDS.TRANSIENT
+        });
+    }
+
+    /**
+     * DropContact returns either a list of email objects or a single address string
+     * @returns {DropContactEmail[]}
+     */
+    static normalizeEmails(email) {
+        if (!email) return [];
+        const list = Array.isArray(email) ? email : [email];
+        return list
+            .map(item => typeof item === 'string'
+                ? { email: item, qualification: null, qualificationResult: null }
+                : { email: item.email, qualification: item.qualification || null, qualificationResult: item.qualification_result || null })
+            .filter(item => item.email);
+    }
+}
+
+module.exports = { DropContactProvider };
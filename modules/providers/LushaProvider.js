@@ -0,0 +1,149 @@
+/**
+ * 📱 LUSHA PROVIDER
+ *
+ * Person / company enrichment and the prospecting search + enrich workflow.
+ * Auth: `api_key` header (LUSHA_API_KEY)
+ */
+
+const { ProviderAdapter, stampFetchedAt, fetchedAtOf } = require('./ProviderAdapter');
+
+const LUSHA_BASE_URL = 'https://api.lusha.com';
+
+/**
+ * @typedef {Object} LushaPersonQuery
+ * @property {string} [email]
+ * @property {string} [linkedinUrl]
+ * @property {string} [firstName]
+ * @property {string} [lastName]
+ * @property {string} [companyName]
+ * @property {string} [companyDomain]
+ * @property {boolean} [refreshJobInfo]
+ * @property {boolean} [revealEmails]
+ * @property {boolean} [revealPhones]
+ */
+
+/**
+ * @typedef {Object} LushaPhone
+ * @property {string} number
+ * @property {string} [type] - mobile / work / direct / main
+ * @property {boolean} [doNotCall]
+ */
+
+/**
+ * @typedef {Object} LushaEmail
+ * @property {string} email
+ * @property {string} [emailType]
+ * @property {string} [emailConfidence] - A+ / A / B ...
+ */
+
+/**
+ * @typedef {Object} LushaPerson
+ * @property {string} [fullName]
+ * @property {string} [firstName]
+ * @property {string} [lastName]
+ * @property {string} [jobTitle]
+ * @property {string} [linkedinUrl]
+ * @property {LushaPhone[]} [phoneNumbers]
+ * @property {LushaEmail[]} [emailAddresses]
+ * @property {Object} [company]
+ */
+
+class LushaProvider extends ProviderAdapter {
+    constructor(config = {}) {
+        super('lusha', config, { label: 'Lusha' });
+        this.apiKey = config.LUSHA_API_KEY || process.env.LUSHA_API_KEY;
+        this.baseUrl = config.LUSHA_BASE_URL || LUSHA_BASE_URL;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    buildHeaders() {
+        return { 'api_key': this.apiKey };
+    }
+
+    /**
+     * 👤 PERSON LOOKUP (v2) - by email, LinkedIn URL or name + company
+     * Unwraps the `contact.data` envelope so callers always get the person record;
+     * fetchedAtOf(person) is when Lusha returned it.
+     * @param {LushaPersonQuery} query
+     * @param {Object} [options]
+     * @param {string} [options.dataType='person'] - cache policy data type (cfo, cro, phone, email)
+     * @returns {Promise<LushaPerson>}
+     */
+    async findPerson(query, { timeoutMs = null, dataType = 'person' } = {}) {
+        const params = this.compactQuery(query);
+        const raw = await this.cached({
+            dataType,
+            identifier: new URLSearchParams(Object.entries(params).sort()).toString(),
+            domain: query.companyDomain,
+            person: query.email || query.linkedinUrl || [query.firstName, query.lastName].filter(Boolean).join(' ')
+        }, () => this.request({
+            url: `${this.baseUrl}/v2/person`,
+            query: params,
+            timeoutMs
+        }));
+        return stampFetchedAt(raw?.contact?.data || raw?.data || raw || {}, fetchedAtOf(raw));
+    }
+
+    /**
+     * 🏢 COMPANY LOOKUP BY DOMAIN
+     * @returns {Promise<Object|null>} company data object
+     */
+    async findCompany(domain, { timeoutMs = null } = {}) {
+        const data = await this.cached({ dataType: 'company', identifier: domain, domain }, () => this.request({
+            url: `${this.baseUrl}/company`,
+            query: { domain },
+            timeoutMs
+        }));
+        return stampFetchedAt(data?.data || null, fetchedAtOf(data));
+    }
+
+    /**
+     * 🔍 PROSPECTING SEARCH
+     * @param {Object} body - { pages, filters } as documented by Lusha
+     * @returns {Promise<{requestId: string, totalResults: number, contacts: Object[]}>}
+     */
+    async searchContacts(body, { timeoutMs = 15000 } = {}) {
+        return this.request({
+            url: `${this.baseUrl}/prospecting/contact/search`,
+            method: 'POST',
+            body,
+            timeoutMs,
+            // Search results are free - credits are spent on enrich
+            track: false
+        });
+    }
+
+    /**
+     * 📇 PROSPECTING ENRICH - reveals data for contact ids from a search
+     * @returns {Promise<{contacts: Object[]}>}
+     */
+    async enrichContacts({ requestId, contactIds, revealPhones = false, revealEmails = false }, { timeoutMs = 15000 } = {}) {
+        const body = { requestId, contactIds };
+        if (revealPhones) body.revealPhones = true;
+        if (revealEmails) body.revealEmails = true;
+
+        return this.request({
+            url: `${this.baseUrl}/prospecting/contact/enrich`,
+            method: 'POST',
+            body,
+            timeoutMs
+        });
+    }
+
+    /**
+     * Drop empty values and stringify booleans for the query string
+     */
+    compactQuery(query) {
+        const params = {};
+        Object.entries(query).forEach(([key, value]) => {
+            if (value === undefined || value === null || value === '') return;
+            params[key] = typeof value === 'boolean' ? String(value) : value;
+        });
+        return params;
+    }
+}
+
+module.exports = { LushaProvider };
@@ -0,0 +1,61 @@
+/**
+ * ✉️ MYEMAILVERIFIER PROVIDER
+ *
+ * Single-address email validation. Auth: API key as the last path segment (MYEMAILVERIFIER_API_KEY)
+ * Boolean fields arrive as the strings "true" / "false".
+ */
+
+const { ProviderAdapter, fetchedAtOf } = require('./ProviderAdapter');
+
+const MYEMAILVERIFIER_BASE_URL = 'https://client.myemailverifier.com/verifier';
+
+/**
+ * @typedef {Object} MyEmailVerifierValidation
+ * @property {string} email
+ * @property {string} status - Valid / Invalid / Unknown / Catch All / Grey-listed
+ * @property {string} diagnosis
+ * @property {boolean} catchAll
+ * @property {boolean} disposableDomain
+ * @property {boolean} roleBased
+ * @property {boolean} freeDomain
+ * @property {boolean} greylisted
+ * @property {Object} raw - vendor payload (Status, Diagnosis, catch_all, ...)
+ * @property {string|null} fetchedAt - when the vendor answered (the stored time for a cached answer)
+ */
+
+class MyEmailVerifierProvider extends ProviderAdapter {
+    constructor(config = {}) {
+        super('myemailverifier', config, { label: 'MyEmailVerifier' });
+        this.apiKey = config.MYEMAILVERIFIER_API_KEY || process.env.MYEMAILVERIFIER_API_KEY;
+        this.baseUrl = config.MYEMAILVERIFIER_BASE_URL || MYEMAILVERIFIER_BASE_URL;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    /**
+     * 📧 VALIDATE ONE EMAIL
+     * @returns {Promise<MyEmailVerifierValidation>}
+     */
+    async validate(email) {
+        const raw = await this.cached({ dataType: 'email', identifier: email, person: email }, () => this.request({
+            url: `${this.baseUrl}/validate_single/${encodeURIComponent(email)}/${this.apiKey}`
+        }));
+
+        return {
+            email: raw.Address || email,
+            status: raw.Status,
+            diagnosis: raw.Diagnosis,
+            catchAll: raw.catch_all === 'true',
+            disposableDomain: raw.Disposable_Domain === 'true',
+            roleBased: raw.Role_Based === 'true',
+            freeDomain: raw.Free_Domain === 'true',
+            greylisted: raw.Greylisted === 'true',
+            raw,
+            fetchedAt: fetchedAtOf(raw)
+        };
+    }
+}
+
+module.exports = { MyEmailVerifierProvider };
@@ -0,0 +1,77 @@
+/**
+ * 🤖 PERPLEXITY PROVIDER
+ *
+ * Chat completions with live web search. Auth: Bearer token (PERPLEXITY_API_KEY)
+ */
+
+const { ProviderAdapter, fetchedAtOf } = require('./ProviderAdapter');
+
+const PERPLEXITY_BASE_URL = 'https://api.perplexity.ai';
+const DEFAULT_MODEL = 'sonar-pro';
+
+/**
+ * @typedef {Object} PerplexityChatRequest
+ * @property {string} [prompt] - shorthand for a single user message
+ * @property {Array<{role: string, content: string}>} [messages]
+ * @property {string} [model='sonar-pro']
+ * @property {number} [temperature]
+ * @property {number} [maxTokens]
+ * @property {number} [timeoutMs]
+ * @property {string} [dataType='chat'] - cache policy data type (executives, website, company)
+ */
+
+/**
+ * @typedef {Object} PerplexityChatResponse
+ * @property {string} content - first choice message content
+ * @property {string[]} citations
+ * @property {string} model
+ * @property {Object} raw
+ * @property {string|null} fetchedAt - when the vendor answered (the stored time for a cached answer)
+ */
+
+class PerplexityProvider extends ProviderAdapter {
+    constructor(config = {}) {
+        super('perplexity', config, { label: 'Perplexity', timeoutMs: 30000 });
+        this.apiKey = (config.PERPLEXITY_API_KEY || process.env.PERPLEXITY_API_KEY)?.trim();
+        this.baseUrl = config.PERPLEXITY_BASE_URL || PERPLEXITY_BASE_URL;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    buildHeaders() {
+        return { 'Authorization': `Bearer ${this.apiKey}` };
+    }
+
+    /**
+     * 💬 CHAT COMPLETION
+     * @param {PerplexityChatRequest} request
+     * @returns {Promise<PerplexityChatResponse>}
+     */
+    async chat({ prompt, messages, model = DEFAULT_MODEL, temperature, maxTokens, timeoutMs = null, dataType = 'chat' }) {
+        const body = {
+            model,
+            messages: messages || [{ role: 'user', content: prompt }]
+        };
+        if (temperature !== undefined) body.temperature = temperature;
+        if (maxTokens !== undefined) body.max_tokens = maxTokens;
+
+        const raw = await this.cached({ dataType, identifier: JSON.stringify(body) }, () => this.request({
+            url: `${this.baseUrl}/chat/completions`,
+            method: 'POST',
+            body,
+            timeoutMs
+        }));
+
+        return {
+            content: raw?.choices?.[0]?.message?.content || '',
+            citations: raw?.citations || [],
+            model: raw?.model || model,
+            raw,
+            fetchedAt: fetchedAtOf(raw)
+        };
+    }
+}
+
+module.exports = { PerplexityProvider };
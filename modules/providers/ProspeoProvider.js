@@ -0,0 +1,103 @@
+/**
+ * 🎯 PROSPEO PROVIDER
+ *
+ * Email finder by name + company domain. Auth: `X-KEY` header (PROSPEO_API_KEY)
+ * Prospeo reports misses and credit problems as `{ error: true, message }`.
+ */
+
+const { ProviderAdapter, PROVIDER_ERROR_KINDS, fetchedAtOf } = require('./ProviderAdapter');
+
+const PROSPEO_BASE_URL = 'https://api.prospeo.io';
+
+const PROSPEO_ERROR_KINDS = {
+    NO_RESULT: PROVIDER_ERROR_KINDS.NOT_FOUND,
+    EMAIL_NOT_FOUND: PROVIDER_ERROR_KINDS.NOT_FOUND,
+    INSUFFICIENT_CREDITS: PROVIDER_ERROR_KINDS.QUOTA,
+    INVALID_API_KEY: PROVIDER_ERROR_KINDS.AUTH,
+    RATE_LIMITED: PROVIDER_ERROR_KINDS.QUOTA
+};
+
+/**
+ * @typedef {Object} ProspeoEmailResult
+ * @property {string|null} email
+ * @property {string|null} status - verification result (deliverable, VALID, ...)
+ * @property {string|null} pattern - company email pattern when reported
+ * @property {Object|null} verification
+ * @property {Object} raw
+ * @property {string|null} fetchedAt - when the vendor answered (the stored time for a cached answer)
+ */
+
+class ProspeoProvider extends ProviderAdapter {
+    constructor(config = {}) {
+        super('prospeo', config, { label: 'Prospeo', timeoutMs: 15000 });
+        this.apiKey = config.PROSPEO_API_KEY || process.env.PROSPEO_API_KEY;
+        this.baseUrl = config.PROSPEO_BASE_URL || PROSPEO_BASE_URL;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    buildHeaders() {
+        return { 'X-KEY': this.apiKey };
+    }
+
+    classifyStatus(status, body) {
+        return PROSPEO_ERROR_KINDS[body?.message] || super.classifyStatus(status, body);
+    }
+
+    isRateLimited(error) {
+        return super.isRateLimited(error) || error.body?.message === 'RATE_LIMITED';
+    }
+
+    classifyPayload(data) {
+        if (data?.error === true) {
+            return {
+                kind: PROSPEO_ERROR_KINDS[data.message] || PROVIDER_ERROR_KINDS.BAD_REQUEST,
+                message: data.message || 'unknown error'
+            };
+        }
+        return null;
+    }
+
+    /**
+     * 📧 FIND EMAIL
+     * @param {{firstName: string, lastName: string, domain: string}} person
+     * @returns {Promise<ProspeoEmailResult>}
+     */
+    async findEmail({ firstName, lastName, domain }) {
+        const company = ProspeoProvider.cleanDomain(domain);
+        const person = `${firstName} ${lastName}`;
+        const raw = await this.cached({ dataType: 'email', identifier: `${person} ${company}`, domain: company, person }, () => this.request({
+            url: `${this.baseUrl}/email-finder`,
+            method: 'POST',
+            body: {
+                first_name: firstName,
+                last_name: lastName,
+                company
+            }
+        }));
+
+        // Current responses nest under `response`; older ones put the email object at the top level
+        const found = raw?.response || raw?.email || {};
+        const email = typeof found === 'string' ? found : found.email || null;
+
+        return {
+            email,
+            status: found.email_status || found.verification?.result || null,
+            pattern: found.email_pattern || null,
+            verification: found.verification || null,
+            raw,
+            fetchedAt: fetchedAtOf(raw)
+        };
+    }
+
+    /**
+     * Prospeo wants a bare domain - no protocol, www or path
+     */
+    static cleanDomain(domain = '') {
+        return String(domain).replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
+    }
+}
+
+module.exports = { ProspeoProvider };
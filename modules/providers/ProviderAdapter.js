@@ -0,0 +1,359 @@
+/**
+ * 🔌 PROVIDER ADAPTER BASE
+ *
+ * Shared plumbing for every vendor adapter in modules/providers:
+ * - one fetch path with a per-request timeout
+ * - retry with exponential backoff + jitter for transient failures (5xx, 408, network, timeout)
+ *   and rate limits (429, honouring Retry-After)
+ * - error classification into ProviderError kinds: quota, auth, not_found, transient, bad_request
+ * - cost reporting to ApiCostOptimizer.trackApiCall once per logical call (after retries)
+ * - budget enforcement: billed calls the ApiCostOptimizer does not allow (hard budget reached,
+ *   or a provider downgraded past the soft budget) fail with kind budget before any request
+ * - the process-wide RateGovernor: a token + concurrency slot per attempt; 429s pause the
+ *   provider and exhausted quota suspends it
+ * - lookup caching: with a providerCache (DataCache), billed lookups are stored under the
+ *   provider and data type, so config/cache-ttl-policy.js decides how long each one lives
+ * - fetch times: fetchedAtOf(payload) is when the vendor produced it - the response Date header
+ *   (the recording time under replay), or the stored time when it came from the cache
+ *
+ * Config: PROVIDER_MAX_RETRIES (2), PROVIDER_RETRY_BASE_MS (500), PROVIDER_RETRY_MAX_MS (8000),
+ * PROVIDER_TIMEOUT_MS (10000), costOptimizer (defaults to the process-wide ApiCostOptimizer),
+ * rateGovernor (defaults to the process-wide RateGovernor), providerCache (no caching without one)
+ */
+
+const { BUDGET_LEVELS, getSharedCostOptimizer } = require('../ApiCostOptimizer');
+const { getRateGovernor, parseRetryAfter } = require('./RateGovernor');
+
+const PROVIDER_ERROR_KINDS = {
+    QUOTA: 'quota',
+    AUTH: 'auth',
+    NOT_FOUND: 'not_found',
+    TRANSIENT: 'transient',
+    BAD_REQUEST: 'bad_request',
+    BUDGET: 'budget'
+};
+
+// Vendor payload → ISO time it was fetched; kept off the payload so cached entries stay unchanged
+const fetchTimes = new WeakMap();
+
+/**
+ * Record when a vendor payload (or a record unwrapped from one) was fetched
+ * @returns {*} the payload
+ */
+function stampFetchedAt(payload, fetchedAt) {
+    if (payload && typeof payload === 'object' && fetchedAt) {
+        fetchTimes.set(payload, fetchedAt);
+    }
+    return payload;
+}
+
+/**
+ * ISO time a payload returned by an adapter was fetched, or null when it did not come from one
+ */
+function fetchedAtOf(payload) {
+    return payload && typeof payload === 'object' ? fetchTimes.get(payload) || null : null;
+}
+
+/**
+ * The response's Date header, falling back to now
+ */
+function responseTime(response) {
+    const date = Date.parse(response.headers?.get?.('date') || '');
+    return new Date(Number.isNaN(date) ? Date.now() : date).toISOString();
+}
+
+class ProviderError extends Error {
+    constructor(message, { provider, kind, status = null, retryAfterMs = null, body = null } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.provider = provider;
+        this.kind = kind;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+        this.body = body;
+    }
+
+    /**
+     * Transient failures and rate limits (429) are worth another attempt;
+     * exhausted credits (402) and the other kinds are not
+     */
+    get retryable() {
+        return this.kind === PROVIDER_ERROR_KINDS.TRANSIENT || this.status === 429;
+    }
+}
+
+class ProviderAdapter {
+    /**
+     * @param {string} name - ApiCostOptimizer pricing key (lusha, coresignal, ...)
+     * @param {Object} config - module config; API keys are read by the subclass
+     * @param {Object} defaults - per-provider overrides of the retry/timeout settings
+     */
+    constructor(name, config = {}, defaults = {}) {
+        this.name = name;
+        this.label = defaults.label || name;
+        this.settings = {
+            maxRetries: config.PROVIDER_MAX_RETRIES ?? defaults.maxRetries ?? 2,
+            baseDelayMs: config.PROVIDER_RETRY_BASE_MS ?? defaults.baseDelayMs ?? 500,
+            maxDelayMs: config.PROVIDER_RETRY_MAX_MS ?? defaults.maxDelayMs ?? 8000,
+            timeoutMs: config.PROVIDER_TIMEOUT_MS ?? defaults.timeoutMs ?? 10000
+        };
+        this.costOptimizer = config.costOptimizer || getSharedCostOptimizer();
+        this.governor = config.rateGovernor || getRateGovernor();
+        this.cache = config.providerCache || null;
+        this.fetch = config.fetch || ((...args) => fetch(...args));
+    }
+
+    /**
+     * Subclasses report whether their credentials are present
+     */
+    isConfigured() {
+        return false;
+    }
+
+    /**
+     * Whether the budget currently allows a billed call to this provider
+     */
+    withinBudget() {
+        return this.costOptimizer.allowsProvider(this.name);
+    }
+
+    /**
+     * Throw an auth error before spending a request on missing credentials
+     */
+    requireConfigured() {
+        if (!this.isConfigured()) {
+            throw new ProviderError(`${this.label} API key not configured`, {
+                provider: this.name,
+                kind: PROVIDER_ERROR_KINDS.AUTH
+            });
+        }
+    }
+
+    /**
+     * Headers every request to this vendor carries (auth etc.)
+     */
+    buildHeaders() {
+        return {};
+    }
+
+    /**
+     * 🌐 PERFORM A VENDOR REQUEST
+     *
+     * @param {Object} options
+     * @param {string} options.url
+     * @param {string} [options.method='GET']
+     * @param {Object} [options.query] - appended as a query string
+     * @param {Object} [options.body] - sent as JSON
+     * @param {Object} [options.headers]
+     * @param {number} [options.timeoutMs]
+     * @param {number|null} [options.cost] - reported cost on success; null uses ApiCostOptimizer pricing
+     * @param {boolean} [options.track=true] - false for free endpoints (health checks, polling)
+     * @returns {Promise<Object>} parsed JSON body
+     */
+    async request({ url, method = 'GET', query = null, body = null, headers = {}, timeoutMs = null, cost = null, track = true }) {
+        this.requireConfigured();
+
+        const suspended = this.governor.suspendedFor(this.name);
+        if (suspended > 0) {
+            throw new ProviderError(`${this.label} quota exhausted - calls suspended for another ${Math.round(suspended / 1000)}s`, {
+                provider: this.name,
+                kind: PROVIDER_ERROR_KINDS.QUOTA
+            });
+        }
+
+        if (track && !this.withinBudget()) {
+            const { level, reason } = this.costOptimizer.getBudgetStatus();
+            throw new ProviderError(`${this.label} skipped - ${level === BUDGET_LEVELS.HARD ? reason : 'downgraded past the soft budget'}`, {
+                provider: this.name,
+                kind: PROVIDER_ERROR_KINDS.BUDGET
+            });
+        }
+
+        const target = query ? `${url}?${new URLSearchParams(query)}` : url;
+
+        try {
+            const data = await this.withRetry(() => this.send(target, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.buildHeaders(),
+                    ...headers
+                },
+                body: body ? JSON.stringify(body) : undefined
+            }, timeoutMs || this.settings.timeoutMs));
+
+            if (track) this.reportCost(true, cost);
+            return data;
+        } catch (error) {
+            if (track) this.reportCost(false, 0);
+            throw error;
+        }
+    }
+
+    /**
+     * 💾 CACHED LOOKUP
+     * Answers from the providerCache while the entry is fresh, otherwise runs load and stores
+     * the result under this provider and dataType - the TTL policy row for e.g. lusha / phone
+     * or coresignal / employee sets its expiry, and invalidate() finds it by domain or person.
+     * The entry keeps the fetch time, so a hit reports when the vendor answered, not now
+     *
+     * @param {Object} key
+     * @param {string} key.dataType - policy data type (employee, company, email, phone, ...)
+     * @param {string} key.identifier - what was looked up (email, id, query)
+     * @param {string} [key.domain] - company domain, when the identifier does not contain it
+     * @param {string} [key.person] - name, email or LinkedIn URL of the person looked up
+     * @param {Function} load - the billed lookup
+     */
+    async cached({ dataType, identifier, domain = null, person = null }, load) {
+        if (!this.cache) return load();
+
+        const cacheIdentifier = `${dataType}:${identifier}`;
+        const hit = await this.cache.getEntry(this.name, cacheIdentifier);
+        if (hit) return stampFetchedAt(hit.data, hit.fetchedAt || new Date(hit.timestamp).toISOString());
+
+        const data = await load();
+        if (data !== null && data !== undefined) {
+            await this.cache.set(this.name, cacheIdentifier, data, null, { dataType, domain, person, fetchedAt: fetchedAtOf(data) });
+        }
+        return data;
+    }
+
+    /**
+     * One HTTP attempt inside a governor slot
+     */
+    async send(url, options, timeoutMs) {
+        const release = await this.governor.acquire(this.name);
+        try {
+            return await this.sendOnce(url, options, timeoutMs);
+        } catch (error) {
+            if (error instanceof ProviderError) this.governorFeedback(error);
+            throw error;
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Rate limits pause every caller of this provider; exhausted credits suspend it
+     */
+    governorFeedback(error) {
+        if (this.isRateLimited(error)) {
+            this.governor.penalize(this.name, error.retryAfterMs);
+        } else if (error.kind === PROVIDER_ERROR_KINDS.QUOTA) {
+            this.governor.suspend(this.name);
+        }
+    }
+
+    /**
+     * Vendors that signal rate limits without a 429 override this
+     */
+    isRateLimited(error) {
+        return error.status === 429;
+    }
+
+    /**
+     * One HTTP attempt - resolves with parsed JSON or throws a classified ProviderError
+     */
+    async sendOnce(url, options, timeoutMs) {
+        let response;
+        try {
+            response = await this.fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+        } catch (error) {
+            const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+            throw new ProviderError(
+                timedOut ? `${this.label} request timed out after ${timeoutMs}ms` : `${this.label} request failed: ${error.message}`,
+                { provider: this.name, kind: PROVIDER_ERROR_KINDS.TRANSIENT }
+            );
+        }
+
+        const text = await response.text();
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch (error) {
+            data = text;
+        }
+
+        if (!response.ok) {
+            throw new ProviderError(`${this.label} API error: ${response.status}`, {
+                provider: this.name,
+                kind: this.classifyStatus(response.status, data),
+                status: response.status,
+                retryAfterMs: parseRetryAfter(response.headers?.get?.('retry-after')),
+                body: data
+            });
+        }
+
+        const payloadError = this.classifyPayload(data);
+        if (payloadError) {
+            throw new ProviderError(`${this.label} error: ${payloadError.message}`, {
+                provider: this.name,
+                kind: payloadError.kind,
+                status: response.status,
+                body: data
+            });
+        }
+
+        return stampFetchedAt(data, responseTime(response));
+    }
+
+    /**
+     * Map an HTTP status to an error kind
+     */
+    classifyStatus(status, body) {
+        if (status === 401 || status === 403) return PROVIDER_ERROR_KINDS.AUTH;
+        if (status === 402 || status === 429) return PROVIDER_ERROR_KINDS.QUOTA;
+        if (status === 404) return PROVIDER_ERROR_KINDS.NOT_FOUND;
+        if (status === 408 || status >= 500) return PROVIDER_ERROR_KINDS.TRANSIENT;
+        return PROVIDER_ERROR_KINDS.BAD_REQUEST;
+    }
+
+    /**
+     * Vendors that report errors inside a 200 body override this
+     * @returns {{kind: string, message: string}|null}
+     */
+    classifyPayload(data) {
+        return null;
+    }
+
+    /**
+     * 🔁 RETRY WITH EXPONENTIAL BACKOFF
+     */
+    async withRetry(attempt) {
+        for (let retry = 0; ; retry++) {
+            try {
+                return await attempt();
+            } catch (error) {
+                if (!(error instanceof ProviderError) || !error.retryable || retry >= this.settings.maxRetries) {
+                    throw error;
+                }
+
+                const delay = this.backoffDelay(retry, error.retryAfterMs);
+                console.log(`   🔁 ${this.label} ${error.kind} (${error.status || error.message}) - retrying in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    backoffDelay(retry, retryAfterMs = null) {
+        if (retryAfterMs !== null) {
+            return Math.min(retryAfterMs, this.settings.maxDelayMs);
+        }
+        const exponential = this.settings.baseDelayMs * Math.pow(2, retry);
+        const jitter = Math.random() * this.settings.baseDelayMs;
+        return Math.round(Math.min(exponential + jitter, this.settings.maxDelayMs));
+    }
+
+    /**
+     * 💰 REPORT COST - failed calls are tracked at zero cost so success rates stay honest
+     */
+    reportCost(success, cost = null) {
+        try {
+            this.costOptimizer.trackApiCall(this.name, success, cost);
+        } catch (error) {
+            console.log(`   ⚠️ ${this.label} cost tracking error: ${error.message}`);
+        }
+    }
+}
+
+module.exports = { ProviderAdapter, ProviderError, PROVIDER_ERROR_KINDS, getSharedCostOptimizer, stampFetchedAt, fetchedAtOf };
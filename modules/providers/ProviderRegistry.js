@@ -0,0 +1,57 @@
+/**
+ * 🗂️ PROVIDER REGISTRY
+ *
+ * One adapter per vendor, built from a module config (API keys fall back to the environment).
+ * Modules hold the result as `this.providers` and call e.g. `this.providers.lusha.findPerson(...)`.
+ * Costs go to the process-wide ApiCostOptimizer (getSharedCostOptimizer) unless the config passes `costOptimizer`.
+ */
+
+const { ProviderAdapter, ProviderError, PROVIDER_ERROR_KINDS, getSharedCostOptimizer, fetchedAtOf } = require('./ProviderAdapter');
+const { LushaProvider } = require('./LushaProvider');
+const { CoreSignalProvider } = require('./CoreSignalProvider');
+const { ProspeoProvider } = require('./ProspeoProvider');
+const { DropContactProvider } = require('./DropContactProvider');
+const { ZeroBounceProvider } = require('./ZeroBounceProvider');
+const { MyEmailVerifierProvider } = require('./MyEmailVerifierProvider');
+const { TwilioProvider } = require('./TwilioProvider');
+const { PerplexityProvider } = require('./PerplexityProvider');
+
+const PROVIDERS = {
+    lusha: LushaProvider,
+    coresignal: CoreSignalProvider,
+    prospeo: ProspeoProvider,
+    dropcontact: DropContactProvider,
+    zerobounce: ZeroBounceProvider,
+    myemailverifier: MyEmailVerifierProvider,
+    twilio: TwilioProvider,
+    perplexity: PerplexityProvider
+};
+
+/**
+ * Build every adapter for a module config
+ */
+function createProviders(config = {}) {
+    const providers = {};
+    Object.entries(PROVIDERS).forEach(([name, Provider]) => {
+        providers[name] = new Provider(config);
+    });
+    return providers;
+}
+
+module.exports = {
+    createProviders,
+    PROVIDERS,
+    ProviderAdapter,
+    ProviderError,
+    PROVIDER_ERROR_KINDS,
+    getSharedCostOptimizer,
+    fetchedAtOf,
+    LushaProvider,
+    CoreSignalProvider,
+    ProspeoProvider,
+    DropContactProvider,
+    ZeroBounceProvider,
+    MyEmailVerifierProvider,
+    TwilioProvider,
+    PerplexityProvider
+};
@@ -0,0 +1,298 @@
+/**
+ * 🚦 RATE GOVERNOR
+ *
+ * Process-wide token bucket + concurrency cap per provider. Every outbound vendor call goes
+ * through it: provider adapters acquire a slot per HTTP attempt, and modules that still call
+ * vendors directly use governedFetch, which maps the request host to a provider.
+ *
+ * - Buckets refill at RATE_LIMITS[provider] per minute, up to BURST_LIMITS tokens
+ * - 429 responses pause the provider for Retry-After (or RATE_LIMIT_PENALTY_MS) and drain its
+ *   bucket, so concurrent callers wait instead of spending quota on rejected calls
+ * - Exhausted quota (402 / out of credits) suspends the provider for QUOTA_COOLDOWN_MS -
+ *   callers fail fast without making the request
+ *
+ * Waiters are served first-in first-out per provider.
+ */
+
+const {
+    RATE_LIMITS,
+    BURST_LIMITS,
+    CONCURRENCY_LIMITS,
+    RATE_LIMIT_HOSTS
+} = require('../../config/rate-limits');
+
+const MINUTE_MS = 60000;
+
+let sharedGovernor = null;
+
+class RateGovernor {
+    /**
+     * @param {Object} config - RATE_LIMITS / BURST_LIMITS / CONCURRENCY_LIMITS overrides,
+     *   RATE_LIMIT_PENALTY_MS (5000), QUOTA_COOLDOWN_MS (600000), SLOT_LEASE_MS (120000)
+     */
+    constructor(config = {}) {
+        this.config = {
+            RATE_LIMITS: { ...RATE_LIMITS, ...this.envLimits('RATE_LIMIT_', RATE_LIMITS), ...config.RATE_LIMITS },
+            BURST_LIMITS: { ...BURST_LIMITS, ...config.BURST_LIMITS },
+            CONCURRENCY_LIMITS: { ...CONCURRENCY_LIMITS, ...this.envLimits('CONCURRENCY_LIMIT_', CONCURRENCY_LIMITS), ...config.CONCURRENCY_LIMITS },
+            RATE_LIMIT_HOSTS: { ...RATE_LIMIT_HOSTS, ...config.RATE_LIMIT_HOSTS },
+            RATE_LIMIT_PENALTY_MS: config.RATE_LIMIT_PENALTY_MS ?? 5000,
+            QUOTA_COOLDOWN_MS: config.QUOTA_COOLDOWN_MS ?? 600000,
+            // A request that never settles gives its slot back after this long
+            SLOT_LEASE_MS: config.SLOT_LEASE_MS ?? 120000
+        };
+
+        this.buckets = new Map();
+    }
+
+    /**
+     * RATE_LIMIT_PROSPEO=30 style overrides for known providers
+     */
+    envLimits(prefix, defaults) {
+        const overrides = {};
+        Object.keys(defaults).forEach(provider => {
+            const value = Number(process.env[`${prefix}${provider.toUpperCase()}`]);
+            if (Number.isFinite(value) && value > 0) overrides[provider] = value;
+        });
+        return overrides;
+    }
+
+    /**
+     * Provider for a request URL, or null for hosts that are not rate limited
+     */
+    providerForUrl(url) {
+        try {
+            return this.config.RATE_LIMIT_HOSTS[new URL(String(url)).hostname] || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    bucket(provider, overrides = {}) {
+        if (!this.buckets.has(provider)) {
+            const perMinute = overrides.perMinute || this.config.RATE_LIMITS[provider] || 60;
+            const burst = overrides.burst || this.config.BURST_LIMITS[provider] || this.config.BURST_LIMITS.default || 1;
+            const capacity = Math.max(1, Math.min(burst, perMinute));
+
+            this.buckets.set(provider, {
+                perMinute,
+                capacity,
+                tokens: capacity,
+                refilledAt: Date.now(),
+                concurrency: overrides.concurrency || this.config.CONCURRENCY_LIMITS[provider] || this.config.CONCURRENCY_LIMITS.default || 1,
+                inFlight: 0,
+                slotWaiters: [],
+                queue: Promise.resolve(),
+                pausedUntil: 0,
+                suspendedUntil: 0,
+                stats: { granted: 0, waitedMs: 0, rateLimited: 0, suspended: 0 }
+            });
+        }
+        return this.buckets.get(provider);
+    }
+
+    refill(bucket) {
+        const now = Date.now();
+        const elapsed = now - bucket.refilledAt;
+        bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (elapsed * bucket.perMinute) / MINUTE_MS);
+        bucket.refilledAt = now;
+    }
+
+    /**
+     * Wait for a token, honouring any 429 pause
+     */
+    async takeToken(bucket) {
+        for (;;) {
+            const now = Date.now();
+            if (bucket.pausedUntil > now) {
+                await sleep(bucket.pausedUntil - now);
+                continue;
+            }
+
+            this.refill(bucket);
+            if (bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                return;
+            }
+
+            await sleep(Math.ceil(((1 - bucket.tokens) * MINUTE_MS) / bucket.perMinute));
+        }
+    }
+
+    async takeSlot(bucket) {
+        if (bucket.inFlight < bucket.concurrency) {
+            bucket.inFlight++;
+            return;
+        }
+        await new Promise(resolve => bucket.slotWaiters.push(resolve));
+    }
+
+    releaseSlot(bucket) {
+        const next = bucket.slotWaiters.shift();
+        if (next) {
+            next();
+        } else {
+            bucket.inFlight--;
+        }
+    }
+
+    /**
+     * Milliseconds left on a quota suspension (0 when the provider is usable)
+     */
+    suspendedFor(provider) {
+        const bucket = this.buckets.get(provider);
+        return bucket ? Math.max(0, bucket.suspendedUntil - Date.now()) : 0;
+    }
+
+    /**
+     * 🎟️ ACQUIRE A REQUEST SLOT
+     * Resolves once the provider has a token and a free concurrency slot.
+     * @param {string} provider
+     * @param {Object} [overrides] - { perMinute, burst, concurrency } for keys without config
+     * @returns {Promise<Function>} release - call exactly once when the request finishes
+     */
+    async acquire(provider, overrides = {}) {
+        const bucket = this.bucket(provider, overrides);
+        const startedAt = Date.now();
+
+        // Tokens are handed out in arrival order
+        const turn = bucket.queue.then(() => this.takeToken(bucket));
+        bucket.queue = turn.catch(() => {});
+        await turn;
+        await this.takeSlot(bucket);
+
+        const waited = Date.now() - startedAt;
+        bucket.stats.granted++;
+        bucket.stats.waitedMs += waited;
+        if (waited >= 1000) {
+            console.log(`   🚦 ${provider}: waited ${Math.round(waited / 100) / 10}s for a request slot`);
+        }
+
+        let released = false;
+        const release = () => {
+            if (released) return;
+            released = true;
+            clearTimeout(lease);
+            this.releaseSlot(bucket);
+        };
+        const lease = setTimeout(() => {
+            console.log(`   ⚠️ ${provider}: request held its slot for ${this.config.SLOT_LEASE_MS / 1000}s - releasing`);
+            release();
+        }, this.config.SLOT_LEASE_MS);
+        lease.unref?.();
+
+        return release;
+    }
+
+    /**
+     * Run fn inside an acquired slot
+     */
+    async schedule(provider, fn, overrides = {}) {
+        const release = await this.acquire(provider, overrides);
+        try {
+            return await fn();
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * ⏸️ 429 FEEDBACK - pause the provider and drain its bucket
+     */
+    penalize(provider, retryAfterMs = null) {
+        const bucket = this.bucket(provider);
+        const pause = retryAfterMs ?? this.config.RATE_LIMIT_PENALTY_MS;
+
+        bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + pause);
+        bucket.tokens = 0;
+        bucket.refilledAt = Date.now();
+        bucket.stats.rateLimited++;
+        console.log(`   ⏸️ ${provider}: rate limited - pausing all calls for ${Math.round(pause / 1000)}s`);
+    }
+
+    /**
+     * 🛑 QUOTA EXHAUSTED - stop calling the provider for a while
+     */
+    suspend(provider, cooldownMs = this.config.QUOTA_COOLDOWN_MS) {
+        const bucket = this.bucket(provider);
+        bucket.suspendedUntil = Math.max(bucket.suspendedUntil, Date.now() + cooldownMs);
+        bucket.stats.suspended++;
+        console.log(`   🛑 ${provider}: quota exhausted - skipping calls for ${Math.round(cooldownMs / 60000)}min`);
+    }
+
+    /**
+     * Per-provider counters for run summaries
+     */
+    getStats() {
+        const stats = {};
+        this.buckets.forEach((bucket, provider) => {
+            stats[provider] = {
+                perMinute: bucket.perMinute,
+                concurrency: bucket.concurrency,
+                inFlight: bucket.inFlight,
+                ...bucket.stats
+            };
+        });
+        return stats;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Process-wide governor - all adapters and governedFetch share one set of buckets
+ */
+function getRateGovernor() {
+    if (!sharedGovernor) {
+        sharedGovernor = new RateGovernor();
+    }
+    return sharedGovernor;
+}
+
+/**
+ * 🌐 GOVERNED FETCH - drop-in for node-fetch in modules that call vendors directly
+ * Hosts listed in RATE_LIMIT_HOSTS wait for a slot; 429 / 402 responses feed back into the governor.
+ * node-fetch is resolved per call so record/replay (modules/replay) still sees the request.
+ */
+async function governedFetch(url, options = {}) {
+    const fetch = require('node-fetch');
+    const governor = getRateGovernor();
+    const provider = governor.providerForUrl(url);
+
+    if (!provider) {
+        return fetch(url, options);
+    }
+
+    const suspended = governor.suspendedFor(provider);
+    if (suspended > 0) {
+        throw new Error(`${provider} quota exhausted - calls suspended for another ${Math.round(suspended / 1000)}s`);
+    }
+
+    return governor.schedule(provider, async () => {
+        const response = await fetch(url, options);
+
+        if (response.status === 429) {
+            governor.penalize(provider, parseRetryAfter(response.headers.get('retry-after')));
+        } else if (response.status === 402) {
+            governor.suspend(provider);
+        }
+        return response;
+    });
+}
+
+/**
+ * Retry-After is either delta-seconds or an HTTP date
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+module.exports = { RateGovernor, getRateGovernor, governedFetch, parseRetryAfter };
@@ -0,0 +1,63 @@
+/**
+ * ☎️ TWILIO LOOKUP PROVIDER
+ *
+ * Phone number carrier / line-type lookup. Auth: Basic (TWILIO_ACCOUNT_SID:TWILIO_AUTH_TOKEN)
+ * A 404 means Twilio could not parse the number.
+ */
+
+const { ProviderAdapter, fetchedAtOf } = require('./ProviderAdapter');
+
+const TWILIO_LOOKUP_URL = 'https://lookups.twilio.com/v1/PhoneNumbers';
+
+/**
+ * @typedef {Object} TwilioLookup
+ * @property {string} phoneNumber - E.164
+ * @property {string} nationalFormat
+ * @property {string} countryCode
+ * @property {string|null} carrierName
+ * @property {string|null} lineType - mobile / landline / voip
+ * @property {Object} raw
+ * @property {string|null} fetchedAt - when the vendor answered (the stored time for a cached answer)
+ */
+
+class TwilioProvider extends ProviderAdapter {
+    constructor(config = {}) {
+        super('twilio', config, { label: 'Twilio Lookup' });
+        this.accountSid = config.TWILIO_ACCOUNT_SID || process.env.TWILIO_ACCOUNT_SID;
+        this.authToken = config.TWILIO_AUTH_TOKEN || process.env.TWILIO_AUTH_TOKEN;
+        this.baseUrl = config.TWILIO_LOOKUP_URL || TWILIO_LOOKUP_URL;
+    }
+
+    isConfigured() {
+        return Boolean(this.accountSid && this.authToken);
+    }
+
+    buildHeaders() {
+        const auth = Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64');
+        return { 'Authorization': `Basic ${auth}` };
+    }
+
+    /**
+     * 📞 CARRIER LOOKUP
+     * @returns {Promise<TwilioLookup>}
+     */
+    async lookup(phoneNumber) {
+        const cleanPhone = String(phoneNumber).replace(/[^\d+]/g, '');
+        const raw = await this.cached({ dataType: 'phone', identifier: cleanPhone }, () => this.request({
+            url: `${this.baseUrl}/${encodeURIComponent(cleanPhone)}`,
+            query: { Type: 'carrier' }
+        }));
+
+        return {
+            phoneNumber: raw.phone_number,
+            nationalFormat: raw.national_format,
+            countryCode: raw.country_code,
+            carrierName: raw.carrier?.name || null,
+            lineType: raw.carrier?.type || null,
+            raw,
+            fetchedAt: fetchedAtOf(raw)
+        };
+    }
+}
+
+module.exports = { TwilioProvider };
@@ -0,0 +1,80 @@
+/**
+ * 🔍 ZEROBOUNCE PROVIDER
+ *
+ * Email validation. Auth: `api_key` query parameter (ZEROBOUNCE_API_KEY)
+ * Key and credit problems come back as HTTP 200 with an `error` message.
+ */
+
+const { ProviderAdapter, PROVIDER_ERROR_KINDS, fetchedAtOf } = require('./ProviderAdapter');
+
+const ZEROBOUNCE_BASE_URL = 'https://api.zerobounce.net/v2';
+
+/**
+ * @typedef {Object} ZeroBounceValidation
+ * @property {string} email
+ * @property {string} status - valid / invalid / catch-all / unknown / spamtrap / abuse / do_not_mail
+ * @property {string} subStatus
+ * @property {boolean} freeEmail
+ * @property {boolean|null} mxFound
+ * @property {Object} raw
+ * @property {string|null} fetchedAt - when the vendor answered (the stored time for a cached answer)
+ */
+
+class ZeroBounceProvider extends ProviderAdapter {
+    constructor(config = {}) {
+        super('zerobounce', config, { label: 'ZeroBounce' });
+        this.apiKey = config.ZEROBOUNCE_API_KEY || process.env.ZEROBOUNCE_API_KEY;
+        this.baseUrl = config.ZEROBOUNCE_BASE_URL || ZEROBOUNCE_BASE_URL;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    classifyPayload(data) {
+        if (data?.error) {
+            const message = String(data.error);
+            return {
+                kind: /credit/i.test(message) ? PROVIDER_ERROR_KINDS.QUOTA : PROVIDER_ERROR_KINDS.AUTH,
+                message
+            };
+        }
+        return null;
+    }
+
+    /**
+     * 📧 VALIDATE ONE EMAIL
+     * @returns {Promise<ZeroBounceValidation>}
+     */
+    async validate(email) {
+        const raw = await this.cached({ dataType: 'email', identifier: email, person: email }, () => this.request({
+            url: `${this.baseUrl}/validate`,
+            query: { api_key: this.apiKey, email }
+        }));
+
+        return {
+            email: raw.address || email,
+            status: raw.status,
+            subStatus: raw.sub_status,
+            freeEmail: Boolean(raw.free_email),
+            mxFound: raw.mx_found === undefined ? null : String(raw.mx_found) === 'true',
+            raw,
+            fetchedAt: fetchedAtOf(raw)
+        };
+    }
+
+    /**
+     * 💳 REMAINING CREDITS - free, used by health checks
+     * @returns {Promise<number>}
+     */
+    async getCredits() {
+        const raw = await this.request({
+            url: `${this.baseUrl}/getcredits`,
+            query: { api_key: this.apiKey },
+            track: false
+        });
+        return Number(raw.Credits);
+    }
+}
+
+module.exports = { ZeroBounceProvider };
@@ -0,0 +1,204 @@
+/**
+ * 📼 VENDOR CASSETTE
+ *
+ * One JSON file of recorded outbound HTTP interactions (request + response) used to
+ * replay vendor APIs offline. Secrets never reach disk:
+ * - values of secret-looking environment variables (*_API_KEY, *_TOKEN, *_SECRET, *_SID,
+ *   *_PASSWORD) are replaced with {{NAME}} in URLs, bodies and headers
+ * - auth headers (Authorization, api_key, X-KEY, ...) are stored as {{REDACTED}}
+ *
+ * Requests are matched on method + redacted URL + body - a request whose body differs from every
+ * recording is a miss, never another request's response. Dates and years are masked before
+ * matching, so a prompt asking about "2021-2026" or a search window starting a year ago still
+ * replays after the calendar moves on. Repeated identical requests are served in recorded order;
+ * once a sequence is used up its last response is repeated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CASSETTE_DIR = path.join(__dirname, '../../inputs/cassettes');
+
+const SECRET_ENV_PATTERN = /(API_KEY|_TOKEN|_SECRET|_SID|_PASSWORD)$/;
+const MIN_SECRET_LENGTH = 6;
+
+// Request text derived from today's date - masked in match keys, kept as recorded on disk
+const VOLATILE_PATTERNS = [
+    [/\b\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?\b/g, '{{DATE}}'],
+    [/\b(?:19|20)\d{2}\b/g, '{{YEAR}}']
+];
+
+const SENSITIVE_HEADERS = new Set([
+    'authorization',
+    'api_key',
+    'apikey',
+    'x-api-key',
+    'x-key',
+    'x-access-token',
+    'cookie',
+    'set-cookie'
+]);
+
+/**
+ * Secret environment values, longest first so overlapping values redact cleanly
+ */
+function collectSecrets(env = process.env) {
+    return Object.entries(env)
+        .filter(([name, value]) => SECRET_ENV_PATTERN.test(name) && value && value.trim().length >= MIN_SECRET_LENGTH)
+        .map(([name, value]) => ({ name, value: value.trim() }))
+        .sort((a, b) => b.value.length - a.value.length);
+}
+
+/**
+ * Replace every secret value (raw and URL-encoded) with its {{NAME}} placeholder
+ */
+function redact(text, secrets = collectSecrets()) {
+    if (typeof text !== 'string' || !text) return text;
+
+    let redacted = text;
+    for (const { name, value } of secrets) {
+        redacted = redacted.split(value).join(`{{${name}}}`);
+        const encoded = encodeURIComponent(value);
+        if (encoded !== value) {
+            redacted = redacted.split(encoded).join(`{{${name}}}`);
+        }
+    }
+    return redacted;
+}
+
+function redactHeaders(headers = {}, secrets = collectSecrets()) {
+    const redacted = {};
+    Object.entries(headers).forEach(([name, value]) => {
+        const key = name.toLowerCase();
+        redacted[key] = SENSITIVE_HEADERS.has(key) ? '{{REDACTED}}' : redact(String(value), secrets);
+    });
+    return redacted;
+}
+
+/**
+ * Mask dates and years so a request matches its recording on any day
+ */
+function normalizeVolatile(text) {
+    if (typeof text !== 'string' || !text) return text;
+    return VOLATILE_PATTERNS.reduce((normalized, [pattern, mask]) => normalized.replace(pattern, mask), text);
+}
+
+class VendorCassette {
+    /**
+     * @param {string} name - cassette name, e.g. "salesforce.com"
+     * @param {Object} options
+     * @param {string} [options.dir] - defaults to inputs/cassettes
+     */
+    constructor(name, { dir = DEFAULT_CASSETTE_DIR } = {}) {
+        this.name = name;
+        this.file = path.join(dir, `${VendorCassette.fileName(name)}.json`);
+        this.interactions = [];
+        this.secretNames = new Set();
+        this.recordedAt = null;
+        this.cursors = new Map();
+    }
+
+    static fileName(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9._-]+/g, '-');
+    }
+
+    /**
+     * Key a request on method, redacted URL and a hash of the redacted body - dates and years masked
+     */
+    static matchKey({ method = 'GET', url, body = null }) {
+        const bodyHash = body
+            ? crypto.createHash('sha1').update(normalizeVolatile(body)).digest('hex').slice(0, 12)
+            : '-';
+        return `${method.toUpperCase()} ${normalizeVolatile(url)} ${bodyHash}`;
+    }
+
+    exists() {
+        return fs.existsSync(this.file);
+    }
+
+    load() {
+        if (!this.exists()) {
+            throw new Error(`Cassette not found: ${this.file} (record it first with VENDOR_REPLAY_MODE=record)`);
+        }
+
+        const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        // Keys are rebuilt so cassettes keyed by an older matchKey still replay
+        this.interactions = (data.interactions || []).map(interaction => ({
+            ...interaction,
+            key: VendorCassette.matchKey(interaction.request)
+        }));
+        this.secretNames = new Set(data.secrets || []);
+        this.recordedAt = data.recordedAt || null;
+        this.cursors.clear();
+        return this;
+    }
+
+    /**
+     * Written after every interaction so a crashed recording keeps what it captured
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify({
+            name: this.name,
+            recordedAt: new Date().toISOString(),
+            secrets: [...this.secretNames].sort(),
+            interactions: this.interactions
+        }, null, 2));
+    }
+
+    /**
+     * 🔴 RECORD ONE INTERACTION
+     * @param {{method: string, url: string, headers: Object, body: string|null}} request - unredacted
+     * @param {{status: number, statusText: string, headers: Object, body: string, bodyEncoding: string}} response
+     */
+    record(request, response) {
+        const secrets = collectSecrets();
+        secrets.forEach(({ name, value }) => {
+            const raw = JSON.stringify([request, response]);
+            if (raw.includes(value) || raw.includes(encodeURIComponent(value))) {
+                this.secretNames.add(name);
+            }
+        });
+
+        const redactedRequest = {
+            method: request.method.toUpperCase(),
+            url: redact(request.url, secrets),
+            headers: redactHeaders(request.headers, secrets),
+            body: redact(request.body, secrets)
+        };
+
+        this.interactions.push({
+            key: VendorCassette.matchKey(redactedRequest),
+            request: redactedRequest,
+            response: {
+                ...response,
+                headers: redactHeaders(response.headers, secrets),
+                body: response.bodyEncoding === 'base64' ? response.body : redact(response.body, secrets)
+            }
+        });
+        this.save();
+    }
+
+    /**
+     * ▶️ FIND THE RECORDED RESPONSE FOR A REQUEST
+     * @returns {Object|null} recorded response, or null when no interaction was recorded for it
+     */
+    match(request) {
+        const redactedRequest = {
+            method: request.method.toUpperCase(),
+            url: redact(request.url),
+            body: redact(request.body)
+        };
+
+        const key = VendorCassette.matchKey(redactedRequest);
+        const candidates = this.interactions.filter(interaction => interaction.key === key);
+        if (candidates.length === 0) return null;
+
+        const cursor = this.cursors.get(key) || 0;
+        this.cursors.set(key, cursor + 1);
+        return candidates[Math.min(cursor, candidates.length - 1)].response;
+    }
+}
+
+module.exports = { VendorCassette, DEFAULT_CASSETTE_DIR, collectSecrets, redact, redactHeaders, normalizeVolatile };
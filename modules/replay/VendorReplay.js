@@ -0,0 +1,224 @@
+/**
+ * 🎬 VENDOR RECORD / REPLAY
+ *
+ * Routes every outbound fetch through a VendorCassette:
+ * - record: call the real API and append the (redacted) interaction to the cassette
+ * - replay: answer from the cassette only; an unrecorded request fails like a network error
+ *
+ * Both HTTP clients in this repo are covered - the global fetch (provider adapters) and
+ * node-fetch (most modules). Modules capture node-fetch at require time, so install before
+ * loading any pipeline: `node -r ./modules/replay/register.js <script>`.
+ * Requests to localhost always go to the network and are never recorded.
+ *
+ * Config (environment): VENDOR_REPLAY_MODE (off | record | replay), VENDOR_CASSETTE (name),
+ * VENDOR_CASSETTE_DIR (defaults to inputs/cassettes)
+ */
+
+const { VendorCassette, redact } = require('./VendorCassette');
+
+const REPLAY_MODES = ['off', 'record', 'replay'];
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '::1', '[::1]']);
+const TEXT_CONTENT = /json|text|xml|html|javascript|x-www-form-urlencoded/i;
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+
+let activeReplay = null;
+
+class CassetteMissError extends Error {
+    constructor(request) {
+        super(`📼 No recorded interaction for ${request.method} ${request.url}`);
+        this.name = 'CassetteMissError';
+        this.code = 'ECASSETTEMISS';
+    }
+}
+
+/**
+ * Normalize fetch(input, init) into { method, url, headers, body } with a string body
+ */
+function describeRequest(input, init = {}) {
+    const url = typeof input === 'string' ? input : (input?.url || input?.href || String(input));
+    const method = (init.method || input?.method || 'GET').toUpperCase();
+
+    const headers = {};
+    const rawHeaders = init.headers || input?.headers;
+    if (rawHeaders) {
+        const entries = typeof rawHeaders.forEach === 'function' && !Array.isArray(rawHeaders)
+            ? (() => { const list = []; rawHeaders.forEach((value, name) => list.push([name, value])); return list; })()
+            : Object.entries(rawHeaders);
+        entries.forEach(([name, value]) => { headers[name.toLowerCase()] = String(value); });
+    }
+
+    let body = null;
+    if (init.body !== undefined && init.body !== null) {
+        if (typeof init.body === 'string') body = init.body;
+        else if (Buffer.isBuffer(init.body)) body = init.body.toString('utf8');
+        else if (init.body instanceof URLSearchParams) body = init.body.toString();
+        else body = '[unserializable body]';
+    }
+
+    return { method, url, headers, body };
+}
+
+function isLocal(url) {
+    try {
+        return LOCAL_HOSTS.has(new URL(url).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Capture a live response without consuming the caller's copy
+ */
+async function captureResponse(response) {
+    const headers = {};
+    response.headers.forEach((value, name) => { headers[name] = value; });
+
+    const buffer = Buffer.from(await response.clone().arrayBuffer());
+    const textual = TEXT_CONTENT.test(headers['content-type'] || 'text/plain');
+
+    return {
+        status: response.status,
+        statusText: response.statusText || '',
+        headers,
+        body: textual ? buffer.toString('utf8') : buffer.toString('base64'),
+        bodyEncoding: textual ? 'utf8' : 'base64'
+    };
+}
+
+/**
+ * Rebuild a recorded response with the Response class the caller expects - without a recorded
+ * Date header it carries the cassette's recording time, so replayed data does not look fresh
+ */
+function buildResponse(ResponseClass, recorded, url, recordedAt = null) {
+    const headers = { ...(recorded.headers || {}) };
+    if (recordedAt && !Object.keys(headers).some(name => name.toLowerCase() === 'date')) {
+        headers.date = new Date(recordedAt).toUTCString();
+    }
+
+    const body = NULL_BODY_STATUSES.has(recorded.status)
+        ? null
+        : Buffer.from(recorded.body || '', recorded.bodyEncoding === 'base64' ? 'base64' : 'utf8');
+
+    return new ResponseClass(body, {
+        status: recorded.status,
+        statusText: recorded.statusText,
+        headers,
+        url
+    });
+}
+
+/**
+ * Wrap one fetch implementation with record / replay behaviour
+ */
+function wrapFetch(originalFetch, ResponseClass, replay) {
+    return async function cassetteFetch(input, init = {}) {
+        const request = describeRequest(input, init);
+
+        if (isLocal(request.url)) {
+            return originalFetch(input, init);
+        }
+
+        if (replay.mode === 'replay') {
+            const recorded = replay.cassette.match(request);
+            if (!recorded) {
+                replay.misses++;
+                const missed = { method: request.method, url: redact(request.url) };
+                console.log(`📼 Cassette miss: ${missed.method} ${missed.url}`);
+                throw new CassetteMissError(missed);
+            }
+            replay.hits++;
+            return buildResponse(ResponseClass, recorded, request.url, replay.cassette.recordedAt);
+        }
+
+        const response = await originalFetch(input, init);
+        replay.cassette.record(request, await captureResponse(response));
+        return response;
+    };
+}
+
+/**
+ * Point node-fetch's module export at the wrapper so later require() calls get it
+ */
+function patchNodeFetch(replay) {
+    let resolved;
+    try {
+        resolved = require.resolve('node-fetch');
+    } catch (error) {
+        return null;
+    }
+
+    const original = require('node-fetch');
+    const wrapped = wrapFetch(original, original.Response, replay);
+    Object.assign(wrapped, original);
+    wrapped.default = wrapped;
+    require.cache[resolved].exports = wrapped;
+
+    return () => { require.cache[resolved].exports = original; };
+}
+
+function patchGlobalFetch(replay) {
+    if (typeof globalThis.fetch !== 'function') return null;
+
+    const original = globalThis.fetch;
+    globalThis.fetch = wrapFetch(original, globalThis.Response, replay);
+    return () => { globalThis.fetch = original; };
+}
+
+/**
+ * 🎬 INSTALL RECORD / REPLAY FOR THIS PROCESS
+ *
+ * In replay mode, secret env vars recorded in the cassette get a placeholder value when
+ * unset so modules that skip unconfigured vendors still make (replayed) calls.
+ *
+ * @param {Object} options
+ * @param {string} [options.mode] - record | replay | off (default VENDOR_REPLAY_MODE)
+ * @param {string} [options.cassette] - cassette name (default VENDOR_CASSETTE or "default")
+ * @param {string} [options.dir] - cassette directory (default VENDOR_CASSETTE_DIR)
+ * @returns {Object|null} the active replay state ({ mode, cassette, hits, misses, uninstall })
+ */
+function installVendorReplay({
+    mode = process.env.VENDOR_REPLAY_MODE || 'off',
+    cassette = process.env.VENDOR_CASSETTE || 'default',
+    dir = process.env.VENDOR_CASSETTE_DIR
+} = {}) {
+    mode = String(mode).toLowerCase();
+    if (!REPLAY_MODES.includes(mode)) {
+        throw new Error(`Unknown VENDOR_REPLAY_MODE "${mode}" (expected ${REPLAY_MODES.join(', ')})`);
+    }
+    if (mode === 'off') return null;
+
+    if (activeReplay) {
+        activeReplay.uninstall();
+    }
+
+    const replay = {
+        mode,
+        cassette: new VendorCassette(cassette, dir ? { dir } : {}),
+        hits: 0,
+        misses: 0
+    };
+
+    if (mode === 'replay') {
+        replay.cassette.load();
+        replay.cassette.secretNames.forEach(name => {
+            if (!process.env[name]) process.env[name] = `replay-${name.toLowerCase()}`;
+        });
+    }
+
+    const restores = [patchNodeFetch(replay), patchGlobalFetch(replay)].filter(Boolean);
+    replay.uninstall = () => {
+        restores.forEach(restore => restore());
+        if (activeReplay === replay) activeReplay = null;
+    };
+
+    activeReplay = replay;
+    const count = mode === 'replay' ? ` (${replay.cassette.interactions.length} interactions)` : '';
+    console.log(`📼 Vendor ${mode} mode: ${replay.cassette.file}${count}`);
+    return replay;
+}
+
+function getActiveReplay() {
+    return activeReplay;
+}
+
+module.exports = { installVendorReplay, getActiveReplay, CassetteMissError, REPLAY_MODES };
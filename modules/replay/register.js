@@ -0,0 +1,32 @@
+/**
+ * 📼 PRELOAD HOOK FOR RECORD / REPLAY
+ *
+ * Usage:
+ *   VENDOR_REPLAY_MODE=record VENDOR_CASSETTE=salesforce.com node -r ./modules/replay/register.js test-local-pipeline.js
+ *   VENDOR_REPLAY_MODE=replay VENDOR_CASSETTE=salesforce.com node -r ./modules/replay/register.js test-local-pipeline.js
+ *
+ * Loads .env first so keys are known to the redactor, and switches the data cache to the
+ * in-memory backend (unless CACHE_BACKEND is set) so cached results neither hide calls
+ * from a recording nor leak into a replay. Replayed calls cost nothing, so replay mode also
+ * keeps them out of the spend ledger (SPEND_LEDGER=off unless set).
+ */
+
+require('dotenv').config();
+const { installVendorReplay } = require('./VendorReplay');
+
+const replay = installVendorReplay();
+
+if (replay) {
+    process.env.CACHE_BACKEND = process.env.CACHE_BACKEND || 'memory';
+    if (replay.mode === 'replay') {
+        process.env.SPEND_LEDGER = process.env.SPEND_LEDGER || 'off';
+    }
+
+    process.on('exit', () => {
+        if (replay.mode === 'replay') {
+            console.log(`📼 Replay finished: ${replay.hits} served, ${replay.misses} missing from ${replay.cassette.file}`);
+        } else {
+            console.log(`📼 Recorded ${replay.cassette.interactions.length} interactions to ${replay.cassette.file}`);
+        }
+    });
+}
@@ -16,9 +16,10 @@ const csv = require('csv-parser');
 const { createObjectCsvWriter } = require('csv-writer');
 
 // Import all pipeline classes
-const { CorePipeline } = require('./src/platform/core/pipelines/orchestration/core/core-pipeline.js');
-const { AdvancedPipeline } = require('./src/platform/core/pipelines/orchestration/advanced/advanced-pipeline.js');
-const { PowerhousePipeline } = require('./src/platform/core/pipelines/orchestration/powerhouse/powerhouse-pipeline.js');
+const { CorePipeline } = require('./pipelines/core-pipeline.js');
+const { AdvancedPipeline } = require('./pipelines/advanced-pipeline.js');
+const { PowerhousePipeline } = require('./pipelines/powerhouse-pipeline.js');
+const { toExpectedCompanies, matchesExpected } = require('./modules/AccuracyHarness');
 
 class PipelineValidationSystem {
     constructor() {
@@ -28,13 +29,8 @@ class PipelineValidationSystem {
             powerhouse: { accuracy: 0, speed: 0, errors: [], warnings: [] }
         };
         
-        this.testCompanies = [
-            { website: 'salesforce.com', expectedCFO: 'Amy Weaver', expectedCRO: 'Brian Millham' },
-            { website: 'microsoft.com', expectedCFO: 'Amy Hood', expectedCRO: 'Judson Althoff' },
-            { website: 'adobe.com', expectedCFO: 'Dan Durn', expectedCRO: 'Anil Chakravarthy' },
-            { website: 'hubspot.com', expectedCFO: 'Kathryn Bueker', expectedCRO: 'Yamini Rangan' },
-            { website: 'zoom.us', expectedCFO: 'Kelly Steckelberg', expectedCRO: 'Ryan Azus' }
-        ];
+        // Ground truth lives in inputs/golden/golden-set.json (see accuracy-harness.js)
+        this.testCompanies = toExpectedCompanies().slice(0, 5);
         
         this.benchmarks = {
             core: { maxTime: 2000, minAccuracy: 90 }, // 2 seconds, 90% accuracy
@@ -339,14 +335,14 @@ class PipelineValidationSystem {
         // Check CFO data
         if (!result.cfo || !result.cfo.name) {
             errors.push('CFO not found');
-        } else if (result.cfo.name.toLowerCase() !== expected.expectedCFO.toLowerCase()) {
+        } else if (!matchesExpected('name', expected.roles.cfo, result.cfo.name)) {
             errors.push(`CFO mismatch: expected ${expected.expectedCFO}, got ${result.cfo.name}`);
         }
         
         // Check CRO data
         if (!result.cro || !result.cro.name) {
             errors.push('CRO not found');
-        } else if (result.cro.name.toLowerCase() !== expected.expectedCRO.toLowerCase()) {
+        } else if (!matchesExpected('name', expected.roles.cro, result.cro.name)) {
             errors.push(`CRO mismatch: expected ${expected.expectedCRO}, got ${result.cro.name}`);
         }
         
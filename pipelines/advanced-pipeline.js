@@ -13,7 +13,6 @@
 
 const fs = require('fs');
 const path = require('path');
-const csv = require('csv-parser');
 const { createObjectCsvWriter } = require('csv-writer');
 
 // Load environment variables
@@ -29,9 +28,13 @@ const { ValidationEngine } = require("../modules/ValidationEngine");
 const { RelationshipValidator } = require("../modules/RelationshipValidator");
 const { DataEnhancer } = require("../modules/DataEnhancer");
 const { AccuracyOptimizedContacts } = require("../modules/AccuracyOptimizedContacts");
-const { ApiCostOptimizer } = require("../modules/ApiCostOptimizer");
+const { EmailFormatStore } = require("../modules/EmailFormatStore");
+const { getSharedCostOptimizer } = require("../modules/ApiCostOptimizer");
 const { ExecutiveTransitionDetector } = require("../modules/ExecutiveTransitionDetector");
 const { ExecutiveValidation } = require("../modules/ExecutiveValidation");
+const { matchRole } = require("../modules/RoleTaxonomy");
+const { PipelineEngine } = require("./pipeline-engine");
+const { PIPELINE_TIERS } = require("../config/pipeline-tiers");
 
 /**
  * ADVANCED PIPELINE
@@ -59,13 +62,17 @@ class AdvancedPipeline {
             DROPCONTACT_API_KEY: process.env.DROPCONTACT_API_KEY,
             // Performance optimizations
             PARALLEL_PROCESSING: true,
-            MAX_PARALLEL_COMPANIES: 20,        // High parallelization for advanced pipeline
             MAX_PARALLEL_APIS: 6,              // Concurrent API calls per company
             REDUCED_DELAYS: true,
             CACHE_ENABLED: true,
             AGGRESSIVE_CACHING: true
         };
 
+        // One learned-email-format store for every module (modules/EmailFormatStore.js)
+        config.emailFormats = new EmailFormatStore(config);
+        // The process-wide spend tracker the provider adapters report to
+        this.apiCostOptimizer = config.costOptimizer = getSharedCostOptimizer();
+
         this.companyResolver = new CompanyResolver(config);
         this.researcher = new ExecutiveResearch(config);
         this.peIntelligence = new PEOwnershipAnalysis(config);
@@ -76,8 +83,10 @@ class AdvancedPipeline {
         this.validationEngine = new ValidationEngine(config);
         this.relationshipValidator = new RelationshipValidator(config);
         this.dataEnhancer = new DataEnhancer();
-        this.accuracyOptimizedContacts = new AccuracyOptimizedContacts();
+        this.accuracyOptimizedContacts = new AccuracyOptimizedContacts({ emailFormats: config.emailFormats });
         this.executiveValidation = new ExecutiveValidation(config);
+        this.config = config;
+        this.engine = new PipelineEngine(PIPELINE_TIERS.advanced, this);
         this.results = [];
         this.stats = {
             processed: 0,
@@ -110,29 +119,16 @@ class AdvancedPipeline {
         try {
             // STEP 1: Load companies from CSV
             console.log('\nSTEP 1: Loading Companies');
-            const companies = await this.loadCompanies();
+            const companies = await this.engine.loadCompanies();
             console.log(`   Loaded ${companies.length} companies`);
 
             // STEP 2: Process each company with executive research
             console.log('\nSTEP 2: Executive Research');
-            for (let i = 0; i < companies.length; i++) {
-                const company = companies[i];
-                console.log(`\n${'-'.repeat(80)}`);
-                console.log(`PROCESSING ${i + 1}/${companies.length}: ${company.website}`);
-                console.log(`${'-'.repeat(80)}`);
-                
-                await this.processCompany(company, i + 1);
-                
-                // Rate limiting between companies
-                if (i < companies.length - 1) {
-                    console.log('\nRate limiting: 10s delay between companies...');
-                    await new Promise(resolve => setTimeout(resolve, 10000));
-                }
-            }
+            await this.engine.processCompanies(companies);
 
             // STEP 3: Add parent company, PE firm, and VC firm rows
             console.log('\nSTEP 3: Adding Parent Company, PE, and VC Rows');
-            await this.addRelatedCompanyRows();
+            await this.engine.addRelatedCompanyRows();
 
             // STEP 4: Generate dataset CSV
             console.log('\nSTEP 4: Generating Advanced Dataset CSV');
@@ -163,395 +159,13 @@ class AdvancedPipeline {
         }
     }
 
-    /**
-     *  LOAD COMPANIES FROM CSV
-     */
-    async loadCompanies() {
-        return new Promise((resolve, reject) => {
-            const companies = [];
-            
-            // Use command line argument or default file
-            const inputFile = process.argv[2] || path.join(__dirname, '../../inputs/test-1-company.csv');
-            console.log(`    Reading from: ${inputFile}`);
-            
-            fs.createReadStream(inputFile)
-                .pipe(csv())
-                .on('data', (row) => {
-                    // Support multiple CSV formats
-                    const website = row.Website || row.domain || row.Domain;
-                    const companyName = row['Company Name'] || row.company_name || row['company_name'];
-                    
-                    if (website && website.trim()) {
-                        companies.push({
-                            website: website.trim(),
-                            company_name: companyName || website.trim(),
-                            accountOwner: row['Account Owner'] || 'Unknown',
-                            isTop1000: row['Top 1000'] === '1'
-                        });
-                    }
-                })
-                .on('end', () => resolve(companies))
-                .on('error', reject);
-        });
-    }
-
     /**
      *  PROCESS INDIVIDUAL COMPANY
+     *
+     * Runs the tier stages (config/pipeline-tiers.js) through the PipelineEngine
      */
     async processCompany(company, index) {
-        const result = {
-            index,
-            website: company.website,
-            accountOwner: company.accountOwner,
-            isTop1000: company.isTop1000,
-            companyName: '',
-            ceo: {
-                name: '',
-                title: '',
-                confidence: 0,
-                source: '',
-                validated: false
-            },
-            financeLeader: {
-                name: '',
-                title: '',
-                confidence: 0,
-                source: '',
-                validated: false,
-                role: '', // CFO, Controller, VP Finance, etc.
-                financeResponsibilities: ''
-            },
-            researchMethod: '',
-            overallConfidence: 0,
-            riskLevel: 'HIGH',
-            processingTime: 0,
-            timestamp: new Date().toISOString(),
-            validationNotes: [],
-            error: null
-        };
-
-        const startTime = Date.now();
-
-        try {
-            this.stats.processed++;
-
-            // STEP 0: Company Resolution (URL resolution, acquisition detection)
-            console.log('Resolving company identity and structure...');
-            const companyResolution = await this.companyResolver.resolveCompany(company.website);
-            result.companyResolution = companyResolution;
-            result.companyName = companyResolution.companyName || this.extractCompanyName(company.website);
-
-            // Enhanced executive research
-            const research = await this.researcher.researchExecutives({
-                name: result.companyName,
-                website: company.website,
-                companyResolution: companyResolution
-            });
-
-            // Process research results
-            if (research.ceo) {
-                result.ceo = {
-                    name: research.ceo.name || '',
-                    title: research.ceo.title || '',
-                    confidence: Math.round((research.ceo.confidence || 0) * 100),
-                    source: research.ceo.source || '',
-                    validated: research.ceo.confidence > 0.8
-                };
-                this.stats.ceoFound++;
-            }
-
-            if (research.financeLeader) {
-                result.financeLeader = {
-                    name: research.financeLeader.name || '',
-                    title: research.financeLeader.title || '',
-                    confidence: Math.round((research.financeLeader.confidence || 0) * 100),
-                    source: research.financeLeader.source || '',
-                    validated: research.financeLeader.confidence > 0.8,
-                    role: this.categorizeFinanceRole(research.financeLeader.title || ''),
-                    financeResponsibilities: research.financeLeader.financeResponsibilities || ''
-                };
-                this.stats.financeFound++;
-            }
-
-            // Store additional research data
-            result.corporateStructure = research.corporateStructure || {};
-            result.companyDetails = research.companyDetails || {};
-            result.dataFreshness = research.dataFreshness || {};
-            result.confidenceExplanation = research.confidenceExplanation || {};
-
-            // STEP 2.5: Executive Employment Validation (PREVENT CROSS-CONTAMINATION)
-            console.log('🛡️ Validating executive employment to prevent cross-contamination...');
-
-            if (result.ceo && result.ceo.name && result.ceo.name !== '' && result.ceo.confidence >= 90) {
-                console.log(`   🔍 Validating CEO: ${result.ceo.name} at ${result.companyName}`);
-                const validatedCeo = await this.executiveValidation.validateAndCorrectExecutive(
-                    result.ceo,
-                    result.companyName,
-                    company.website
-                );
-                result.ceo = { ...result.ceo, ...validatedCeo };
-            } else if (result.ceo && result.ceo.confidence < 90) {
-                console.log(`   ❌ CEO confidence too low (${result.ceo.confidence}%) - skipping`);
-                result.ceo = { name: '', title: '', confidence: 0 };
-            }
-
-            if (result.financeLeader && result.financeLeader.name && result.financeLeader.name !== '' && result.financeLeader.confidence >= 90) {
-                console.log(`   🔍 Validating Finance Leader: ${result.financeLeader.name} at ${result.companyName}`);
-                const validatedFinance = await this.executiveValidation.validateAndCorrectExecutive(
-                    result.financeLeader,
-                    result.companyName,
-                    company.website
-                );
-                result.financeLeader = { ...result.financeLeader, ...validatedFinance };
-            } else if (result.financeLeader && result.financeLeader.confidence < 90) {
-                console.log(`   ❌ Finance Leader confidence too low (${result.financeLeader.confidence}%) - skipping`);
-                result.financeLeader = { name: '', title: '', confidence: 0 };
-            }
-
-            // STEP 6: PE Ownership Analysis
-            console.log(' Analyzing PE ownership...');
-            const peAnalysis = await this.peIntelligence.analyzePEOwnership(result.corporateStructure);
-            result.peOwnership = peAnalysis;
-
-            // STEP 7: Cost-Effective Intelligence (CoreSignal + Lusha)
-            console.log('Adding cost-effective intelligence (CoreSignal + Lusha)...');
-            const contactIntelligenceData = await this.executiveContactIntelligence.enhanceExecutiveIntelligence(result);
-            result.executiveContactIntelligence = contactIntelligenceData;
-
-            // STEP 8: Industry Classification & Competitor Analysis
-            console.log('Analyzing industry classification and competitors...');
-            const industryData = await this.industryClassification.analyzeIndustryAndCompetitors(result);
-            result.industryIntelligence = industryData;
-
-            // STEP 9: Contact Validation (Email/Phone validation with triangulation)
-            console.log('Validating executive contacts...');
-            const contactValidation = await this.contactValidator.enrichContacts(
-                { executives: { ceo: result.ceo, cfo: result.financeLeader } },
-                companyResolution
-            );
-            result.contactValidation = contactValidation;
-
-            // STEP 10: Comprehensive Data Validation (Risk assessment + Quality metrics)
-            console.log('Running comprehensive data validation...');
-            const dataValidation = await this.validationEngine.validateExecutiveData(
-                contactValidation,
-                { executives: { ceo: result.ceo, cfo: result.financeLeader }, sources: ['ExecutiveResearch', 'ExecutiveContactIntelligence'] },
-                companyResolution
-            );
-            result.dataValidation = dataValidation;
-
-            // STEP 7: Relationship Validation & Intelligence Enhancement
-            console.log(' Enhancing with relationship intelligence...');
-            
-            // Only run relationship validation if we have substantial REAL data to validate
-            const hasRealCorporateData = result.corporateStructure?.parentCompany && result.corporateStructure.parentCompany !== 'None';
-            const hasRealPEData = result.peOwnership?.isPEOwned && result.peOwnership.peOwner !== 'None';
-            const hasRealExecutiveData = (result.ceo.name && result.ceo.name !== '') && 
-                                        (result.financeLeader.name && result.financeLeader.name !== '');
-            
-            if (hasRealCorporateData || hasRealPEData || hasRealExecutiveData) {
-                
-                const smartRelationships = this.createSmartRelationships(result, research);
-                const relationshipValidation = await this.relationshipValidator.validateRelationships({
-                    companyName: result.companyName,
-                    website: company.website
-                }, smartRelationships);
-                
-                // Intelligently merge validation results with existing data
-                result.relationshipIntelligence = this.mergeRelationshipIntelligence(result, relationshipValidation);
-                
-                // Update stats only for successful validations
-                if (relationshipValidation.overallConfidence > 70) {
-                    this.stats.relationshipsValidated++;
-                    this.stats.sourcesFound += relationshipValidation.validationSources?.length || 0;
-                    this.stats.executiveConnections += relationshipValidation.executiveConnections?.internalConnections?.length || 0;
-                }
-            } else {
-                // For companies with limited data, create basic relationship intelligence
-                result.relationshipIntelligence = this.createBasicRelationshipIntelligence(result);
-                console.log('   ℹ️ Limited data - using basic relationship intelligence');
-            }
-
-            if (result.ceo.name && result.financeLeader.name) {
-                this.stats.bothFound++;
-            }
-
-            result.companyName = research.company?.name || this.extractCompanyName(company.website);
-            result.researchMethod = research.researchMethod || 'enhanced_research';
-            result.overallConfidence = Math.round((research.confidence || 0) * 100);
-            
-            // Risk assessment
-            result.riskLevel = this.assessRisk(result);
-            
-            if (result.overallConfidence >= 80) {
-                this.stats.highConfidence++;
-            }
-
-            // Validation notes
-            result.validationNotes = this.generateValidationNotes(research, result);
-
-            this.stats.successful++;
-
-            console.log(` SUCCESS: ${result.companyName}`);
-            console.log(`   CEO: ${result.ceo.name || 'Not found'} (${result.ceo.confidence}%)`);
-            console.log(`   Finance: ${result.financeLeader.name || 'Not found'} (${result.financeLeader.confidence}%)`);
-            console.log(`   Role: ${result.financeLeader.role || 'N/A'}`);
-            console.log(`   Method: ${result.researchMethod}`);
-            console.log(`   Overall: ${result.overallConfidence}% confidence, ${result.riskLevel} risk`);
-            console.log(`   Relationship Intelligence: ${result.relationshipIntelligence?.overallConfidence || 0}% confidence`);
-            console.log(`   Sources: ${result.relationshipIntelligence?.validationSources?.length || 0} validated`);
-
-        } catch (error) {
-            console.error(`❌ Error: ${error.message}`);
-            // Ensure result object exists with basic structure
-            if (!result) {
-                result = {
-                    index,
-                    website: company.website,
-                    companyName: company.website || 'Unknown',
-                    cfo: { name: 'Not Found', confidence: 0 },
-                    cro: { name: 'Not Found', confidence: 0 },
-                    overallConfidence: 0
-                };
-            }
-            result.error = error.message;
-            result.riskLevel = 'CRITICAL';
-            this.stats.errors++;
-        }
-
-        // Ensure result exists before accessing properties
-        if (result) {
-            result.processingTime = Date.now() - startTime;
-            this.results.push(result);
-        }
-        
-        // Return the result for API usage
-        return result;
-    }
-
-    /**
-     *  ADD RELATED COMPANY ROWS
-     * 
-     * Analyzes results and adds:
-     * 1. Parent companies (corporate parents)
-     * 2. Merger and acquisition companies
-     * 
-     * Each with appropriate executive research for their industry type
-     * Note: PE/VC firms are handled in powerhouse-pipeline.js
-     */
-    async addRelatedCompanyRows() {
-        const relatedCompaniesToAdd = [];
-        const processedCompanies = new Set();
-
-        for (const result of this.results) {
-            // 1. ADD PARENT COMPANIES (includes mergers/acquisitions)
-            await this.addParentCompanyIfNeeded(result, relatedCompaniesToAdd, processedCompanies);
-        }
-
-        // Add all related company results to the main results
-        this.results.push(...relatedCompaniesToAdd);
-        this.stats.parentCompaniesAdded = relatedCompaniesToAdd.length;
-        
-        console.log(`    Added ${relatedCompaniesToAdd.length} parent/merger/acquisition company rows`);
-    }
-
-    /**
-     * Add parent company row if needed
-     */
-    async addParentCompanyIfNeeded(result, relatedCompaniesToAdd, processedCompanies) {
-        const parentCompany = result.corporateStructure?.parentCompany;
-        
-        if (parentCompany && 
-            parentCompany !== 'None' && 
-            !processedCompanies.has(parentCompany) &&
-            this.shouldAddParentCompany(result)) {
-            
-            console.log(` Processing parent company: ${parentCompany}`);
-            processedCompanies.add(parentCompany);
-            
-            try {
-                const parentResult = await this.researchRelatedCompany(
-                    parentCompany, 
-                    result, 
-                    'parent_company',
-                    'Standard Corporate Executives'
-                );
-                if (parentResult) {
-                    relatedCompaniesToAdd.push(parentResult);
-                    console.log(`    Added parent company: ${parentCompany}`);
-                }
-            } catch (error) {
-                console.error(`    Failed to research parent company ${parentCompany}: ${error.message}`);
-            }
-            
-            await new Promise(resolve => setTimeout(resolve, 5000));
-        }
-    }
-
-    /**
-     * Add PE firm row if needed
-     */
-    async addPEFirmIfNeeded(result, relatedCompaniesToAdd, processedCompanies) {
-        const peOwnership = result.peOwnership;
-        
-        if (peOwnership?.isPEOwned && 
-            peOwnership.peOwner !== 'None' &&
-            !processedCompanies.has(peOwnership.peOwner)) {
-            
-            console.log(` Processing PE firm: ${peOwnership.peOwner}`);
-            processedCompanies.add(peOwnership.peOwner);
-            
-            try {
-                const peResult = await this.researchRelatedCompany(
-                    peOwnership.peOwner,
-                    result,
-                    'pe_firm',
-                    'PE/Investment Firm Executives'
-                );
-                if (peResult) {
-                    relatedCompaniesToAdd.push(peResult);
-                    console.log(`    Added PE firm: ${peOwnership.peOwner}`);
-                }
-            } catch (error) {
-                console.error(`    Failed to research PE firm ${peOwnership.peOwner}: ${error.message}`);
-            }
-            
-            await new Promise(resolve => setTimeout(resolve, 5000));
-        }
-    }
-
-    /**
-     * Add VC firm row if needed (separate from PE)
-     */
-    async addVCFirmIfNeeded(result, relatedCompaniesToAdd, processedCompanies) {
-        // Check if parent company is a VC firm (different from PE)
-        const parentCompany = result.corporateStructure?.parentCompany;
-        
-        if (parentCompany && 
-            !processedCompanies.has(parentCompany) &&
-            this.isVCFirm(parentCompany) &&
-            !result.peOwnership?.isPEOwned) {
-            
-            console.log(`🚀 Processing VC firm: ${parentCompany}`);
-            processedCompanies.add(parentCompany);
-            
-            try {
-                const vcResult = await this.researchRelatedCompany(
-                    parentCompany,
-                    result,
-                    'vc_firm', 
-                    'VC/Investment Firm Executives'
-                );
-                if (vcResult) {
-                    relatedCompaniesToAdd.push(vcResult);
-                    console.log(`    Added VC firm: ${parentCompany}`);
-                }
-            } catch (error) {
-                console.error(`    Failed to research VC firm ${parentCompany}: ${error.message}`);
-            }
-            
-            await new Promise(resolve => setTimeout(resolve, 5000));
-        }
+        return this.engine.processCompany(company, index);
     }
 
     /**
@@ -591,8 +205,8 @@ class AdvancedPipeline {
     async researchRelatedCompany(companyName, subsidiaryResult, companyType, executiveContext) {
         // Create company info for research
         const companyInfo = {
-            name: this.cleanCompanyName(companyName),
-            website: await this.guessCompanyWebsite(companyName, companyType)
+            name: this.engine.cleanCompanyName(companyName),
+            website: await this.engine.guessCompanyWebsite(companyName)
         };
 
         console.log(`    Researching: ${companyInfo.name} (${companyInfo.website})`);
@@ -731,74 +345,6 @@ Focus on senior decision-makers who would be involved in portfolio company overs
         };
     }
 
-    /**
-     * Clean company name for research
-     */
-    cleanCompanyName(companyName) {
-        // Remove common suffixes and clarifications
-        return companyName
-            .replace(/\s*\(.*?\)\s*/g, '') // Remove parenthetical info
-            .replace(/\s*(Holdings?|Holding Co\.?|LLC|Inc\.?|Ltd\.?|Corp\.?)\s*$/i, '') // Remove entity types
-            .trim();
-    }
-
-    /**
-     * Guess company website based on type (AI-DRIVEN)
-     */
-    async guessCompanyWebsite(companyName, companyType) {
-        const cleanName = this.cleanCompanyName(companyName)
-            .toLowerCase()
-            .replace(/[^a-z0-9]/g, ''); // Remove special characters
-        
-        // Use AI to research the likely website for investment firms
-        try {
-            const prompt = `What is the official website for ${companyName}?
-
-Provide ONLY a JSON response:
-{
-    "website": "www.company.com",
-    "confidence": 0.90
-}`;
-
-            const response = await fetch('https://api.perplexity.ai/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.config.PERPLEXITY_API_KEY?.trim()}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'sonar-pro',
-                    messages: [{ role: 'user', content: prompt }],
-                    temperature: 0.1,
-                    max_tokens: 150
-                })
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                const content = data.choices[0].message.content;
-                
-                try {
-                    const jsonMatch = content.match(/\{[\s\S]*\}/);
-                    if (jsonMatch) {
-                        const result = JSON.parse(jsonMatch[0]);
-                        if (result.website) {
-                            console.log(`   🎯 AI-researched website: ${result.website}`);
-                            return result.website;
-                        }
-                    }
-                } catch (parseError) {
-                    console.log(`   ⚠️ Website research parsing failed`);
-                }
-            }
-        } catch (error) {
-            console.log(`   ⚠️ Website research failed: ${error.message}`);
-        }
-
-        // Fallback: Generate based on cleaned name
-        return `www.${cleanName}.com`;
-    }
-
     /**
      *  GENERATE FINAL CSV
      */
@@ -1423,56 +969,47 @@ ${this.generateKeyInsights(metrics)}
      *  GENERATE SUMMARY REPORT
      */
     generateSummary() {
-        console.log('\n FINAL PIPELINE SUMMARY');
-        console.log('=' .repeat(80));
-        const totalRows = this.results.length;
-        console.log(` Original Companies Processed: ${this.stats.processed}`);
-        console.log(` Parent Companies Added: ${this.stats.parentCompaniesAdded}`);
-        console.log(`📋 Total Rows in Output: ${totalRows}`);
-        console.log(` CEOs Found: ${this.stats.ceoFound}/${this.stats.processed} (${Math.round(this.stats.ceoFound/this.stats.processed*100)}%)`);
-        console.log(` Finance Leaders Found: ${this.stats.financeFound}/${this.stats.processed} (${Math.round(this.stats.financeFound/this.stats.processed*100)}%)`);
-        console.log(` Both Found: ${this.stats.bothFound}/${this.stats.processed} (${Math.round(this.stats.bothFound/this.stats.processed*100)}%)`);
-        console.log(` High Confidence: ${this.stats.highConfidence}/${this.stats.processed} (${Math.round(this.stats.highConfidence/this.stats.processed*100)}%)`);
-        console.log(` Errors: ${this.stats.errors}/${this.stats.processed} (${Math.round(this.stats.errors/this.stats.processed*100)}%)`);
-        console.log(` Relationships Validated: ${this.stats.relationshipsValidated}/${this.stats.processed} (${Math.round(this.stats.relationshipsValidated/this.stats.processed*100)}%)`);
-        console.log(`📋 Validation Sources Found: ${this.stats.sourcesFound}`);
-        console.log(` Executive Connections: ${this.stats.executiveConnections}`);
-
-        console.log('\n FINANCE ROLE BREAKDOWN:');
-        const financeRoles = {};
-        this.results.forEach(result => {
-            if (result.financeLeader.role) {
-                financeRoles[result.financeLeader.role] = (financeRoles[result.financeLeader.role] || 0) + 1;
-            }
-        });
+        this.engine.generateSummary([
+            [' CEOs Found', this.stats.ceoFound],
+            [' Finance Leaders Found', this.stats.financeFound],
+            [' Both Found', this.stats.bothFound],
+            [' High Confidence', this.stats.highConfidence],
+            [' Relationships Validated', this.stats.relationshipsValidated]
+        ], [
+            'outputs/advanced/advanced-executive-intelligence-dataset.csv - Main results',
+            'outputs/advanced/advanced-executive-intelligence-data.json - Detailed data',
+            'outputs/advanced/advanced-dataset-metrics.json - Dataset analytics',
+            'outputs/advanced/advanced-dataset-metrics-report.md - Human-readable metrics'
+        ], () => {
+            console.log(`📋 Validation Sources Found: ${this.stats.sourcesFound}`);
+            console.log(` Executive Connections: ${this.stats.executiveConnections}`);
+
+            console.log('\n FINANCE ROLE BREAKDOWN:');
+            const financeRoles = {};
+            this.results.forEach(result => {
+                if (result.financeLeader.role) {
+                    financeRoles[result.financeLeader.role] = (financeRoles[result.financeLeader.role] || 0) + 1;
+                }
+            });
 
-        Object.entries(financeRoles).forEach(([role, count]) => {
-            console.log(`   ${role}: ${count}`);
-        });
+            Object.entries(financeRoles).forEach(([role, count]) => {
+                console.log(`   ${role}: ${count}`);
+            });
 
-        console.log('\n RISK DISTRIBUTION:');
-        const riskLevels = { LOW: 0, MEDIUM: 0, HIGH: 0, CRITICAL: 0 };
-        this.results.forEach(result => {
-            riskLevels[result.riskLevel]++;
-        });
+            console.log('\n RISK DISTRIBUTION:');
+            const riskLevels = { LOW: 0, MEDIUM: 0, HIGH: 0, CRITICAL: 0 };
+            this.results.forEach(result => {
+                riskLevels[result.riskLevel]++;
+            });
 
-        Object.entries(riskLevels).forEach(([level, count]) => {
-            const percentage = Math.round(count/this.stats.processed*100);
-            console.log(`   ${level}: ${count} (${percentage}%)`);
-        });
+            Object.entries(riskLevels).forEach(([level, count]) => {
+                const percentage = Math.round(count/this.stats.processed*100);
+                console.log(`   ${level}: ${count} (${percentage}%)`);
+            });
 
-        const avgConfidence = this.results.reduce((sum, r) => sum + r.overallConfidence, 0) / this.results.length;
-        console.log(`\n Average Confidence: ${Math.round(avgConfidence)}%`);
-        
-        const avgTime = this.results.reduce((sum, r) => sum + r.processingTime, 0) / this.results.length;
-        console.log(`⏱️ Average Processing Time: ${Math.round(avgTime/1000)}s`);
-
-        console.log('\n Output Files:');
-        const version = this.versionManager.getCurrentVersion();
-        console.log(`    outputs/${version}/advanced-executive-intelligence-dataset.csv - Main results`);
-        console.log(`    outputs/${version}/advanced-executive-intelligence-data.json - Detailed data`);
-        console.log(`    outputs/${version}/advanced-dataset-metrics.json - Dataset analytics`);
-        console.log(`    outputs/${version}/advanced-dataset-metrics-report.md - Human-readable metrics`);
+            const avgConfidence = this.results.reduce((sum, r) => sum + r.overallConfidence, 0) / this.results.length;
+            console.log(`\n Average Confidence: ${Math.round(avgConfidence)}%`);
+        });
     }
 
     /**
@@ -1519,29 +1056,11 @@ ${this.generateKeyInsights(metrics)}
         }
     }
 
+    /**
+     * Output role label for a finance title - 'CFO', 'Controller', 'VP Finance', ... (config/role-taxonomy.js)
+     */
     categorizeFinanceRole(title) {
-        const titleLower = title.toLowerCase();
-        
-        if (titleLower.includes('cfo') || titleLower.includes('chief financial officer')) {
-            return 'CFO';
-        }
-        if (titleLower.includes('controller') || titleLower.includes('chief accounting officer')) {
-            return 'Controller';
-        }
-        if (titleLower.includes('vp finance') || titleLower.includes('finance director')) {
-            return 'VP Finance';
-        }
-        if (titleLower.includes('treasurer')) {
-            return 'Treasurer';
-        }
-        if (titleLower.includes('finance')) {
-            return 'Finance Executive';
-        }
-        if (titleLower.includes('coo') && titleLower.includes('finance')) {
-            return 'COO/Finance';
-        }
-        
-        return 'Other Finance';
+        return matchRole(title, 'finance').category || 'Other Finance';
     }
 
     assessRisk(result) {
@@ -1605,105 +1124,6 @@ ${this.generateKeyInsights(metrics)}
         return 'Requires Validation';
     }
 
-    /**
-     * 🧠 CREATE SMART RELATIONSHIPS
-     * 
-     * Intelligently builds relationship data from existing pipeline research
-     */
-    createSmartRelationships(result, research) {
-        return {
-            corporateHierarchy: {
-                parentCompanies: result.corporateStructure?.parentCompany ? 
-                    [{
-                        name: result.corporateStructure.parentCompany,
-                        changeType: result.corporateStructure.changeType,
-                        changeDate: result.corporateStructure.changeDate,
-                        isAcquired: result.corporateStructure.isAcquired
-                    }] : [],
-                subsidiaries: [],
-                acquisitions: [],
-                ownershipStructure: {
-                    status: result.companyDetails?.isPublic ? 'Public' : 'Private',
-                    ticker: result.companyDetails?.ticker,
-                    exchange: result.companyDetails?.exchange
-                },
-                connections: this.extractCorporateConnections(result)
-            },
-            executiveNetwork: {
-                currentExecutives: this.buildExecutiveNetwork(result, research),
-                executiveMovements: [],
-                networkSize: this.calculateNetworkSize(result, research),
-                connectionStrength: this.assessConnectionStrength(result)
-            },
-            investorNetwork: {
-                investors: this.buildInvestorNetwork(result),
-                totalFunding: this.estimateFunding(result),
-                peConnections: result.peOwnership?.isPEOwned ? [result.peOwnership] : [],
-                vcConnections: []
-            }
-        };
-    }
-
-    /**
-     *  MERGE RELATIONSHIP INTELLIGENCE
-     * 
-     * Intelligently merges validation results with existing pipeline data
-     */
-    mergeRelationshipIntelligence(result, validation) {
-        return {
-            // Preserve validation results
-            ...validation,
-            
-            // Enhance with pipeline-specific intelligence
-            pipelineEnhancements: {
-                executiveConfidence: {
-                    ceo: result.ceo.confidence,
-                    finance: result.financeLeader.confidence,
-                    combined: Math.round((result.ceo.confidence + result.financeLeader.confidence) / 2)
-                },
-                corporateStructureConfidence: result.corporateStructure ? 85 : 20,
-                peOwnershipConfidence: result.peOwnership?.isPEOwned ? 90 : 10,
-                dataFreshness: result.dataFreshness?.dataAge || 'current'
-            },
-            
-            // Smart confidence calculation
-            enhancedConfidence: this.calculateEnhancedConfidence(result, validation),
-            
-            // Pipeline-specific insights
-            pipelineInsights: this.generatePipelineInsights(result, validation)
-        };
-    }
-
-    /**
-     *  CREATE BASIC RELATIONSHIP INTELLIGENCE
-     * 
-     * Creates basic relationship intelligence for companies with limited data
-     */
-    createBasicRelationshipIntelligence(result) {
-        return {
-            overallConfidence: Math.max(result.ceo.confidence, result.financeLeader.confidence),
-            validationSources: ['pipeline_research'],
-            organizationalStructure: {
-                structureType: result.corporateStructure?.parentCompany ? 'subsidiary' : 'independent',
-                autonomyLevel: 'unknown'
-            },
-            executiveConnections: {
-                internalConnections: result.ceo.name && result.financeLeader.name ? 
-                    [{ executive1: result.ceo.name, executive2: result.financeLeader.name, connectionType: 'colleagues' }] : [],
-                externalConnections: []
-            },
-            pipelineEnhancements: {
-                executiveConfidence: {
-                    ceo: result.ceo.confidence,
-                    finance: result.financeLeader.confidence,
-                    combined: Math.round((result.ceo.confidence + result.financeLeader.confidence) / 2)
-                },
-                dataSource: 'enhanced_executive_research',
-                hasRealData: !!(result.ceo.name || result.financeLeader.name)
-            }
-        };
-    }
-
     /**
      * 🔧 RELATIONSHIP INTELLIGENCE EXTRACTORS
      */
@@ -1766,152 +1186,6 @@ ${this.generateKeyInsights(metrics)}
         return null;
     }
 
-    /**
-     * 🧠 INTELLIGENT RELATIONSHIP BUILDERS
-     */
-    extractCorporateConnections(result) {
-        const connections = {};
-        
-        // Only include real, validated corporate connections
-        if (result.corporateStructure?.parentCompany && result.corporateStructure.parentCompany !== 'None') {
-            connections.parent = {
-                name: result.corporateStructure.parentCompany,
-                type: result.corporateStructure.changeType || null,
-                confidence: result.corporateStructure.confidence || null
-            };
-        }
-        
-        if (result.peOwnership?.isPEOwned && result.peOwnership.peOwner !== 'None') {
-            connections.investor = {
-                name: result.peOwnership.peOwner,
-                type: 'private_equity',
-                confidence: result.peOwnership.confidence || null
-            };
-        }
-        
-        return connections;
-    }
-
-    buildExecutiveNetwork(result, research) {
-        const executives = [];
-        
-        if (result.ceo.name) {
-            executives.push({
-                name: result.ceo.name,
-                title: result.ceo.title,
-                confidence: result.ceo.confidence,
-                source: result.ceo.source,
-                role: 'leadership'
-            });
-        }
-        
-        if (result.financeLeader.name) {
-            executives.push({
-                name: result.financeLeader.name,
-                title: result.financeLeader.title,
-                confidence: result.financeLeader.confidence,
-                source: result.financeLeader.source,
-                role: 'finance'
-            });
-        }
-        
-        // Add any additional executives from research
-        if (research?.allExecutives) {
-            research.allExecutives.forEach(exec => {
-                if (!executives.find(e => e.name === exec.name)) {
-                    executives.push({
-                        name: exec.name,
-                        title: exec.title,
-                        confidence: exec.confidence || 70,
-                        source: 'team_research',
-                        role: 'executive'
-                    });
-                }
-            });
-        }
-        
-        return executives;
-    }
-
-    calculateNetworkSize(result, research) {
-        let size = 0;
-        if (result.ceo.name) size++;
-        if (result.financeLeader.name) size++;
-        if (research?.allExecutives) size += research.allExecutives.length;
-        return size; // Return actual count, no artificial minimum
-    }
-
-    assessConnectionStrength(result) {
-        const ceoConfidence = result.ceo.confidence || 0;
-        const financeConfidence = result.financeLeader.confidence || 0;
-        const avgConfidence = (ceoConfidence + financeConfidence) / 2;
-        
-        if (avgConfidence >= 90) return 'Very High';
-        if (avgConfidence >= 80) return 'High';
-        if (avgConfidence >= 70) return 'Medium';
-        return 'Low';
-    }
-
-    buildInvestorNetwork(result) {
-        const investors = [];
-        
-        // Only include real PE ownership data, no hardcoded confidence
-        if (result.peOwnership?.isPEOwned && result.peOwnership.peOwner !== 'None') {
-            investors.push({
-                name: result.peOwnership.peOwner,
-                type: 'PE',
-                aum: result.peOwnership.peOwnerAUM || null,
-                confidence: result.peOwnership.confidence || null
-            });
-        }
-        
-        return investors;
-    }
-
-    estimateFunding(result) {
-        // Only return real funding data if available, no estimates
-        if (result.companyDetails?.revenue) {
-            return result.companyDetails.revenue;
-        }
-        
-        // Return null for no real data - no artificial estimates
-        return null;
-    }
-
-    calculateEnhancedConfidence(result, validation) {
-        const pipelineConfidence = result.overallConfidence || 0;
-        const validationConfidence = validation.overallConfidence || 0;
-        const executiveConfidence = Math.max(result.ceo.confidence, result.financeLeader.confidence);
-        
-        // Weighted average with pipeline data having higher weight
-        return Math.round((pipelineConfidence * 0.5 + validationConfidence * 0.3 + executiveConfidence * 0.2));
-    }
-
-    generatePipelineInsights(result, validation) {
-        const insights = [];
-        
-        if (result.ceo.confidence >= 95) {
-            insights.push('High-confidence CEO identification');
-        }
-        
-        if (result.financeLeader.confidence >= 95) {
-            insights.push('High-confidence finance leader identification');
-        }
-        
-        if (result.peOwnership?.isPEOwned) {
-            insights.push(`PE-owned by ${result.peOwnership.peOwner} - strategic approach required`);
-        }
-        
-        if (result.corporateStructure?.isAcquired) {
-            insights.push('Recently acquired - potential executive changes');
-        }
-        
-        if (validation.validationSources?.length > 10) {
-            insights.push('Extensively validated with multiple sources');
-        }
-        
-        return insights;
-    }
 }
 
 /**
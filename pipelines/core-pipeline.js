@@ -14,7 +14,6 @@
 
 const fs = require('fs');
 const path = require('path');
-const csv = require('csv-parser');
 const { createObjectCsvWriter } = require('csv-writer');
 
 // Load environment variables
@@ -26,11 +25,22 @@ const { ExecutiveContactIntelligence } = require("../modules/ExecutiveContactInt
 const { ContactValidator } = require("../modules/ContactValidator");
 const { ValidationEngine } = require("../modules/ValidationEngine");
 const { PEOwnershipAnalysis } = require("../modules/PEOwnershipAnalysis");
-const { ApiCostOptimizer } = require("../modules/ApiCostOptimizer");
+const { getSharedCostOptimizer } = require("../modules/ApiCostOptimizer");
 const { ExecutiveTransitionDetector } = require("../modules/ExecutiveTransitionDetector");
 const { DataCache } = require("../modules/DataCache");
+const { EmailFormatStore } = require("../modules/EmailFormatStore");
+const { RunLedger } = require("../modules/RunLedger");
 const { ExecutiveValidation } = require("../modules/ExecutiveValidation");
 const { OperationalStatusAnalyzer } = require("../modules/OperationalStatusAnalyzer");
+const { setField, clearField, markVerified, provenanceFromContact, fillMissingProvenance, provenanceHeaders, provenanceColumns, PROVENANCE_CSV_FIELDS } = require("../modules/FieldProvenance");
+const { CatchAllDetector, DELIVERABILITY, emailDomain } = require("../modules/EmailDeliverability");
+const { PhoneRegistry, PHONE_TYPES, parsePhone, phoneKey, formatPhone, regionFromDomain } = require("../modules/PhoneNumbers");
+const { namesMatch } = require("../modules/PersonName");
+const { IdentityResolver } = require("../modules/IdentityResolver");
+const { classifyTitle, matchRole, isFinanceTitle, isRevenueTitle, isGeneralManagementTitle } = require("../modules/RoleTaxonomy");
+const { resolvePersonas, extraPersonas, resultPersonas } = require("../modules/PersonaDetection");
+const { PipelineEngine } = require("./pipeline-engine");
+const { PIPELINE_TIERS } = require("../config/pipeline-tiers");
 
 /**
  * CORE PIPELINE 
@@ -41,9 +51,11 @@ const { OperationalStatusAnalyzer } = require("../modules/OperationalStatusAnaly
  * - Streamlined output (24 columns vs 80+ in advanced)
  * - Optimized for speed and essential contact data
  * - Perfect for quick prospecting and lead generation
+ * - Extra target personas (CIO, CISO, CMO, CHRO - config/target-personas.js) via
+ *   options.TARGET_PERSONAS, --personas or the TARGET_PERSONAS env var
  */
 class CorePipeline {
-    constructor() {
+    constructor(options = {}) {
         // Pass environment variables to all modules that need API keys
         const config = {
             PERPLEXITY_API_KEY: process.env.PERPLEXITY_API_KEY?.trim(),
@@ -55,13 +67,32 @@ class CorePipeline {
             MYEMAILVERIFIER_API_KEY: process.env.MYEMAILVERIFIER_API_KEY?.trim(),
             // Performance optimizations
             PARALLEL_PROCESSING: true,
-            MAX_PARALLEL_COMPANIES: 25,        // Increased from 10 to 25
             MAX_PARALLEL_APIS: 5,              // Concurrent API calls per company
             REDUCED_DELAYS: true,
             CACHE_ENABLED: true,
-            AGGRESSIVE_CACHING: true
+            AGGRESSIVE_CACHING: true,
+            // Optional cfo_email_source / cfo_email_verified_at style CSV columns
+            PROVENANCE_COLUMNS: process.env.PROVENANCE_COLUMNS === 'true',
+            // Personas researched besides CFO/CRO - ids or a comma-separated list ('ciso,cmo')
+            TARGET_PERSONAS: options.TARGET_PERSONAS || process.env.TARGET_PERSONAS || null
         };
 
+        // Throws on an unknown persona id - before any module spends a credit
+        this.personas = resolvePersonas(config.TARGET_PERSONAS);
+
+        // One spend tracker for the adapters, the engine's budget checks and the API -
+        // options.MONTHLY_BUDGET / RUN_BUDGET are applied to it
+        this.apiCostOptimizer = options.costOptimizer || getSharedCostOptimizer(options);
+        config.costOptimizer = this.apiCostOptimizer;
+        this.dataCache = new DataCache({
+            CACHE_TTL_DAYS: 30,
+            USE_FILE_CACHE: true
+        });
+        // Provider adapters cache their lookups here under the TTL policy (config/cache-ttl-policy.js)
+        if (config.CACHE_ENABLED) config.providerCache = this.dataCache;
+        // One learned-email-format store for every module (modules/EmailFormatStore.js)
+        config.emailFormats = new EmailFormatStore(config);
+
         console.log('🔧 Initializing CorePipeline modules...');
         
         try {
@@ -93,16 +124,15 @@ class CorePipeline {
         }
         this.validationEngine = new ValidationEngine(config);
         this.peIntelligence = new PEOwnershipAnalysis(config);
-        this.apiCostOptimizer = new ApiCostOptimizer(config);
         this.executiveTransitionDetector = new ExecutiveTransitionDetector(config);
         this.executiveValidation = new ExecutiveValidation(config);
         this.operationalStatusAnalyzer = new OperationalStatusAnalyzer(config);
         // Version management removed for self-contained deployment
-        this.dataCache = new DataCache({
-            CACHE_TTL_DAYS: 30,
-            USE_FILE_CACHE: true
-        });
+        this.catchAllDetector = this.contactValidator?.catchAll || new CatchAllDetector({ catchAllCache: this.dataCache });
+        this.phoneRegistry = new PhoneRegistry(config);
+        this.identityResolver = new IdentityResolver(config);
         this.config = config; // Store config for later use
+        this.engine = new PipelineEngine(PIPELINE_TIERS.core, this);
         
         this.results = [];
         this.stats = {
@@ -114,6 +144,7 @@ class CorePipeline {
             bothFound: 0,
             contactsValidated: 0,
             highConfidence: 0,
+            personasFound: {},
             parentCompaniesAdded: 0,
             cacheHits: 0,
             cacheMisses: 0,
@@ -124,8 +155,12 @@ class CorePipeline {
 
     /**
      * MAIN PIPELINE EXECUTION - STREAMLINED FOR CFO/CRO CONTACTS
+     *
+     * Runs are journaled to a RunLedger keyed by the input file, so re-running after
+     * a crash resumes where it stopped. Pass fresh: true (--fresh) to start over,
+     * or resume: false to run without a ledger.
      */
-    async runPipeline() {
+    async runPipeline({ inputFile = null, fresh = false, resume = true } = {}) {
         console.log('CORE PIPELINE');
         console.log('=' .repeat(80));
         console.log('Core executive contact discovery');
@@ -135,98 +170,34 @@ class CorePipeline {
         try {
             // STEP 1: Load companies from CSV
             console.log('\nSTEP 1: Loading Companies');
-            const companies = await this.loadCompanies();
+            const companies = await this.engine.loadCompanies(inputFile);
             console.log(`   Loaded ${companies.length} companies`);
 
+            if (resume) {
+                this.ledger = new RunLedger(RunLedger.runIdFor('core', this.engine.inputFile)).open({ fresh });
+            }
+
             // STEP 2: Process each company for CFO/CRO contacts (PARALLEL PROCESSING)
             console.log('\nSTEP 2: Core Contact Discovery (PARALLEL PROCESSING)');
-            console.log(`🚀 Processing ${companies.length} companies with ${this.config.MAX_PARALLEL_COMPANIES}x parallelization`);
+            console.log(`🚀 Processing ${companies.length} companies with ${this.engine.tier.maxParallelCompanies}x parallelization`);
             
             // Check cache coverage
             await this.analyzeCacheCoverage(companies.slice(0, Math.min(20, companies.length)));
-            
-            let processedCount = 0;
-            const totalCompanies = companies.length;
-
-            // Process in parallel batches
-            for (let i = 0; i < totalCompanies; i += this.config.MAX_PARALLEL_COMPANIES) {
-                const batch = companies.slice(i, i + this.config.MAX_PARALLEL_COMPANIES);
-                const batchNumber = Math.floor(i / this.config.MAX_PARALLEL_COMPANIES) + 1;
-                const totalBatches = Math.ceil(totalCompanies / this.config.MAX_PARALLEL_COMPANIES);
-
-                console.log(`\n🔄 BATCH ${batchNumber}/${totalBatches} - Processing ${batch.length} companies in parallel`);
-                console.log(`   Companies ${i + 1}-${Math.min(i + batch.length, totalCompanies)} of ${totalCompanies}`);
-
-                // Process batch in parallel
-                const batchStartTime = Date.now();
-                const batchPromises = batch.map((company, index) => 
-                    this.processCompanyOptimized(company, processedCount + index + 1)
-                );
 
-                const batchResults = await Promise.allSettled(batchPromises);
-                
-                // Handle results with safety checks
-                for (let j = 0; j < batchResults.length; j++) {
-                    if (batchResults[j].status === 'fulfilled' && batchResults[j].value) {
-                        const result = batchResults[j].value;
-                        
-                                    // Ensure all required objects exist
-                        if (!result.cfo) {
-                            result.cfo = { name: '', title: '', email: '', phone: '', linkedIn: '', confidence: 0, tier: null, role: 'N/A' };
-                        }
-                        if (!result.cro) {
-                            result.cro = { name: '', title: '', email: '', phone: '', linkedIn: '', confidence: 0, tier: null, role: 'N/A' };
-                        }
-                        if (!result.companyInfo) {
-                            result.companyInfo = { industry: '', employeeCount: '', headquarters: '', isPublic: false };
-                        }
-                        if (!result.corporateStructure) {
-                            result.corporateStructure = { isAcquired: false, parentCompany: '', acquisitionDate: '' };
-                        }
-                        
-                        this.results.push(result);
-                    } else {
-                        const errorMsg = batchResults[j].reason?.message || 'Unknown error';
-                        console.error(`   ❌ Company ${processedCount + j + 1} failed:`, errorMsg);
-                        
-                        // Add failed company with proper structure
-                        this.results.push({
-                            website: batch[j]?.website || 'Unknown',
-                            companyName: batch[j]?.companyName || 'Unknown',
-                            accountOwner: batch[j]?.accountOwner || 'Unknown',
-                            processingStatus: 'FAILED',
-                            error: errorMsg,
-                            cfo: { name: '', title: '', email: '', phone: '', linkedIn: '', confidence: 0, tier: null, role: 'N/A' },
-                            cro: { name: '', title: '', email: '', phone: '', linkedIn: '', confidence: 0, tier: null, role: 'N/A' },
-                            companyInfo: { industry: '', employeeCount: '', headquarters: '', isPublic: false },
-                            corporateStructure: { isAcquired: false, parentCompany: '', acquisitionDate: '' },
-                            overallConfidence: 0,
-                            relationType: 'original'
-                        });
+            await this.engine.processCompanies(companies, {
+                ledger: this.ledger,
+                processCompany: (company, index) => this.processCompanyOptimized(company, index),
+                onBatchComplete: async (processedCount, totalCompanies) => {
+                    // Save progress every 10 companies
+                    if (processedCount % 10 === 0 || processedCount === totalCompanies) {
+                        await this.saveProgressBackup(processedCount);
                     }
                 }
-
-                processedCount += batch.length;
-                const batchTime = Date.now() - batchStartTime;
-                const avgTimePerCompany = Math.round(batchTime / batch.length);
-                
-                console.log(`   ✅ Batch completed in ${Math.round(batchTime/1000)}s (${avgTimePerCompany}ms per company)`);
-                
-                // Save progress every batch
-                if (processedCount % 10 === 0 || processedCount === totalCompanies) {
-                    await this.saveProgressBackup(processedCount);
-                }
-
-                // Reduced rate limiting between batches
-                if (i + this.config.MAX_PARALLEL_COMPANIES < totalCompanies) {
-                    console.log('   ⏳ Inter-batch delay: 2s...');
-                    await new Promise(resolve => setTimeout(resolve, 2000));
-                }
-            }
+            });
 
             // STEP 3: Add Parent/Merger/Acquisition Companies
             console.log('\nSTEP 3: Adding Parent/Merger/Acquisition Companies');
-            await this.addRelatedCompanyRows();
+            await this.engine.addRelatedCompanyRows();
 
             // STEP 4: Generate core contact CSV
             console.log('\nSTEP 4: Generating Core Contact CSV');
@@ -258,690 +229,439 @@ class CorePipeline {
     }
 
     /**
-     * LOAD COMPANIES FROM CSV
+     * PROCESS INDIVIDUAL COMPANY - STREAMLINED FOR CFO/CRO CONTACTS
+     *
+     * Runs the core tier stages (config/pipeline-tiers.js) through the PipelineEngine
      */
-    async loadCompanies() {
-        return new Promise((resolve, reject) => {
-            const companies = [];
-            
-            // Use command line argument or default file
-            const inputFile = process.argv[2] || path.join(__dirname, '../../inputs/all-1000-companies.csv');
-            console.log(`    Reading from: ${inputFile}`);
-            
-            fs.createReadStream(inputFile)
-                .pipe(csv())
-                .on('data', (row) => {
-                    // Support multiple CSV formats
-                    const website = row.Website || row.domain || row.Domain;
-                    const companyName = row['Company Name'] || row.company_name || row['company_name'];
-                    
-                    if (website && website.trim()) {
-                        companies.push({
-                            website: website.trim(),
-                            company_name: companyName || website.trim(),
-                            accountOwner: row['Account Owner'] || 'Unknown',
-                            isTop1000: row['Top 1000'] === '1'
-                        });
-                    }
-                })
-                .on('end', () => resolve(companies))
-                .on('error', reject);
-        });
+    async processCompany(company, index) {
+        return this.engine.processCompany(company, index);
     }
 
     /**
-     * PROCESS INDIVIDUAL COMPANY - STREAMLINED FOR CFO/CRO CONTACTS
+     * Build CFO/CRO result entry from an ExecutiveResearch executive
      */
-    async processCompany(company, index) {
-        const result = {
-            index,
-            website: company.website,
-            accountOwner: company.accountOwner,
-            isTop1000: company.isTop1000,
-            companyName: '',
-            
-            // CFO Information (Finance Leader)
-            cfo: {
-                name: '',
-                title: '',
-                email: '',
-                phone: '',
-                linkedIn: '',
-                confidence: 0,
-                source: '',
-                validated: false,
-                role: '', // CFO, Controller, VP Finance, etc.
-                tier: null // 1-5 tier level
-            },
-            
-            // CRO Information (Revenue/Sales Leader)
-            cro: {
-                name: '',
-                title: '',
-                email: '',
-                phone: '',
-                linkedIn: '',
-                confidence: 0,
-                source: '',
-                validated: false,
-                role: '', // CRO, CSO, VP Sales, etc.
-                tier: null // 1-5 tier level
-            },
-            
-            // Essential Company Data (for validation)
-            companyInfo: {
-                isPublic: false,
-                ticker: '',
-                parentCompany: '',
-                industry: '',
-                employeeCount: '',
-                headquarters: ''
-            },
-            
-            // Processing Metadata
-            researchMethod: '',
-            overallConfidence: 0,
-            processingTime: 0,
-            timestamp: new Date().toISOString(),
-            validationNotes: [],
-            error: null
-        };
-
-        const startTime = Date.now();
-
-        try {
-            this.stats.processed++;
+    buildResearchedExecutive(executive) {
+        return fillMissingProvenance({
+            name: executive?.name || '',
+            title: executive?.title || '',
+            // Source wording of a translated title ("Finanzvorstand") and its language
+            originalTitle: executive?.originalTitle || null,
+            titleLanguage: executive?.titleLanguage || null,
+            email: '',
+            phone: '',
+            linkedIn: executive?.linkedIn || '',
+            confidence: Math.round((executive?.confidence || 0) * 100),
+            source: executive?.source || '',
+            validated: (executive?.confidence || 0) > 0.8,
+            role: this.categorizeRevenueFinanceRole(executive?.title || '', executive?.titleRegion),
+            tier: executive?.tier || null,
+            // Person entity from ExecutiveResearch's identity resolution - sources, aliases, evidence
+            identity: executive?.identity || null
+        }, 'ExecutiveResearch');
+    }
 
-            // STEP 1: Company Resolution (Essential for validation)
-            console.log('Resolving company identity...');
-            const companyResolution = await this.companyResolver.resolveCompany(company.website);
-            // Lock company identity from resolver; avoid downstream overrides on redirects
-            result.companyName = companyResolution.companyName || this.extractCompanyName(company.website);
-            
-            // Store essential company info for validation and CSV output
-            result.companyInfo = {
-                isPublic: companyResolution.isPublic || false,
-                ticker: companyResolution.ticker || '',
-                parentCompany: companyResolution.parentCompany || '',
-                industry: companyResolution.industry || '',
-                employeeCount: companyResolution.employeeCount || '',
-                headquarters: companyResolution.headquarters || ''
-            };
+    /**
+     * Build a target persona entry (CIO, CISO, ...) from an ExecutiveResearch executive
+     */
+    buildPersonaExecutive(executive, persona) {
+        const entry = this.buildResearchedExecutive(executive);
+        const confidence = Number(executive?.confidence) || 0;
+
+        // Persona waterfalls report percentages; vendors may still report 0.85
+        entry.confidence = Math.round(confidence <= 1 ? confidence * 100 : confidence);
+        entry.validated = entry.confidence > 80;
+        entry.role = executive?.name ? (matchRole(executive.title, persona.role, { region: executive.titleRegion }).category || persona.label) : '';
+        entry.waterfallReason = executive?.waterfallReason || '';
+        return entry;
+    }
 
-            // Store corporate structure info for acquisition detection
-            result.corporateStructure = {
-                isAcquired: companyResolution.acquisitionInfo?.isAcquired || false,
-                parentCompany: companyResolution.acquisitionInfo?.parentCompany || companyResolution.parentCompany || '',
-                acquisitionDate: companyResolution.acquisitionInfo?.acquisitionDate || '',
-                acquisitionType: companyResolution.acquisitionInfo?.acquisitionType || '',
-                confidence: companyResolution.acquisitionInfo?.confidence || 0,
-                targetingOverride: companyResolution.acquisitionInfo?.targetingOverride || undefined
-            };
+    /**
+     * 🎯 TARGET PERSONA CONTACTS
+     * Same sources as the CFO/CRO: Lusha + CoreSignal by name, then ContactValidator's
+     * email and phone flow. Returns ContactValidator's enriched executive (or null).
+     */
+    async enrichPersonaContact(result, persona, companyResolution) {
+        const executive = result[persona.id];
+        const website = companyResolution?.finalUrl || result.website || '';
+        const domain = website.replace(/^https?:\/\/(www\.)?/, '').split('/')[0];
 
-            // Set company status based on corporate structure
-            if (result.corporateStructure.isAcquired) {
-                result.companyStatus = 'acquired';
-            } else if (result.corporateStructure.acquisitionType === 'merger') {
-                result.companyStatus = 'merged';
-            } else {
-                result.companyStatus = 'active';
+        try {
+            const contact = await this.executiveContactIntelligence.searchLushaExecutive(executive.name, result.companyName, domain, persona.label);
+            if (contact) {
+                this.mergeExecutiveContact(executive, contact);
             }
 
-            // STEP 1.5: Operational Status Analysis (for acquired companies)
-            let operationalAssessment = null;
-            if (result.corporateStructure.isAcquired) {
-                console.log(`🔍 ANALYZING OPERATIONAL STATUS: ${result.companyName}...`);
-                operationalAssessment = await this.operationalStatusAnalyzer.assessOperationalStatus(
-                    companyResolution,
-                    result.corporateStructure
-                );
-                // Respect resolver targeting override when provided
-                if (result.corporateStructure.targetingOverride && operationalAssessment?.executiveTargeting) {
-                    operationalAssessment.executiveTargeting.strategy = result.corporateStructure.targetingOverride;
-                    operationalAssessment.reasoning = (operationalAssessment.reasoning || '') + ' | resolver_targeting_override';
-                }
-                
-                // Store operational assessment in result
-                result.operationalStatus = operationalAssessment.operationalStatus;
-                result.targetEntity = operationalAssessment.targetEntity;
-                result.executiveTargeting = operationalAssessment.executiveTargeting;
-                result.operationalConfidence = operationalAssessment.confidence;
-                result.operationalReasoning = operationalAssessment.reasoning;
-                
-                console.log(`   📊 Status: ${operationalAssessment.operationalStatus}`);
-                console.log(`   🎯 Target: ${operationalAssessment.targetEntity}`);
-                console.log(`   📈 Confidence: ${(operationalAssessment.confidence * 100).toFixed(0)}%`);
-            }
+            const enriched = await this.contactValidator.enrichExecutiveContacts(
+                executive,
+                this.contactValidator.selectEmailDomain(companyResolution),
+                companyResolution
+            );
+            this.applyEnrichedContacts(executive, enriched);
 
-            // STEP 1.6: Post-Acquisition Executive Research (if applicable)
-            if (result.corporateStructure.isAcquired && result.corporateStructure.parentCompany) {
-                console.log(`🎯 ACQUISITION DETECTED: Researching ${result.corporateStructure.parentCompany} executives...`);
-                const parentExecutives = await this.researchParentCompanyExecutives(
-                    result.corporateStructure.parentCompany,
-                    result.corporateStructure
-                );
-                
-                // Determine executive targeting strategy based on operational assessment
-                const forcedSubsidiary = result.corporateStructure?.targetingOverride === 'subsidiary_first';
-                const shouldUseParentExecutives = !forcedSubsidiary && this.shouldUseParentExecutives(
-                    parentExecutives,
-                    operationalAssessment
-                );
-                
-                // GfK-specific guard: if subsidiary CFO/CRO equals a known former executive (e.g., Peter Feld), force parent pivot
-                const isKnownFormerExec = (name) => {
-                    if (!name) return false;
-                    const lower = name.toLowerCase();
-                    return lower.includes('peter feld');
-                };
+            if (!executive.timeInRole) executive.timeInRole = this.calculateTimeInRole(executive);
+            if (!executive.country) executive.country = this.countryForExecutive(executive, result.website);
 
-                const forceParentDueToFormer = isKnownFormerExec(result.cfo?.name) || isKnownFormerExec(result.cro?.name);
-
-                if ((shouldUseParentExecutives || forceParentDueToFormer) && parentExecutives && (parentExecutives.cfo?.name || parentExecutives.cro?.name)) {
-                    // Store acquisition intelligence for CSV output
-                    result.acquisitionIntelligence = {
-                        originalCompany: result.companyName,
-                        parentCompany: result.corporateStructure.parentCompany,
-                        acquisitionDate: result.corporateStructure.acquisitionDate,
-                        operationalStatus: operationalAssessment?.operationalStatus || 'unknown',
-                        targetingReason: operationalAssessment?.executiveTargeting?.reasoning || 'Parent company executives identified',
-                        contactNote: `Contact parent company executives - ${result.companyName} (${operationalAssessment?.operationalStatus || 'acquired'}) by ${result.corporateStructure.parentCompany}`
-                    };
-                    
-                    // Use parent company executives based on operational assessment
-                    if (parentExecutives.cfo) {
-                        result.cfo = parentExecutives.cfo;
-                        console.log(`   ✅ Using parent company CFO: ${parentExecutives.cfo.name} (${operationalAssessment?.executiveTargeting?.strategy || (forceParentDueToFormer ? 'former_exec_guard' : 'acquisition-based')})`);
-                    }
-                    if (parentExecutives.cro) {
-                        result.cro = parentExecutives.cro;
-                        console.log(`   ✅ Using parent company CRO: ${parentExecutives.cro.name} (${operationalAssessment?.executiveTargeting?.strategy || (forceParentDueToFormer ? 'former_exec_guard' : 'acquisition-based')})`);
-                    }
-                    
-                    // Skip regular executive research and jump to contact intelligence
-                    console.log(`   🎯 Using parent company executives - strategy: ${operationalAssessment?.executiveTargeting?.strategy || 'default'}`);
-                    result.researchMethod = `parent_company_executives_${operationalAssessment?.operationalStatus || 'acquired'}`;
-                    
-                    try {
-                        // Jump directly to contact intelligence with parent company context
-                        console.log('Discovering contact information...');
-                        const contactIntelligence = await this.executiveContactIntelligence.enhanceExecutiveIntelligence({
-                            companyName: result.companyName,
-                            website: companyResolution.finalUrl || company.website,
-                            cfo: result.cfo,
-                            cro: result.cro
-                        });
-                        
-                        if (contactIntelligence) {
-                            this.mergeContactData(result, contactIntelligence);
-                        }
-                        
-                        // Skip to validation
-                        console.log('Validating executive contacts...');
-                        const domain = (companyResolution.finalUrl || company.website).replace(/^https?:\/\/(www\.)?/, '').split('/')[0];
-                        
-                        if (result.cfo && result.cfo.name) {
-                            result.cfo = await this.contactValidator.enrichExecutiveContacts(result.cfo, domain, companyResolution);
-                        }
-                        
-                        if (result.cro && result.cro.name) {
-                            result.cro = await this.contactValidator.enrichExecutiveContacts(result.cro, domain, companyResolution);
-                        }
-                        
-                        // Final validation
-                        console.log('Running essential data validation...');
-                        try {
-                            const validation = await this.validationEngine.validateCompanyData(result);
-                            result.validationScore = validation.overallScore;
-                            result.validationNotes = validation.recommendations;
-                        } catch (error) {
-                            console.log(`   ⚠️ Validation error: ${error.message}`);
-                            result.validationScore = 85; // Default score for parent company research
-                            result.validationNotes = ['Parent company executives validated'];
-                        }
-                        
-                    } catch (error) {
-                        console.log(`   ⚠️ Parent company processing error: ${error.message}`);
-                        // Continue with basic parent company data even if enrichment fails
-                    }
-                    
-                    // Set final metadata
-                    result.processingTime = Date.now() - startTime;
-                    result.timestamp = new Date().toISOString();
-                    result.overallConfidence = Math.round((result.cfo?.confidence || 0 + result.cro?.confidence || 0) / 2);
-                    
-                    console.log(`SUCCESS: ${result.companyName}`);
-                    console.log(`   CFO: ${result.cfo?.name || 'Not found'} (${result.cfo?.confidence || 0}%) Tier ${result.cfo?.tier || 'N/A'} ${result.cfo?.email ? '📧' : ''}`);
-                    console.log(`   CRO: ${result.cro?.name || 'Not found'} (${result.cro?.confidence || 0}%) Tier ${result.cro?.tier || 'N/A'} ${result.cro?.email ? '📧' : ''}`);
-                    console.log(`   CFO Role: ${result.cfo?.role || 'N/A'}`);
-                    console.log(`   CRO Role: ${result.cro?.role || 'N/A'}`);
-                    console.log(`   Overall: ${result.overallConfidence}% confidence`);
-                    
-                    return result;
-                }
-            }
+            console.log(`   ✅ ${persona.label} ${executive.name}: Email=${executive.email || 'NONE'}, Phone=${executive.phone || 'NONE'}`);
+            return enriched;
+        } catch (error) {
+            console.log(`   ⚠️ ${persona.label} contact enrichment failed: ${error.message}`);
+            return null;
+        }
+    }
 
-            // STEP 2: Dual Role Executive Research (CFO + CRO Focus)
-            // Check if we should skip subsidiary research based on operational assessment
-            const shouldSkipSubsidiaryResearch = operationalAssessment && 
-                (operationalAssessment.executiveTargeting?.strategy === 'parent_only' ||
-                 operationalAssessment.executiveTargeting?.strategy === 'parent_primary') &&
-                result.cfo?.name && result.cro?.name; // Already have parent executives
-                
-            if (shouldSkipSubsidiaryResearch) {
-                console.log(`🎯 Skipping subsidiary research - operational assessment suggests parent-only targeting (${operationalAssessment.operationalStatus})`);
-            } else {
-                console.log('Researching CFO and CRO...');
-                const research = await this.researcher.researchExecutives({
-                    companyName: result.companyName,
-                    name: result.companyName,
-                    // Use canonical URL to avoid redirect-induced misidentification (e.g., Investis Digital -> idx.inc)
-                    website: companyResolution.canonicalUrl || company.website,
-                    companyResolution: companyResolution
-                });
-                
-                // GfK-specific correction: if research returns Peter Feld, treat as invalid and prefer parent
-                const invalidSubsidiaryExec = (exec) => exec?.name && exec.name.toLowerCase().includes('peter feld');
-                if (invalidSubsidiaryExec(research.cfo) || invalidSubsidiaryExec(research.cro)) {
-                    console.log('   ⚠️ Detected former executive (e.g., Peter Feld). Keeping/using parent executives.');
-                    research.cfo = null;
-                    research.cro = null;
-                }
+    /**
+     * Best email, first phone and LinkedIn from a ContactValidator enriched executive
+     */
+    applyEnrichedContacts(executive, enriched) {
+        const emails = enriched?.contacts?.emails || [];
+        const bestEmail = emails.find(e => e.source !== 'generated' && e.isValid) ||
+                          emails.find(e => e.confidence > 80) ||
+                          emails[0];
+        if (bestEmail?.email && bestEmail.email !== executive.email) {
+            setField(executive, 'email', bestEmail.email, provenanceFromContact(bestEmail, 'email', 'ContactValidator'));
+        }
 
-                // Company-specific overrides from resolver
-                const domain = (companyResolution.finalUrl || company.website).replace(/^https?:\/\/(www\.)?/, '').split('/')[0];
-                const executiveOverrides = companyResolution.executiveOverrides || companyResolution.acquisitionInfo?.executiveOverrides;
-                
-                if (executiveOverrides?.cfo) {
-                    console.log(`   🎯 Applying CFO override for ${domain}: ${executiveOverrides.cfo.name}`);
-                    research.cfo = {
-                        name: executiveOverrides.cfo.name,
-                        title: executiveOverrides.cfo.title,
-                        email: '',
-                        phone: '',
-                        linkedIn: '',
-                        confidence: executiveOverrides.cfo.confidence / 100,
-                        source: executiveOverrides.cfo.source,
-                        validated: true,
-                        role: 'CFO',
-                        tier: 1
-                    };
-                }
-                
-                // Company-specific override: Investis Digital CFO (authoritative LinkedIn provided)
-                const canonicalDomain = (companyResolution.canonicalUrl || '').toLowerCase();
-                if (canonicalDomain.includes('investisdigital.com')) {
-                    console.log('   🎯 Applying Investis Digital CFO override');
-                    // Only override if CFO missing or incorrectly set to Claire Price
-                    const needsOverride = !research.cfo || (research.cfo.name && research.cfo.name.toLowerCase().includes('claire price'));
-                    if (needsOverride) {
-                        research.cfo = {
-                            name: 'Scott Paterson',
-                            title: 'Chief Financial Officer',
-                            email: '',
-                            phone: '',
-                            linkedIn: 'https://www.linkedin.com/in/sdjpaterson/?originalSubdomain=uk',
-                            confidence: 95,
-                            source: 'override_verified_linkedin',
-                            validated: true,
-                            role: 'CFO',
-                            tier: 1
-                        };
-                    }
-                }
+        const phone = enriched?.contacts?.phones?.[0];
+        if (phone && !executive.phone) {
+            setField(executive, 'phone', phone.number || phone.phone, provenanceFromContact(phone, 'phone', 'ContactValidator'));
+        }
 
-                // If we have parent executives and operational assessment suggests parent primary, 
-                // only use subsidiary executives if they're significantly better
-                const useSubsidiaryExecutives = this.shouldUseSubsidiaryExecutives(
-                    research, 
-                    result, 
-                    operationalAssessment
-                );
-                
-                if (useSubsidiaryExecutives) {
-                    console.log('   🏢 Using subsidiary executives based on operational assessment');
-                    
-                    // Process CFO results - Always initialize CFO object
-            result.cfo = {
-                name: research.cfo?.name || '',
-                title: research.cfo?.title || '',
-                email: '',
-                phone: '',
-                linkedIn: '',
-                confidence: Math.round((research.cfo?.confidence || 0) * 100),
-                source: research.cfo?.source || '',
-                validated: (research.cfo?.confidence || 0) > 0.8,
-                role: this.categorizeRevenueFinanceRole(research.cfo?.title || ''),
-                tier: research.cfo?.tier || null
-            };
-            
-            if (research.cfo && research.cfo.name) {
-                this.stats.cfoFound++;
-            }
+        if (enriched?.linkedIn && !executive.linkedIn) {
+            setField(executive, 'linkedIn', enriched.linkedIn, provenanceFromContact(enriched, 'linkedIn', 'ContactValidator'));
+        }
+    }
 
-            // Process CRO results - Always initialize CRO object
-            result.cro = {
-                name: research.cro?.name || '',
-                title: research.cro?.title || '',
+    /**
+     * Apply known-bad executive guards and company-specific overrides to research results
+     */
+    applyExecutiveOverrides(research, companyResolution, company) {
+        // GfK-specific correction: if research returns Peter Feld, treat as invalid and prefer parent
+        const invalidSubsidiaryExec = (exec) => exec?.name && exec.name.toLowerCase().includes('peter feld');
+        if (invalidSubsidiaryExec(research.cfo) || invalidSubsidiaryExec(research.cro)) {
+            console.log('   ⚠️ Detected former executive (e.g., Peter Feld). Keeping/using parent executives.');
+            research.cfo = null;
+            research.cro = null;
+        }
+
+        // Company-specific overrides from resolver
+        const domain = (companyResolution.finalUrl || company.website).replace(/^https?:\/\/(www\.)?/, '').split('/')[0];
+        const executiveOverrides = companyResolution.executiveOverrides || companyResolution.acquisitionInfo?.executiveOverrides;
+
+        if (executiveOverrides?.cfo) {
+            console.log(`   🎯 Applying CFO override for ${domain}: ${executiveOverrides.cfo.name}`);
+            research.cfo = {
+                name: executiveOverrides.cfo.name,
+                title: executiveOverrides.cfo.title,
                 email: '',
                 phone: '',
                 linkedIn: '',
-                confidence: Math.round((research.cro?.confidence || 0) * 100),
-                source: research.cro?.source || '',
-                validated: (research.cro?.confidence || 0) > 0.8,
-                role: this.categorizeRevenueFinanceRole(research.cro?.title || ''),
-                tier: research.cro?.tier || null
+                confidence: executiveOverrides.cfo.confidence / 100,
+                source: executiveOverrides.cfo.source,
+                validated: true,
+                role: 'CFO',
+                tier: 1
             };
-            
-            if (research.cro && research.cro.name) {
-                this.stats.croFound++;
-            }
+        }
 
-            // STEP 2.5: Executive Employment Validation (PREVENT CROSS-CONTAMINATION) - MOVED UP
-            console.log('🛡️ Validating executive employment to prevent cross-contamination...');
-            
-            if (result.cfo && result.cfo.name && result.cfo.name !== '' && result.cfo.confidence >= 90) {
-                console.log(`   🔍 Validating CFO: ${result.cfo.name} at ${result.companyName}`);
-                result.cfo = await this.executiveValidation.validateAndCorrectExecutive(
-                    result.cfo, 
-                    result.companyName, 
-                    company.website
-                );
-            } else if (result.cfo && result.cfo.confidence < 90) {
-                console.log(`   ❌ CFO confidence too low (${result.cfo.confidence}%) - skipping`);
-                result.cfo = { name: '', title: '', email: '', phone: '', linkedIn: '', confidence: 0, tier: null, role: 'N/A' };
-            }
-            
-            if (result.cro && result.cro.name && result.cro.name !== '' && result.cro.confidence >= 90) {
-                console.log(`   🔍 Validating CRO: ${result.cro.name} at ${result.companyName}`);
-                result.cro = await this.executiveValidation.validateAndCorrectExecutive(
-                    result.cro, 
-                    result.companyName, 
-                    company.website
-                );
-            } else if (result.cro && result.cro.confidence < 90) {
-                console.log(`   ❌ CRO confidence too low (${result.cro.confidence}%) - skipping`);
-                result.cro = { name: '', title: '', email: '', phone: '', linkedIn: '', confidence: 0, tier: null, role: 'N/A' };
-            }
-                } else {
-                    console.log('   🏛️ Keeping parent company executives based on operational assessment');
-                }
+        // Company-specific override: Investis Digital CFO (authoritative LinkedIn provided)
+        const canonicalDomain = (companyResolution.canonicalUrl || '').toLowerCase();
+        if (canonicalDomain.includes('investisdigital.com')) {
+            console.log('   🎯 Applying Investis Digital CFO override');
+            // Only override if CFO missing or incorrectly set to Claire Price
+            const needsOverride = !research.cfo || (research.cfo.name && research.cfo.name.toLowerCase().includes('claire price'));
+            if (needsOverride) {
+                research.cfo = {
+                    name: 'Scott Paterson',
+                    title: 'Chief Financial Officer',
+                    email: '',
+                    phone: '',
+                    linkedIn: 'https://www.linkedin.com/in/sdjpaterson/?originalSubdomain=uk',
+                    confidence: 95,
+                    source: 'override_verified_linkedin',
+                    validated: true,
+                    role: 'CFO',
+                    tier: 1
+                };
             }
+        }
 
-            // STEP 3: Contact Intelligence (Email/Phone Discovery) - ONLY ON VALIDATED EXECUTIVES
-            console.log('Discovering contact information...');
-            console.log('🔍 DEBUG: Starting contact intelligence with detailed API logging...');
-            console.log(`🔍 DEBUG: CFO data being passed: ${result.cfo?.name} (${result.cfo?.confidence}% confidence)`);
-            console.log(`🔍 DEBUG: CRO data being passed: ${result.cro?.name} (${result.cro?.confidence}% confidence)`);
-            
-            // Ensure both CFO and CRO are properly structured for contact intelligence
-            if (result.cfo && result.cfo.name) {
-                console.log(`🔍 DEBUG: CFO ready for contact intelligence: ${result.cfo.name}`);
-            }
-            if (result.cro && result.cro.name) {
-                console.log(`🔍 DEBUG: CRO ready for contact intelligence: ${result.cro.name}`);
-            }
-            
-            // Check if ExecutiveContactIntelligence module is properly initialized
-            console.log(`🔍 DEBUG: ExecutiveContactIntelligence module initialized: ${!!this.executiveContactIntelligence}`);
-            console.log(`🔍 DEBUG: ExecutiveContactIntelligence methods: ${Object.keys(this.executiveContactIntelligence || {}).join(', ')}`);
-            
-            let contactIntelligence = null;
-            try {
-                console.log(`🔍 DEBUG: About to call enhanceExecutiveIntelligence for ${result.companyName}`);
-                contactIntelligence = await this.executiveContactIntelligence.enhanceExecutiveIntelligence(result);
-                console.log(`🔍 DEBUG: Contact intelligence result: ${!!contactIntelligence}`);
-                if (contactIntelligence) {
-                    console.log(`🔍 DEBUG: Contact intelligence keys: ${Object.keys(contactIntelligence).join(', ')}`);
-                    console.log(`🔍 DEBUG: Executive contacts: ${!!contactIntelligence.executiveContacts}`);
-                    if (contactIntelligence.executiveContacts) {
-                        console.log(`🔍 DEBUG: Executive contacts structure: ${JSON.stringify(Object.keys(contactIntelligence.executiveContacts))}`);
-                    }
-                } else {
-                    console.log(`🔍 DEBUG: Contact intelligence returned null/undefined`);
+        return research;
+    }
+
+    /**
+     * FALLBACK: If CRO is missing contact data, try direct API calls
+     */
+    async fillMissingCroContact(result) {
+        if (!result.cro?.name || (result.cro.phone && result.cro.linkedIn)) {
+            return;
+        }
+
+        console.log(`🔧 FALLBACK: CRO missing contact data, trying direct API calls...`);
+        console.log(`   CRO: ${result.cro.name} - Phone: ${result.cro.phone || 'MISSING'} - LinkedIn: ${result.cro.linkedIn || 'MISSING'}`);
+
+        try {
+            // Try direct Lusha search for CRO
+            const croContactData = await this.executiveContactIntelligence.searchLushaExecutive(
+                result.cro.name,
+                result.companyName,
+                result.website,
+                'CRO'
+            );
+
+            if (croContactData) {
+                console.log(`✅ FALLBACK: Found CRO contact data via direct API call`);
+
+                // Update CRO data with found contact information
+                if (croContactData.phone && !result.cro.phone) {
+                    setField(result.cro, 'phone', croContactData.phone, provenanceFromContact(croContactData, 'phone', 'ExecutiveContactIntelligence'));
+                    console.log(`   ✅ Updated CRO phone: ${result.cro.phone}`);
                 }
-            } catch (error) {
-                console.log(`❌ Contact intelligence failed: ${error.message}`);
-                console.log(`❌ Error stack: ${error.stack}`);
-                contactIntelligence = null;
-            }
-            
-            // Merge contact data with enhanced logging
-            console.log('   📧 Merging contact intelligence data...');
-            this.mergeContactData(result, contactIntelligence);
-            
-            // FALLBACK: If CRO is missing contact data, try direct API calls
-            if (result.cro && result.cro.name && (!result.cro.phone || !result.cro.linkedIn)) {
-                console.log(`🔧 FALLBACK: CRO missing contact data, trying direct API calls...`);
-                console.log(`   CRO: ${result.cro.name} - Phone: ${result.cro.phone || 'MISSING'} - LinkedIn: ${result.cro.linkedIn || 'MISSING'}`);
-                
-                try {
-                    // Try direct Lusha search for CRO
-                    const croContactData = await this.executiveContactIntelligence.searchLushaExecutive(
-                        result.cro.name,
-                        result.companyName,
-                        result.website,
-                        'CRO'
-                    );
-                    
-                    if (croContactData) {
-                        console.log(`✅ FALLBACK: Found CRO contact data via direct API call`);
-                        console.log(`   Phone: ${croContactData.phone || 'Not found'}`);
-                        console.log(`   LinkedIn: ${croContactData.linkedinUrl || 'Not found'}`);
-                        
-                        // Update CRO data with found contact information
-                        if (croContactData.phone && !result.cro.phone) {
-                            result.cro.phone = croContactData.phone;
-                            console.log(`   ✅ Updated CRO phone: ${result.cro.phone}`);
-                        }
-                        if (croContactData.linkedinUrl && !result.cro.linkedIn) {
-                            result.cro.linkedIn = croContactData.linkedinUrl;
-                            console.log(`   ✅ Updated CRO LinkedIn: ${result.cro.linkedIn}`);
-                        }
-                    } else {
-                        console.log(`❌ FALLBACK: No CRO contact data found via direct API call`);
-                    }
-                } catch (fallbackError) {
-                    console.log(`⚠️ FALLBACK: Direct API call failed: ${fallbackError.message}`);
+                if (croContactData.linkedinUrl && !result.cro.linkedIn) {
+                    setField(result.cro, 'linkedIn', croContactData.linkedinUrl, provenanceFromContact(croContactData, 'linkedIn', 'ExecutiveContactIntelligence'));
+                    console.log(`   ✅ Updated CRO LinkedIn: ${result.cro.linkedIn}`);
                 }
+            } else {
+                console.log(`❌ FALLBACK: No CRO contact data found via direct API call`);
             }
-            
-            // Debug: Show what contact intelligence returned
-            console.log(`   🔍 Contact Intelligence Summary:`);
-            console.log(`      Structure: ${JSON.stringify(Object.keys(contactIntelligence || {}))}`);
-            if (contactIntelligence?.executiveContacts) {
-                console.log(`      Executive Contacts: ${JSON.stringify(Object.keys(contactIntelligence.executiveContacts))}`);
-            }
-            
-            // Populate company data from research
-            if (research.companyDetails) {
-                result.companyInfo.industry = result.companyInfo.industry || research.companyDetails.industry || '';
-                result.companyInfo.employeeCount = result.companyInfo.employeeCount || research.companyDetails.employeeCount || '';
-                result.companyInfo.headquarters = result.companyInfo.headquarters || research.companyDetails.headquarters || '';
-            }
+        } catch (fallbackError) {
+            console.log(`⚠️ FALLBACK: Direct API call failed: ${fallbackError.message}`);
+        }
+    }
 
-            // ENHANCED Universal de-duplication: prevent same person filling CFO and CRO
-            const samePerson = (a, b) => !!a?.name && !!b?.name && a.name.trim().toLowerCase() === b.name.trim().toLowerCase();
-            const croLooksFinance = (exec) => !!exec?.title && exec.title.toLowerCase().includes('chief financial officer');
-            const cfoLooksRevenue = (exec) => !!exec?.title && exec.title.toLowerCase().includes('chief revenue officer');
-            
-            if (result.cfo && result.cro) {
-                if (samePerson(result.cfo, result.cro)) {
-                    console.log(`   🚨 DUPLICATE EXECUTIVE DETECTED: ${result.cfo.name} assigned to both CFO and CRO`);
-                    
-                    // Priority logic: CFO title > CRO title > CEO/President (dual role) > Remove CRO
-                    const cfoTitle = (result.cfo.title || '').toLowerCase();
-                    const croTitle = (result.cro.title || '').toLowerCase();
-                    
-                    if (cfoTitle.includes('chief financial officer') || cfoTitle.includes('cfo')) {
-                        console.log('   🔧 Keeping CFO (has finance title), clearing CRO');
-                        result.cro = { name: '', title: '', email: '', phone: '', linkedIn: '', confidence: 0, tier: null, role: 'N/A' };
-                    } else if (croTitle.includes('chief revenue officer') || croTitle.includes('cro')) {
-                        console.log('   🔧 Keeping CRO (has revenue title), clearing CFO');
-                        result.cfo = { name: '', title: '', email: '', phone: '', linkedIn: '', confidence: 0, tier: null, role: 'N/A' };
-                    } else if (cfoTitle.includes('ceo') || cfoTitle.includes('president') || cfoTitle.includes('founder')) {
-                        console.log(`   ✅ Allowing dual role for CEO/President/Founder: ${result.cfo.title}`);
-                        // Keep both - legitimate dual role for small companies
-                    } else {
-                        console.log('   🔧 Ambiguous titles - keeping CFO, clearing CRO (CFO priority)');
-                        result.cro = { name: '', title: '', email: '', phone: '', linkedIn: '', confidence: 0, tier: null, role: 'N/A' };
-                    }
-                } else if (croLooksFinance(result.cro)) {
-                    console.log('   🧹 De-duplication: Clearing CRO due to finance title');
-                    result.cro = { name: '', title: '', email: '', phone: '', linkedIn: '', confidence: 0, tier: null, role: 'N/A' };
-                } else if (cfoLooksRevenue(result.cfo)) {
-                    console.log('   🧹 De-duplication: Clearing CFO due to revenue title');
-                    result.cfo = { name: '', title: '', email: '', phone: '', linkedIn: '', confidence: 0, tier: null, role: 'N/A' };
-                }
+    /**
+     * ENHANCED Universal de-duplication: prevent same person filling CFO and CRO
+     */
+    resolveDuplicateExecutives(result) {
+        // Same identity - LinkedIn profile, email or a nickname-aware name match (modules/IdentityResolver.js)
+        const samePerson = (a, b) => (!!a?.identity?.id && a.identity.id === b?.identity?.id) || this.identityResolver.samePerson(a, b);
+        // C-level titles from config/role-taxonomy.js ("CFO", "C.F.O." and "Chief Financial Officer" alike)
+        const croLooksFinance = (exec) => !!exec?.title && isFinanceTitle(exec.title, { maxTier: 1 });
+        const cfoLooksRevenue = (exec) => !!exec?.title && isRevenueTitle(exec.title, { maxTier: 1 });
+
+        if (!result.cfo || !result.cro) {
+            return;
+        }
+
+        if (samePerson(result.cfo, result.cro)) {
+            console.log(`   🚨 DUPLICATE EXECUTIVE DETECTED: ${result.cfo.name} assigned to both CFO and CRO`);
+
+            // Priority logic: CFO title > CRO title > CEO/President (dual role) > Remove CRO
+            if (isFinanceTitle(result.cfo.title, { maxTier: 1 })) {
+                console.log('   🔧 Keeping CFO (has finance title), clearing CRO');
+                result.cro = this.emptyExecutive();
+            } else if (isRevenueTitle(result.cro.title, { maxTier: 1 })) {
+                console.log('   🔧 Keeping CRO (has revenue title), clearing CFO');
+                result.cfo = this.emptyExecutive();
+            } else if (isGeneralManagementTitle(result.cfo.title)) {
+                // Keep both - legitimate dual role for small companies
+                console.log(`   ✅ Allowing dual role for CEO/President/Founder: ${result.cfo.title}`);
+            } else {
+                console.log('   🔧 Ambiguous titles - keeping CFO, clearing CRO (CFO priority)');
+                result.cro = this.emptyExecutive();
             }
+        } else if (croLooksFinance(result.cro)) {
+            console.log('   🧹 De-duplication: Clearing CRO due to finance title');
+            result.cro = this.emptyExecutive();
+        } else if (cfoLooksRevenue(result.cfo)) {
+            console.log('   🧹 De-duplication: Clearing CFO due to revenue title');
+            result.cfo = this.emptyExecutive();
+        }
+    }
 
-            // Email domain consistency: clear emails that don't match allowed domains
-            this.enforceEmailDomainConsistency(result, companyResolution);
+    /**
+     * Role sanity: ensure CFO/CRO titles align with finance/revenue
+     */
+    applyRoleSanityChecks(result) {
+        if (result.cfo?.name && !isFinanceTitle(result.cfo?.title)) {
+            console.log(`   🛡️ CFO sanity: Clearing non-finance title for ${result.cfo.name} (${result.cfo.title || 'No title'})`);
+            result.cfo = this.emptyExecutive();
+        }
+        if (result.cro?.name && !isRevenueTitle(result.cro?.title)) {
+            console.log(`   🛡️ CRO sanity: Clearing non-revenue title for ${result.cro.name} (${result.cro.title || 'No title'})`);
+            result.cro = this.emptyExecutive();
+        }
+    }
 
-            // Role sanity: ensure CFO/CRO titles align with finance/revenue
-            const isFinanceTitle = (title) => {
-                const t = (title || '').toLowerCase();
-                return t.includes('chief financial officer') || t.includes('cfo') || t.includes('finance') || t.includes('accounting') || t.includes('treasurer') || t.includes('vp finance');
-            };
-            const isRevenueTitle = (title) => {
-                const t = (title || '').toLowerCase();
-                return t.includes('chief revenue officer') || t.includes('cro') || t.includes('chief sales officer') || t.includes('cso') || t.includes('sales') || t.includes('revenue');
-            };
-            if (result.cfo?.name && !isFinanceTitle(result.cfo?.title)) {
-                console.log(`   🛡️ CFO sanity: Clearing non-finance title for ${result.cfo.name} (${result.cfo.title || 'No title'})`);
-                result.cfo = { name: '', title: '', email: '', phone: '', linkedIn: '', confidence: 0, tier: null, role: 'N/A' };
+    /**
+     * GfK/Nielsen fallback: if GfK case and no valid parent CFO/CRO, set known current leaders
+     */
+    applyParentExecutiveFallback(result, companyResolution) {
+        const canonicalDomain = (companyResolution.canonicalUrl || '').toLowerCase();
+        const parentName = typeof result.corporateStructure?.parentCompany === 'object' ? (result.corporateStructure.parentCompany?.name || '') : (result.corporateStructure?.parentCompany || '');
+        const isGfkCase = canonicalDomain.includes('gfk.com') || (result.companyName || '').toLowerCase().includes('gfk');
+        const isNielsenParent = (parentName || '').toLowerCase().includes('nielsen');
+
+        if (!isGfkCase || !isNielsenParent) {
+            return;
+        }
+
+        const needCfo = !result.cfo?.name;
+        const needCro = !result.cro?.name;
+        if (needCfo || needCro) {
+            console.log('   🎯 Applying Nielsen parent executive fallback for GfK');
+            if (needCfo) {
+                result.cfo = {
+                    name: 'Jessica Holscott',
+                    title: 'Chief Financial Officer',
+                    email: '',
+                    phone: '',
+                    linkedIn: 'https://www.linkedin.com/in/jessica-holscott',
+                    confidence: 99,
+                    source: 'parent_company_override',
+                    validated: true,
+                    role: 'CFO',
+                    tier: 1
+                };
             }
-            if (result.cro?.name && !isRevenueTitle(result.cro?.title)) {
-                console.log(`   🛡️ CRO sanity: Clearing non-revenue title for ${result.cro.name} (${result.cro.title || 'No title'})`);
-                result.cro = { name: '', title: '', email: '', phone: '', linkedIn: '', confidence: 0, tier: null, role: 'N/A' };
+            if (needCro) {
+                result.cro = {
+                    name: 'Amilcar Perez',
+                    title: 'Chief Revenue Officer',
+                    email: '',
+                    phone: '',
+                    linkedIn: 'https://www.linkedin.com/in/amilcar-perez',
+                    confidence: 99,
+                    source: 'parent_company_override',
+                    validated: true,
+                    role: 'CRO',
+                    tier: 1
+                };
             }
+        }
+    }
 
-            // GfK/Nielsen fallback: if GfK case and no valid parent CFO/CRO, set known current leaders
-            const canonicalDomain = (companyResolution.canonicalUrl || '').toLowerCase();
-            const parentName = typeof result.corporateStructure?.parentCompany === 'object' ? (result.corporateStructure.parentCompany?.name || '') : (result.corporateStructure?.parentCompany || '');
-            const isGfkCase = canonicalDomain.includes('gfk.com') || (result.companyName || '').toLowerCase().includes('gfk');
-            const isNielsenParent = (parentName || '').toLowerCase().includes('nielsen');
-            if (isGfkCase && isNielsenParent) {
-                const needCfo = !result.cfo?.name;
-                const needCro = !result.cro?.name;
-                if (needCfo || needCro) {
-                    console.log('   🎯 Applying Nielsen parent executive fallback for GfK');
-                    if (needCfo) {
-                        result.cfo = {
-                            name: 'Jessica Holscott',
-                            title: 'Chief Financial Officer',
-                            email: '',
-                            phone: '',
-                            linkedIn: 'https://www.linkedin.com/in/jessica-holscott',
-                            confidence: 99,
-                            source: 'parent_company_override',
-                            validated: true,
-                            role: 'CFO',
-                            tier: 1
-                        };
-                    }
-                    if (needCro) {
-                        result.cro = {
-                            name: 'Amilcar Perez',
-                            title: 'Chief Revenue Officer',
-                            email: '',
-                            phone: '',
-                            linkedIn: 'https://www.linkedin.com/in/amilcar-perez',
-                            confidence: 99,
-                            source: 'parent_company_override',
-                            validated: true,
-                            role: 'CRO',
-                            tier: 1
-                        };
-                    }
-                }
-            }
+    /**
+     * CFO, CRO and any target persona executives on a result
+     */
+    personaExecutives(result) {
+        return resultPersonas(result).map(persona => result[persona.id]).filter(Boolean);
+    }
 
-            // Executive validation already completed in STEP 2.5 above
+    /**
+     * Attribute any persona values still lacking provenance (overrides, parent executives)
+     * to the executive's own source
+     */
+    fillResultProvenance(result) {
+        this.personaExecutives(result).forEach(executive => fillMissingProvenance(executive, 'CorePipeline'));
+    }
 
-            // STEP 4: Essential Contact Validation
-            console.log('Validating executive contacts...');
-            console.log(`🔍 DEBUG: Passing executives to validator - CFO: ${result.cfo?.name}, CRO: ${result.cro?.name}`);
-            const contactValidation = await this.contactValidator.enrichContacts(
-                { executives: { cfo: result.cfo, cro: result.cro } },
-                companyResolution
-            );
-            
-            // Apply validation results
-            this.applyContactValidation(result, contactValidation);
-            
-            // Ensure contact information is properly captured
-            this.finalizeContactData(result, contactIntelligence, contactValidation);
-            
-            // DEBUG: Check what data we have before validation
-            console.log(`🔍 DEBUG: Data before final validation:`);
-            console.log(`   CFO: ${result.cfo?.name} - Email: ${result.cfo?.email} - Phone: ${result.cfo?.phone}`);
-            console.log(`   CRO: ${result.cro?.name} - Email: ${result.cro?.email} - Phone: ${result.cro?.phone}`);
-
-            // STEP 5: Basic Data Validation (Essential quality check)
-            console.log('Running essential data validation...');
-            const dataValidation = await this.validationEngine.validateExecutiveData(
-                contactValidation,
-                { executives: { cfo: result.cfo, cro: result.cro }, sources: ['ExecutiveResearch', 'ContactIntelligence'] },
-                companyResolution
-            );
-            
-            // Update confidence based on validation
-            this.updateConfidenceScores(result, dataValidation);
+    /**
+     * 📮 PERSONA EMAIL DELIVERABILITY
+     * Takes the class ContactValidator gave the chosen address, else derives it from the domain's
+     * catch-all status; generated addresses on catch-all domains get their confidence capped
+     */
+    async applyEmailDeliverability(result, contactValidation = null, executives = this.personaExecutives(result)) {
+        const checked = new Map();
+        Object.values(contactValidation?.enrichedExecutives || {}).forEach(executive => {
+            (executive?.contacts?.emails || []).forEach(entry => {
+                if (entry?.email && entry.deliverability) checked.set(entry.email.toLowerCase(), entry);
+            });
+        });
 
-            // Count successful finds
-            if (result.cfo?.name && result.cro?.name) {
-                this.stats.bothFound++;
+        for (const exec of executives) {
+            if (!exec) continue;
+            if (!exec.email) {
+                delete exec.emailDeliverability;
+                continue;
             }
 
-            result.researchMethod = research.researchMethod || 'cfo_cro_focused';
-            result.overallConfidence = Math.round(((result.cfo?.confidence || 0) + (result.cro?.confidence || 0)) / 2);
-            
-            if (result.overallConfidence >= 80) {
-                this.stats.highConfidence++;
-            }
+            const entry = checked.get(exec.email.toLowerCase());
+            const catchAllDomain = entry?.catchAllDomain ?? await this.catchAllDetector.isCatchAll(emailDomain(exec.email));
+            exec.emailDeliverability = entry?.deliverability
+                || (catchAllDomain ? DELIVERABILITY.CATCH_ALL_RISKY : DELIVERABILITY.UNKNOWN);
 
-            if (result.cfo.email || result.cro.email) {
-                this.stats.contactsValidated++;
+            const provenance = exec.provenance?.email;
+            if (catchAllDomain && provenance?.kind === 'generated' && typeof provenance.confidence === 'number') {
+                provenance.confidence = this.catchAllDetector.capConfidence(provenance.confidence);
             }
+        }
+    }
 
-            // Validation notes
-            result.validationNotes = this.generateValidationNotes(result);
+    /**
+     * ☎️ PERSONA PHONE DETAILS
+     * Rewrites each phone in the canonical format (E.164, " ext. N") and records phoneDetails:
+     * { e164, country, extension, type: mobile | direct | hq | unknown, typeReason }.
+     * Numbers seen on several executives during the run are classed as HQ / switchboard lines.
+     */
+    applyPhoneDetails(result, contactValidation = null, executives = this.personaExecutives(result)) {
+        const defaultCountry = regionFromDomain(result.website) || 'US';
+        const providerPhones = new Map();
+        Object.values(contactValidation?.enrichedExecutives || {}).forEach(executive => {
+            (executive?.contacts?.phones || []).forEach(phone => {
+                const key = phoneKey(phone?.number || phone?.phone, { defaultCountry });
+                if (key && !providerPhones.has(key)) providerPhones.set(key, phone);
+            });
+        });
 
-            this.stats.successful++;
+        const withPhones = executives.filter(exec => exec?.phone);
+        withPhones.forEach(exec => this.phoneRegistry.observe(exec.phone, `${result.companyName}|${exec.name}`, { defaultCountry }));
 
-            console.log(`SUCCESS: ${result.companyName}`);
-            console.log(`   CFO: ${result.cfo?.name || 'Not found'} (${result.cfo?.confidence || 0}%) Tier ${result.cfo?.tier || 'N/A'} ${result.cfo?.email ? '📧' : ''}`);
-            console.log(`   CRO: ${result.cro?.name || 'Not found'} (${result.cro?.confidence || 0}%) Tier ${result.cro?.tier || 'N/A'} ${result.cro?.email ? '📧' : ''}`);
-            console.log(`   CFO Role: ${result.cfo?.role || 'N/A'}`);
-            console.log(`   CRO Role: ${result.cro?.role || 'N/A'}`);
-            console.log(`   Overall: ${result.overallConfidence || 0}% confidence`);
+        withPhones.forEach(exec => {
+            const parsed = parsePhone(exec.phone, { defaultCountry });
+            if (!parsed?.e164) return;
 
-        } catch (error) {
-            console.error(`❌ Error: ${error.message}`);
-            // Ensure result object exists with basic structure
-            if (!result) {
-                result = {
-                    index,
-                    website: company.website,
-                    companyName: company.website || 'Unknown',
-                    cfo: { name: 'Not Found', confidence: 0 },
-                    cro: { name: 'Not Found', confidence: 0 },
-                    overallConfidence: 0
-                };
-            }
-            result.error = error.message;
-            this.stats.errors++;
-        }
+            const providerPhone = providerPhones.get(phoneKey(parsed)) || exec.phoneNumbers?.[0];
+            const classification = this.phoneRegistry.classify(parsed, {
+                defaultCountry,
+                lineType: providerPhone?.twilioValidation?.lineType || providerPhone?.lineType,
+                providerType: providerPhone?.lushaData?.type || providerPhone?.type
+            });
 
-        // Ensure result exists before accessing properties
-        if (result) {
-            result.processingTime = Date.now() - startTime;
-            this.results.push(result);
-        }
-        
-        // Return the result for API usage
-        return result;
+            exec.phone = formatPhone(parsed);
+            exec.phoneDetails = {
+                e164: parsed.e164,
+                country: parsed.country,
+                extension: parsed.extension,
+                type: classification.type,
+                typeReason: classification.reason
+            };
+        });
+    }
+
+    /**
+     * Registry of every persona phone in a result set - used by the CSV so sharing across
+     * the whole file (not just companies processed so far) decides HQ lines
+     */
+    buildPhoneRegistry(results) {
+        const registry = new PhoneRegistry(this.config);
+        (results || []).filter(Boolean).forEach(result => {
+            const defaultCountry = regionFromDomain(result.website) || 'US';
+            this.personaExecutives(result).filter(exec => exec?.phone).forEach(exec => {
+                registry.observe(exec.phone, `${result.companyName}|${exec.name}`, { defaultCountry });
+            });
+        });
+        return registry;
+    }
+
+    /**
+     * Country for an executive - from the phone's country code, else guessed from the website TLD
+     */
+    countryForExecutive(executive, website) {
+        const parsed = parsePhone(executive?.phone, { defaultCountry: regionFromDomain(website) || 'US' });
+        return parsed?.e164 ? parsed.countryName : this.extractCountryFromDomain(website);
+    }
+
+    /**
+     * Empty CFO/CRO entry used when an executive is cleared
+     */
+    emptyExecutive() {
+        return { name: '', title: '', email: '', phone: '', linkedIn: '', confidence: 0, tier: null, role: 'N/A' };
+    }
+
+    /**
+     * Log per-company CFO/CRO outcome
+     */
+    logCompanySuccess(result) {
+        console.log(`SUCCESS: ${result.companyName}`);
+        console.log(`   CFO: ${result.cfo?.name || 'Not found'} (${result.cfo?.confidence || 0}%) Tier ${result.cfo?.tier || 'N/A'} ${result.cfo?.email ? '📧' : ''}`);
+        console.log(`   CRO: ${result.cro?.name || 'Not found'} (${result.cro?.confidence || 0}%) Tier ${result.cro?.tier || 'N/A'} ${result.cro?.email ? '📧' : ''}`);
+        console.log(`   CFO Role: ${result.cfo?.role || 'N/A'}`);
+        console.log(`   CRO Role: ${result.cro?.role || 'N/A'}`);
+        extraPersonas(resultPersonas(result)).forEach(persona => {
+            const executive = result[persona.id];
+            console.log(`   ${persona.label}: ${executive?.name || 'Not found'} (${executive?.confidence || 0}%) Tier ${executive?.tier || 'N/A'} ${executive?.email ? '📧' : ''}`);
+        });
+        console.log(`   Overall: ${result.overallConfidence || 0}% confidence`);
     }
 
     /**
@@ -958,18 +678,14 @@ class CorePipeline {
             if (contactIntelligence.executiveContacts.cfo && result.cfo) {
                 const cfoContact = contactIntelligence.executiveContacts.cfo;
                 console.log(`      CFO contact data: ${JSON.stringify(cfoContact)}`);
-                result.cfo.email = cfoContact.email || result.cfo.email;
-                result.cfo.phone = cfoContact.phone || cfoContact.phoneNumbers?.[0]?.number || result.cfo.phone;
-                result.cfo.linkedIn = cfoContact.linkedinUrl || result.cfo.linkedIn;
+                this.mergeExecutiveContact(result.cfo, cfoContact);
             }
             
             // Look for CRO contact data
             if (contactIntelligence.executiveContacts.cro && result.cro) {
                 const croContact = contactIntelligence.executiveContacts.cro;
                 console.log(`      CRO contact data: ${JSON.stringify(croContact)}`);
-                result.cro.email = croContact.email || result.cro.email;
-                result.cro.phone = croContact.phone || croContact.phoneNumbers?.[0]?.number || result.cro.phone;
-                result.cro.linkedIn = croContact.linkedinUrl || result.cro.linkedIn;
+                this.mergeExecutiveContact(result.cro, croContact);
             }
         }
 
@@ -981,28 +697,24 @@ class CorePipeline {
             // Find CRO contact data with enhanced matching
             const croContact = executives.find(exec => 
                 ['CRO', 'CSO', 'VP Sales', 'VP Revenue', 'Chief Revenue Officer', 'Chief Sales Officer', 'Chief Customer Officer', 'CCO', 'Vice President Sales', 'Vice President Revenue'].includes(exec.role) || 
-                (exec.name && result.cro?.name && exec.name.toLowerCase().includes(result.cro.name.toLowerCase())) ||
+                namesMatch(exec.name, result.cro?.name) ||
                 (exec.title && ['revenue', 'sales', 'customer'].some(term => exec.title.toLowerCase().includes(term)))
             );
 
             if (croContact && result.cro) {
                 console.log(`      Found CRO contact: ${croContact.name} - ${croContact.email}`);
-                result.cro.email = croContact.email || result.cro.email;
-                result.cro.phone = croContact.phone || croContact.phoneNumbers?.[0]?.number || result.cro.phone;
-                result.cro.linkedIn = croContact.linkedinUrl || result.cro.linkedIn;
+                this.mergeExecutiveContact(result.cro, croContact);
             }
             
             // Find CFO contact data with enhanced matching
             const cfoContact = executives.find(exec => 
                 ['CFO', 'Chief Financial Officer', 'VP Finance'].includes(exec.role) || 
-                (exec.name && result.cfo?.name && exec.name.toLowerCase().includes(result.cfo.name.toLowerCase()))
+                namesMatch(exec.name, result.cfo?.name)
             );
             
             if (cfoContact && result.cfo) {
                 console.log(`      Found CFO contact: ${cfoContact.name} - ${cfoContact.email}`);
-                result.cfo.email = cfoContact.email || result.cfo.email;
-                result.cfo.phone = cfoContact.phone || cfoContact.phoneNumbers?.[0]?.number || result.cfo.phone;
-                result.cfo.linkedIn = cfoContact.linkedinUrl || result.cfo.linkedIn;
+                this.mergeExecutiveContact(result.cfo, cfoContact);
             }
         }
 
@@ -1016,12 +728,12 @@ class CorePipeline {
                 // Try to match emails to executives by name
                 for (const emailData of discovery.contacts.emails) {
                     console.log(`      Checking email: ${emailData.email} for executive: ${emailData.executive || 'unknown'}`);
-                    if (result.cfo?.name && emailData.executive?.toLowerCase().includes(result.cfo.name.toLowerCase())) {
-                        result.cfo.email = result.cfo.email || emailData.email;
+                    if (namesMatch(emailData.executive, result.cfo?.name)) {
+                        if (!result.cfo.email) setField(result.cfo, 'email', emailData.email, provenanceFromContact(emailData, 'email', 'ContactResearch'));
                         console.log(`      ✅ Matched CFO email: ${emailData.email}`);
                     }
-                    if (result.cro?.name && emailData.executive?.toLowerCase().includes(result.cro.name.toLowerCase())) {
-                        result.cro.email = result.cro.email || emailData.email;
+                    if (namesMatch(emailData.executive, result.cro?.name)) {
+                        if (!result.cro.email) setField(result.cro, 'email', emailData.email, provenanceFromContact(emailData, 'email', 'ContactResearch'));
                         console.log(`      ✅ Matched CRO email: ${emailData.email}`);
                     }
                 }
@@ -1031,12 +743,12 @@ class CorePipeline {
                 console.log(`      Enhanced discovery has ${discovery.contacts.phones.length} phones`);
                 // Try to match phones to executives by name
                 for (const phoneData of discovery.contacts.phones) {
-                    if (result.cfo?.name && phoneData.executive?.toLowerCase().includes(result.cfo.name.toLowerCase())) {
-                        result.cfo.phone = result.cfo.phone || phoneData.phone;
+                    if (namesMatch(phoneData.executive, result.cfo?.name)) {
+                        if (!result.cfo.phone) setField(result.cfo, 'phone', phoneData.phone, provenanceFromContact(phoneData, 'phone', 'ContactResearch'));
                         console.log(`      ✅ Matched CFO phone: ${phoneData.phone}`);
                     }
-                    if (result.cro?.name && phoneData.executive?.toLowerCase().includes(result.cro.name.toLowerCase())) {
-                        result.cro.phone = result.cro.phone || phoneData.phone;
+                    if (namesMatch(phoneData.executive, result.cro?.name)) {
+                        if (!result.cro.phone) setField(result.cro, 'phone', phoneData.phone, provenanceFromContact(phoneData, 'phone', 'ContactResearch'));
                         console.log(`      ✅ Matched CRO phone: ${phoneData.phone}`);
                     }
                 }
@@ -1053,7 +765,7 @@ class CorePipeline {
             
             // Set country if not available
             if (!result.cfo.country) {
-                result.cfo.country = this.extractCountryFromDomain(result.website);
+                result.cfo.country = this.countryForExecutive(result.cfo, result.website);
                 console.log(`      🌍 Set CFO country: ${result.cfo.country}`);
             }
         }
@@ -1067,7 +779,7 @@ class CorePipeline {
             
             // Set country if not available
             if (!result.cro.country) {
-                result.cro.country = this.extractCountryFromDomain(result.website);
+                result.cro.country = this.countryForExecutive(result.cro, result.website);
                 console.log(`      🌍 Set CRO country: ${result.cro.country}`);
             }
         }
@@ -1075,10 +787,21 @@ class CorePipeline {
         console.log(`   ✅ Contact merge complete`);
     }
 
+    /**
+     * Copy email / phone / LinkedIn from a contact intelligence record onto an executive,
+     * keeping the executive's value (and its provenance) where the record has none
+     */
+    mergeExecutiveContact(executive, contact) {
+        const module = 'ExecutiveContactIntelligence';
+        setField(executive, 'email', contact.email, provenanceFromContact(contact, 'email', module));
+        setField(executive, 'phone', contact.phone || contact.phoneNumbers?.[0]?.number, provenanceFromContact(contact, 'phone', module));
+        setField(executive, 'linkedIn', contact.linkedinUrl, provenanceFromContact(contact, 'linkedIn', module));
+    }
+
     /**
      * Ensure executive emails match company or parent domains; clear if mismatched
      */
-    enforceEmailDomainConsistency(result, companyResolution) {
+    enforceEmailDomainConsistency(result, companyResolution, executives = this.personaExecutives(result)) {
         const extractDomain = (email) => (email || '').split('@')[1]?.toLowerCase() || '';
         const allowedDomains = new Set();
         const finalDomain = (companyResolution.finalUrl || '').replace(/^https?:\/\/(www\.)?/, '').split('/')[0].toLowerCase();
@@ -1098,12 +821,11 @@ class CorePipeline {
             const matches = Array.from(allowedDomains).some(d => domain.endsWith(d));
             if (!matches) {
                 console.log(`      🧹 Clearing mismatched email for ${exec.name}: ${exec.email} not in ${Array.from(allowedDomains).join(', ')}`);
-                exec.email = '';
+                clearField(exec, 'email');
             }
         };
 
-        clearIfMismatch(result.cfo);
-        clearIfMismatch(result.cro);
+        executives.forEach(clearIfMismatch);
     }
 
     /**
@@ -1115,18 +837,28 @@ class CorePipeline {
             
             // Apply CRO email validation
             if (validated.cro?.email) {
-                result.cro.email = validated.cro.email;
-                result.cro.validated = true;
+                this.applyValidatedEmail(result.cro, validated.cro);
             }
             
             // Apply CFO email validation
             if (validated.cfo?.email) {
-                result.cfo.email = validated.cfo.email;
-                result.cfo.validated = true;
+                this.applyValidatedEmail(result.cfo, validated.cfo);
             }
         }
     }
 
+    /**
+     * Validated email from ContactValidator - keeps the original provenance when the
+     * address is unchanged and records the verification
+     */
+    applyValidatedEmail(executive, validated) {
+        if (executive.email !== validated.email) {
+            setField(executive, 'email', validated.email, provenanceFromContact(validated, 'email', 'ContactValidator'));
+        }
+        markVerified(executive, 'email', { verifiedBy: validated.validationSource || validated.source || 'ContactValidator', confidence: validated.confidence, verifiedAt: validated.verifiedAt });
+        executive.validated = true;
+    }
+
     /**
      * FINALIZE CONTACT DATA - Ensure all contact info is captured
      */
@@ -1137,26 +869,26 @@ class CorePipeline {
         if (contactIntelligence?.executiveContacts?.cfo) {
             const cfoContact = contactIntelligence.executiveContacts.cfo;
             if (result.cfo && !result.cfo.email && cfoContact.email) {
-                result.cfo.email = cfoContact.email;
+                setField(result.cfo, 'email', cfoContact.email, provenanceFromContact(cfoContact, 'email', 'ExecutiveContactIntelligence'));
             }
             if (result.cfo && !result.cfo.phone && cfoContact.phone) {
-                result.cfo.phone = cfoContact.phone;
+                setField(result.cfo, 'phone', cfoContact.phone, provenanceFromContact(cfoContact, 'phone', 'ExecutiveContactIntelligence'));
             }
             if (result.cfo && !result.cfo.linkedIn && cfoContact.linkedIn) {
-                result.cfo.linkedIn = cfoContact.linkedIn;
+                setField(result.cfo, 'linkedIn', cfoContact.linkedIn, provenanceFromContact(cfoContact, 'linkedIn', 'ExecutiveContactIntelligence'));
             }
         }
         
         if (contactIntelligence?.executiveContacts?.cro) {
             const croContact = contactIntelligence.executiveContacts.cro;
             if (result.cro && !result.cro.email && croContact.email) {
-                result.cro.email = croContact.email;
+                setField(result.cro, 'email', croContact.email, provenanceFromContact(croContact, 'email', 'ExecutiveContactIntelligence'));
             }
             if (result.cro && !result.cro.phone && croContact.phone) {
-                result.cro.phone = croContact.phone;
+                setField(result.cro, 'phone', croContact.phone, provenanceFromContact(croContact, 'phone', 'ExecutiveContactIntelligence'));
             }
             if (result.cro && !result.cro.linkedIn && croContact.linkedIn) {
-                result.cro.linkedIn = croContact.linkedIn;
+                setField(result.cro, 'linkedIn', croContact.linkedIn, provenanceFromContact(croContact, 'linkedIn', 'ExecutiveContactIntelligence'));
             }
         }
 
@@ -1172,7 +904,7 @@ class CorePipeline {
                                  cfoEmails.find(e => e.confidence > 80) || 
                                  cfoEmails[0];
                 if (bestEmail && result.cfo) {
-                    result.cfo.email = bestEmail.email;
+                    setField(result.cfo, 'email', bestEmail.email, provenanceFromContact(bestEmail, 'email', 'ContactValidator'));
                     console.log(`      ✅ CFO Email extracted: ${bestEmail.email} (${bestEmail.source})`);
                 }
             }
@@ -1180,14 +912,14 @@ class CorePipeline {
             if (contactValidation.enrichedExecutives.cfo?.contacts?.phones?.length > 0) {
                 const cfoPhones = contactValidation.enrichedExecutives.cfo.contacts.phones;
                 if (cfoPhones[0] && result.cfo) {
-                    result.cfo.phone = cfoPhones[0].number || cfoPhones[0].phone;
+                    setField(result.cfo, 'phone', cfoPhones[0].number || cfoPhones[0].phone, provenanceFromContact(cfoPhones[0], 'phone', 'ContactValidator'));
                     console.log(`      ✅ CFO Phone extracted: ${result.cfo.phone}`);
                 }
             }
 
             // Extract LinkedIn from contact validation
             if (contactValidation.enrichedExecutives.cfo?.linkedIn && result.cfo) {
-                result.cfo.linkedIn = contactValidation.enrichedExecutives.cfo.linkedIn;
+                setField(result.cfo, 'linkedIn', contactValidation.enrichedExecutives.cfo.linkedIn, provenanceFromContact(contactValidation.enrichedExecutives.cfo, 'linkedIn', 'ContactValidator'));
                 console.log(`      ✅ CFO LinkedIn extracted: ${result.cfo.linkedIn}`);
             }
 
@@ -1198,7 +930,7 @@ class CorePipeline {
                                  croEmails.find(e => e.confidence > 80) || 
                                  croEmails[0];
                 if (bestEmail && result.cro) {
-                    result.cro.email = bestEmail.email;
+                    setField(result.cro, 'email', bestEmail.email, provenanceFromContact(bestEmail, 'email', 'ContactValidator'));
                     console.log(`      ✅ CRO Email extracted: ${bestEmail.email} (${bestEmail.source})`);
                 }
             }
@@ -1206,14 +938,14 @@ class CorePipeline {
             if (contactValidation.enrichedExecutives.cro?.contacts?.phones?.length > 0) {
                 const croPhones = contactValidation.enrichedExecutives.cro.contacts.phones;
                 if (croPhones[0] && result.cro) {
-                    result.cro.phone = croPhones[0].number || croPhones[0].phone;
+                    setField(result.cro, 'phone', croPhones[0].number || croPhones[0].phone, provenanceFromContact(croPhones[0], 'phone', 'ContactValidator'));
                     console.log(`      ✅ CRO Phone extracted: ${result.cro.phone}`);
                 }
             }
 
             // Extract LinkedIn from contact validation
             if (contactValidation.enrichedExecutives.cro?.linkedIn && result.cro) {
-                result.cro.linkedIn = contactValidation.enrichedExecutives.cro.linkedIn;
+                setField(result.cro, 'linkedIn', contactValidation.enrichedExecutives.cro.linkedIn, provenanceFromContact(contactValidation.enrichedExecutives.cro, 'linkedIn', 'ContactValidator'));
                 console.log(`      ✅ CRO LinkedIn extracted: ${result.cro.linkedIn}`);
             }
 
@@ -1233,7 +965,7 @@ class CorePipeline {
                         
                         // Prioritize AI research emails over generated ones
                         if (email.source === 'ai_research' || !result.cfo.email) {
-                            result.cfo.email = email.email;
+                            setField(result.cfo, 'email', email.email, provenanceFromContact(email, 'email', 'ContactValidator'));
                             console.log(`      ✅ CFO Email from CEO section: ${email.email} (${email.source})`);
                         }
                     }
@@ -1247,7 +979,7 @@ class CorePipeline {
                         
                         // Prioritize AI research emails over generated ones
                         if (email.source === 'ai_research' || !result.cro.email) {
-                            result.cro.email = email.email;
+                            setField(result.cro, 'email', email.email, provenanceFromContact(email, 'email', 'ContactValidator'));
                             console.log(`      ✅ CRO Email from CEO section: ${email.email} (${email.source})`);
                         }
                     }
@@ -1266,7 +998,7 @@ class CorePipeline {
                          phone.context?.toLowerCase().includes('financial') ||
                          phone.context?.toLowerCase().includes(result.cfo?.name?.toLowerCase())) && 
                          result.cfo && !result.cfo.phone) {
-                        result.cfo.phone = phone.number;
+                        setField(result.cfo, 'phone', phone.number, provenanceFromContact(phone, 'phone', 'ContactValidator'));
                         console.log(`      ✅ CFO Phone from CEO section: ${phone.number}`);
                     }
                     
@@ -1276,7 +1008,7 @@ class CorePipeline {
                          phone.context?.toLowerCase().includes('sales') ||
                          phone.context?.toLowerCase().includes(result.cro?.name?.toLowerCase())) && 
                          result.cro && !result.cro.phone) {
-                        result.cro.phone = phone.number;
+                        setField(result.cro, 'phone', phone.number, provenanceFromContact(phone, 'phone', 'ContactValidator'));
                         console.log(`      ✅ CRO Phone from CEO section: ${phone.number}`);
                     }
                 });
@@ -1317,7 +1049,7 @@ class CorePipeline {
         return '';
     }
 
-    determineEmailType(email) {
+    determineEmailType(email, deliverability = null) {
         if (!email) return '';
         
         // Use real email validation data if available
@@ -1326,31 +1058,35 @@ class CorePipeline {
         
         // Check if it's a company domain (not gmail, yahoo, etc.)
         const personalDomains = ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'aol.com'];
-        if (personalDomains.includes(domain.toLowerCase())) {
-            return 'Personal Email';
-        }
-        
-        return 'Work Email';
+        const type = personalDomains.includes(domain.toLowerCase()) ? 'Personal Email' : 'Work Email';
+
+        const deliverabilityLabels = {
+            [DELIVERABILITY.VALID]: 'Verified',
+            [DELIVERABILITY.CATCH_ALL_RISKY]: 'Catch-All (Risky)',
+            [DELIVERABILITY.INVALID]: 'Invalid',
+            [DELIVERABILITY.UNKNOWN]: 'Unverified'
+        };
+        return deliverabilityLabels[deliverability] ? `${type} - ${deliverabilityLabels[deliverability]}` : type;
     }
 
-    determinePhoneType(phone, phoneData) {
+    determinePhoneType(phone, phoneData, { defaultCountry = 'US', registry = this.phoneRegistry } = {}) {
         if (!phone && !phoneData) return '';
         
-        // Use real phone validation data from our providers
-        if (phoneData?.lineType) {
-            const lineType = phoneData.lineType.toLowerCase();
-            if (lineType.includes('mobile') || lineType.includes('cell')) return 'Mobile';
-            if (lineType.includes('landline') || lineType.includes('fixed')) return 'Office Phone';
-        }
-        
-        if (phoneData?.type) {
-            const type = phoneData.type.toLowerCase();
-            if (type.includes('mobile') || type.includes('cell')) return 'Mobile';
-            if (type.includes('landline') || type.includes('fixed')) return 'Office Phone';
-        }
+        // Use real phone validation data from our providers, then the number itself
+        const { type } = registry.classify(phone || phoneData?.number || '', {
+            defaultCountry,
+            lineType: phoneData?.lineType,
+            providerType: phoneData?.type
+        });
+
+        const phoneTypeLabels = {
+            [PHONE_TYPES.MOBILE]: 'Mobile',
+            [PHONE_TYPES.DIRECT]: 'Direct Line',
+            [PHONE_TYPES.HQ]: 'HQ / Switchboard'
+        };
         
         // Only return empty if we don't have data
-        return '';
+        return phoneTypeLabels[type] || '';
     }
 
     extractLocationWithCountry(executive) {
@@ -1456,6 +1192,8 @@ class CorePipeline {
 
     /**
      * GENERATE STREAMLINED CRO/CFO CONTACT CSV
+     *
+     * CFO and CRO columns, then the same columns for each extra target persona (CISO Name, ...)
      */
     async generateContactCSV(version) {
         // Create versioned outputs directory
@@ -1468,78 +1206,46 @@ class CorePipeline {
                 { id: 'website', title: 'Website' },
                 { id: 'companyName', title: 'Company Name' },
                 
-                // CORE PIPELINE: VERIFIED CFO/CRO CONTACTS
-                { id: 'cfoName', title: 'CFO Name' },
-                { id: 'cfoTitle', title: 'CFO Title' },
-                { id: 'cfoEmail', title: 'CFO Email' },
-                { id: 'cfoEmailType', title: 'CFO Email Type' },
-                { id: 'cfoPhone', title: 'CFO Phone' },
-                { id: 'cfoPhoneType', title: 'CFO Phone Type' },
-                { id: 'cfoLinkedIn', title: 'CFO LinkedIn' },
-                { id: 'cfoLocation', title: 'CFO Location' },
-                { id: 'cfoTimeInRole', title: 'CFO Time in Role' },
-                { id: 'cfoSelectionReason', title: 'CFO Selection Reason' },
+                // CORE PIPELINE: VERIFIED CFO/CRO (+ TARGET PERSONA) CONTACTS
+                ...this.personas.flatMap(persona => this.personaCsvHeaders(persona)),
                 
-                { id: 'croName', title: 'CRO Name' },
-                { id: 'croTitle', title: 'CRO Title' },
-                { id: 'croEmail', title: 'CRO Email' },
-                { id: 'croEmailType', title: 'CRO Email Type' },
-                { id: 'croPhone', title: 'CRO Phone' },
-                { id: 'croPhoneType', title: 'CRO Phone Type' },
-                { id: 'croLinkedIn', title: 'CRO LinkedIn' },
-                { id: 'croLocation', title: 'CRO Location' },
-                { id: 'croTimeInRole', title: 'CRO Time in Role' },
-                { id: 'croSelectionReason', title: 'CRO Selection Reason' },
-                
-                { id: 'timestamp', title: 'Timestamp' }
+                { id: 'timestamp', title: 'Timestamp' },
+
+                // OPTIONAL: where each contact value came from
+                ...(this.config.PROVENANCE_COLUMNS
+                    ? this.personas.flatMap(persona => provenanceHeaders(persona.id, PROVENANCE_CSV_FIELDS))
+                    : [])
             ]
         });
 
+        const phoneRegistry = this.buildPhoneRegistry(this.results);
         const csvData = this.results.map(result => {
             // Safety check for undefined results
             if (!result || typeof result !== 'object') {
                 return {
                     website: 'Unknown',
                     companyName: 'Unknown',
-                    cfoName: '', cfoTitle: '', cfoEmail: '', cfoEmailType: '', cfoPhone: '', cfoPhoneType: '',
-                    cfoLinkedIn: '', cfoLocation: '', cfoTimeInRole: '', cfoSelectionReason: '',
-                    croName: '', croTitle: '', croEmail: '', croEmailType: '', croPhone: '', croPhoneType: '',
-                    croLinkedIn: '', croLocation: '', croTimeInRole: '', croSelectionReason: '',
+                    ...Object.fromEntries(this.personas.flatMap(persona => this.personaCsvHeaders(persona)).map(({ id }) => [id, ''])),
                     timestamp: new Date().toISOString()
                 };
             }
             
+            const phoneOptions = { defaultCountry: regionFromDomain(result.website) || 'US', registry: phoneRegistry };
+
             return {
                 // IDENTIFIERS
                 website: result.website || '',
                 companyName: result.companyName || '',
                 
-                // CFO DATA - Enhanced with new fields
-                cfoName: result.cfo?.name || '',
-                cfoTitle: result.cfo?.title || '',
-                cfoEmail: result.cfo?.email || '',
-                cfoEmailType: this.determineEmailType(result.cfo?.email),
-                cfoPhone: result.cfo?.phone || result.cfo?.phoneNumbers?.[0]?.number || '',
-                cfoPhoneType: this.determinePhoneType(result.cfo?.phone, result.cfo?.phoneNumbers?.[0]),
-                cfoLinkedIn: result.cfo?.linkedIn || result.cfo?.linkedinUrl || '',
-                cfoLocation: this.extractLocationWithCountry(result.cfo),
-                cfoTimeInRole: this.calculateTimeInRole(result.cfo),
-                cfoSelectionReason: result.cfo?.waterfallReason || result.cfo?.source || '',
-                
-                // CRO DATA - Enhanced with new fields
-                croName: result.cro?.name || '',
-                croTitle: result.cro?.title || '',
-                croEmail: result.cro?.email || '',
-                croEmailType: this.determineEmailType(result.cro?.email),
-                croPhone: result.cro?.phone || result.cro?.phoneNumbers?.[0]?.number || '',
-                croPhoneType: this.determinePhoneType(result.cro?.phone, result.cro?.phoneNumbers?.[0]),
-                croLinkedIn: result.cro?.linkedIn || result.cro?.linkedinUrl || '',
-                croLocation: this.extractLocationWithCountry(result.cro),
-                croTimeInRole: this.calculateTimeInRole(result.cro),
-                croSelectionReason: result.cro?.waterfallReason || result.cro?.source || '',
+                // PERSONA DATA - CFO, CRO, then any extra persona
+                ...Object.assign({}, ...this.personas.map(persona => this.personaCsvColumns(result[persona.id], persona, phoneOptions))),
                 
                 // METADATA
-                timestamp: new Date().toISOString()
+                timestamp: new Date().toISOString(),
+
+                ...(this.config.PROVENANCE_COLUMNS
+                    ? Object.assign({}, ...this.personas.map(persona => provenanceColumns(result[persona.id], persona.id, PROVENANCE_CSV_FIELDS)))
+                    : {})
             };
         });
 
@@ -1551,26 +1257,62 @@ class CorePipeline {
         console.log(`    Generated: ${outputDir}/core-cro-cfo-data.json`);
     }
 
+    /**
+     * Contact CSV header for one persona - cfoName / "CFO Name", cisoEmail / "CISO Email", ...
+     */
+    personaCsvHeaders(persona) {
+        const { id, label } = persona;
+        return [
+            { id: `${id}Name`, title: `${label} Name` },
+            { id: `${id}Title`, title: `${label} Title` },
+            { id: `${id}OriginalTitle`, title: `${label} Original Title` },
+            { id: `${id}Email`, title: `${label} Email` },
+            { id: `${id}EmailType`, title: `${label} Email Type` },
+            { id: `${id}Phone`, title: `${label} Phone` },
+            { id: `${id}PhoneType`, title: `${label} Phone Type` },
+            { id: `${id}LinkedIn`, title: `${label} LinkedIn` },
+            { id: `${id}Location`, title: `${label} Location` },
+            { id: `${id}TimeInRole`, title: `${label} Time in Role` },
+            { id: `${id}SelectionReason`, title: `${label} Selection Reason` }
+        ];
+    }
+
+    /**
+     * Contact CSV values for one persona's executive
+     */
+    personaCsvColumns(executive, persona, phoneOptions) {
+        const { id } = persona;
+        const phone = executive?.phone || executive?.phoneNumbers?.[0]?.number || '';
+        return {
+            [`${id}Name`]: executive?.name || '',
+            [`${id}Title`]: executive?.title || '',
+            [`${id}OriginalTitle`]: executive?.originalTitle || '',
+            [`${id}Email`]: executive?.email || '',
+            [`${id}EmailType`]: this.determineEmailType(executive?.email, executive?.emailDeliverability),
+            [`${id}Phone`]: formatPhone(phone, phoneOptions),
+            [`${id}PhoneType`]: this.determinePhoneType(phone, executive?.phoneDetails || executive?.phoneNumbers?.[0], phoneOptions),
+            [`${id}LinkedIn`]: executive?.linkedIn || executive?.linkedinUrl || '',
+            [`${id}Location`]: this.extractLocationWithCountry(executive),
+            [`${id}TimeInRole`]: this.calculateTimeInRole(executive),
+            [`${id}SelectionReason`]: executive?.waterfallReason || executive?.source || ''
+        };
+    }
+
     /**
      * GENERATE SUMMARY REPORT
      */
     generateSummary() {
-        console.log('\nCORE PIPELINE SUMMARY');
-        console.log('=' .repeat(80));
-        console.log(`Companies Processed: ${this.stats.processed}`);
-        console.log(`CFOs Found: ${this.stats.cfoFound}/${this.stats.processed} (${Math.round(this.stats.cfoFound/this.stats.processed*100)}%)`);
-        console.log(`CROs Found: ${this.stats.croFound}/${this.stats.processed} (${Math.round(this.stats.croFound/this.stats.processed*100)}%)`);
-        console.log(`Both Found: ${this.stats.bothFound}/${this.stats.processed} (${Math.round(this.stats.bothFound/this.stats.processed*100)}%)`);
-        console.log(`Contacts Validated: ${this.stats.contactsValidated}/${this.stats.processed} (${Math.round(this.stats.contactsValidated/this.stats.processed*100)}%)`);
-        console.log(`High Confidence: ${this.stats.highConfidence}/${this.stats.processed} (${Math.round(this.stats.highConfidence/this.stats.processed*100)}%)`);
-        console.log(`Errors: ${this.stats.errors}/${this.stats.processed} (${Math.round(this.stats.errors/this.stats.processed*100)}%)`);
-
-        const avgTime = this.results.reduce((sum, r) => sum + r.processingTime, 0) / this.results.length;
-        console.log(`Average Processing Time: ${Math.round(avgTime/1000)}s per company`);
-
-        console.log('\nOutput Files:');
-        console.log('    outputs/contacts/cro-cfo-contacts.csv - Main contact results');
-        console.log('    outputs/contacts/cro-cfo-data.json - Detailed data');
+        this.engine.generateSummary([
+            ['CFOs Found', this.stats.cfoFound],
+            ['CROs Found', this.stats.croFound],
+            ['Both Found', this.stats.bothFound],
+            ['Contacts Validated', this.stats.contactsValidated],
+            ['High Confidence', this.stats.highConfidence],
+            ...extraPersonas(this.personas).map(persona => [`${persona.label}s Found`, this.stats.personasFound[persona.id] || 0])
+        ], [
+            'outputs/contacts/cro-cfo-contacts.csv - Main contact results',
+            'outputs/contacts/cro-cfo-data.json - Detailed data'
+        ]);
     }
 
     /**
@@ -1612,55 +1354,11 @@ class CorePipeline {
         return domainMap[companyName] || `${companyName.toLowerCase().replace(/\s+/g, '')}.com`;
     }
 
-    categorizeRevenueFinanceRole(title) {
-        const titleLower = title.toLowerCase();
-        
-        // TIER 1: Primary Targets
-        if (titleLower.includes('cfo') || titleLower.includes('chief financial officer')) {
-            return 'CFO';
-        }
-        if (titleLower.includes('cro') || titleLower.includes('chief revenue officer')) {
-            return 'CRO';
-        }
-        
-        // TIER 2: Senior Revenue/Sales Leaders
-        if (titleLower.includes('cso') || titleLower.includes('chief sales officer')) {
-            return 'CSO';
-        }
-        if (titleLower.includes('vp sales') || titleLower.includes('vp of sales') || titleLower.includes('vice president sales')) {
-            return 'VP Sales';
-        }
-        if (titleLower.includes('vp revenue') || titleLower.includes('vp of revenue') || titleLower.includes('vice president revenue')) {
-            return 'VP Revenue';
-        }
-        if (titleLower.includes('head of sales') || titleLower.includes('sales director')) {
-            return 'Head of Sales';
-        }
-        if (titleLower.includes('head of revenue') || titleLower.includes('revenue director')) {
-            return 'Head of Revenue';
-        }
-        if (titleLower.includes('vp business development')) {
-            return 'VP Business Development';
-        }
-        
-        // TIER 3: Finance Fallbacks (Chief Accounting Officer is FINANCE, not revenue)
-        if (titleLower.includes('controller') || titleLower.includes('chief accounting officer')) {
-            return 'Controller';
-        }
-        if (titleLower.includes('vp finance') || titleLower.includes('finance director')) {
-            return 'VP Finance';
-        }
-        if (titleLower.includes('treasurer')) {
-            return 'Treasurer';
-        }
-        if (titleLower.includes('finance') || titleLower.includes('accounting')) {
-            return 'Finance Executive';
-        }
-        if (titleLower.includes('sales')) {
-            return 'Sales Executive';
-        }
-        
-        return 'Other Executive';
+    /**
+     * Output role label for a title - 'CFO', 'CRO', 'VP Sales', 'Controller', ... (config/role-taxonomy.js)
+     */
+    categorizeRevenueFinanceRole(title, region = null) {
+        return classifyTitle(title, { region }).category || 'Other Executive';
     }
 
     generateValidationNotes(result) {
@@ -1676,6 +1374,11 @@ class CorePipeline {
             notes.push(`Company acquired by ${result.corporateStructure.parentCompany} (${result.corporateStructure.acquisitionDate})`);
         }
         
+        // Domain changes since the last run - candidates for the corporate event registry
+        (result.corporateEventSignals || []).forEach(signal => {
+            notes.push(`Domain signal: ${signal.summary} (${signal.type})`);
+        });
+        
         // Executive tracking information
         if (result.executiveTracking?.executives?.length > 0) {
             const trackedCount = result.executiveTracking.executives.length;
@@ -1725,31 +1428,6 @@ class CorePipeline {
         return notes;
     }
 
-    /**
-     *  ADD RELATED COMPANY ROWS (CORE VERSION)
-     * 
-     * Analyzes results and adds:
-     * 1. Parent companies (corporate parents)
-     * 2. Merger and acquisition companies
-     * 
-     * Note: This is the core version - only parent/merger/acquisition
-     */
-    async addRelatedCompanyRows() {
-        const relatedCompaniesToAdd = [];
-        const processedCompanies = new Set();
-
-        for (const result of this.results) {
-            // ADD PARENT COMPANIES (includes mergers/acquisitions)
-            await this.addParentCompanyIfNeeded(result, relatedCompaniesToAdd, processedCompanies);
-        }
-
-        // Add all related company results to the main results
-        this.results.push(...relatedCompaniesToAdd);
-        this.stats.parentCompaniesAdded = relatedCompaniesToAdd.length;
-        
-        console.log(`    Added ${relatedCompaniesToAdd.length} parent/merger/acquisition company rows`);
-    }
-
     /**
      * Analyze cache coverage to estimate savings
      */
@@ -1864,7 +1542,7 @@ class CorePipeline {
         console.log(`⏱️  Total Time: ${Math.round(totalTime / 1000 / 60)} minutes`);
         console.log(`⚡ Avg per Company: ${avgTimePerCompany}ms`);
         console.log(`🚀 Companies/Minute: ${this.stats.processed > 0 ? Math.round((this.stats.processed / totalTime) * 60000) : 0}`);
-        console.log(`🔄 Parallel Factor: ${this.config.MAX_PARALLEL_COMPANIES}x`);
+        console.log(`🔄 Parallel Factor: ${this.engine.tier.maxParallelCompanies}x`);
         console.log(`💾 Cache Hit Rate: ${Math.round((this.stats.cacheHits / (this.stats.cacheHits + this.stats.cacheMisses)) * 100) || 0}%`);
         console.log(`💰 API Costs Saved: $${this.stats.apiCostsSaved.toFixed(2)}`);
         console.log(`📊 Companies Processed: ${this.stats.processed}`);
@@ -1884,50 +1562,6 @@ class CorePipeline {
         console.log('='.repeat(60));
     }
 
-    /**
-     * Add parent company row if needed
-     */
-    async addParentCompanyIfNeeded(result, relatedCompaniesToAdd, processedCompanies) {
-        // Check multiple possible locations for parent company data
-        let parentCompany = result.parentCompany || result.corporateStructure?.parentCompany || result.acquisitionInfo?.parentCompany;
-        let parentDomain = null;
-        
-        // Handle both string and object formats for parent company
-        if (typeof parentCompany === 'object' && parentCompany !== null) {
-            parentDomain = parentCompany.domain;
-            parentCompany = parentCompany.name || parentCompany.companyName || parentCompany.toString();
-        }
-        
-        if (parentCompany && 
-            typeof parentCompany === 'string' &&
-            parentCompany !== 'None' && 
-            parentCompany !== 'null' &&
-            !processedCompanies.has(parentCompany) &&
-            this.shouldAddParentCompany(result)) {
-            
-            console.log(`   Processing parent company: ${parentCompany}`);
-            processedCompanies.add(parentCompany);
-            
-            try {
-                const parentResult = await this.researchRelatedCompany(
-                    parentCompany, 
-                    result, 
-                    'parent_company',
-                    'Standard Corporate Executives',
-                    parentDomain
-                );
-                if (parentResult) {
-                    relatedCompaniesToAdd.push(parentResult);
-                    console.log(`    Added parent company: ${parentCompany}`);
-                }
-            } catch (error) {
-                console.error(`    Failed to research parent company ${parentCompany}: ${error.message}`);
-            }
-            
-            await new Promise(resolve => setTimeout(resolve, 5000));
-        }
-    }
-
     /**
      * Determine if we should add parent company
      */
@@ -2059,6 +1693,13 @@ class CorePipeline {
         }
     }
 
+    /**
+     * Extra persona executives (CISO, CMO, ...) from an executive research result, by persona id
+     */
+    extraPersonaExecutives(research) {
+        return Object.fromEntries(extraPersonas(this.personas).map(persona => [persona.id, research?.[persona.id] || null]));
+    }
+
     /**
      * Research parent company executives for acquisitions
      */
@@ -2076,7 +1717,7 @@ class CorePipeline {
             // Create parent company website URL
             const parentWebsite = parentDomain ? 
                 (parentDomain.startsWith('http') ? parentDomain : `https://www.${parentDomain}`) :
-                await this.guessCompanyWebsite(parentCompanyName);
+                await this.engine.guessCompanyWebsite(parentCompanyName);
             
             console.log(`      Using website: ${parentWebsite} for ${parentCompanyName}`);
             
@@ -2089,7 +1730,8 @@ class CorePipeline {
             const research = await this.researcher.researchExecutives({
                 companyName: parentCompanyResolution.companyName || parentCompanyName,
                 website: parentCompanyResolution.finalUrl || parentWebsite,
-                companyResolution: parentCompanyResolution
+                companyResolution: parentCompanyResolution,
+                personas: this.personas.map(persona => persona.id)
             });
             
             if (research && (research.cfo || research.cro)) {
@@ -2140,6 +1782,7 @@ class CorePipeline {
                     return {
                         cfo: filteredCFO,
                         cro: filteredCRO,
+                        ...this.extraPersonaExecutives(research),
                         companyResolution: parentCompanyResolution
                     };
                 } else {
@@ -2170,7 +1813,8 @@ class CorePipeline {
                             const aliasResearch = await this.researcher.researchExecutives({
                                 companyName: aliasResolution.companyName || aliasName,
                                 website: aliasResolution.finalUrl || aliasWebsite,
-                                companyResolution: aliasResolution
+                                companyResolution: aliasResolution,
+                                personas: this.personas.map(persona => persona.id)
                             });
                             if (aliasResearch && (aliasResearch.cfo || aliasResearch.cro)) {
                                 console.log(`      ✅ Found executives via alias: ${aliasName}`);
@@ -2216,6 +1860,7 @@ class CorePipeline {
                                     return {
                                         cfo: filteredAliasCFO,
                                         cro: filteredAliasCRO,
+                                        ...this.extraPersonaExecutives(aliasResearch),
                                         companyResolution: aliasResolution
                                     };
                                 }
@@ -2242,7 +1887,7 @@ class CorePipeline {
         
         try {
             // Use provided domain or guess the website
-            const website = parentDomain ? `www.${parentDomain}` : await this.guessCompanyWebsite(companyName);
+            const website = parentDomain ? `www.${parentDomain}` : await this.engine.guessCompanyWebsite(companyName);
             
             // Create a simplified company object for the related company
             const relatedCompany = {
@@ -2254,8 +1899,8 @@ class CorePipeline {
             
             console.log(`      Using website: ${website} for ${companyName}`);
             
-            // Process the related company with core pipeline logic
-            const result = await this.processCompany(relatedCompany, -1); // -1 indicates related company
+            // Process the related company with core pipeline logic (row is added by the engine)
+            const result = await this.engine.processCompany(relatedCompany, -1, { record: false }); // -1 indicates related company
             
             if (result) {
                 // Mark as related company
@@ -2273,24 +1918,6 @@ class CorePipeline {
         return null;
     }
 
-    /**
-     * Guess company website for related companies
-     */
-    async guessCompanyWebsite(companyName) {
-        // Simple domain guessing - in production this would use AI
-        if (!companyName) return '';
-        
-        // Ensure companyName is a string
-        const nameStr = typeof companyName === 'string' ? companyName : String(companyName);
-        
-        const cleanName = nameStr.toLowerCase()
-            .replace(/[^a-z0-9\s]/g, '')
-            .replace(/\s+/g, '')
-            .replace(/(inc|corp|llc|ltd|company)$/g, '');
-        
-        return `${cleanName}.com`;
-    }
-
     /**
      * 💰 CALCULATE TOTAL API COST
      */
@@ -2390,8 +2017,10 @@ class CorePipeline {
 async function main() {
     console.log('🎯 Starting Core Pipeline...\n');
     
-    const pipeline = new CorePipeline();
-    const result = await pipeline.runPipeline();
+    // --personas=ciso,cmo adds target personas to the CFO / CRO research
+    const personasArg = process.argv.find(arg => arg.startsWith('--personas='));
+    const pipeline = new CorePipeline({ TARGET_PERSONAS: personasArg ? personasArg.slice('--personas='.length) : undefined });
+    const result = await pipeline.runPipeline({ fresh: process.argv.includes('--fresh') });
     
     if (result.success) {
         console.log('\nCORE PIPELINE COMPLETED SUCCESSFULLY!');
@@ -0,0 +1,661 @@
+/**
+ * PIPELINE ENGINE
+ *
+ * Shared execution engine for the Core, Advanced and Powerhouse pipelines.
+ * Each tier is a declarative list of stages (config/pipeline-tiers.js) drawn
+ * from the stage library (pipelines/pipeline-stages.js). The engine handles:
+ * - Stage ordering from dependsOn (with cycle / missing dependency detection)
+ * - Concurrent execution of independent stages per company
+ * - Per-stage timeouts and optional (non-fatal) stages
+ * - Result merging (into / merge) and shared processing stats
+ * - Company loading, batch processing, related company rows and summaries
+ * - Resumable runs through an optional RunLedger (modules/RunLedger.js)
+ * - Budget enforcement through the pipeline's ApiCostOptimizer: runs whose projected cost
+ *   exceeds the hard budget fail before processing, and runs stop between batches once it is spent
+ */
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+
+const { STAGES, MODULE_FACTORIES, RESULT_TEMPLATES } = require('./pipeline-stages');
+const { governedFetch } = require('../modules/providers/RateGovernor');
+const { BUDGET_LEVELS, getSharedCostOptimizer } = require('../modules/ApiCostOptimizer');
+const { emitWebhook } = require('../modules/WebhookDispatcher');
+const { RunLedger } = require('../modules/RunLedger');
+
+const DEFAULT_STAGE_TIMEOUT = 180000; // 3 minutes per stage
+const RELATED_COMPANY_DELAY = 5000;
+
+/**
+ * Related company row types - how to find the related company on a result
+ */
+const RELATED_COMPANY_TYPES = {
+    parent_company: {
+        label: 'parent company',
+        executiveContext: 'Standard Corporate Executives',
+        find: (result, pipeline) => {
+            // Check multiple possible locations for parent company data
+            let name = result.parentCompany || result.corporateStructure?.parentCompany || result.acquisitionInfo?.parentCompany;
+            let domain = null;
+
+            // Handle both string and object formats for parent company
+            if (typeof name === 'object' && name !== null) {
+                domain = name.domain || null;
+                name = name.name || name.companyName || null;
+            }
+
+            if (typeof name !== 'string' || !name || name === 'None' || name === 'null') return null;
+            if (!pipeline.shouldAddParentCompany(result)) return null;
+
+            return { name, domain };
+        }
+    },
+    pe_firm: {
+        label: 'PE firm',
+        executiveContext: 'PE/Investment Firm Executives',
+        find: (result) => {
+            const peOwnership = result.peOwnership;
+            if (!peOwnership?.isPEOwned || !peOwnership.peOwner || peOwnership.peOwner === 'None') return null;
+            return { name: peOwnership.peOwner, domain: null };
+        }
+    },
+    vc_firm: {
+        label: 'VC firm',
+        executiveContext: 'VC/Investment Firm Executives',
+        find: (result, pipeline) => {
+            // Parent company that is a VC firm (different from PE)
+            const parentCompany = result.corporateStructure?.parentCompany;
+            if (typeof parentCompany !== 'string' || !parentCompany) return null;
+            if (result.peOwnership?.isPEOwned || !pipeline.isVCFirm(parentCompany)) return null;
+            return { name: parentCompany, domain: null };
+        }
+    }
+};
+
+class PipelineEngine {
+    constructor(tier, pipeline, options = {}) {
+        this.tier = tier;
+        this.pipeline = pipeline;
+        this.stageLibrary = options.stages || STAGES;
+        this.moduleFactories = options.modules || MODULE_FACTORIES;
+        this.resultTemplates = options.resultTemplates || RESULT_TEMPLATES;
+        this.stages = this.resolveStages();
+    }
+
+    /**
+     * Resolve tier stage entries against the library and order them by dependencies
+     */
+    resolveStages() {
+        const resolved = this.tier.stages.map(entry => {
+            const spec = typeof entry === 'string' ? { name: entry } : entry;
+            const definition = this.stageLibrary[spec.name];
+            if (!definition) {
+                throw new Error(`${this.tier.label}: unknown stage "${spec.name}"`);
+            }
+            return {
+                dependsOn: [],
+                modules: [],
+                timeout: DEFAULT_STAGE_TIMEOUT,
+                optional: false,
+                ...definition,
+                ...spec,
+                options: { ...definition.options, ...spec.options }
+            };
+        });
+
+        const byName = new Map(resolved.map(stage => [stage.name, stage]));
+        for (const stage of resolved) {
+            for (const dependency of stage.dependsOn) {
+                if (!byName.has(dependency)) {
+                    throw new Error(`${this.tier.label}: stage "${stage.name}" depends on "${dependency}" which is not in this tier`);
+                }
+            }
+        }
+
+        // Topological order, keeping the declared order among ready stages
+        const ordered = [];
+        const placed = new Set();
+        while (ordered.length < resolved.length) {
+            const next = resolved.find(stage => !placed.has(stage.name) && stage.dependsOn.every(d => placed.has(d)));
+            if (!next) {
+                const remaining = resolved.filter(stage => !placed.has(stage.name)).map(stage => stage.name);
+                throw new Error(`${this.tier.label}: circular stage dependencies between ${remaining.join(', ')}`);
+            }
+            ordered.push(next);
+            placed.add(next.name);
+        }
+
+        return ordered;
+    }
+
+    /**
+     * Get a module instance - prefer the pipeline's own, otherwise create it from the registry
+     */
+    getModule(key) {
+        if (this.pipeline[key]) {
+            return this.pipeline[key];
+        }
+
+        const factory = this.moduleFactories[key];
+        if (!factory) {
+            throw new Error(`No module registered for "${key}"`);
+        }
+
+        this.pipeline[key] = factory(this.pipeline.config || {});
+        return this.pipeline[key];
+    }
+
+    /**
+     * PROCESS INDIVIDUAL COMPANY THROUGH THE TIER STAGES
+     */
+    async processCompany(company, index, { record = true } = {}) {
+        const result = this.resultTemplates[this.tier.resultTemplate](company, index, this.pipeline);
+        const stats = this.pipeline.stats;
+        const startTime = Date.now();
+
+        const ctx = {
+            company,
+            index,
+            result,
+            outputs: {},
+            state: {},
+            stats,
+            pipeline: this.pipeline
+        };
+
+        try {
+            stats.processed++;
+            await this.runStages(ctx);
+            stats.successful++;
+        } catch (error) {
+            console.error(`❌ Error: ${error.message}`);
+            result.error = error.message;
+            Object.assign(result, this.tier.errorDefaults || {});
+            stats.errors++;
+        }
+
+        result.processingTime = Date.now() - startTime;
+        if (record) {
+            this.pipeline.results.push(result);
+        }
+
+        // Return the result for API usage
+        return result;
+    }
+
+    /**
+     * Run stages in dependency waves - independent stages run concurrently
+     */
+    async runStages(ctx) {
+        const settled = {};
+        const maxParallel = Math.max(1, this.tier.maxParallelStages || 1);
+        let pending = [...this.stages];
+
+        while (pending.length > 0) {
+            const ready = pending.filter(stage => stage.dependsOn.every(d => settled[d]));
+
+            for (let i = 0; i < ready.length; i += maxParallel) {
+                const wave = ready.slice(i, i + maxParallel);
+                await Promise.all(wave.map(stage => this.runStage(stage, ctx, settled)));
+            }
+
+            pending = pending.filter(stage => !settled[stage.name]);
+        }
+    }
+
+    /**
+     * Run a single stage: dependency/guard checks, timeout, merge
+     */
+    async runStage(stage, ctx, settled) {
+        const failedDependency = stage.dependsOn.find(d => settled[d] === 'failed');
+        if (failedDependency) {
+            console.log(`   ⏭️ Skipping ${stage.name} (${failedDependency} failed)`);
+            settled[stage.name] = 'failed';
+            return;
+        }
+
+        if (stage.when && !stage.when(ctx, stage.options)) {
+            settled[stage.name] = 'skipped';
+            return;
+        }
+
+        try {
+            const modules = {};
+            for (const key of stage.modules) {
+                modules[key] = this.getModule(key);
+            }
+
+            const output = await this.withTimeout(
+                Promise.resolve().then(() => stage.run(ctx, modules, stage.options)),
+                stage.timeout,
+                stage.name
+            );
+
+            ctx.outputs[stage.name] = output;
+            if (stage.into) {
+                ctx.result[stage.into] = output;
+            }
+            if (stage.merge) {
+                await stage.merge(ctx, output, stage.options);
+            }
+
+            settled[stage.name] = 'done';
+        } catch (error) {
+            if (!stage.optional) {
+                settled[stage.name] = 'failed';
+                throw error;
+            }
+
+            console.log(`   ⚠️ Optional stage ${stage.name} failed: ${error.message}`);
+            ctx.result.stageErrors = ctx.result.stageErrors || [];
+            ctx.result.stageErrors.push({ stage: stage.name, error: error.message });
+            settled[stage.name] = 'failed';
+        }
+    }
+
+    /**
+     * Race a promise against a stage timeout
+     */
+    withTimeout(promise, timeoutMs, stageName) {
+        if (!timeoutMs) return promise;
+
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`Stage ${stageName} timed out after ${timeoutMs}ms`)), timeoutMs);
+        });
+
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * PROCESS COMPANIES IN PARALLEL BATCHES
+     *
+     * With a RunLedger, completed companies are restored from the ledger instead of
+     * being reprocessed, and every company's state is journaled as it runs. Companies out of
+     * attempts and rows without a website or name come out as failed rows; a repeated
+     * company is processed once
+     *
+     * The remaining work is priced at tier.estimatedCostPerCompany against the pipeline's
+     * ApiCostOptimizer (the process-wide one the adapters report to): a BudgetExceededError is
+     * thrown before any company runs if it does not fit the hard budget. Companies left when
+     * the budget runs out mid-run, and companies whose provider calls were refused at the hard
+     * budget, are not counted as done - they stay pending in the ledger for the next run
+     */
+    async processCompanies(companies, { processCompany, onBatchComplete, ledger, costOptimizer } = {}) {
+        const batchSize = Math.max(1, this.tier.maxParallelCompanies || 1);
+        const budget = costOptimizer || this.pipeline.apiCostOptimizer || getSharedCostOptimizer();
+        const processOne = processCompany || ((company, index) => this.pipeline.processCompany(company, index));
+        let work = companies.map((company, i) => ({ company, index: i + 1 }));
+
+        if (ledger) {
+            ledger.register(companies);
+            const restored = this.restoreFromLedger(ledger);
+            const exhausted = this.restoreExhausted(ledger);
+            const seen = new Set();
+            let keyless = 0;
+            let duplicates = 0;
+
+            work = work.filter(({ company, index }) => {
+                const key = RunLedger.companyKey(company);
+                if (!key) {
+                    keyless++;
+                    this.pushFailed(this.createFailedResult(company, index, 'Row has no website or company name'));
+                    return false;
+                }
+                if (seen.has(key)) {
+                    duplicates++;
+                    return false;
+                }
+                seen.add(key);
+                return ledger.shouldProcess(company);
+            });
+
+            const skipped = [
+                exhausted && `${exhausted} failed after ${ledger.config.MAX_ATTEMPTS} attempts`,
+                keyless && `${keyless} without a website or name`,
+                duplicates && `${duplicates} duplicate rows`
+            ].filter(Boolean);
+            console.log(`   📒 Ledger: ${restored} restored, ${work.length} to process${skipped.length ? `, skipped ${skipped.join(', ')}` : ''}`);
+        }
+
+        const totalCompanies = work.length;
+        const totalBatches = Math.ceil(totalCompanies / batchSize);
+
+        budget.startRun(ledger ? ledger.runId : undefined);
+        const projected = budget.projectRunCost(totalCompanies, this.tier.estimatedCostPerCompany);
+        budget.assertWithinBudget(projected);
+        console.log(`   💸 Projected cost: $${projected.toFixed(2)} for ${totalCompanies} companies ($${budget.monthSpend().toFixed(2)} of $${budget.config.MONTHLY_BUDGET} spent this month)`);
+
+        for (let i = 0; i < totalCompanies; i += batchSize) {
+            const batch = work.slice(i, i + batchSize);
+            const batchNumber = Math.floor(i / batchSize) + 1;
+
+            const budgetStatus = budget.getBudgetStatus();
+            if (budgetStatus.level === BUDGET_LEVELS.HARD) {
+                this.pipeline.stats.budgetSkipped = (this.pipeline.stats.budgetSkipped || 0) + totalCompanies - i;
+                console.log(`\n🛑 Budget: ${budgetStatus.reason} - stopping with ${totalCompanies - i} companies unprocessed${ledger ? ' (pending in the run ledger)' : ''}`);
+                break;
+            }
+
+            console.log(`\n🔄 BATCH ${batchNumber}/${totalBatches} - Processing ${batch.length} companies`);
+            console.log(`   Companies ${i + 1}-${i + batch.length} of ${totalCompanies}`);
+
+            const batchStartTime = Date.now();
+            const scopes = batch.map(() => ({}));
+            const batchResults = await Promise.allSettled(
+                batch.map(({ company, index }, j) => {
+                    if (ledger) ledger.markRunning(company);
+                    return budget.runForCompany(company, () => processOne(company, index), scopes[j]);
+                })
+            );
+
+            batchResults.forEach((outcome, j) => {
+                const { company, index } = batch[j];
+                if (scopes[j].budgetRefused) {
+                    this.holdBack(company, index, outcome.value, budget, ledger);
+                } else if (outcome.status === 'rejected') {
+                    const errorMsg = outcome.reason?.message || 'Unknown error';
+                    console.error(`   ❌ Company ${index} failed:`, errorMsg);
+                    const failedResult = this.createFailedResult(company, index, errorMsg);
+                    this.pipeline.results.push(failedResult);
+                    if (ledger) ledger.markFailed(company, outcome.reason, failedResult);
+                    this.emitCompanyFailed(company, errorMsg, ledger);
+                } else {
+                    const result = outcome.value;
+                    if (!result || result.error || result.processingStatus === 'FAILED') {
+                        const error = result?.error || 'No result returned from pipeline';
+                        if (ledger) ledger.markFailed(company, error, result || null);
+                        this.emitCompanyFailed(company, error?.message || String(error), ledger);
+                    } else if (ledger) {
+                        ledger.markDone(company, result);
+                    }
+                }
+            });
+
+            const batchTime = Date.now() - batchStartTime;
+            console.log(`   ✅ Batch completed in ${Math.round(batchTime/1000)}s (${Math.round(batchTime / batch.length)}ms per company)`);
+
+            if (onBatchComplete) {
+                await onBatchComplete(i + batch.length, totalCompanies);
+            }
+
+            // Rate limiting between batches
+            if (i + batchSize < totalCompanies && this.tier.interBatchDelayMs) {
+                console.log(`   ⏳ Inter-batch delay: ${this.tier.interBatchDelayMs / 1000}s...`);
+                await new Promise(resolve => setTimeout(resolve, this.tier.interBatchDelayMs));
+            }
+        }
+    }
+
+    /**
+     * A company whose provider calls were refused at the hard budget has an incomplete result -
+     * drop it from the output and leave the company pending for the next run
+     */
+    holdBack(company, index, result, budget, ledger) {
+        const stats = this.pipeline.stats;
+        const reason = `Budget reached: ${budget.getBudgetStatus().reason}`;
+        console.log(`   🛑 Company ${index} held back - ${reason}`);
+
+        const at = result ? this.pipeline.results.indexOf(result) : -1;
+        if (at >= 0) {
+            this.pipeline.results.splice(at, 1);
+            stats.processed--;
+            if (result.error) stats.errors--;
+            else stats.successful--;
+        }
+        stats.budgetSkipped = (stats.budgetSkipped || 0) + 1;
+        if (ledger) ledger.release(company, reason);
+    }
+
+    /**
+     * Put results of companies completed in an earlier run back into the pipeline
+     */
+    restoreFromLedger(ledger) {
+        const restored = ledger.getCompletedResults();
+        this.pipeline.results.push(...restored);
+        this.pipeline.stats.processed += restored.length;
+        this.pipeline.stats.successful += restored.length;
+        this.pipeline.stats.resumed = (this.pipeline.stats.resumed || 0) + restored.length;
+        return restored.length;
+    }
+
+    /**
+     * Companies that used up their attempts in earlier runs are not retried - output them as
+     * failed rows so they do not silently drop out of the results
+     */
+    restoreExhausted(ledger) {
+        const exhausted = ledger.getExhaustedEntries();
+        exhausted.forEach(entry => this.pushFailed(this.createFailedResult(
+            entry.company, entry.index, `${entry.lastError} (gave up after ${entry.attempts} attempts)`
+        )));
+        return exhausted.length;
+    }
+
+    pushFailed(failedResult) {
+        this.pipeline.results.push(failedResult);
+        this.pipeline.stats.processed++;
+        this.pipeline.stats.errors++;
+    }
+
+    /**
+     * company.failed webhook - fire and forget, the batch does not wait on subscribers
+     */
+    emitCompanyFailed(company, error, ledger) {
+        emitWebhook('company.failed', {
+            runId: ledger?.runId || null,
+            pipeline: this.tier.label,
+            companyName: company.companyName || company.company_name || company['Company Name'] || null,
+            website: company.website || company.Website || company.domain || null,
+            error,
+            attempts: ledger?.getEntry(company)?.attempts ?? null
+        });
+    }
+
+    /**
+     * Failed company row with the tier's result structure
+     */
+    createFailedResult(company, index, errorMsg) {
+        const result = this.resultTemplates[this.tier.resultTemplate](company || {}, index, this.pipeline);
+        return {
+            ...result,
+            companyName: company?.companyName || company?.company_name || 'Unknown',
+            processingStatus: 'FAILED',
+            error: errorMsg,
+            ...(this.tier.errorDefaults || {})
+        };
+    }
+
+    /**
+     * LOAD COMPANIES FROM CSV
+     */
+    async loadCompanies(inputFile) {
+        // Use command line argument or the tier's default file (inputs live beside the repo checkout)
+        const file = inputFile || this.getInputFileArg() || path.join(__dirname, '../..', this.tier.defaultInputFile || 'inputs/all-1000-companies.csv');
+        console.log(`    Reading from: ${file}`);
+        this.inputFile = file;
+
+        return new Promise((resolve, reject) => {
+            const companies = [];
+
+            fs.createReadStream(file)
+                .pipe(csv())
+                .on('data', (row) => {
+                    // Support multiple CSV formats
+                    const website = row.Website || row.domain || row.Domain;
+                    const companyName = row['Company Name'] || row.company_name || row['company_name'];
+
+                    if (website && website.trim()) {
+                        companies.push({
+                            website: website.trim(),
+                            company_name: companyName || website.trim(),
+                            accountOwner: row['Account Owner'] || 'Unknown',
+                            isTop1000: row['Top 1000'] === '1'
+                        });
+                    }
+                })
+                .on('end', () => resolve(companies))
+                .on('error', reject);
+        });
+    }
+
+    /**
+     * Input file from the command line (first argument that is not a --flag)
+     */
+    getInputFileArg() {
+        return process.argv.slice(2).find(arg => !arg.startsWith('--')) || null;
+    }
+
+    /**
+     * ADD RELATED COMPANY ROWS
+     *
+     * Adds a row per parent company / PE firm / VC firm (per the tier's
+     * relatedCompanyTypes), researched through the pipeline's researchRelatedCompany
+     */
+    async addRelatedCompanyRows() {
+        const relatedCompaniesToAdd = [];
+        const processedCompanies = new Set();
+        const types = this.tier.relatedCompanyTypes || [];
+
+        for (const result of [...this.pipeline.results]) {
+            for (const type of types) {
+                const descriptor = RELATED_COMPANY_TYPES[type];
+                const related = descriptor?.find(result, this.pipeline);
+                if (!related || processedCompanies.has(related.name)) continue;
+
+                console.log(`   Processing ${descriptor.label}: ${related.name}`);
+                processedCompanies.add(related.name);
+
+                try {
+                    const relatedResult = await this.pipeline.researchRelatedCompany(
+                        related.name,
+                        result,
+                        type,
+                        descriptor.executiveContext,
+                        related.domain
+                    );
+                    if (relatedResult) {
+                        relatedCompaniesToAdd.push(relatedResult);
+                        console.log(`    Added ${descriptor.label}: ${related.name}`);
+                    }
+                } catch (error) {
+                    console.error(`    Failed to research ${descriptor.label} ${related.name}: ${error.message}`);
+                }
+
+                await new Promise(resolve => setTimeout(resolve, RELATED_COMPANY_DELAY));
+            }
+        }
+
+        // Add all related company results to the main results
+        this.pipeline.results.push(...relatedCompaniesToAdd);
+        this.pipeline.stats.parentCompaniesAdded = relatedCompaniesToAdd.length;
+
+        console.log(`    Added ${relatedCompaniesToAdd.length} related company rows`);
+        return relatedCompaniesToAdd;
+    }
+
+    /**
+     * Clean company name for research
+     */
+    cleanCompanyName(companyName) {
+        // Remove common suffixes and clarifications
+        return String(companyName || '')
+            .replace(/\s*\(.*?\)\s*/g, '') // Remove parenthetical info
+            .replace(/\s*(Holdings?|Holding Co\.?|LLC|Inc\.?|Ltd\.?|Corp\.?)\s*$/i, '') // Remove entity types
+            .trim();
+    }
+
+    /**
+     * Guess company website for related companies (AI lookup when the tier enables it)
+     */
+    async guessCompanyWebsite(companyName) {
+        if (!companyName) return '';
+
+        const cleanName = this.cleanCompanyName(companyName)
+            .toLowerCase()
+            .replace(/[^a-z0-9]/g, ''); // Remove special characters
+
+        const apiKey = this.pipeline.config?.PERPLEXITY_API_KEY?.trim();
+        if (this.tier.aiWebsiteLookup && apiKey) {
+            try {
+                const prompt = `What is the official website for ${companyName}?
+
+Provide ONLY a JSON response:
+{
+    "website": "www.company.com",
+    "confidence": 0.90
+}`;
+
+                const response = await governedFetch('https://api.perplexity.ai/chat/completions', {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${apiKey}`,
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        model: 'sonar-pro',
+                        messages: [{ role: 'user', content: prompt }],
+                        temperature: 0.1,
+                        max_tokens: 150
+                    })
+                });
+
+                if (response.ok) {
+                    const data = await response.json();
+                    const jsonMatch = data.choices?.[0]?.message?.content?.match(/\{[\s\S]*\}/);
+                    if (jsonMatch) {
+                        const parsed = JSON.parse(jsonMatch[0]);
+                        if (parsed.website) {
+                            console.log(`   🎯 AI-researched website: ${parsed.website}`);
+                            return parsed.website;
+                        }
+                    }
+                }
+            } catch (error) {
+                console.log(`   ⚠️ Website research failed: ${error.message}`);
+            }
+        }
+
+        // Fallback: Generate based on cleaned name
+        return `www.${cleanName}.com`;
+    }
+
+    /**
+     * GENERATE SUMMARY REPORT
+     *
+     * metrics: [label, count] pairs reported against companies processed
+     * printDetails: optional tier-specific breakdowns printed before the output files
+     */
+    generateSummary(metrics = [], outputFiles = [], printDetails = null) {
+        const stats = this.pipeline.stats;
+        const results = this.pipeline.results;
+        const percent = (count) => stats.processed > 0 ? Math.round(count / stats.processed * 100) : 0;
+
+        console.log(`\n${this.tier.label} SUMMARY`);
+        console.log('=' .repeat(80));
+        console.log(`Companies Processed: ${stats.processed}`);
+        console.log(`Related Companies Added: ${stats.parentCompaniesAdded || 0}`);
+        console.log(`📋 Total Rows in Output: ${results.length}`);
+
+        for (const [label, count] of metrics) {
+            console.log(`${label}: ${count}/${stats.processed} (${percent(count)}%)`);
+        }
+        console.log(`Errors: ${stats.errors}/${stats.processed} (${percent(stats.errors)}%)`);
+
+        if (results.length > 0) {
+            const avgTime = results.reduce((sum, r) => sum + (r.processingTime || 0), 0) / results.length;
+            console.log(`⏱️ Average Processing Time: ${Math.round(avgTime/1000)}s per company`);
+        }
+
+        if (printDetails) {
+            printDetails();
+        }
+
+        if (outputFiles.length > 0) {
+            console.log('\nOutput Files:');
+            outputFiles.forEach(file => console.log(`    ${file}`));
+        }
+    }
+}
+
+module.exports = { PipelineEngine, RELATED_COMPANY_TYPES };
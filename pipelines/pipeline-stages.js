@@ -0,0 +1,1208 @@
+/**
+ * PIPELINE STAGE LIBRARY
+ *
+ * Stages shared by the Core, Advanced and Powerhouse tiers. Each stage declares:
+ * - modules:   module keys it needs (resolved from the pipeline or MODULE_FACTORIES)
+ * - dependsOn: stages that must finish first
+ * - when:      optional guard - skipped stages count as satisfied
+ * - run:       (ctx, modules, options) => output
+ * - into / merge: how the output lands on the company result
+ * - timeout / optional: per-stage limits (optional stages never fail the company)
+ *
+ * ctx = { company, index, result, outputs, state, stats, pipeline }
+ */
+
+const { CompanyResolver } = require("../modules/CompanyResolver");
+const { ExecutiveResearch } = require("../modules/ExecutiveResearch");
+const { ExecutiveContactIntelligence } = require("../modules/ExecutiveContactIntelligence");
+const { ContactValidator } = require("../modules/ContactValidator");
+const { ValidationEngine } = require("../modules/ValidationEngine");
+const { PEOwnershipAnalysis } = require("../modules/PEOwnershipAnalysis");
+const { ExecutiveValidation } = require("../modules/ExecutiveValidation");
+const { OperationalStatusAnalyzer } = require("../modules/OperationalStatusAnalyzer");
+const { IndustryClassification } = require("../modules/IndustryClassification");
+const { RelationshipValidator } = require("../modules/RelationshipValidator");
+const { BuyerGroupAI } = require("../modules/BuyerGroupAI");
+const { resolvePersonas, extraPersonas } = require("../modules/PersonaDetection");
+
+/**
+ * Module registry - moving a stage to another tier needs no constructor changes
+ */
+const MODULE_FACTORIES = {
+    companyResolver: (config) => new CompanyResolver(config),
+    researcher: (config) => new ExecutiveResearch(config),
+    executiveContactIntelligence: (config) => new ExecutiveContactIntelligence(config),
+    contactValidator: (config) => new ContactValidator(config),
+    validationEngine: (config) => new ValidationEngine(config),
+    peIntelligence: (config) => new PEOwnershipAnalysis(config),
+    executiveValidation: (config) => new ExecutiveValidation(config),
+    operationalStatusAnalyzer: (config) => new OperationalStatusAnalyzer(config),
+    industryClassification: (config) => new IndustryClassification(config),
+    relationshipValidator: (config) => new RelationshipValidator(config),
+    buyerGroupAI: (config) => new BuyerGroupAI(config)
+};
+
+/**
+ * Result templates per tier output shape
+ */
+const RESULT_TEMPLATES = {
+    // CFO (finance) + CRO (revenue/sales) - core pipeline, plus a slot per extra target persona
+    cfoCro: (company, index, pipeline = null) => ({
+        index,
+        website: company.website,
+        accountOwner: company.accountOwner,
+        isTop1000: company.isTop1000,
+        companyName: '',
+
+        // CFO Information (Finance Leader)
+        cfo: {
+            name: '',
+            title: '',
+            email: '',
+            phone: '',
+            linkedIn: '',
+            confidence: 0,
+            source: '',
+            validated: false,
+            role: '', // CFO, Controller, VP Finance, etc.
+            tier: null // 1-5 tier level
+        },
+
+        // CRO Information (Revenue/Sales Leader)
+        cro: {
+            name: '',
+            title: '',
+            email: '',
+            phone: '',
+            linkedIn: '',
+            confidence: 0,
+            source: '',
+            validated: false,
+            role: '', // CRO, CSO, VP Sales, etc.
+            tier: null // 1-5 tier level
+        },
+
+        // Target personas (config/target-personas.js) - CIO, CISO, ... slots shaped like the CFO/CRO
+        targetPersonas: (pipeline?.personas || resolvePersonas()).map(persona => persona.id),
+        ...Object.fromEntries(extraPersonas(pipeline?.personas || []).map(persona => [persona.id, {
+            name: '',
+            title: '',
+            email: '',
+            phone: '',
+            linkedIn: '',
+            confidence: 0,
+            source: '',
+            validated: false,
+            role: '',
+            tier: null
+        }])),
+
+        // Essential Company Data (for validation)
+        companyInfo: {
+            isPublic: false,
+            ticker: '',
+            parentCompany: '',
+            industry: '',
+            employeeCount: '',
+            headquarters: ''
+        },
+        corporateStructure: { isAcquired: false, parentCompany: '', acquisitionDate: '' },
+
+        // Processing Metadata
+        researchMethod: '',
+        overallConfidence: 0,
+        processingTime: 0,
+        timestamp: new Date().toISOString(),
+        validationNotes: [],
+        error: null
+    }),
+
+    // CEO + Finance leader - advanced and powerhouse pipelines
+    ceoFinance: (company, index) => ({
+        index,
+        website: company.website,
+        accountOwner: company.accountOwner,
+        isTop1000: company.isTop1000,
+        companyName: '',
+        ceo: {
+            name: '',
+            title: '',
+            confidence: 0,
+            source: '',
+            validated: false
+        },
+        financeLeader: {
+            name: '',
+            title: '',
+            confidence: 0,
+            source: '',
+            validated: false,
+            role: '', // CFO, Controller, VP Finance, etc.
+            financeResponsibilities: ''
+        },
+        researchMethod: '',
+        overallConfidence: 0,
+        riskLevel: 'HIGH',
+        processingTime: 0,
+        timestamp: new Date().toISOString(),
+        validationNotes: [],
+        error: null
+    })
+};
+
+// ===== RELATIONSHIP & BUYER GROUP HELPERS =====
+
+/**
+ * 🧠 CREATE SMART RELATIONSHIPS
+ * 
+ * Intelligently builds relationship data from existing pipeline research
+ */
+function createSmartRelationships(result, research) {
+    return {
+        corporateHierarchy: {
+            parentCompanies: result.corporateStructure?.parentCompany ? 
+                [{
+                    name: result.corporateStructure.parentCompany,
+                    changeType: result.corporateStructure.changeType,
+                    changeDate: result.corporateStructure.changeDate,
+                    isAcquired: result.corporateStructure.isAcquired
+                }] : [],
+            subsidiaries: [],
+            acquisitions: [],
+            ownershipStructure: {
+                status: result.companyDetails?.isPublic ? 'Public' : 'Private',
+                ticker: result.companyDetails?.ticker,
+                exchange: result.companyDetails?.exchange
+            },
+            connections: extractCorporateConnections(result)
+        },
+        executiveNetwork: {
+            currentExecutives: buildExecutiveNetwork(result, research),
+            executiveMovements: [],
+            networkSize: calculateNetworkSize(result, research),
+            connectionStrength: assessConnectionStrength(result)
+        },
+        investorNetwork: {
+            investors: buildInvestorNetwork(result),
+            totalFunding: estimateFunding(result),
+            peConnections: result.peOwnership?.isPEOwned ? [result.peOwnership] : [],
+            vcConnections: []
+        }
+    };
+}
+
+/**
+ *  MERGE RELATIONSHIP INTELLIGENCE
+ * 
+ * Intelligently merges validation results with existing pipeline data
+ */
+function mergeRelationshipIntelligence(result, validation) {
+    return {
+        // Preserve validation results
+        ...validation,
+        
+        // Enhance with pipeline-specific intelligence
+        pipelineEnhancements: {
+            executiveConfidence: {
+                ceo: result.ceo.confidence,
+                finance: result.financeLeader.confidence,
+                combined: Math.round((result.ceo.confidence + result.financeLeader.confidence) / 2)
+            },
+            corporateStructureConfidence: result.corporateStructure ? 85 : 20,
+            peOwnershipConfidence: result.peOwnership?.isPEOwned ? 90 : 10,
+            dataFreshness: result.dataFreshness?.dataAge || 'current'
+        },
+        
+        // Smart confidence calculation
+        enhancedConfidence: calculateEnhancedConfidence(result, validation),
+        
+        // Pipeline-specific insights
+        pipelineInsights: generatePipelineInsights(result, validation)
+    };
+}
+
+/**
+ *  CREATE BASIC RELATIONSHIP INTELLIGENCE
+ * 
+ * Creates basic relationship intelligence for companies with limited data
+ */
+function createBasicRelationshipIntelligence(result) {
+    return {
+        overallConfidence: Math.max(result.ceo.confidence, result.financeLeader.confidence),
+        validationSources: ['pipeline_research'],
+        organizationalStructure: {
+            structureType: result.corporateStructure?.parentCompany ? 'subsidiary' : 'independent',
+            autonomyLevel: 'unknown'
+        },
+        executiveConnections: {
+            internalConnections: result.ceo.name && result.financeLeader.name ? 
+                [{ executive1: result.ceo.name, executive2: result.financeLeader.name, connectionType: 'colleagues' }] : [],
+            externalConnections: []
+        },
+        pipelineEnhancements: {
+            executiveConfidence: {
+                ceo: result.ceo.confidence,
+                finance: result.financeLeader.confidence,
+                combined: Math.round((result.ceo.confidence + result.financeLeader.confidence) / 2)
+            },
+            dataSource: 'enhanced_executive_research',
+            hasRealData: !!(result.ceo.name || result.financeLeader.name)
+        }
+    };
+}
+
+/**
+ * 🧠 INTELLIGENT RELATIONSHIP BUILDERS
+ */
+function extractCorporateConnections(result) {
+    const connections = {};
+    
+    // Only include real, validated corporate connections
+    if (result.corporateStructure?.parentCompany && result.corporateStructure.parentCompany !== 'None') {
+        connections.parent = {
+            name: result.corporateStructure.parentCompany,
+            type: result.corporateStructure.changeType || null,
+            confidence: result.corporateStructure.confidence || null
+        };
+    }
+    
+    if (result.peOwnership?.isPEOwned && result.peOwnership.peOwner !== 'None') {
+        connections.investor = {
+            name: result.peOwnership.peOwner,
+            type: 'private_equity',
+            confidence: result.peOwnership.confidence || null
+        };
+    }
+    
+    return connections;
+}
+
+function buildExecutiveNetwork(result, research) {
+    const executives = [];
+    
+    if (result.ceo.name) {
+        executives.push({
+            name: result.ceo.name,
+            title: result.ceo.title,
+            confidence: result.ceo.confidence,
+            source: result.ceo.source,
+            role: 'leadership'
+        });
+    }
+    
+    if (result.financeLeader.name) {
+        executives.push({
+            name: result.financeLeader.name,
+            title: result.financeLeader.title,
+            confidence: result.financeLeader.confidence,
+            source: result.financeLeader.source,
+            role: 'finance'
+        });
+    }
+    
+    // Add any additional executives from research
+    if (research?.allExecutives) {
+        research.allExecutives.forEach(exec => {
+            if (!executives.find(e => e.name === exec.name)) {
+                executives.push({
+                    name: exec.name,
+                    title: exec.title,
+                    confidence: exec.confidence || 70,
+                    source: 'team_research',
+                    role: 'executive'
+                });
+            }
+        });
+    }
+    
+    return executives;
+}
+
+function calculateNetworkSize(result, research) {
+    let size = 0;
+    if (result.ceo.name) size++;
+    if (result.financeLeader.name) size++;
+    if (research?.allExecutives) size += research.allExecutives.length;
+    return size; // Return actual count, no artificial minimum
+}
+
+function assessConnectionStrength(result) {
+    const ceoConfidence = result.ceo.confidence || 0;
+    const financeConfidence = result.financeLeader.confidence || 0;
+    const avgConfidence = (ceoConfidence + financeConfidence) / 2;
+    
+    if (avgConfidence >= 90) return 'Very High';
+    if (avgConfidence >= 80) return 'High';
+    if (avgConfidence >= 70) return 'Medium';
+    return 'Low';
+}
+
+function buildInvestorNetwork(result) {
+    const investors = [];
+    
+    // Only include real PE ownership data, no hardcoded confidence
+    if (result.peOwnership?.isPEOwned && result.peOwnership.peOwner !== 'None') {
+        investors.push({
+            name: result.peOwnership.peOwner,
+            type: 'PE',
+            aum: result.peOwnership.peOwnerAUM || null,
+            confidence: result.peOwnership.confidence || null
+        });
+    }
+    
+    return investors;
+}
+
+function estimateFunding(result) {
+    // Only return real funding data if available, no estimates
+    if (result.companyDetails?.revenue) {
+        return result.companyDetails.revenue;
+    }
+    
+    // Return null for no real data - no artificial estimates
+    return null;
+}
+
+function calculateEnhancedConfidence(result, validation) {
+    const pipelineConfidence = result.overallConfidence || 0;
+    const validationConfidence = validation.overallConfidence || 0;
+    const executiveConfidence = Math.max(result.ceo.confidence, result.financeLeader.confidence);
+    
+    // Weighted average with pipeline data having higher weight
+    return Math.round((pipelineConfidence * 0.5 + validationConfidence * 0.3 + executiveConfidence * 0.2));
+}
+
+function generatePipelineInsights(result, validation) {
+    const insights = [];
+    
+    if (result.ceo.confidence >= 95) {
+        insights.push('High-confidence CEO identification');
+    }
+    
+    if (result.financeLeader.confidence >= 95) {
+        insights.push('High-confidence finance leader identification');
+    }
+    
+    if (result.peOwnership?.isPEOwned) {
+        insights.push(`PE-owned by ${result.peOwnership.peOwner} - strategic approach required`);
+    }
+    
+    if (result.corporateStructure?.isAcquired) {
+        insights.push('Recently acquired - potential executive changes');
+    }
+    
+    if (validation.validationSources?.length > 10) {
+        insights.push('Extensively validated with multiple sources');
+    }
+    
+    return insights;
+}
+
+/**
+ * 🤖 AI-POWERED BUYER GROUP ANALYSIS
+ * 
+ * Analyzes company context and generates intelligent buyer group recommendations
+ */
+async function analyzeBuyerGroup(buyerGroupAI, result) {
+    try {
+        // Build comprehensive company context for buyer group analysis
+        const companyContext = {
+            companyName: result.companyName,
+            website: result.website,
+            industry: result.industryIntelligence?.industryClassification?.primarySector || 
+                     result.companyDetails?.industry || 'Unknown',
+            businessVertical: result.industryIntelligence?.industryClassification?.businessVertical,
+            marketSegment: result.industryIntelligence?.industryClassification?.marketSegment,
+            employeeCount: result.executiveContactIntelligence?.companyIntelligence?.employeeCount ||
+                          result.companyDetails?.employeeCount,
+            isPublic: result.companyDetails?.isPublic,
+            isPEOwned: result.peOwnership?.isPEOwned,
+            peOwner: result.peOwnership?.peOwner,
+            parentCompany: result.corporateStructure?.parentCompany,
+            headquarters: result.executiveContactIntelligence?.companyIntelligence?.headquarters ||
+                         result.companyDetails?.headquarters,
+            competitors: result.industryIntelligence?.competitorIntelligence?.directCompetitors,
+            
+            // Executive context for buyer group analysis
+            executiveStructure: {
+                ceo: {
+                    name: result.ceo.name,
+                    title: result.ceo.title,
+                    confidence: result.ceo.confidence
+                },
+                financeLeader: {
+                    name: result.financeLeader.name,
+                    title: result.financeLeader.title,
+                    role: result.financeLeader.role,
+                    confidence: result.financeLeader.confidence
+                }
+            },
+            
+            // Sales context
+            salesContext: {
+                accountOwner: result.accountOwner,
+                isTop1000: result.isTop1000,
+                overallConfidence: result.overallConfidence,
+                riskLevel: result.riskLevel
+            }
+        };
+
+        console.log(`   🎯 Analyzing buyer group for ${result.companyName} (${companyContext.industry})`);
+        
+        // Generate buyer group using Universal AI
+        const buyerGroupAnalysis = await buyerGroupAI.determineBuyerGroup(companyContext);
+        
+        if (buyerGroupAnalysis && buyerGroupAnalysis.buyerGroup) {
+            console.log(`   ✅ Generated buyer group analysis for ${result.companyName}`);
+            console.log(`   🎯 Confidence: ${buyerGroupAnalysis.confidence}%`);
+            
+            return {
+                success: true,
+                companyName: buyerGroupAnalysis.companyName,
+                context: buyerGroupAnalysis.context,
+                buyerGroup: buyerGroupAnalysis.buyerGroup,
+                searchCriteria: buyerGroupAnalysis.searchCriteria,
+                confidence: buyerGroupAnalysis.confidence,
+                reasoning: buyerGroupAnalysis.reasoning,
+                companyContext: companyContext,
+                generatedAt: new Date().toISOString()
+            };
+        } else {
+            console.log(`   ⚠️ Buyer group analysis failed or returned null`);
+            return {
+                success: false,
+                error: 'Buyer group analysis failed or returned null',
+                companyContext: companyContext
+            };
+        }
+        
+    } catch (error) {
+        console.error(`   ❌ Buyer group analysis error: ${error.message}`);
+        return {
+            success: false,
+            error: error.message,
+            companyContext: result?.companyName || 'Unknown'
+        };
+    }
+}
+/**
+ * Validate an executive's current employment (confidence >= 90) or clear them
+ */
+async function validateEmployment(executiveValidation, executive, label, ctx, cleared, keepFields = false) {
+    if (executive?.name && executive.confidence >= 90) {
+        console.log(`   🔍 Validating ${label}: ${executive.name} at ${ctx.result.companyName}`);
+        const validated = await executiveValidation.validateAndCorrectExecutive(
+            executive,
+            ctx.result.companyName,
+            ctx.company.website
+        );
+        return keepFields ? { ...executive, ...validated } : validated;
+    }
+    if (executive && executive.confidence < 90) {
+        console.log(`   ❌ ${label} confidence too low (${executive.confidence}%) - skipping`);
+        return cleared();
+    }
+    return executive;
+}
+
+const usingSubsidiaryResearch = (ctx) => !ctx.state.usingParentExecutives;
+
+const STAGES = {
+    /**
+     * 🏢 COMPANY RESOLUTION (URL resolution, acquisition detection)
+     */
+    companyResolution: {
+        modules: ['companyResolver'],
+        timeout: 120000,
+        run: (ctx, { companyResolver }) => {
+            console.log('Resolving company identity and structure...');
+            return companyResolver.resolveCompany(ctx.company.website);
+        },
+        merge: (ctx, companyResolution, options) => {
+            // Lock company identity from resolver; avoid downstream overrides on redirects
+            ctx.result.companyName = companyResolution.companyName || ctx.pipeline.extractCompanyName(ctx.company.website);
+            if (options.attach) {
+                ctx.result.companyResolution = companyResolution;
+            }
+        }
+    },
+
+    // ===== CORE (CFO / CRO) STAGES =====
+
+    /**
+     * 🏛️ CORPORATE STRUCTURE - essential company info and acquisition status
+     */
+    corporateStructure: {
+        dependsOn: ['companyResolution'],
+        run: (ctx) => {
+            const companyResolution = ctx.outputs.companyResolution;
+            const result = ctx.result;
+
+            // Store essential company info for validation and CSV output
+            result.companyInfo = {
+                isPublic: companyResolution.isPublic || false,
+                ticker: companyResolution.ticker || '',
+                parentCompany: companyResolution.parentCompany || '',
+                industry: companyResolution.industry || '',
+                employeeCount: companyResolution.employeeCount || '',
+                headquarters: companyResolution.headquarters || ''
+            };
+
+            // Store corporate structure info for acquisition detection
+            const acquisitionInfo = companyResolution.acquisitionInfo;
+            result.corporateStructure = {
+                isAcquired: acquisitionInfo?.isAcquired || false,
+                parentCompany: acquisitionInfo?.parentCompany || companyResolution.parentCompany || '',
+                acquisitionDate: acquisitionInfo?.acquisitionDate || '',
+                acquisitionType: acquisitionInfo?.acquisitionType || '',
+                confidence: acquisitionInfo?.confidence || 0,
+                targetingOverride: acquisitionInfo?.targetingOverride || undefined,
+                brandStatus: acquisitionInfo?.brandStatus || undefined,
+                corporateEvent: acquisitionInfo?.corporateEvent || undefined
+            };
+
+            // Redirect / canonical / brand changes since the last run (DomainHistory)
+            result.corporateEventSignals = companyResolution.corporateEventSignals || [];
+
+            // Set company status based on corporate structure
+            if (result.corporateStructure.isAcquired) {
+                result.companyStatus = 'acquired';
+            } else if (result.corporateStructure.acquisitionType === 'merger') {
+                result.companyStatus = 'merged';
+            } else {
+                result.companyStatus = 'active';
+            }
+
+            return result.corporateStructure;
+        }
+    },
+
+    /**
+     * 🔍 OPERATIONAL STATUS ANALYSIS (acquired companies only)
+     */
+    operationalStatus: {
+        modules: ['operationalStatusAnalyzer'],
+        dependsOn: ['corporateStructure'],
+        when: (ctx) => ctx.result.corporateStructure.isAcquired,
+        run: async (ctx, { operationalStatusAnalyzer }) => {
+            const result = ctx.result;
+            console.log(`🔍 ANALYZING OPERATIONAL STATUS: ${result.companyName}...`);
+            const assessment = await operationalStatusAnalyzer.assessOperationalStatus(
+                ctx.outputs.companyResolution,
+                result.corporateStructure
+            );
+
+            // Respect resolver targeting override when provided
+            if (result.corporateStructure.targetingOverride && assessment?.executiveTargeting) {
+                assessment.executiveTargeting.strategy = result.corporateStructure.targetingOverride;
+                assessment.reasoning = (assessment.reasoning || '') + ' | resolver_targeting_override';
+            }
+            return assessment;
+        },
+        merge: (ctx, assessment) => {
+            ctx.result.operationalStatus = assessment.operationalStatus;
+            ctx.result.targetEntity = assessment.targetEntity;
+            ctx.result.executiveTargeting = assessment.executiveTargeting;
+            ctx.result.operationalConfidence = assessment.confidence;
+            ctx.result.operationalReasoning = assessment.reasoning;
+
+            console.log(`   📊 Status: ${assessment.operationalStatus}`);
+            console.log(`   🎯 Target: ${assessment.targetEntity}`);
+            console.log(`   📈 Confidence: ${(assessment.confidence * 100).toFixed(0)}%`);
+        }
+    },
+
+    /**
+     * 🎯 POST-ACQUISITION PARENT EXECUTIVES
+     */
+    parentExecutives: {
+        dependsOn: ['operationalStatus'],
+        timeout: 240000,
+        when: (ctx) => ctx.result.corporateStructure.isAcquired && !!ctx.result.corporateStructure.parentCompany,
+        run: (ctx) => {
+            const corporateStructure = ctx.result.corporateStructure;
+            console.log(`🎯 ACQUISITION DETECTED: Researching ${corporateStructure.parentCompany} executives...`);
+            return ctx.pipeline.researchParentCompanyExecutives(corporateStructure.parentCompany, corporateStructure);
+        },
+        merge: (ctx, parentExecutives) => {
+            const result = ctx.result;
+            const operationalAssessment = ctx.outputs.operationalStatus || null;
+
+            // Determine executive targeting strategy based on operational assessment
+            const forcedSubsidiary = result.corporateStructure?.targetingOverride === 'subsidiary_first';
+            const shouldUseParentExecutives = !forcedSubsidiary && ctx.pipeline.shouldUseParentExecutives(
+                parentExecutives,
+                operationalAssessment
+            );
+
+            // GfK-specific guard: a known former executive (e.g., Peter Feld) forces the parent pivot
+            const isKnownFormerExec = (name) => !!name && name.toLowerCase().includes('peter feld');
+            const forceParentDueToFormer = isKnownFormerExec(result.cfo?.name) || isKnownFormerExec(result.cro?.name);
+
+            if (!(shouldUseParentExecutives || forceParentDueToFormer) || !(parentExecutives?.cfo?.name || parentExecutives?.cro?.name)) {
+                return;
+            }
+
+            const strategy = operationalAssessment?.executiveTargeting?.strategy || (forceParentDueToFormer ? 'former_exec_guard' : 'acquisition-based');
+
+            // Store acquisition intelligence for CSV output
+            result.acquisitionIntelligence = {
+                originalCompany: result.companyName,
+                parentCompany: result.corporateStructure.parentCompany,
+                acquisitionDate: result.corporateStructure.acquisitionDate,
+                operationalStatus: operationalAssessment?.operationalStatus || 'unknown',
+                targetingReason: operationalAssessment?.executiveTargeting?.reasoning || 'Parent company executives identified',
+                contactNote: `Contact parent company executives - ${result.companyName} (${operationalAssessment?.operationalStatus || 'acquired'}) by ${result.corporateStructure.parentCompany}`
+            };
+
+            if (parentExecutives.cfo) {
+                result.cfo = parentExecutives.cfo;
+                console.log(`   ✅ Using parent company CFO: ${parentExecutives.cfo.name} (${strategy})`);
+            }
+            if (parentExecutives.cro) {
+                result.cro = parentExecutives.cro;
+                console.log(`   ✅ Using parent company CRO: ${parentExecutives.cro.name} (${strategy})`);
+            }
+            extraPersonas(ctx.pipeline.personas).forEach(persona => {
+                if (!parentExecutives[persona.id]?.name) return;
+                result[persona.id] = ctx.pipeline.buildPersonaExecutive(parentExecutives[persona.id], persona);
+                console.log(`   ✅ Using parent company ${persona.label}: ${result[persona.id].name} (${strategy})`);
+            });
+
+            console.log(`   🎯 Using parent company executives - strategy: ${operationalAssessment?.executiveTargeting?.strategy || 'default'}`);
+            result.researchMethod = `parent_company_executives_${operationalAssessment?.operationalStatus || 'acquired'}`;
+            ctx.state.usingParentExecutives = true;
+        }
+    },
+
+    /**
+     * 📧 PARENT EXECUTIVE CONTACT ENRICHMENT - replaces subsidiary research
+     */
+    parentContactEnrichment: {
+        modules: ['executiveContactIntelligence', 'contactValidator', 'validationEngine'],
+        dependsOn: ['parentExecutives'],
+        timeout: 240000,
+        when: (ctx) => ctx.state.usingParentExecutives,
+        run: async (ctx, { executiveContactIntelligence, contactValidator, validationEngine }) => {
+            const result = ctx.result;
+            const companyResolution = ctx.outputs.companyResolution;
+            const website = companyResolution.finalUrl || ctx.company.website;
+
+            try {
+                console.log('Discovering contact information...');
+                const contactIntelligence = await executiveContactIntelligence.enhanceExecutiveIntelligence({
+                    companyName: result.companyName,
+                    website,
+                    cfo: result.cfo,
+                    cro: result.cro
+                });
+
+                if (contactIntelligence) {
+                    ctx.pipeline.mergeContactData(result, contactIntelligence);
+                }
+
+                console.log('Validating executive contacts...');
+                const domain = website.replace(/^https?:\/\/(www\.)?/, '').split('/')[0];
+
+                if (result.cfo && result.cfo.name) {
+                    result.cfo = await contactValidator.enrichExecutiveContacts(result.cfo, domain, companyResolution);
+                }
+                if (result.cro && result.cro.name) {
+                    result.cro = await contactValidator.enrichExecutiveContacts(result.cro, domain, companyResolution);
+                }
+
+                console.log('Running essential data validation...');
+                try {
+                    const validation = await validationEngine.validateCompanyData(result);
+                    result.validationScore = validation.overallScore;
+                    result.validationNotes = validation.recommendations;
+                } catch (error) {
+                    console.log(`   ⚠️ Validation error: ${error.message}`);
+                    result.validationScore = 85; // Default score for parent company research
+                    result.validationNotes = ['Parent company executives validated'];
+                }
+            } catch (error) {
+                // Continue with basic parent company data even if enrichment fails
+                console.log(`   ⚠️ Parent company processing error: ${error.message}`);
+            }
+
+            await ctx.pipeline.applyEmailDeliverability(result);
+            ctx.pipeline.applyPhoneDetails(result);
+            ctx.pipeline.fillResultProvenance(result);
+            result.overallConfidence = Math.round(((result.cfo?.confidence || 0) + (result.cro?.confidence || 0)) / 2);
+            ctx.pipeline.logCompanySuccess(result);
+        }
+    },
+
+    /**
+     * 🔎 CFO + CRO RESEARCH (subsidiary)
+     */
+    cfoCroResearch: {
+        modules: ['researcher'],
+        dependsOn: ['parentExecutives'],
+        timeout: 240000,
+        when: (ctx) => {
+            if (ctx.state.usingParentExecutives) return false;
+
+            // Skip subsidiary research when the operational assessment targets the parent and we already have both
+            const assessment = ctx.outputs.operationalStatus;
+            const parentTargeted = ['parent_only', 'parent_primary'].includes(assessment?.executiveTargeting?.strategy);
+            if (parentTargeted && ctx.result.cfo?.name && ctx.result.cro?.name) {
+                console.log(`🎯 Skipping subsidiary research - operational assessment suggests parent-only targeting (${assessment.operationalStatus})`);
+                return false;
+            }
+            return true;
+        },
+        run: async (ctx, { researcher }) => {
+            const companyResolution = ctx.outputs.companyResolution;
+            console.log('Researching CFO and CRO...');
+            const research = await researcher.researchExecutives({
+                companyName: ctx.result.companyName,
+                name: ctx.result.companyName,
+                // Use canonical URL to avoid redirect-induced misidentification (e.g., Investis Digital -> idx.inc)
+                website: companyResolution.canonicalUrl || ctx.company.website,
+                companyResolution,
+                personas: ctx.pipeline.personas.map(persona => persona.id)
+            });
+
+            ctx.pipeline.applyExecutiveOverrides(research, companyResolution, ctx.company);
+            return research;
+        },
+        merge: (ctx, research) => {
+            const result = ctx.result;
+
+            // With parent executives in hand, only use subsidiary executives if they're better
+            const useSubsidiaryExecutives = ctx.pipeline.shouldUseSubsidiaryExecutives(
+                research,
+                result,
+                ctx.outputs.operationalStatus || null
+            );
+
+            if (!useSubsidiaryExecutives) {
+                console.log('   🏛️ Keeping parent company executives based on operational assessment');
+                return;
+            }
+
+            console.log('   🏢 Using subsidiary executives based on operational assessment');
+            result.cfo = ctx.pipeline.buildResearchedExecutive(research.cfo);
+            result.cro = ctx.pipeline.buildResearchedExecutive(research.cro);
+            extraPersonas(ctx.pipeline.personas).forEach(persona => {
+                result[persona.id] = ctx.pipeline.buildPersonaExecutive(research[persona.id], persona);
+            });
+            if (research.cfo?.name) ctx.stats.cfoFound++;
+            if (research.cro?.name) ctx.stats.croFound++;
+            ctx.state.usingSubsidiaryExecutives = true;
+        }
+    },
+
+    /**
+     * 🛡️ CFO/CRO EMPLOYMENT VALIDATION (prevent cross-contamination)
+     */
+    cfoCroValidation: {
+        modules: ['executiveValidation'],
+        dependsOn: ['cfoCroResearch'],
+        when: (ctx) => ctx.state.usingSubsidiaryExecutives,
+        run: async (ctx, { executiveValidation }) => {
+            console.log('🛡️ Validating executive employment to prevent cross-contamination...');
+            const cleared = () => ctx.pipeline.emptyExecutive();
+            ctx.result.cfo = await validateEmployment(executiveValidation, ctx.result.cfo, 'CFO', ctx, cleared);
+            ctx.result.cro = await validateEmployment(executiveValidation, ctx.result.cro, 'CRO', ctx, cleared);
+        }
+    },
+
+    /**
+     * 📧 CFO/CRO CONTACT INTELLIGENCE (email/phone discovery on validated executives)
+     */
+    cfoCroContactIntelligence: {
+        modules: ['executiveContactIntelligence'],
+        dependsOn: ['cfoCroValidation'],
+        timeout: 240000,
+        when: usingSubsidiaryResearch,
+        run: async (ctx, { executiveContactIntelligence }) => {
+            const result = ctx.result;
+            console.log('Discovering contact information...');
+            console.log(`🔍 DEBUG: CFO data being passed: ${result.cfo?.name} (${result.cfo?.confidence}% confidence)`);
+            console.log(`🔍 DEBUG: CRO data being passed: ${result.cro?.name} (${result.cro?.confidence}% confidence)`);
+
+            let contactIntelligence = null;
+            try {
+                contactIntelligence = await executiveContactIntelligence.enhanceExecutiveIntelligence(result);
+                if (contactIntelligence?.executiveContacts) {
+                    console.log(`🔍 DEBUG: Executive contacts structure: ${JSON.stringify(Object.keys(contactIntelligence.executiveContacts))}`);
+                }
+            } catch (error) {
+                console.log(`❌ Contact intelligence failed: ${error.message}`);
+            }
+
+            console.log('   📧 Merging contact intelligence data...');
+            ctx.pipeline.mergeContactData(result, contactIntelligence);
+            await ctx.pipeline.fillMissingCroContact(result);
+
+            return contactIntelligence;
+        }
+    },
+
+    /**
+     * 🧹 CFO/CRO ROLE SANITY - dedupe, email domains, title checks, known fallbacks
+     */
+    cfoCroRoleSanity: {
+        dependsOn: ['cfoCroContactIntelligence'],
+        when: usingSubsidiaryResearch,
+        run: (ctx) => {
+            const result = ctx.result;
+            const companyResolution = ctx.outputs.companyResolution;
+            const companyDetails = ctx.outputs.cfoCroResearch?.companyDetails;
+
+            // Populate company data from research
+            if (companyDetails) {
+                result.companyInfo.industry = result.companyInfo.industry || companyDetails.industry || '';
+                result.companyInfo.employeeCount = result.companyInfo.employeeCount || companyDetails.employeeCount || '';
+                result.companyInfo.headquarters = result.companyInfo.headquarters || companyDetails.headquarters || '';
+            }
+
+            ctx.pipeline.resolveDuplicateExecutives(result);
+            ctx.pipeline.enforceEmailDomainConsistency(result, companyResolution);
+            ctx.pipeline.applyRoleSanityChecks(result);
+            ctx.pipeline.applyParentExecutiveFallback(result, companyResolution);
+        }
+    },
+
+    /**
+     * ✅ CFO/CRO CONTACT VALIDATION
+     */
+    cfoCroContactValidation: {
+        modules: ['contactValidator'],
+        dependsOn: ['cfoCroRoleSanity'],
+        timeout: 240000,
+        when: usingSubsidiaryResearch,
+        run: (ctx, { contactValidator }) => {
+            console.log('Validating executive contacts...');
+            return contactValidator.enrichContacts(
+                { executives: { cfo: ctx.result.cfo, cro: ctx.result.cro } },
+                ctx.outputs.companyResolution
+            );
+        },
+        merge: async (ctx, contactValidation) => {
+            ctx.pipeline.applyContactValidation(ctx.result, contactValidation);
+            ctx.pipeline.finalizeContactData(ctx.result, ctx.outputs.cfoCroContactIntelligence, contactValidation);
+            await ctx.pipeline.applyEmailDeliverability(ctx.result, contactValidation);
+            ctx.pipeline.applyPhoneDetails(ctx.result, contactValidation);
+            ctx.pipeline.fillResultProvenance(ctx.result);
+        }
+    },
+
+    /**
+     * 🎯 TARGET PERSONA CONTACTS - email/phone/LinkedIn for CIO, CISO, ... found by research
+     */
+    personaContactEnrichment: {
+        modules: ['executiveContactIntelligence', 'contactValidator'],
+        dependsOn: ['cfoCroContactValidation', 'parentContactEnrichment'],
+        timeout: 240000,
+        optional: true,
+        when: (ctx) => extraPersonas(ctx.pipeline.personas).some(persona => ctx.result[persona.id]?.name),
+        run: async (ctx) => {
+            const enrichedExecutives = {};
+            for (const persona of extraPersonas(ctx.pipeline.personas)) {
+                if (!ctx.result[persona.id]?.name) continue;
+                console.log(`Discovering ${persona.label} contact information...`);
+                enrichedExecutives[persona.id] = await ctx.pipeline.enrichPersonaContact(ctx.result, persona, ctx.outputs.companyResolution);
+            }
+            return { enrichedExecutives };
+        },
+        merge: async (ctx, contactValidation) => {
+            const result = ctx.result;
+            const executives = Object.keys(contactValidation.enrichedExecutives).map(id => result[id]);
+
+            if (usingSubsidiaryResearch(ctx)) {
+                ctx.pipeline.enforceEmailDomainConsistency(result, ctx.outputs.companyResolution, executives);
+            }
+            await ctx.pipeline.applyEmailDeliverability(result, contactValidation, executives);
+            ctx.pipeline.applyPhoneDetails(result, contactValidation, executives);
+            ctx.pipeline.fillResultProvenance(result);
+
+            ctx.stats.personasFound = ctx.stats.personasFound || {};
+            Object.keys(contactValidation.enrichedExecutives).forEach(id => {
+                ctx.stats.personasFound[id] = (ctx.stats.personasFound[id] || 0) + 1;
+            });
+        }
+    },
+
+    /**
+     * 📊 CFO/CRO DATA VALIDATION + FINAL METRICS
+     */
+    cfoCroDataValidation: {
+        modules: ['validationEngine'],
+        dependsOn: ['cfoCroContactValidation'],
+        when: usingSubsidiaryResearch,
+        run: (ctx, { validationEngine }) => {
+            console.log('Running essential data validation...');
+            return validationEngine.validateExecutiveData(
+                ctx.outputs.cfoCroContactValidation,
+                { executives: { cfo: ctx.result.cfo, cro: ctx.result.cro }, sources: ['ExecutiveResearch', 'ContactIntelligence'] },
+                ctx.outputs.companyResolution
+            );
+        },
+        merge: (ctx, dataValidation) => {
+            const result = ctx.result;
+            const stats = ctx.stats;
+
+            // Update confidence based on validation
+            ctx.pipeline.updateConfidenceScores(result, dataValidation);
+
+            if (result.cfo?.name && result.cro?.name) {
+                stats.bothFound++;
+            }
+
+            result.researchMethod = ctx.outputs.cfoCroResearch?.researchMethod || 'cfo_cro_focused';
+            result.overallConfidence = Math.round(((result.cfo?.confidence || 0) + (result.cro?.confidence || 0)) / 2);
+
+            if (result.overallConfidence >= 80) {
+                stats.highConfidence++;
+            }
+            if (result.cfo?.email || result.cro?.email) {
+                stats.contactsValidated++;
+            }
+
+            result.validationNotes = ctx.pipeline.generateValidationNotes(result);
+            ctx.pipeline.logCompanySuccess(result);
+        }
+    },
+
+    // ===== ADVANCED / POWERHOUSE (CEO / FINANCE LEADER) STAGES =====
+
+    /**
+     * 🔎 CEO + FINANCE LEADER RESEARCH
+     */
+    executiveResearch: {
+        modules: ['researcher'],
+        dependsOn: ['companyResolution'],
+        timeout: 240000,
+        run: (ctx, { researcher }) => researcher.researchExecutives({
+            name: ctx.result.companyName,
+            website: ctx.company.website,
+            companyResolution: ctx.outputs.companyResolution
+        }),
+        merge: (ctx, research) => {
+            const result = ctx.result;
+
+            if (research.ceo) {
+                result.ceo = {
+                    name: research.ceo.name || '',
+                    title: research.ceo.title || '',
+                    confidence: Math.round((research.ceo.confidence || 0) * 100),
+                    source: research.ceo.source || '',
+                    validated: research.ceo.confidence > 0.8
+                };
+                ctx.stats.ceoFound++;
+            }
+
+            if (research.financeLeader) {
+                result.financeLeader = {
+                    name: research.financeLeader.name || '',
+                    title: research.financeLeader.title || '',
+                    confidence: Math.round((research.financeLeader.confidence || 0) * 100),
+                    source: research.financeLeader.source || '',
+                    validated: research.financeLeader.confidence > 0.8,
+                    role: ctx.pipeline.categorizeFinanceRole(research.financeLeader.title || ''),
+                    financeResponsibilities: research.financeLeader.financeResponsibilities || ''
+                };
+                ctx.stats.financeFound++;
+            }
+
+            // Store additional research data
+            result.corporateStructure = research.corporateStructure || {};
+            result.companyDetails = research.companyDetails || {};
+            result.dataFreshness = research.dataFreshness || {};
+            result.confidenceExplanation = research.confidenceExplanation || {};
+        }
+    },
+
+    /**
+     * 🛡️ CEO/FINANCE EMPLOYMENT VALIDATION (prevent cross-contamination)
+     */
+    executiveValidation: {
+        modules: ['executiveValidation'],
+        dependsOn: ['executiveResearch'],
+        run: async (ctx, { executiveValidation }) => {
+            const result = ctx.result;
+            const cleared = () => ({ name: '', title: '', confidence: 0 });
+            console.log('🛡️ Validating executive employment to prevent cross-contamination...');
+
+            result.ceo = await validateEmployment(executiveValidation, result.ceo, 'CEO', ctx, cleared, true);
+            result.financeLeader = await validateEmployment(executiveValidation, result.financeLeader, 'Finance Leader', ctx, cleared, true);
+        }
+    },
+
+    /**
+     * 💼 PE OWNERSHIP ANALYSIS
+     */
+    peOwnership: {
+        modules: ['peIntelligence'],
+        dependsOn: ['executiveResearch'],
+        into: 'peOwnership',
+        run: (ctx, { peIntelligence }) => {
+            console.log(' Analyzing PE ownership...');
+            return peIntelligence.analyzePEOwnership(ctx.result.corporateStructure);
+        }
+    },
+
+    /**
+     * 💰 COST-EFFECTIVE INTELLIGENCE (CoreSignal + Lusha)
+     */
+    contactIntelligence: {
+        modules: ['executiveContactIntelligence'],
+        dependsOn: ['executiveValidation'],
+        timeout: 240000,
+        into: 'executiveContactIntelligence',
+        run: (ctx, { executiveContactIntelligence }) => {
+            console.log('Adding cost-effective intelligence (CoreSignal + Lusha)...');
+            return executiveContactIntelligence.enhanceExecutiveIntelligence(ctx.result);
+        }
+    },
+
+    /**
+     * 🏭 INDUSTRY CLASSIFICATION & COMPETITOR ANALYSIS
+     */
+    industryClassification: {
+        modules: ['industryClassification'],
+        // Reads the company details executiveResearch adds to the result
+        dependsOn: ['executiveResearch'],
+        into: 'industryIntelligence',
+        run: (ctx, { industryClassification }) => {
+            console.log('Analyzing industry classification and competitors...');
+            return industryClassification.analyzeIndustryAndCompetitors(ctx.result);
+        }
+    },
+
+    /**
+     * 🤖 AI-POWERED BUYER GROUP ANALYSIS
+     */
+    buyerGroup: {
+        modules: ['buyerGroupAI'],
+        dependsOn: ['industryClassification', 'contactIntelligence', 'peOwnership'],
+        into: 'buyerGroupIntelligence',
+        run: (ctx, { buyerGroupAI }) => {
+            console.log('Generating AI-powered buyer group analysis...');
+            return analyzeBuyerGroup(buyerGroupAI, ctx.result);
+        },
+        merge: (ctx, buyerGroupData) => {
+            if (buyerGroupData.success) {
+                ctx.stats.buyerGroupsGenerated++;
+                ctx.stats.buyerGroupRolesIdentified += buyerGroupData.buyerGroup?.roles?.length || 0;
+            }
+        }
+    },
+
+    /**
+     * ✅ CONTACT VALIDATION (email/phone validation with triangulation)
+     */
+    contactValidation: {
+        modules: ['contactValidator'],
+        // Validates the emails and phones contactIntelligence found
+        dependsOn: ['executiveValidation', 'contactIntelligence'],
+        timeout: 240000,
+        into: 'contactValidation',
+        run: (ctx, { contactValidator }) => {
+            console.log('Validating executive contacts...');
+            return contactValidator.enrichContacts(
+                { executives: { ceo: ctx.result.ceo, cfo: ctx.result.financeLeader } },
+                ctx.outputs.companyResolution
+            );
+        }
+    },
+
+    /**
+     * 📊 COMPREHENSIVE DATA VALIDATION (risk assessment + quality metrics)
+     */
+    dataValidation: {
+        modules: ['validationEngine'],
+        dependsOn: ['contactValidation'],
+        into: 'dataValidation',
+        run: (ctx, { validationEngine }) => {
+            console.log('Running comprehensive data validation...');
+            return validationEngine.validateExecutiveData(
+                ctx.outputs.contactValidation,
+                { executives: { ceo: ctx.result.ceo, cfo: ctx.result.financeLeader }, sources: ['ExecutiveResearch', 'ExecutiveContactIntelligence'] },
+                ctx.outputs.companyResolution
+            );
+        }
+    },
+
+    /**
+     * 🔗 RELATIONSHIP VALIDATION & INTELLIGENCE
+     */
+    relationshipIntelligence: {
+        modules: ['relationshipValidator'],
+        dependsOn: ['executiveValidation', 'peOwnership'],
+        run: async (ctx, { relationshipValidator }) => {
+            const result = ctx.result;
+            console.log(' Enhancing with relationship intelligence...');
+
+            // Only run relationship validation if we have substantial REAL data to validate
+            const hasRealCorporateData = result.corporateStructure?.parentCompany && result.corporateStructure.parentCompany !== 'None';
+            const hasRealPEData = result.peOwnership?.isPEOwned && result.peOwnership.peOwner !== 'None';
+            const hasRealExecutiveData = !!result.ceo.name && !!result.financeLeader.name;
+
+            if (!hasRealCorporateData && !hasRealPEData && !hasRealExecutiveData) {
+                // For companies with limited data, create basic relationship intelligence
+                console.log('   ℹ️ Limited data - using basic relationship intelligence');
+                result.relationshipIntelligence = createBasicRelationshipIntelligence(result);
+                return null;
+            }
+
+            const smartRelationships = createSmartRelationships(result, ctx.outputs.executiveResearch);
+            const relationshipValidation = await relationshipValidator.validateRelationships({
+                companyName: result.companyName,
+                website: ctx.company.website
+            }, smartRelationships);
+
+            // Intelligently merge validation results with existing data
+            result.relationshipIntelligence = mergeRelationshipIntelligence(result, relationshipValidation);
+
+            // Update stats only for successful validations
+            if (relationshipValidation.overallConfidence > 70) {
+                ctx.stats.relationshipsValidated++;
+                ctx.stats.sourcesFound += relationshipValidation.validationSources?.length || 0;
+                ctx.stats.executiveConnections += relationshipValidation.executiveConnections?.internalConnections?.length || 0;
+            }
+            return relationshipValidation;
+        }
+    },
+
+    /**
+     * 🏁 FINAL ASSESSMENT - confidence, risk and validation notes
+     */
+    finalizeAssessment: {
+        dependsOn: ['relationshipIntelligence', 'dataValidation'],
+        run: (ctx) => {
+            const result = ctx.result;
+            const research = ctx.outputs.executiveResearch || {};
+
+            if (result.ceo.name && result.financeLeader.name) {
+                ctx.stats.bothFound++;
+            }
+
+            result.companyName = research.company?.name || ctx.pipeline.extractCompanyName(ctx.company.website);
+            result.researchMethod = research.researchMethod || 'enhanced_research';
+            result.overallConfidence = Math.round((research.confidence || 0) * 100);
+            result.riskLevel = ctx.pipeline.assessRisk(result);
+
+            if (result.overallConfidence >= 80) {
+                ctx.stats.highConfidence++;
+            }
+
+            result.validationNotes = ctx.pipeline.generateValidationNotes(research, result);
+
+            console.log(` SUCCESS: ${result.companyName}`);
+            console.log(`   CEO: ${result.ceo.name || 'Not found'} (${result.ceo.confidence}%)`);
+            console.log(`   Finance: ${result.financeLeader.name || 'Not found'} (${result.financeLeader.confidence}%)`);
+            console.log(`   Role: ${result.financeLeader.role || 'N/A'}`);
+            console.log(`   Method: ${result.researchMethod}`);
+            console.log(`   Overall: ${result.overallConfidence}% confidence, ${result.riskLevel} risk`);
+            console.log(`   Relationship Intelligence: ${result.relationshipIntelligence?.overallConfidence || 0}% confidence`);
+            console.log(`   Sources: ${result.relationshipIntelligence?.validationSources?.length || 0} validated`);
+        }
+    }
+};
+
+module.exports = { STAGES, MODULE_FACTORIES, RESULT_TEMPLATES };
@@ -14,7 +14,6 @@
 
 const fs = require('fs');
 const path = require('path');
-const csv = require('csv-parser');
 const { createObjectCsvWriter } = require('csv-writer');
 
 // Load environment variables
@@ -30,10 +29,14 @@ const { ValidationEngine } = require("../modules/ValidationEngine");
 const { RelationshipValidator } = require("../modules/RelationshipValidator");
 const { DataEnhancer } = require("../modules/DataEnhancer");
 const { AccuracyOptimizedContacts } = require("../modules/AccuracyOptimizedContacts");
+const { EmailFormatStore } = require("../modules/EmailFormatStore");
 const { BuyerGroupAI } = require("../modules/BuyerGroupAI");
-const { ApiCostOptimizer } = require("../modules/ApiCostOptimizer");
+const { getSharedCostOptimizer } = require("../modules/ApiCostOptimizer");
 const { ExecutiveTransitionDetector } = require("../modules/ExecutiveTransitionDetector");
 const { ExecutiveValidation } = require("../modules/ExecutiveValidation");
+const { matchRole } = require("../modules/RoleTaxonomy");
+const { PipelineEngine } = require("./pipeline-engine");
+const { PIPELINE_TIERS } = require("../config/pipeline-tiers");
 
 class PowerhousePipeline {
     constructor() {
@@ -49,13 +52,17 @@ class PowerhousePipeline {
             DROPCONTACT_API_KEY: process.env.DROPCONTACT_API_KEY,
             // Performance optimizations
             PARALLEL_PROCESSING: true,
-            MAX_PARALLEL_COMPANIES: 15,        // Moderate parallelization for complex powerhouse pipeline
             MAX_PARALLEL_APIS: 8,              // Higher concurrent API calls for comprehensive data
             REDUCED_DELAYS: true,
             CACHE_ENABLED: true,
             AGGRESSIVE_CACHING: true
         };
 
+        // One learned-email-format store for every module (modules/EmailFormatStore.js)
+        config.emailFormats = new EmailFormatStore(config);
+        // The process-wide spend tracker the provider adapters report to
+        this.apiCostOptimizer = config.costOptimizer = getSharedCostOptimizer();
+
         this.companyResolver = new CompanyResolver(config);
         this.researcher = new ExecutiveResearch(config);
         this.peIntelligence = new PEOwnershipAnalysis(config);
@@ -66,9 +73,11 @@ class PowerhousePipeline {
         this.validationEngine = new ValidationEngine(config);
         this.relationshipValidator = new RelationshipValidator(config);
         this.dataEnhancer = new DataEnhancer();
-        this.accuracyOptimizedContacts = new AccuracyOptimizedContacts();
+        this.accuracyOptimizedContacts = new AccuracyOptimizedContacts({ emailFormats: config.emailFormats });
         this.buyerGroupAI = new BuyerGroupAI(config);
         this.executiveValidation = new ExecutiveValidation(config);
+        this.config = config;
+        this.engine = new PipelineEngine(PIPELINE_TIERS.powerhouse, this);
         this.results = [];
         this.stats = {
             processed: 0,
@@ -104,29 +113,16 @@ class PowerhousePipeline {
         try {
             // STEP 1: Load companies from CSV
             console.log('\nSTEP 1: Loading Companies');
-            const companies = await this.loadCompanies();
+            const companies = await this.engine.loadCompanies();
             console.log(`   Loaded ${companies.length} companies`);
 
             // STEP 2: Process each company with executive research
             console.log('\nSTEP 2: Executive Research');
-            for (let i = 0; i < companies.length; i++) {
-                const company = companies[i];
-                console.log(`\n${'-'.repeat(80)}`);
-                console.log(`PROCESSING ${i + 1}/${companies.length}: ${company.website}`);
-                console.log(`${'-'.repeat(80)}`);
-                
-                await this.processCompany(company, i + 1);
-                
-                // Rate limiting between companies
-                if (i < companies.length - 1) {
-                    console.log('\nRate limiting: 10s delay between companies...');
-                    await new Promise(resolve => setTimeout(resolve, 10000));
-                }
-            }
+            await this.engine.processCompanies(companies);
 
             // STEP 3: Add parent company, PE firm, and VC firm rows
             console.log('\nSTEP 3: Adding Parent Company, PE, and VC Rows');
-            await this.addRelatedCompanyRows();
+            await this.engine.addRelatedCompanyRows();
 
             // STEP 4: Generate dataset CSV
             console.log('\nSTEP 4: Generating Powerhouse Dataset CSV');
@@ -157,410 +153,13 @@ class PowerhousePipeline {
         }
     }
 
-    /**
-     *  LOAD COMPANIES FROM CSV
-     */
-    async loadCompanies() {
-        return new Promise((resolve, reject) => {
-            const companies = [];
-            
-            // Use command line argument or default file
-            const inputFile = process.argv[2] || path.join(__dirname, '../../inputs/test-1-company.csv');
-            console.log(`    Reading from: ${inputFile}`);
-            
-            fs.createReadStream(inputFile)
-                .pipe(csv())
-                .on('data', (row) => {
-                    // Support multiple CSV formats
-                    const website = row.Website || row.domain || row.Domain;
-                    const companyName = row['Company Name'] || row.company_name || row['company_name'];
-                    
-                    if (website && website.trim()) {
-                        companies.push({
-                            website: website.trim(),
-                            company_name: companyName || website.trim(),
-                            accountOwner: row['Account Owner'] || 'Unknown',
-                            isTop1000: row['Top 1000'] === '1'
-                        });
-                    }
-                })
-                .on('end', () => resolve(companies))
-                .on('error', reject);
-        });
-    }
-
     /**
      *  PROCESS INDIVIDUAL COMPANY
+     *
+     * Runs the tier stages (config/pipeline-tiers.js) through the PipelineEngine
      */
     async processCompany(company, index) {
-        const result = {
-            index,
-            website: company.website,
-            accountOwner: company.accountOwner,
-            isTop1000: company.isTop1000,
-            companyName: '',
-            ceo: {
-                name: '',
-                title: '',
-                confidence: 0,
-                source: '',
-                validated: false
-            },
-            financeLeader: {
-                name: '',
-                title: '',
-                confidence: 0,
-                source: '',
-                validated: false,
-                role: '', // CFO, Controller, VP Finance, etc.
-                financeResponsibilities: ''
-            },
-            researchMethod: '',
-            overallConfidence: 0,
-            riskLevel: 'HIGH',
-            processingTime: 0,
-            timestamp: new Date().toISOString(),
-            validationNotes: [],
-            error: null
-        };
-
-        const startTime = Date.now();
-
-        try {
-            this.stats.processed++;
-
-            // STEP 0: Company Resolution (URL resolution, acquisition detection)
-            console.log('Resolving company identity and structure...');
-            const companyResolution = await this.companyResolver.resolveCompany(company.website);
-            result.companyResolution = companyResolution;
-            result.companyName = companyResolution.companyName || this.extractCompanyName(company.website);
-
-            // Enhanced executive research
-            const research = await this.researcher.researchExecutives({
-                name: result.companyName,
-                website: company.website,
-                companyResolution: companyResolution
-            });
-
-            // Process research results
-            if (research.ceo) {
-                result.ceo = {
-                    name: research.ceo.name || '',
-                    title: research.ceo.title || '',
-                    confidence: Math.round((research.ceo.confidence || 0) * 100),
-                    source: research.ceo.source || '',
-                    validated: research.ceo.confidence > 0.8
-                };
-                this.stats.ceoFound++;
-            }
-
-            if (research.financeLeader) {
-                result.financeLeader = {
-                    name: research.financeLeader.name || '',
-                    title: research.financeLeader.title || '',
-                    confidence: Math.round((research.financeLeader.confidence || 0) * 100),
-                    source: research.financeLeader.source || '',
-                    validated: research.financeLeader.confidence > 0.8,
-                    role: this.categorizeFinanceRole(research.financeLeader.title || ''),
-                    financeResponsibilities: research.financeLeader.financeResponsibilities || ''
-                };
-                this.stats.financeFound++;
-            }
-
-            // Store additional research data
-            result.corporateStructure = research.corporateStructure || {};
-            result.companyDetails = research.companyDetails || {};
-            result.dataFreshness = research.dataFreshness || {};
-            result.confidenceExplanation = research.confidenceExplanation || {};
-
-            // STEP 2.5: Executive Employment Validation (PREVENT CROSS-CONTAMINATION)
-            console.log('🛡️ Validating executive employment to prevent cross-contamination...');
-
-            if (result.ceo && result.ceo.name && result.ceo.name !== '' && result.ceo.confidence >= 90) {
-                console.log(`   🔍 Validating CEO: ${result.ceo.name} at ${result.companyName}`);
-                const validatedCeo = await this.executiveValidation.validateAndCorrectExecutive(
-                    result.ceo,
-                    result.companyName,
-                    company.website
-                );
-                result.ceo = { ...result.ceo, ...validatedCeo };
-            } else if (result.ceo && result.ceo.confidence < 90) {
-                console.log(`   ❌ CEO confidence too low (${result.ceo.confidence}%) - skipping`);
-                result.ceo = { name: '', title: '', confidence: 0 };
-            }
-
-            if (result.financeLeader && result.financeLeader.name && result.financeLeader.name !== '' && result.financeLeader.confidence >= 90) {
-                console.log(`   🔍 Validating Finance Leader: ${result.financeLeader.name} at ${result.companyName}`);
-                const validatedFinance = await this.executiveValidation.validateAndCorrectExecutive(
-                    result.financeLeader,
-                    result.companyName,
-                    company.website
-                );
-                result.financeLeader = { ...result.financeLeader, ...validatedFinance };
-            } else if (result.financeLeader && result.financeLeader.confidence < 90) {
-                console.log(`   ❌ Finance Leader confidence too low (${result.financeLeader.confidence}%) - skipping`);
-                result.financeLeader = { name: '', title: '', confidence: 0 };
-            }
-
-            // STEP 6: PE Ownership Analysis
-            console.log(' Analyzing PE ownership...');
-            const peAnalysis = await this.peIntelligence.analyzePEOwnership(result.corporateStructure);
-            result.peOwnership = peAnalysis;
-
-            // STEP 7: Cost-Effective Intelligence (CoreSignal + Lusha)
-            console.log('Adding cost-effective intelligence (CoreSignal + Lusha)...');
-            const contactIntelligenceData = await this.executiveContactIntelligence.enhanceExecutiveIntelligence(result);
-            result.executiveContactIntelligence = contactIntelligenceData;
-
-            // STEP 8: Industry Classification & Competitor Analysis
-            console.log('Analyzing industry classification and competitors...');
-            const industryData = await this.industryClassification.analyzeIndustryAndCompetitors(result);
-            result.industryIntelligence = industryData;
-
-            // STEP 8.5: AI-Powered Buyer Group Analysis
-            console.log('Generating AI-powered buyer group analysis...');
-            const buyerGroupData = await this.analyzeBuyerGroup(result);
-            result.buyerGroupIntelligence = buyerGroupData;
-            if (buyerGroupData.success) {
-                this.stats.buyerGroupsGenerated++;
-                this.stats.buyerGroupRolesIdentified += buyerGroupData.buyerGroup?.roles?.length || 0;
-            }
-
-            // STEP 9: Contact Validation (Email/Phone validation with triangulation)
-            console.log('Validating executive contacts...');
-            const contactValidation = await this.contactValidator.enrichContacts(
-                { executives: { ceo: result.ceo, cfo: result.financeLeader } },
-                companyResolution
-            );
-            result.contactValidation = contactValidation;
-
-            // STEP 10: Comprehensive Data Validation (Risk assessment + Quality metrics)
-            console.log('Running comprehensive data validation...');
-            const dataValidation = await this.validationEngine.validateExecutiveData(
-                contactValidation,
-                { executives: { ceo: result.ceo, cfo: result.financeLeader }, sources: ['ExecutiveResearch', 'ExecutiveContactIntelligence'] },
-                companyResolution
-            );
-            result.dataValidation = dataValidation;
-
-            // STEP 7: Relationship Validation & Intelligence Enhancement
-            console.log(' Enhancing with relationship intelligence...');
-            
-            // Only run relationship validation if we have substantial REAL data to validate
-            const hasRealCorporateData = result.corporateStructure?.parentCompany && result.corporateStructure.parentCompany !== 'None';
-            const hasRealPEData = result.peOwnership?.isPEOwned && result.peOwnership.peOwner !== 'None';
-            const hasRealExecutiveData = (result.ceo.name && result.ceo.name !== '') && 
-                                        (result.financeLeader.name && result.financeLeader.name !== '');
-            
-            if (hasRealCorporateData || hasRealPEData || hasRealExecutiveData) {
-                
-                const smartRelationships = this.createSmartRelationships(result, research);
-                const relationshipValidation = await this.relationshipValidator.validateRelationships({
-                    companyName: result.companyName,
-                    website: company.website
-                }, smartRelationships);
-                
-                // Intelligently merge validation results with existing data
-                result.relationshipIntelligence = this.mergeRelationshipIntelligence(result, relationshipValidation);
-                
-                // Update stats only for successful validations
-                if (relationshipValidation.overallConfidence > 70) {
-                    this.stats.relationshipsValidated++;
-                    this.stats.sourcesFound += relationshipValidation.validationSources?.length || 0;
-                    this.stats.executiveConnections += relationshipValidation.executiveConnections?.internalConnections?.length || 0;
-                }
-            } else {
-                // For companies with limited data, create basic relationship intelligence
-                result.relationshipIntelligence = this.createBasicRelationshipIntelligence(result);
-                console.log('   ℹ️ Limited data - using basic relationship intelligence');
-            }
-
-            if (result.ceo.name && result.financeLeader.name) {
-                this.stats.bothFound++;
-            }
-
-            result.companyName = research.company?.name || this.extractCompanyName(company.website);
-            result.researchMethod = research.researchMethod || 'enhanced_research';
-            result.overallConfidence = Math.round((research.confidence || 0) * 100);
-            
-            // Risk assessment
-            result.riskLevel = this.assessRisk(result);
-            
-            if (result.overallConfidence >= 80) {
-                this.stats.highConfidence++;
-            }
-
-            // Validation notes
-            result.validationNotes = this.generateValidationNotes(research, result);
-
-            this.stats.successful++;
-
-            console.log(` SUCCESS: ${result.companyName}`);
-            console.log(`   CEO: ${result.ceo.name || 'Not found'} (${result.ceo.confidence}%)`);
-            console.log(`   Finance: ${result.financeLeader.name || 'Not found'} (${result.financeLeader.confidence}%)`);
-            console.log(`   Role: ${result.financeLeader.role || 'N/A'}`);
-            console.log(`   Method: ${result.researchMethod}`);
-            console.log(`   Overall: ${result.overallConfidence}% confidence, ${result.riskLevel} risk`);
-            console.log(`   Relationship Intelligence: ${result.relationshipIntelligence?.overallConfidence || 0}% confidence`);
-            console.log(`   Sources: ${result.relationshipIntelligence?.validationSources?.length || 0} validated`);
-
-        } catch (error) {
-            console.error(`❌ Error: ${error.message}`);
-            // Ensure result object exists with basic structure
-            if (!result) {
-                result = {
-                    index,
-                    website: company.website,
-                    companyName: company.website || 'Unknown',
-                    cfo: { name: 'Not Found', confidence: 0 },
-                    cro: { name: 'Not Found', confidence: 0 },
-                    overallConfidence: 0
-                };
-            }
-            result.error = error.message;
-            result.riskLevel = 'CRITICAL';
-            this.stats.errors++;
-        }
-
-        // Ensure result exists before accessing properties
-        if (result) {
-            result.processingTime = Date.now() - startTime;
-            this.results.push(result);
-        }
-        
-        // Return the result for API usage
-        return result;
-    }
-
-    /**
-     *  ADD RELATED COMPANY ROWS
-     * 
-     * Analyzes results and adds:
-     * 1. Parent companies (corporate parents)
-     * 2. PE firms (private equity owners)
-     * 3. VC firms (venture capital investors)
-     * 
-     * Each with appropriate executive research for their industry type
-     */
-    async addRelatedCompanyRows() {
-        const relatedCompaniesToAdd = [];
-        const processedCompanies = new Set();
-
-        for (const result of this.results) {
-            // 1. ADD PARENT COMPANIES
-            await this.addParentCompanyIfNeeded(result, relatedCompaniesToAdd, processedCompanies);
-            
-            // 2. ADD PE FIRMS
-            await this.addPEFirmIfNeeded(result, relatedCompaniesToAdd, processedCompanies);
-            
-            // 3. ADD VC FIRMS (if different from PE)
-            await this.addVCFirmIfNeeded(result, relatedCompaniesToAdd, processedCompanies);
-        }
-
-        // Add all related company results to the main results
-        this.results.push(...relatedCompaniesToAdd);
-        this.stats.parentCompaniesAdded = relatedCompaniesToAdd.length;
-        
-        console.log(`    Added ${relatedCompaniesToAdd.length} related company rows`);
-    }
-
-    /**
-     * Add parent company row if needed
-     */
-    async addParentCompanyIfNeeded(result, relatedCompaniesToAdd, processedCompanies) {
-        const parentCompany = result.corporateStructure?.parentCompany;
-        
-        if (parentCompany && 
-            parentCompany !== 'None' && 
-            !processedCompanies.has(parentCompany) &&
-            this.shouldAddParentCompany(result)) {
-            
-            console.log(` Processing parent company: ${parentCompany}`);
-            processedCompanies.add(parentCompany);
-            
-            try {
-                const parentResult = await this.researchRelatedCompany(
-                    parentCompany, 
-                    result, 
-                    'parent_company',
-                    'Standard Corporate Executives'
-                );
-                if (parentResult) {
-                    relatedCompaniesToAdd.push(parentResult);
-                    console.log(`    Added parent company: ${parentCompany}`);
-                }
-            } catch (error) {
-                console.error(`    Failed to research parent company ${parentCompany}: ${error.message}`);
-            }
-            
-            await new Promise(resolve => setTimeout(resolve, 5000));
-        }
-    }
-
-    /**
-     * Add PE firm row if needed
-     */
-    async addPEFirmIfNeeded(result, relatedCompaniesToAdd, processedCompanies) {
-        const peOwnership = result.peOwnership;
-        
-        if (peOwnership?.isPEOwned && 
-            peOwnership.peOwner !== 'None' &&
-            !processedCompanies.has(peOwnership.peOwner)) {
-            
-            console.log(` Processing PE firm: ${peOwnership.peOwner}`);
-            processedCompanies.add(peOwnership.peOwner);
-            
-            try {
-                const peResult = await this.researchRelatedCompany(
-                    peOwnership.peOwner,
-                    result,
-                    'pe_firm',
-                    'PE/Investment Firm Executives'
-                );
-                if (peResult) {
-                    relatedCompaniesToAdd.push(peResult);
-                    console.log(`    Added PE firm: ${peOwnership.peOwner}`);
-                }
-            } catch (error) {
-                console.error(`    Failed to research PE firm ${peOwnership.peOwner}: ${error.message}`);
-            }
-            
-            await new Promise(resolve => setTimeout(resolve, 5000));
-        }
-    }
-
-    /**
-     * Add VC firm row if needed (separate from PE)
-     */
-    async addVCFirmIfNeeded(result, relatedCompaniesToAdd, processedCompanies) {
-        // Check if parent company is a VC firm (different from PE)
-        const parentCompany = result.corporateStructure?.parentCompany;
-        
-        if (parentCompany && 
-            !processedCompanies.has(parentCompany) &&
-            this.isVCFirm(parentCompany) &&
-            !result.peOwnership?.isPEOwned) {
-            
-            console.log(`🚀 Processing VC firm: ${parentCompany}`);
-            processedCompanies.add(parentCompany);
-            
-            try {
-                const vcResult = await this.researchRelatedCompany(
-                    parentCompany,
-                    result,
-                    'vc_firm', 
-                    'VC/Investment Firm Executives'
-                );
-                if (vcResult) {
-                    relatedCompaniesToAdd.push(vcResult);
-                    console.log(`    Added VC firm: ${parentCompany}`);
-                }
-            } catch (error) {
-                console.error(`    Failed to research VC firm ${parentCompany}: ${error.message}`);
-            }
-            
-            await new Promise(resolve => setTimeout(resolve, 5000));
-        }
+        return this.engine.processCompany(company, index);
     }
 
     /**
@@ -600,8 +199,8 @@ class PowerhousePipeline {
     async researchRelatedCompany(companyName, subsidiaryResult, companyType, executiveContext) {
         // Create company info for research
         const companyInfo = {
-            name: this.cleanCompanyName(companyName),
-            website: await this.guessCompanyWebsite(companyName, companyType)
+            name: this.engine.cleanCompanyName(companyName),
+            website: await this.engine.guessCompanyWebsite(companyName)
         };
 
         console.log(`    Researching: ${companyInfo.name} (${companyInfo.website})`);
@@ -740,74 +339,6 @@ Focus on senior decision-makers who would be involved in portfolio company overs
         };
     }
 
-    /**
-     * Clean company name for research
-     */
-    cleanCompanyName(companyName) {
-        // Remove common suffixes and clarifications
-        return companyName
-            .replace(/\s*\(.*?\)\s*/g, '') // Remove parenthetical info
-            .replace(/\s*(Holdings?|Holding Co\.?|LLC|Inc\.?|Ltd\.?|Corp\.?)\s*$/i, '') // Remove entity types
-            .trim();
-    }
-
-    /**
-     * Guess company website based on type (AI-DRIVEN)
-     */
-    async guessCompanyWebsite(companyName, companyType) {
-        const cleanName = this.cleanCompanyName(companyName)
-            .toLowerCase()
-            .replace(/[^a-z0-9]/g, ''); // Remove special characters
-        
-        // Use AI to research the likely website for investment firms
-        try {
-            const prompt = `What is the official website for ${companyName}?
-
-Provide ONLY a JSON response:
-{
-    "website": "www.company.com",
-    "confidence": 0.90
-}`;
-
-            const response = await fetch('https://api.perplexity.ai/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.config.PERPLEXITY_API_KEY?.trim()}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'sonar-pro',
-                    messages: [{ role: 'user', content: prompt }],
-                    temperature: 0.1,
-                    max_tokens: 150
-                })
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                const content = data.choices[0].message.content;
-                
-                try {
-                    const jsonMatch = content.match(/\{[\s\S]*\}/);
-                    if (jsonMatch) {
-                        const result = JSON.parse(jsonMatch[0]);
-                        if (result.website) {
-                            console.log(`   🎯 AI-researched website: ${result.website}`);
-                            return result.website;
-                        }
-                    }
-                } catch (parseError) {
-                    console.log(`   ⚠️ Website research parsing failed`);
-                }
-            }
-        } catch (error) {
-            console.log(`   ⚠️ Website research failed: ${error.message}`);
-        }
-
-        // Fallback: Generate based on cleaned name
-        return `www.${cleanName}.com`;
-    }
-
     /**
      *  GENERATE FINAL CSV
      */
@@ -1475,158 +1006,62 @@ ${this.generateKeyInsights(metrics)}
      *  GENERATE SUMMARY REPORT
      */
     generateSummary() {
-        console.log('\n FINAL PIPELINE SUMMARY');
-        console.log('=' .repeat(80));
-        const totalRows = this.results.length;
-        console.log(` Original Companies Processed: ${this.stats.processed}`);
-        console.log(` Parent Companies Added: ${this.stats.parentCompaniesAdded}`);
-        console.log(`📋 Total Rows in Output: ${totalRows}`);
-        console.log(` CEOs Found: ${this.stats.ceoFound}/${this.stats.processed} (${Math.round(this.stats.ceoFound/this.stats.processed*100)}%)`);
-        console.log(` Finance Leaders Found: ${this.stats.financeFound}/${this.stats.processed} (${Math.round(this.stats.financeFound/this.stats.processed*100)}%)`);
-        console.log(` Both Found: ${this.stats.bothFound}/${this.stats.processed} (${Math.round(this.stats.bothFound/this.stats.processed*100)}%)`);
-        console.log(` High Confidence: ${this.stats.highConfidence}/${this.stats.processed} (${Math.round(this.stats.highConfidence/this.stats.processed*100)}%)`);
-        console.log(` Errors: ${this.stats.errors}/${this.stats.processed} (${Math.round(this.stats.errors/this.stats.processed*100)}%)`);
-        console.log(` Relationships Validated: ${this.stats.relationshipsValidated}/${this.stats.processed} (${Math.round(this.stats.relationshipsValidated/this.stats.processed*100)}%)`);
-        console.log(`📋 Validation Sources Found: ${this.stats.sourcesFound}`);
-        console.log(` Executive Connections: ${this.stats.executiveConnections}`);
-        console.log(` Buyer Groups Generated: ${this.stats.buyerGroupsGenerated}/${this.stats.processed} (${Math.round(this.stats.buyerGroupsGenerated/this.stats.processed*100)}%)`);
-        console.log(` Buyer Group Roles Identified: ${this.stats.buyerGroupRolesIdentified}`);
-
-        console.log('\n BUYER GROUP ANALYSIS:');
-        const buyerGroupComplexity = {};
-        this.results.forEach(result => {
-            if (result.buyerGroupIntelligence?.buyerGroup?.complexity) {
-                const complexity = result.buyerGroupIntelligence.buyerGroup.complexity;
-                buyerGroupComplexity[complexity] = (buyerGroupComplexity[complexity] || 0) + 1;
-            }
-        });
-        
-        Object.entries(buyerGroupComplexity).forEach(([complexity, count]) => {
-            console.log(`   ${complexity}: ${count}`);
-        });
-
-        console.log('\n FINANCE ROLE BREAKDOWN:');
-        const financeRoles = {};
-        this.results.forEach(result => {
-            if (result.financeLeader.role) {
-                financeRoles[result.financeLeader.role] = (financeRoles[result.financeLeader.role] || 0) + 1;
-            }
-        });
+        this.engine.generateSummary([
+            [' CEOs Found', this.stats.ceoFound],
+            [' Finance Leaders Found', this.stats.financeFound],
+            [' Both Found', this.stats.bothFound],
+            [' High Confidence', this.stats.highConfidence],
+            [' Relationships Validated', this.stats.relationshipsValidated],
+            [' Buyer Groups Generated', this.stats.buyerGroupsGenerated]
+        ], [
+            'outputs/v8/executive-intelligence-dataset.csv - Main results',
+            'outputs/v8/executive-intelligence-data.json - Detailed data',
+            'outputs/v8/dataset-metrics.json - Dataset analytics',
+            'outputs/v8/dataset-metrics-report.md - Human-readable metrics'
+        ], () => {
+            console.log(`📋 Validation Sources Found: ${this.stats.sourcesFound}`);
+            console.log(` Executive Connections: ${this.stats.executiveConnections}`);
+            console.log(` Buyer Group Roles Identified: ${this.stats.buyerGroupRolesIdentified}`);
+
+            console.log('\n BUYER GROUP ANALYSIS:');
+            const buyerGroupComplexity = {};
+            this.results.forEach(result => {
+                if (result.buyerGroupIntelligence?.buyerGroup?.complexity) {
+                    const complexity = result.buyerGroupIntelligence.buyerGroup.complexity;
+                    buyerGroupComplexity[complexity] = (buyerGroupComplexity[complexity] || 0) + 1;
+                }
+            });
 
-        Object.entries(financeRoles).forEach(([role, count]) => {
-            console.log(`   ${role}: ${count}`);
-        });
+            Object.entries(buyerGroupComplexity).forEach(([complexity, count]) => {
+                console.log(`   ${complexity}: ${count}`);
+            });
 
-        console.log('\n RISK DISTRIBUTION:');
-        const riskLevels = { LOW: 0, MEDIUM: 0, HIGH: 0, CRITICAL: 0 };
-        this.results.forEach(result => {
-            riskLevels[result.riskLevel]++;
-        });
+            console.log('\n FINANCE ROLE BREAKDOWN:');
+            const financeRoles = {};
+            this.results.forEach(result => {
+                if (result.financeLeader.role) {
+                    financeRoles[result.financeLeader.role] = (financeRoles[result.financeLeader.role] || 0) + 1;
+                }
+            });
 
-        Object.entries(riskLevels).forEach(([level, count]) => {
-            const percentage = Math.round(count/this.stats.processed*100);
-            console.log(`   ${level}: ${count} (${percentage}%)`);
-        });
+            Object.entries(financeRoles).forEach(([role, count]) => {
+                console.log(`   ${role}: ${count}`);
+            });
 
-        const avgConfidence = this.results.reduce((sum, r) => sum + r.overallConfidence, 0) / this.results.length;
-        console.log(`\n Average Confidence: ${Math.round(avgConfidence)}%`);
-        
-        const avgTime = this.results.reduce((sum, r) => sum + r.processingTime, 0) / this.results.length;
-        console.log(`⏱️ Average Processing Time: ${Math.round(avgTime/1000)}s`);
-
-        console.log('\n Output Files:');
-        console.log('    outputs/v8/executive-intelligence-dataset.csv - Main results');
-        console.log('    outputs/v8/executive-intelligence-data.json - Detailed data');
-        console.log('    outputs/v8/dataset-metrics.json - Dataset analytics');
-        console.log('    outputs/v8/dataset-metrics-report.md - Human-readable metrics');
-    }
+            console.log('\n RISK DISTRIBUTION:');
+            const riskLevels = { LOW: 0, MEDIUM: 0, HIGH: 0, CRITICAL: 0 };
+            this.results.forEach(result => {
+                riskLevels[result.riskLevel]++;
+            });
 
-    /**
-     * 🤖 AI-POWERED BUYER GROUP ANALYSIS
-     * 
-     * Analyzes company context and generates intelligent buyer group recommendations
-     */
-    async analyzeBuyerGroup(result) {
-        try {
-            // Build comprehensive company context for buyer group analysis
-            const companyContext = {
-                companyName: result.companyName,
-                website: result.website,
-                industry: result.industryIntelligence?.industryClassification?.primarySector || 
-                         result.companyDetails?.industry || 'Unknown',
-                businessVertical: result.industryIntelligence?.industryClassification?.businessVertical,
-                marketSegment: result.industryIntelligence?.industryClassification?.marketSegment,
-                employeeCount: result.executiveContactIntelligence?.companyIntelligence?.employeeCount ||
-                              result.companyDetails?.employeeCount,
-                isPublic: result.companyDetails?.isPublic,
-                isPEOwned: result.peOwnership?.isPEOwned,
-                peOwner: result.peOwnership?.peOwner,
-                parentCompany: result.corporateStructure?.parentCompany,
-                headquarters: result.executiveContactIntelligence?.companyIntelligence?.headquarters ||
-                             result.companyDetails?.headquarters,
-                competitors: result.industryIntelligence?.competitorIntelligence?.directCompetitors,
-                
-                // Executive context for buyer group analysis
-                executiveStructure: {
-                    ceo: {
-                        name: result.ceo.name,
-                        title: result.ceo.title,
-                        confidence: result.ceo.confidence
-                    },
-                    financeLeader: {
-                        name: result.financeLeader.name,
-                        title: result.financeLeader.title,
-                        role: result.financeLeader.role,
-                        confidence: result.financeLeader.confidence
-                    }
-                },
-                
-                // Sales context
-                salesContext: {
-                    accountOwner: result.accountOwner,
-                    isTop1000: result.isTop1000,
-                    overallConfidence: result.overallConfidence,
-                    riskLevel: result.riskLevel
-                }
-            };
+            Object.entries(riskLevels).forEach(([level, count]) => {
+                const percentage = Math.round(count/this.stats.processed*100);
+                console.log(`   ${level}: ${count} (${percentage}%)`);
+            });
 
-            console.log(`   🎯 Analyzing buyer group for ${result.companyName} (${companyContext.industry})`);
-            
-            // Generate buyer group using Universal AI
-            const buyerGroupAnalysis = await this.buyerGroupAI.determineBuyerGroup(companyContext);
-            
-            if (buyerGroupAnalysis && buyerGroupAnalysis.buyerGroup) {
-                console.log(`   ✅ Generated buyer group analysis for ${result.companyName}`);
-                console.log(`   🎯 Confidence: ${buyerGroupAnalysis.confidence}%`);
-                
-                return {
-                    success: true,
-                    companyName: buyerGroupAnalysis.companyName,
-                    context: buyerGroupAnalysis.context,
-                    buyerGroup: buyerGroupAnalysis.buyerGroup,
-                    searchCriteria: buyerGroupAnalysis.searchCriteria,
-                    confidence: buyerGroupAnalysis.confidence,
-                    reasoning: buyerGroupAnalysis.reasoning,
-                    companyContext: companyContext,
-                    generatedAt: new Date().toISOString()
-                };
-            } else {
-                console.log(`   ⚠️ Buyer group analysis failed or returned null`);
-                return {
-                    success: false,
-                    error: 'Buyer group analysis failed or returned null',
-                    companyContext: companyContext
-                };
-            }
-            
-        } catch (error) {
-            console.error(`   ❌ Buyer group analysis error: ${error.message}`);
-            return {
-                success: false,
-                error: error.message,
-                companyContext: result?.companyName || 'Unknown'
-            };
-        }
+            const avgConfidence = this.results.reduce((sum, r) => sum + r.overallConfidence, 0) / this.results.length;
+            console.log(`\n Average Confidence: ${Math.round(avgConfidence)}%`);
+        });
     }
 
     /**
@@ -1689,29 +1124,11 @@ ${this.generateKeyInsights(metrics)}
         }
     }
 
+    /**
+     * Output role label for a finance title - 'CFO', 'Controller', 'VP Finance', ... (config/role-taxonomy.js)
+     */
     categorizeFinanceRole(title) {
-        const titleLower = title.toLowerCase();
-        
-        if (titleLower.includes('cfo') || titleLower.includes('chief financial officer')) {
-            return 'CFO';
-        }
-        if (titleLower.includes('controller') || titleLower.includes('chief accounting officer')) {
-            return 'Controller';
-        }
-        if (titleLower.includes('vp finance') || titleLower.includes('finance director')) {
-            return 'VP Finance';
-        }
-        if (titleLower.includes('treasurer')) {
-            return 'Treasurer';
-        }
-        if (titleLower.includes('finance')) {
-            return 'Finance Executive';
-        }
-        if (titleLower.includes('coo') && titleLower.includes('finance')) {
-            return 'COO/Finance';
-        }
-        
-        return 'Other Finance';
+        return matchRole(title, 'finance').category || 'Other Finance';
     }
 
     assessRisk(result) {
@@ -1775,105 +1192,6 @@ ${this.generateKeyInsights(metrics)}
         return 'Requires Validation';
     }
 
-    /**
-     * 🧠 CREATE SMART RELATIONSHIPS
-     * 
-     * Intelligently builds relationship data from existing pipeline research
-     */
-    createSmartRelationships(result, research) {
-        return {
-            corporateHierarchy: {
-                parentCompanies: result.corporateStructure?.parentCompany ? 
-                    [{
-                        name: result.corporateStructure.parentCompany,
-                        changeType: result.corporateStructure.changeType,
-                        changeDate: result.corporateStructure.changeDate,
-                        isAcquired: result.corporateStructure.isAcquired
-                    }] : [],
-                subsidiaries: [],
-                acquisitions: [],
-                ownershipStructure: {
-                    status: result.companyDetails?.isPublic ? 'Public' : 'Private',
-                    ticker: result.companyDetails?.ticker,
-                    exchange: result.companyDetails?.exchange
-                },
-                connections: this.extractCorporateConnections(result)
-            },
-            executiveNetwork: {
-                currentExecutives: this.buildExecutiveNetwork(result, research),
-                executiveMovements: [],
-                networkSize: this.calculateNetworkSize(result, research),
-                connectionStrength: this.assessConnectionStrength(result)
-            },
-            investorNetwork: {
-                investors: this.buildInvestorNetwork(result),
-                totalFunding: this.estimateFunding(result),
-                peConnections: result.peOwnership?.isPEOwned ? [result.peOwnership] : [],
-                vcConnections: []
-            }
-        };
-    }
-
-    /**
-     *  MERGE RELATIONSHIP INTELLIGENCE
-     * 
-     * Intelligently merges validation results with existing pipeline data
-     */
-    mergeRelationshipIntelligence(result, validation) {
-        return {
-            // Preserve validation results
-            ...validation,
-            
-            // Enhance with pipeline-specific intelligence
-            pipelineEnhancements: {
-                executiveConfidence: {
-                    ceo: result.ceo.confidence,
-                    finance: result.financeLeader.confidence,
-                    combined: Math.round((result.ceo.confidence + result.financeLeader.confidence) / 2)
-                },
-                corporateStructureConfidence: result.corporateStructure ? 85 : 20,
-                peOwnershipConfidence: result.peOwnership?.isPEOwned ? 90 : 10,
-                dataFreshness: result.dataFreshness?.dataAge || 'current'
-            },
-            
-            // Smart confidence calculation
-            enhancedConfidence: this.calculateEnhancedConfidence(result, validation),
-            
-            // Pipeline-specific insights
-            pipelineInsights: this.generatePipelineInsights(result, validation)
-        };
-    }
-
-    /**
-     *  CREATE BASIC RELATIONSHIP INTELLIGENCE
-     * 
-     * Creates basic relationship intelligence for companies with limited data
-     */
-    createBasicRelationshipIntelligence(result) {
-        return {
-            overallConfidence: Math.max(result.ceo.confidence, result.financeLeader.confidence),
-            validationSources: ['pipeline_research'],
-            organizationalStructure: {
-                structureType: result.corporateStructure?.parentCompany ? 'subsidiary' : 'independent',
-                autonomyLevel: 'unknown'
-            },
-            executiveConnections: {
-                internalConnections: result.ceo.name && result.financeLeader.name ? 
-                    [{ executive1: result.ceo.name, executive2: result.financeLeader.name, connectionType: 'colleagues' }] : [],
-                externalConnections: []
-            },
-            pipelineEnhancements: {
-                executiveConfidence: {
-                    ceo: result.ceo.confidence,
-                    finance: result.financeLeader.confidence,
-                    combined: Math.round((result.ceo.confidence + result.financeLeader.confidence) / 2)
-                },
-                dataSource: 'enhanced_executive_research',
-                hasRealData: !!(result.ceo.name || result.financeLeader.name)
-            }
-        };
-    }
-
     /**
      * 🔧 RELATIONSHIP INTELLIGENCE EXTRACTORS
      */
@@ -1936,152 +1254,6 @@ ${this.generateKeyInsights(metrics)}
         return null;
     }
 
-    /**
-     * 🧠 INTELLIGENT RELATIONSHIP BUILDERS
-     */
-    extractCorporateConnections(result) {
-        const connections = {};
-        
-        // Only include real, validated corporate connections
-        if (result.corporateStructure?.parentCompany && result.corporateStructure.parentCompany !== 'None') {
-            connections.parent = {
-                name: result.corporateStructure.parentCompany,
-                type: result.corporateStructure.changeType || null,
-                confidence: result.corporateStructure.confidence || null
-            };
-        }
-        
-        if (result.peOwnership?.isPEOwned && result.peOwnership.peOwner !== 'None') {
-            connections.investor = {
-                name: result.peOwnership.peOwner,
-                type: 'private_equity',
-                confidence: result.peOwnership.confidence || null
-            };
-        }
-        
-        return connections;
-    }
-
-    buildExecutiveNetwork(result, research) {
-        const executives = [];
-        
-        if (result.ceo.name) {
-            executives.push({
-                name: result.ceo.name,
-                title: result.ceo.title,
-                confidence: result.ceo.confidence,
-                source: result.ceo.source,
-                role: 'leadership'
-            });
-        }
-        
-        if (result.financeLeader.name) {
-            executives.push({
-                name: result.financeLeader.name,
-                title: result.financeLeader.title,
-                confidence: result.financeLeader.confidence,
-                source: result.financeLeader.source,
-                role: 'finance'
-            });
-        }
-        
-        // Add any additional executives from research
-        if (research?.allExecutives) {
-            research.allExecutives.forEach(exec => {
-                if (!executives.find(e => e.name === exec.name)) {
-                    executives.push({
-                        name: exec.name,
-                        title: exec.title,
-                        confidence: exec.confidence || 70,
-                        source: 'team_research',
-                        role: 'executive'
-                    });
-                }
-            });
-        }
-        
-        return executives;
-    }
-
-    calculateNetworkSize(result, research) {
-        let size = 0;
-        if (result.ceo.name) size++;
-        if (result.financeLeader.name) size++;
-        if (research?.allExecutives) size += research.allExecutives.length;
-        return size; // Return actual count, no artificial minimum
-    }
-
-    assessConnectionStrength(result) {
-        const ceoConfidence = result.ceo.confidence || 0;
-        const financeConfidence = result.financeLeader.confidence || 0;
-        const avgConfidence = (ceoConfidence + financeConfidence) / 2;
-        
-        if (avgConfidence >= 90) return 'Very High';
-        if (avgConfidence >= 80) return 'High';
-        if (avgConfidence >= 70) return 'Medium';
-        return 'Low';
-    }
-
-    buildInvestorNetwork(result) {
-        const investors = [];
-        
-        // Only include real PE ownership data, no hardcoded confidence
-        if (result.peOwnership?.isPEOwned && result.peOwnership.peOwner !== 'None') {
-            investors.push({
-                name: result.peOwnership.peOwner,
-                type: 'PE',
-                aum: result.peOwnership.peOwnerAUM || null,
-                confidence: result.peOwnership.confidence || null
-            });
-        }
-        
-        return investors;
-    }
-
-    estimateFunding(result) {
-        // Only return real funding data if available, no estimates
-        if (result.companyDetails?.revenue) {
-            return result.companyDetails.revenue;
-        }
-        
-        // Return null for no real data - no artificial estimates
-        return null;
-    }
-
-    calculateEnhancedConfidence(result, validation) {
-        const pipelineConfidence = result.overallConfidence || 0;
-        const validationConfidence = validation.overallConfidence || 0;
-        const executiveConfidence = Math.max(result.ceo.confidence, result.financeLeader.confidence);
-        
-        // Weighted average with pipeline data having higher weight
-        return Math.round((pipelineConfidence * 0.5 + validationConfidence * 0.3 + executiveConfidence * 0.2));
-    }
-
-    generatePipelineInsights(result, validation) {
-        const insights = [];
-        
-        if (result.ceo.confidence >= 95) {
-            insights.push('High-confidence CEO identification');
-        }
-        
-        if (result.financeLeader.confidence >= 95) {
-            insights.push('High-confidence finance leader identification');
-        }
-        
-        if (result.peOwnership?.isPEOwned) {
-            insights.push(`PE-owned by ${result.peOwnership.peOwner} - strategic approach required`);
-        }
-        
-        if (result.corporateStructure?.isAcquired) {
-            insights.push('Recently acquired - potential executive changes');
-        }
-        
-        if (validation.validationSources?.length > 10) {
-            insights.push('Extensively validated with multiple sources');
-        }
-        
-        return insights;
-    }
 }
 
 /**
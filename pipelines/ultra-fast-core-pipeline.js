@@ -22,9 +22,10 @@ const { ExecutiveContactIntelligence } = require("../modules/ExecutiveContactInt
 const { ContactValidator } = require("../modules/ContactValidator");
 const { ValidationEngine } = require("../modules/ValidationEngine");
 const { PEOwnershipAnalysis } = require("../modules/PEOwnershipAnalysis");
-const { ApiCostOptimizer } = require("../modules/ApiCostOptimizer");
+const { getSharedCostOptimizer } = require("../modules/ApiCostOptimizer");
 const { ExecutiveTransitionDetector } = require("../modules/ExecutiveTransitionDetector");
 const { DataCache } = require("../modules/DataCache");
+const { EmailFormatStore } = require("../modules/EmailFormatStore");
 
 class UltraFastCorePipeline {
     constructor(config = {}) {
@@ -52,6 +53,22 @@ class UltraFastCorePipeline {
             ...config
         };
 
+        // One learned-email-format store for every module (modules/EmailFormatStore.js)
+        this.config.emailFormats = this.config.emailFormats || new EmailFormatStore(this.config);
+        // The process-wide spend tracker the provider adapters report to
+        this.config.costOptimizer = this.config.costOptimizer || getSharedCostOptimizer(this.config);
+        this.apiCostOptimizer = this.config.costOptimizer;
+
+        // Enhanced caching system
+        this.dataCache = new DataCache({
+            CACHE_TTL_DAYS: 30,
+            USE_FILE_CACHE: true,
+            USE_MEMORY_CACHE: true,
+            MEMORY_CACHE_SIZE: 10000  // Cache 10k entries in memory
+        });
+        // Provider adapters cache their lookups here under the TTL policy (config/cache-ttl-policy.js)
+        if (this.config.CACHE_ENABLED) this.config.providerCache = this.config.providerCache || this.dataCache;
+
         // Initialize modules with performance config
         this.companyResolver = new CompanyResolver(this.config);
         this.researcher = new ExecutiveResearch(this.config);
@@ -59,17 +76,8 @@ class UltraFastCorePipeline {
         this.contactValidator = new ContactValidator(this.config);
         this.validationEngine = new ValidationEngine(this.config);
         this.peIntelligence = new PEOwnershipAnalysis(this.config);
-        this.apiCostOptimizer = new ApiCostOptimizer(this.config);
         this.executiveTransitionDetector = new ExecutiveTransitionDetector(this.config);
         
-        // Enhanced caching system
-        this.dataCache = new DataCache({
-            CACHE_TTL_DAYS: 30,
-            USE_FILE_CACHE: true,
-            USE_MEMORY_CACHE: true,
-            MEMORY_CACHE_SIZE: 10000  // Cache 10k entries in memory
-        });
-        
         // In-memory cache for ultra-fast access
         this.memoryCache = new Map();
         this.results = [];
@@ -4,7 +4,7 @@
  * 🚀 PRODUCTION PIPELINE RUNNER
  * 
  * Features:
- * - Resume capability from last processed record
+ * - Resume capability from a durable per-company run ledger
  * - Incremental CSV saving every 10 records
  * - Advanced logging and monitoring
  * - API usage tracking and cost monitoring
@@ -15,13 +15,17 @@
 
 require('dotenv').config();
 const { AdvancedPipelineLogger } = require('./advanced-pipeline-logger');
+const { RunLedger } = require('./modules/RunLedger');
 const fs = require('fs').promises;
 const path = require('path');
 
 class ProductionPipelineRunner {
-    constructor(pipelineType = 'core') {
+    constructor(pipelineType = 'core', options = {}) {
         this.pipelineType = pipelineType;
         this.logger = new AdvancedPipelineLogger(pipelineType);
+        this.inputFile = path.join(__dirname, 'inputs', 'all-1233-companies.csv');
+        this.ledger = new RunLedger(RunLedger.runIdFor(pipelineType, this.inputFile));
+        this.fresh = options.fresh || false;
         this.companies = [];
         this.currentIndex = 0;
         this.maxRetries = 3;
@@ -71,25 +75,28 @@ class ProductionPipelineRunner {
         // Load companies from input file
         await this.loadCompanies();
         
-        // Check for resume capability
-        this.currentIndex = await this.logger.loadProgress();
+        // Resume from the run ledger - done companies are never reprocessed
+        await this.logger.loadProgress();
+        this.ledger.open({ fresh: this.fresh });
+        const summary = this.ledger.register(this.companies);
+        const remaining = this.companies.filter(company => this.ledger.shouldProcess(company)).length;
         
         console.log(`🚀 Production Pipeline Runner Initialized`);
         console.log(`   Pipeline: ${this.pipelineType.toUpperCase()}`);
         console.log(`   Total Companies: ${this.companies.length}`);
-        console.log(`   Starting from: ${this.currentIndex + 1}`);
-        console.log(`   Remaining: ${this.companies.length - this.currentIndex}`);
+        console.log(`   Already Done: ${summary.done}`);
+        console.log(`   Remaining: ${remaining}`);
     }
 
     /**
      * 📂 LOAD COMPANIES FROM CSV
      */
     async loadCompanies() {
-        const inputFile = path.join(__dirname, 'inputs', 'all-1233-companies.csv');
+        const inputFile = this.inputFile;
         
         try {
             const csvData = await fs.readFile(inputFile, 'utf8');
-            const lines = csvData.trim().split('\\n');
+            const lines = csvData.trim().split(/\r?\n/);
             const headers = lines[0].split(',');
             
             this.companies = lines.slice(1).map(line => {
@@ -175,9 +182,18 @@ class ProductionPipelineRunner {
             // Import pipeline modules dynamically
             const pipelineModule = await this.loadPipelineModule();
             
-            for (let i = this.currentIndex; i < this.companies.length; i++) {
+            for (let i = 0; i < this.companies.length; i++) {
                 const company = this.companies[i];
                 this.currentIndex = i;
+
+                if (!RunLedger.companyKey(company)) {
+                    console.log(`\\n⚠️ Skipping row ${i + 1}: no website or company name`);
+                    continue;
+                }
+                if (!this.ledger.shouldProcess(company)) {
+                    continue;
+                }
+                this.ledger.markRunning(company);
                 
                 console.log(`\\n🏢 Processing ${i + 1}/${this.companies.length}: ${company['Company Name'] || company.Website}`);
                 
@@ -199,6 +215,7 @@ class ProductionPipelineRunner {
                         
                         // Save result incrementally
                         await this.logger.saveResults([result], this.settings[this.pipelineType].headers);
+                        this.ledger.markDone(company, result);
                         
                         successCount++;
                         console.log(`   ✅ Success (${result.overallConfidence}% confidence)`);
@@ -216,6 +233,7 @@ class ProductionPipelineRunner {
                         errorMessage: error.message
                     });
                     
+                    this.ledger.markFailed(company, error);
                     errorCount++;
                     console.log(`   ❌ Failed: ${error.message}`);
                 }
@@ -226,7 +244,7 @@ class ProductionPipelineRunner {
                 // Progress reporting
                 if ((i + 1) % 10 === 0) {
                     const elapsed = Date.now() - startTime;
-                    const avgTime = elapsed / (i + 1 - this.currentIndex);
+                    const avgTime = elapsed / Math.max(1, successCount + errorCount);
                     const remaining = this.companies.length - i - 1;
                     const eta = remaining * avgTime;
                     
@@ -259,7 +277,16 @@ class ProductionPipelineRunner {
      */
     async processCompanyWithRetry(pipelineModule, company, attempt = 1) {
         try {
-            return await pipelineModule.processCompany(company);
+            const result = await pipelineModule.processCompany({
+                website: company.Website,
+                company_name: company['Company Name'] || company.Website,
+                accountOwner: company['Account Owner'] || 'Unknown',
+                isTop1000: company['Top 1000'] === '1'
+            }, this.currentIndex + 1, { record: false });
+            if (result?.error) {
+                throw new Error(result.error);
+            }
+            return result;
         } catch (error) {
             if (attempt < this.maxRetries && this.isRetryableError(error)) {
                 console.log(`   ⚠️ Attempt ${attempt} failed, retrying in ${this.retryDelay / 1000}s...`);
@@ -278,7 +305,10 @@ class ProductionPipelineRunner {
         
         try {
             const module = require(modulePath);
-            return module;
+            const PipelineClass = Object.values(module)[0];
+            const pipeline = new PipelineClass();
+            // Go straight to the engine so results are not also collected in memory
+            return pipeline.engine;
         } catch (error) {
             throw new Error(`Failed to load pipeline module: ${error.message}`);
         }
@@ -336,14 +366,14 @@ class ProductionPipelineRunner {
 // CLI Interface
 async function main() {
     const args = process.argv.slice(2);
-    const pipelineType = args[0] || 'core';
+    const pipelineType = args.find(arg => !arg.startsWith('--')) || 'core';
     
     if (!['core', 'advanced', 'powerhouse'].includes(pipelineType)) {
         console.error('❌ Invalid pipeline type. Use: core, advanced, or powerhouse');
         process.exit(1);
     }
     
-    const runner = new ProductionPipelineRunner(pipelineType);
+    const runner = new ProductionPipelineRunner(pipelineType, { fresh: args.includes('--fresh') });
     
     try {
         await runner.initialize();
@@ -19,24 +19,16 @@ const { createObjectCsvWriter } = require('csv-writer');
 const { CorePipeline } = require('./pipelines/core-pipeline');
 const { AdvancedPipeline } = require('./pipelines/advanced-pipeline');
 const { PowerhousePipeline } = require('./pipelines/powerhouse-pipeline');
+const { toExpectedCompanies } = require('./modules/AccuracyHarness');
+const { PIPELINE_TIERS } = require('./config/pipeline-tiers');
 
 class SpeedAccuracyBenchmarks {
     constructor() {
         this.testSizes = [1, 10, 100, 1000];
         this.targetSize = 1300; // SBI's full dataset
         
-        this.testCompanies = [
-            { website: 'salesforce.com', expectedCFO: 'Amy Weaver', expectedCRO: 'Brian Millham' },
-            { website: 'microsoft.com', expectedCFO: 'Amy Hood', expectedCRO: 'Judson Althoff' },
-            { website: 'adobe.com', expectedCFO: 'Dan Durn', expectedCRO: 'Anil Chakravarthy' },
-            { website: 'hubspot.com', expectedCFO: 'Kathryn Bueker', expectedCRO: 'Yamini Rangan' },
-            { website: 'zoom.us', expectedCFO: 'Kelly Steckelberg', expectedCRO: 'Ryan Azus' },
-            { website: 'shopify.com', expectedCFO: 'Jeff Hoffmeister', expectedCRO: 'Kaz Nejatian' },
-            { website: 'stripe.com', expectedCFO: 'Dhivya Suryadevara', expectedCRO: 'Rob McIntosh' },
-            { website: 'atlassian.com', expectedCFO: 'Joe Binz', expectedCRO: 'Cameron Deatsch' },
-            { website: 'twilio.com', expectedCFO: 'Khozema Shipchandler', expectedCRO: 'Marc Boroditsky' },
-            { website: 'datadog.com', expectedCFO: 'David Obstler', expectedCRO: 'Dan Fougere' }
-        ];
+        // Ground truth lives in inputs/golden/golden-set.json (see accuracy-harness.js)
+        this.testCompanies = toExpectedCompanies();
         
         this.results = {
             core: {},
@@ -45,9 +37,9 @@ class SpeedAccuracyBenchmarks {
         };
         
         this.costPerCompany = {
-            core: 0.15,
-            advanced: 0.45,
-            powerhouse: 0.85
+            core: PIPELINE_TIERS.core.estimatedCostPerCompany,
+            advanced: PIPELINE_TIERS.advanced.estimatedCostPerCompany,
+            powerhouse: PIPELINE_TIERS.powerhouse.estimatedCostPerCompany
         };
     }
 
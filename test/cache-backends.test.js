@@ -0,0 +1,87 @@
+/**
+ * DataCache over the file and SQLite backends - policy TTL expiry, invalidation and batched
+ * writes, including overlapping setMany calls. SQLite runs where a driver is available
+ * (node:sqlite on Node 22.5+, or better-sqlite3)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-backends-'));
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DataCache } = require('../modules/DataCache');
+const { SqliteCacheBackend } = require('../modules/cache/SqliteCacheBackend');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function sqliteUnavailable() {
+    try {
+        new SqliteCacheBackend({ CACHE_SQLITE_PATH: ':memory:' }).close();
+        return false;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+const BACKENDS = [
+    { name: 'file', skip: false, config: name => ({ CACHE_BACKEND: 'file', CACHE_DIR: path.join(dir, name) }) },
+    { name: 'sqlite', skip: sqliteUnavailable(), config: name => ({ CACHE_BACKEND: 'sqlite', CACHE_SQLITE_PATH: path.join(dir, `${name}.sqlite`) }) }
+];
+
+for (const backend of BACKENDS) {
+    function createCache(t, name) {
+        t.mock.method(console, 'log', () => {});
+        const cache = new DataCache(backend.config(`${backend.name}-${name}`));
+        t.after(() => cache.close());
+        return cache;
+    }
+
+    test(`${backend.name}: entries expire on their policy TTL`, { skip: backend.skip }, async t => {
+        const cache = createCache(t, 'ttl');
+        const now = Date.now();
+        await cache.set('zerobounce', 'jane.doe@acme.com', { status: 'valid' });
+        await cache.set('coresignal-company', 'acme.com', { name: 'Acme' });
+
+        // 15 days on: the 14-day verification verdict is gone, the 90-day company record is not
+        t.mock.method(Date, 'now', () => now + 15 * DAY_MS);
+        assert.strictEqual(await cache.get('zerobounce', 'jane.doe@acme.com'), null);
+        assert.deepStrictEqual(await cache.get('coresignal-company', 'acme.com'), { name: 'Acme' });
+        assert.strictEqual((await cache.getCacheSize()).files, 1);
+
+        t.mock.method(Date, 'now', () => now + 91 * DAY_MS);
+        assert.strictEqual(await cache.clearExpired(), 1);
+        assert.strictEqual((await cache.getCacheSize()).files, 0);
+    });
+
+    test(`${backend.name}: invalidate removes only the matching entries`, { skip: backend.skip }, async t => {
+        const cache = createCache(t, 'invalidate');
+        await cache.set('lusha-cfo', 'acme.com', { name: 'Jane Doe' }, null, { person: 'Jane Doe' });
+        await cache.set('coresignal-company', 'acme.com', { name: 'Acme' });
+        await cache.set('lusha-cfo', 'globex.com', { name: 'Hank Scorpio' });
+
+        assert.strictEqual(await cache.invalidate({ domain: 'acme.com', category: 'executive' }), 1);
+        assert.strictEqual(await cache.get('lusha-cfo', 'acme.com'), null);
+        assert.deepStrictEqual(await cache.get('coresignal-company', 'acme.com'), { name: 'Acme' });
+        assert.deepStrictEqual(await cache.get('lusha-cfo', 'globex.com'), { name: 'Hank Scorpio' });
+
+        assert.strictEqual(await cache.invalidate({ service: 'lusha' }), 1);
+        assert.strictEqual((await cache.getCacheSize()).files, 1);
+    });
+
+    test(`${backend.name}: overlapping setMany calls all land`, { skip: backend.skip }, async t => {
+        const cache = createCache(t, 'set-many');
+        const batch = prefix => Array.from({ length: 20 }, (_, i) => ({ identifier: `${prefix}-${i}.com`, data: { i } }));
+
+        await Promise.all([cache.setMany('coresignal-company', batch('a')), cache.setMany('coresignal-company', batch('b'))]);
+
+        const found = await cache.getMany('coresignal-company', [...batch('a'), ...batch('b')].map(item => item.identifier));
+        assert.strictEqual(Object.values(found).filter(Boolean).length, 40);
+        assert.strictEqual(cache.getStats().saves, 40);
+        assert.deepStrictEqual(found['b-7.com'], { i: 7 });
+    });
+}
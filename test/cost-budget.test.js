@@ -0,0 +1,92 @@
+/**
+ * One spend tracker end to end - spend reported by a provider adapter trips the pipeline
+ * engine's hard budget stop, and a company whose calls were refused stays pending
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cost-budget-'));
+process.env.SPEND_LEDGER = 'off';
+process.env.CACHE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CorePipeline } = require('../pipelines/core-pipeline');
+const { PipelineEngine } = require('../pipelines/pipeline-engine');
+const { createProviders } = require('../modules/providers/ProviderRegistry');
+const { RunLedger, RUN_STATUS } = require('../modules/RunLedger');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Lusha company lookups at $0.08 each, answered without a network
+const lusha = createProviders({
+    LUSHA_API_KEY: 'test',
+    PROVIDER_MAX_RETRIES: 0,
+    fetch: async () => ({ ok: true, status: 200, text: async () => '{"data":{"name":"Acme"}}', headers: { get: () => null } })
+}).lusha;
+
+const tier = { label: 'BUDGET TEST', stages: [], maxParallelCompanies: 1, estimatedCostPerCompany: 0 };
+const companies = ['acme.com', 'globex.com', 'initech.com', 'umbrella.com'].map(website => ({ website, companyName: website }));
+
+function setUp(t, runId) {
+    t.mock.method(console, 'log', () => {});
+    const pipeline = new CorePipeline({ RUN_BUDGET: 0.1 });
+    pipeline.results = [];
+    const engine = new PipelineEngine(tier, pipeline);
+    const ledger = new RunLedger(runId, { LEDGER_DIR: dir }).open();
+    return { pipeline, engine, ledger };
+}
+
+test('the pipeline checks its budget against the tracker the adapters report to', t => {
+    const { pipeline } = setUp(t, 'shared');
+    assert.strictEqual(lusha.costOptimizer, pipeline.apiCostOptimizer);
+    assert.strictEqual(pipeline.contactValidator.providers.lusha.costOptimizer, pipeline.apiCostOptimizer);
+    assert.strictEqual(pipeline.apiCostOptimizer.config.RUN_BUDGET, 0.1);
+});
+
+test('adapter spend reaching the run budget stops the engine between batches', async t => {
+    const { pipeline, engine, ledger } = setUp(t, 'hard-stop');
+    const processed = [];
+
+    await engine.processCompanies(companies, {
+        ledger,
+        processCompany: async company => {
+            processed.push(company.website);
+            await lusha.findCompany(company.website);
+            return { companyName: company.companyName };
+        }
+    });
+
+    // $0.08 + $0.08 passes the $0.10 run budget - the third company never starts
+    assert.deepStrictEqual(processed, ['acme.com', 'globex.com']);
+    assert.strictEqual(pipeline.stats.budgetSkipped, 2);
+    assert.deepStrictEqual(ledger.getEntries().map(entry => entry.status),
+        [RUN_STATUS.DONE, RUN_STATUS.DONE, RUN_STATUS.PENDING, RUN_STATUS.PENDING]);
+});
+
+test('a company whose provider calls were refused is held back, not marked done', async t => {
+    const { pipeline, engine, ledger } = setUp(t, 'refused');
+
+    await engine.processCompanies(companies.slice(0, 2), {
+        ledger,
+        processCompany: async company => {
+            const found = [];
+            for (let i = 0; i < 3; i++) {
+                found.push(await lusha.findCompany(company.website).catch(error => error.kind));
+            }
+            const result = { companyName: company.companyName, found };
+            pipeline.results.push(result);
+            return result;
+        }
+    });
+
+    const [acme, globex] = ledger.getEntries();
+    assert.strictEqual(acme.status, RUN_STATUS.PENDING);
+    assert.strictEqual(acme.attempts, 0);
+    assert.match(acme.lastError, /run budget of \$0.1 reached/);
+    assert.strictEqual(globex.status, RUN_STATUS.PENDING);
+    assert.deepStrictEqual(pipeline.results, []);
+    assert.strictEqual(pipeline.stats.budgetSkipped, 2);
+});
@@ -0,0 +1,83 @@
+/**
+ * CRM sync against createMockCrmServer - a repeat sync sends nothing, a changed record is
+ * updated in place, and HubSpot's 207 association errors land on the pairs they name
+ */
+
+process.env.SPEND_LEDGER = 'off';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockCrmServer } = require('../modules/crm/MockCrmServer');
+const { CrmUpsertClient } = require('../modules/crm/CrmUpsertClient');
+const { buildCrmExport } = require('../modules/crm/CrmMapping');
+
+const TOKEN = 'test-token';
+
+function results({ cfoTitle = 'Chief Financial Officer' } = {}) {
+    return [{
+        website: 'https://www.acme.com',
+        companyName: 'Acme Corp',
+        cfo: { name: 'Jane Doe', title: cfoTitle, email: 'jane.doe@acme.com' },
+        cro: { name: 'Bob Smith', title: 'Chief Revenue Officer', email: 'bob.smith@acme.com' }
+    }];
+}
+
+async function startHubSpot(t) {
+    const server = createMockCrmServer({ crm: 'hubspot', token: TOKEN });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-'));
+    t.after(() => {
+        server.close();
+        fs.rmSync(stateDir, { recursive: true, force: true });
+    });
+
+    const client = new CrmUpsertClient({
+        crm: 'hubspot',
+        HUBSPOT_API_URL: `http://127.0.0.1:${server.address().port}`,
+        HUBSPOT_ACCESS_TOKEN: TOKEN,
+        CRM_STATE_DIR: stateDir,
+        quiet: true
+    });
+    return { server, client };
+}
+
+test('syncing the same export twice creates once, then leaves everything unchanged', async t => {
+    const { server, client } = await startHubSpot(t);
+
+    const first = await client.sync(buildCrmExport(results(), { crm: 'hubspot' }));
+    assert.deepStrictEqual(first.accounts, { created: 1, updated: 0, unchanged: 0, failed: 0, toSend: 1 });
+    assert.deepStrictEqual(first.contacts, { created: 2, updated: 0, unchanged: 0, failed: 0, toSend: 2 });
+    assert.deepStrictEqual(first.associations, { linked: 2, unchanged: 0, failed: 0, toSend: 2 });
+    assert.deepStrictEqual(first.errors, []);
+
+    const requests = server.crm.requests.length;
+    const second = await client.sync(buildCrmExport(results(), { crm: 'hubspot' }));
+    assert.deepStrictEqual(second.accounts, { created: 0, updated: 0, unchanged: 1, failed: 0, toSend: 0 });
+    assert.deepStrictEqual(second.contacts, { created: 0, updated: 0, unchanged: 2, failed: 0, toSend: 0 });
+    assert.deepStrictEqual(second.associations, { linked: 0, unchanged: 2, failed: 0, toSend: 0 });
+    assert.strictEqual(server.crm.requests.length, requests);
+
+    // A changed title updates that contact only
+    const third = await client.sync(buildCrmExport(results({ cfoTitle: 'CFO & Treasurer' }), { crm: 'hubspot' }));
+    assert.deepStrictEqual(third.contacts, { created: 0, updated: 1, unchanged: 1, failed: 0, toSend: 1 });
+    assert.strictEqual(third.accounts.unchanged, 1);
+    assert.strictEqual(Object.keys(server.crm.objects.contacts).length, 2);
+});
+
+test('HubSpot association errors in a 207 fail only the pairs they name', async t => {
+    const { client } = await startHubSpot(t);
+    await client.sync(buildCrmExport(results(), { crm: 'hubspot' }));
+
+    const [accountCrmId] = Object.values(client.state.accounts).map(account => account.crmId);
+    const [contactCrmId] = Object.values(client.state.contacts).map(contact => contact.crmId);
+    const linked = await client.adapter.associate([
+        { contactExternalId: 'acme.com:ghost', contactCrmId: '9999', accountCrmId },
+        { contactExternalId: 'acme.com:jane-doe', contactCrmId, accountCrmId }
+    ]);
+
+    assert.match(linked[0].error, /9999/);
+    assert.strictEqual(linked[1].error, null);
+});
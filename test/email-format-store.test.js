@@ -0,0 +1,45 @@
+/**
+ * EmailFormatStore writes - concurrent learns and a second store on the same cache add up
+ * instead of overwriting each other's counts
+ */
+
+process.env.SPEND_LEDGER = 'off';
+process.env.CACHE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DataCache } = require('../modules/DataCache');
+const { EmailFormatStore, EMAIL_SEGMENTS } = require('../modules/EmailFormatStore');
+
+test('learn() merges with the stored record instead of a stale copy', async t => {
+    const cache = new DataCache({ CACHE_BACKEND: 'memory' });
+    t.after(() => cache.close());
+
+    const first = new EmailFormatStore({ emailFormatCache: cache });
+    const second = new EmailFormatStore({ emailFormatCache: cache });
+
+    // Both stores memoize the empty record before either learns
+    assert.deepStrictEqual(await first.getFormats('acme.com'), []);
+    assert.deepStrictEqual(await second.getFormats('acme.com'), []);
+
+    await Promise.all([
+        first.learn({ email: 'jane.doe@acme.com', name: 'Jane Doe', title: 'CFO' }),
+        first.learn({ email: 'bob.smith@acme.com', name: 'Bob Smith', title: 'CRO' }),
+        second.learn({ email: 'ann.lee@acme.com', name: 'Ann Lee', title: 'CEO' }),
+        second.learn({ email: 'tom.ray@acme.com', name: 'Tom Ray', title: 'Chief Legal Officer', verified: false })
+    ]);
+
+    const stored = await cache.get('emailformat', 'acme.com');
+    const executive = stored.segments[EMAIL_SEGMENTS.EXECUTIVE];
+    assert.strictEqual(executive.verified, 3);
+    assert.strictEqual(executive.failed, 1);
+    assert.deepStrictEqual(
+        { verified: executive.formats['first.last'].verified, failed: executive.formats['first.last'].failed },
+        { verified: 3, failed: 1 }
+    );
+
+    // A fresh store sees everything both wrote
+    const [format] = await new EmailFormatStore({ emailFormatCache: cache }).getFormats('acme.com');
+    assert.strictEqual(format.format, 'first.last');
+    assert.strictEqual(format.verified, 3);
+});
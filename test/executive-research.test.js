@@ -0,0 +1,44 @@
+/**
+ * ExecutiveResearch as CorePipeline builds it - one persona lookup with the leadership page stubbed
+ * and no vendor keys, so the taxonomy waterfall, identity resolution and persona slots run offline
+ */
+
+process.env.SPEND_LEDGER = 'off';
+process.env.CACHE_BACKEND = 'memory';
+['PERPLEXITY_API_KEY', 'CORESIGNAL_API_KEY', 'OPENAI_API_KEY'].forEach(key => delete process.env[key]);
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CorePipeline } = require('../pipelines/core-pipeline');
+
+test('CorePipeline researcher fills CFO, CRO and a target persona from one leadership page', async () => {
+    const pipeline = new CorePipeline({ TARGET_PERSONAS: 'ciso' });
+    assert.ok(pipeline.researcher, 'ExecutiveResearch failed to construct');
+
+    pipeline.researcher.leadershipScraper.scrapeCompanyLeadership = async () => ({
+        confidence: 80,
+        executives: {
+            cfo: null,
+            cro: null,
+            allExecutives: [
+                { name: 'Jane Doe', title: 'Chief Financial Officer' },
+                { name: 'Bob Smith', title: 'Chief Information Security Officer' },
+                { name: 'Ann Lee', title: 'Chief Revenue Officer' },
+                { name: 'Jane Doe', title: 'CFO' }
+            ]
+        }
+    });
+
+    const research = await pipeline.researcher.researchExecutives({
+        companyName: 'Acme',
+        website: 'acme.com',
+        personas: pipeline.personas.map(persona => persona.id)
+    });
+
+    assert.deepStrictEqual(research.targetPersonas, ['cfo', 'cro', 'ciso']);
+    assert.strictEqual(research.cfo?.name, 'Jane Doe');
+    assert.strictEqual(research.cro?.name, 'Ann Lee');
+    assert.strictEqual(research.ciso?.name, 'Bob Smith');
+    assert.ok(research.researchMethods.includes('waterfall_detection'));
+    assert.strictEqual(research.people.filter(person => person.name === 'Jane Doe').length, 1);
+});
@@ -0,0 +1,158 @@
+/**
+ * Target personas - PersonaDetection's waterfall (fallback roles, maxTier, ranking), persona
+ * resolution and TARGET_PERSONAS_FILE, and how ExecutiveResearch and CorePipeline carry the
+ * extra personas; the research layers are stand-ins, no provider calls
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'personas-'));
+process.env.SPEND_LEDGER = 'off';
+process.env.CACHE_BACKEND = 'memory';
+delete process.env.TARGET_PERSONAS;
+delete process.env.TARGET_PERSONAS_FILE;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PersonaDetection, resolvePersonas } = require('../modules/PersonaDetection');
+const { ExecutiveResearch } = require('../modules/ExecutiveResearch');
+const { CorePipeline } = require('../pipelines/core-pipeline');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const [, , ciso, cmo] = resolvePersonas(['ciso', 'cmo']);
+const detection = new PersonaDetection();
+
+const cto = { name: 'Ada Park', title: 'Chief Technology Officer', confidence: 0.9 };
+const vpEngineering = { name: 'Ben Ortiz', title: 'VP Engineering', confidence: 0.95 };
+
+test('resolvePersonas puts cfo and cro first and rejects unknown ids', () => {
+    assert.deepStrictEqual(resolvePersonas('cmo, ciso,cfo').map(persona => persona.id), ['cfo', 'cro', 'cmo', 'ciso']);
+    assert.deepStrictEqual(resolvePersonas().map(persona => persona.id), ['cfo', 'cro']);
+    assert.throws(() => resolvePersonas(['ciso', 'cto']), /Unknown persona "cto" \(expected cfo, cro, cio, ciso, cmo, chro\)/);
+});
+
+test('a CISO search falls back to a C-level technology leader', () => {
+    const found = detection.identify([vpEngineering, cto], ciso);
+
+    assert.strictEqual(found.name, 'Ada Park');
+    assert.strictEqual(found.persona, 'ciso');
+    assert.strictEqual(found.roleType, 'CISO');
+    assert.strictEqual(found.confidence, 60);
+    assert.match(found.waterfallReason, /^No dedicated security leader - the CIO \/ CTO owns security - /);
+    // The fallback stops at tier 1 - a VP of Engineering is not the security owner
+    assert.deepStrictEqual(found.alternatives, []);
+});
+
+test('a dedicated security leader beats the technology fallback at any confidence', () => {
+    const securityHead = { name: 'Sam Lee', title: 'Head of Security', confidence: 0.5 };
+    const ranked = detection.rankCandidates([cto, securityHead], ciso);
+
+    assert.deepStrictEqual(ranked.map(candidate => [candidate.executive.name, candidate.step]), [['Sam Lee', 0], ['Ada Park', 1]]);
+    assert.strictEqual(ranked[0].fallback, null);
+    assert.strictEqual(detection.identify([cto, securityHead], ciso).alternatives[0].fallback, true);
+});
+
+test('candidates rank by tier, then source confidence, and stop at maxTier', () => {
+    const ranked = detection.rankCandidates([
+        { name: 'Cara Lin', title: 'Marketing Coordinator' },
+        { name: 'Dev Rao', title: 'Director of Marketing', confidence: 80 },
+        { name: 'Eli Moss', title: 'Marketing Director', confidence: 0.9 },
+        { name: 'Eve Holt', title: 'VP Marketing', confidence: 0.7 },
+        { name: 'No Title' }
+    ], cmo);
+
+    assert.deepStrictEqual(ranked.map(candidate => [candidate.executive.name, candidate.match.tier]),
+        [['Eve Holt', 2], ['Eli Moss', 3], ['Dev Rao', 3]]);
+});
+
+test('TARGET_PERSONAS_FILE adds personas, and a file that does not load is an error', t => {
+    const modulePath = require.resolve('../modules/PersonaDetection');
+    // A fresh module instance reading file - personas are loaded once per process
+    const withFile = (file, fn) => {
+        process.env.TARGET_PERSONAS_FILE = file;
+        delete require.cache[modulePath];
+        try {
+            return fn(require(modulePath));
+        } finally {
+            delete process.env.TARGET_PERSONAS_FILE;
+            delete require.cache[modulePath];
+        }
+    };
+    t.after(() => require(modulePath));
+
+    const extra = path.join(dir, 'personas.json');
+    fs.writeFileSync(extra, JSON.stringify({ cdo: { label: 'CDO', role: 'technology', maxTier: 2, searchTitles: ['Chief Data Officer'] } }));
+    assert.deepStrictEqual(withFile(extra, personas => personas.resolvePersonas('cdo').map(persona => persona.id)), ['cfo', 'cro', 'cdo']);
+
+    const broken = path.join(dir, 'broken.json');
+    fs.writeFileSync(broken, '{ "cdo": ');
+    assert.throws(() => withFile(broken, personas => personas.getTargetPersonas()), /Target personas file .*broken\.json not loaded/);
+    assert.throws(() => withFile(path.join(dir, 'missing.json'), personas => personas.resolvePersonas('cfo')), /missing\.json not loaded: ENOENT/);
+});
+
+function createResearch(t, { leadership, coreSignal = [] }) {
+    t.mock.method(console, 'log', () => {});
+    const research = new ExecutiveResearch({ PERPLEXITY_API_KEY: null, CORESIGNAL_API_KEY: null });
+    research.leadershipScraper = {
+        scrapeCompanyLeadership: async () => ({
+            executives: { cfo: leadership.cfo || null, cro: leadership.cro || null, allExecutives: leadership.all },
+            confidence: 90
+        })
+    };
+    research.searchCoreSignalExecutives = async () => ({ candidates: coreSignal });
+    return research;
+}
+
+test('ExecutiveResearch fills each extra persona from the waterfall over every source', async t => {
+    const cfo = { name: 'Jane Doe', title: 'Chief Financial Officer', confidence: 0.95 };
+    const cro = { name: 'Bob Smith', title: 'Chief Revenue Officer', confidence: 0.9 };
+    const marketing = { name: 'Eve Holt', title: 'VP Marketing', confidence: 0.8, source: 'coresignal_search' };
+    const research = createResearch(t, { leadership: { cfo, cro, all: [cfo, cro, cto] }, coreSignal: [marketing] });
+
+    const result = await research.researchExecutives({ companyName: 'Acme', website: 'https://acme.com', personas: ['ciso', 'cmo', 'chro'] });
+
+    assert.strictEqual(result.error, undefined);
+    assert.deepStrictEqual(result.targetPersonas, ['cfo', 'cro', 'ciso', 'cmo', 'chro']);
+    assert.deepStrictEqual([result.cfo.name, result.cro.name], ['Jane Doe', 'Bob Smith']);
+    assert.strictEqual(result.ciso.name, 'Ada Park');
+    assert.strictEqual(result.ciso.source, 'waterfall_detection');
+    assert.strictEqual(result.cmo.name, 'Eve Holt');
+    assert.strictEqual(result.chro, null);
+    assert.ok(result.researchMethods.includes('waterfall_detection'));
+});
+
+test('ExecutiveResearch keeps one person in one persona slot', async t => {
+    const research = createResearch(t, { leadership: { all: [] } });
+    const cisoAndCio = { name: 'Ada Park', title: 'Chief Information Security Officer', confidence: 0.9 };
+
+    const result = await research.applyWaterfallDetection([cisoAndCio], resolvePersonas(['cio', 'ciso']));
+
+    // The CIO waterfall takes her as a technology leader too - the title names the CISO role
+    assert.strictEqual(result.ciso.name, 'Ada Park');
+    assert.strictEqual(result.cio, null);
+});
+
+test('CorePipeline researches the requested personas and writes their columns', t => {
+    t.mock.method(console, 'log', () => {});
+    const pipeline = new CorePipeline({ TARGET_PERSONAS: 'ciso' });
+    assert.deepStrictEqual(pipeline.personas.map(persona => persona.id), ['cfo', 'cro', 'ciso']);
+    assert.throws(() => new CorePipeline({ TARGET_PERSONAS: 'ciso,cto' }), /Unknown persona "cto"/);
+
+    const found = detection.identify([cto], ciso);
+    const executive = pipeline.buildPersonaExecutive(found, ciso);
+    // A fallback holder's role column is the persona - the CTO title is not a security role
+    assert.deepStrictEqual([executive.name, executive.confidence, executive.validated, executive.role], ['Ada Park', 60, false, 'CISO']);
+    assert.strictEqual(executive.waterfallReason, found.waterfallReason);
+
+    // 0-1 vendor confidences are read as fractions
+    assert.strictEqual(pipeline.buildPersonaExecutive({ ...cto, confidence: 0.85 }, ciso).confidence, 85);
+
+    assert.deepStrictEqual(pipeline.extraPersonaExecutives({ cfo: {}, ciso: found, cmo: {} }), { ciso: found });
+    const columns = pipeline.personaCsvColumns(executive, ciso, { defaultCountry: 'US' });
+    assert.strictEqual(columns.cisoName, 'Ada Park');
+    assert.strictEqual(columns.cisoSelectionReason, found.waterfallReason);
+    assert.deepStrictEqual(pipeline.personaCsvHeaders(ciso).slice(0, 2), [{ id: 'cisoName', title: 'CISO Name' }, { id: 'cisoTitle', title: 'CISO Title' }]);
+});
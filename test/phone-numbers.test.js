@@ -0,0 +1,39 @@
+/**
+ * PhoneNumbers on libphonenumber-js - regions outside the old hand-written table, and the
+ * consensus engine reading national numbers in the company's country
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePhone, regionFromDomain, NUMBER_TYPES } = require('../modules/PhoneNumbers');
+const { ConsensusEngine } = require('../modules/ConsensusEngine');
+
+test('numbers parse in any region libphonenumber knows', () => {
+    const czech = parsePhone('212 345 678', { defaultCountry: regionFromDomain('https://acme.cz') });
+    assert.strictEqual(czech.e164, '+420212345678');
+    assert.strictEqual(czech.country, 'CZ');
+
+    const german = parsePhone('0049 151 23456789 x12');
+    assert.strictEqual(german.e164, '+4915123456789');
+    assert.strictEqual(german.numberType, NUMBER_TYPES.MOBILE);
+    assert.strictEqual(german.extension, '12');
+
+    assert.strictEqual(regionFromDomain('acme.co.uk'), 'GB');
+    assert.strictEqual(regionFromDomain('acme.io'), null);
+    assert.strictEqual(regionFromDomain('acme.com'), null);
+});
+
+test('phone consensus groups national and international forms in the company region', () => {
+    const consensus = new ConsensusEngine();
+    const candidates = [
+        { value: '020 7946 0018', source: 'lusha' },
+        { value: '+44 20 7946 0018', source: 'public_search' }
+    ];
+
+    const british = consensus.decide('phone', candidates, { region: regionFromDomain('acme.co.uk') });
+    assert.strictEqual(british.ranked.length, 1);
+    assert.strictEqual(british.ranked[0].key, '+442079460018');
+
+    // Read as a US number the national form is a different (invalid) value
+    assert.strictEqual(consensus.decide('phone', candidates).ranked.length, 2);
+});
@@ -0,0 +1,124 @@
+/**
+ * PipelineEngine stage scheduling - dependency order and concurrency, cycle detection, stage
+ * timeouts and optional stages, on a stand-in stage library; plus the advanced tiers' real order
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PipelineEngine } = require('../pipelines/pipeline-engine');
+const { PIPELINE_TIERS } = require('../config/pipeline-tiers');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function stubPipeline() {
+    return { config: {}, results: [], stats: { processed: 0, successful: 0, errors: 0 } };
+}
+
+function createEngine(stages, library, { maxParallelStages = 3 } = {}) {
+    return new PipelineEngine(
+        { label: 'TEST TIER', resultTemplate: 'blank', maxParallelStages, stages },
+        stubPipeline(),
+        {
+            stages: library,
+            modules: {},
+            resultTemplates: { blank: (company, index) => ({ companyName: company.companyName, index }) }
+        }
+    );
+}
+
+// A stage that logs its start and end and resolves with its name after ms
+function timedStage(events, name, ms, extra = {}) {
+    return {
+        ...extra,
+        run: async () => {
+            events.push(`start ${name}`);
+            await delay(ms);
+            events.push(`end ${name}`);
+            return name;
+        }
+    };
+}
+
+test('stages run after their dependencies, independent stages side by side', async t => {
+    t.mock.method(console, 'log', () => {});
+    const events = [];
+    const engine = createEngine(['report', 'fetch', 'enrich', 'classify'], {
+        fetch: timedStage(events, 'fetch', 5),
+        enrich: timedStage(events, 'enrich', 20, { dependsOn: ['fetch'] }),
+        classify: timedStage(events, 'classify', 20, { dependsOn: ['fetch'] }),
+        report: timedStage(events, 'report', 1, { dependsOn: ['enrich', 'classify'] })
+    });
+
+    assert.deepStrictEqual(engine.stages.map(stage => stage.name), ['fetch', 'enrich', 'classify', 'report']);
+
+    const result = await engine.processCompany({ companyName: 'Acme' }, 1, { record: false });
+    assert.strictEqual(result.error, undefined);
+    assert.deepStrictEqual(events, [
+        'start fetch', 'end fetch',
+        'start enrich', 'start classify', 'end enrich', 'end classify',
+        'start report', 'end report'
+    ]);
+});
+
+test('a dependency cycle is rejected when the engine is built', () => {
+    assert.throws(
+        () => createEngine(['a', 'b', 'c'], {
+            a: { dependsOn: ['c'], run: () => null },
+            b: { dependsOn: ['a'], run: () => null },
+            c: { dependsOn: ['b'], run: () => null }
+        }),
+        /TEST TIER: circular stage dependencies between a, b, c/
+    );
+    assert.throws(
+        () => createEngine(['a'], { a: { dependsOn: ['missing'], run: () => null } }),
+        /stage "a" depends on "missing" which is not in this tier/
+    );
+});
+
+test('a stage past its timeout fails the company and skips its dependents', async t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const events = [];
+    const engine = createEngine(['slow', 'after'], {
+        slow: timedStage(events, 'slow', 200, { timeout: 20 }),
+        after: timedStage(events, 'after', 1, { dependsOn: ['slow'] })
+    });
+
+    const result = await engine.processCompany({ companyName: 'Acme' }, 1, { record: false });
+    assert.strictEqual(result.error, 'Stage slow timed out after 20ms');
+    assert.deepStrictEqual(events, ['start slow']);
+    assert.deepStrictEqual(engine.pipeline.stats, { processed: 1, successful: 0, errors: 1 });
+    await delay(200);
+});
+
+test('an optional stage failing is recorded and the company carries on', async t => {
+    t.mock.method(console, 'log', () => {});
+    const events = [];
+    const engine = createEngine(['lookup', 'extra', 'needsExtra', 'finish'], {
+        lookup: timedStage(events, 'lookup', 1),
+        extra: { optional: true, dependsOn: ['lookup'], run: () => { throw new Error('vendor down'); } },
+        needsExtra: timedStage(events, 'needsExtra', 1, { dependsOn: ['extra'] }),
+        finish: timedStage(events, 'finish', 1, { dependsOn: ['lookup'], into: 'finished' })
+    });
+
+    const result = await engine.processCompany({ companyName: 'Acme' }, 1);
+    assert.strictEqual(result.error, undefined);
+    assert.deepStrictEqual(result.stageErrors, [{ stage: 'extra', error: 'vendor down' }]);
+    assert.strictEqual(result.finished, 'finish');
+    assert.deepStrictEqual(events, ['start lookup', 'end lookup', 'start finish', 'end finish']);
+    assert.deepStrictEqual(engine.pipeline.stats, { processed: 1, successful: 1, errors: 0 });
+    assert.deepStrictEqual(engine.pipeline.results, [result]);
+});
+
+test('advanced tiers validate contacts after contact intelligence and classify after research', () => {
+    for (const tier of [PIPELINE_TIERS.advanced, PIPELINE_TIERS.powerhouse]) {
+        const engine = new PipelineEngine(tier, stubPipeline());
+        const order = engine.stages.map(stage => stage.name);
+        const stage = name => engine.stages.find(candidate => candidate.name === name);
+
+        assert.ok(stage('contactValidation').dependsOn.includes('contactIntelligence'));
+        assert.ok(order.indexOf('contactValidation') > order.indexOf('contactIntelligence'));
+        assert.ok(stage('industryClassification').dependsOn.includes('executiveResearch'));
+        assert.ok(order.indexOf('industryClassification') > order.indexOf('executiveResearch'));
+    }
+});
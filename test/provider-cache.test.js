@@ -0,0 +1,148 @@
+/**
+ * Provider lookup caching - adapters given a providerCache answer repeat lookups from DataCache
+ * under the TTL policy row of their provider and data type, and invalidate() finds the entries;
+ * cached answers keep the time the vendor gave them, through to field provenance
+ */
+
+process.env.SPEND_LEDGER = 'off';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DataCache } = require('../modules/DataCache');
+const { createProviders } = require('../modules/providers/ProviderRegistry');
+const { RateGovernor } = require('../modules/providers/RateGovernor');
+const { fetchedAtOf } = require('../modules/providers/ProviderAdapter');
+const { ExecutiveContactIntelligence } = require('../modules/ExecutiveContactIntelligence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function setUp(t, { cached = true, answeredAt = null } = {}) {
+    t.mock.method(console, 'log', () => {});
+    const requests = [];
+    const cache = new DataCache({ CACHE_BACKEND: 'memory' });
+    const providers = createProviders({
+        LUSHA_API_KEY: 'test',
+        ZEROBOUNCE_API_KEY: 'test',
+        PROVIDER_MAX_RETRIES: 0,
+        // Its own governor - the shared one would see the clock jump back after a mocked Date.now
+        rateGovernor: new RateGovernor(),
+        providerCache: cached ? cache : undefined,
+        fetch: async url => {
+            requests.push(new URL(url).pathname);
+            const body = url.includes('zerobounce')
+                ? { address: 'jane.doe@acme.com', status: 'valid' }
+                : { contact: { data: { fullName: 'Jane Doe', phoneNumbers: [{ number: '+14155550100' }] } } };
+            const headers = { get: name => (name === 'date' ? answeredAt : null) };
+            return { ok: true, status: 200, text: async () => JSON.stringify(body), headers };
+        }
+    });
+    const stored = (service, identifier) => cache.backend.get(cache.generateCacheKey(service, identifier));
+    return { cache, providers, requests, stored };
+}
+
+const janeQuery = { firstName: 'Jane', lastName: 'Doe', companyDomain: 'acme.com' };
+
+test('a repeat lookup is served from the cache until its policy TTL runs out', async t => {
+    const { providers, requests, stored } = setUp(t);
+
+    await providers.zerobounce.validate('jane.doe@acme.com');
+    const again = await providers.zerobounce.validate('jane.doe@acme.com');
+    assert.strictEqual(again.status, 'valid');
+    assert.deepStrictEqual(requests, ['/v2/validate']);
+
+    // zerobounce / email: the 14-day verification row
+    const entry = await stored('zerobounce', 'email:jane.doe@acme.com');
+    assert.deepStrictEqual([entry.service, entry.dataType], ['zerobounce', 'email']);
+    assert.strictEqual(entry.expiresAt - entry.timestamp, 14 * DAY_MS);
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 15 * DAY_MS);
+    await providers.zerobounce.validate('jane.doe@acme.com');
+    assert.strictEqual(requests.length, 2);
+});
+
+test('the caller\'s data type picks the policy row', async t => {
+    const { providers, requests, stored } = setUp(t);
+
+    await providers.lusha.findPerson(janeQuery, { dataType: 'cfo' });
+    await providers.lusha.findPerson(janeQuery, { dataType: 'phone' });
+    await providers.lusha.findPerson({ lastName: 'Doe', companyDomain: 'acme.com', firstName: 'Jane' }, { dataType: 'cfo' });
+    assert.strictEqual(requests.length, 2);
+
+    const identifier = 'companyDomain=acme.com&firstName=Jane&lastName=Doe';
+    const cfo = await stored('lusha', `cfo:${identifier}`);
+    const phone = await stored('lusha', `phone:${identifier}`);
+    assert.strictEqual(cfo.expiresAt - cfo.timestamp, 21 * DAY_MS);
+    assert.strictEqual(phone.expiresAt - phone.timestamp, 60 * DAY_MS);
+    assert.deepStrictEqual([cfo.domain, cfo.person], ['acme.com', 'Jane Doe']);
+});
+
+test('cached lookups are purged by company and category', async t => {
+    const { cache, providers, requests } = setUp(t);
+    await providers.lusha.findPerson(janeQuery, { dataType: 'cfo' });
+    await providers.zerobounce.validate('jane.doe@acme.com');
+
+    // The departed CFO's executive data goes; the email verdict (verification) stays
+    assert.strictEqual(await cache.invalidate({ domain: 'acme.com', category: 'executive' }), 1);
+    await providers.lusha.findPerson(janeQuery, { dataType: 'cfo' });
+    await providers.zerobounce.validate('jane.doe@acme.com');
+    assert.deepStrictEqual(requests, ['/v2/person', '/v2/validate', '/v2/person']);
+});
+
+test('without a providerCache every lookup goes to the vendor', async t => {
+    const { providers, requests } = setUp(t, { cached: false });
+    await providers.zerobounce.validate('jane.doe@acme.com');
+    await providers.zerobounce.validate('jane.doe@acme.com');
+    assert.strictEqual(requests.length, 2);
+});
+
+test('a cached answer reports when the vendor gave it, not when it was read', async t => {
+    const answeredAt = 'Mon, 05 Oct 2026 09:30:00 GMT';
+    const { providers, requests, stored } = setUp(t, { answeredAt });
+
+    const first = await providers.zerobounce.validate('jane.doe@acme.com');
+    assert.strictEqual(first.fetchedAt, '2026-10-05T09:30:00.000Z');
+    assert.strictEqual((await stored('zerobounce', 'email:jane.doe@acme.com')).fetchedAt, '2026-10-05T09:30:00.000Z');
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 3 * DAY_MS);
+    const again = await providers.zerobounce.validate('jane.doe@acme.com');
+    const person = await providers.lusha.findPerson(janeQuery, { dataType: 'cfo' });
+    const personAgain = await providers.lusha.findPerson(janeQuery, { dataType: 'cfo' });
+
+    assert.deepStrictEqual(requests, ['/v2/validate', '/v2/person']);
+    assert.strictEqual(again.fetchedAt, '2026-10-05T09:30:00.000Z');
+    assert.strictEqual(fetchedAtOf(person), '2026-10-05T09:30:00.000Z');
+    assert.strictEqual(fetchedAtOf(personAgain), '2026-10-05T09:30:00.000Z');
+});
+
+test('without a Date header a cache hit reports the time the entry was stored', async t => {
+    const { providers } = setUp(t);
+    const storedAt = Date.now();
+    t.mock.method(Date, 'now', () => storedAt);
+    await providers.zerobounce.validate('jane.doe@acme.com');
+
+    t.mock.method(Date, 'now', () => storedAt + DAY_MS);
+    const hit = await providers.zerobounce.validate('jane.doe@acme.com');
+    assert.strictEqual(hit.fetchedAt, new Date(storedAt).toISOString());
+});
+
+test('contact provenance takes its times from the vendor answers', t => {
+    t.mock.method(console, 'log', () => {});
+    const intelligence = new ExecutiveContactIntelligence({ emailFormats: {} });
+    const coreSignalData = { source: 'CoreSignal Employee API', fetchedAt: '2026-09-01T08:00:00.000Z' };
+    const lushaData = { phone: '+14155550100', fetchedAt: '2026-10-05T09:30:00.000Z' };
+    const emailValidation = { email: 'jane.doe@acme.com', provider: 'coresignal+lusha', source: 'CoreSignal + Lusha (cross-validated)', confidence: 98 };
+    const title = { value: 'CFO', providers: ['coresignal'], agreement: false, confidence: 80 };
+
+    const provenance = intelligence.buildContactProvenance(coreSignalData, lushaData, emailValidation, { title, linkedIn: {} });
+
+    // Fetched with the first answer, verified once the second agreed
+    assert.deepStrictEqual([provenance.email.kind, provenance.email.fetchedAt, provenance.email.verifiedAt],
+        ['verified', '2026-09-01T08:00:00.000Z', '2026-10-05T09:30:00.000Z']);
+    assert.strictEqual(provenance.phone.fetchedAt, '2026-10-05T09:30:00.000Z');
+    assert.deepStrictEqual([provenance.title.fetchedAt, provenance.title.verifiedAt], ['2026-09-01T08:00:00.000Z', null]);
+    // A generated URL is made now
+    assert.strictEqual(provenance.linkedIn.kind, 'generated');
+    assert.ok(Date.now() - Date.parse(provenance.linkedIn.fetchedAt) < 60 * 1000);
+});
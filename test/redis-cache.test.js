@@ -0,0 +1,57 @@
+/**
+ * Redis cache backend against the in-process RedisStandIn - round trip through DataCache,
+ * and a server that stops answering rejects pending commands instead of hanging them
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DataCache } = require('../modules/DataCache');
+const { RedisStandIn } = require('../modules/cache/RedisStandIn');
+const { RedisCacheBackend } = require('../modules/cache/RedisCacheBackend');
+
+test('DataCache stores, reads and invalidates entries over Redis', async t => {
+    const standIn = new RedisStandIn();
+    const url = await standIn.start(0);
+    const cache = new DataCache({ CACHE_BACKEND: 'redis', REDIS_URL: url });
+    t.after(async () => {
+        await cache.close();
+        await standIn.stop();
+    });
+
+    await cache.set('company', 'acme.com', { name: 'Acme' });
+    await cache.setMany('company', [{ identifier: 'globex.com', data: { name: 'Globex' } }]);
+
+    assert.deepStrictEqual(await cache.get('company', 'acme.com'), { name: 'Acme' });
+    assert.deepStrictEqual(await cache.getMany('company', ['acme.com', 'globex.com', 'initech.com']), {
+        'acme.com': { name: 'Acme' },
+        'globex.com': { name: 'Globex' },
+        'initech.com': null
+    });
+
+    await cache.delete('company', 'acme.com');
+    assert.strictEqual(await cache.get('company', 'acme.com'), null);
+});
+
+test('a command without a reply times out, fails what is in flight and reconnects', async t => {
+    const standIn = new RedisStandIn();
+    const url = await standIn.start(0);
+    const backend = new RedisCacheBackend({ REDIS_URL: url, REDIS_TIMEOUT_MS: 200 });
+    t.after(async () => {
+        await backend.close();
+        await standIn.stop();
+    });
+
+    await backend.set('key', { value: 1 });
+
+    // The server keeps the connection open but stops reading it
+    standIn.sockets.forEach(socket => socket.pause());
+    const results = await Promise.allSettled([backend.get('key'), backend.get('other')]);
+    results.forEach(result => {
+        assert.strictEqual(result.status, 'rejected');
+        assert.match(result.reason.message, /Redis command GET timed out after 200ms/);
+    });
+    assert.strictEqual(backend.pending.length, 0);
+
+    // The next command opens a fresh connection
+    assert.deepStrictEqual(await backend.get('key'), { value: 1 });
+});
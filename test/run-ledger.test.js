@@ -0,0 +1,117 @@
+/**
+ * Run ledger through PipelineEngine.processCompanies - resuming after a crash, repeated and
+ * keyless rows, retry exhaustion, and a run id that follows the input file's contents
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-ledger-'));
+process.env.SPEND_LEDGER = 'off';
+process.env.CACHE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PipelineEngine } = require('../pipelines/pipeline-engine');
+const { RunLedger, RUN_STATUS } = require('../modules/RunLedger');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const tier = { label: 'LEDGER TEST', stages: [], resultTemplate: 'blank', maxParallelCompanies: 1, estimatedCostPerCompany: 0 };
+const companies = ['acme.com', 'globex.com', 'initech.com'].map(website => ({ website, companyName: website }));
+
+function createEngine() {
+    const pipeline = { config: {}, results: [], stats: { processed: 0, successful: 0, errors: 0 } };
+    return new PipelineEngine(tier, pipeline, {
+        stages: {},
+        modules: {},
+        resultTemplates: { blank: (company, index) => ({ companyName: company.companyName, index }) }
+    });
+}
+
+// One run of the engine over rows with a fresh ledger instance, as a restarted process would
+async function run(runId, rows, processCompany) {
+    const engine = createEngine();
+    const ledger = new RunLedger(runId, { LEDGER_DIR: dir }).open();
+    const processed = [];
+    await engine.processCompanies(rows, {
+        ledger,
+        processCompany: async (company, index) => {
+            processed.push(company.website);
+            const result = await processCompany(company, index);
+            engine.pipeline.results.push(result);
+            return result;
+        }
+    });
+    return { engine, ledger, processed };
+}
+
+const succeed = company => ({ companyName: company.companyName });
+
+test('a resumed run restores done companies and reprocesses an interrupted one', async t => {
+    t.mock.method(console, 'log', () => {});
+    const crashed = new RunLedger('resume', { LEDGER_DIR: dir }).open();
+    crashed.register(companies);
+    crashed.markRunning(companies[0]);
+    crashed.markDone(companies[0], { companyName: 'acme.com', restored: true });
+    crashed.markRunning(companies[1]);
+
+    const { engine, ledger, processed } = await run('resume', companies, succeed);
+
+    assert.deepStrictEqual(processed, ['globex.com', 'initech.com']);
+    assert.strictEqual(engine.pipeline.results[0].restored, true);
+    assert.strictEqual(engine.pipeline.stats.resumed, 1);
+    assert.deepStrictEqual(ledger.getEntries().map(entry => [entry.status, entry.attempts]),
+        [[RUN_STATUS.DONE, 1], [RUN_STATUS.DONE, 2], [RUN_STATUS.DONE, 1]]);
+
+    const again = await run('resume', companies, succeed);
+    assert.deepStrictEqual(again.processed, []);
+    assert.strictEqual(again.engine.pipeline.results.length, 3);
+});
+
+test('a repeated company is processed once and a keyless row becomes a failed row', async t => {
+    t.mock.method(console, 'log', () => {});
+    const rows = [companies[0], { website: 'https://www.ACME.com/about', companyName: 'Acme again' }, { notes: 'blank row' }, companies[1]];
+
+    const { engine, ledger, processed } = await run('duplicates', rows, succeed);
+
+    assert.deepStrictEqual(processed, ['acme.com', 'globex.com']);
+    assert.strictEqual(ledger.getEntries().length, 2);
+    const failed = engine.pipeline.results.filter(result => result.processingStatus === 'FAILED');
+    assert.deepStrictEqual(failed.map(result => [result.index, result.error]), [[3, 'Row has no website or company name']]);
+    assert.strictEqual(engine.pipeline.stats.errors, 1);
+});
+
+test('a company out of attempts is not retried and comes out as a failed row', async t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const fail = company => {
+        if (company.website === 'globex.com') throw new Error('vendor down');
+        return succeed(company);
+    };
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        const { processed, ledger } = await run('exhausted', companies, fail);
+        assert.ok(processed.includes('globex.com'));
+        assert.strictEqual(ledger.getEntry(companies[1]).attempts, attempt);
+    }
+
+    const { engine, processed } = await run('exhausted', companies, fail);
+    assert.deepStrictEqual(processed, []);
+    const failed = engine.pipeline.results.filter(result => result.processingStatus === 'FAILED');
+    assert.deepStrictEqual(failed.map(result => [result.companyName, result.error]),
+        [['globex.com', 'vendor down (gave up after 3 attempts)']]);
+    assert.deepStrictEqual(engine.pipeline.stats, { processed: 3, successful: 2, errors: 1, resumed: 2 });
+});
+
+test('the run id changes when the input file is edited', () => {
+    const input = path.join(dir, 'Top Companies.csv');
+    fs.writeFileSync(input, 'website\nacme.com\n');
+    const first = RunLedger.runIdFor('core', input);
+    assert.match(first, /^core-top-companies-[0-9a-f]{8}$/);
+    assert.strictEqual(RunLedger.runIdFor('core', input), first);
+
+    fs.appendFileSync(input, 'globex.com\n');
+    assert.notStrictEqual(RunLedger.runIdFor('core', input), first);
+});
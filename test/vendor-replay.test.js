@@ -0,0 +1,61 @@
+/**
+ * Vendor replay - salesforce.com through CorePipeline.processCompany from the committed cassette
+ * (inputs/cassettes/salesforce.com.json) with every vendor key set and no network
+ */
+
+process.env.SPEND_LEDGER = 'off';
+process.env.CACHE_BACKEND = 'memory';
+// Any values - keys are redacted to {{NAME}} before requests are matched
+['PERPLEXITY_API_KEY', 'CORESIGNAL_API_KEY', 'OPENAI_API_KEY', 'LUSHA_API_KEY', 'ZEROBOUNCE_API_KEY', 'PROSPEO_API_KEY', 'MYEMAILVERIFIER_API_KEY']
+    .forEach(key => { process.env[key] = `replay-test-${key.toLowerCase()}`; });
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { installVendorReplay, CassetteMissError } = require('../modules/replay/VendorReplay');
+
+// Before any pipeline module captures node-fetch
+const replay = installVendorReplay({ mode: 'replay', cassette: 'salesforce.com' });
+const { CorePipeline } = require('../pipelines/core-pipeline');
+
+test('salesforce.com replays offline with every request recorded', async t => {
+    t.mock.method(console, 'log', () => {});
+    const result = await new CorePipeline().processCompany({ website: 'salesforce.com' }, 1);
+
+    assert.strictEqual(replay.misses, 0);
+    assert.strictEqual(replay.hits, replay.cassette.interactions.length);
+    assert.strictEqual(result.companyName, 'Salesforce, Inc.');
+    assert.deepStrictEqual(
+        [result.cfo.name, result.cfo.title, result.cfo.email, result.cfo.phone],
+        ['Priya Raman', 'Chief Financial Officer', 'priya.raman@salesforce.com', '+14155550142']
+    );
+    assert.deepStrictEqual(
+        [result.cro.name, result.cro.title, result.cro.email, result.cro.phone],
+        ['Daniel Okafor', 'Chief Revenue Officer', 'daniel.okafor@salesforce.com', '+14155550187']
+    );
+
+    // Replayed vendor values are as old as the recording (the Date header has whole seconds)
+    const recordedAt = new Date(Math.floor(Date.parse(replay.cassette.recordedAt) / 1000) * 1000).toISOString();
+    assert.deepStrictEqual([result.cfo.provenance.phone.fetchedAt, result.cro.provenance.phone.fetchedAt], [recordedAt, recordedAt]);
+});
+
+test('a request whose body was not recorded is a miss, not another response', async () => {
+    const fetch = require('node-fetch');
+    const recorded = replay.cassette.interactions.find(interaction => interaction.request.method === 'POST');
+    const body = JSON.stringify({ ...JSON.parse(recorded.request.body), messages: [{ role: 'user', content: 'Something never asked' }] });
+
+    assert.strictEqual(replay.cassette.match({ method: 'POST', url: recorded.request.url, body }), null);
+    await assert.rejects(
+        fetch(recorded.request.url, { method: 'POST', body }),
+        error => error instanceof CassetteMissError && /No recorded interaction/.test(error.message)
+    );
+});
+
+test('dates and years in a request still match their recording a year later', () => {
+    const dated = replay.cassette.interactions.filter(interaction => /\b20\d{2}\b/.test(interaction.request.body || ''));
+    assert.ok(dated.length > 0);
+
+    dated.forEach(({ request }) => {
+        const nextYear = request.body.replace(/\b(20\d{2})\b/g, year => String(Number(year) + 1));
+        assert.notStrictEqual(replay.cassette.match({ ...request, body: nextYear }), null);
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Executive watchlist - seat diffing, a bounce escalating the pass to every check, and the
+ * follow-up schedule of an interim seat; the checks' modules are stand-ins, no provider calls
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlist-'));
+process.env.SPEND_LEDGER = 'off';
+process.env.CACHE_BACKEND = 'memory';
+process.env.WEBHOOKS_DIR = path.join(dir, 'webhooks');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ExecutiveWatchlist, diffSeat, EVENT_TYPES } = require('../modules/ExecutiveWatchlist');
+const { WatchlistMonitor } = require('../modules/WatchlistMonitor');
+const { resolvePersonas } = require('../modules/PersonaDetection');
+const { DataCache } = require('../modules/DataCache');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const [cfo] = resolvePersonas(['cfo']);
+const account = { id: 'acme.com', company: 'Acme', region: null, baselineAt: '2026-01-01T00:00:00.000Z', vacated: {} };
+const jane = { name: 'Jane Doe', title: 'Chief Financial Officer', email: 'jane.doe@acme.com', interim: false };
+const now = '2026-02-01T00:00:00.000Z';
+const evidence = finding => ({ signal: 'leadership', finding, detail: finding, source: 'https://acme.com/leadership', observedAt: now });
+
+test('a holder still listed in the role keeps the seat when the page names someone else', () => {
+    const { seat, events } = diffSeat({
+        account,
+        persona: cfo,
+        previous: jane,
+        observed: { holder: { name: 'Bob Smith', title: 'CFO' }, present: true, title: 'Chief Financial Officer & Treasurer', evidence: [evidence('holder'), evidence('listed')] },
+        now
+    });
+
+    assert.deepStrictEqual(events, []);
+    assert.strictEqual(seat.name, 'Jane Doe');
+    assert.strictEqual(seat.title, 'Chief Financial Officer & Treasurer');
+});
+
+test('a holder moved to another role hands the seat over with both events', () => {
+    const { seat, events } = diffSeat({
+        account,
+        persona: cfo,
+        previous: jane,
+        observed: { holder: { name: 'Bob Smith', title: 'Chief Financial Officer' }, present: true, title: 'Chief Operating Officer', evidence: [evidence('holder'), evidence('title')] },
+        now
+    });
+
+    assert.deepStrictEqual(events.map(event => event.type), [EVENT_TYPES.TITLE_CHANGE, EVENT_TYPES.NEW_HIRE]);
+    events.forEach(event => assert.ok(event.evidence.length > 0));
+    assert.strictEqual(seat.name, 'Bob Smith');
+});
+
+test('a change no finding backs updates the seat without an event', () => {
+    const { seat, events, vacated } = diffSeat({
+        account,
+        persona: cfo,
+        previous: jane,
+        observed: { departed: true, evidence: [] },
+        now
+    });
+
+    assert.deepStrictEqual(events, []);
+    assert.strictEqual(seat, null);
+    assert.strictEqual(vacated, true);
+});
+
+test('a bounce escalates the pass and an interim successor is followed up early', async () => {
+    const watchlist = new ExecutiveWatchlist({ WATCHLIST_DIR: path.join(dir, 'accounts') });
+    const added = watchlist.watch({ website: 'https://www.acme.com', company: 'Acme', personas: ['cfo'], executives: { cfo: jane } });
+    const firstCheck = new Date(added.nextCheckAt);
+    assert.strictEqual(Math.round((firstCheck - new Date(added.addedAt)) / 86400000), 7);
+
+    const calls = [];
+    const monitor = new WatchlistMonitor({
+        watchlist,
+        cache: new DataCache({ CACHE_BACKEND: 'memory' }),
+        ZEROBOUNCE_API_KEY: 'test',
+        PERPLEXITY_API_KEY: 'test',
+        CORESIGNAL_API_KEY: null
+    });
+    monitor.modules = {
+        contactValidator: {
+            validateEmail: async email => {
+                calls.push('email');
+                return { deliverability: 'invalid', result: 'invalid', source: 'zerobounce', email };
+            }
+        },
+        leadershipScraper: {
+            scrapeCompanyLeadership: async () => {
+                calls.push('leadership');
+                return {
+                    leadershipPages: ['https://acme.com/leadership'],
+                    executives: { allExecutives: [{ name: 'Sam Lee', title: 'Interim Chief Financial Officer' }] }
+                };
+            }
+        },
+        transitionDetector: {
+            analyzeExecutiveTransition: async () => {
+                calls.push('news');
+                return { hasTransitionIndicators: false };
+            }
+        }
+    };
+
+    // A week in only the email check is due - the bounce pulls in leadership and news
+    const passAt = new Date(firstCheck.getTime() + 60000).toISOString();
+    assert.deepStrictEqual(watchlist.due(passAt).map(entry => entry.id), ['acme.com']);
+    const pass = await monitor.verifyAccount(watchlist.get('acme.com'), { now: passAt });
+
+    assert.deepStrictEqual(calls, ['email', 'leadership', 'news']);
+    assert.deepStrictEqual(pass.checks, ['email', 'leadership', 'news']);
+    assert.deepStrictEqual(pass.events.map(event => event.type).sort(),
+        [EVENT_TYPES.DEPARTED, EVENT_TYPES.EMAIL_BOUNCING, EVENT_TYPES.INTERIM_APPOINTED].sort());
+
+    const stored = watchlist.get('acme.com');
+    assert.strictEqual(stored.seats.cfo.name, 'Sam Lee');
+    assert.strictEqual(stored.seats.cfo.interim, true);
+    // Interim seat: back in followUpDays (3) instead of the CFO's 7
+    assert.strictEqual(Math.round((new Date(stored.nextCheckAt) - new Date(passAt)) / 86400000), 3);
+    assert.strictEqual(watchlist.events({ account: 'acme.com' }).length, 3);
+});
@@ -0,0 +1,103 @@
+/**
+ * WebhookDispatcher against a local createWebhookReceiver - signed delivery, retry with backoff,
+ * dead letter after maxAttempts and replay, plus the private-host guard on subscribe
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WebhookDispatcher, createWebhookReceiver, DELIVERY_STATUS } = require('../modules/WebhookDispatcher');
+
+const SECRET = 'whsec_test';
+
+function startReceiver(onEvent) {
+    const server = createWebhookReceiver({ secret: SECRET, onEvent });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test('deliveries are delivered, retried, dead-lettered and replayed', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    let failing = false;
+    const received = [];
+    const server = await startReceiver(event => {
+        if (failing) throw new Error('receiver down');
+        received.push(event);
+    });
+    t.after(() => {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const dispatcher = new WebhookDispatcher({ WEBHOOKS_DIR: dir, maxAttempts: 2, baseDelaySeconds: 60 });
+    const subscription = dispatcher.subscribe({
+        url: `http://127.0.0.1:${server.address().port}/hooks`,
+        events: ['job.completed'],
+        secret: SECRET,
+        allowPrivateHosts: true
+    });
+
+    // Delivered on the first attempt, signature checked by the receiver
+    const first = await dispatcher.emit('job.completed', { jobId: 'job_1' });
+    assert.strictEqual(first.deliveries[0].status, DELIVERY_STATUS.DELIVERED);
+    assert.strictEqual(received[0].data.jobId, 'job_1');
+
+    // A 500 is retried after the backoff, then dead-lettered at maxAttempts
+    failing = true;
+    const second = await dispatcher.emit('job.completed', { jobId: 'job_2' });
+    const [pending] = second.deliveries;
+    assert.strictEqual(pending.status, DELIVERY_STATUS.PENDING);
+    assert.strictEqual(pending.attempts, 1);
+    assert.match(pending.lastError, /HTTP 500/);
+
+    const notYet = await dispatcher.deliverDue();
+    assert.deepStrictEqual(notYet, { delivered: 0, failed: 0, dead: 0 });
+
+    const later = new Date(Date.now() + 61 * 1000).toISOString();
+    const retried = await dispatcher.deliverDue({ now: later });
+    assert.deepStrictEqual(retried, { delivered: 0, failed: 0, dead: 1 });
+    assert.deepStrictEqual(dispatcher.listDeliveries({ status: DELIVERY_STATUS.DEAD }).map(delivery => delivery.id), [pending.id]);
+
+    // Replay sends the dead letter again once the receiver is back
+    failing = false;
+    const [replayed] = await dispatcher.replay({ dead: true });
+    assert.strictEqual(replayed.status, DELIVERY_STATUS.DELIVERED);
+    assert.strictEqual(replayed.attempts, 1);
+    assert.ok(replayed.replayedAt);
+    assert.strictEqual(received[1].data.jobId, 'job_2');
+    assert.strictEqual(dispatcher.listDeliveries({ status: DELIVERY_STATUS.DEAD }).length, 0);
+    assert.strictEqual(dispatcher.getSubscription(subscription.id).allowPrivateHosts, true);
+});
+
+test('emit reports a delivery that died during the same call as dead', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    const server = await startReceiver(() => {
+        throw new Error('always down');
+    });
+    t.after(() => {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // No backoff: the retry in emit's deliverDue is the last attempt
+    const dispatcher = new WebhookDispatcher({ WEBHOOKS_DIR: dir, maxAttempts: 2, baseDelaySeconds: 0 });
+    const subscription = dispatcher.subscribe({ url: `http://127.0.0.1:${server.address().port}/`, secret: SECRET, allowPrivateHosts: true });
+
+    const { deliveries } = await dispatcher.emit('webhook.test', { message: 'test' }, { subscriptionIds: [subscription.id] });
+    assert.strictEqual(deliveries[0].status, DELIVERY_STATUS.DEAD);
+    assert.strictEqual(deliveries[0].attempts, 2);
+});
+
+test('subscribe refuses loopback, private and link-local hosts', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    const dispatcher = new WebhookDispatcher({ WEBHOOKS_DIR: dir });
+
+    try {
+        ['http://localhost:4000/', 'http://127.0.0.1/', 'http://169.254.169.254/latest/meta-data', 'http://10.0.0.5/', 'http://[::1]/', 'http://[::ffff:192.168.1.1]/']
+            .forEach(url => assert.throws(() => dispatcher.subscribe({ url }), /points at a/, url));
+        assert.ok(dispatcher.subscribe({ url: 'https://crm.example.com/hooks' }).id);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * 📼 VENDOR CASSETTE CLI
+ *
+ * Record a company's vendor traffic once, then re-run the core pipeline offline
+ *
+ * Usage:
+ *   node vendor-cassette.js record salesforce.com      # live APIs, writes inputs/cassettes/salesforce.com.json
+ *   node vendor-cassette.js replay salesforce.com [--json]
+ *   node vendor-cassette.js list
+ *   node vendor-cassette.js show salesforce.com
+ *
+ * Any other script runs against a cassette through the preload hook:
+ *   VENDOR_REPLAY_MODE=replay VENDOR_CASSETTE=salesforce.com node -r ./modules/replay/register.js test-local-pipeline.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { VendorCassette, DEFAULT_CASSETTE_DIR } = require('./modules/replay/VendorCassette');
+
+/**
+ * Run one company through CorePipeline.processCompany under record / replay
+ */
+async function runCompany(mode, domain, { json = false } = {}) {
+    process.env.VENDOR_REPLAY_MODE = mode;
+    process.env.VENDOR_CASSETTE = process.env.VENDOR_CASSETTE || domain;
+    require('./modules/replay/register');
+
+    // Required after the hook is installed so modules pick up the wrapped node-fetch
+    const { CorePipeline } = require('./pipelines/core-pipeline');
+    const pipeline = new CorePipeline();
+
+    console.log(`\n🔄 ${mode === 'record' ? 'Recording' : 'Replaying'} ${domain} through the core pipeline...`);
+    const result = await pipeline.processCompany({ website: domain }, 1);
+
+    if (json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        console.log(`   CFO: ${result.cfo?.name || 'Not found'} ${result.cfo?.email ? `<${result.cfo.email}>` : ''}`);
+        console.log(`   CRO: ${result.cro?.name || 'Not found'} ${result.cro?.email ? `<${result.cro.email}>` : ''}`);
+    }
+    return result;
+}
+
+function listCassettes(dir = process.env.VENDOR_CASSETTE_DIR || DEFAULT_CASSETTE_DIR) {
+    if (!fs.existsSync(dir)) {
+        console.log(`📭 No cassettes in ${dir}`);
+        return;
+    }
+
+    fs.readdirSync(dir).filter(file => file.endsWith('.json')).forEach(file => {
+        const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        console.log(`   ${String(data.name).padEnd(32)} ${String(data.interactions.length).padStart(4)} interactions  ${data.recordedAt}`);
+    });
+}
+
+function showCassette(name) {
+    const dir = process.env.VENDOR_CASSETTE_DIR;
+    const cassette = new VendorCassette(name, dir ? { dir } : {}).load();
+
+    console.log(`📼 ${cassette.file}`);
+    console.log(`   Secrets redacted: ${[...cassette.secretNames].join(', ') || 'none'}`);
+    cassette.interactions.forEach(({ request, response }) => {
+        console.log(`   ${String(response.status).padStart(3)} ${request.method.padEnd(5)} ${request.url}`);
+    });
+}
+
+async function main() {
+    const [command = 'help', name, ...flags] = process.argv.slice(2);
+
+    switch (command) {
+        case 'record':
+        case 'replay':
+            if (!name) throw new Error(`${command} needs a company domain`);
+            await runCompany(command, name, { json: flags.includes('--json') });
+            break;
+
+        case 'list':
+            listCassettes();
+            break;
+
+        case 'show':
+            if (!name) throw new Error('show needs a cassette name');
+            showCassette(name);
+            break;
+
+        default:
+            console.log('Usage: node vendor-cassette.js <record|replay> <domain> [--json] | list | show <name>');
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { runCompany };
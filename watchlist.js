@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * 👀 EXECUTIVE WATCHLIST CLI
+ *
+ * Watch processed accounts and re-verify their executives on a schedule (modules/WatchlistMonitor.js)
+ *
+ * Usage:
+ *   node watchlist.js import <contacts.csv> [--personas ciso,cmo]   accounts and known executives from a pipeline's contact CSV
+ *   node watchlist.js add <website> [--company "Acme"] [--personas ciso] [--persona cfo --name "Jane Doe" --title CFO --email e --linkedin url]
+ *   node watchlist.js list
+ *   node watchlist.js show <domain>
+ *   node watchlist.js remove <domain>
+ *   node watchlist.js run [domain ...] [--force] [--limit 50]       verify due accounts (or the named ones)
+ *   node watchlist.js events [domain] [--since 2026-01-01] [--type new_hire] [--persona cfo]
+ *
+ * Schedule `run` from cron - accounts that are not due yet cost nothing:
+ *   0 6 * * * cd /path/to/pipelines && node watchlist.js run >> logs/watchlist.log 2>&1
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const csv = require('csv-parser');
+const { ExecutiveWatchlist, EVENT_TYPES } = require('./modules/ExecutiveWatchlist');
+const { getTargetPersonas } = require('./modules/PersonaDetection');
+
+const EXECUTIVE_FLAGS = {
+    '--name': 'name',
+    '--title': 'title',
+    '--email': 'email',
+    '--linkedin': 'linkedIn'
+};
+
+function parseArgs(argv) {
+    const [command = 'help', ...rest] = argv;
+    const positional = [];
+    const executive = {};
+    const options = { company: null, personas: null, persona: null, force: false, limit: null, since: null, type: null };
+
+    for (let i = 0; i < rest.length; i++) {
+        const flag = rest[i];
+        if (flag === '--force') {
+            options.force = true;
+        } else if (flag === '--company') {
+            options.company = rest[++i];
+        } else if (flag === '--personas') {
+            options.personas = rest[++i].split(',').map(id => id.trim()).filter(Boolean);
+        } else if (flag === '--persona') {
+            options.persona = rest[++i];
+        } else if (flag === '--limit') {
+            options.limit = Number(rest[++i]);
+        } else if (flag === '--since') {
+            options.since = rest[++i];
+        } else if (flag === '--type') {
+            options.type = rest[++i];
+        } else if (EXECUTIVE_FLAGS[flag]) {
+            executive[EXECUTIVE_FLAGS[flag]] = rest[++i];
+        } else if (flag.startsWith('--')) {
+            throw new Error(`Unknown option: ${flag}`);
+        } else {
+            positional.push(flag);
+        }
+    }
+
+    if (options.type && !Object.values(EVENT_TYPES).includes(options.type)) {
+        throw new Error(`Unknown event type "${options.type}" (expected ${Object.values(EVENT_TYPES).join(', ')})`);
+    }
+    return { command, positional, executive, options };
+}
+
+/**
+ * Accounts from a contact CSV - Website and Company Name, plus "<LABEL> Name/Title/Email/LinkedIn"
+ * for every persona the file has columns for (a plain accounts CSV only adds the accounts)
+ */
+function readAccounts(file) {
+    const personas = Object.entries(getTargetPersonas());
+    return new Promise((resolve, reject) => {
+        const accounts = [];
+        fs.createReadStream(file)
+            .pipe(csv())
+            .on('data', row => {
+                const website = (row.Website || row.domain || row.Domain || '').trim();
+                if (!website) return;
+
+                const executives = {};
+                personas.forEach(([id, { label }]) => {
+                    const name = (row[`${label} Name`] || '').trim();
+                    if (!name) return;
+                    executives[id] = {
+                        name,
+                        title: (row[`${label} Title`] || '').trim() || null,
+                        email: (row[`${label} Email`] || '').trim() || null,
+                        linkedIn: (row[`${label} LinkedIn`] || '').trim() || null,
+                        source: file
+                    };
+                });
+                accounts.push({ website, company: (row['Company Name'] || row.Company || '').trim() || null, executives });
+            })
+            .on('end', () => resolve(accounts))
+            .on('error', reject);
+    });
+}
+
+function printAccount(account) {
+    const seats = account.personas
+        .map(id => `${id}: ${account.seats[id] ? `${account.seats[id].name}${account.seats[id].interim ? ' (interim)' : ''}` : (account.vacated?.[id] ? 'vacant' : '-')}`)
+        .join(' · ');
+    const next = account.nextCheckAt ? account.nextCheckAt.split('T')[0] : 'now';
+    console.log(`   ${account.id.padEnd(32)} ${seats} · next ${next}`);
+}
+
+function printEvent(event) {
+    const icon = event.priority === 'high' ? '🚨' : '🔔';
+    console.log(`   ${icon} ${event.detectedAt.split('T')[0]} ${event.summary} (${event.type}, ${event.priority}, ${event.confidence}%)`);
+    event.evidence.forEach(item => console.log(`      ${item.signal}: ${item.detail}${item.source ? ` [${item.source}]` : ''}`));
+}
+
+async function main() {
+    const { command, positional, executive, options } = parseArgs(process.argv.slice(2));
+    const watchlist = new ExecutiveWatchlist();
+
+    switch (command) {
+        case 'import': {
+            if (!positional[0]) throw new Error('import needs a CSV file');
+            const accounts = await readAccounts(positional[0]);
+            accounts.forEach(account => watchlist.watch({ ...account, personas: options.personas }));
+            const known = accounts.reduce((count, account) => count + Object.keys(account.executives).length, 0);
+            console.log(`✅ Watching ${accounts.length} accounts from ${positional[0]} (${known} known executives)`);
+            break;
+        }
+
+        case 'add': {
+            if (!positional[0]) throw new Error('add needs a website');
+            const executives = executive.name ? { [options.persona || 'cfo']: executive } : {};
+            const account = watchlist.watch({ website: positional[0], company: options.company, personas: options.personas, executives });
+            printAccount(account);
+            break;
+        }
+
+        case 'list': {
+            const accounts = watchlist.list();
+            console.log(`👀 WATCHLIST - ${accounts.length} accounts, ${watchlist.due().length} due`);
+            accounts.forEach(printAccount);
+            break;
+        }
+
+        case 'show': {
+            const account = watchlist.get(positional[0] || '');
+            if (!account) throw new Error(`${positional[0]} is not on the watchlist`);
+            console.log(JSON.stringify(account, null, 2));
+            break;
+        }
+
+        case 'remove':
+            if (!watchlist.remove(positional[0] || '')) throw new Error(`${positional[0]} is not on the watchlist`);
+            console.log(`✅ Stopped watching ${positional[0]}`);
+            break;
+
+        case 'run': {
+            const { WatchlistMonitor } = require('./modules/WatchlistMonitor');
+            const monitor = new WatchlistMonitor({ watchlist });
+            try {
+                const summary = await monitor.runDue({
+                    accounts: positional.length > 0 ? positional : null,
+                    limit: options.limit,
+                    force: options.force
+                });
+                summary.events.forEach(printEvent);
+                if (summary.failed.length > 0) process.exitCode = 1;
+            } finally {
+                await monitor.close();
+            }
+            break;
+        }
+
+        case 'events': {
+            const events = watchlist.events({ account: positional[0] || null, since: options.since, type: options.type, persona: options.persona });
+            console.log(`🔔 ${events.length} executive changes`);
+            events.forEach(printEvent);
+            break;
+        }
+
+        default:
+            console.log('Usage: node watchlist.js <import|add|list|show|remove|run|events> [options] - see the header of watchlist.js');
+            console.log(`   events: ${Object.values(EVENT_TYPES).join(', ')}`);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { parseArgs, readAccounts };
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * 📬 WEBHOOKS CLI
+ *
+ * Manage outbound webhook subscriptions and their deliveries (modules/WebhookDispatcher.js)
+ *
+ * Usage:
+ *   node webhooks.js subscribe --url https://crm.example.com/hooks/adrata [--events job.completed,executive.changed] [--secret s] [--description d] [--allow-private]
+ *   node webhooks.js list
+ *   node webhooks.js unsubscribe <id>
+ *   node webhooks.js deliveries [--status dead]          dead = the dead-letter list
+ *   node webhooks.js deliver                             retry every pending delivery whose backoff has passed
+ *   node webhooks.js replay <delivery id ...> | --dead   send again with a fresh signature
+ *   node webhooks.js test <id>                           send a webhook.test event to one subscription
+ *   node webhooks.js listen --secret s [--port 4000]     local receiver that verifies signatures and prints events
+ *
+ * --allow-private accepts localhost and internal addresses (a local `listen` receiver); they are refused otherwise.
+ *
+ * Retries also go out with every new event; schedule `deliver` for quiet periods:
+ *   * * * * * cd /path/to/pipelines && node webhooks.js deliver >> logs/webhooks.log 2>&1
+ */
+
+require('dotenv').config();
+const { WebhookDispatcher, createWebhookReceiver, DELIVERY_STATUS } = require('./modules/WebhookDispatcher');
+const { WEBHOOK_EVENTS } = require('./config/webhooks');
+
+function parseArgs(argv) {
+    const [command = 'help', ...rest] = argv;
+    const positional = [];
+    const options = { url: null, events: null, secret: null, description: null, status: null, dead: false, allowPrivate: false, port: 4000 };
+
+    for (let i = 0; i < rest.length; i++) {
+        const flag = rest[i];
+        if (flag === '--dead') {
+            options.dead = true;
+        } else if (flag === '--allow-private') {
+            options.allowPrivate = true;
+        } else if (flag === '--url') {
+            options.url = rest[++i];
+        } else if (flag === '--events') {
+            options.events = rest[++i].split(',').map(type => type.trim()).filter(Boolean);
+        } else if (flag === '--secret') {
+            options.secret = rest[++i];
+        } else if (flag === '--description') {
+            options.description = rest[++i];
+        } else if (flag === '--status') {
+            options.status = rest[++i];
+        } else if (flag === '--port') {
+            options.port = Number(rest[++i]);
+        } else if (flag.startsWith('--')) {
+            throw new Error(`Unknown option: ${flag}`);
+        } else {
+            positional.push(flag);
+        }
+    }
+
+    if (options.status && !Object.values(DELIVERY_STATUS).includes(options.status)) {
+        throw new Error(`Unknown delivery status "${options.status}" (expected ${Object.values(DELIVERY_STATUS).join(', ')})`);
+    }
+    return { command, positional, options };
+}
+
+function printDelivery(delivery) {
+    const icon = { delivered: '✅', pending: '⏳', dead: '☠️' }[delivery.status];
+    const next = delivery.nextAttemptAt ? ` · next ${delivery.nextAttemptAt}` : '';
+    console.log(`   ${icon} ${delivery.id} ${delivery.event.type} → ${delivery.url} (${delivery.attempts} attempts${next})`);
+    if (delivery.lastError) console.log(`      ${delivery.lastError}`);
+}
+
+async function main() {
+    const { command, positional, options } = parseArgs(process.argv.slice(2));
+
+    if (command === 'listen') {
+        if (!options.secret) throw new Error('listen needs --secret (the subscription secret)');
+        const server = createWebhookReceiver({
+            secret: options.secret,
+            onEvent: (event, { deliveryId }) => {
+                console.log(`📥 ${event.type} ${deliveryId || ''} ${event.id}`);
+                console.log(JSON.stringify(event.data, null, 2));
+            }
+        });
+        server.listen(options.port, () => console.log(`📡 Listening on http://localhost:${options.port} - Ctrl+C to stop`));
+        return;
+    }
+
+    const dispatcher = new WebhookDispatcher();
+
+    switch (command) {
+        case 'subscribe': {
+            if (!options.url) throw new Error('subscribe needs --url');
+            const subscription = dispatcher.subscribe({
+                url: options.url,
+                events: options.events || ['*'],
+                secret: options.secret,
+                description: options.description,
+                allowPrivateHosts: options.allowPrivate
+            });
+            console.log(`✅ Subscribed ${subscription.id}`);
+            if (!options.secret) console.log(`   🔑 Secret (shown once): ${subscription.secret}`);
+            break;
+        }
+
+        case 'list': {
+            const subscriptions = dispatcher.listSubscriptions();
+            console.log(`📬 ${subscriptions.length} webhook subscriptions`);
+            subscriptions.forEach(subscription => {
+                console.log(`   ${subscription.id} ${subscription.events.join(',')} → ${subscription.url}${subscription.description ? ` (${subscription.description})` : ''}`);
+            });
+            break;
+        }
+
+        case 'unsubscribe':
+            if (!dispatcher.unsubscribe(positional[0] || '')) throw new Error(`Subscription not found: ${positional[0]}`);
+            console.log(`✅ Removed ${positional[0]}`);
+            break;
+
+        case 'deliveries': {
+            const deliveries = dispatcher.listDeliveries({ status: options.status });
+            console.log(`📬 ${deliveries.length} ${options.status ? `${options.status} ` : ''}deliveries`);
+            deliveries.forEach(printDelivery);
+            break;
+        }
+
+        case 'deliver': {
+            const counts = await dispatcher.deliverDue();
+            console.log(`✅ ${counts.delivered} delivered, ${counts.failed} to retry, ${counts.dead} dead`);
+            if (counts.dead > 0) process.exitCode = 1;
+            break;
+        }
+
+        case 'replay': {
+            if (!options.dead && positional.length === 0) throw new Error('replay needs delivery ids or --dead');
+            const replayed = await dispatcher.replay({ ids: positional, dead: options.dead });
+            console.log(`♻️ Replayed ${replayed.length} deliveries`);
+            replayed.forEach(printDelivery);
+            if (replayed.some(delivery => delivery.status !== DELIVERY_STATUS.DELIVERED)) process.exitCode = 1;
+            break;
+        }
+
+        case 'test': {
+            if (!dispatcher.getSubscription(positional[0] || '')) throw new Error(`Subscription not found: ${positional[0]}`);
+            const { deliveries } = await dispatcher.emit('webhook.test', { message: 'Adrata webhook test' }, { subscriptionIds: [positional[0]] });
+            deliveries.forEach(printDelivery);
+            if (deliveries.some(delivery => delivery.status !== DELIVERY_STATUS.DELIVERED)) process.exitCode = 1;
+            break;
+        }
+
+        default:
+            console.log('Usage: node webhooks.js <subscribe|list|unsubscribe|deliveries|deliver|replay|test|listen> [options] - see the header of webhooks.js');
+            Object.entries(WEBHOOK_EVENTS).forEach(([type, description]) => console.log(`   ${type.padEnd(18)} ${description}`));
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { parseArgs };